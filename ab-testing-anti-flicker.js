@@ -0,0 +1,48 @@
+/**
+ * A/B TESTING ANTI-FLICKER SNIPPET
+ * For pages without server-side assignment: hides the body until ABTestingFramework has applied
+ * its variants, so visitors never see the control content first
+ *
+ * Inline it (or load it without async/defer) at the top of <head>, before any stylesheet:
+ *   <script src="ab-testing-anti-flicker.js" data-timeout="800"></script>
+ *
+ * The framework calls window.abAntiFlicker.reveal() once experiments have run. If it never does
+ * (blocked script, slow definitions), the page is shown anyway after the timeout.
+ * Pages pre-rendered by ab-testing-server.js carry <html data-ab-rendered> and are not hidden.
+ */
+(function () {
+    var DEFAULT_TIMEOUT = 800;
+    var root = document.documentElement;
+    var script = document.currentScript;
+    var timeout = Number(script && script.getAttribute('data-timeout')) || DEFAULT_TIMEOUT;
+    var revealed = false;
+    var timer = null;
+    var style = null;
+
+    function reveal() {
+        if (revealed) return;
+        revealed = true;
+
+        clearTimeout(timer);
+        root.classList.remove('ab-pending');
+        if (style && style.parentNode) {
+            style.parentNode.removeChild(style);
+        }
+    }
+
+    window.abAntiFlicker = { reveal: reveal, timeout: timeout };
+
+    // The server already rendered the variants: nothing to hide
+    if (root.hasAttribute('data-ab-rendered')) {
+        revealed = true;
+        return;
+    }
+
+    style = document.createElement('style');
+    style.id = 'ab-anti-flicker';
+    style.textContent = '.ab-pending body { opacity: 0 !important; }';
+    (document.head || root).appendChild(style);
+    root.classList.add('ab-pending');
+
+    timer = setTimeout(reveal, timeout);
+})();
@@ -0,0 +1,223 @@
+/**
+ * A/B TESTING BUCKETING
+ * Deterministic, sticky variant assignment shared by the browser framework and server-side assignment
+ *
+ * - MurmurHash3 buckets from a stable visitor id, so reloads and context changes never flip variants
+ * - Salted hashes per experiment, namespace and holdout keep those decisions independent
+ * - Namespaces (layers) give experiments non-overlapping traffic ranges: mutually exclusive tests
+ * - A global holdout keeps a fixed slice of visitors out of every experiment
+ * - Cookie helpers, so server and browser agree on the visitor and the variants served
+ */
+
+export const BUCKET_COUNT = 10000;
+
+const encoder = new TextEncoder();
+
+/**
+ * MurmurHash3 x86 32-bit over the UTF-8 bytes of key
+ */
+export function murmurHash3(key, seed = 0) {
+    const bytes = encoder.encode(String(key));
+    const blocks = bytes.length >> 2;
+    const c1 = 0xcc9e2d51;
+    const c2 = 0x1b873593;
+    let h = seed >>> 0;
+
+    for (let i = 0; i < blocks; i++) {
+        const offset = i * 4;
+        let k = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+
+        k = Math.imul(k, c1);
+        k = (k << 15) | (k >>> 17);
+        k = Math.imul(k, c2);
+
+        h ^= k;
+        h = (h << 13) | (h >>> 19);
+        h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+    }
+
+    const tail = blocks * 4;
+    let k = 0;
+    switch (bytes.length & 3) {
+        case 3:
+            k ^= bytes[tail + 2] << 16;
+        // falls through
+        case 2:
+            k ^= bytes[tail + 1] << 8;
+        // falls through
+        case 1:
+            k ^= bytes[tail];
+            k = Math.imul(k, c1);
+            k = (k << 15) | (k >>> 17);
+            k = Math.imul(k, c2);
+            h ^= k;
+    }
+
+    h ^= bytes.length;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+
+    return h >>> 0;
+}
+
+/**
+ * Position of a visitor in [0, 1) for one salt; different salts give independent positions
+ */
+export function bucketPosition(salt, visitorId) {
+    return (murmurHash3(`${salt}:${visitorId}`) % BUCKET_COUNT) / BUCKET_COUNT;
+}
+
+/**
+ * Random, non-identifying visitor id for anonymous traffic
+ */
+export function createVisitorId() {
+    if (globalThis.crypto?.randomUUID) {
+        return globalThis.crypto.randomUUID();
+    }
+
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Cookies shared with server-side assignment (ab-testing-server.js): the visitor id, and the
+ * variants the server picked as experimentId=variantId pairs in URL query form
+ */
+export const VISITOR_COOKIE = 'ab_visitor_id';
+export const ASSIGNMENTS_COOKIE = 'ab_assignments';
+
+/**
+ * The visitor's consent decision as consent-manager.js mirrors it for servers (v=1&analytics=1&marketing=0).
+ * Visitor ids and assignments are persisted only while it allows analytics.
+ */
+export const CONSENT_COOKIE = 'facepay_consent';
+
+export function allowsAnalytics(value) {
+    return new URLSearchParams(value || '').get('analytics') === '1';
+}
+
+export function parseCookies(header = '') {
+    return String(header || '').split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index === -1) return cookies;
+
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+        return cookies;
+    }, {});
+}
+
+export function encodeAssignments(assignments) {
+    return new URLSearchParams(assignments).toString();
+}
+
+export function decodeAssignments(value) {
+    return Object.fromEntries(new URLSearchParams(value || ''));
+}
+
+/**
+ * Normalises an experiment's namespace config: 'hero' (whole layer) or { id, range: [start, end] }
+ */
+export function normalizeNamespace(namespace) {
+    if (!namespace) return null;
+
+    const { id, range = [0, 1], salt = null } = typeof namespace === 'string' ? { id: namespace } : namespace;
+    const [start, end] = range;
+
+    if (!id || !(start >= 0 && end <= 1 && start < end)) {
+        throw new Error(`Invalid namespace ${JSON.stringify(namespace)}: expected { id, range: [start, end] } within [0, 1]`);
+    }
+
+    return { id, range: [start, end], salt: salt || `namespace:${id}` };
+}
+
+/**
+ * EXPERIMENT BUCKETER
+ * Pure assignment logic: no storage, no DOM, usable in edge middleware
+ */
+export class ExperimentBucketer {
+    constructor(options = {}) {
+        this.options = {
+            // Share of all visitors kept out of every experiment, and the salt that picks them
+            holdout: { percentage: 0, salt: 'facepay-holdout' },
+            ...options
+        };
+        this.options.holdout = { percentage: 0, salt: 'facepay-holdout', ...this.options.holdout };
+    }
+
+    isInHoldout(visitorId) {
+        const { percentage, salt } = this.options.holdout;
+        return percentage > 0 && bucketPosition(salt, visitorId) < percentage;
+    }
+
+    // Whether the visitor's namespace position falls in the experiment's slice of that layer
+    isInNamespace(experiment, visitorId) {
+        const namespace = normalizeNamespace(experiment.namespace);
+        if (!namespace) return true;
+
+        const position = bucketPosition(namespace.salt, visitorId);
+        return position >= namespace.range[0] && position < namespace.range[1];
+    }
+
+    /**
+     * Returns { variant, reason } where reason is 'assigned', 'holdout' or 'namespace'
+     */
+    assign(experiment, visitorId) {
+        if (this.isInHoldout(visitorId)) {
+            return { variant: null, reason: 'holdout' };
+        }
+        if (!this.isInNamespace(experiment, visitorId)) {
+            return { variant: null, reason: 'namespace' };
+        }
+
+        return { variant: this.selectVariant(experiment, visitorId), reason: 'assigned' };
+    }
+
+    selectVariant(experiment, visitorId) {
+        const position = bucketPosition(experiment.salt || experiment.id, visitorId);
+        const total = experiment.variants.reduce((sum, variant) => sum + (variant.normalizedWeight ?? variant.weight ?? 1), 0);
+
+        let cumulativeWeight = 0;
+        for (const variant of experiment.variants) {
+            cumulativeWeight += (variant.normalizedWeight ?? variant.weight ?? 1) / total;
+            if (position < cumulativeWeight) {
+                return variant;
+            }
+        }
+
+        // Floating point leftovers land on the last variant
+        return experiment.variants[experiment.variants.length - 1];
+    }
+
+    /**
+     * Throws when two experiments claim overlapping ranges of the same namespace
+     */
+    static assertExclusive(experiments) {
+        const claimed = new Map();
+
+        experiments.forEach(experiment => {
+            const namespace = normalizeNamespace(experiment.namespace);
+            if (!namespace) return;
+
+            const ranges = claimed.get(namespace.id) || [];
+            const overlap = ranges.find(other => namespace.range[0] < other.range[1] && other.range[0] < namespace.range[1]);
+            if (overlap) {
+                throw new Error(`Experiment ${experiment.id} overlaps ${overlap.experimentId} in namespace ${namespace.id}`);
+            }
+
+            ranges.push({ experimentId: experiment.id, range: namespace.range });
+            claimed.set(namespace.id, ranges);
+        });
+    }
+}
+
+export default ExperimentBucketer;
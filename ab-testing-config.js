@@ -0,0 +1,378 @@
+/**
+ * A/B TESTING EXPERIMENT DEFINITIONS
+ * Declarative experiment config loaded from a JSON file or remote URL
+ *
+ * - Schema validation that reports every problem with its path, before anything reaches the DOM
+ * - Variants either list DOM changes per selector or point at copy in another JSON document
+ *   (e.g. headlines-ab-testing.json), picked in the visitor's locale
+ * - Output is ready for ABTestingFramework.createExperiment(); changes go through applyElementChanges()
+ *
+ * {
+ *   "version": 1,
+ *   "defaultLocale": "es",
+ *   "experiments": [{
+ *     "id": "headline_optimization_2024",
+ *     "name": "Headline Optimization",
+ *     "copy": { "source": "headlines-ab-testing.json", "elements": { "main_headline": ".hero h1" } },
+ *     "variants": [
+ *       { "id": "control", "changes": { ".hero h1": "Face ID Beats Gas Fees" } },
+ *       { "id": "pain_point", "copy": "ab_testing_headlines.version_a" }
+ *     ]
+ *   }]
+ * }
+ */
+
+import { normalizeAnalysis } from './ab-testing-statistics.js';
+import { normalizeNamespace } from './ab-testing-bucketing.js';
+import { normalizeMetrics } from './ab-testing-metrics.js';
+
+export const EXPERIMENT_SCHEMA_VERSION = 1;
+
+// Keys applyElementChanges() understands; anything else is rejected so remote config can't set arbitrary properties
+export const CHANGE_PROPERTIES = ['text', 'html', 'style', 'attributes', 'classes'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const EXPERIMENT_FIELDS = [
+    'id', 'name', 'description', 'hypothesis', 'copy', 'variants', 'metrics',
+    'segments', 'analysis', 'namespace', 'salt', 'endDate', 'trafficAllocation'
+];
+const VARIANT_FIELDS = ['id', 'name', 'weight', 'changes', 'copy'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+function createConfigError(source, issues) {
+    const error = new Error(`Invalid experiment definitions${source ? ` in ${source}` : ''}:\n  - ${issues.join('\n  - ')}`);
+    error.issues = issues;
+    return error;
+}
+
+/**
+ * Returns a list of "path: problem" strings; an empty list means the document is valid
+ */
+export function validateExperimentDefinitions(definitions) {
+    const issues = [];
+
+    if (!isPlainObject(definitions)) {
+        return ['$: expected an object with "version" and "experiments"'];
+    }
+    if (definitions.version !== EXPERIMENT_SCHEMA_VERSION) {
+        issues.push(`version: expected ${EXPERIMENT_SCHEMA_VERSION}, got ${JSON.stringify(definitions.version)}`);
+    }
+    if (definitions.defaultLocale !== undefined && typeof definitions.defaultLocale !== 'string') {
+        issues.push('defaultLocale: expected a string');
+    }
+    if (!Array.isArray(definitions.experiments) || definitions.experiments.length === 0) {
+        issues.push('experiments: expected a non-empty array');
+        return issues;
+    }
+
+    const experimentIds = new Set();
+    definitions.experiments.forEach((experiment, index) => {
+        const path = `experiments[${index}]`;
+
+        if (!isPlainObject(experiment)) {
+            issues.push(`${path}: expected an object`);
+            return;
+        }
+        if (typeof experiment.id !== 'string' || !ID_PATTERN.test(experiment.id)) {
+            issues.push(`${path}.id: expected letters, digits, "_" or "-"`);
+        } else if (experimentIds.has(experiment.id)) {
+            issues.push(`${path}.id: duplicate experiment id "${experiment.id}"`);
+        } else {
+            experimentIds.add(experiment.id);
+        }
+        if (typeof experiment.name !== 'string' || !experiment.name) {
+            issues.push(`${path}.name: expected a non-empty string`);
+        }
+        Object.keys(experiment)
+            .filter(key => !EXPERIMENT_FIELDS.includes(key))
+            .forEach(key => issues.push(`${path}.${key}: unknown field`));
+
+        if (experiment.segments !== undefined && !isStringArray(experiment.segments)) {
+            issues.push(`${path}.segments: expected an array of strings`);
+        }
+        if (experiment.metrics !== undefined) {
+            try {
+                if (!isPlainObject(experiment.metrics) && !isStringArray(experiment.metrics)) {
+                    throw new Error('expected { primary, secondary, guardrails }');
+                }
+                normalizeMetrics(experiment.metrics);
+            } catch (error) {
+                issues.push(`${path}.metrics: ${error.message}`);
+            }
+        }
+        if (experiment.analysis !== undefined) {
+            try {
+                normalizeAnalysis(experiment.analysis);
+            } catch (error) {
+                issues.push(`${path}.analysis: ${error.message}`);
+            }
+        }
+        if (experiment.namespace !== undefined) {
+            try {
+                normalizeNamespace(experiment.namespace);
+            } catch (error) {
+                issues.push(`${path}.namespace: ${error.message}`);
+            }
+        }
+        if (experiment.copy !== undefined) {
+            validateCopySource(experiment.copy, `${path}.copy`, issues);
+        }
+
+        validateVariants(experiment, path, issues);
+    });
+
+    return issues;
+}
+
+function validateCopySource(copy, path, issues) {
+    if (!isPlainObject(copy)) {
+        issues.push(`${path}: expected { source, elements }`);
+        return;
+    }
+    if (typeof copy.source !== 'string' || !copy.source) {
+        issues.push(`${path}.source: expected a URL relative to the definitions`);
+    }
+    if (!isPlainObject(copy.elements) || Object.keys(copy.elements).length === 0) {
+        issues.push(`${path}.elements: expected a map of copy field to CSS selector`);
+    } else {
+        Object.entries(copy.elements)
+            .filter(([, selector]) => typeof selector !== 'string' || !selector)
+            .forEach(([field]) => issues.push(`${path}.elements.${field}: expected a CSS selector`));
+    }
+}
+
+function validateVariants(experiment, path, issues) {
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+        issues.push(`${path}.variants: expected at least two variants`);
+        return;
+    }
+
+    const variantIds = new Set();
+    experiment.variants.forEach((variant, index) => {
+        const variantPath = `${path}.variants[${index}]`;
+
+        if (!isPlainObject(variant)) {
+            issues.push(`${variantPath}: expected an object`);
+            return;
+        }
+        if (typeof variant.id !== 'string' || !ID_PATTERN.test(variant.id)) {
+            issues.push(`${variantPath}.id: expected letters, digits, "_" or "-"`);
+        } else if (variantIds.has(variant.id)) {
+            issues.push(`${variantPath}.id: duplicate variant id "${variant.id}"`);
+        } else {
+            variantIds.add(variant.id);
+        }
+        Object.keys(variant)
+            .filter(key => !VARIANT_FIELDS.includes(key))
+            .forEach(key => issues.push(`${variantPath}.${key}: unknown field`));
+
+        if (variant.name !== undefined && typeof variant.name !== 'string') {
+            issues.push(`${variantPath}.name: expected a string`);
+        }
+        if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0 && Number.isFinite(variant.weight))) {
+            issues.push(`${variantPath}.weight: expected a non-negative number`);
+        }
+        if (variant.copy !== undefined) {
+            if (typeof variant.copy !== 'string' || !variant.copy) {
+                issues.push(`${variantPath}.copy: expected a dotted path into the copy source`);
+            } else if (!experiment.copy) {
+                issues.push(`${variantPath}.copy: experiment has no "copy" source`);
+            }
+        }
+        if (variant.changes !== undefined) {
+            validateChanges(variant.changes, `${variantPath}.changes`, issues);
+        }
+    });
+}
+
+function validateChanges(changes, path, issues) {
+    if (!isPlainObject(changes)) {
+        issues.push(`${path}: expected a map of CSS selector to change`);
+        return;
+    }
+
+    Object.entries(changes).forEach(([selector, change]) => {
+        const changePath = `${path}["${selector}"]`;
+
+        if (typeof change === 'string') return;
+        if (!isPlainObject(change)) {
+            issues.push(`${changePath}: expected text or an object of ${CHANGE_PROPERTIES.join(', ')}`);
+            return;
+        }
+
+        Object.entries(change).forEach(([property, value]) => {
+            switch (property) {
+                case 'text':
+                case 'html':
+                    if (typeof value !== 'string') issues.push(`${changePath}.${property}: expected a string`);
+                    break;
+                case 'style':
+                    if (!isPlainObject(value) || !Object.values(value).every(item => typeof item === 'string')) {
+                        issues.push(`${changePath}.style: expected a map of style property to string`);
+                    }
+                    break;
+                case 'attributes':
+                    if (!isPlainObject(value)) {
+                        issues.push(`${changePath}.attributes: expected a map of attribute to value`);
+                        break;
+                    }
+                    Object.entries(value).forEach(([attribute, attributeValue]) => {
+                        if (/^on/i.test(attribute)) {
+                            issues.push(`${changePath}.attributes.${attribute}: event handler attributes are not allowed`);
+                        } else if (typeof attributeValue !== 'string') {
+                            issues.push(`${changePath}.attributes.${attribute}: expected a string`);
+                        } else if (/^\s*javascript:/i.test(attributeValue)) {
+                            issues.push(`${changePath}.attributes.${attribute}: javascript: URLs are not allowed`);
+                        }
+                    });
+                    break;
+                case 'classes':
+                    if (!isPlainObject(value) || !['add', 'remove'].every(key => value[key] === undefined || isStringArray(value[key]))) {
+                        issues.push(`${changePath}.classes: expected { add: [...], remove: [...] }`);
+                    }
+                    break;
+                default:
+                    issues.push(`${changePath}.${property}: unknown change, expected one of ${CHANGE_PROPERTIES.join(', ')}`);
+            }
+        });
+    });
+}
+
+/**
+ * Picks the copy locale: the preferred language ("en-US" → "en") when the copy has it, else the fallback
+ */
+export function resolveLocale(preferred, available, fallback) {
+    const language = String(preferred || '').toLowerCase().split(/[-_]/)[0];
+    if (available.includes(language)) return language;
+    if (available.includes(fallback)) return fallback;
+    return available[0] || null;
+}
+
+function detectLocale() {
+    return globalThis.document?.documentElement?.lang || globalThis.navigator?.language || null;
+}
+
+function readPath(document, path) {
+    return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), document);
+}
+
+/**
+ * EXPERIMENT CONFIG LOADER
+ * Fetches, validates and resolves experiment definitions into createExperiment() configs
+ */
+export class ExperimentConfigLoader {
+    constructor(options = {}) {
+        this.options = {
+            // Visitor language; defaults to <html lang> or the browser language
+            locale: null,
+            // Base for relative URLs when there is no page, e.g. in Node
+            baseUrl: null,
+            timeout: 5000,
+            fetch: null,
+            ...options
+        };
+        // Copy documents shared by several experiments are fetched once per URL
+        this.documents = new Map();
+    }
+
+    /**
+     * source: URL of a definitions document, or the parsed document itself
+     */
+    async load(source) {
+        const fromUrl = typeof source === 'string';
+        // Copy sources resolve against the definitions URL, or the page for inline definitions
+        const baseUrl = fromUrl ? this.resolveUrl(source) : this.defaultBaseUrl();
+        const definitions = fromUrl ? await this.fetchJson(baseUrl) : source;
+
+        const issues = validateExperimentDefinitions(definitions);
+        if (issues.length > 0) {
+            throw createConfigError(fromUrl ? baseUrl : null, issues);
+        }
+
+        const defaultLocale = definitions.defaultLocale || 'en';
+        return Promise.all(definitions.experiments.map((experiment, index) => this.resolveExperiment(experiment, `experiments[${index}]`, baseUrl, defaultLocale)));
+    }
+
+    async resolveExperiment(experiment, path, baseUrl, defaultLocale) {
+        const { copy, variants, ...config } = experiment;
+        const copyDocument = copy ? await this.fetchJson(this.resolveUrl(copy.source, baseUrl)) : null;
+        const issues = [];
+
+        const resolvedVariants = variants.map((variant, index) => {
+            const { copy: copyPath, changes = {}, ...fields } = variant;
+            if (!copyPath) {
+                return { ...fields, changes };
+            }
+
+            const entry = readPath(copyDocument, copyPath);
+            if (!isPlainObject(entry)) {
+                issues.push(`${path}.variants[${index}].copy: "${copyPath}" not found in ${copy.source}`);
+                return null;
+            }
+
+            // Localised entries keep their fields under "es", "en", ...; flat entries are used as-is
+            const locales = Object.keys(entry).filter(key => isPlainObject(entry[key]));
+            const locale = locales.length > 0 ? resolveLocale(this.options.locale || detectLocale(), locales, defaultLocale) : null;
+            const text = locale ? entry[locale] : entry;
+
+            const copyChanges = {};
+            Object.entries(copy.elements).forEach(([field, selector]) => {
+                if (typeof text[field] === 'string') {
+                    copyChanges[selector] = text[field];
+                } else {
+                    issues.push(`${path}.variants[${index}].copy: "${copyPath}" has no "${field}"${locale ? ` for locale ${locale}` : ''}`);
+                }
+            });
+
+            return {
+                name: entry.name,
+                ...fields,
+                // Explicit changes win over copy for the same selector
+                changes: { ...copyChanges, ...changes },
+                copy: { source: copy.source, path: copyPath, locale }
+            };
+        });
+
+        if (issues.length > 0) {
+            throw createConfigError(baseUrl, issues);
+        }
+
+        return { ...config, variants: resolvedVariants };
+    }
+
+    defaultBaseUrl() {
+        return this.options.baseUrl || globalThis.document?.baseURI || globalThis.location?.href;
+    }
+
+    resolveUrl(url, base = this.defaultBaseUrl()) {
+        return new URL(url, base).href;
+    }
+
+    async fetchJson(url) {
+        if (this.documents.has(url)) {
+            return this.documents.get(url);
+        }
+
+        const fetchImpl = this.options.fetch || globalThis.fetch;
+        const signal = typeof AbortSignal !== 'undefined' && AbortSignal.timeout ? AbortSignal.timeout(this.options.timeout) : undefined;
+        const request = fetchImpl(url, { headers: { Accept: 'application/json' }, signal }).then(async response => {
+            if (!response.ok) {
+                throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+            }
+            try {
+                return await response.json();
+            } catch (error) {
+                throw new Error(`Could not parse ${url}: ${error.message}`);
+            }
+        });
+
+        this.documents.set(url, request);
+        // A failed fetch shouldn't stick; the next load retries it
+        request.catch(() => this.documents.delete(url));
+        return request;
+    }
+}
+
+export default ExperimentConfigLoader;
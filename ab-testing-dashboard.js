@@ -0,0 +1,489 @@
+/**
+ * A/B TESTING RESULTS DASHBOARD
+ * Reads ABTestingFramework results and renders them for people deciding what to ship
+ *
+ * - Sources: the persisted ab_testing_data, a framework exportResults() file, or this dashboard's JSON export
+ * - Per-variant conversion rate with Wilson confidence intervals, lift against control
+ * - Sample ratio mismatch (SRM) warnings from a chi-square test against the allocated weights,
+ *   plus the framework's own data quality flags
+ * - Cumulative lift over time from the framework's hourly results history
+ * - A ship / keep control / keep running / investigate recommendation per experiment
+ * - JSON and CSV export of the whole report
+ */
+
+import { StatisticsEngine } from './ab-testing-statistics.js';
+import { QUALITY_DEFAULTS } from './ab-testing-quality.js';
+
+export const STORAGE_KEY = 'ab_testing_data';
+export const EXPORT_FORMAT = 'facepay-ab-dashboard';
+
+// Below this p-value the traffic split is treated as broken rather than unlucky
+export const SRM_THRESHOLD = QUALITY_DEFAULTS.srmThreshold;
+
+export const CSV_COLUMNS = [
+    'experiment_id', 'experiment', 'status', 'method', 'variant_id', 'variant', 'variant_status',
+    'allocation', 'sessions', 'conversions', 'conversion_rate', 'rate_ci_low', 'rate_ci_high',
+    'lift', 'lift_ci_low', 'lift_ci_high', 'p_value', 'probability_to_beat_control', 'srm_p_value', 'recommendation'
+];
+
+const DEFAULT_OPTIONS = {
+    confidenceLevel: 0.95,
+    // Relative effect the "keep running" estimate sizes for, and the power to detect it
+    minimumDetectableEffect: 0.1,
+    power: 0.8
+};
+
+/**
+ * INPUTS
+ * Every source is normalised to { id, name, status, ..., variants: [{ id, sessions, conversions, ... }], history }
+ */
+
+// Persisted framework state; conversions are the experiment's primary metric
+export function experimentsFromStorage(data) {
+    return (data.experiments || []).map(([, experiment]) => {
+        const stored = experiment.results?.variantResults;
+        const variantResults = new Map(Array.isArray(stored) ? stored : Object.entries(stored || {}));
+        const primary = experiment.metrics?.primary || 'conversion';
+        const analysis = experiment.results?.analysis || null;
+
+        return {
+            id: experiment.id,
+            name: experiment.name || experiment.id,
+            status: experiment.status,
+            startDate: experiment.startDate || null,
+            hypothesis: experiment.hypothesis || null,
+            method: analysis?.method || experiment.analysis?.method || null,
+            methodLabel: analysis?.label || experiment.analysis?.label || null,
+            primaryMetric: primary,
+            winner: experiment.results?.winner || null,
+            analysis,
+            history: experiment.results?.history || [],
+            qualityIssues: experiment.results?.quality?.issues || [],
+            variants: experiment.variants.map(variant => {
+                const results = variantResults.get(variant.id) || {};
+                return {
+                    id: variant.id,
+                    name: variant.name || variant.id,
+                    status: variant.status || 'active',
+                    stopReason: variant.stopReason || null,
+                    allocation: variant.normalizedWeight ?? variant.weight ?? 1,
+                    sessions: results.sessions || 0,
+                    conversions: primary === 'conversion' ? results.conversions || 0 : results.metrics?.[primary]?.n || 0
+                };
+            })
+        };
+    });
+}
+
+// ABTestingFramework.exportResults() or a single generateReport()
+export function experimentsFromReports(data) {
+    const reports = data.reports || (Array.isArray(data) ? data : [data]);
+
+    return reports.filter(report => report?.experiment).map(report => ({
+        id: report.experiment.id,
+        name: report.experiment.name || report.experiment.id,
+        status: report.experiment.status,
+        startDate: report.experiment.startDate || null,
+        hypothesis: report.experiment.hypothesis || null,
+        method: report.results.method || null,
+        methodLabel: report.results.methodLabel || null,
+        primaryMetric: report.results.primaryMetric || 'conversion',
+        winner: report.results.winner || null,
+        confidenceLevel: report.results.targetConfidence || null,
+        analysis: report.analysis || null,
+        history: report.results.history || [],
+        qualityIssues: report.results.quality?.issues || [],
+        variants: report.variants.map(variant => ({
+            id: variant.id,
+            name: variant.name || variant.id,
+            status: variant.status || 'active',
+            stopReason: variant.stopReason || null,
+            allocation: variant.allocation ?? 1,
+            sessions: variant.sessions || 0,
+            conversions: variant.primaryConversions ?? variant.conversions ?? 0
+        }))
+    }));
+}
+
+/**
+ * Accepts any supported source as a JSON string or parsed object
+ */
+export function loadDashboardData(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data || '{}') : data || {};
+
+    if (parsed.format === EXPORT_FORMAT) {
+        return parsed.experiments;
+    }
+    if (Array.isArray(parsed.experiments)) {
+        return experimentsFromStorage(parsed);
+    }
+    if (parsed.reports || parsed.experiment || Array.isArray(parsed)) {
+        return experimentsFromReports(parsed);
+    }
+    throw new Error('Unrecognised results file: expected ab_testing_data, an exportResults() file or a dashboard export');
+}
+
+/**
+ * ANALYSIS
+ */
+
+// Sample ratio mismatch over the allocated weights; a split changed by stopped variants can't be checked
+function sampleRatio(experiment, engine) {
+    if (experiment.variants.some(variant => variant.status === 'stopped')) {
+        return { pValue: null, mismatch: false, skipped: 'Variants were stopped during the experiment' };
+    }
+
+    const test = engine.sampleRatioTest(
+        experiment.variants.map(variant => variant.sessions),
+        experiment.variants.map(variant => variant.allocation)
+    );
+    return { ...test, mismatch: test.pValue < SRM_THRESHOLD, skipped: null };
+}
+
+// Visitors per variant to detect the relative effect at the given power (two-proportion z-test)
+function requiredSampleSize(baseRate, options, engine) {
+    if (!(baseRate > 0 && baseRate < 1)) return null;
+
+    const alpha = 1 - options.confidenceLevel;
+    const z = engine.normalQuantile(1 - alpha / 2) + engine.normalQuantile(options.power);
+    const effect = baseRate * options.minimumDetectableEffect;
+    return Math.ceil(2 * z * z * baseRate * (1 - baseRate) / (effect * effect));
+}
+
+function cumulativeLift(experiment) {
+    const [control, ...challengers] = experiment.variants;
+
+    return challengers.map(variant => ({
+        variantId: variant.id,
+        points: experiment.history
+            .map(point => {
+                const base = point.variants[control.id];
+                const current = point.variants[variant.id];
+                if (!base || !current || base.sessions === 0 || current.sessions === 0 || base.conversions === 0) return null;
+
+                const controlRate = base.conversions / base.sessions;
+                return { timestamp: point.timestamp, lift: (current.conversions / current.sessions - controlRate) / controlRate };
+            })
+            .filter(Boolean)
+    }));
+}
+
+export function recommend(experiment, options = DEFAULT_OPTIONS, engine = new StatisticsEngine(options)) {
+    const [control, ...challengers] = experiment.variants;
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+
+    if (experiment.srm.mismatch) {
+        return {
+            action: 'investigate',
+            variantId: null,
+            message: `Sample ratio mismatch (p = ${experiment.srm.pValue.toExponential(1)}): traffic doesn't match the allocation. Fix assignment or tracking before trusting these results.`
+        };
+    }
+
+    // Flagged by the framework's own checks (ab-testing-quality.js), e.g. visitors in several variants
+    if (experiment.qualityIssues?.length > 0) {
+        return { action: 'investigate', variantId: null, message: `Data quality issues: ${experiment.qualityIssues.join('; ')}. Fix them before trusting these results.` };
+    }
+
+    const winner = experiment.variants.find(variant => variant.id === (experiment.winner || experiment.analysis?.winner));
+    if (winner && winner !== control) {
+        const range = winner.liftRange && Number.isFinite(winner.liftRange.min)
+            ? ` (${percent(winner.liftRange.min)} to ${percent(winner.liftRange.max)})`
+            : '';
+        return { action: 'ship', variantId: winner.id, message: `Ship ${winner.name}: ${percent(winner.lift)} lift over ${control.name}${range}.` };
+    }
+    if (winner === control || challengers.every(variant => variant.status === 'stopped')) {
+        return { action: 'keep-control', variantId: control.id, message: `Keep ${control.name}: no challenger beat it.` };
+    }
+
+    const active = experiment.variants.filter(variant => variant.status !== 'stopped');
+    const needed = requiredSampleSize(control.interval.rate, options, engine);
+    const remaining = needed === null ? null : Math.max(0, needed - Math.min(...active.map(variant => variant.sessions)));
+    const estimate = remaining ? ` About ${remaining.toLocaleString('en-US')} more visitors per variant to detect a ${percent(options.minimumDetectableEffect)} effect.` : '';
+    const leader = challengers
+        .filter(variant => variant.status !== 'stopped' && variant.lift > 0)
+        .sort((a, b) => b.lift - a.lift)[0];
+
+    return {
+        action: 'continue',
+        variantId: leader?.id || null,
+        message: leader
+            ? `Keep running: ${leader.name} leads by ${percent(leader.lift)}, but the result isn't conclusive yet.${estimate}`
+            : `Keep running: no variant is ahead of ${control.name} yet.${estimate}`
+    };
+}
+
+/**
+ * Adds intervals, lift, SRM, the lift series and a recommendation to a normalised experiment
+ */
+export function analyzeExperiment(experiment, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options, confidenceLevel: experiment.confidenceLevel || options.confidenceLevel || DEFAULT_OPTIONS.confidenceLevel };
+    const engine = new StatisticsEngine(settings);
+    const control = experiment.variants[0];
+    const alpha = (1 - settings.confidenceLevel) / Math.max(1, experiment.variants.length - 1);
+
+    const variants = experiment.variants.map((variant, index) => {
+        const interval = engine.proportionInterval(variant.conversions, variant.sessions, settings.confidenceLevel);
+        if (index === 0) {
+            return { ...variant, interval, lift: 0, liftRange: null, pValue: null, probabilityToBeatControl: null };
+        }
+
+        // The experiment's own decision method where it covered this variant, a z-test otherwise
+        const comparison = experiment.analysis?.variants?.[variant.id] || engine.calculateSignificance(control, variant, alpha);
+        return {
+            ...variant,
+            interval,
+            lift: comparison.lift ?? 0,
+            liftRange: comparison.liftRange || null,
+            pValue: comparison.pValue ?? null,
+            probabilityToBeatControl: comparison.probabilityToBeatControl ?? null
+        };
+    });
+
+    const analysed = {
+        ...experiment,
+        confidenceLevel: settings.confidenceLevel,
+        variants,
+        totalSessions: variants.reduce((sum, variant) => sum + variant.sessions, 0),
+        srm: sampleRatio(experiment, engine),
+        lift: cumulativeLift(experiment)
+    };
+    analysed.recommendation = recommend(analysed, settings, engine);
+    return analysed;
+}
+
+/**
+ * EXPORT
+ */
+function escapeCsvCell(value) {
+    let text = String(value ?? '');
+    // Spreadsheets run cells starting with = + - @ as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(experiments) {
+    const finite = value => (Number.isFinite(value) ? value : '');
+    const rows = experiments.flatMap(experiment => experiment.variants.map(variant => ({
+        experiment_id: experiment.id,
+        experiment: experiment.name,
+        status: experiment.status,
+        method: experiment.method,
+        variant_id: variant.id,
+        variant: variant.name,
+        variant_status: variant.status,
+        allocation: variant.allocation,
+        sessions: variant.sessions,
+        conversions: variant.conversions,
+        conversion_rate: variant.interval.rate,
+        rate_ci_low: variant.interval.min,
+        rate_ci_high: variant.interval.max,
+        lift: variant.lift,
+        lift_ci_low: finite(variant.liftRange?.min),
+        lift_ci_high: finite(variant.liftRange?.max),
+        p_value: variant.pValue,
+        probability_to_beat_control: variant.probabilityToBeatControl,
+        srm_p_value: experiment.srm.pValue,
+        recommendation: experiment.recommendation.message
+    })));
+
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+export function toJSON(experiments) {
+    return JSON.stringify({ format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), experiments }, null, 2);
+}
+
+/**
+ * RENDERING
+ * Plain HTML and inline SVG strings, so the page needs no chart library
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const formatPercent = (value, digits = 1) => (Number.isFinite(value) ? `${(value * 100).toFixed(digits)}%` : '—');
+const SERIES_COLORS = ['#10b981', '#f59e0b', '#6366f1', '#ec4899', '#06b6d4', '#84cc16'];
+
+function renderIntervalBars(experiment) {
+    const width = 520;
+    const labelWidth = 140;
+    const rowHeight = 30;
+    const height = experiment.variants.length * rowHeight + 24;
+    const top = Math.max(0.01, ...experiment.variants.map(variant => variant.interval.max)) * 1.1;
+    const x = value => labelWidth + (value / top) * (width - labelWidth - 60);
+
+    const rows = experiment.variants.map((variant, index) => {
+        const y = index * rowHeight + 15;
+        const color = index === 0 ? '#9ca3af' : SERIES_COLORS[(index - 1) % SERIES_COLORS.length];
+        return `
+            <g class="ci-row${variant.status === 'stopped' ? ' stopped' : ''}">
+                <text x="0" y="${y + 4}" class="ci-label">${escapeHtml(variant.name)}</text>
+                <line x1="${x(variant.interval.min)}" x2="${x(variant.interval.max)}" y1="${y}" y2="${y}" stroke="${color}" stroke-width="6" stroke-linecap="round" opacity="0.45" />
+                <circle cx="${x(variant.interval.rate)}" cy="${y}" r="5" fill="${color}" />
+                <text x="${x(variant.interval.max) + 8}" y="${y + 4}" class="ci-value">${formatPercent(variant.interval.rate, 2)}</text>
+            </g>`;
+    }).join('');
+
+    const axis = experiment.variants.length * rowHeight + 8;
+    return `
+        <svg class="ci-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Conversion rate with ${formatPercent(experiment.confidenceLevel, 0)} confidence intervals">
+            <line x1="${labelWidth}" x2="${width - 60}" y1="${axis}" y2="${axis}" stroke="#374151" />
+            <text x="${labelWidth}" y="${axis + 14}" class="axis-label">0%</text>
+            <text x="${width - 60}" y="${axis + 14}" class="axis-label" text-anchor="end">${formatPercent(top)}</text>
+            ${rows}
+        </svg>`;
+}
+
+function renderLiftChart(experiment) {
+    const series = experiment.lift.filter(entry => entry.points.length > 1);
+    if (series.length === 0) {
+        return '<p class="chart-empty">Not enough history for a lift chart yet (one point per hour with traffic).</p>';
+    }
+
+    const width = 520;
+    const height = 180;
+    const padding = 36;
+    const points = series.flatMap(entry => entry.points);
+    const start = Math.min(...points.map(point => point.timestamp));
+    const end = Math.max(...points.map(point => point.timestamp));
+    const low = Math.min(0, ...points.map(point => point.lift));
+    const high = Math.max(0, ...points.map(point => point.lift));
+    const span = high - low || 1;
+    const x = timestamp => padding + ((timestamp - start) / (end - start || 1)) * (width - 2 * padding);
+    const y = lift => height - padding - ((lift - low) / span) * (height - 2 * padding);
+
+    const lines = series.map(entry => {
+        const index = experiment.variants.findIndex(variant => variant.id === entry.variantId);
+        const color = SERIES_COLORS[(index - 1) % SERIES_COLORS.length];
+        const name = experiment.variants[index].name;
+        return `<polyline fill="none" stroke="${color}" stroke-width="2" points="${entry.points.map(point => `${x(point.timestamp).toFixed(1)},${y(point.lift).toFixed(1)}`).join(' ')}"><title>${escapeHtml(name)}</title></polyline>`;
+    }).join('');
+
+    const legend = series.map(entry => {
+        const index = experiment.variants.findIndex(variant => variant.id === entry.variantId);
+        return `<span class="legend-item"><i style="background:${SERIES_COLORS[(index - 1) % SERIES_COLORS.length]}"></i>${escapeHtml(experiment.variants[index].name)}</span>`;
+    }).join('');
+
+    return `
+        <svg class="lift-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative lift over control">
+            <line x1="${padding}" x2="${width - padding}" y1="${y(0)}" y2="${y(0)}" stroke="#6b7280" stroke-dasharray="4 4" />
+            <text x="4" y="${y(high) + 4}" class="axis-label">${formatPercent(high, 0)}</text>
+            <text x="4" y="${y(low) + 4}" class="axis-label">${formatPercent(low, 0)}</text>
+            <text x="${padding}" y="${height - 8}" class="axis-label">${escapeHtml(new Date(start).toISOString().slice(0, 10))}</text>
+            <text x="${width - padding}" y="${height - 8}" class="axis-label" text-anchor="end">${escapeHtml(new Date(end).toISOString().slice(0, 10))}</text>
+            ${lines}
+        </svg>
+        <div class="chart-legend">${legend}</div>`;
+}
+
+function renderVariantTable(experiment) {
+    const rows = experiment.variants.map((variant, index) => {
+        const lift = index === 0
+            ? 'control'
+            : `${formatPercent(variant.lift)}${variant.liftRange ? ` <span class="range">(${formatPercent(variant.liftRange.min)} to ${formatPercent(variant.liftRange.max)})</span>` : ''}`;
+        const evidence = variant.probabilityToBeatControl !== null
+            ? `P(beat) ${formatPercent(variant.probabilityToBeatControl)}`
+            : variant.pValue !== null ? `p = ${variant.pValue.toFixed(4)}` : '';
+
+        return `
+            <tr class="${variant.status === 'stopped' ? 'stopped' : ''}">
+                <td>${escapeHtml(variant.name)}${variant.status === 'stopped' ? ` <span class="badge stopped" title="${escapeHtml(variant.stopReason)}">stopped</span>` : ''}</td>
+                <td>${formatPercent(variant.allocation, 0)}</td>
+                <td>${variant.sessions.toLocaleString('en-US')}</td>
+                <td>${variant.conversions.toLocaleString('en-US')}</td>
+                <td>${formatPercent(variant.interval.rate, 2)} <span class="range">(${formatPercent(variant.interval.min, 2)} to ${formatPercent(variant.interval.max, 2)})</span></td>
+                <td>${lift}</td>
+                <td>${evidence}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <table class="variant-table">
+            <thead><tr><th>Variant</th><th>Allocation</th><th>Visitors</th><th>Conversions</th><th>Rate (CI)</th><th>Lift (CI)</th><th>Evidence</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+export function renderExperiment(experiment) {
+    const srm = experiment.srm.mismatch
+        ? `<div class="srm-warning" role="alert">⚠️ Sample ratio mismatch: visitors per variant (${experiment.variants.map(variant => variant.sessions).join(' / ')}) don't match the allocation (${experiment.variants.map(variant => formatPercent(variant.allocation, 0)).join(' / ')}), χ² p = ${experiment.srm.pValue.toExponential(1)}.</div>`
+        : '';
+
+    return `
+        <section class="experiment-card" data-experiment="${escapeHtml(experiment.id)}">
+            <header>
+                <h2>${escapeHtml(experiment.name)}</h2>
+                <span class="badge ${escapeHtml(experiment.status)}">${escapeHtml(experiment.status)}</span>
+                <p class="meta">${escapeHtml(experiment.methodLabel || experiment.method || 'No analysis yet')} · primary metric ${escapeHtml(experiment.primaryMetric)} · ${experiment.totalSessions.toLocaleString('en-US')} visitors</p>
+            </header>
+            <div class="recommendation ${escapeHtml(experiment.recommendation.action)}">${escapeHtml(experiment.recommendation.message)}</div>
+            ${srm}
+            <h3>Conversion rate (${formatPercent(experiment.confidenceLevel, 0)} intervals)</h3>
+            ${renderIntervalBars(experiment)}
+            <h3>Cumulative lift vs ${escapeHtml(experiment.variants[0].name)}</h3>
+            ${renderLiftChart(experiment)}
+            ${renderVariantTable(experiment)}
+        </section>`;
+}
+
+export function renderDashboard(experiments) {
+    if (experiments.length === 0) {
+        return '<p class="dashboard-empty">No experiment results yet. Load a results file or open this page on the site that ran the experiments.</p>';
+    }
+    return experiments.map(renderExperiment).join('');
+}
+
+/**
+ * EXPERIMENT DASHBOARD
+ * Loads results into a container element and exports them
+ */
+export class ExperimentDashboard {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...DEFAULT_OPTIONS, storageKey: STORAGE_KEY, ...options };
+        this.experiments = [];
+    }
+
+    load(data) {
+        this.experiments = loadDashboardData(data).map(experiment => analyzeExperiment(experiment, this.options));
+        this.render();
+        return this.experiments;
+    }
+
+    loadFromStorage(storage = localStorage) {
+        return this.load(storage.getItem(this.options.storageKey) || '{}');
+    }
+
+    async loadFromFile(file) {
+        return this.load(await file.text());
+    }
+
+    render() {
+        if (this.container) {
+            this.container.innerHTML = renderDashboard(this.experiments);
+        }
+    }
+
+    export(format = 'json') {
+        return format === 'csv' ? toCSV(this.experiments) : toJSON(this.experiments);
+    }
+
+    download(format = 'json') {
+        const content = this.export(format);
+        const date = new Date().toISOString().slice(0, 10);
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `facepay-experiments-${date}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        return content;
+    }
+}
+
+export default ExperimentDashboard;
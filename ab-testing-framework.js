@@ -10,8 +10,56 @@
  * - Experiment segmentation
  * - Bayesian optimization
  * - Dynamic winner detection
+ * - Sequential (mSPRT) and Bayesian decision methods
+ * - Sticky MurmurHash bucketing with namespaces and holdouts
+ * - Declarative experiment definitions from experiments.json or a remote URL
+ * - Primary, secondary and guardrail metrics; guardrail breaches stop the variant
+ * - Server-side assignments (ab-testing-server.js cookies, or <html data-ab-assignments> before consent)
+ *   are honoured instead of re-assigning
+ * - Hourly cumulative results history and exportable reports for ab-testing-dashboard.js
+ * - Data quality: SRM checks, bot and duplicate-event filtering, visitors seen in several variants
  */
 
+import { StatisticsEngine, normalizeAnalysis } from './ab-testing-statistics.js';
+import {
+    ExperimentBucketer,
+    createVisitorId,
+    normalizeNamespace,
+    parseCookies,
+    decodeAssignments,
+    VISITOR_COOKIE,
+    ASSIGNMENTS_COOKIE
+} from './ab-testing-bucketing.js';
+import { ExperimentConfigLoader } from './ab-testing-config.js';
+import {
+    METRICS,
+    DEFAULT_GUARDRAILS,
+    normalizeMetrics,
+    trackedMetrics,
+    createMetricStats,
+    recordMetricValue,
+    summarizeMetric,
+    guardrailTest
+} from './ab-testing-metrics.js';
+import {
+    QUALITY_DEFAULTS,
+    isLikelyBot,
+    createQualityState,
+    recordUnitEvent,
+    startSplit,
+    assessQuality,
+    summarizeQuality
+} from './ab-testing-quality.js';
+
+// Cumulative results are snapshotted once per interval for the dashboard's lift-over-time chart
+const HISTORY_INTERVAL = 60 * 60 * 1000;
+const MAX_HISTORY_POINTS = 24 * 60;
+
+// Persisted variantResults: entries, or {} from data saved before they were stored as entries
+export function reviveVariantResults(stored) {
+    return new Map(Array.isArray(stored) ? stored : Object.entries(stored || {}));
+}
+
 export class ABTestingFramework {
     constructor(options = {}) {
         this.options = {
@@ -20,9 +68,32 @@ export class ABTestingFramework {
             minimumDetectableEffect: options.minimumDetectableEffect || 0.1,
             maxExperimentDuration: options.maxExperimentDuration || 30 * 24 * 60 * 60 * 1000, // 30 days
             autoWinner: options.autoWinner || true,
+            // Default decision method for experiments that don't pick one:
+            // 'sequential', 'bayesian' or 'fixed-horizon' (see ab-testing-statistics.js)
+            analysis: options.analysis || 'sequential',
+            // Guardrails for experiments whose metrics don't list their own (see ab-testing-metrics.js)
+            guardrails: options.guardrails || DEFAULT_GUARDRAILS,
+            // Share of visitors kept out of every experiment, e.g. { percentage: 0.05 }
+            holdout: options.holdout || { percentage: 0 },
+            visitorIdKey: options.visitorIdKey || 'ab_visitor_id',
+            // consent-manager.js API; defaults to window.FacePayConsent. Without analytics consent the visitor id,
+            // its cookie and saved assignments stay in memory for this page view (see TRACKING_STORAGE there)
+            consent: options.consent || null,
+            // Experiment definitions (see ab-testing-config.js): a URL, or the parsed document in `experiments`.
+            // Set experimentsUrl to null to start without default experiments
+            experimentsUrl: options.experimentsUrl === undefined ? 'experiments.json' : options.experimentsUrl,
+            experiments: options.experiments || null,
+            // Copy language for localised variants; defaults to <html lang>
+            locale: options.locale || null,
+            // Run every active experiment once definitions load, then reveal the page (anti-flicker)
+            autoRun: options.autoRun || false,
+            // Crawlers and automated browsers never enter experiments
+            filterBots: options.filterBots !== false,
             debug: options.debug || false,
             ...options
         };
+        // SRM threshold, dedupe window and crossover limit (see ab-testing-quality.js)
+        this.options.quality = { ...QUALITY_DEFAULTS, ...options.quality };
 
         this.experiments = new Map();
         this.userAssignments = new Map();
@@ -30,6 +101,13 @@ export class ABTestingFramework {
         this.segments = new Map();
         
         this.statisticsEngine = new StatisticsEngine(this.options);
+        this.bucketer = new ExperimentBucketer({ holdout: this.options.holdout });
+        this.isBot = this.options.filterBots && isLikelyBot(typeof navigator !== 'undefined' ? navigator : null);
+        this.visitorId = this.loadVisitorId();
+        // Variants the server already picked (and usually rendered) for this visitor; in the page itself
+        // when it could not set a cookie before analytics consent
+        this.serverAssignments = decodeAssignments(this.readCookie(ASSIGNMENTS_COOKIE) || this.readRootAttribute('data-ab-assignments'));
+        this.configLoader = new ExperimentConfigLoader({ locale: this.options.locale });
         this.segmentationEngine = new SegmentationEngine();
         this.optimizationEngine = new BayesianOptimization();
         
@@ -41,13 +119,24 @@ export class ABTestingFramework {
         
         // Load persisted data
         this.loadPersistedData();
+        // Writes the visitor id and this page view's assignments once the visitor allows analytics
+        this.cancelConsentWait = this.consent?.whenGranted('analytics', () => this.storeVisitorId()) || null;
         
-        // Initialize default experiments
-        this.initializeDefaultExperiments();
+        // Load default experiments; `ready` resolves once they exist and the page is revealed
+        this.ready = this.initializeDefaultExperiments().then(experiments => {
+            if (this.options.autoRun) {
+                this.runActiveExperiments();
+            }
+            this.revealPage();
+            return experiments;
+        });
         
         // Start performance monitoring
         this.startPerformanceMonitoring();
         
+        // Feed scroll depth, video completion and web vitals into experiment metrics
+        this.setupMetricCollectors();
+        
         this.log('✅ A/B Testing Framework Active');
     }
 
@@ -58,6 +147,10 @@ export class ABTestingFramework {
         const experiment = {
             id: config.id,
             name: config.name,
+            // Hash salt for variant buckets; change it to re-randomise a relaunched experiment
+            salt: config.salt || config.id,
+            // Mutually exclusive layer: 'hero' or { id: 'hero', range: [0, 0.5] }
+            namespace: normalizeNamespace(config.namespace),
             description: config.description,
             hypothesis: config.hypothesis,
             startDate: Date.now(),
@@ -65,18 +158,30 @@ export class ABTestingFramework {
             status: 'active',
             variants: this.normalizeVariants(config.variants),
             segments: config.segments || ['all'],
-            metrics: config.metrics || ['conversion', 'engagement'],
+            // { primary, secondary, guardrails }; the primary metric decides the winner
+            metrics: normalizeMetrics(config.metrics, { guardrails: this.options.guardrails }),
             trafficAllocation: config.trafficAllocation || this.calculateOptimalAllocation(config.variants),
+            analysis: normalizeAnalysis(config.analysis || this.options.analysis),
             results: {
                 totalSessions: 0,
                 variantResults: new Map(),
                 statisticalSignificance: false,
                 confidenceLevel: 0,
                 winner: null,
-                liftRange: { min: 0, max: 0 }
+                liftRange: { min: 0, max: 0 },
+                analysis: null,
+                // Latest guardrail checks per challenger: { [variantId]: { [metric]: check } }
+                guardrails: {},
+                // Hourly cumulative { timestamp, variants: { [variantId]: { sessions, conversions } } }
+                history: [],
+                // SRM, filtered events and crossovers; a flagged experiment can't get a winner
+                quality: createQualityState()
             }
         };
 
+        const others = Array.from(this.experiments.values()).filter(other => other.id !== experiment.id);
+        ExperimentBucketer.assertExclusive([...others, experiment]);
+
         // Initialize variant results
         experiment.variants.forEach(variant => {
             experiment.results.variantResults.set(variant.id, {
@@ -85,10 +190,13 @@ export class ABTestingFramework {
                 conversionRate: 0,
                 engagementTime: 0,
                 bounceRate: 0,
-                revenue: 0
+                revenue: 0,
+                metrics: Object.fromEntries(trackedMetrics(experiment.metrics).map(id => [id, createMetricStats()]))
             });
         });
 
+        this.restorePersistedResults(experiment, this.experiments.get(experiment.id));
+
         this.experiments.set(experiment.id, experiment);
         this.persistData();
         
@@ -96,21 +204,45 @@ export class ABTestingFramework {
         return experiment;
     }
 
+    // Definitions are re-created on every page load; results saved for the same variants carry over
+    restorePersistedResults(experiment, persisted) {
+        const sameVariants = persisted?.variants &&
+            persisted.salt === experiment.salt &&
+            persisted.variants.map(variant => variant.id).join() === experiment.variants.map(variant => variant.id).join();
+        if (!sameVariants || !(persisted.results?.variantResults instanceof Map)) return;
+
+        experiment.startDate = persisted.startDate;
+        experiment.status = persisted.status;
+        experiment.variants.forEach((variant, index) => {
+            const { status, stoppedAt, stopReason } = persisted.variants[index];
+            Object.assign(variant, { status: status || 'active' }, stoppedAt && { stoppedAt, stopReason });
+        });
+
+        const variantResults = experiment.results.variantResults;
+        experiment.results = { ...experiment.results, ...persisted.results, variantResults };
+        persisted.results.variantResults.forEach((results, variantId) => {
+            // Metrics added to the definition since start from empty
+            variantResults.set(variantId, { ...results, metrics: { ...variantResults.get(variantId).metrics, ...results.metrics } });
+        });
+    }
+
     normalizeVariants(variants) {
         const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
         
         return variants.map(variant => ({
             ...variant,
             weight: (variant.weight || 1) / totalWeight,
-            normalizedWeight: (variant.weight || 1) / totalWeight
+            normalizedWeight: (variant.weight || 1) / totalWeight,
+            // 'stopped' once a guardrail breach (or stopVariant) takes it out of rotation
+            status: variant.status || 'active'
         }));
     }
 
     calculateOptimalAllocation(variants) {
-        // Equal allocation by default, can be optimized later
-        const equalWeight = 1 / variants.length;
+        // The configured weights (equal by default): the split the bucketer produces and SRM checks for
+        const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
         return variants.reduce((allocation, variant) => {
-            allocation[variant.id] = equalWeight;
+            allocation[variant.id] = (variant.weight || 1) / totalWeight;
             return allocation;
         }, {});
     }
@@ -120,12 +252,15 @@ export class ABTestingFramework {
      */
     assignUserToExperiment(experimentId, userId = null, userContext = {}) {
         const experiment = this.experiments.get(experimentId);
-        if (!experiment || experiment.status !== 'active') {
+        if (!experiment || experiment.status !== 'active' || this.isBot) {
             return null;
         }
 
+        // Anonymous visitors are bucketed by their persisted visitor id
+        const unitId = userId || this.visitorId;
+
         // Check if user is already assigned
-        const assignmentKey = `${experimentId}_${userId || 'anonymous'}`;
+        const assignmentKey = `${experimentId}_${unitId}`;
         if (this.userAssignments.has(assignmentKey)) {
             return this.userAssignments.get(assignmentKey);
         }
@@ -135,15 +270,28 @@ export class ABTestingFramework {
             return null;
         }
 
-        // Assign variant using consistent hashing
-        const variant = this.selectVariantForUser(experiment, userId, userContext);
+        // The server's pick for this visitor wins while that variant is still served
+        const serverVariantId = unitId === this.visitorId ? this.serverAssignments[experimentId] : null;
+        const serverVariant = serverVariantId && experiment.variants.find(v => v.id === serverVariantId && v.status !== 'stopped');
+
+        // Holdout and namespace exclusions are deterministic too, so they need no caching
+        const { variant: bucketed, reason } = serverVariant
+            ? { variant: serverVariant, reason: 'server' }
+            : this.bucketer.assign(experiment, unitId);
+        const variant = this.servedVariant(experiment, bucketed);
+        if (!variant) {
+            this.log(`🚫 ${unitId} excluded from ${experimentId} (${reason})`);
+            return null;
+        }
         
         const assignment = {
             experimentId: experimentId,
             variantId: variant.id,
             userId: userId,
+            visitorId: unitId,
             assignmentTime: Date.now(),
-            userContext: userContext
+            userContext: userContext,
+            source: serverVariant ? 'server' : 'client'
         };
 
         this.userAssignments.set(assignmentKey, assignment);
@@ -159,22 +307,58 @@ export class ABTestingFramework {
         return assignment;
     }
 
-    selectVariantForUser(experiment, userId, userContext) {
-        // Use deterministic hash for consistent assignment
-        const hashInput = `${experiment.id}_${userId || Date.now()}_${JSON.stringify(userContext)}`;
-        const hash = this.hashString(hashInput);
-        const random = hash % 1000000 / 1000000; // Convert to 0-1 range
+    selectVariantForUser(experiment, userId) {
+        // MurmurHash of the experiment salt and visitor: same visitor, same variant, whatever the context
+        return this.servedVariant(experiment, this.bucketer.selectVariant(experiment, userId || this.visitorId));
+    }
 
-        let cumulativeWeight = 0;
-        for (const variant of experiment.variants) {
-            cumulativeWeight += variant.normalizedWeight;
-            if (random <= cumulativeWeight) {
-                return variant;
-            }
+    // Buckets always span every variant, so stopping one moves nobody else; its share of new visitors gets control
+    servedVariant(experiment, variant) {
+        return variant?.status === 'stopped' ? experiment.variants[0] : variant;
+    }
+
+    get consent() {
+        return this.options.consent || (typeof window !== 'undefined' ? window.FacePayConsent : null) || null;
+    }
+
+    canStore() {
+        return !!this.consent?.has('analytics');
+    }
+
+    loadVisitorId() {
+        // The cookie is what the server buckets on, so it wins over a stored id
+        const cookieId = this.readCookie(VISITOR_COOKIE);
+        if (cookieId) return cookieId;
+
+        try {
+            return (this.canStore() && localStorage.getItem(this.options.visitorIdKey)) || createVisitorId();
+        } catch (error) {
+            // Storage blocked: stable for this page view only
+            this.log('Visitor id storage unavailable:', error);
+            return createVisitorId();
         }
+    }
 
-        // Fallback to first variant
-        return experiment.variants[0];
+    storeVisitorId() {
+        try {
+            localStorage.setItem(this.options.visitorIdKey, this.visitorId);
+        } catch (error) {
+            this.log('Visitor id storage unavailable:', error);
+        }
+        if (this.readCookie(VISITOR_COOKIE) !== this.visitorId) {
+            this.writeCookie(VISITOR_COOKIE, this.visitorId);
+        }
+        this.persistData();
+    }
+
+    readCookie(name) {
+        if (typeof document === 'undefined' || typeof document.cookie !== 'string') return null;
+        return parseCookies(document.cookie)[name] || null;
+    }
+
+    writeCookie(name, value, maxAge = 365 * 24 * 60 * 60) {
+        if (typeof document === 'undefined' || typeof document.cookie !== 'string') return;
+        document.cookie = `${name}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; SameSite=Lax`;
     }
 
     matchesSegment(userContext, segments) {
@@ -200,14 +384,19 @@ export class ABTestingFramework {
         const experiment = this.experiments.get(experimentId);
         const variant = experiment.variants.find(v => v.id === assignment.variantId);
 
-        // Apply variant changes
-        this.applyVariant(variant);
+        // Apply variant changes; visitors already in a stopped variant get control from now on.
+        // Variants the server pre-rendered are already in the page
+        const shown = variant.status === 'stopped' ? experiment.variants[0] : variant;
+        if (!(this.isServerRendered(experimentId) && this.serverAssignments[experimentId] === shown.id)) {
+            this.applyVariant(shown);
+        }
 
         // Track exposure
         this.trackExperimentEvent(experimentId, assignment.variantId, 'exposure', {
             userId: userId,
             userContext: userContext
         });
+        this.publishExposure(experimentId, assignment.variantId);
 
         return {
             variant: variant,
@@ -216,6 +405,32 @@ export class ABTestingFramework {
         };
     }
 
+    /**
+     * Runs every active experiment for this visitor, e.g. straight after definitions load
+     */
+    runActiveExperiments(userId = null, userContext = {}) {
+        return this.getActiveExperiments()
+            .map(experiment => this.runExperiment(experiment.id, userId, userContext))
+            .filter(result => result.variant);
+    }
+
+    isServerRendered(experimentId) {
+        const rendered = this.readRootAttribute('data-ab-rendered');
+        return Boolean(rendered) && rendered.split(' ').includes(experimentId);
+    }
+
+    readRootAttribute(name) {
+        const root = typeof document !== 'undefined' ? document.documentElement : null;
+        return root && root.getAttribute ? root.getAttribute(name) : null;
+    }
+
+    // Lifts the anti-flicker snippet's hiding (ab-testing-anti-flicker.js), if it is on the page
+    revealPage() {
+        if (typeof window !== 'undefined' && window.abAntiFlicker) {
+            window.abAntiFlicker.reveal();
+        }
+    }
+
     applyVariant(variant) {
         if (!variant || !variant.changes) return;
 
@@ -274,6 +489,12 @@ export class ABTestingFramework {
         const variantResults = experiment.results.variantResults.get(variantId);
         if (!variantResults) return;
 
+        if (this.isFilteredEvent(experiment, variantId, event, data)) {
+            // Only the filtered counts changed
+            this.persistData();
+            return;
+        }
+
         // Update metrics based on event type
         switch (event) {
             case 'exposure':
@@ -302,11 +523,19 @@ export class ABTestingFramework {
                 break;
         }
 
+        // Primary, secondary and guardrail metrics listening for this event
+        this.recordMetricEvent(experiment, variantResults, event, data);
+
+        // Guardrails first, so a stopped variant can't be declared the winner below
+        this.checkGuardrails(experiment);
+        this.updateDataQuality(experiment);
+
         // Calculate statistical significance
         this.updateStatisticalSignificance(experiment);
+        this.recordHistory(experiment);
 
         // Check for automatic winner detection
-        if (this.options.autoWinner && this.shouldDeclareWinner(experiment)) {
+        if (this.options.autoWinner && experiment.status === 'active' && this.shouldDeclareWinner(experiment)) {
             this.declareWinner(experiment);
         }
 
@@ -316,33 +545,198 @@ export class ABTestingFramework {
         this.log(`📊 ${event} tracked for ${experimentId}/${variantId}:`, data);
     }
 
-    updateStatisticalSignificance(experiment) {
-        const controlVariant = experiment.variants[0]; // Assume first variant is control
-        const controlResults = experiment.results.variantResults.get(controlVariant.id);
+    /**
+     * DATA QUALITY
+     * Bot traffic and duplicates are dropped before they count; crossovers are counted and flagged
+     */
+    isFilteredEvent(experiment, variantId, event, data) {
+        const quality = experiment.results.quality || (experiment.results.quality = createQualityState());
 
-        experiment.variants.slice(1).forEach(variant => {
-            const variantResults = experiment.results.variantResults.get(variant.id);
-            
-            if (controlResults.sessions >= this.options.minimumSampleSize &&
-                variantResults.sessions >= this.options.minimumSampleSize) {
-                
-                const significance = this.statisticsEngine.calculateSignificance(
-                    controlResults,
-                    variantResults
-                );
-
-                if (significance.pValue < (1 - this.options.confidenceLevel)) {
-                    experiment.results.statisticalSignificance = true;
-                    experiment.results.confidenceLevel = 1 - significance.pValue;
-                    experiment.results.liftRange = significance.liftRange;
+        if (this.isBot || (this.options.filterBots && isLikelyBot({ userAgent: data.userAgent }))) {
+            quality.filtered.bots++;
+            return true;
+        }
+
+        const unitId = data.userId || this.visitorId;
+        const { duplicate, crossover } = recordUnitEvent(quality, unitId, variantId, event, Date.now(), this.options.quality.dedupeWindow);
+        if (crossover) {
+            this.log(`⚠️ ${unitId} has events in several variants of ${experiment.id}`);
+        }
+        return duplicate;
+    }
+
+    updateDataQuality(experiment) {
+        const quality = experiment.results.quality || (experiment.results.quality = createQualityState());
+        const wasFlagged = quality.flagged;
+
+        assessQuality(quality, experiment.variants.map(variant => ({
+            id: variant.id,
+            status: variant.status,
+            allocation: variant.normalizedWeight ?? variant.weight,
+            sessions: experiment.results.variantResults.get(variant.id).sessions
+        })), this.statisticsEngine, this.options.quality);
+
+        if (quality.flagged && !wasFlagged) {
+            this.log(`🚩 Data quality issues in ${experiment.name}:`, quality.issues);
+            this.trackEvent(experiment.id, 'quality_flagged', { issues: quality.issues });
+        }
+        return quality;
+    }
+
+    recordMetricEvent(experiment, variantResults, event, data) {
+        // One value per visitor and metric: repeat events update it instead of counting twice
+        const unitId = data.userId || this.visitorId;
+
+        trackedMetrics(experiment.metrics)
+            .filter(id => METRICS[id].event === event && variantResults.metrics?.[id])
+            .forEach(id => recordMetricValue(id, variantResults.metrics[id], unitId, data.value));
+    }
+
+    /**
+     * Records a metric for every active experiment the visitor is in that tracks it,
+     * e.g. trackMetric('scroll_depth', 75) or trackMetric('email_capture')
+     */
+    trackMetric(metricId, value = 1, userId = null) {
+        if (!METRICS[metricId]) {
+            throw new Error(`Unknown metric "${metricId}". Use one of: ${Object.keys(METRICS).join(', ')}`);
+        }
+
+        const unitId = userId || this.visitorId;
+        Array.from(this.userAssignments.values())
+            .filter(assignment => assignment.visitorId === unitId)
+            .forEach(assignment => {
+                const experiment = this.experiments.get(assignment.experimentId);
+                if (!experiment || experiment.status !== 'active' || !trackedMetrics(experiment.metrics).includes(metricId)) {
+                    return;
                 }
-            }
-        });
+
+                this.trackExperimentEvent(experiment.id, assignment.variantId, METRICS[metricId].event, { userId: unitId, value });
+            });
+    }
+
+    /**
+     * GUARDRAILS
+     * Stops any challenger that makes a guardrail metric significantly worse than control
+     */
+    checkGuardrails(experiment) {
+        if (experiment.status !== 'active' || experiment.metrics.guardrails.length === 0) return;
+
+        const [control, ...challengers] = experiment.variants;
+        const controlResults = experiment.results.variantResults.get(control.id);
+
+        challengers
+            .filter(variant => variant.status !== 'stopped')
+            .forEach(variant => {
+                const results = experiment.results.variantResults.get(variant.id);
+                const checks = experiment.results.guardrails[variant.id] || {};
+
+                experiment.metrics.guardrails.forEach(guardrail => {
+                    const id = guardrail.metric;
+                    checks[id] = guardrailTest(
+                        this.statisticsEngine,
+                        summarizeMetric(id, controlResults.metrics[id], controlResults.sessions),
+                        summarizeMetric(id, results.metrics[id], results.sessions),
+                        guardrail,
+                        checks[id]
+                    );
+                });
+                experiment.results.guardrails[variant.id] = checks;
+
+                const breaches = Object.values(checks).filter(check => check.degraded);
+                if (breaches.length > 0) {
+                    const reason = breaches.map(check => {
+                        const change = check.relativeChange === null ? '' : ` ${(check.relativeChange * 100).toFixed(1)}% vs control`;
+                        return `${METRICS[check.metric].label} degraded${change} (p = ${check.pValue.toFixed(4)})`;
+                    }).join('; ');
+                    this.stopVariant(experiment.id, variant.id, reason);
+                }
+            });
+    }
+
+    /**
+     * Takes a challenger out of rotation; its visitors see control. The control can't be stopped.
+     */
+    stopVariant(experimentId, variantId, reason = 'Stopped manually') {
+        const experiment = this.experiments.get(experimentId);
+        const variant = experiment?.variants.find(entry => entry.id === variantId);
+        if (!variant || variant === experiment.variants[0] || variant.status === 'stopped') {
+            return false;
+        }
+
+        variant.status = 'stopped';
+        variant.stoppedAt = Date.now();
+        variant.stopReason = reason;
+        // SRM is checked separately on the traffic after the stop
+        const quality = experiment.results.quality || (experiment.results.quality = createQualityState());
+        startSplit(quality, experiment.variants.filter(entry => entry.status === 'stopped').map(entry => entry.id), variant.stoppedAt);
+        this.log(`🛑 Stopped variant ${variantId} of ${experiment.name}: ${reason}`);
+        this.trackEvent(experimentId, 'variant_stopped', { variantId, reason });
+
+        // Nothing left to compare: control stays
+        if (experiment.variants.slice(1).every(entry => entry.status === 'stopped')) {
+            experiment.status = 'completed';
+            experiment.results.winner = experiment.variants[0].id;
+            this.log(`🛑 Every challenger in ${experiment.name} stopped; keeping control`);
+        }
+
+        this.persistData();
+        return true;
+    }
+
+    updateStatisticalSignificance(experiment) {
+        // The experiment's own method decides on its primary metric; the first variant is the control
+        const analysis = this.statisticsEngine.analyze(this.primaryMetricView(experiment), experiment.results.analysis);
+        experiment.results.analysis = analysis;
+        experiment.results.statisticalSignificance = analysis.decided;
+
+        const leader = analysis.variants[analysis.winner] ||
+            Object.values(analysis.variants).sort((a, b) => b.lift - a.lift)[0];
+        if (leader) {
+            experiment.results.confidenceLevel = analysis.method === 'bayesian'
+                ? Math.max(leader.probabilityToBeatControl, 1 - leader.probabilityToBeatControl)
+                : 1 - leader.pValue;
+            experiment.results.liftRange = leader.liftRange;
+        }
+    }
+
+    // Experiment shaped for StatisticsEngine: active variants only, conversions from the primary metric
+    primaryMetricView(experiment) {
+        const variants = experiment.variants.filter((variant, index) => index === 0 || variant.status !== 'stopped');
+        const variantResults = new Map(variants.map(variant => {
+            const results = experiment.results.variantResults.get(variant.id);
+            return [variant.id, { ...results, conversions: this.primaryConversions(experiment, results) }];
+        }));
+
+        return { ...experiment, variants, results: { ...experiment.results, variantResults } };
+    }
+
+    // 'conversion' keeps counting every conversion event; other rates count visitors with the event
+    primaryConversions(experiment, results) {
+        const { primary } = experiment.metrics;
+        return primary === 'conversion' ? results.conversions : results.metrics?.[primary]?.n || 0;
+    }
+
+    // Updates the current interval's cumulative snapshot, or starts a new one
+    recordHistory(experiment) {
+        const history = experiment.results.history || (experiment.results.history = []);
+        const timestamp = Math.floor(Date.now() / HISTORY_INTERVAL) * HISTORY_INTERVAL;
+        const variants = Object.fromEntries(experiment.variants.map(variant => {
+            const results = experiment.results.variantResults.get(variant.id);
+            return [variant.id, { sessions: results.sessions, conversions: this.primaryConversions(experiment, results) }];
+        }));
+
+        if (history.length > 0 && history[history.length - 1].timestamp === timestamp) {
+            history[history.length - 1].variants = variants;
+        } else {
+            history.push({ timestamp, variants });
+            history.splice(0, history.length - MAX_HISTORY_POINTS);
+        }
     }
 
     shouldDeclareWinner(experiment) {
-        // Check if we have statistical significance
-        if (!experiment.results.statisticalSignificance) {
+        // Only act on a decision from the experiment's method; the sequential and Bayesian
+        // methods stay valid however often this runs, fixed-horizon only decides at its sample size
+        if (!experiment.results.analysis?.winner) {
             return false;
         }
 
@@ -362,16 +756,25 @@ export class ABTestingFramework {
     }
 
     declareWinner(experiment) {
-        // Find the best performing variant
-        let bestVariant = null;
-        let bestRate = 0;
+        // A broken split or mixed-up visitors make any winner meaningless
+        if (experiment.results.quality?.flagged) {
+            this.log(`🚩 Not declaring a winner for ${experiment.name}: ${experiment.results.quality.issues.join('; ')}`);
+            return null;
+        }
 
-        experiment.results.variantResults.forEach((results, variantId) => {
-            if (results.conversionRate > bestRate) {
-                bestRate = results.conversionRate;
-                bestVariant = variantId;
-            }
-        });
+        // Prefer the statistical decision; fall back to the best observed rate for manual stops
+        let bestVariant = experiment.results.analysis?.winner || null;
+        let bestRate = bestVariant ? experiment.results.variantResults.get(bestVariant).conversionRate : 0;
+
+        if (!bestVariant) {
+            experiment.results.variantResults.forEach((results, variantId) => {
+                const variant = experiment.variants.find(entry => entry.id === variantId);
+                if (variant?.status !== 'stopped' && results.conversionRate > bestRate) {
+                    bestRate = results.conversionRate;
+                    bestVariant = variantId;
+                }
+            });
+        }
 
         experiment.results.winner = bestVariant;
         experiment.status = 'completed';
@@ -388,308 +791,89 @@ export class ABTestingFramework {
      * DEFAULT EXPERIMENTS
      */
     initializeDefaultExperiments() {
-        // Headline Test
-        this.createExperiment({
-            id: 'headline_optimization_2024',
-            name: 'Headline Optimization',
-            description: 'Testing different headline approaches for maximum impact',
-            hypothesis: 'Pain point headlines will convert better than curiosity-based headlines',
-            variants: [
-                {
-                    id: 'control',
-                    name: 'Original',
-                    weight: 20,
-                    changes: {
-                        '.hero h1': 'Face ID Beats Gas Fees',
-                        '.hero p': 'Send crypto like @juan → @maria. Your face is your wallet. Zero gas fees on StarkNet.'
-                    }
-                },
-                {
-                    id: 'pain_point',
-                    name: 'Pain Point Focus',
-                    weight: 20,
-                    changes: {
-                        '.hero h1': '¿Cansado de Pagar $50 en Gas Fees?',
-                        '.hero p': 'Esta App lo Cambió Todo para 10,000+ Personas'
-                    }
-                },
-                {
-                    id: 'curiosity',
-                    name: 'Curiosity Gap',
-                    weight: 20,
-                    changes: {
-                        '.hero h1': 'Por Primera Vez en la Historia:',
-                        '.hero p': 'Envía Crypto Como Un DM de Instagram (0% Gas Fees, 100% Real)'
-                    }
-                },
-                {
-                    id: 'exclusive',
-                    name: 'Exclusivity',
-                    weight: 20,
-                    changes: {
-                        '.hero h1': 'BETA EXCLUSIVA:',
-                        '.hero p': 'La App Que Hizo Crypto Tan Fácil Como FaceTime'
-                    }
-                },
-                {
-                    id: 'social_proof',
-                    name: 'Social Proof',
-                    weight: 20,
-                    changes: {
-                        '.hero h1': '10,000+ Usuarios Ya Ahorraron $2.3M',
-                        '.hero p': 'Descubre la App Crypto Más Fácil del Mundo'
-                    }
-                }
-            ],
-            metrics: ['conversion', 'engagement', 'video_completion']
-        });
-
-        // CTA Button Test
-        this.createExperiment({
-            id: 'cta_optimization_2024',
-            name: 'CTA Button Optimization',
-            description: 'Testing different CTA approaches and psychological triggers',
-            hypothesis: 'Urgency-based CTAs will outperform benefit-based CTAs',
-            variants: [
-                {
-                    id: 'control',
-                    name: 'Original',
-                    weight: 16.66,
-                    changes: {
-                        '.btn-primary': {
-                            text: 'See The Magic',
-                            style: {
-                                background: 'linear-gradient(135deg, var(--primary), var(--secondary))'
-                            }
-                        }
-                    }
-                },
-                {
-                    id: 'urgency',
-                    name: 'Urgency',
-                    weight: 16.66,
-                    changes: {
-                        '.btn-primary': {
-                            text: '🔥 ACCESO INMEDIATO (SOLO HOY)',
-                            style: {
-                                background: 'linear-gradient(135deg, #ef4444, #dc2626)',
-                                animation: 'pulse 1s infinite'
-                            }
-                        }
-                    }
-                },
-                {
-                    id: 'benefit',
-                    name: 'Benefit Focus',
-                    weight: 16.66,
-                    changes: {
-                        '.btn-primary': {
-                            text: '💰 NUNCA MÁS GAS FEES (GRATIS)',
-                            style: {
-                                background: 'linear-gradient(135deg, #10b981, #059669)',
-                                boxShadow: '0 0 30px rgba(16, 185, 129, 0.4)'
-                            }
-                        }
-                    }
-                },
-                {
-                    id: 'social',
-                    name: 'Social Proof',
-                    weight: 16.66,
-                    changes: {
-                        '.btn-primary': {
-                            text: '🚀 ÚNETE A 10,000+ PIONEROS',
-                            style: {
-                                background: 'linear-gradient(135deg, #8b5cf6, #7c3aed)'
-                            }
-                        }
-                    }
-                },
-                {
-                    id: 'scarcity',
-                    name: 'Scarcity',
-                    weight: 16.66,
-                    changes: {
-                        '.btn-primary': {
-                            text: '⚡ DAME MI LUGAR ANTES QUE SE ACABE',
-                            style: {
-                                background: 'linear-gradient(135deg, #f59e0b, #d97706)',
-                                animation: 'countdownCritical 1s infinite'
-                            }
-                        }
-                    }
-                },
-                {
-                    id: 'risk_reversal',
-                    name: 'Risk Reversal',
-                    weight: 16.68,
-                    changes: {
-                        '.btn-primary': {
-                            text: '✅ PRUÉBALO GRATIS (SIN RIESGO)',
-                            style: {
-                                background: 'linear-gradient(135deg, #059669, #047857)'
-                            }
-                        }
-                    }
-                }
-            ],
-            metrics: ['conversion', 'click_through', 'time_to_conversion']
-        });
-
-        // Video Placement Test
-        this.createExperiment({
-            id: 'video_placement_2024',
-            name: 'Demo Video Placement',
-            description: 'Testing optimal video placement for engagement',
-            hypothesis: 'Hero video placement will increase engagement over section placement',
-            variants: [
-                {
-                    id: 'control',
-                    name: 'Section Placement',
-                    weight: 33.33,
-                    changes: {} // Original placement
-                },
-                {
-                    id: 'hero_placement',
-                    name: 'Hero Placement',
-                    weight: 33.33,
-                    changes: {
-                        '.hero-content': {
-                            html: `
-                                <h1>Face ID Beats Gas Fees</h1>
-                                <div class="video-container mb-8">
-                                    <video class="demo-video" autoplay muted loop playsinline>
-                                        <source src="/facepay-demo.mp4" type="video/mp4">
-                                    </video>
-                                </div>
-                                <p>Send crypto like @juan → @maria. Your face is your wallet.</p>
-                            `
-                        }
-                    }
-                },
-                {
-                    id: 'modal_placement',
-                    name: 'Modal Trigger',
-                    weight: 33.34,
-                    changes: {
-                        '.btn-primary': {
-                            attributes: {
-                                'data-video-modal': 'true'
-                            }
-                        }
-                    }
-                }
-            ],
-            metrics: ['video_completion', 'engagement_time', 'conversion']
-        });
+        const source = this.options.experiments || this.options.experimentsUrl;
+        if (!source) {
+            return Promise.resolve([]);
+        }
 
-        // Pricing Display Test
-        this.createExperiment({
-            id: 'pricing_psychology_2024',
-            name: 'Pricing Psychology',
-            description: 'Testing different pricing presentation approaches',
-            hypothesis: 'Anchoring with high original price will increase perceived value',
-            variants: [
-                {
-                    id: 'control',
-                    name: 'Free Only',
-                    weight: 25,
-                    changes: {
-                        '[data-pricing]': {
-                            html: '<div class="text-3xl font-bold text-green-400">FREE</div>'
-                        }
-                    }
-                },
-                {
-                    id: 'anchored',
-                    name: 'Anchored Pricing',
-                    weight: 25,
-                    changes: {
-                        '[data-pricing]': {
-                            html: `
-                                <div class="price-anchoring">
-                                    <span class="original-price line-through text-gray-500 text-2xl">$497</span>
-                                    <span class="current-price text-3xl font-bold text-green-400 ml-3">FREE</span>
-                                    <div class="savings-badge bg-red-500 text-white px-2 py-1 rounded text-sm ml-3">
-                                        AHORRAS $497
-                                    </div>
-                                </div>
-                            `
-                        }
-                    }
-                },
-                {
-                    id: 'value_stack',
-                    name: 'Value Stack',
-                    weight: 25,
-                    changes: {
-                        '[data-pricing]': {
-                            html: `
-                                <div class="reciprocity-value-stack">
-                                    <h3 class="text-lg font-bold mb-3">Tu Regalo Beta Incluye:</h3>
-                                    <div class="space-y-2 text-sm">
-                                        <div class="flex justify-between">
-                                            <span>✅ Acceso Beta Premium</span>
-                                            <span class="text-green-400 font-bold">$197</span>
-                                        </div>
-                                        <div class="flex justify-between">
-                                            <span>✅ Username Reservado</span>
-                                            <span class="text-green-400 font-bold">$99</span>
-                                        </div>
-                                        <div class="flex justify-between">
-                                            <span>✅ Zero Gas Fees Lifetime</span>
-                                            <span class="text-green-400 font-bold">$201</span>
-                                        </div>
-                                        <hr class="border-gray-600">
-                                        <div class="flex justify-between font-bold text-lg">
-                                            <span>TOTAL:</span>
-                                            <span class="text-green-400">$497</span>
-                                        </div>
-                                        <div class="text-center bg-red-500/20 p-2 rounded">
-                                            <div class="text-red-400 font-bold">TU PRECIO: $0</div>
-                                        </div>
-                                    </div>
-                                </div>
-                            `
-                        }
-                    }
-                },
-                {
-                    id: 'limited_time',
-                    name: 'Limited Time',
-                    weight: 25,
-                    changes: {
-                        '[data-pricing]': {
-                            html: `
-                                <div class="urgency-container text-center">
-                                    <div class="text-sm text-yellow-400 mb-2">⏰ OFERTA LIMITADA</div>
-                                    <div class="text-3xl font-bold text-green-400">FREE</div>
-                                    <div class="text-sm text-red-400 mt-2">
-                                        Próximo grupo: $197
-                                    </div>
-                                </div>
-                            `
-                        }
-                    }
-                }
-            ],
-            metrics: ['conversion', 'perceived_value', 'trust_score']
-        });
+        return this.loadExperiments(source)
+            .then(experiments => {
+                this.log('📋 Default experiments initialized');
+                return experiments;
+            })
+            .catch(error => {
+                // Broken or unreachable config leaves the page on its original content
+                console.warn('⚠️ A/B experiment definitions not loaded:', error.message);
+                return [];
+            });
+    }
 
-        this.log('📋 Default experiments initialized');
+    /**
+     * Creates experiments from a definitions URL or document; rejects with every validation issue
+     */
+    async loadExperiments(source) {
+        const configs = await this.configLoader.load(source);
+        return configs.map(config => this.createExperiment(config));
     }
 
     /**
      * PERFORMANCE MONITORING
      */
     startPerformanceMonitoring() {
-        setInterval(() => {
+        this.monitoringInterval = setInterval(() => {
             this.updateExperimentPerformance();
             this.optimizeTrafficAllocation();
             this.checkExperimentHealth();
         }, 60000); // Every minute
     }
 
+    /**
+     * METRIC COLLECTORS
+     * Browser signals for the built-in secondary and guardrail metrics
+     */
+    setupMetricCollectors() {
+        this.connectPerformanceMonitor();
+
+        if (typeof document === 'undefined' || typeof document.addEventListener !== 'function') return;
+
+        // Max scroll depth, reported in 25% steps so scrolling doesn't persist on every frame
+        let reportedDepth = 0;
+        this.scrollHandler = () => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const depth = scrollable > 0 ? Math.min(100, Math.floor((window.scrollY / scrollable) * 4) * 25) : 100;
+            if (depth > reportedDepth) {
+                reportedDepth = depth;
+                this.trackMetric('scroll_depth', depth);
+            }
+        };
+        window.addEventListener('scroll', this.scrollHandler, { passive: true });
+
+        // 'ended' doesn't bubble, so listen in the capture phase for every <video>
+        this.videoEndedHandler = event => {
+            if (event.target?.tagName === 'VIDEO') {
+                this.trackMetric('video_completion');
+            }
+        };
+        document.addEventListener('ended', this.videoEndedHandler, true);
+    }
+
+    /**
+     * LCP, CLS and uncaught errors from PerformanceMonitor feed the guardrail metrics
+     */
+    connectPerformanceMonitor(monitor = typeof window !== 'undefined' ? window.PerformanceMonitor : null) {
+        if (!monitor || typeof monitor.onMetric !== 'function') return false;
+
+        if (this.disconnectPerformanceMonitor) {
+            this.disconnectPerformanceMonitor();
+        }
+        this.disconnectPerformanceMonitor = monitor.onMetric((name, metric) => {
+            Object.keys(METRICS)
+                .filter(id => METRICS[id].monitorMetric === name)
+                .forEach(id => this.trackMetric(id, metric.value));
+        });
+        return true;
+    }
+
     updateExperimentPerformance() {
         this.experiments.forEach(experiment => {
             if (experiment.status === 'active') {
@@ -770,14 +954,14 @@ export class ABTestingFramework {
         const issues = [];
         let score = 1.0;
 
-        // Check sample size distribution
-        const variantSessions = Array.from(experiment.results.variantResults.values())
-            .map(r => r.sessions);
-        const minSessions = Math.min(...variantSessions);
-        const maxSessions = Math.max(...variantSessions);
-        
-        if (maxSessions > 0 && minSessions / maxSessions < 0.5) {
-            issues.push('Uneven traffic distribution');
+        // Traffic split against the allocation (SRM), and visitors seen in several variants
+        const quality = experiment.results.quality;
+        if (quality?.srm?.mismatch) {
+            issues.push('Traffic split does not match the allocation (sample ratio mismatch)');
+            score -= 0.2;
+        }
+        if (quality?.crossoverRate > this.options.quality.maxCrossoverRate) {
+            issues.push('Visitors assigned to multiple variants');
             score -= 0.2;
         }
 
@@ -842,20 +1026,33 @@ export class ABTestingFramework {
         const experiment = this.experiments.get(experimentId);
         if (!experiment) return null;
 
+        const analysis = experiment.results.analysis ||
+            this.statisticsEngine.analyze(experiment);
+
         const report = {
             experiment: {
                 id: experiment.id,
                 name: experiment.name,
                 status: experiment.status,
                 runtime: Date.now() - experiment.startDate,
+                startDate: experiment.startDate,
                 hypothesis: experiment.hypothesis
             },
             results: {
                 totalSessions: experiment.results.totalSessions,
                 statisticalSignificance: experiment.results.statisticalSignificance,
                 confidenceLevel: experiment.results.confidenceLevel,
-                winner: experiment.results.winner
+                winner: experiment.results.winner,
+                method: analysis.method,
+                methodLabel: analysis.label,
+                primaryMetric: experiment.metrics.primary,
+                // Confidence the method was run at, for intervals drawn from this report
+                targetConfidence: this.options.confidenceLevel,
+                history: experiment.results.history || [],
+                quality: summarizeQuality(experiment.results.quality)
             },
+            metrics: experiment.metrics,
+            analysis: analysis,
             variants: [],
             insights: this.generateInsights(experiment),
             recommendations: this.generateRecommendations(experiment)
@@ -867,14 +1064,20 @@ export class ABTestingFramework {
             report.variants.push({
                 id: variant.id,
                 name: variant.name,
+                status: variant.status,
+                stopReason: variant.stopReason || null,
+                allocation: variant.normalizedWeight ?? variant.weight,
                 sessions: results.sessions,
                 conversions: results.conversions,
+                primaryConversions: this.primaryConversions(experiment, results),
                 conversionRate: results.conversionRate,
                 lift: this.calculateLift(results, experiment.results.variantResults.get(experiment.variants[0].id)),
-                significance: this.statisticsEngine.calculateSignificance(
-                    experiment.results.variantResults.get(experiment.variants[0].id),
-                    results
-                )
+                // Comparison against control from the experiment's method; null for the control itself
+                significance: analysis.variants[variant.id] || null,
+                // { n, mean, variance } per tracked metric; binomial means are rates
+                metrics: Object.fromEntries(Object.entries(results.metrics || {}).map(([id, stats]) =>
+                    [id, summarizeMetric(id, stats, results.sessions)])),
+                guardrails: experiment.results.guardrails[variant.id] || null
             });
         });
 
@@ -884,13 +1087,26 @@ export class ABTestingFramework {
     generateInsights(experiment) {
         const insights = [];
         const bestVariant = this.findBestVariant(experiment);
+        const analysis = experiment.results.analysis;
+
+        if (analysis) {
+            insights.push(analysis.decided
+                ? `${analysis.label} decided in favour of ${analysis.winner}`
+                : `${analysis.label} has not reached a decision yet`);
+        }
+
+        experiment.variants
+            .filter(variant => variant.status === 'stopped')
+            .forEach(variant => insights.push(`${variant.name || variant.id} was stopped: ${variant.stopReason}`));
+
+        (experiment.results.quality?.issues || []).forEach(issue => insights.push(`Data quality: ${issue}`));
         
         if (bestVariant.conversionRate > 0) {
             const controlRate = experiment.results.variantResults.get(experiment.variants[0].id).conversionRate;
             const lift = ((bestVariant.conversionRate - controlRate) / controlRate) * 100;
             
             if (lift > 10) {
-                insights.push(`The best variant shows a significant ${lift.toFixed(1)}% improvement over control`);
+                insights.push(`The best variant shows a ${lift.toFixed(1)}% observed improvement over control`);
             } else if (lift < -10) {
                 insights.push(`The current best variant is underperforming control by ${Math.abs(lift).toFixed(1)}%`);
             } else {
@@ -908,7 +1124,9 @@ export class ABTestingFramework {
     generateRecommendations(experiment) {
         const recommendations = [];
         
-        if (experiment.results.statisticalSignificance && experiment.results.winner) {
+        if (experiment.results.quality?.flagged) {
+            recommendations.push('Fix the data quality issues before acting on these results; no winner will be declared');
+        } else if (experiment.results.statisticalSignificance && experiment.results.winner) {
             recommendations.push(`Implement the winning variant: ${experiment.results.winner}`);
         } else if (experiment.results.totalSessions > this.options.minimumSampleSize * 2) {
             recommendations.push('Consider running the experiment longer or increasing traffic allocation');
@@ -932,10 +1150,26 @@ export class ABTestingFramework {
     /**
      * DATA PERSISTENCE
      */
+    /**
+     * Every experiment's report, the file ab-testing-dashboard.js imports
+     */
+    exportResults() {
+        return {
+            exportedAt: new Date().toISOString(),
+            reports: Array.from(this.experiments.keys()).map(experimentId => this.generateReport(experimentId))
+        };
+    }
+
     persistData() {
+        if (!this.canStore()) return;
+
         try {
             const data = {
-                experiments: Array.from(this.experiments.entries()),
+                // variantResults is a Map; stored as entries so it survives JSON
+                experiments: Array.from(this.experiments.entries(), ([id, experiment]) => [id, {
+                    ...experiment,
+                    results: { ...experiment.results, variantResults: Array.from(experiment.results.variantResults.entries()) }
+                }]),
                 userAssignments: Array.from(this.userAssignments.entries()),
                 results: Array.from(this.results.entries()),
                 timestamp: Date.now()
@@ -948,11 +1182,16 @@ export class ABTestingFramework {
     }
 
     loadPersistedData() {
+        if (!this.canStore()) return;
+
         try {
             const data = JSON.parse(localStorage.getItem('ab_testing_data') || '{}');
             
             if (data.experiments) {
-                this.experiments = new Map(data.experiments);
+                this.experiments = new Map(data.experiments.map(([id, experiment]) => [id, {
+                    ...experiment,
+                    results: { ...experiment.results, variantResults: reviveVariantResults(experiment.results?.variantResults) }
+                }]));
             }
             if (data.userAssignments) {
                 this.userAssignments = new Map(data.userAssignments);
@@ -970,16 +1209,6 @@ export class ABTestingFramework {
     /**
      * UTILITY METHODS
      */
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash);
-    }
-
     sendWinnerNotification(experiment) {
         // In a real implementation, this would send notifications
         // to stakeholders about experiment results
@@ -996,6 +1225,12 @@ export class ABTestingFramework {
         }
     }
 
+    // On the analytics event bus when the page has one, so collected events can be split by variant
+    publishExposure(experimentId, variantId) {
+        if (typeof window === 'undefined' || !window.FacePayEvents) return;
+        window.FacePayEvents.publish('experiment_exposure', { experiment_id: experimentId, variant_id: variantId }, { tracker: 'ab-testing' });
+    }
+
     log(message, ...args) {
         if (this.options.debug) {
             console.log(`%c[A/B Testing] ${message}`, 'color: #3b82f6; font-weight: bold;', ...args);
@@ -1005,6 +1240,14 @@ export class ABTestingFramework {
     /**
      * PUBLIC API METHODS
      */
+    getVisitorId() {
+        return this.visitorId;
+    }
+
+    isInHoldout(userId = null) {
+        return this.bucketer.isInHoldout(userId || this.visitorId);
+    }
+
     getActiveExperiments() {
         return Array.from(this.experiments.values()).filter(exp => exp.status === 'active');
     }
@@ -1035,6 +1278,7 @@ export class ABTestingFramework {
         const experiment = this.experiments.get(experimentId);
         if (experiment) {
             experiment.status = 'completed';
+            // declareWinner() leaves flagged experiments without a winner
             if (declareWinner && !experiment.results.winner) {
                 this.declareWinner(experiment);
             }
@@ -1042,71 +1286,18 @@ export class ABTestingFramework {
             this.log(`🛑 Stopped experiment: ${experimentId}`);
         }
     }
-}
 
-/**
- * STATISTICS ENGINE
- * Handles statistical calculations for experiments
- */
-class StatisticsEngine {
-    constructor(options) {
-        this.options = options;
-    }
+    destroy() {
+        clearInterval(this.monitoringInterval);
+        if (this.cancelConsentWait) this.cancelConsentWait();
 
-    calculateSignificance(controlResults, variantResults) {
-        const n1 = controlResults.sessions;
-        const n2 = variantResults.sessions;
-        const x1 = controlResults.conversions;
-        const x2 = variantResults.conversions;
-
-        if (n1 === 0 || n2 === 0) {
-            return { pValue: 1, significant: false, liftRange: { min: 0, max: 0 } };
+        if (this.disconnectPerformanceMonitor) {
+            this.disconnectPerformanceMonitor();
+        }
+        if (this.scrollHandler) {
+            window.removeEventListener('scroll', this.scrollHandler);
+            document.removeEventListener('ended', this.videoEndedHandler, true);
         }
-
-        const p1 = x1 / n1;
-        const p2 = x2 / n2;
-        const p = (x1 + x2) / (n1 + n2);
-
-        const se = Math.sqrt(p * (1 - p) * (1 / n1 + 1 / n2));
-        const z = Math.abs(p2 - p1) / se;
-        const pValue = 2 * (1 - this.normalCDF(z));
-
-        const lift = (p2 - p1) / p1;
-        const liftSE = Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2) / p1;
-        const marginOfError = 1.96 * liftSE;
-
-        return {
-            pValue: pValue,
-            significant: pValue < (1 - this.options.confidenceLevel),
-            lift: lift,
-            liftRange: {
-                min: lift - marginOfError,
-                max: lift + marginOfError
-            }
-        };
-    }
-
-    normalCDF(x) {
-        // Approximation of the normal cumulative distribution function
-        return 0.5 * (1 + this.erf(x / Math.sqrt(2)));
-    }
-
-    erf(x) {
-        // Approximation of the error function
-        const a1 =  0.254829592;
-        const a2 = -0.284496736;
-        const a3 =  1.421413741;
-        const a4 = -1.453152027;
-        const a5 =  1.061405429;
-        const p  =  0.3275911;
-
-        const sign = x >= 0 ? 1 : -1;
-        x = Math.abs(x);
-
-        const t = 1.0 / (1.0 + p * x);
-        const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-
-        return sign * y;
     }
 }
 
@@ -0,0 +1,191 @@
+/**
+ * A/B TESTING METRICS
+ * Primary, secondary and guardrail metrics for ABTestingFramework experiments
+ *
+ * - primary: the metric the decision method (ab-testing-statistics.js) picks a winner on
+ * - secondary: tracked and reported per variant, never decide anything
+ * - guardrails: watched with an always-valid one-sided test; a variant that makes one
+ *   significantly worse than control is stopped, whatever it does to the primary metric
+ *
+ * Binomial metrics count units (visitors) with at least one event over the variant's exposures.
+ * Continuous metrics keep one value per unit (its max or latest) and compare means.
+ */
+
+export const METRICS = {
+    conversion: { label: 'Conversion', type: 'binomial', event: 'conversion', higherIsBetter: true },
+    email_capture: { label: 'Email capture', type: 'binomial', event: 'email_capture', higherIsBetter: true },
+    video_completion: { label: 'Video completion', type: 'binomial', event: 'video_completion', higherIsBetter: true },
+    scroll_depth: { label: 'Scroll depth', type: 'continuous', event: 'scroll_depth', aggregate: 'max', unit: '%', higherIsBetter: true },
+    // Guardrails fed by PerformanceMonitor (monitorMetric is its metric name)
+    lcp: { label: 'Largest Contentful Paint', type: 'continuous', event: 'lcp', aggregate: 'last', unit: 'ms', higherIsBetter: false, monitorMetric: 'LCP' },
+    cls: { label: 'Cumulative Layout Shift', type: 'continuous', event: 'cls', aggregate: 'max', unit: '', higherIsBetter: false, monitorMetric: 'CLS' },
+    error_rate: { label: 'Error rate', type: 'binomial', event: 'error', higherIsBetter: false, monitorMetric: 'errors' }
+};
+
+export const DEFAULT_GUARDRAILS = ['lcp', 'cls', 'error_rate'];
+
+const GUARDRAIL_DEFAULTS = {
+    // Mixture width relative to the control mean: the degradation the test detects fastest (10%)
+    tau: 0.1,
+    // Split across the experiment's guardrails, so several of them don't add up to more false stops
+    alpha: 0.05,
+    // Units per arm before a guardrail may stop anything
+    minimumSamples: 100,
+    // Relative degradation tolerated even when it is significant (0.05 = 5% worse is fine)
+    margin: 0
+};
+
+function assertMetric(id) {
+    if (!METRICS[id]) {
+        throw new Error(`Unknown metric "${id}". Use one of: ${Object.keys(METRICS).join(', ')}`);
+    }
+    return id;
+}
+
+function normalizeGuardrail(config, count) {
+    const { metric, ...overrides } = typeof config === 'string' ? { metric: config } : config;
+    const guardrail = { metric: assertMetric(metric), ...GUARDRAIL_DEFAULTS, alpha: GUARDRAIL_DEFAULTS.alpha / count, ...overrides };
+
+    if (!(guardrail.tau > 0) || !(guardrail.alpha > 0 && guardrail.alpha < 1) || !(guardrail.margin >= 0)) {
+        throw new Error(`Invalid guardrail ${JSON.stringify(config)}: tau must be positive, alpha in (0, 1), margin not negative`);
+    }
+    return guardrail;
+}
+
+/**
+ * Accepts { primary, secondary, guardrails } or the older list of metric names, which keeps
+ * conversion as primary, tracks the known names as secondary and ignores descriptive ones
+ */
+export function normalizeMetrics(config, defaults = {}) {
+    const defaultGuardrails = defaults.guardrails || DEFAULT_GUARDRAILS;
+
+    if (!config || Array.isArray(config)) {
+        return normalizeMetrics({
+            primary: 'conversion',
+            secondary: (config || []).filter(id => METRICS[id] && id !== 'conversion' && !defaultGuardrails.includes(id))
+        }, defaults);
+    }
+
+    const { primary = 'conversion', secondary = [], guardrails = defaultGuardrails } = config;
+
+    if (!Array.isArray(secondary) || !Array.isArray(guardrails)) {
+        throw new Error('Metric secondary and guardrails must be arrays');
+    }
+    assertMetric(primary);
+    if (METRICS[primary].type !== 'binomial') {
+        throw new Error(`Primary metric "${primary}" must be a rate; ${METRICS[primary].type} metrics can be secondary or guardrails`);
+    }
+    secondary.forEach(assertMetric);
+
+    return {
+        primary,
+        secondary: secondary.filter(id => id !== primary),
+        guardrails: guardrails.map(guardrail => normalizeGuardrail(guardrail, guardrails.length))
+    };
+}
+
+/**
+ * Every metric id an experiment collects
+ */
+export function trackedMetrics(metrics) {
+    return [...new Set([metrics.primary, ...metrics.secondary, ...metrics.guardrails.map(guardrail => guardrail.metric)])];
+}
+
+export function createMetricStats() {
+    // values holds each unit's current value so repeat events update instead of double counting
+    return { n: 0, sum: 0, sumSquares: 0, values: {} };
+}
+
+/**
+ * Records one event for a unit; returns false when it changed nothing (e.g. a repeat binomial event)
+ */
+export function recordMetricValue(metricId, stats, unitId, value = 1) {
+    const metric = METRICS[metricId];
+    const previous = stats.values[unitId];
+
+    let next;
+    if (metric.type === 'binomial') {
+        next = 1;
+    } else {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return false;
+        next = metric.aggregate === 'max' && previous !== undefined ? Math.max(previous, number) : number;
+    }
+
+    if (previous === next) return false;
+
+    if (previous === undefined) {
+        stats.n++;
+    } else {
+        stats.sum -= previous;
+        stats.sumSquares -= previous * previous;
+    }
+    stats.sum += next;
+    stats.sumSquares += next * next;
+    stats.values[unitId] = next;
+    return true;
+}
+
+/**
+ * { n, mean, variance } per unit. Binomial metrics are rates over all exposed sessions.
+ */
+export function summarizeMetric(metricId, stats, sessions) {
+    if (METRICS[metricId].type === 'binomial') {
+        const n = Math.max(sessions, stats.n);
+        const mean = n === 0 ? 0 : stats.n / n;
+        return { n, mean, variance: mean * (1 - mean) };
+    }
+
+    const n = stats.n;
+    const mean = n === 0 ? 0 : stats.sum / n;
+    const variance = n < 2 ? 0 : Math.max(0, (stats.sumSquares - n * mean * mean) / (n - 1));
+    return { n, mean, variance };
+}
+
+/**
+ * One-sided guardrail check of a variant against control with the mSPRT from StatisticsEngine.
+ * Only evidence of harm lowers the always-valid p-value, and a breach sticks once found.
+ */
+export function guardrailTest(statisticsEngine, control, variant, guardrail, last = null) {
+    const metric = METRICS[guardrail.metric];
+    const difference = variant.mean - control.mean;
+    const harm = metric.higherIsBetter ? -difference : difference;
+    const relativeChange = control.mean === 0 ? null : difference / control.mean;
+    const base = {
+        metric: guardrail.metric,
+        control: control.mean,
+        variant: variant.mean,
+        difference,
+        relativeChange,
+        samples: [control.n, variant.n]
+    };
+
+    if (last?.degraded) {
+        return { ...last, ...base };
+    }
+    if (control.n < guardrail.minimumSamples || variant.n < guardrail.minimumSamples) {
+        return { ...base, pValue: last?.pValue ?? 1, degraded: false };
+    }
+
+    let variance;
+    let scale;
+    if (metric.type === 'binomial') {
+        // Pooled rate under "no difference", as in the primary sequential test
+        const pooled = (control.mean * control.n + variant.mean * variant.n) / (control.n + variant.n);
+        variance = pooled * (1 - pooled) * (1 / control.n + 1 / variant.n);
+        scale = pooled;
+    } else {
+        variance = control.variance / control.n + variant.variance / variant.n;
+        scale = Math.abs(control.mean) || Math.abs(variant.mean);
+    }
+
+    let pValue = last?.pValue ?? 1;
+    if (variance > 0 && scale > 0 && harm > 0) {
+        const tau = guardrail.tau * scale;
+        const { logLikelihoodRatio } = statisticsEngine.mixtureTest(difference, variance, tau * tau, guardrail.alpha);
+        pValue = Math.min(pValue, Math.exp(-logLikelihoodRatio), 1);
+    }
+
+    const relativeHarm = control.mean === 0 ? Infinity : harm / Math.abs(control.mean);
+    return { ...base, pValue, degraded: pValue < guardrail.alpha && harm > 0 && relativeHarm > guardrail.margin };
+}
@@ -0,0 +1,187 @@
+/**
+ * A/B TESTING DATA QUALITY
+ * Checks that decide whether an experiment's numbers can be trusted at all
+ *
+ * - Sample ratio mismatch (SRM): chi-square of exposed visitors per variant against the allocated weights;
+ *   once a variant is stopped, new visitors are checked per split (before the stop, and the serving split after it)
+ * - Bots: crawlers, headless browsers and automation are kept out of experiments
+ * - Duplicate events: the same exposure or conversion from one visitor within the dedupe window counts once
+ * - Crossovers: visitors whose events reached more than one variant of the same experiment
+ *
+ * An experiment with a mismatch or too many crossovers is flagged; ABTestingFramework won't declare its winner.
+ */
+
+export const BOT_PATTERN = /bot\b|bot\/|crawl|spider|slurp|headless|phantomjs|selenium|puppeteer|playwright|lighthouse|pagespeed|prerender|facebookexternalhit|bingpreview|python-requests|python-urllib|curl\/|wget\/|httpclient|scrapy|go-http-client/i;
+
+export const QUALITY_DEFAULTS = {
+    // Below this SRM p-value the split is treated as broken rather than unlucky
+    srmThreshold: 0.001,
+    // Exposed visitors before SRM is judged; the chi-square needs a few per variant
+    srmMinimumSessions: 100,
+    // A repeat of the same event from the same visitor inside this window is a duplicate (one session)
+    dedupeWindow: 30 * 60 * 1000,
+    // Share of visitors seen in several variants that invalidates the comparison
+    maxCrossoverRate: 0.01
+};
+
+// Events that feed the primary comparison; metric events are deduplicated per visitor already
+const DEDUPED_EVENTS = ['exposure', 'conversion'];
+
+/**
+ * Whether a navigator-like { userAgent, webdriver } belongs to automation rather than a person
+ */
+export function isLikelyBot(client) {
+    if (!client) return false;
+    if (client.webdriver === true) return true;
+    return typeof client.userAgent === 'string' && BOT_PATTERN.test(client.userAgent);
+}
+
+export function createQualityState() {
+    return {
+        // Per visitor: the variants their events went to and when each deduped event was last counted
+        units: {},
+        filtered: { bots: 0, duplicates: 0 },
+        crossovers: 0,
+        // New visitors per variant for each traffic split: { since, stopped: [variantIds], visitors: { [variantId]: n } }.
+        // A split starts whenever a variant is stopped (startSplit)
+        splits: [],
+        srm: null,
+        flagged: false,
+        issues: []
+    };
+}
+
+function currentSplit(quality, timestamp) {
+    // States saved before splits existed get one from now on
+    const splits = quality.splits || (quality.splits = []);
+    if (splits.length === 0) splits.push({ since: timestamp, stopped: [], visitors: {} });
+    return splits[splits.length - 1];
+}
+
+/**
+ * Starts a new traffic split when variants are stopped; stopped lists every variant stopped so far
+ */
+export function startSplit(quality, stopped, timestamp = Date.now()) {
+    currentSplit(quality, timestamp);
+    quality.splits.push({ since: timestamp, stopped: [...stopped], visitors: {} });
+}
+
+/**
+ * Registers one event; returns { duplicate, crossover }. Duplicates should not be counted.
+ */
+export function recordUnitEvent(quality, unitId, variantId, event, timestamp = Date.now(), dedupeWindow = QUALITY_DEFAULTS.dedupeWindow) {
+    if (!quality.units[unitId]) {
+        const split = currentSplit(quality, timestamp);
+        split.visitors[variantId] = (split.visitors[variantId] || 0) + 1;
+    }
+    const unit = quality.units[unitId] || (quality.units[unitId] = { variants: [variantId], lastSeen: {} });
+
+    let crossover = false;
+    if (!unit.variants.includes(variantId)) {
+        unit.variants.push(variantId);
+        // Counted once per visitor, however many variants they end up in
+        if (unit.variants.length === 2) {
+            quality.crossovers++;
+            crossover = true;
+        }
+    }
+
+    if (!DEDUPED_EVENTS.includes(event)) {
+        return { duplicate: false, crossover };
+    }
+
+    const key = `${variantId}:${event}`;
+    const last = unit.lastSeen[key];
+    if (last !== undefined && timestamp - last < dedupeWindow) {
+        quality.filtered.duplicates++;
+        return { duplicate: true, crossover };
+    }
+
+    unit.lastSeen[key] = timestamp;
+    return { duplicate: false, crossover };
+}
+
+/**
+ * SRM of each traffic split's new visitors. Stopped variants' buckets serve control
+ * (ABTestingFramework.servedVariant), so their weight moves to control for the splits after the stop.
+ */
+function splitSampleRatio(splits, variants, statisticsEngine, settings) {
+    const periods = splits.map(split => {
+        const served = variants.filter(variant => !split.stopped.includes(variant.id));
+        const moved = variants
+            .filter(variant => split.stopped.includes(variant.id))
+            .reduce((sum, variant) => sum + variant.allocation, 0);
+        const observed = served.map(variant => split.visitors[variant.id] || 0);
+        const period = { since: split.since, stopped: split.stopped, variants: served.map(variant => variant.id), observed };
+
+        if (served.length < 2) {
+            return { ...period, pValue: null, mismatch: false, skipped: 'Only control is served' };
+        }
+        if (observed.reduce((sum, count) => sum + count, 0) < settings.srmMinimumSessions) {
+            return { ...period, pValue: null, mismatch: false, skipped: `Fewer than ${settings.srmMinimumSessions} new visitors` };
+        }
+
+        const shares = served.map((variant, index) => variant.allocation + (index === 0 ? moved : 0));
+        return { ...period, ...statisticsEngine.sampleRatioTest(observed, shares), skipped: null };
+    });
+
+    const judged = periods.filter(period => !period.skipped);
+    // Several splits are several tests; Bonferroni keeps the experiment-wide false alarm rate at the threshold
+    judged.forEach(period => { period.mismatch = period.pValue < settings.srmThreshold / judged.length; });
+
+    if (judged.length === 0) {
+        return { pValue: null, mismatch: false, skipped: 'Not enough new visitors in any traffic split', periods };
+    }
+    return { pValue: Math.min(...judged.map(period => period.pValue)), mismatch: judged.some(period => period.mismatch), skipped: null, periods };
+}
+
+/**
+ * Re-evaluates SRM and crossovers. variants is [{ id, sessions, allocation, status }], control first.
+ */
+export function assessQuality(quality, variants, statisticsEngine, options = {}) {
+    const settings = { ...QUALITY_DEFAULTS, ...options };
+    const issues = [];
+    const totalSessions = variants.reduce((sum, variant) => sum + variant.sessions, 0);
+
+    // Stopping a variant changes the split mid-way: each split is checked against its own weights
+    if (variants.some(variant => variant.status === 'stopped')) {
+        quality.srm = splitSampleRatio(quality.splits || [], variants, statisticsEngine, settings);
+        quality.srm.periods.filter(period => period.mismatch).forEach(period => {
+            const when = period.stopped.length === 0 ? 'before any variant was stopped' : `after ${period.stopped.join(', ')} stopped`;
+            const expected = period.expected.map(count => Math.round(count)).join(' / ');
+            issues.push(`Sample ratio mismatch ${when}: ${period.observed.join(' / ')} new visitors where ${expected} were expected (p = ${period.pValue.toExponential(1)})`);
+        });
+    } else if (totalSessions < settings.srmMinimumSessions) {
+        quality.srm = { pValue: null, mismatch: false, skipped: `Fewer than ${settings.srmMinimumSessions} exposed visitors` };
+    } else {
+        const test = statisticsEngine.sampleRatioTest(variants.map(variant => variant.sessions), variants.map(variant => variant.allocation));
+        quality.srm = { ...test, mismatch: test.pValue < settings.srmThreshold, skipped: null };
+    }
+
+    if (quality.srm.mismatch && !quality.srm.periods) {
+        const observed = variants.map(variant => variant.sessions).join(' / ');
+        const expected = quality.srm.expected.map(count => Math.round(count)).join(' / ');
+        issues.push(`Sample ratio mismatch: ${observed} visitors where ${expected} were expected (p = ${quality.srm.pValue.toExponential(1)})`);
+    }
+
+    const units = Object.keys(quality.units).length;
+    const crossoverRate = units === 0 ? 0 : quality.crossovers / units;
+    if (crossoverRate > settings.maxCrossoverRate) {
+        issues.push(`${quality.crossovers} of ${units} visitors were seen in more than one variant (${(crossoverRate * 100).toFixed(1)}%)`);
+    }
+
+    quality.crossoverRate = crossoverRate;
+    quality.issues = issues;
+    quality.flagged = issues.length > 0;
+    return quality;
+}
+
+/**
+ * Report view without the per-visitor bookkeeping
+ */
+export function summarizeQuality(quality) {
+    if (!quality) return null;
+
+    const { units, ...summary } = quality;
+    return { ...summary, units: Object.keys(units).length };
+}
@@ -0,0 +1,451 @@
+/**
+ * A/B TESTING SERVER-SIDE ASSIGNMENT
+ * Picks variants before the HTML leaves the server, so visitors never see the control flash first
+ *
+ * - Same MurmurHash buckets, holdout and namespaces as the browser (ab-testing-bucketing.js)
+ * - Sets the ab_visitor_id and ab_assignments cookies only when the facepay_consent cookie allows analytics
+ *   (consent-manager.js); ABTestingFramework reads them, or <html data-ab-assignments> without consent,
+ *   instead of re-assigning
+ * - Pre-renders each assigned variant's changes into the HTML and marks <html data-ab-rendered>
+ * - Crawlers and automation are served the page unchanged (see ab-testing-quality.js)
+ * - Only Web APIs (Request, Response, URL, fetch), so it runs in edge middleware as well as Node
+ *
+ * Netlify Edge Function:
+ *   const assignment = new ServerAssignment({ definitions: '/experiments.json' });
+ *   export default (request, context) => assignment.handle(request, () => context.next());
+ *
+ * Vercel Edge Middleware (origin fetched with a header that skips the middleware):
+ *   export default request => assignment.handle(request, () => fetch(request.url, { headers: { 'x-ab-origin': '1' } }));
+ *
+ * Local Node server:
+ *   http.createServer(createNodeHandler(assignment, request => serveStatic(request)));
+ */
+
+import {
+    ExperimentBucketer,
+    createVisitorId,
+    parseCookies,
+    encodeAssignments,
+    decodeAssignments,
+    allowsAnalytics,
+    VISITOR_COOKIE,
+    ASSIGNMENTS_COOKIE,
+    CONSENT_COOKIE
+} from './ab-testing-bucketing.js';
+import { ExperimentConfigLoader } from './ab-testing-config.js';
+import { isLikelyBot } from './ab-testing-quality.js';
+
+const YEAR_IN_SECONDS = 365 * 24 * 60 * 60;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMPOUND_PATTERN = /^([a-zA-Z][\w-]*|\*)?((?:[#.][\w-]+|\[[^\]]+\])*)$/;
+const SIMPLE_PATTERN = /([#.])([\w-]+)|\[\s*([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g;
+
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function decodeAttribute(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses the selector subset the server can match: tag, #id, .class, [attr] and [attr=value]
+ * compounds joined by descendant (space) or child (>) combinators. Returns null for anything else.
+ */
+export function parseSelector(selector) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    let bracket = 0;
+
+    for (const char of String(selector).trim()) {
+        if (quote) {
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === '[' || char === ']') {
+            bracket += char === '[' ? 1 : -1;
+            current += char;
+        } else if (bracket === 0 && (char === ' ' || char === '>' || char === '\t' || char === '\n')) {
+            if (current) parts.push(current);
+            if (char === '>') parts.push('>');
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) parts.push(current);
+
+    const steps = [];
+    let combinator = ' ';
+    for (const part of parts) {
+        if (part === '>') {
+            if (steps.length === 0 || combinator === '>') return null;
+            combinator = '>';
+            continue;
+        }
+
+        const match = COMPOUND_PATTERN.exec(part);
+        if (!match || (!match[1] && !match[2])) return null;
+
+        const step = { combinator, tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, id: null, classes: [], attributes: [] };
+        for (const simple of match[2].matchAll(SIMPLE_PATTERN)) {
+            if (simple[1] === '#') step.id = simple[2];
+            else if (simple[1] === '.') step.classes.push(simple[2]);
+            else step.attributes.push({ name: simple[3].toLowerCase(), value: simple[4] ?? simple[5] ?? simple[6] ?? null });
+        }
+        steps.push(step);
+        combinator = ' ';
+    }
+
+    return steps.length > 0 && combinator !== '>' ? steps : null;
+}
+
+function matchesCompound(step, element) {
+    if (step.tag && step.tag !== element.tag) return false;
+    if (step.id && element.attributes.get('id') !== step.id) return false;
+
+    const classes = (element.attributes.get('class') || '').split(/\s+/);
+    if (!step.classes.every(name => classes.includes(name))) return false;
+
+    return step.attributes.every(({ name, value }) =>
+        element.attributes.has(name) && (value === null || element.attributes.get(name) === value));
+}
+
+// Right-to-left match of steps against the open-element stack, the element itself on top
+function matchesSelector(steps, stack, stepIndex = steps.length - 1, elementIndex = stack.length - 1) {
+    if (!matchesCompound(steps[stepIndex], stack[elementIndex])) return false;
+    if (stepIndex === 0) return true;
+
+    if (steps[stepIndex].combinator === '>') {
+        return elementIndex > 0 && matchesSelector(steps, stack, stepIndex - 1, elementIndex - 1);
+    }
+    for (let ancestor = elementIndex - 1; ancestor >= 0; ancestor--) {
+        if (matchesSelector(steps, stack, stepIndex - 1, ancestor)) return true;
+    }
+    return false;
+}
+
+function parseAttributes(source) {
+    const attributes = new Map();
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const value = match[2] ?? match[3] ?? match[4];
+        attributes.set(match[1].toLowerCase(), value === undefined ? '' : decodeAttribute(value));
+    }
+    return attributes;
+}
+
+function kebabCase(property) {
+    return property.startsWith('--') ? property : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Same change shapes as ABTestingFramework.applyElementChanges(), applied to a start tag's attributes
+function applyAttributeChanges(attributes, change) {
+    if (change.attributes) {
+        Object.entries(change.attributes).forEach(([name, value]) => attributes.set(name.toLowerCase(), String(value)));
+    }
+    if (change.style) {
+        const declarations = new Map((attributes.get('style') || '').split(';')
+            .map(declaration => declaration.split(':'))
+            .filter(([property, ...value]) => property.trim() && value.length > 0)
+            .map(([property, ...value]) => [property.trim(), value.join(':').trim()]));
+        Object.entries(change.style).forEach(([property, value]) => declarations.set(kebabCase(property), value));
+        attributes.set('style', Array.from(declarations, ([property, value]) => `${property}: ${value}`).join('; '));
+    }
+    if (change.classes) {
+        const classes = new Set((attributes.get('class') || '').split(/\s+/).filter(Boolean));
+        (change.classes.add || []).forEach(name => classes.add(name));
+        (change.classes.remove || []).forEach(name => classes.delete(name));
+        attributes.set('class', Array.from(classes).join(' '));
+    }
+}
+
+function serializeStartTag(element) {
+    const attributes = Array.from(element.attributes, ([name, value]) => (value === '' && name !== 'class' && name !== 'style'
+        ? ` ${name}`
+        : ` ${name}="${escapeAttribute(value)}"`)).join('');
+    return `<${element.tag}${attributes}${element.selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * Applies { selector: change } to an HTML string without a DOM.
+ * Returns the new HTML and the selectors that matched nothing or can't be matched server-side.
+ */
+export function applyChangesToHtml(html, changes) {
+    const selectors = Object.keys(changes).map(selector => ({ selector, steps: parseSelector(selector), change: changes[selector], matched: false }));
+    const stack = [];
+    const matched = [];
+    let index = 0;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    let token;
+    while ((token = TOKEN_PATTERN.exec(html)) !== null) {
+        if (token.index < index) continue;
+        const [text, closingTag, openingTag, attributeSource, selfClosing] = token;
+
+        if (closingTag) {
+            const tag = closingTag.toLowerCase();
+            const position = stack.map(element => element.tag).lastIndexOf(tag);
+            if (position === -1) continue;
+
+            // Elements closed implicitly (e.g. an open <p>) end where their parent does
+            stack.splice(position).forEach(element => { element.contentEnd = token.index; });
+            continue;
+        }
+        if (!openingTag) continue;
+
+        const element = {
+            tag: openingTag.toLowerCase(),
+            attributes: parseAttributes(attributeSource),
+            start: token.index,
+            startEnd: token.index + text.length,
+            contentEnd: null,
+            selfClosing: Boolean(selfClosing),
+            changes: []
+        };
+        stack.push(element);
+
+        selectors.filter(entry => entry.steps && matchesSelector(entry.steps, stack)).forEach(entry => {
+            entry.matched = true;
+            element.changes.push(entry.change);
+        });
+        if (element.changes.length > 0) matched.push(element);
+
+        if (VOID_ELEMENTS.has(element.tag) || element.selfClosing) {
+            stack.pop();
+            element.contentEnd = element.startEnd;
+        } else if (RAW_TEXT_ELEMENTS.has(element.tag)) {
+            // Script and style bodies aren't markup; jump to the closing tag
+            const close = html.toLowerCase().indexOf(`</${element.tag}`, element.startEnd);
+            index = close === -1 ? html.length : close;
+            TOKEN_PATTERN.lastIndex = index;
+        }
+    }
+
+    const edits = [];
+    matched.forEach(element => {
+        const change = element.changes.reduce((merged, next) => (typeof next === 'string'
+            ? { ...merged, text: next, html: undefined }
+            : { ...merged, ...next, attributes: { ...merged.attributes, ...next.attributes }, style: { ...merged.style, ...next.style } }), {});
+
+        if (change.attributes && Object.keys(change.attributes).length === 0) delete change.attributes;
+        if (change.style && Object.keys(change.style).length === 0) delete change.style;
+
+        if (change.attributes || change.style || change.classes) {
+            applyAttributeChanges(element.attributes, change);
+            edits.push({ start: element.start, end: element.startEnd, text: serializeStartTag(element) });
+        }
+
+        const content = change.html !== undefined ? change.html : change.text !== undefined ? escapeHtml(change.text) : null;
+        if (content !== null && element.contentEnd !== null && element.contentEnd >= element.startEnd) {
+            edits.push({ start: element.startEnd, end: element.contentEnd, text: content, replacesContent: true });
+        }
+    });
+
+    // Content replaced by an outer element's change wins over edits inside it
+    const replaced = edits.filter(edit => edit.replacesContent);
+    const kept = edits.filter(edit => !replaced.some(outer => outer !== edit && edit.start >= outer.start && edit.end <= outer.end && !(edit.start === outer.start && edit.end === outer.end)));
+
+    let output = html;
+    kept.sort((a, b) => b.start - a.start).forEach(edit => {
+        output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+
+    return {
+        html: output,
+        unmatched: selectors.filter(entry => !entry.matched).map(entry => entry.selector)
+    };
+}
+
+function serializeCookie(name, value, { maxAge = YEAR_IN_SECONDS, secure = false } = {}) {
+    // Readable by the client framework, so not HttpOnly
+    return `${name}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * SERVER ASSIGNMENT
+ * Assigns visitors from a request's cookies and renders their variants into HTML responses
+ */
+export class ServerAssignment {
+    constructor(options = {}) {
+        this.options = {
+            // experiments.json URL or parsed document (see ab-testing-config.js)
+            definitions: null,
+            // Already resolved createExperiment() configs, instead of definitions
+            experiments: null,
+            holdout: { percentage: 0 },
+            defaultLocale: 'es',
+            cookieMaxAge: YEAR_IN_SECONDS,
+            fetch: null,
+            baseUrl: null,
+            ...options
+        };
+
+        this.bucketer = new ExperimentBucketer({ holdout: this.options.holdout });
+        // Copy is resolved per locale, once
+        this.experimentsByLocale = new Map();
+    }
+
+    experimentsFor(locale) {
+        if (this.options.experiments) {
+            return Promise.resolve(this.options.experiments);
+        }
+        if (!this.experimentsByLocale.has(locale)) {
+            const loader = new ExperimentConfigLoader({ locale, fetch: this.options.fetch, baseUrl: this.options.baseUrl });
+            const loading = loader.load(this.options.definitions);
+            // Failed loads are retried on the next request
+            loading.catch(() => this.experimentsByLocale.delete(locale));
+            this.experimentsByLocale.set(locale, loading);
+        }
+        return this.experimentsByLocale.get(locale);
+    }
+
+    localeFor(request) {
+        const language = (request.headers.get('accept-language') || '').split(',')[0].trim();
+        return language.split(/[-_;]/)[0].toLowerCase() || this.options.defaultLocale;
+    }
+
+    /**
+     * Returns { visitorId, variants: { [experimentId]: variant }, persisted, cookies: [Set-Cookie values] }.
+     * Existing cookie assignments are kept while the variant still exists, like the client's cache.
+     * Without analytics consent nothing is persisted: no cookies, a fresh visitor id per request.
+     */
+    async assign(request) {
+        const url = new URL(request.url);
+        const cookies = parseCookies(request.headers.get('cookie'));
+        const previous = decodeAssignments(cookies[ASSIGNMENTS_COOKIE]);
+        const visitorId = cookies[VISITOR_COOKIE] || createVisitorId();
+        const experiments = await this.experimentsFor(this.localeFor(request));
+
+        const variants = {};
+        experiments.forEach(config => {
+            const experiment = { ...config, salt: config.salt || config.id };
+            // Segments need browser context; those experiments are left to the client
+            if (experiment.segments && !experiment.segments.includes('all')) return;
+
+            const kept = experiment.variants.find(variant => variant.id === previous[experiment.id]);
+            const variant = kept || this.bucketer.assign(experiment, visitorId).variant;
+            if (variant) variants[experiment.id] = variant;
+        });
+
+        const assignments = Object.fromEntries(Object.entries(variants).map(([id, variant]) => [id, variant.id]));
+        const persisted = allowsAnalytics(cookies[CONSENT_COOKIE]);
+        if (!persisted) {
+            return { visitorId, variants, persisted, cookies: [] };
+        }
+
+        const secure = url.protocol === 'https:';
+        const setCookies = [];
+        if (!cookies[VISITOR_COOKIE]) {
+            setCookies.push(serializeCookie(VISITOR_COOKIE, visitorId, { maxAge: this.options.cookieMaxAge, secure }));
+        }
+        if (encodeAssignments(assignments) !== encodeAssignments(previous)) {
+            setCookies.push(serializeCookie(ASSIGNMENTS_COOKIE, encodeAssignments(assignments), { maxAge: this.options.cookieMaxAge, secure }));
+        }
+
+        return { visitorId, variants, persisted, cookies: setCookies };
+    }
+
+    /**
+     * Renders assigned variants into the page. Experiments whose every change landed are listed in
+     * <html data-ab-rendered>, which tells the anti-flicker snippet the page is already final.
+     * Assignments without a cookie are handed to the client in <html data-ab-assignments>.
+     */
+    render(html, assignment) {
+        let output = html;
+        const rendered = [];
+
+        Object.entries(assignment.variants).forEach(([experimentId, variant]) => {
+            const result = applyChangesToHtml(output, variant.changes || {});
+            output = result.html;
+            if (result.unmatched.length === 0) rendered.push(experimentId);
+        });
+
+        const attributes = { 'data-ab-rendered': rendered.join(' ') };
+        if (assignment.persisted === false) {
+            attributes['data-ab-assignments'] = encodeAssignments(Object.fromEntries(
+                Object.entries(assignment.variants).map(([id, variant]) => [id, variant.id])
+            ));
+        }
+
+        return applyChangesToHtml(output, { html: { attributes } }).html;
+    }
+
+    /**
+     * Middleware entry point: next() returns the origin response. Non-HTML responses pass through;
+     * any failure here serves the origin page unchanged rather than an error.
+     */
+    async handle(request, next) {
+        const response = await next(request);
+        const contentType = response.headers.get('content-type') || '';
+        if (request.method !== 'GET' || !response.ok || !contentType.includes('text/html')) {
+            return response;
+        }
+        // Crawlers get the control page, like the client framework which never assigns them
+        if (isLikelyBot({ userAgent: request.headers.get('user-agent') })) {
+            return response;
+        }
+
+        let assignment;
+        let html;
+        try {
+            html = await response.clone().text();
+            assignment = await this.assign(request);
+        } catch (error) {
+            console.warn('⚠️ Server-side A/B assignment failed, serving the page unchanged:', error.message);
+            return response;
+        }
+
+        const headers = new Headers(response.headers);
+        headers.delete('content-length');
+        headers.delete('etag');
+        // The body now depends on the visitor's cookies
+        headers.set('cache-control', 'private, no-cache');
+        headers.append('vary', 'Cookie');
+        assignment.cookies.forEach(cookie => headers.append('set-cookie', cookie));
+
+        return new Response(this.render(html, assignment), { status: response.status, statusText: response.statusText, headers });
+    }
+}
+
+/**
+ * Adapts ServerAssignment.handle() to a Node http request listener
+ */
+export function createNodeHandler(serverAssignment, next) {
+    return async (req, res) => {
+        try {
+            const headers = new Headers();
+            Object.entries(req.headers).forEach(([name, value]) => {
+                (Array.isArray(value) ? value : [value]).forEach(item => headers.append(name, item));
+            });
+            const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, { method: req.method, headers });
+
+            const response = await serverAssignment.handle(request, next);
+            const outgoing = {};
+            response.headers.forEach((value, name) => {
+                if (name !== 'set-cookie') outgoing[name] = value;
+            });
+            const setCookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+            if (setCookies.length > 0) outgoing['set-cookie'] = setCookies;
+
+            res.writeHead(response.status, outgoing);
+            res.end(new Uint8Array(await response.arrayBuffer()));
+        } catch (error) {
+            res.writeHead(500, { 'content-type': 'text/plain' });
+            res.end('Internal Server Error');
+        }
+    };
+}
+
+export default ServerAssignment;
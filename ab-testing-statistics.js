@@ -0,0 +1,481 @@
+/**
+ * A/B TESTING STATISTICS
+ * Decision methods for ABTestingFramework experiments
+ *
+ * - fixed-horizon: two-proportion z-test, read once when the planned sample size is reached
+ * - sequential: mixture SPRT (mSPRT) with always-valid p-values, safe to check after every event
+ * - bayesian: Beta-Binomial posteriors with probability to beat control and expected loss
+ * - Wilson intervals per variant and the chi-square sample ratio mismatch (SRM) check
+ */
+
+export const ANALYSIS_METHODS = {
+    'fixed-horizon': {
+        label: 'Fixed-horizon z-test',
+        // Visitors per variant before the test is read; defaults to minimumSampleSize
+        sampleSize: null
+    },
+    'sequential': {
+        label: 'Sequential mSPRT (always valid)',
+        // Standard deviation of the normal mixture over the conversion-rate difference.
+        // Roughly the effect size the test is tuned to detect fastest.
+        tau: 0.02
+    },
+    'bayesian': {
+        label: 'Bayesian Beta-Binomial',
+        // Beta prior on every variant's conversion rate; whole numbers keep the posteriors exact
+        prior: { alpha: 1, beta: 1 },
+        probabilityThreshold: 0.95,
+        // Highest acceptable expected loss in conversion rate (0.001 = 0.1 percentage points)
+        lossThreshold: 0.001
+    }
+};
+
+/**
+ * Accepts a method name or { method, ...overrides } and fills in the method defaults
+ */
+export function normalizeAnalysis(config = 'sequential') {
+    const { method, ...overrides } = typeof config === 'string' ? { method: config } : config;
+    const defaults = ANALYSIS_METHODS[method];
+
+    if (!defaults) {
+        throw new Error(`Unknown analysis method "${method}". Use one of: ${Object.keys(ANALYSIS_METHODS).join(', ')}`);
+    }
+
+    const analysis = { method, ...defaults, ...overrides };
+
+    if (method === 'bayesian') {
+        analysis.prior = { ...defaults.prior, ...overrides.prior };
+        const { alpha, beta } = analysis.prior;
+        if (!Number.isInteger(alpha) || !Number.isInteger(beta) || alpha < 1 || beta < 1) {
+            throw new Error('Bayesian prior alpha and beta must be positive whole numbers');
+        }
+    }
+
+    if (method === 'sequential' && !(analysis.tau > 0)) {
+        throw new Error('Sequential analysis needs a positive tau');
+    }
+
+    return analysis;
+}
+
+/**
+ * STATISTICS ENGINE
+ * Compares every variant against the control (the first variant) with the experiment's method
+ */
+export class StatisticsEngine {
+    constructor(options) {
+        this.options = options;
+    }
+
+    /**
+     * Returns { method, label, variants: { [id]: comparison }, winner, decided }.
+     * previous is the last analysis, which the sequential and fixed-horizon methods build on.
+     */
+    analyze(experiment, previous = null) {
+        const analysis = experiment.analysis || normalizeAnalysis(this.options.analysis);
+        const [control, ...challengers] = experiment.variants;
+        const controlResults = experiment.results.variantResults.get(control.id);
+        // Bonferroni: every challenger is its own comparison against control
+        const alpha = (1 - this.options.confidenceLevel) / Math.max(1, challengers.length);
+
+        const variants = {};
+        challengers.forEach(variant => {
+            const variantResults = experiment.results.variantResults.get(variant.id);
+            const last = previous?.method === analysis.method ? previous.variants?.[variant.id] : null;
+
+            switch (analysis.method) {
+                case 'fixed-horizon':
+                    variants[variant.id] = this.fixedHorizonTest(controlResults, variantResults, analysis, alpha, last);
+                    break;
+                case 'sequential':
+                    variants[variant.id] = this.sequentialTest(controlResults, variantResults, analysis, alpha, last);
+                    break;
+                case 'bayesian':
+                    variants[variant.id] = this.bayesianComparison(controlResults, variantResults, analysis);
+                    break;
+            }
+        });
+
+        const winner = this.pickWinner(control.id, variants);
+
+        return {
+            method: analysis.method,
+            label: analysis.label,
+            alpha: analysis.method === 'bayesian' ? null : alpha,
+            control: control.id,
+            variants,
+            winner,
+            decided: winner !== null,
+            computedAt: Date.now()
+        };
+    }
+
+    // A variant wins when it is decisively better than control; control wins when every
+    // variant is decisively worse
+    pickWinner(controlId, comparisons) {
+        const entries = Object.entries(comparisons);
+        if (entries.length === 0) return null;
+
+        const better = entries
+            .filter(([_, comparison]) => comparison.decision === 'better')
+            .sort(([, a], [, b]) => b.lift - a.lift);
+
+        if (better.length > 0) return better[0][0];
+        if (entries.every(([_, comparison]) => comparison.decision === 'worse')) return controlId;
+
+        return null;
+    }
+
+    /**
+     * FIXED HORIZON
+     * Only valid when read once: the result is frozen the first time both arms reach sampleSize
+     */
+    fixedHorizonTest(controlResults, variantResults, analysis, alpha, last) {
+        if (last?.final) return last;
+
+        const sampleSize = analysis.sampleSize || this.options.minimumSampleSize;
+        if (controlResults.sessions < sampleSize || variantResults.sessions < sampleSize) {
+            return { pValue: 1, significant: false, decision: null, lift: 0, liftRange: { min: 0, max: 0 }, final: false };
+        }
+
+        const result = this.calculateSignificance(controlResults, variantResults, alpha);
+        return { ...result, decision: this.toDecision(result.significant, result.lift), final: true };
+    }
+
+    calculateSignificance(controlResults, variantResults, alpha = 1 - this.options.confidenceLevel) {
+        const n1 = controlResults.sessions;
+        const n2 = variantResults.sessions;
+        const x1 = controlResults.conversions;
+        const x2 = variantResults.conversions;
+
+        if (n1 === 0 || n2 === 0) {
+            return { pValue: 1, significant: false, liftRange: { min: 0, max: 0 } };
+        }
+
+        const p1 = x1 / n1;
+        const p2 = x2 / n2;
+        const p = (x1 + x2) / (n1 + n2);
+
+        const se = Math.sqrt(p * (1 - p) * (1 / n1 + 1 / n2));
+        const z = se === 0 ? 0 : Math.abs(p2 - p1) / se;
+        const pValue = 2 * (1 - this.normalCDF(z));
+
+        const lift = p1 === 0 ? 0 : (p2 - p1) / p1;
+        const liftSE = p1 === 0 ? 0 : Math.sqrt((p1 * (1 - p1)) / n1 + (p2 * (1 - p2)) / n2) / p1;
+        const marginOfError = this.normalQuantile(1 - alpha / 2) * liftSE;
+
+        return {
+            pValue: pValue,
+            significant: pValue < alpha,
+            lift: lift,
+            liftRange: {
+                min: lift - marginOfError,
+                max: lift + marginOfError
+            }
+        };
+    }
+
+    /**
+     * SEQUENTIAL (mSPRT)
+     * Normal-mixture likelihood ratio on the conversion-rate difference (Johari et al., 2017).
+     * The p-value is the running minimum of 1/Λ, so it never goes back up and stays valid
+     * no matter how often the experiment is checked.
+     */
+    sequentialTest(controlResults, variantResults, analysis, alpha, last) {
+        const n1 = controlResults.sessions;
+        const n2 = variantResults.sessions;
+        const previousP = last?.pValue ?? 1;
+
+        if (n1 === 0 || n2 === 0) {
+            return { pValue: previousP, significant: previousP < alpha, decision: last?.decision || null, lift: 0, liftRange: { min: 0, max: 0 } };
+        }
+
+        const p1 = controlResults.conversions / n1;
+        const p2 = variantResults.conversions / n2;
+        const pooled = (controlResults.conversions + variantResults.conversions) / (n1 + n2);
+        const difference = p2 - p1;
+
+        // Variance of the difference estimate under the pooled rate
+        const variance = pooled * (1 - pooled) * (1 / n1 + 1 / n2);
+        const tau2 = analysis.tau * analysis.tau;
+
+        const { logLikelihoodRatio, halfWidth } = this.mixtureTest(difference, variance, tau2, alpha);
+
+        const pValue = Math.min(previousP, Math.exp(-logLikelihoodRatio), 1);
+        const significant = pValue < alpha;
+        const lift = p1 === 0 ? 0 : difference / p1;
+
+        return {
+            pValue,
+            significant,
+            // Once rejected the decision sticks, like the p-value it came from
+            decision: last?.decision || this.toDecision(significant, difference),
+            lift,
+            difference,
+            liftRange: p1 === 0 || !Number.isFinite(halfWidth)
+                ? { min: -Infinity, max: Infinity }
+                : { min: (difference - halfWidth) / p1, max: (difference + halfWidth) / p1 }
+        };
+    }
+
+    /**
+     * Normal-mixture likelihood ratio for an estimated difference with the given variance,
+     * and the confidence-sequence half-width at alpha. Also used for guardrail metrics.
+     */
+    mixtureTest(difference, variance, tau2, alpha) {
+        if (!(variance > 0)) {
+            return { logLikelihoodRatio: 0, halfWidth: Infinity };
+        }
+
+        return {
+            logLikelihoodRatio: 0.5 * Math.log(variance / (variance + tau2)) +
+                (tau2 * difference * difference) / (2 * variance * (variance + tau2)),
+            // Confidence sequence: the differences θ0 the mSPRT would not reject at this alpha
+            halfWidth: Math.sqrt((variance * (variance + tau2) / tau2) *
+                (2 * Math.log(1 / alpha) + Math.log((variance + tau2) / variance)))
+        };
+    }
+
+    /**
+     * BAYESIAN
+     * Beta(prior.alpha + conversions, prior.beta + misses) posterior per variant
+     */
+    bayesianComparison(controlResults, variantResults, analysis) {
+        const control = this.posterior(controlResults, analysis.prior);
+        const variant = this.posterior(variantResults, analysis.prior);
+
+        const probabilityToBeatControl = this.probabilityGreater(variant, control);
+        // What we give up, in conversion rate, if we pick the wrong one
+        const expectedLoss = this.expectedLoss(variant, control);
+        const controlExpectedLoss = this.expectedLoss(control, variant);
+
+        const controlMean = control.alpha / (control.alpha + control.beta);
+        const variantMean = variant.alpha / (variant.alpha + variant.beta);
+        // Credible interval from the normal approximation of the posterior difference
+        const z = this.normalQuantile(0.5 + analysis.probabilityThreshold / 2);
+        const spread = z * Math.sqrt(this.betaVariance(control) + this.betaVariance(variant));
+        const difference = variantMean - controlMean;
+
+        let decision = null;
+        if (probabilityToBeatControl >= analysis.probabilityThreshold && expectedLoss <= analysis.lossThreshold) {
+            decision = 'better';
+        } else if (1 - probabilityToBeatControl >= analysis.probabilityThreshold && controlExpectedLoss <= analysis.lossThreshold) {
+            decision = 'worse';
+        }
+
+        return {
+            probabilityToBeatControl,
+            expectedLoss,
+            controlExpectedLoss,
+            significant: decision !== null,
+            decision,
+            lift: difference / controlMean,
+            difference,
+            liftRange: {
+                min: (difference - spread) / controlMean,
+                max: (difference + spread) / controlMean
+            }
+        };
+    }
+
+    posterior(results, prior) {
+        return {
+            alpha: prior.alpha + results.conversions,
+            beta: prior.beta + Math.max(0, results.sessions - results.conversions)
+        };
+    }
+
+    betaVariance({ alpha, beta }) {
+        return (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
+    }
+
+    // P(X > Y) for X ~ Beta(x.alpha, x.beta), Y ~ Beta(y.alpha, y.beta) with whole-number alphas.
+    // Closed form from Evan Miller, "Formulas for Bayesian A/B Testing"; sums over the smaller alpha.
+    probabilityGreater(x, y) {
+        if (y.alpha < x.alpha) {
+            return 1 - this.probabilityGreater(y, x);
+        }
+
+        const base = this.logBeta(y.alpha, y.beta);
+        let total = 0;
+        for (let i = 0; i < x.alpha; i++) {
+            total += Math.exp(this.logBeta(y.alpha + i, y.beta + x.beta) - Math.log(x.beta + i) -
+                this.logBeta(1 + i, x.beta) - base);
+        }
+        return Math.min(1, Math.max(0, total));
+    }
+
+    // E[max(Y - X, 0)]: conversion rate lost by choosing X when Y might be better
+    expectedLoss(x, y) {
+        const yMean = y.alpha / (y.alpha + y.beta);
+        const xMean = x.alpha / (x.alpha + x.beta);
+
+        return Math.max(0,
+            yMean * this.probabilityGreater({ alpha: y.alpha + 1, beta: y.beta }, x) -
+            xMean * this.probabilityGreater(y, { alpha: x.alpha + 1, beta: x.beta }));
+    }
+
+    /**
+     * INTERVALS AND TRAFFIC CHECKS
+     */
+
+    // Wilson score interval for a conversion rate; stays inside [0, 1] at small samples
+    proportionInterval(conversions, sessions, confidenceLevel = this.options.confidenceLevel) {
+        if (sessions === 0) {
+            return { rate: 0, min: 0, max: 0 };
+        }
+
+        const rate = Math.min(1, conversions / sessions);
+        const z = this.normalQuantile(0.5 + confidenceLevel / 2);
+        const z2 = z * z;
+        const center = (rate + z2 / (2 * sessions)) / (1 + z2 / sessions);
+        const spread = (z / (1 + z2 / sessions)) * Math.sqrt(rate * (1 - rate) / sessions + z2 / (4 * sessions * sessions));
+
+        return { rate, min: Math.max(0, center - spread), max: Math.min(1, center + spread) };
+    }
+
+    /**
+     * Sample ratio mismatch: chi-square goodness of fit of the observed visitors per variant
+     * against the shares they were allocated. A tiny p-value means assignment or tracking is broken.
+     */
+    sampleRatioTest(observed, expectedShares) {
+        const total = observed.reduce((sum, count) => sum + count, 0);
+        const shareTotal = expectedShares.reduce((sum, share) => sum + share, 0);
+        const degreesOfFreedom = observed.length - 1;
+
+        if (total === 0 || degreesOfFreedom < 1 || !(shareTotal > 0)) {
+            return { chiSquare: 0, degreesOfFreedom: Math.max(0, degreesOfFreedom), pValue: 1, expected: observed.map(() => 0) };
+        }
+
+        const expected = expectedShares.map(share => total * share / shareTotal);
+        const chiSquare = observed.reduce((sum, count, index) =>
+            sum + (expected[index] > 0 ? (count - expected[index]) ** 2 / expected[index] : 0), 0);
+
+        return { chiSquare, degreesOfFreedom, pValue: this.chiSquareSurvival(chiSquare, degreesOfFreedom), expected };
+    }
+
+    toDecision(significant, difference) {
+        if (!significant || difference === 0) return null;
+        return difference > 0 ? 'better' : 'worse';
+    }
+
+    /**
+     * DISTRIBUTIONS
+     */
+    normalCDF(x) {
+        // Approximation of the normal cumulative distribution function
+        return 0.5 * (1 + this.erf(x / Math.sqrt(2)));
+    }
+
+    erf(x) {
+        // Approximation of the error function
+        const a1 =  0.254829592;
+        const a2 = -0.284496736;
+        const a3 =  1.421413741;
+        const a4 = -1.453152027;
+        const a5 =  1.061405429;
+        const p  =  0.3275911;
+
+        const sign = x >= 0 ? 1 : -1;
+        x = Math.abs(x);
+
+        const t = 1.0 / (1.0 + p * x);
+        const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+
+        return sign * y;
+    }
+
+    normalQuantile(p) {
+        // Acklam's rational approximation of the inverse normal CDF
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const low = 0.02425;
+
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -this.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    // P(X >= x) for X ~ chi-square with k degrees of freedom
+    chiSquareSurvival(x, k) {
+        if (x <= 0) return 1;
+        return this.regularizedGammaQ(k / 2, x / 2);
+    }
+
+    // Upper regularized incomplete gamma Q(a, x): series below a + 1, continued fraction above
+    regularizedGammaQ(a, x) {
+        const logPrefix = a * Math.log(x) - x - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.min(1, Math.max(0, 1 - sum * Math.exp(logPrefix)));
+        }
+
+        // Modified Lentz evaluation of the continued fraction
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+        return Math.min(1, Math.max(0, Math.exp(logPrefix) * h));
+    }
+
+    logBeta(a, b) {
+        return this.logGamma(a) + this.logGamma(b) - this.logGamma(a + b);
+    }
+
+    logGamma(x) {
+        // Lanczos approximation (g = 7, n = 9)
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+        }
+
+        x -= 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (x + i);
+        }
+        const t = x + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+}
+
+export default StatisticsEngine;
@@ -919,7 +919,6 @@ export class AdvancedConversionPsychology {
      */
     initializeAnalyticsTracking() {
         this.analytics = {
-            events: [],
             funnel: this.conversionFunnel,
             track: (event, properties) => this.trackEvent(event, properties),
             flush: () => this.flushAnalytics()
@@ -984,59 +983,26 @@ export class AdvancedConversionPsychology {
     }
 
     trackEvent(event, properties = {}) {
+        if (!this.options.trackingEnabled) return;
+
         const eventData = {
-            event: event,
-            properties: {
-                ...properties,
-                timestamp: Date.now(),
-                session_id: this.sessionData.sessionId,
-                user_id: this.userId,
-                page_url: window.location.href,
-                user_variant: this.testingFramework.userVariant
-            }
+            ...properties,
+            user_variant: this.testingFramework.userVariant,
+            cognitive_profile: this.cognitiveProfile.type
         };
 
-        this.analytics.events.push(eventData);
-
-        // Send to analytics service (Google Analytics, Mixpanel, etc.)
-        if (typeof gtag !== 'undefined') {
-            gtag('event', event, {
-                custom_parameter_1: JSON.stringify(properties),
-                event_category: 'conversion_psychology',
-                event_label: this.cognitiveProfile.type
-            });
-        }
+        // The event bus (analytics-event-bus.js) adds session, user and page, redacts PII
+        // and sends to GA4, Mixpanel and /api/analytics once analytics is allowed
+        window.FacePayEvents?.publish(event, eventData, { tracker: 'conversion-psychology' });
 
         // Log for debugging
         if (this.options.debug) {
-            console.log('🎯 Event tracked:', eventData);
-        }
-
-        // Flush events periodically
-        if (this.analytics.events.length >= 10) {
-            this.flushAnalytics();
+            console.log('🎯 Event tracked:', event, eventData);
         }
     }
 
     flushAnalytics() {
-        if (this.analytics.events.length === 0) return;
-
-        // Send batch to analytics service
-        const batch = [...this.analytics.events];
-        this.analytics.events = [];
-
-        // Example: Send to custom analytics endpoint
-        if (this.options.trackingEnabled) {
-            fetch('/api/analytics/batch', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ events: batch })
-            }).catch(error => {
-                if (this.options.debug) {
-                    console.error('Analytics flush failed:', error);
-                }
-            });
-        }
+        return window.FacePayEvents?.flush();
     }
 
     /**
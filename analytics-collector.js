@@ -0,0 +1,708 @@
+/**
+ * ANALYTICS COLLECTOR
+ * Self-hosted endpoint for the site's own analytics, so nothing depends on GA being configured
+ *
+ * - POST /api/analytics            event batches from the event bus (analytics-event-bus.js EndpointDestination)
+ * - POST /api/analytics/web-vitals single web-vitals beacons (sendBeacon posts text/plain) from older web-vitals.js builds
+ * - POST /api/analytics/heatmap    AnalyticsTrackingSystem click, movement and scroll points (aggregated by analytics-heatmap.js)
+ * - POST /api/analytics/realtime   AnalyticsTrackingSystem 10-second activity pings
+ * - POST /api/analytics/replay     compressed chunks of a session recording (session-replay-recorder.js)
+ * - GET  /api/analytics/query      Stored records by collection, name, session and time range
+ *
+ * Payloads are validated before anything is written; invalid ones get a 400 listing the problems.
+ * Events whose event_id was already stored are skipped, so replayed batches are counted once.
+ * Records go to NDJSON files (one per collection) or, on Node 22.5+, a SQLite database.
+ * Node only (fs, node:sqlite); run it with `npm run analytics:collector` (scripts/analytics-collector.js).
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import { dirname, join, resolve } from 'path';
+import readline from 'readline';
+
+export const COLLECTIONS = ['events', 'web-vitals', 'heatmap', 'realtime', 'replay'];
+
+export const COLLECTOR_DEFAULTS = {
+    basePath: '/api/analytics',
+    // Larger bodies are rejected with 413 before they are parsed
+    maxBodyBytes: 512 * 1024,
+    maxEventsPerBatch: 500,
+    // AnalyticsTrackingSystem keeps at most 1000 heat map points between flushes
+    maxHeatmapPoints: 1000,
+    maxQueryLimit: 1000,
+    defaultQueryLimit: 100,
+    // event_ids remembered to drop events a client sends twice (offline queue replays, retried flushes)
+    dedupeWindow: 10000,
+    // When set, the query endpoint requires "Authorization: Bearer <token>"
+    queryToken: null
+};
+
+const NAME_PATTERN = /^[A-Za-z][\w.:-]{0,63}$/;
+const MAX_STRING_LENGTH = 2048;
+// Replay chunk data: gzip then base64 from CompressionStream, or plain JSON from a page-hide beacon
+const REPLAY_ENCODINGS = ['gzip-base64', 'json'];
+
+// Event fields lifted out of the payload into indexed columns; everything else stays in properties
+const FACEPAY_EVENT_FIELDS = ['event_name', 'timestamp', 'session_id', 'user_id', 'page_url'];
+const TRACKING_EVENT_FIELDS = ['event', 'timestamp', 'session_id', 'user_id', 'url'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTimestamp(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+function checkString(value, path, issues, { required = false, pattern = null } = {}) {
+    if (value === undefined || value === null) {
+        if (required) issues.push(`${path}: required`);
+        return;
+    }
+    if (typeof value !== 'string' || value.length > MAX_STRING_LENGTH) {
+        issues.push(`${path}: expected a string of at most ${MAX_STRING_LENGTH} characters`);
+    } else if (pattern && !pattern.test(value)) {
+        issues.push(`${path}: expected letters, digits, "_", ".", ":" or "-"`);
+    }
+}
+
+function checkNumber(value, path, issues, { required = false, min = -Infinity, max = Infinity } = {}) {
+    if (value === undefined || value === null) {
+        if (required) issues.push(`${path}: required`);
+        return;
+    }
+    if (!Number.isFinite(value) || value < min || value > max) {
+        const bounds = [min > -Infinity ? `>= ${min}` : '', max < Infinity ? `<= ${max}` : ''].filter(Boolean).join(' and ');
+        issues.push(`${path}: expected a number${bounds ? ` ${bounds}` : ''}`);
+    }
+}
+
+function omit(object, fields) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)));
+}
+
+/**
+ * Event batches come in two shapes:
+ *   event bus               { session_id, user_id, events: [{ event_name, event_id, timestamp, page_url, ... }], metadata }
+ *   AnalyticsTrackingSystem { events: [{ event, data }], session: { sessionId }, user: { userId }, funnel, timestamp }
+ *                           (sent before the trackers shared the event bus; still accepted from cached pages)
+ */
+export function validateEventBatch(payload, options = COLLECTOR_DEFAULTS) {
+    const issues = [];
+    if (!isObject(payload)) return ['body: expected a JSON object'];
+
+    if (!Array.isArray(payload.events) || payload.events.length === 0) {
+        issues.push('events: expected a non-empty array');
+        return issues;
+    }
+    if (payload.events.length > options.maxEventsPerBatch) {
+        issues.push(`events: at most ${options.maxEventsPerBatch} events per batch, got ${payload.events.length}`);
+        return issues;
+    }
+
+    checkString(payload.session_id, 'session_id', issues);
+    checkString(payload.user_id, 'user_id', issues);
+    if (payload.metadata !== undefined && !isObject(payload.metadata)) issues.push('metadata: expected an object');
+    if (payload.session !== undefined && !isObject(payload.session)) issues.push('session: expected an object');
+    if (payload.user !== undefined && !isObject(payload.user)) issues.push('user: expected an object');
+
+    payload.events.forEach((event, index) => {
+        const path = `events[${index}]`;
+        if (!isObject(event)) {
+            issues.push(`${path}: expected an object`);
+            return;
+        }
+
+        if (event.event_name !== undefined) {
+            checkString(event.event_name, `${path}.event_name`, issues, { required: true, pattern: NAME_PATTERN });
+            checkString(event.event_id, `${path}.event_id`, issues);
+            checkNumber(event.timestamp, `${path}.timestamp`, issues, { min: 0 });
+            checkString(event.session_id, `${path}.session_id`, issues);
+            checkString(event.user_id, `${path}.user_id`, issues);
+            checkString(event.page_url, `${path}.page_url`, issues);
+        } else if (event.event !== undefined) {
+            checkString(event.event, `${path}.event`, issues, { required: true, pattern: NAME_PATTERN });
+            if (event.data !== undefined && !isObject(event.data)) issues.push(`${path}.data: expected an object`);
+        } else {
+            issues.push(`${path}: expected event_name or event`);
+        }
+    });
+
+    return issues;
+}
+
+export function validateWebVital(payload) {
+    const issues = [];
+    if (!isObject(payload)) return ['body: expected a JSON object'];
+
+    checkString(payload.name, 'name', issues, { required: true, pattern: NAME_PATTERN });
+    checkNumber(payload.value, 'value', issues, { required: true, min: 0 });
+    checkNumber(payload.delta, 'delta', issues);
+    checkString(payload.rating, 'rating', issues);
+    checkString(payload.url, 'url', issues);
+    checkString(payload.userAgent, 'userAgent', issues);
+    checkNumber(payload.timestamp, 'timestamp', issues, { min: 0 });
+    if (payload.entries !== undefined && !Array.isArray(payload.entries)) issues.push('entries: expected an array');
+
+    return issues;
+}
+
+export function validateHeatmap(payload, options = COLLECTOR_DEFAULTS) {
+    const issues = [];
+    if (!isObject(payload)) return ['body: expected a JSON object'];
+
+    checkString(payload.url, 'url', issues, { required: true });
+    if (!isObject(payload.viewport)) {
+        issues.push('viewport: expected { width, height }');
+    } else {
+        checkNumber(payload.viewport.width, 'viewport.width', issues, { required: true, min: 0 });
+        checkNumber(payload.viewport.height, 'viewport.height', issues, { required: true, min: 0 });
+    }
+    checkNumber(payload.timestamp, 'timestamp', issues, { min: 0 });
+
+    if (!Array.isArray(payload.data) || payload.data.length === 0) {
+        issues.push('data: expected a non-empty array of points');
+        return issues;
+    }
+    if (payload.data.length > options.maxHeatmapPoints) {
+        issues.push(`data: at most ${options.maxHeatmapPoints} points, got ${payload.data.length}`);
+        return issues;
+    }
+
+    payload.data.forEach((point, index) => {
+        const path = `data[${index}]`;
+        if (!isObject(point)) {
+            issues.push(`${path}: expected an object`);
+            return;
+        }
+        checkNumber(point.x, `${path}.x`, issues, { required: true });
+        checkNumber(point.y, `${path}.y`, issues, { required: true });
+        checkString(point.type, `${path}.type`, issues, { required: true, pattern: NAME_PATTERN });
+        checkNumber(point.timestamp, `${path}.timestamp`, issues, { min: 0 });
+        // Element anchoring (analytics-heatmap.js); older clients send pixels only
+        checkString(point.selector, `${path}.selector`, issues);
+        checkString(point.section, `${path}.section`, issues);
+        checkNumber(point.rx, `${path}.rx`, issues, { min: 0, max: 1 });
+        checkNumber(point.ry, `${path}.ry`, issues, { min: 0, max: 1 });
+        checkNumber(point.depth, `${path}.depth`, issues, { min: 0 });
+    });
+
+    return issues;
+}
+
+export function validateRealtime(payload) {
+    const issues = [];
+    if (!isObject(payload)) return ['body: expected a JSON object'];
+
+    checkString(payload.session_id, 'session_id', issues, { required: true });
+    checkString(payload.user_id, 'user_id', issues);
+    checkString(payload.current_url, 'current_url', issues);
+    checkString(payload.funnel_stage, 'funnel_stage', issues);
+    checkNumber(payload.time_on_page, 'time_on_page', issues, { min: 0 });
+    checkNumber(payload.scroll_depth, 'scroll_depth', issues, { min: 0 });
+    checkNumber(payload.engagement_score, 'engagement_score', issues);
+    if (payload.is_active !== undefined && typeof payload.is_active !== 'boolean') issues.push('is_active: expected a boolean');
+    checkNumber(payload.timestamp, 'timestamp', issues, { min: 0 });
+
+    return issues;
+}
+
+export function validateReplay(payload) {
+    const issues = [];
+    if (!isObject(payload)) return ['body: expected a JSON object'];
+
+    checkString(payload.replay_id, 'replay_id', issues, { required: true, pattern: NAME_PATTERN });
+    checkString(payload.session_id, 'session_id', issues, { required: true });
+    checkString(payload.user_id, 'user_id', issues);
+    checkString(payload.url, 'url', issues);
+    checkNumber(payload.sequence, 'sequence', issues, { required: true, min: 0 });
+    if (Number.isFinite(payload.sequence) && !Number.isInteger(payload.sequence)) issues.push('sequence: expected a whole number');
+    checkNumber(payload.started_at, 'started_at', issues, { required: true, min: 0 });
+    checkNumber(payload.timestamp, 'timestamp', issues, { min: 0 });
+    if (!REPLAY_ENCODINGS.includes(payload.encoding)) issues.push(`encoding: expected one of ${REPLAY_ENCODINGS.join(', ')}`);
+    // Only the body size limits it; the player decodes it
+    if (typeof payload.data !== 'string' || payload.data === '') issues.push('data: expected the encoded events as a non-empty string');
+
+    return issues;
+}
+
+/**
+ * Stored records share { collection, name, session_id, user_id, url, timestamp, received_at }
+ * so every collection can be filtered the same way; the rest of the payload is kept alongside.
+ * Events also keep the browser's user_agent, so funnel reports (analytics-funnels.js) can split by device.
+ */
+function toRecords(collection, payload, receivedAt, userAgent = null) {
+    const clientTime = value => (isTimestamp(value) ? value : receivedAt);
+
+    switch (collection) {
+        case 'events': {
+            const session = payload.session_id ?? payload.session?.sessionId ?? null;
+            const user = payload.user_id ?? payload.user?.userId ?? null;
+            const agent = typeof payload.metadata?.user_agent === 'string' ? payload.metadata.user_agent.slice(0, MAX_STRING_LENGTH) : userAgent;
+
+            return payload.events.map(event => {
+                if (event.event_name !== undefined) {
+                    return {
+                        collection,
+                        name: event.event_name,
+                        session_id: event.session_id ?? session,
+                        user_id: event.user_id ?? user,
+                        url: event.page_url ?? null,
+                        timestamp: clientTime(event.timestamp),
+                        received_at: receivedAt,
+                        user_agent: agent,
+                        properties: omit(event, FACEPAY_EVENT_FIELDS)
+                    };
+                }
+
+                // AnalyticsTrackingSystem queues { event, data } where data is the full tracked event
+                const data = event.data || {};
+                return {
+                    collection,
+                    name: event.event,
+                    session_id: data.session_id ?? session,
+                    user_id: data.user_id ?? user,
+                    url: data.url ?? null,
+                    timestamp: clientTime(data.timestamp ?? payload.timestamp),
+                    received_at: receivedAt,
+                    user_agent: agent,
+                    properties: omit(data, TRACKING_EVENT_FIELDS)
+                };
+            });
+        }
+
+        case 'web-vitals': {
+            const { name, url, timestamp, ...metric } = payload;
+            // Client fields first, so a payload cannot overwrite the fields the collector owns
+            return [{ ...metric, collection, name, session_id: null, user_id: null, url: url ?? null, timestamp: clientTime(timestamp), received_at: receivedAt }];
+        }
+
+        case 'heatmap':
+            return [{
+                collection,
+                name: 'heatmap',
+                session_id: null,
+                user_id: null,
+                url: payload.url,
+                timestamp: clientTime(payload.timestamp),
+                received_at: receivedAt,
+                viewport: payload.viewport,
+                points: payload.data
+            }];
+
+        case 'realtime': {
+            const { session_id, user_id, current_url, timestamp, ...activity } = payload;
+            return [{ ...activity, collection, name: 'realtime', session_id, user_id: user_id ?? null, url: current_url ?? null, timestamp: clientTime(timestamp), received_at: receivedAt }];
+        }
+
+        case 'replay':
+            return [{
+                collection,
+                name: 'replay_chunk',
+                session_id: payload.session_id,
+                user_id: payload.user_id ?? null,
+                url: payload.url ?? null,
+                timestamp: clientTime(payload.timestamp),
+                received_at: receivedAt,
+                replay_id: payload.replay_id,
+                sequence: payload.sequence,
+                started_at: payload.started_at,
+                encoding: payload.encoding,
+                data: payload.data
+            }];
+
+        default:
+            return [];
+    }
+}
+
+export function matchesFilter(record, filter) {
+    if (filter.name && record.name !== filter.name) return false;
+    if (filter.session && record.session_id !== filter.session) return false;
+    if (filter.from !== undefined && record.timestamp < filter.from) return false;
+    if (filter.to !== undefined && record.timestamp > filter.to) return false;
+    return true;
+}
+
+/**
+ * One append-only <collection>.ndjson file per collection under the data directory
+ */
+export class NdjsonStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.writing = Promise.resolve();
+        this.terminated = new Set();
+    }
+
+    fileFor(collection) {
+        return join(this.directory, `${collection}.ndjson`);
+    }
+
+    append(collection, records) {
+        const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+        // Appends are chained so concurrent requests never interleave partial lines
+        const write = this.writing.then(async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            const separator = await this.tornLineSeparator(collection);
+            await fs.appendFile(this.fileFor(collection), separator + lines);
+        });
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    // A crash mid-append leaves a line without its newline; the first append after a restart starts a fresh one
+    async tornLineSeparator(collection) {
+        if (this.terminated.has(collection)) return '';
+        this.terminated.add(collection);
+
+        let handle;
+        try {
+            handle = await fs.open(this.fileFor(collection), 'r');
+            const { size } = await handle.stat();
+            if (size === 0) return '';
+            const last = Buffer.alloc(1);
+            await handle.read(last, 0, 1, size - 1);
+            return last[0] === 0x0a ? '' : '\n';
+        } catch (error) {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    async query(collection, filter, limit) {
+        await this.writing;
+
+        const matches = [];
+        try {
+            await fs.access(this.fileFor(collection));
+        } catch (error) {
+            if (error.code === 'ENOENT') return matches;
+            throw error;
+        }
+
+        const input = createReadStream(this.fileFor(collection));
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            await this.collect(lines, filter, limit, matches);
+        } finally {
+            input.destroy();
+        }
+        return matches;
+    }
+
+    async collect(lines, filter, limit, matches) {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                // Torn lines from a crash are skipped rather than failing every query
+                continue;
+            }
+
+            if (matchesFilter(record, filter)) {
+                matches.push(record);
+                if (matches.length > limit) break;
+            }
+        }
+    }
+
+    async close() {
+        await this.writing;
+    }
+}
+
+/**
+ * Single SQLite file through node:sqlite (Node 22.5+); filterable fields are columns, the record is JSON
+ */
+export class SqliteStore {
+    constructor(filename) {
+        this.filename = filename;
+        this.database = null;
+    }
+
+    async open() {
+        if (this.database) return this.database;
+
+        let sqlite;
+        try {
+            sqlite = await import('node:sqlite');
+        } catch {
+            throw new Error('SQLite storage needs Node 22.5 or later (node:sqlite); use the NDJSON store instead');
+        }
+
+        await fs.mkdir(dirname(this.filename), { recursive: true });
+        this.database = new sqlite.DatabaseSync(this.filename);
+        this.database.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                id INTEGER PRIMARY KEY,
+                collection TEXT NOT NULL,
+                name TEXT,
+                session_id TEXT,
+                timestamp INTEGER NOT NULL,
+                record TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS records_by_time ON records (collection, timestamp);
+        `);
+        return this.database;
+    }
+
+    async append(collection, records) {
+        const database = await this.open();
+        const insert = database.prepare('INSERT INTO records (collection, name, session_id, timestamp, record) VALUES (?, ?, ?, ?, ?)');
+
+        database.exec('BEGIN');
+        try {
+            records.forEach(record => insert.run(collection, record.name, record.session_id, record.timestamp, JSON.stringify(record)));
+            database.exec('COMMIT');
+        } catch (error) {
+            database.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async query(collection, filter, limit) {
+        const database = await this.open();
+        const clauses = ['collection = ?'];
+        const values = [collection];
+
+        if (filter.name) { clauses.push('name = ?'); values.push(filter.name); }
+        if (filter.session) { clauses.push('session_id = ?'); values.push(filter.session); }
+        if (filter.from !== undefined) { clauses.push('timestamp >= ?'); values.push(filter.from); }
+        if (filter.to !== undefined) { clauses.push('timestamp <= ?'); values.push(filter.to); }
+
+        return database
+            .prepare(`SELECT record FROM records WHERE ${clauses.join(' AND ')} ORDER BY id LIMIT ?`)
+            .all(...values, limit + 1)
+            .map(row => JSON.parse(row.record));
+    }
+
+    async close() {
+        if (this.database) this.database.close();
+        this.database = null;
+    }
+}
+
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'content-type': 'application/json', 'cache-control': 'no-store', ...headers }
+    });
+}
+
+// Query times are epoch milliseconds or anything Date.parse understands
+function parseTime(value, name, issues) {
+    if (value === null || value === '') return undefined;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        issues.push(`${name}: expected epoch milliseconds or an ISO date`);
+        return undefined;
+    }
+    return time;
+}
+
+export class AnalyticsCollector {
+    constructor(options = {}) {
+        this.options = { ...COLLECTOR_DEFAULTS, ...options };
+        this.store = options.store || new NdjsonStore(options.dataDir || resolve('analytics-data'));
+        this.now = options.now || (() => Date.now());
+        // Insertion-ordered, so the oldest ids are forgotten first; lost on restart
+        this.seenEventIds = new Set();
+
+        this.routes = {
+            [this.options.basePath]: { collection: 'events', validate: payload => validateEventBatch(payload, this.options) },
+            [`${this.options.basePath}/web-vitals`]: { collection: 'web-vitals', validate: validateWebVital },
+            [`${this.options.basePath}/heatmap`]: { collection: 'heatmap', validate: payload => validateHeatmap(payload, this.options) },
+            [`${this.options.basePath}/realtime`]: { collection: 'realtime', validate: validateRealtime },
+            [`${this.options.basePath}/replay`]: { collection: 'replay', validate: validateReplay }
+        };
+    }
+
+    /**
+     * Whether the path belongs to the collector; anything else is left to the caller
+     */
+    handles(pathname) {
+        return pathname in this.routes || pathname === `${this.options.basePath}/query`;
+    }
+
+    /**
+     * Web Request in, Response out; null when the path isn't a collector route
+     */
+    async handle(request) {
+        const url = new URL(request.url);
+        if (!this.handles(url.pathname)) return null;
+
+        if (url.pathname === `${this.options.basePath}/query`) {
+            if (request.method !== 'GET') return json({ error: 'Method not allowed' }, 405, { allow: 'GET' });
+            return this.query(request, url);
+        }
+
+        if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405, { allow: 'POST' });
+        return this.ingest(this.routes[url.pathname], request);
+    }
+
+    async ingest(route, request) {
+        const declaredLength = Number(request.headers.get('content-length'));
+        if (declaredLength > this.options.maxBodyBytes) {
+            return json({ error: `Payload larger than ${this.options.maxBodyBytes} bytes` }, 413);
+        }
+
+        const body = await request.text();
+        if (Buffer.byteLength(body) > this.options.maxBodyBytes) {
+            return json({ error: `Payload larger than ${this.options.maxBodyBytes} bytes` }, 413);
+        }
+
+        // Content type is not checked: sendBeacon sends JSON strings as text/plain
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            return json({ error: 'Invalid payload', issues: ['body: expected JSON'] }, 400);
+        }
+
+        const issues = route.validate(payload);
+        if (issues.length > 0) {
+            return json({ error: 'Invalid payload', issues }, 400);
+        }
+
+        // sendBeacon and the offline queue's replays come from the same browser, so the header is a fair fallback
+        const received = toRecords(route.collection, payload, this.now(), request.headers.get('user-agent')?.slice(0, MAX_STRING_LENGTH) ?? null);
+        const records = this.dropDuplicates(received);
+        try {
+            if (records.length > 0) await this.store.append(route.collection, records);
+        } catch (error) {
+            console.error('❌ Analytics collector could not store records:', error);
+            return json({ error: 'Storage unavailable' }, 503);
+        }
+        this.rememberEventIds(records);
+
+        return json({ accepted: records.length, duplicates: received.length - records.length }, 202);
+    }
+
+    /**
+     * Records whose event_id was stored before, or appears earlier in the same batch, are left out
+     */
+    dropDuplicates(records) {
+        const batch = new Set();
+        return records.filter(record => {
+            const id = record.properties?.event_id;
+            if (id === undefined || id === null) return true;
+            if (this.seenEventIds.has(id) || batch.has(id)) return false;
+            batch.add(id);
+            return true;
+        });
+    }
+
+    // Only after a successful append, so a batch that got a 503 is accepted when it is retried
+    rememberEventIds(records) {
+        records.forEach(record => {
+            const id = record.properties?.event_id;
+            if (id !== undefined && id !== null) this.seenEventIds.add(id);
+        });
+        for (const id of this.seenEventIds) {
+            if (this.seenEventIds.size <= this.options.dedupeWindow) break;
+            this.seenEventIds.delete(id);
+        }
+    }
+
+    async query(request, url) {
+        if (this.options.queryToken && request.headers.get('authorization') !== `Bearer ${this.options.queryToken}`) {
+            return json({ error: 'Unauthorized' }, 401, { 'www-authenticate': 'Bearer' });
+        }
+
+        const params = url.searchParams;
+        const issues = [];
+        const collection = params.get('collection') || 'events';
+        if (!COLLECTIONS.includes(collection)) {
+            issues.push(`collection: expected one of ${COLLECTIONS.join(', ')}`);
+        }
+
+        const filter = {
+            name: params.get('name') || null,
+            session: params.get('session') || null,
+            from: parseTime(params.get('from'), 'from', issues),
+            to: parseTime(params.get('to'), 'to', issues)
+        };
+
+        let limit = this.options.defaultQueryLimit;
+        if (params.has('limit')) {
+            limit = Number(params.get('limit'));
+            if (!Number.isInteger(limit) || limit < 1 || limit > this.options.maxQueryLimit) {
+                issues.push(`limit: expected a whole number from 1 to ${this.options.maxQueryLimit}`);
+            }
+        }
+
+        if (issues.length > 0) {
+            return json({ error: 'Invalid query', issues }, 400);
+        }
+
+        // Stores return up to limit + 1 matches so truncation can be reported without counting everything
+        const matches = await this.store.query(collection, filter, limit);
+        const records = matches.slice(0, limit);
+        return json({ collection, count: records.length, truncated: matches.length > limit, records });
+    }
+
+    close() {
+        return this.store.close();
+    }
+}
+
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Keep one byte past the limit so handle() can tell the payload was too large
+            if (size <= maxBytes + 1) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).subarray(0, maxBytes + 1)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Adapts the collector to http.createServer; next(request) answers everything else (e.g. static files)
+ */
+export function createNodeHandler(collector, next = null) {
+    return async (req, res) => {
+        try {
+            const url = `http://${req.headers.host || 'localhost'}${req.url}`;
+            const headers = new Headers();
+            Object.entries(req.headers).forEach(([name, value]) => {
+                (Array.isArray(value) ? value : [value]).forEach(item => headers.append(name, item));
+            });
+
+            const routed = collector.handles(new URL(url).pathname);
+            const hasBody = routed && !['GET', 'HEAD'].includes(req.method);
+            const request = new Request(url, {
+                method: req.method,
+                headers,
+                body: hasBody ? await readBody(req, collector.options.maxBodyBytes) : undefined
+            });
+
+            const response = routed
+                ? await collector.handle(request)
+                : next
+                    ? await next(request)
+                    : json({ error: 'Not found' }, 404);
+
+            const outgoing = {};
+            response.headers.forEach((value, name) => {
+                outgoing[name] = value;
+            });
+            res.writeHead(response.status, outgoing);
+            res.end(new Uint8Array(await response.arrayBuffer()));
+        } catch (error) {
+            console.error('❌ Analytics collector request failed:', error);
+            res.writeHead(500, { 'content-type': 'text/plain' });
+            res.end('Internal Server Error');
+        }
+    };
+}
+
+export default AnalyticsCollector;
@@ -0,0 +1,967 @@
+/**
+ * FACEPAY ANALYTICS EVENT BUS
+ * One pipeline for every analytics event on the site: a typed event schema, one visitor identity
+ * and pluggable destinations (GA4, Mixpanel, the /api/analytics endpoint, the console)
+ *
+ * FacePayAnalytics (analytics-system.js), AnalyticsTrackingSystem (analytics-tracking-system.js),
+ * MicroConversionsOptimizer, AdvancedConversionPsychology and web-vitals.js only collect; they publish
+ * here and never talk to a vendor themselves. Emails, wallet addresses, @usernames and form values are
+ * hashed or removed (PII_POLICY) before any destination sees an event.
+ *
+ * Load order: consent-manager.js, analytics-offline-queue.js (optional), then this file, then any tracker
+ * and session-replay-recorder.js. Nothing is published, stored or sent until the visitor allows analytics;
+ * withdrawing it stops every destination and forgets the identity.
+ * Page-level options can be set on window.FacePayAnalyticsConfig before this file loads
+ * (measurementId, mixpanelToken, endpoint, batchSize, flushInterval, piiPolicy, debug, replay).
+ *
+ * API for other modules — window.FacePayEvents:
+ *   publish(name, properties, { tracker })  validates against EVENT_SCHEMA and fans the event out; returns it, or null when dropped
+ *   identify(userId, traits)               replaces the anonymous id with a known one on every destination
+ *   getIdentity()                          { userId, sessionId, firstVisit, visitCount, isReturning, traits } or null before consent
+ *   addDestination(destination)            { name, handle(event), start?(bus), flush?(options), identify?(identity), reset?() }
+ *   createDestination(type, options)       a built-in destination: 'ga4', 'mixpanel', 'endpoint' or 'console'
+ *   removeDestination(name), getDestination(name)
+ *   flush({ beacon })                      sends whatever destinations have batched; beacon for page unload
+ *   elementText(element, maxLength)        text of a clicked or hovered element; empty where the visitor can type
+ */
+
+const EVENT_BUS_DEFAULTS = {
+    measurementId: 'G-FACEPAY2024', // Replace with actual GA4 measurement ID
+    mixpanelToken: null,
+    endpoint: '/api/analytics',
+    batchSize: 10,
+    flushInterval: 30000, // 30 seconds
+    // A visit ends after 30 minutes without events, as in GA4
+    sessionTimeout: 30 * 60 * 1000,
+    debug: false
+};
+
+const SDK_VERSION = '2.1.0';
+
+// Where the identity lives; legacy are AnalyticsTrackingSystem's own keys, migrated once and then removed
+const IDENTITY_KEYS = {
+    userId: 'facepay_user_id',
+    visits: 'facepay_visits',
+    session: 'facepay_session',
+    legacy: ['analytics_user_id', 'analytics_returning_user', 'analytics_first_visit', 'analytics_visit_count']
+};
+
+const EVENT_NAME_PATTERN = /^[A-Za-z][\w.:-]{0,63}$/;
+
+// Set by the bus next to the properties when destinations flatten an event; a property with one of these names is ignored
+const RESERVED_PROPERTIES = ['event_id', 'event_name', 'category', 'tracker', 'timestamp', 'session_id', 'user_id', 'page_url', 'page_title', 'referrer'];
+
+/**
+ * Known events, their category and the type of each property they may carry.
+ * Declared properties are optional unless listed in required; undeclared ones pass through untyped.
+ * Events that aren't listed here are accepted under the 'Other' category.
+ */
+const EVENT_SCHEMA = {
+    // Performance
+    page_load: {
+        category: 'Performance',
+        properties: { load_time: 'number', dom_content_loaded: 'number', first_paint: 'number', first_contentful_paint: 'number', page_size: 'number', resource_count: 'number', url: 'string', screen_resolution: 'string', viewport_size: 'string', attribution: 'object', connection: 'object' }
+    },
+    web_vitals: {
+        category: 'Performance',
+        required: ['metric_name', 'metric_value'],
+        properties: { metric_name: 'string', metric_value: 'number', metric_rating: 'string', metric_delta: 'number', metric_id: 'string', entries: 'array', connection_type: 'string', device_memory: 'number' }
+    },
+    performance_navigation: { category: 'Performance', properties: { dns: 'number', connect: 'number', request: 'number', response: 'number', dom: 'number', load: 'number', total: 'number' } },
+    performance_resource: { category: 'Performance', properties: { name: 'string', type: 'string', duration: 'number', size: 'number', cached: 'boolean' } },
+    performance_long_task: { category: 'Performance', properties: { duration: 'number', start_time: 'number', attribution: 'array' } },
+    performance_metrics: { category: 'Performance', properties: { load_time: 'number', dom_ready: 'number', first_paint: 'number', dns_lookup: 'number', server_response: 'number' } },
+    custom_performance: { category: 'Performance', properties: { page_load_complete: 'number', resource_count: 'number', navigation_type: 'string' } },
+    slow_resource: { category: 'Performance', properties: { resource_name: 'string', resource_type: 'string', duration: 'number', size: 'number' } },
+    time_to_interactive_estimate: { category: 'Performance', properties: { value: 'number', method: 'string' } },
+    first_input_delay_manual: { category: 'Performance', properties: { value: 'number', input_type: 'string' } },
+    service_worker_metrics: { category: 'Performance', properties: {} },
+    download_progress: { category: 'Performance', properties: { url: 'string', percentage: 'number', received: 'number', total: 'number' } },
+
+    // Engagement
+    click: { category: 'Engagement', properties: { element_type: 'string', element_tag: 'string', element_text: 'string', element_id: 'string', element_class: 'string', element_href: 'string', element_position: 'object', viewport_position: 'object' } },
+    hover: { category: 'Engagement', properties: { element_tag: 'string', element_id: 'string', element_class: 'string', element_text: 'string', hover_duration: 'number', element_position: 'object' } },
+    scroll_depth: { category: 'Engagement', required: ['depth'], properties: { depth: 'number', page_height: 'number', viewport_height: 'number' } },
+    scroll_milestone: { category: 'Engagement', required: ['milestone'], properties: { milestone: 'number', time_to_milestone: 'number' } },
+    scroll_session: { category: 'Engagement', properties: { duration: 'number', distance: 'number', direction: 'string', max_scroll_depth: 'number' } },
+    time_on_page: { category: 'Engagement', properties: { seconds: 'number', engaged: 'boolean', scroll_depth: 'number', interactions: 'number' } },
+    user_idle: { category: 'Engagement', properties: { idle_duration: 'number', engagement_score: 'number', time_on_page: 'number' } },
+    exit_intent: { category: 'Engagement', properties: { time_on_page: 'number', scroll_depth: 'number', engagement_score: 'number', funnel_stage: 'string' } },
+    page_exit: { category: 'Engagement', properties: { session_duration: 'number', max_scroll_depth: 'number', funnel_stage: 'string', conversion_completed: 'boolean' } },
+    form_start: { category: 'Engagement', properties: { form_id: 'string', field_name: 'string', field_type: 'string' } },
+    form_submit: { category: 'Engagement', properties: { form_id: 'string', form_fields: 'number' } },
+    // Links the session's events to its recording (session-replay-recorder.js)
+    session_replay_started: { category: 'Engagement', required: ['replay_id'], properties: { replay_id: 'string', sample_rate: 'number' } },
+
+    // Video
+    video_play: { category: 'Video', required: ['video_id'], properties: { video_id: 'string', current_time: 'number', duration: 'number', play_count: 'number' } },
+    video_pause: { category: 'Video', required: ['video_id'], properties: { video_id: 'string', current_time: 'number', duration: 'number', progress: 'number' } },
+    video_progress: { category: 'Video', required: ['video_id', 'progress'], properties: { video_id: 'string', progress: 'number', current_time: 'number', duration: 'number' } },
+    video_complete: { category: 'Video', required: ['video_id'], properties: { video_id: 'string', duration: 'number', play_count: 'number', pause_count: 'number' } },
+
+    // Error
+    javascript_error: { category: 'Error', properties: { message: 'string', filename: 'string', line: 'number', column: 'number', stack: 'string', url: 'string' } },
+    promise_rejection: { category: 'Error', properties: { reason: 'string', stack: 'string', url: 'string' } },
+    resource_error: { category: 'Error', properties: { element: 'string', source: 'string', url: 'string' } },
+
+    // Conversion
+    micro_conversion_triggered: { category: 'Conversion', properties: { type: 'string', attempt: 'number' } },
+    micro_conversion_completed: { category: 'Conversion', required: ['type'], properties: { type: 'string', email: 'string', profile_data: 'object', lead_score: 'number', attempt: 'number' } },
+    funnel_stage_completed: { category: 'Conversion', required: ['stage_id'], properties: { funnel_id: 'string', stage_id: 'string', stage_name: 'string', trigger: 'string', time_to_stage: 'number' } },
+    conversion_completed: { category: 'Conversion', properties: { time_to_convert: 'number', conversion_path: 'array', session_duration: 'number', touchpoints: 'number' } },
+
+    // Experiments (ab-testing-framework.js); funnel reports segment sessions by variant with these
+    experiment_exposure: { category: 'Experiment', required: ['experiment_id', 'variant_id'], properties: { experiment_id: 'string', variant_id: 'string' } },
+
+    // Identity
+    user_identify: { category: 'Identity', properties: { traits: 'object' } }
+};
+
+// Sent to the endpoint straight away instead of waiting for a full batch
+const URGENT_EVENTS = ['javascript_error', 'promise_rejection', 'web_vitals'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return isPlainObject(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+/**
+ * Issues with an event against EVENT_SCHEMA, as "properties.<key>: ..." messages; empty when valid
+ */
+function validateEvent(name, properties) {
+    if (typeof name !== 'string' || !EVENT_NAME_PATTERN.test(name)) {
+        return [`name: expected an event name like "cta_click", got ${JSON.stringify(name)}`];
+    }
+    if (!isPlainObject(properties)) return ['properties: expected an object'];
+
+    const schema = EVENT_SCHEMA[name];
+    if (!schema) return [];
+
+    const issues = [];
+    (schema.required || []).forEach(key => {
+        if (properties[key] === undefined || properties[key] === null) issues.push(`properties.${key}: required`);
+    });
+    Object.entries(schema.properties).forEach(([key, type]) => {
+        const value = properties[key];
+        if (value === undefined || value === null) return;
+        if (!matchesType(value, type)) issues.push(`properties.${key}: expected ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+    });
+    return issues;
+}
+
+/**
+ * JSON-safe copy of an event's properties: reserved names, functions and anything
+ * that can't be serialised (DOM nodes, cycles) are dropped, NaN and Infinity become null
+ */
+function cleanProperties(properties) {
+    const clean = {};
+    Object.entries(properties).forEach(([key, value]) => {
+        if (RESERVED_PROPERTIES.includes(key) || value === undefined || typeof value === 'function') return;
+        try {
+            clean[key] = JSON.parse(JSON.stringify(value) ?? 'null');
+        } catch {
+            // Not serialisable; no destination could send it anyway
+        }
+    });
+    return clean;
+}
+
+// ==========================================================================
+// PII REDACTION
+// ==========================================================================
+
+/**
+ * What the bus does with personal data before any destination sees an event.
+ * fields: by property name at any depth; case, "_" and "-" are ignored, so profileData matches profile_data
+ *   'hash' → 'sha256:<hex>' of the salted, normalised value; still countable and joinable, not readable
+ *   'drop' → removed
+ *   'keep' → sent as it is, without the text scan below
+ * Every other string (element text, URLs, error messages) has pattern matches replaced with "[email]" etc.
+ * Override per page with FacePayAnalyticsConfig.piiPolicy; fields and patterns are merged with these.
+ */
+const PII_POLICY = {
+    fields: {
+        email: 'hash',
+        user_email: 'hash',
+        wallet: 'hash',
+        wallet_address: 'hash',
+        username: 'hash',
+        handle: 'hash',
+        password: 'drop',
+        phone: 'drop',
+        phone_number: 'drop',
+        // Whatever the visitor typed or picked in a form
+        field_value: 'drop',
+        input_value: 'drop',
+        form_values: 'drop',
+        form_data: 'drop',
+        profile_data: 'drop'
+    },
+    // Checked in order; emails first so their "@domain" isn't taken for a username.
+    // A first capture group is kept in the text (the character before an @username).
+    patterns: {
+        email: /[A-Z0-9._%+-]+(?:@|%40)[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+        // EVM (40 hex digits) and StarkNet addresses (64, or fewer when leading zeros are dropped)
+        wallet: /\b0x(?:[a-fA-F0-9]{40}|[a-fA-F0-9]{56,64})\b/g,
+        // Same characters crypto-usernames.js accepts after the @
+        username: /(^|[^\w@.%-])@[a-z0-9](?:[a-z0-9._-]*[a-z0-9_])?/gi
+    },
+    // Change it per deployment so hashes can't be matched against other sites' tables
+    hashSalt: 'facepay'
+};
+
+const HASH_PREFIX = 'sha256:';
+const HASHED_VALUE = /^sha256:[0-9a-f]{64}$/;
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Hex SHA-256 of a string. Synchronous, unlike crypto.subtle, because publish() is.
+ */
+function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, bytes.length * 8);
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+class PiiRedactor {
+    constructor(policy = {}) {
+        this.policy = {
+            ...PII_POLICY,
+            ...policy,
+            fields: { ...PII_POLICY.fields, ...policy.fields },
+            patterns: { ...PII_POLICY.patterns, ...policy.patterns }
+        };
+        this.fields = new Map(Object.entries(this.policy.fields).map(([key, action]) => [PiiRedactor.fieldKey(key), action]));
+    }
+
+    static fieldKey(key) {
+        return key.toLowerCase().replace(/[_-]/g, '');
+    }
+
+    /**
+     * A copy of properties with the policy applied; redacted is true when anything changed
+     */
+    redact(properties) {
+        const state = { redacted: false };
+        const result = this.redactValue(properties, null, state);
+        return { properties: result, redacted: state.redacted };
+    }
+
+    redactValue(value, key, state) {
+        const action = key === null ? undefined : this.fields.get(PiiRedactor.fieldKey(key));
+
+        if (action === 'keep') return value;
+        if (action === 'drop') {
+            state.redacted = true;
+            return undefined;
+        }
+        if (action === 'hash' && (typeof value === 'string' || typeof value === 'number')) {
+            const hashed = this.hash(value);
+            if (hashed !== value) state.redacted = true;
+            return hashed;
+        }
+
+        if (typeof value === 'string') {
+            const masked = this.redactText(value);
+            if (masked !== value) state.redacted = true;
+            return masked;
+        }
+        if (Array.isArray(value)) return value.map(item => this.redactValue(item, null, state));
+        if (isPlainObject(value)) {
+            const copy = {};
+            Object.entries(value).forEach(([childKey, childValue]) => {
+                const redacted = this.redactValue(childValue, childKey, state);
+                if (redacted !== undefined) copy[childKey] = redacted;
+            });
+            return copy;
+        }
+        return value;
+    }
+
+    redactText(text) {
+        if (typeof text !== 'string' || text === '') return text;
+        return Object.entries(this.policy.patterns).reduce((result, [name, pattern]) => result.replace(pattern, (match, prefix) => {
+            return `${typeof prefix === 'string' ? prefix : ''}[${name}]`;
+        }), text);
+    }
+
+    /**
+     * Already-hashed values are returned as they are, so redacting twice changes nothing
+     */
+    hash(value) {
+        const text = String(value).trim();
+        if (HASHED_VALUE.test(text)) return text;
+        return HASH_PREFIX + sha256(`${this.policy.hashSalt}:${text.toLowerCase()}`);
+    }
+
+    /**
+     * A user id that is itself an email, wallet or @username is hashed; generated ids pass through
+     */
+    redactId(id) {
+        return this.redactText(id) === id ? id : this.hash(id);
+    }
+}
+
+function createId(prefix) {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return `${prefix}_${crypto.randomUUID()}`;
+    }
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+class AnalyticsEventBus {
+    constructor(options = {}) {
+        this.options = {
+            ...EVENT_BUS_DEFAULTS,
+            ...options,
+            consent: options.consent || (typeof window !== 'undefined' ? window.FacePayConsent : null),
+            storage: options.storage || (typeof localStorage !== 'undefined' ? localStorage : null),
+            sessionStorage: options.sessionStorage || (typeof sessionStorage !== 'undefined' ? sessionStorage : null),
+            now: options.now || (() => Date.now())
+        };
+
+        this.destinations = new Map();
+        this.identity = null;
+        this.started = false;
+        this.stats = { published: 0, rejected: 0, redacted: 0 };
+        this.reportedIssues = new Set();
+        this.redactor = new PiiRedactor(options.piiPolicy);
+
+        (options.destinations || []).forEach(destination => this.addDestination(destination));
+
+        const consent = this.options.consent;
+        if (!consent) {
+            console.warn('⚠️ FacePay events are off: load consent-manager.js before analytics-event-bus.js');
+            return;
+        }
+
+        // Follows every decision, so analytics granted again after a withdrawal starts a fresh identity
+        consent.onChange(choices => {
+            if (choices?.analytics) this.start();
+            else this.stop();
+        });
+        if (consent.has('analytics')) this.start();
+    }
+
+    // ==========================================================================
+    // LIFECYCLE
+    // ==========================================================================
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.identity = this.loadIdentity();
+        this.destinations.forEach(destination => this.startDestination(destination));
+        this.log('✅ Event bus started', this.identity);
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+        this.identity = null;
+        this.destinations.forEach(destination => this.call(destination, 'reset'));
+        // localStorage identifiers are removed by the consent manager (TRACKING_STORAGE)
+        try {
+            this.options.sessionStorage?.removeItem(IDENTITY_KEYS.session);
+        } catch {
+            // Storage can be unavailable; the in-memory identity is gone either way
+        }
+        this.log('🚫 Analytics consent withdrawn, event bus stopped');
+    }
+
+    startDestination(destination) {
+        this.call(destination, 'start', this);
+        if (this.identity?.traits) this.call(destination, 'identify', this.identity);
+    }
+
+    // ==========================================================================
+    // IDENTITY
+    // ==========================================================================
+
+    loadIdentity() {
+        const storage = this.options.storage;
+        const now = this.options.now();
+        const read = key => {
+            try {
+                return storage?.getItem(key) ?? null;
+            } catch {
+                return null;
+            }
+        };
+        const write = (key, value) => {
+            try {
+                if (value === null) storage?.removeItem(key);
+                else storage?.setItem(key, value);
+            } catch {
+                // Private browsing can refuse storage; the identity still holds for this page view
+            }
+        };
+
+        let visits = null;
+        try {
+            visits = JSON.parse(read(IDENTITY_KEYS.visits));
+        } catch {
+            visits = null;
+        }
+
+        // AnalyticsTrackingSystem used to keep its own id and visit counters
+        const userId = read(IDENTITY_KEYS.userId) || read('analytics_user_id') || createId('user');
+        if (!isPlainObject(visits)) {
+            visits = {
+                firstVisit: Number(read('analytics_first_visit')) || now,
+                count: parseInt(read('analytics_visit_count') || '0', 10) || 0
+            };
+        }
+        write(IDENTITY_KEYS.userId, userId);
+        IDENTITY_KEYS.legacy.forEach(key => write(key, null));
+
+        this.identity = { userId, sessionId: null, lastActivity: 0, firstVisit: visits.firstVisit, visitCount: visits.count, isReturning: visits.count > 1, traits: null };
+        this.restoreSession(now);
+        return this.identity;
+    }
+
+    restoreSession(now) {
+        try {
+            const session = JSON.parse(this.options.sessionStorage?.getItem(IDENTITY_KEYS.session) || 'null');
+            if (session?.id && now - session.lastActivity < this.options.sessionTimeout) {
+                this.identity.sessionId = session.id;
+                this.identity.lastActivity = session.lastActivity;
+                return;
+            }
+        } catch {
+            // A corrupt session just starts a new one
+        }
+        this.touchSession(now);
+    }
+
+    /**
+     * Keeps the visit alive, or starts a new one (and counts it) after sessionTimeout without events
+     */
+    touchSession(now = this.options.now()) {
+        const identity = this.identity;
+        if (!identity.sessionId || now - identity.lastActivity >= this.options.sessionTimeout) {
+            identity.sessionId = createId('session');
+            identity.visitCount += 1;
+            identity.isReturning = identity.visitCount > 1;
+            try {
+                this.options.storage?.setItem(IDENTITY_KEYS.visits, JSON.stringify({ firstVisit: identity.firstVisit, count: identity.visitCount }));
+            } catch {
+                // Visit counts are best effort
+            }
+        }
+        identity.lastActivity = now;
+        try {
+            this.options.sessionStorage?.setItem(IDENTITY_KEYS.session, JSON.stringify({ id: identity.sessionId, lastActivity: now }));
+        } catch {
+            // The session still lives in memory for this page view
+        }
+        return identity;
+    }
+
+    getIdentity() {
+        return this.identity ? { ...this.identity } : null;
+    }
+
+    identify(userId, traits = {}) {
+        if (!this.started || typeof userId !== 'string' || userId === '') return null;
+
+        // Destinations get identify() straight from here, so traits are redacted now rather than in publish()
+        userId = this.redactor.redactId(userId);
+        this.identity.userId = userId;
+        this.identity.traits = { ...this.identity.traits, ...this.redactor.redact(cleanProperties(traits)).properties };
+        try {
+            this.options.storage?.setItem(IDENTITY_KEYS.userId, userId);
+        } catch {
+            // The known id still applies for this page view
+        }
+
+        this.destinations.forEach(destination => this.call(destination, 'identify', this.getIdentity()));
+        return this.publish('user_identify', { traits: this.identity.traits }, { tracker: 'identity' });
+    }
+
+    // ==========================================================================
+    // EVENTS
+    // ==========================================================================
+
+    publish(name, properties = {}, options = {}) {
+        if (!this.started) return null;
+
+        const clean = isPlainObject(properties) ? cleanProperties(properties) : properties;
+        const issues = validateEvent(name, clean);
+        if (issues.length > 0) {
+            this.stats.rejected++;
+            this.reportIssues(name, issues);
+            return null;
+        }
+
+        const redaction = this.redactor.redact(clean);
+        if (redaction.redacted) this.stats.redacted++;
+
+        const now = this.options.now();
+        const identity = this.touchSession(now);
+        const event = {
+            id: createId('evt'),
+            name,
+            category: EVENT_SCHEMA[name]?.category || 'Other',
+            timestamp: now,
+            session_id: identity.sessionId,
+            user_id: identity.userId,
+            // A query string like ?email=... is as personal as a property
+            page_url: typeof location !== 'undefined' ? this.redactor.redactText(location.href) : null,
+            page_title: typeof document !== 'undefined' ? this.redactor.redactText(document.title) ?? null : null,
+            referrer: typeof document !== 'undefined' ? this.redactor.redactText(document.referrer) || null : null,
+            tracker: options.tracker || 'app',
+            properties: redaction.properties
+        };
+
+        this.stats.published++;
+        this.destinations.forEach(destination => this.call(destination, 'handle', event));
+        return event;
+    }
+
+    flush(options = {}) {
+        return Promise.all([...this.destinations.values()].map(destination => this.call(destination, 'flush', options)));
+    }
+
+    /**
+     * Editable elements are skipped because their text would be what the visitor typed
+     */
+    elementText(element, maxLength = 100) {
+        if (!element || element.isContentEditable) return '';
+        if (element.closest?.('input, textarea, select, [contenteditable]')) return '';
+        if (element.querySelector?.('textarea, [contenteditable]')) return '';
+        return (element.textContent || '').trim().substring(0, maxLength);
+    }
+
+    reportIssues(name, issues) {
+        // Once per event name and problem, so a broken tracker in a scroll handler doesn't flood the console
+        const key = `${name}|${issues.join('|')}`;
+        if (this.reportedIssues.has(key)) return;
+        this.reportedIssues.add(key);
+        console.warn(`⚠️ Analytics event "${name}" dropped:`, issues.join('; '));
+    }
+
+    // ==========================================================================
+    // DESTINATIONS
+    // ==========================================================================
+
+    addDestination(destination) {
+        if (!destination?.name || typeof destination.handle !== 'function') {
+            throw new TypeError('A destination needs a name and a handle(event) method');
+        }
+
+        this.removeDestination(destination.name);
+        this.destinations.set(destination.name, destination);
+        if (this.started) this.startDestination(destination);
+        return destination;
+    }
+
+    createDestination(type, options = {}) {
+        const Destination = DESTINATION_TYPES[type];
+        if (!Destination) throw new TypeError(`Unknown destination type "${type}"`);
+        return new Destination(options);
+    }
+
+    removeDestination(name) {
+        const destination = this.destinations.get(name);
+        if (!destination) return false;
+        this.call(destination, 'reset');
+        return this.destinations.delete(name);
+    }
+
+    getDestination(name) {
+        return this.destinations.get(name) || null;
+    }
+
+    // One failing destination never stops the others
+    call(destination, method, ...args) {
+        if (typeof destination[method] !== 'function') return undefined;
+        try {
+            const result = destination[method](...args);
+            return result?.catch ? result.catch(error => this.log(`❌ ${destination.name}.${method} failed:`, error)) : result;
+        } catch (error) {
+            this.log(`❌ ${destination.name}.${method} failed:`, error);
+            return undefined;
+        }
+    }
+
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[FacePay Events]', ...args);
+        }
+    }
+}
+
+// ==========================================================================
+// DESTINATIONS
+// ==========================================================================
+
+/**
+ * Google Analytics 4 through gtag.js, loaded once analytics is allowed.
+ * Consent Mode defaults and updates are already on the dataLayer from consent-manager.js.
+ */
+class GA4Destination {
+    constructor(options = {}) {
+        this.name = 'ga4';
+        this.measurementId = options.measurementId || EVENT_BUS_DEFAULTS.measurementId;
+        this.loaded = false;
+    }
+
+    gtag(...args) {
+        window.dataLayer = window.dataLayer || [];
+        if (typeof window.gtag !== 'function') {
+            window.gtag = function gtag() { window.dataLayer.push(arguments); };
+        }
+        window.gtag(...args);
+    }
+
+    start() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        this.gtag('js', new Date());
+        this.gtag('config', this.measurementId, {
+            send_page_view: false // page_load events are sent instead
+        });
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${this.measurementId}`;
+        document.head.appendChild(script);
+    }
+
+    handle(event) {
+        // GA4 takes up to 25 flat parameters with string values of at most 100 characters
+        const parameters = {
+            event_category: event.category,
+            event_id: event.id,
+            session_id: event.session_id
+        };
+        Object.entries(event.properties)
+            .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+            .slice(0, 22)
+            .forEach(([key, value]) => {
+                parameters[key] = typeof value === 'string' ? value.slice(0, 100) : value;
+            });
+
+        this.gtag('event', event.name, parameters);
+    }
+
+    identify(identity) {
+        this.gtag('set', { user_id: identity.userId });
+    }
+}
+
+/**
+ * Mixpanel, loaded once analytics is allowed; events carry the bus identity as distinct_id
+ */
+class MixpanelDestination {
+    constructor(options = {}) {
+        this.name = 'mixpanel';
+        this.token = options.token;
+        this.debug = !!options.debug;
+        this.loaded = false;
+        this.optedOut = false;
+    }
+
+    start() {
+        if (this.optedOut && window.mixpanel?.opt_in_tracking) {
+            window.mixpanel.opt_in_tracking();
+            this.optedOut = false;
+        }
+        if (this.loaded || !this.token) return;
+        this.loaded = true;
+
+        // Load Mixpanel
+        (function(c,a){if(!a.__SV){var b=window;try{var d,m,j,k=b.location,f=k.hash;d=function(a,b){return(m=a.match(RegExp(b+"=([^&]*)")))?m[1]:null};f&&d(f,"state")&&(j=JSON.parse(decodeURIComponent(d(f,"state"))),"mpeditor"===j.action&&(b.sessionStorage.setItem("_mpcehash",f),history.replaceState(j.desiredHash||"",c.title,k.pathname+k.search)))}catch(n){}var l,h;window.mixpanel=a;a._i=[];a.init=function(b,d,g){function c(b,i){var a=i.split(".");2==a.length&&(b=b[a[0]],i=a[1]);b[i]=function(){b.push([i].concat(Array.prototype.slice.call(arguments,0)))}}var e=a;"undefined"!==typeof g?e=a[g]=[]:g="mixpanel";e.people=e.people||[];e.toString=function(b){var a="mixpanel";"mixpanel"!==g&&(a+="."+g);b||(a+=" (stub)");return a};e.people.toString=function(){return e.toString(1)+".people (stub)"};l="disable time_event track track_pageview track_links track_forms track_with_groups add_group set_group remove_group register register_once alias unregister identify name_tag set_config reset opt_in_tracking opt_out_tracking has_opted_in_tracking has_opted_out_tracking clear_opt_in_out_tracking start_batch_senders people.set people.set_once people.unset people.increment people.append people.union people.track_charge people.clear_charges people.delete_user people.remove".split(" ");for(h=0;h<l.length;h++)c(e,l[h]);var f="set set_once union unset remove delete".split(" ");e.get_group=function(){function a(c){b[c]=function(){call2_args=arguments;call2=[c].concat(Array.prototype.slice.call(call2_args,0));e.push([d,call2])}}for(var b={},d=["get_group"].concat(Array.prototype.slice.call(arguments,0)),c=0;c<f.length;c++)a(f[c]);return b};a._i.push([b,d,g])};a.__SV=1.2;b=c.createElement("script");b.type="text/javascript";b.async=!0;b.src="undefined"!==typeof MIXPANEL_CUSTOM_LIB_URL?MIXPANEL_CUSTOM_LIB_URL:"file:"===c.location.protocol&&"//cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js".match(/^\/\//)?"https://cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js":"//cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js";d=c.getElementsByTagName("script")[0];d.parentNode.insertBefore(b,d)}})(document,window.mixpanel||[]);
+
+        window.mixpanel.init(this.token, {
+            debug: this.debug,
+            track_pageview: false, // page_load events are sent instead
+            persistence: 'localStorage'
+        });
+    }
+
+    handle(event) {
+        if (!window.mixpanel?.track) return;
+        window.mixpanel.track(event.name, {
+            ...event.properties,
+            distinct_id: event.user_id,
+            $insert_id: event.id,
+            category: event.category,
+            session_id: event.session_id,
+            tracker: event.tracker
+        });
+    }
+
+    identify(identity) {
+        if (!window.mixpanel?.identify) return;
+        window.mixpanel.identify(identity.userId);
+        if (identity.traits) window.mixpanel.people.set(identity.traits);
+    }
+
+    reset() {
+        if (window.mixpanel?.opt_out_tracking) {
+            window.mixpanel.opt_out_tracking();
+            this.optedOut = true;
+        }
+    }
+}
+
+/**
+ * Our own collector (analytics-collector.js): batches of events in the FacePay shape.
+ * With an offlineQueue (analytics-offline-queue.js) a failed batch is stored in IndexedDB and
+ * replayed by the service worker's Background Sync, or by this destination on start and when
+ * the browser is back online; without one it is retried from memory on the next flush.
+ */
+class EndpointDestination {
+    constructor(options = {}) {
+        this.name = 'endpoint';
+        this.url = options.url || EVENT_BUS_DEFAULTS.endpoint;
+        this.batchSize = options.batchSize || EVENT_BUS_DEFAULTS.batchSize;
+        this.flushInterval = options.flushInterval ?? EVENT_BUS_DEFAULTS.flushInterval;
+        // Oldest events are dropped beyond this while the endpoint is unreachable
+        this.maxQueue = options.maxQueue || 500;
+        this.offlineQueue = options.offlineQueue || null;
+        this.queue = [];
+        this.timer = null;
+        this.lastError = null;
+        this.onOnline = () => this.replayOffline();
+    }
+
+    start() {
+        if (this.offlineQueue) {
+            this.replayOffline();
+            if (typeof window !== 'undefined') window.addEventListener('online', this.onOnline);
+        }
+        if (this.timer || !this.flushInterval) return;
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+    }
+
+    handle(event) {
+        this.queue.push(event);
+        if (URGENT_EVENTS.includes(event.name) || this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    toPayload(events) {
+        const last = events[events.length - 1];
+        return {
+            session_id: last.session_id,
+            user_id: last.user_id,
+            events: events.map(event => ({
+                ...event.properties,
+                event_id: event.id,
+                event_name: event.name,
+                category: event.category,
+                tracker: event.tracker,
+                timestamp: event.timestamp,
+                session_id: event.session_id,
+                user_id: event.user_id,
+                page_url: event.page_url,
+                page_title: event.page_title,
+                referrer: event.referrer
+            })),
+            metadata: {
+                sdk_version: SDK_VERSION,
+                timestamp: Date.now(),
+                user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+                language: typeof navigator !== 'undefined' ? navigator.language : null,
+                connection_type: typeof navigator !== 'undefined' ? navigator.connection?.effectiveType || 'unknown' : 'unknown',
+                screen_resolution: typeof screen !== 'undefined' ? `${screen.width}x${screen.height}` : null,
+                viewport_size: typeof window !== 'undefined' ? `${window.innerWidth}x${window.innerHeight}` : null
+            }
+        };
+    }
+
+    async flush(options = {}) {
+        if (this.queue.length === 0) return true;
+
+        const events = this.queue.splice(0, this.queue.length);
+        const payload = this.toPayload(events);
+        const body = JSON.stringify(payload);
+
+        // On page unload only a beacon is sure to leave; it can't report failures
+        if (options.beacon && typeof navigator !== 'undefined' && navigator.sendBeacon?.(this.url, body)) return true;
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: !!options.beacon
+            });
+            if (!response.ok) {
+                throw new Error(`Analytics endpoint error: ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            this.lastError = error;
+            if (this.offlineQueue) {
+                try {
+                    await this.offlineQueue.enqueue(payload.events, this.url);
+                    this.offlineQueue.requestSync();
+                    return false;
+                } catch (storageError) {
+                    // Private browsing or a full disk: keep them in memory instead
+                    this.lastError = storageError;
+                }
+            }
+            // Re-add events to the queue for the next flush
+            this.queue.unshift(...events);
+            if (this.queue.length > this.maxQueue) this.queue.splice(0, this.queue.length - this.maxQueue);
+            return false;
+        }
+    }
+
+    /**
+     * Sends what earlier page views left in the offline queue; resolves with { sent, failed, dropped } or null
+     */
+    async replayOffline() {
+        if (!this.offlineQueue) return null;
+        try {
+            return await this.offlineQueue.replay();
+        } catch (error) {
+            this.lastError = error;
+            return null;
+        }
+    }
+
+    reset() {
+        this.queue = [];
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.offlineQueue) {
+            // Consent withdrawn: nothing stored may be sent later either
+            if (typeof window !== 'undefined') window.removeEventListener('online', this.onOnline);
+            this.offlineQueue.clear().catch(error => {
+                this.lastError = error;
+            });
+        }
+    }
+}
+
+/**
+ * Logs every event, for debugging a page with FacePayAnalyticsConfig.debug
+ */
+class ConsoleDestination {
+    constructor(options = {}) {
+        this.name = options.name || 'console';
+        this.logger = options.logger || console;
+    }
+
+    handle(event) {
+        this.logger.log(`%c[Analytics] ${event.category} · ${event.name}`, 'color: #3b82f6; font-weight: bold;', event.properties);
+    }
+}
+
+const DESTINATION_TYPES = {
+    ga4: GA4Destination,
+    mixpanel: MixpanelDestination,
+    endpoint: EndpointDestination,
+    console: ConsoleDestination
+};
+
+function createDefaultDestinations(options = {}) {
+    const config = { ...EVENT_BUS_DEFAULTS, ...options };
+    const destinations = [];
+
+    if (config.measurementId) destinations.push(new GA4Destination({ measurementId: config.measurementId }));
+    if (config.mixpanelToken) destinations.push(new MixpanelDestination({ token: config.mixpanelToken, debug: config.debug }));
+    if (config.endpoint) {
+        // analytics-offline-queue.js is optional; without it failed batches only survive in memory
+        const offlineQueue = typeof AnalyticsOfflineQueue !== 'undefined' && typeof indexedDB !== 'undefined'
+            ? new AnalyticsOfflineQueue()
+            : null;
+        destinations.push(new EndpointDestination({
+            url: config.endpoint,
+            batchSize: config.batchSize,
+            flushInterval: config.flushInterval,
+            offlineQueue
+        }));
+    }
+    if (config.debug) destinations.push(new ConsoleDestination());
+
+    return destinations;
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+if (typeof window !== 'undefined' && !window.FacePayEvents) {
+    const config = window.FacePayAnalyticsConfig || {};
+    window.FacePayEvents = new AnalyticsEventBus({ ...config, destinations: createDefaultDestinations(config) });
+
+    // Whatever is still batched leaves with the page
+    window.addEventListener('pagehide', () => window.FacePayEvents.flush({ beacon: true }));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') window.FacePayEvents.flush({ beacon: true });
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AnalyticsEventBus,
+        GA4Destination,
+        MixpanelDestination,
+        EndpointDestination,
+        ConsoleDestination,
+        createDefaultDestinations,
+        PiiRedactor,
+        validateEvent,
+        sha256,
+        EVENT_SCHEMA,
+        PII_POLICY,
+        EVENT_BUS_DEFAULTS,
+        IDENTITY_KEYS
+    };
+}
@@ -0,0 +1,569 @@
+/**
+ * FACEPAY CONVERSION FUNNELS
+ * Declarative funnel definitions (funnels.json) for AnalyticsTrackingSystem, and the offline analysis
+ * of the funnel_stage_completed events it records
+ *
+ * - validateFunnelDefinitions / loadFunnelDefinitions   the document the tracking system sets its stage triggers up from
+ * - parseEventRecords(text)        the collector's events.ndjson, a /api/analytics/query response, or an array
+ * - analyzeFunnel(records, funnel) step conversion, median time between steps, drop-off by device, browser and variant
+ * - renderFunnelReport(analyses)   a standalone HTML report, written by `npm run analytics:funnels` (scripts/funnel-report.js)
+ *
+ * {
+ *   "version": 1,
+ *   "funnels": [{
+ *     "id": "landing",
+ *     "name": "Landing Page Conversion",
+ *     "steps": [
+ *       { "id": "awareness", "name": "Awareness", "triggers": [{ "id": "page_load", "type": "page_load" }] },
+ *       { "id": "interest", "name": "Interest", "triggers": [{ "id": "scroll_25", "type": "scroll", "percent": 25 }] }
+ *     ]
+ *   }]
+ * }
+ *
+ * Trigger types; each completes its step at most once per page view and its id is sent as the event's trigger:
+ *   page_load                              first_interaction   a click, scroll, key or pointer move
+ *   scroll      { percent }                video               { progress } percent watched, 0 for play
+ *   hover       { selector }               visible             { selector, threshold?, duration? }
+ *   focus       { selector }               input               { selector } typing inside, e.g. a form
+ *   dom_event   { event }                  a CustomEvent on document, e.g. email_captured
+ *
+ * A session reaches a step once it has completed that step and every step before it, whatever the order
+ * the stages fired in; time between steps counts from the later of the two.
+ */
+
+export const FUNNEL_SCHEMA_VERSION = 1;
+
+// Fields each trigger type takes besides id and type
+export const TRIGGER_TYPES = {
+    page_load: [],
+    first_interaction: [],
+    scroll: ['percent'],
+    video: ['progress'],
+    hover: ['selector'],
+    visible: ['selector', 'threshold', 'duration'],
+    focus: ['selector'],
+    input: ['selector'],
+    dom_event: ['event']
+};
+
+export const FUNNEL_SEGMENTS = ['device', 'browser', 'variant'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const FUNNEL_FIELDS = ['id', 'name', 'description', 'steps'];
+const STEP_FIELDS = ['id', 'name', 'triggers'];
+const SEGMENT_LABELS = { device: 'Device', browser: 'Browser', variant: 'Experiment variant' };
+
+const DEFAULT_OPTIONS = {
+    // Segments with fewer sessions entering the funnel are shown but not called out in insights
+    minSessions: 30,
+    // A segment converting at less than this share of the overall rate is called out
+    underperformance: 0.5
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function createConfigError(source, issues) {
+    const error = new Error(`Invalid funnel definitions${source ? ` in ${source}` : ''}:\n  - ${issues.join('\n  - ')}`);
+    error.issues = issues;
+    return error;
+}
+
+/**
+ * DEFINITIONS
+ * Returns a list of "path: problem" strings; an empty list means the document is valid
+ */
+export function validateFunnelDefinitions(definitions) {
+    const issues = [];
+
+    if (!isPlainObject(definitions)) {
+        return ['$: expected an object with "version" and "funnels"'];
+    }
+    if (definitions.version !== FUNNEL_SCHEMA_VERSION) {
+        issues.push(`version: expected ${FUNNEL_SCHEMA_VERSION}, got ${JSON.stringify(definitions.version)}`);
+    }
+    if (!Array.isArray(definitions.funnels) || definitions.funnels.length === 0) {
+        issues.push('funnels: expected a non-empty array');
+        return issues;
+    }
+
+    const funnelIds = new Set();
+    definitions.funnels.forEach((funnel, index) => {
+        const path = `funnels[${index}]`;
+
+        if (!isPlainObject(funnel)) {
+            issues.push(`${path}: expected an object`);
+            return;
+        }
+        checkId(funnel.id, `${path}.id`, funnelIds, 'funnel', issues);
+        if (typeof funnel.name !== 'string' || !funnel.name) {
+            issues.push(`${path}.name: expected a non-empty string`);
+        }
+        if (funnel.description !== undefined && typeof funnel.description !== 'string') {
+            issues.push(`${path}.description: expected a string`);
+        }
+        Object.keys(funnel)
+            .filter(key => !FUNNEL_FIELDS.includes(key))
+            .forEach(key => issues.push(`${path}.${key}: unknown field`));
+
+        if (!Array.isArray(funnel.steps) || funnel.steps.length < 2) {
+            issues.push(`${path}.steps: expected at least two steps`);
+            return;
+        }
+
+        const stepIds = new Set();
+        const triggerIds = new Set();
+        funnel.steps.forEach((step, stepIndex) => {
+            const stepPath = `${path}.steps[${stepIndex}]`;
+            if (!isPlainObject(step)) {
+                issues.push(`${stepPath}: expected an object`);
+                return;
+            }
+            checkId(step.id, `${stepPath}.id`, stepIds, 'step', issues);
+            if (typeof step.name !== 'string' || !step.name) {
+                issues.push(`${stepPath}.name: expected a non-empty string`);
+            }
+            Object.keys(step)
+                .filter(key => !STEP_FIELDS.includes(key))
+                .forEach(key => issues.push(`${stepPath}.${key}: unknown field`));
+
+            if (!Array.isArray(step.triggers) || step.triggers.length === 0) {
+                issues.push(`${stepPath}.triggers: expected a non-empty array`);
+                return;
+            }
+            step.triggers.forEach((trigger, triggerIndex) => {
+                validateTrigger(trigger, `${stepPath}.triggers[${triggerIndex}]`, triggerIds, issues);
+            });
+        });
+    });
+
+    return issues;
+}
+
+function checkId(id, path, seen, kind, issues) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        issues.push(`${path}: expected letters, digits, "_" or "-"`);
+    } else if (seen.has(id)) {
+        issues.push(`${path}: duplicate ${kind} id "${id}"`);
+    } else {
+        seen.add(id);
+    }
+}
+
+function validateTrigger(trigger, path, triggerIds, issues) {
+    if (!isPlainObject(trigger)) {
+        issues.push(`${path}: expected { id, type }`);
+        return;
+    }
+    checkId(trigger.id, `${path}.id`, triggerIds, 'trigger', issues);
+
+    const fields = TRIGGER_TYPES[trigger.type];
+    if (!fields) {
+        issues.push(`${path}.type: expected one of ${Object.keys(TRIGGER_TYPES).join(', ')}`);
+        return;
+    }
+    Object.keys(trigger)
+        .filter(key => key !== 'id' && key !== 'type' && !fields.includes(key))
+        .forEach(key => issues.push(`${path}.${key}: not used by ${trigger.type} triggers`));
+
+    const isPercent = value => typeof value === 'number' && value >= 0 && value <= 100;
+    if (trigger.type === 'scroll' && !isPercent(trigger.percent)) {
+        issues.push(`${path}.percent: expected a number from 0 to 100`);
+    }
+    if (trigger.type === 'video' && !isPercent(trigger.progress)) {
+        issues.push(`${path}.progress: expected a number from 0 to 100`);
+    }
+    if (fields.includes('selector') && (typeof trigger.selector !== 'string' || !trigger.selector.trim())) {
+        issues.push(`${path}.selector: expected a CSS selector`);
+    }
+    if (trigger.type === 'dom_event' && (typeof trigger.event !== 'string' || !trigger.event)) {
+        issues.push(`${path}.event: expected an event name`);
+    }
+    if (trigger.threshold !== undefined && !(typeof trigger.threshold === 'number' && trigger.threshold >= 0 && trigger.threshold <= 1)) {
+        issues.push(`${path}.threshold: expected a number from 0 to 1`);
+    }
+    if (trigger.duration !== undefined && !(typeof trigger.duration === 'number' && trigger.duration >= 0)) {
+        issues.push(`${path}.duration: expected milliseconds >= 0`);
+    }
+}
+
+/**
+ * source: URL of a definitions document, or the parsed document itself; rejects with every validation issue
+ */
+export async function loadFunnelDefinitions(source, fetchImpl = globalThis.fetch) {
+    const fromUrl = typeof source === 'string';
+    let definitions = source;
+
+    if (fromUrl) {
+        const response = await fetchImpl(source, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Could not load ${source}: HTTP ${response.status}`);
+        }
+        try {
+            definitions = await response.json();
+        } catch (error) {
+            throw new Error(`Could not parse ${source}: ${error.message}`);
+        }
+    }
+
+    const issues = validateFunnelDefinitions(definitions);
+    if (issues.length > 0) {
+        throw createConfigError(fromUrl ? source : null, issues);
+    }
+    return definitions.funnels;
+}
+
+/**
+ * EVENTS
+ */
+export function parseEventRecords(input) {
+    if (Array.isArray(input)) return input;
+    if (isPlainObject(input)) {
+        if (Array.isArray(input.records)) return input.records;
+        throw new Error('Expected event records: an events.ndjson file or a collector query response');
+    }
+
+    const text = String(input).trim();
+    if (text === '') return [];
+    if (text.startsWith('[') || (text.startsWith('{') && text.includes('"records"') && !text.includes('\n'))) {
+        return parseEventRecords(JSON.parse(text));
+    }
+    // A torn last line (the collector was writing) is skipped like the collector does
+    return text.split('\n').filter(line => line.trim()).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+export function deviceType(userAgent) {
+    if (!userAgent) return 'unknown';
+    if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+// Order matters: Edge, Opera and Samsung Internet also say Chrome, and everything Chromium says Safari
+const BROWSER_PATTERNS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//]
+];
+
+export function browserName(userAgent) {
+    if (!userAgent) return 'unknown';
+    return BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Other';
+}
+
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * ANALYSIS
+ * options.includeUnlabelled counts funnel_stage_completed events without a funnel_id (recorded before
+ * funnels had ids) for this funnel; analyzeFunnels() sets it for the first funnel in the file.
+ */
+export function analyzeFunnel(records, funnel, options = {}) {
+    const { minSessions, underperformance, includeUnlabelled = false } = { ...DEFAULT_OPTIONS, ...options };
+    const stepIndex = new Map(funnel.steps.map((step, index) => [step.id, index]));
+    const sessions = new Map();
+    let from = null;
+    let to = null;
+
+    records.forEach(record => {
+        if (!record?.session_id || (record.collection && record.collection !== 'events')) return;
+        if (!sessions.has(record.session_id)) {
+            sessions.set(record.session_id, { userAgent: null, variants: new Set(), reachedAt: [] });
+        }
+        const session = sessions.get(record.session_id);
+        const properties = record.properties || {};
+        const time = Number(record.timestamp);
+        if (Number.isFinite(time)) {
+            from = from === null ? time : Math.min(from, time);
+            to = to === null ? time : Math.max(to, time);
+        }
+
+        session.userAgent = session.userAgent || record.user_agent || properties.user_agent || null;
+        if (record.name === 'experiment_exposure' && properties.experiment_id && properties.variant_id) {
+            session.variants.add(`${properties.experiment_id}: ${properties.variant_id}`);
+        }
+        if (record.name !== 'funnel_stage_completed' || !Number.isFinite(time)) return;
+
+        const labelled = properties.funnel_id !== undefined && properties.funnel_id !== null;
+        if (labelled ? properties.funnel_id !== funnel.id : !includeUnlabelled) return;
+        const index = stepIndex.get(properties.stage_id);
+        if (index !== undefined && !(session.reachedAt[index] <= time)) session.reachedAt[index] = time;
+    });
+
+    // How far each session got without skipping a step, and when it got to each one
+    const entered = [];
+    sessions.forEach(session => {
+        const times = [];
+        for (let i = 0; i < funnel.steps.length && session.reachedAt[i] !== undefined; i++) {
+            times.push(Math.max(session.reachedAt[i], times[i - 1] ?? -Infinity));
+        }
+        if (times.length === 0) return;
+        entered.push({
+            times,
+            device: deviceType(session.userAgent),
+            browser: browserName(session.userAgent),
+            variant: session.variants.size > 0 ? [...session.variants] : ['not in an experiment']
+        });
+    });
+
+    const overall = summarizeSessions(entered, funnel);
+    const segments = {};
+    FUNNEL_SEGMENTS.forEach(dimension => {
+        const groups = new Map();
+        entered.forEach(session => {
+            [].concat(session[dimension]).forEach(value => {
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(session);
+            });
+        });
+        segments[dimension] = [...groups]
+            .map(([value, list]) => ({ value, ...summarizeSessions(list, funnel), lowSample: list.length < minSessions }))
+            .sort((a, b) => b.entered - a.entered || a.value.localeCompare(b.value));
+    });
+
+    const analysis = {
+        funnel: { id: funnel.id, name: funnel.name, description: funnel.description || null },
+        range: { from, to },
+        sessions: sessions.size,
+        ...overall,
+        segments
+    };
+    analysis.insights = funnelInsights(analysis, { minSessions, underperformance });
+    return analysis;
+}
+
+function summarizeSessions(sessions, funnel) {
+    const entered = sessions.length;
+    const steps = funnel.steps.map((step, index) => {
+        const reached = sessions.filter(session => session.times.length > index);
+        const previous = index === 0 ? entered : sessions.filter(session => session.times.length >= index).length;
+        return {
+            id: step.id,
+            name: step.name,
+            reached: reached.length,
+            conversion: previous > 0 ? reached.length / previous : 0,
+            overall: entered > 0 ? reached.length / entered : 0,
+            dropOff: previous - reached.length,
+            medianTime: index === 0 ? null : median(reached.map(session => session.times[index] - session.times[index - 1]))
+        };
+    });
+
+    const converted = steps[steps.length - 1].reached;
+    return { entered, converted, conversionRate: entered > 0 ? converted / entered : 0, steps };
+}
+
+function funnelInsights(analysis, { minSessions, underperformance }) {
+    const insights = [];
+    if (analysis.entered === 0) {
+        return [{ type: 'no data', priority: 'high', message: `No session reached ${analysis.steps[0].name}; check the date range and that pages load funnels.json.` }];
+    }
+
+    const transitions = analysis.steps.slice(1).map((step, index) => ({ step, previous: analysis.steps[index] })).filter(({ previous }) => previous.reached > 0);
+    const worst = [...transitions].sort((a, b) => a.step.conversion - b.step.conversion)[0];
+    if (worst && worst.step.conversion < 1) {
+        insights.push({
+            type: 'drop-off',
+            priority: 'high',
+            message: `${formatPercent(1 - worst.step.conversion)} of sessions that reached ${worst.previous.name} never reached ${worst.step.name} (${worst.step.dropOff} ${worst.step.dropOff === 1 ? 'session' : 'sessions'}).`
+        });
+    }
+
+    FUNNEL_SEGMENTS.forEach(dimension => {
+        analysis.segments[dimension]
+            .filter(segment => !segment.lowSample && segment.conversionRate < analysis.conversionRate * underperformance)
+            .forEach(segment => {
+                const leak = segment.steps.slice(1).reduce((lowest, step) => (step.conversion < lowest.conversion ? step : lowest), segment.steps[1]);
+                insights.push({
+                    type: SEGMENT_LABELS[dimension].toLowerCase(),
+                    priority: 'medium',
+                    message: `${segment.value} converts at ${formatPercent(segment.conversionRate)} against ${formatPercent(analysis.conversionRate)} overall; most are lost before ${leak.name}.`
+                });
+            });
+    });
+
+    const slowest = [...transitions].filter(({ step }) => step.medianTime !== null).sort((a, b) => b.step.medianTime - a.step.medianTime)[0];
+    if (slowest) {
+        insights.push({
+            type: 'timing',
+            priority: 'low',
+            message: `The slowest step is ${slowest.previous.name} → ${slowest.step.name}: a median of ${formatDuration(slowest.step.medianTime)}.`
+        });
+    }
+
+    const small = FUNNEL_SEGMENTS.reduce((count, dimension) => count + analysis.segments[dimension].filter(segment => segment.lowSample).length, 0);
+    if (small > 0) {
+        insights.push({ type: 'sample size', priority: 'low', message: `${small} segments have fewer than ${minSessions} sessions; their rates are shown but not compared.` });
+    }
+    return insights;
+}
+
+/**
+ * Every funnel in a definitions document over the same records
+ */
+export function analyzeFunnels(records, funnels, options = {}) {
+    return funnels.map((funnel, index) => analyzeFunnel(records, funnel, { ...options, includeUnlabelled: index === 0 }));
+}
+
+/**
+ * REPORT
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatDate(time) {
+    return time === null ? '—' : new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function renderSteps(analysis) {
+    return analysis.steps.map((step, index) => `
+                    <div class="step">
+                        <div class="step-label"><span class="step-number">${index + 1}</span>${escapeHtml(step.name)}</div>
+                        <div class="bar"><div class="bar-fill" style="width:${(step.overall * 100).toFixed(1)}%"></div></div>
+                        <div class="step-stats">
+                            <strong>${step.reached}</strong> sessions · ${formatPercent(step.overall)} of entrants
+                            ${index === 0 ? '' : `<br>${formatPercent(step.conversion)} from ${escapeHtml(analysis.steps[index - 1].name)} · −${step.dropOff} · median ${formatDuration(step.medianTime)}`}
+                        </div>
+                    </div>`).join('');
+}
+
+function renderSegments(analysis, dimension) {
+    const rows = analysis.segments[dimension].map(segment => `
+                        <tr class="${segment.lowSample ? 'low-sample' : ''}">
+                            <td>${escapeHtml(segment.value)}${segment.lowSample ? ' <span class="note">small sample</span>' : ''}</td>
+                            <td>${segment.entered}</td>
+                            ${segment.steps.slice(1).map(step => `<td title="${step.reached} sessions, −${step.dropOff}">${formatPercent(step.conversion)}</td>`).join('')}
+                            <td><strong>${formatPercent(segment.conversionRate)}</strong></td>
+                        </tr>`).join('');
+
+    return `
+                <div class="segment">
+                    <h3>Drop-off by ${SEGMENT_LABELS[dimension].toLowerCase()}</h3>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>${SEGMENT_LABELS[dimension]}</th>
+                                <th>Sessions</th>
+                                ${analysis.steps.slice(1).map(step => `<th>→ ${escapeHtml(step.name)}</th>`).join('')}
+                                <th>Converted</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows || `<tr><td colspan="${analysis.steps.length + 2}">No sessions</td></tr>`}</tbody>
+                    </table>
+                </div>`;
+}
+
+function renderFunnel(analysis) {
+    const insights = analysis.insights.map(insight => `
+                    <div class="insight insight-${insight.priority}">
+                        <span class="insight-type">${escapeHtml(insight.type.toUpperCase())}</span>
+                        <p>${escapeHtml(insight.message)}</p>
+                    </div>`).join('');
+
+    return `
+            <div class="funnel-section">
+                <h2>${escapeHtml(analysis.funnel.name)}</h2>
+                ${analysis.funnel.description ? `<p class="description">${escapeHtml(analysis.funnel.description)}</p>` : ''}
+
+                <div class="summary">
+                    <div class="stat"><div class="stat-number">${analysis.sessions}</div><div>Sessions</div></div>
+                    <div class="stat"><div class="stat-number">${analysis.entered}</div><div>Entered Funnel</div></div>
+                    <div class="stat"><div class="stat-number">${analysis.converted}</div><div>Converted</div></div>
+                    <div class="stat"><div class="stat-number">${formatPercent(analysis.conversionRate)}</div><div>Conversion Rate</div></div>
+                </div>
+
+                <div class="steps">${renderSteps(analysis)}
+                </div>
+
+                ${FUNNEL_SEGMENTS.map(dimension => renderSegments(analysis, dimension)).join('')}
+
+                ${insights ? `
+                <div class="insights">
+                    <h3>💡 Funnel Insights</h3>
+                    ${insights}
+                </div>` : ''}
+            </div>`;
+}
+
+export function renderFunnelReport(analyses, options = {}) {
+    const generatedAt = options.generatedAt ?? Date.now();
+    const froms = analyses.map(analysis => analysis.range.from).filter(time => time !== null);
+    const tos = analyses.map(analysis => analysis.range.to).filter(time => time !== null);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>FacePay Conversion Funnel Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 0; padding: 20px; background: #f8fafc; color: #1e293b; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        .header { background: linear-gradient(135deg, #10b981, #0ea5e9); color: white; padding: 30px; border-radius: 12px; margin-bottom: 30px; }
+        .header p { margin: 6px 0 0; }
+        .funnel-section { background: white; margin: 20px 0; padding: 25px; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+        .description { color: #475569; margin-top: -6px; }
+        .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 25px 0; }
+        .stat { background: #f8fafc; padding: 20px; border-radius: 8px; text-align: center; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .stat-number { font-size: 2rem; font-weight: bold; color: #0ea5e9; }
+        .steps { display: grid; gap: 14px; margin-bottom: 30px; }
+        .step { display: grid; grid-template-columns: 200px 1fr 320px; gap: 16px; align-items: center; }
+        .step-label { display: flex; align-items: center; gap: 10px; font-weight: 600; }
+        .step-number { background: #3b82f6; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 0.8rem; font-weight: bold; }
+        .bar { background: #e2e8f0; border-radius: 6px; height: 24px; overflow: hidden; }
+        .bar-fill { background: linear-gradient(90deg, #10b981, #0ea5e9); height: 100%; }
+        .step-stats { font-size: 0.85rem; color: #475569; }
+        .segment { margin: 25px 0; overflow-x: auto; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #e2e8f0; }
+        th { color: #64748b; font-weight: 600; }
+        tr.low-sample td { color: #94a3b8; }
+        .note { font-size: 0.75rem; background: #f1f5f9; border-radius: 4px; padding: 2px 6px; }
+        .insights { margin-top: 30px; }
+        .insight { padding: 15px; margin: 10px 0; border-radius: 6px; border-left: 4px solid; }
+        .insight p { margin: 6px 0 0; }
+        .insight-high { background: #fef2f2; border-color: #ef4444; }
+        .insight-medium { background: #fffbeb; border-color: #f59e0b; }
+        .insight-low { background: #f0f9ff; border-color: #0ea5e9; }
+        .insight-type { font-weight: bold; font-size: 0.8rem; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎯 FacePay Conversion Funnel Report</h1>
+            <p>Generated: ${escapeHtml(formatDate(generatedAt))} UTC${options.source ? ` from ${escapeHtml(options.source)}` : ''}</p>
+            <p>Events from ${escapeHtml(formatDate(froms.length > 0 ? Math.min(...froms) : null))} to ${escapeHtml(formatDate(tos.length > 0 ? Math.max(...tos) : null))} UTC</p>
+        </div>
+${analyses.map(renderFunnel).join('\n')}
+    </div>
+</body>
+</html>
+`;
+}
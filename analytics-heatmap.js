@@ -0,0 +1,451 @@
+/**
+ * FACEPAY HEAT MAPS
+ * Aggregates the points AnalyticsTrackingSystem posts to /api/analytics/heatmap and draws
+ * click, attention and scroll density over the live page
+ *
+ * Points are anchored to elements rather than pixels, so one export draws correctly on any layout:
+ *   click / hover  { type, selector, section, rx, ry, x, y, timestamp }
+ *                  selector is the element under the pointer, section the page section around it,
+ *                  rx / ry where in the element it landed (0–1); x / y are the raw viewport pixels
+ *   scroll         { type: 'scroll', section, ry, depth, x, y, timestamp }
+ *                  the section at the bottom edge of the viewport, and how far into it that edge was
+ * Points without a selector (sent before anchoring existed) are counted as unanchored and not drawn.
+ *
+ * - aggregateHeatmap(records, { page, grid })  collector heatmap records or raw payloads → an export
+ * - layoutHeatmap(heatmap, mode, locate)       what to draw where, given a function that finds elements
+ * - HeatmapOverlay                             a canvas over the page with click / attention / scroll modes
+ * - Open a page with ?heatmap=1 to pick an export file, or ?heatmap=<export URL> to load one; Alt+H hides it
+ * - Exports come from `npm run analytics:heatmap` (scripts/heatmap-export.js)
+ *
+ * Export format:
+ *   { format, version, generatedAt, page, grid, captures, viewports: { mobile, tablet, desktop },
+ *     totals: { click, hover, scroll, unanchored },
+ *     elements: [{ selector, section, click, hover, cells: { click: [[col, row, count]], hover } }],
+ *     sections: [{ selector, click, hover, scroll, reach }] }
+ *   cells split each element into grid × grid; reach is the share of captures that touched the section
+ */
+
+export const HEATMAP_FORMAT = 'facepay-heatmap';
+export const HEATMAP_VERSION = 1;
+
+// Overlay mode → the point type it draws
+export const HEATMAP_MODES = {
+    click: 'click',
+    attention: 'hover',
+    scroll: 'scroll'
+};
+
+const MODE_LABELS = { click: 'Clics', attention: 'Atención', scroll: 'Scroll' };
+
+const DEFAULT_OPTIONS = {
+    // Cells per side inside each element
+    grid: 8
+};
+
+// Same breakpoints as the site's CSS
+const VIEWPORT_BREAKPOINTS = { mobile: 768, tablet: 1024 };
+
+/**
+ * AGGREGATION
+ */
+export function pagePath(url) {
+    try {
+        return new URL(url, 'https://facepay.com.mx').pathname;
+    } catch {
+        return null;
+    }
+}
+
+export function viewportClass(width) {
+    if (width < VIEWPORT_BREAKPOINTS.mobile) return 'mobile';
+    if (width < VIEWPORT_BREAKPOINTS.tablet) return 'tablet';
+    return 'desktop';
+}
+
+function cellIndex(fraction, grid) {
+    const value = Number.isFinite(fraction) ? fraction : 0.5;
+    return Math.min(grid - 1, Math.max(0, Math.floor(value * grid)));
+}
+
+/**
+ * One page's heat map from any number of captures (one capture per heat map flush).
+ * Takes the page with the most captures unless options.page names one.
+ */
+export function aggregateHeatmap(records, options = {}) {
+    const { grid, page: requestedPage, now } = { ...DEFAULT_OPTIONS, ...options };
+
+    // Collector records keep the points under points; raw payloads under data
+    const captures = records.map(record => ({
+        page: pagePath(record.url),
+        width: record.viewport?.width,
+        points: Array.isArray(record.points) ? record.points : Array.isArray(record.data) ? record.data : []
+    }));
+
+    const pageCounts = new Map();
+    captures.forEach(capture => pageCounts.set(capture.page, (pageCounts.get(capture.page) || 0) + 1));
+    const page = requestedPage ?? [...pageCounts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+    const selected = captures.filter(capture => capture.page === page);
+
+    const totals = { click: 0, hover: 0, scroll: 0, unanchored: 0 };
+    const viewports = { mobile: 0, tablet: 0, desktop: 0 };
+    const elements = new Map();
+    const sections = new Map();
+    const sectionFor = selector => {
+        if (!sections.has(selector)) sections.set(selector, { selector, click: 0, hover: 0, scroll: 0, reach: 0 });
+        return sections.get(selector);
+    };
+
+    selected.forEach(capture => {
+        if (Number.isFinite(capture.width)) viewports[viewportClass(capture.width)]++;
+        const touched = new Set();
+
+        capture.points.forEach(point => {
+            if (!point || !Object.values(HEATMAP_MODES).includes(point.type)) return;
+
+            if (point.type === 'scroll') {
+                if (!point.section) {
+                    totals.unanchored++;
+                    return;
+                }
+                totals.scroll++;
+                sectionFor(point.section).scroll++;
+                touched.add(point.section);
+                return;
+            }
+
+            // Raw pixels from older clients can't be placed on another layout
+            if (!point.selector) {
+                totals.unanchored++;
+                return;
+            }
+            totals[point.type]++;
+            if (point.section) {
+                sectionFor(point.section)[point.type]++;
+                touched.add(point.section);
+            }
+
+            if (!elements.has(point.selector)) {
+                elements.set(point.selector, { selector: point.selector, section: point.section || null, click: 0, hover: 0, cells: { click: new Map(), hover: new Map() } });
+            }
+            const element = elements.get(point.selector);
+            element[point.type]++;
+            const cell = `${cellIndex(point.rx, grid)},${cellIndex(point.ry, grid)}`;
+            element.cells[point.type].set(cell, (element.cells[point.type].get(cell) || 0) + 1);
+        });
+
+        touched.forEach(selector => sections.get(selector).reach++);
+    });
+
+    const toCells = cells => [...cells]
+        .map(([cell, count]) => [...cell.split(',').map(Number), count])
+        .sort((a, b) => b[2] - a[2] || a[1] - b[1] || a[0] - b[0]);
+
+    return {
+        format: HEATMAP_FORMAT,
+        version: HEATMAP_VERSION,
+        generatedAt: new Date(now ?? Date.now()).toISOString(),
+        page,
+        grid,
+        captures: selected.length,
+        viewports,
+        totals,
+        elements: [...elements.values()]
+            .map(element => ({ ...element, cells: { click: toCells(element.cells.click), hover: toCells(element.cells.hover) } }))
+            .sort((a, b) => b.click - a.click || b.hover - a.hover),
+        sections: [...sections.values()].map(section => ({
+            ...section,
+            reach: selected.length > 0 ? Math.round((section.reach / selected.length) * 1000) / 1000 : 0
+        }))
+    };
+}
+
+export function toJSON(heatmap) {
+    return JSON.stringify(heatmap, null, 2);
+}
+
+export function loadHeatmap(data) {
+    const heatmap = typeof data === 'string' ? JSON.parse(data) : data;
+    if (heatmap?.format !== HEATMAP_FORMAT) {
+        throw new Error(`Unrecognised heat map file: expected a ${HEATMAP_FORMAT} export (npm run analytics:heatmap)`);
+    }
+    if (heatmap.version > HEATMAP_VERSION) {
+        throw new Error(`Heat map format version ${heatmap.version} is newer than this viewer (${HEATMAP_VERSION})`);
+    }
+    return heatmap;
+}
+
+/**
+ * LAYOUT
+ * locate(selector) returns the element's box in page coordinates ({ left, top, width, height }),
+ * or null when the element isn't on this page or isn't visible at this width
+ */
+export function layoutHeatmap(heatmap, mode, locate) {
+    const type = HEATMAP_MODES[mode];
+    if (!type) throw new TypeError(`Unknown heat map mode "${mode}"`);
+
+    const missing = [];
+    const boxes = new Map();
+    const find = selector => {
+        if (!boxes.has(selector)) {
+            const box = locate(selector);
+            boxes.set(selector, box && box.width > 0 && box.height > 0 ? box : null);
+        }
+        return boxes.get(selector);
+    };
+
+    if (type === 'scroll') {
+        const drawn = heatmap.sections.filter(section => section.scroll > 0 || section.reach > 0);
+        const bands = [];
+        drawn.forEach(section => {
+            const box = find(section.selector);
+            if (!box) {
+                missing.push(section.selector);
+                return;
+            }
+            bands.push({ ...box, selector: section.selector, reach: section.reach, scroll: section.scroll, intensity: section.reach });
+        });
+        return { mode, spots: [], bands, missing };
+    }
+
+    const grid = heatmap.grid || DEFAULT_OPTIONS.grid;
+    const spots = [];
+    heatmap.elements.filter(element => element[type] > 0).forEach(element => {
+        const box = find(element.selector);
+        if (!box) {
+            missing.push(element.selector);
+            return;
+        }
+        const cellWidth = box.width / grid;
+        const cellHeight = box.height / grid;
+        const radius = Math.max(12, Math.min(60, Math.max(cellWidth, cellHeight)));
+        element.cells[type].forEach(([col, row, count]) => {
+            spots.push({
+                x: box.left + (col + 0.5) * cellWidth,
+                y: box.top + (row + 0.5) * cellHeight,
+                radius,
+                count,
+                selector: element.selector
+            });
+        });
+    });
+
+    const max = Math.max(1, ...spots.map(spot => spot.count));
+    spots.forEach(spot => {
+        spot.intensity = spot.count / max;
+    });
+    return { mode, spots, bands: [], missing };
+}
+
+/**
+ * OVERLAY
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Blue (cold) to red (hot)
+export function heatColor(intensity, alpha = 1) {
+    const t = Math.min(1, Math.max(0, intensity));
+    return `hsla(${Math.round(240 - 240 * t)}, 100%, 50%, ${alpha})`;
+}
+
+const PANEL_STYLE = [
+    'position:fixed', 'right:16px', 'bottom:16px', 'z-index:2147483647', 'max-width:320px',
+    'padding:12px 14px', 'border-radius:12px', 'background:rgba(17,24,39,0.92)', 'color:#f9fafb',
+    'font:13px/1.4 system-ui,sans-serif', 'box-shadow:0 10px 30px rgba(0,0,0,0.35)'
+].join(';');
+
+export class HeatmapOverlay {
+    constructor(heatmap, options = {}) {
+        this.heatmap = loadHeatmap(heatmap);
+        this.window = options.window || window;
+        this.document = options.document || this.window.document;
+        this.mode = options.mode || 'click';
+        this.visible = false;
+        this.layout = null;
+        this.canvas = null;
+        this.panel = null;
+        this.onResize = () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.render(), 150);
+        };
+    }
+
+    locate(selector) {
+        let element = null;
+        try {
+            element = this.document.querySelector(selector);
+        } catch {
+            // A selector from another version of the page
+            return null;
+        }
+        if (!element) return null;
+        const rect = element.getBoundingClientRect();
+        return {
+            left: rect.left + this.window.scrollX,
+            top: rect.top + this.window.scrollY,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    show() {
+        if (!this.canvas) {
+            this.canvas = this.document.createElement('canvas');
+            this.canvas.setAttribute('aria-hidden', 'true');
+            this.canvas.style.cssText = 'position:absolute;left:0;top:0;pointer-events:none;z-index:2147483646;';
+            this.document.body.appendChild(this.canvas);
+
+            this.panel = this.document.createElement('div');
+            this.panel.setAttribute('role', 'region');
+            this.panel.setAttribute('aria-label', 'Mapa de calor');
+            this.panel.style.cssText = PANEL_STYLE;
+            this.panel.addEventListener('click', event => {
+                const button = event.target.closest?.('[data-heatmap-mode], [data-heatmap-close]');
+                if (!button) return;
+                if (button.dataset.heatmapClose !== undefined) this.destroy();
+                else this.setMode(button.dataset.heatmapMode);
+            });
+            this.document.body.appendChild(this.panel);
+            this.window.addEventListener('resize', this.onResize);
+        }
+        this.visible = true;
+        this.canvas.style.display = '';
+        this.render();
+    }
+
+    hide() {
+        this.visible = false;
+        if (this.canvas) this.canvas.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    setMode(mode) {
+        if (!HEATMAP_MODES[mode]) return;
+        this.mode = mode;
+        this.render();
+    }
+
+    render() {
+        if (!this.canvas || !this.visible) return;
+
+        this.layout = layoutHeatmap(this.heatmap, this.mode, selector => this.locate(selector));
+        const root = this.document.documentElement;
+        const width = Math.max(root.scrollWidth, root.clientWidth);
+        const height = Math.max(root.scrollHeight, root.clientHeight);
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+
+        this.layout.bands.forEach(band => {
+            context.fillStyle = heatColor(band.intensity, 0.3);
+            context.fillRect(band.left, band.top, band.width, band.height);
+            context.fillStyle = '#111827';
+            context.fillRect(band.left + 8, band.top + 8, 150, 24);
+            context.fillStyle = '#f9fafb';
+            context.font = '13px system-ui, sans-serif';
+            context.fillText(`${Math.round(band.reach * 100)}% llegó aquí`, band.left + 16, band.top + 25);
+        });
+
+        this.layout.spots.forEach(spot => {
+            const gradient = context.createRadialGradient(spot.x, spot.y, 0, spot.x, spot.y, spot.radius);
+            gradient.addColorStop(0, heatColor(spot.intensity, 0.25 + 0.55 * spot.intensity));
+            gradient.addColorStop(1, heatColor(spot.intensity, 0));
+            context.fillStyle = gradient;
+            context.fillRect(spot.x - spot.radius, spot.y - spot.radius, spot.radius * 2, spot.radius * 2);
+        });
+
+        this.renderPanel();
+    }
+
+    renderPanel() {
+        const { heatmap, layout } = this;
+        const samePage = !heatmap.page || heatmap.page === this.window.location?.pathname;
+        const buttons = Object.keys(HEATMAP_MODES).map(mode => `
+            <button type="button" data-heatmap-mode="${mode}" aria-pressed="${mode === this.mode}"
+                style="margin-right:4px;padding:4px 8px;border-radius:6px;border:1px solid #4b5563;cursor:pointer;background:${mode === this.mode ? '#10b981' : 'transparent'};color:inherit">${MODE_LABELS[mode]}</button>`).join('');
+
+        this.panel.innerHTML = `
+            <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+                <strong>🔥 Mapa de calor</strong>
+                <button type="button" data-heatmap-close aria-label="Cerrar mapa de calor" style="background:none;border:0;color:inherit;cursor:pointer;font-size:16px">×</button>
+            </div>
+            <div style="margin-bottom:8px">${buttons}</div>
+            <div>${heatmap.captures} capturas · ${heatmap.totals.click} clics · ${heatmap.totals.hover} muestras de atención · ${heatmap.totals.scroll} de scroll</div>
+            ${layout.missing.length > 0 ? `<div style="color:#fbbf24;margin-top:4px">${layout.missing.length} elementos no están en esta página o a este ancho</div>` : ''}
+            ${samePage ? '' : `<div style="color:#fbbf24;margin-top:4px">Este mapa es de ${escapeHtml(heatmap.page)}</div>`}
+            <div style="color:#9ca3af;margin-top:4px">Alt+H oculta o muestra el mapa</div>`;
+    }
+
+    destroy() {
+        this.window.removeEventListener('resize', this.onResize);
+        clearTimeout(this.resizeTimer);
+        this.canvas?.remove();
+        this.panel?.remove();
+        this.canvas = null;
+        this.panel = null;
+        this.visible = false;
+    }
+}
+
+/**
+ * ?heatmap=1 asks for an export file; ?heatmap=<url> fetches one. Resolves with the overlay, or null.
+ */
+export async function initHeatmapOverlay(win = window) {
+    const source = new URLSearchParams(win.location.search).get('heatmap');
+    if (!source) return null;
+
+    const doc = win.document;
+    const start = data => {
+        const overlay = new HeatmapOverlay(data, { window: win });
+        overlay.show();
+        doc.addEventListener('keydown', event => {
+            if (event.altKey && event.key.toLowerCase() === 'h') overlay.toggle();
+        });
+        return overlay;
+    };
+
+    if (source !== '1' && source !== 'true') {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Heat map export not found: ${response.status}`);
+        return start(await response.json());
+    }
+
+    return new Promise(resolve => {
+        const picker = doc.createElement('div');
+        picker.style.cssText = PANEL_STYLE;
+        picker.innerHTML = `
+            <strong>🔥 Mapa de calor</strong>
+            <p style="margin:6px 0">Elige un export de <code>npm run analytics:heatmap</code></p>
+            <input type="file" accept="application/json,.json">
+            <div data-heatmap-error style="color:#f87171;margin-top:4px"></div>`;
+        picker.querySelector('input').addEventListener('change', async event => {
+            const [file] = event.target.files;
+            if (!file) return;
+            try {
+                const overlay = start(await file.text());
+                picker.remove();
+                resolve(overlay);
+            } catch (error) {
+                picker.querySelector('[data-heatmap-error]').textContent = error.message;
+            }
+        });
+        doc.body.appendChild(picker);
+    });
+}
+
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    const run = () => initHeatmapOverlay().catch(error => console.error('❌ Heat map overlay:', error));
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', run);
+    else run();
+}
+
+export default HeatmapOverlay;
@@ -0,0 +1,238 @@
+/**
+ * FACEPAY ANALYTICS OFFLINE QUEUE
+ * Analytics batches that couldn't be sent, kept in IndexedDB until they can be
+ *
+ * Shared by the page (the event bus EndpointDestination in analytics-event-bus.js stores
+ * failed batches here) and service-worker-optimized.js (importScripts), which replays the
+ * queue on the 'analytics-sync' Background Sync tag. Browsers without Background Sync
+ * replay from the page when it starts and when it comes back online.
+ *
+ * - Every event keeps its event_id, so a replay that reaches the collector twice is dropped there
+ * - Failed events wait baseDelay, doubling per attempt up to maxDelay, before the next try
+ * - Events older than maxAge are dropped unsent, and the queue never holds more than maxEvents
+ * - Replays claim their events for leaseTime first, so the page and the worker never send the same ones at once
+ */
+
+const OFFLINE_QUEUE_DEFAULTS = {
+    dbName: 'facepay-analytics',
+    storeName: 'queue',
+    syncTag: 'analytics-sync',
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxEvents: 1000,
+    batchSize: 100,
+    baseDelay: 30 * 1000,
+    maxDelay: 60 * 60 * 1000,
+    leaseTime: 60 * 1000
+};
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class AnalyticsOfflineQueue {
+    constructor(options = {}) {
+        this.options = {
+            ...OFFLINE_QUEUE_DEFAULTS,
+            ...options,
+            indexedDB: options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null),
+            fetch: options.fetch || ((...args) => fetch(...args)),
+            now: options.now || (() => Date.now())
+        };
+        this.database = null;
+    }
+
+    get available() {
+        return !!this.options.indexedDB;
+    }
+
+    open() {
+        if (!this.database) {
+            if (!this.available) return Promise.reject(new Error('IndexedDB is not available'));
+
+            const request = this.options.indexedDB.open(this.options.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName, { keyPath: 'id' });
+            };
+            this.database = requestResult(request).catch(error => {
+                // Let the next call try again, e.g. after a blocked upgrade
+                this.database = null;
+                throw error;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Runs work(store) in one transaction; resolves with its result once the transaction commits
+     */
+    async withStore(mode, work) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.options.storeName, mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Analytics queue transaction aborted'));
+
+            Promise.resolve(work(transaction.objectStore(this.options.storeName))).then(value => {
+                result = value;
+            }, error => {
+                reject(error);
+                transaction.abort();
+            });
+        });
+    }
+
+    /**
+     * Stores events for url; an event_id already queued is kept as it is. Returns how many were new.
+     */
+    enqueue(events, url) {
+        const now = this.options.now();
+        return this.withStore('readwrite', async store => {
+            const records = await requestResult(store.getAll());
+            const queued = new Set(records.map(record => record.id));
+
+            const added = events
+                .filter(event => event?.event_id && !queued.has(event.event_id))
+                .map(event => ({ id: event.event_id, url, event, queuedAt: now, attempts: 0, nextAttemptAt: now }));
+            added.forEach(record => store.put(record));
+
+            // Over the cap, the oldest events go first
+            const overflow = records.length + added.length - this.options.maxEvents;
+            if (overflow > 0) {
+                [...records, ...added]
+                    .sort((a, b) => a.queuedAt - b.queuedAt)
+                    .slice(0, overflow)
+                    .forEach(record => store.delete(record.id));
+            }
+            return added.length;
+        });
+    }
+
+    /**
+     * Due events, leased so nobody else replays them meanwhile; expired events are dropped on the way
+     */
+    claim(limit = this.options.batchSize) {
+        const now = this.options.now();
+        return this.withStore('readwrite', async store => {
+            const records = await requestResult(store.getAll());
+
+            const expired = records.filter(record => now - record.queuedAt > this.options.maxAge);
+            expired.forEach(record => store.delete(record.id));
+
+            const due = records
+                .filter(record => now - record.queuedAt <= this.options.maxAge && record.nextAttemptAt <= now)
+                .sort((a, b) => a.queuedAt - b.queuedAt)
+                .slice(0, limit);
+            due.forEach(record => store.put({ ...record, nextAttemptAt: now + this.options.leaseTime }));
+
+            return { records: due, dropped: expired.length };
+        });
+    }
+
+    /**
+     * Removes what was sent and schedules the rest for a retry with exponential backoff
+     */
+    settle(sentIds, failedIds) {
+        const now = this.options.now();
+        return this.withStore('readwrite', async store => {
+            sentIds.forEach(id => store.delete(id));
+            for (const id of failedIds) {
+                const record = await requestResult(store.get(id));
+                if (!record) continue;
+                const attempts = record.attempts + 1;
+                store.put({ ...record, attempts, nextAttemptAt: now + this.backoffDelay(attempts) });
+            }
+        });
+    }
+
+    backoffDelay(attempts) {
+        return Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** Math.max(0, attempts - 1));
+    }
+
+    /**
+     * Sends every due event, batchSize at a time, until the queue is drained or a send fails;
+     * resolves with { sent, failed, dropped }
+     */
+    async replay() {
+        const total = { sent: 0, failed: 0, dropped: 0 };
+        for (;;) {
+            const result = await this.replayBatch();
+            total.sent += result.sent;
+            total.failed += result.failed;
+            total.dropped += result.dropped;
+            if (result.sent === 0 || result.failed > 0) return total;
+        }
+    }
+
+    async replayBatch() {
+        const { records, dropped } = await this.claim();
+        const sent = [];
+        const failed = [];
+
+        const byUrl = new Map();
+        records.forEach(record => {
+            if (!byUrl.has(record.url)) byUrl.set(record.url, []);
+            byUrl.get(record.url).push(record);
+        });
+
+        for (const [url, batch] of byUrl) {
+            const last = batch[batch.length - 1].event;
+            const ids = batch.map(record => record.id);
+            try {
+                const response = await this.options.fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        session_id: last.session_id,
+                        user_id: last.user_id,
+                        events: batch.map(record => record.event),
+                        metadata: { replayed: true, timestamp: this.options.now() }
+                    })
+                });
+                // A 4xx will never succeed; keep it only until maxAge like anything else that fails
+                if (!response.ok) throw new Error(`Analytics endpoint error: ${response.status}`);
+                sent.push(...ids);
+            } catch {
+                failed.push(...ids);
+            }
+        }
+
+        if (records.length > 0) await this.settle(sent, failed);
+        return { sent: sent.length, failed: failed.length, dropped };
+    }
+
+    size() {
+        return this.withStore('readonly', store => requestResult(store.count()));
+    }
+
+    clear() {
+        return this.withStore('readwrite', store => {
+            store.clear();
+        });
+    }
+
+    /**
+     * Asks the service worker to replay on the 'analytics-sync' tag; false where Background Sync isn't supported
+     */
+    async requestSync() {
+        try {
+            const registration = typeof navigator !== 'undefined' && navigator.serviceWorker
+                ? await navigator.serviceWorker.ready
+                : null;
+            if (!registration?.sync) return false;
+            await registration.sync.register(this.options.syncTag);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalyticsOfflineQueue, OFFLINE_QUEUE_DEFAULTS };
+}
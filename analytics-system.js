@@ -2,12 +2,15 @@
  * FacePay Advanced Analytics System
  * Complete analytics integration with Core Web Vitals, user behavior tracking,
  * and performance monitoring for bulletproof production deployment
+ *
+ * Collects only: every event is published to window.FacePayEvents (analytics-event-bus.js),
+ * which owns the visitor identity and sends to GA4 and /api/analytics. Starts once the visitor
+ * allows analytics (consent-manager.js, then analytics-event-bus.js, must load first).
  */
 
 class FacePayAnalytics {
-    constructor() {
-        this.sessionId = this.generateSessionId();
-        this.userId = this.getUserId();
+    constructor(bus = window.FacePayEvents) {
+        this.bus = bus;
         this.startTime = Date.now();
         this.pageLoadTime = null;
         this.interactions = [];
@@ -23,10 +26,6 @@ class FacePayAnalytics {
         
         // Configuration
         this.config = {
-            trackingId: 'G-FACEPAY2024', // Replace with actual GA4 tracking ID
-            apiEndpoint: '/api/analytics',
-            batchSize: 10,
-            flushInterval: 30000, // 30 seconds
             enableDebug: false,
             trackScrollDepth: true,
             trackVideoEngagement: true,
@@ -36,7 +35,6 @@ class FacePayAnalytics {
             trackWebVitals: true
         };
         
-        this.eventQueue = [];
         this.initialized = false;
         
         this.init();
@@ -62,9 +60,6 @@ class FacePayAnalytics {
             // Initialize service worker communication
             this.initServiceWorkerCommunication();
             
-            // Start periodic data flushing
-            this.startPeriodicFlush();
-            
             // Track page load
             this.trackPageLoad();
             
@@ -256,9 +251,9 @@ class FacePayAnalytics {
                 const elementInfo = this.getElementInfo(element);
                 this.trackEvent('click', {
                     element_type: element.tagName.toLowerCase(),
-                    element_text: element.textContent?.trim().substring(0, 50) || '',
+                    element_text: this.bus.elementText(element, 50),
                     element_id: element.id || '',
-                    element_class: element.className || '',
+                    element_class: element.getAttribute('class') || '',
                     element_href: element.href || '',
                     ...elementInfo
                 });
@@ -402,35 +397,12 @@ class FacePayAnalytics {
      * Track Events
      */
     trackEvent(eventName, parameters = {}) {
-        const event = {
-            event_name: eventName,
-            timestamp: Date.now(),
-            session_id: this.sessionId,
-            user_id: this.userId,
-            page_url: window.location.href,
-            page_title: document.title,
-            referrer: document.referrer,
-            user_agent: navigator.userAgent,
-            screen_resolution: `${screen.width}x${screen.height}`,
-            viewport_size: `${window.innerWidth}x${window.innerHeight}`,
-            connection_type: navigator.connection?.effectiveType || 'unknown',
-            language: navigator.language,
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-            ...parameters
-        };
-        
-        this.eventQueue.push(event);
-        this.log('Event tracked:', eventName, parameters);
-        
-        // Flush immediately for critical events
-        if (['javascript_error', 'promise_rejection', 'web_vitals'].includes(eventName)) {
-            this.flush();
-        }
-        
-        // Flush when queue reaches batch size
-        if (this.eventQueue.length >= this.config.batchSize) {
-            this.flush();
+        // The bus checks consent, which can be withdrawn after the system started
+        const event = this.bus.publish(eventName, parameters, { tracker: 'facepay-analytics' });
+        if (event) {
+            this.log('Event tracked:', eventName, parameters);
         }
+        return event;
     }
 
     /**
@@ -457,79 +429,8 @@ class FacePayAnalytics {
     /**
      * Flush Events to Server
      */
-    async flush() {
-        if (this.eventQueue.length === 0) return;
-        
-        const events = [...this.eventQueue];
-        this.eventQueue = [];
-        
-        try {
-            // Send to analytics API
-            await this.sendToAPI(events);
-            
-            // Send to Google Analytics 4 (if configured)
-            this.sendToGA4(events);
-            
-            this.log(`Flushed ${events.length} events`);
-            
-        } catch (error) {
-            console.error('Failed to flush analytics events:', error);
-            // Re-add events to queue for retry
-            this.eventQueue.unshift(...events);
-        }
-    }
-
-    /**
-     * Send to Analytics API
-     */
-    async sendToAPI(events) {
-        if (!this.config.apiEndpoint) return;
-        
-        const payload = {
-            session_id: this.sessionId,
-            user_id: this.userId,
-            events: events,
-            metadata: {
-                sdk_version: '2.1.0',
-                timestamp: Date.now(),
-                page_load_time: this.pageLoadTime,
-                core_web_vitals: this.coreWebVitals,
-                user_behavior: this.userBehavior
-            }
-        };
-        
-        const response = await fetch(this.config.apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Analytics API error: ${response.status}`);
-        }
-    }
-
-    /**
-     * Send to Google Analytics 4
-     */
-    sendToGA4(events) {
-        if (!this.config.trackingId || !window.gtag) return;
-        
-        events.forEach(event => {
-            try {
-                window.gtag('event', event.event_name, {
-                    event_category: this.getEventCategory(event.event_name),
-                    event_label: event.page_url,
-                    session_id: event.session_id,
-                    user_id: event.user_id,
-                    custom_parameters: event
-                });
-            } catch (error) {
-                this.log('GA4 tracking error:', error);
-            }
-        });
+    flush() {
+        return this.bus.flush();
     }
 
     /**
@@ -558,17 +459,12 @@ class FacePayAnalytics {
      * Utility Functions
      */
     
-    generateSessionId() {
-        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    get sessionId() {
+        return this.bus.getIdentity()?.sessionId ?? null;
     }
     
-    getUserId() {
-        let userId = localStorage.getItem('facepay_user_id');
-        if (!userId) {
-            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('facepay_user_id', userId);
-        }
-        return userId;
+    get userId() {
+        return this.bus.getIdentity()?.userId ?? null;
     }
     
     async loadWebVitals() {
@@ -626,27 +522,6 @@ class FacePayAnalytics {
         };
     }
     
-    getEventCategory(eventName) {
-        const categories = {
-            page_load: 'Performance',
-            web_vitals: 'Performance',
-            performance_navigation: 'Performance',
-            performance_resource: 'Performance',
-            performance_long_task: 'Performance',
-            click: 'Engagement',
-            scroll_depth: 'Engagement',
-            video_play: 'Video',
-            video_pause: 'Video',
-            video_complete: 'Video',
-            video_progress: 'Video',
-            javascript_error: 'Error',
-            promise_rejection: 'Error',
-            resource_error: 'Error'
-        };
-        
-        return categories[eventName] || 'Other';
-    }
-    
     getPageSize() {
         const resources = performance.getEntriesByType('resource');
         return resources.reduce((total, resource) => {
@@ -660,14 +535,6 @@ class FacePayAnalytics {
         }, 1000);
     }
     
-    startPeriodicFlush() {
-        setInterval(() => {
-            if (this.eventQueue.length > 0) {
-                this.flush();
-            }
-        }, this.config.flushInterval);
-    }
-    
     trackCustomPerformance() {
         // Track Time to Interactive (TTI) approximation
         let ttiTimeout;
@@ -763,13 +630,7 @@ class FacePayAnalytics {
      * Set user properties
      */
     setUser(userId, properties = {}) {
-        this.userId = userId;
-        localStorage.setItem('facepay_user_id', userId);
-        
-        this.trackEvent('user_identify', {
-            user_id: userId,
-            ...properties
-        });
+        return this.bus.identify(userId, properties);
     }
     
     /**
@@ -783,7 +644,7 @@ class FacePayAnalytics {
             pageLoadTime: this.pageLoadTime,
             coreWebVitals: this.coreWebVitals,
             userBehavior: this.userBehavior,
-            eventsQueued: this.eventQueue.length
+            eventsPublished: this.bus.stats.published
         };
     }
 }
@@ -791,34 +652,24 @@ class FacePayAnalytics {
 // Initialize analytics system
 let facePayAnalytics;
 
-// Auto-initialize on page load
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        facePayAnalytics = new FacePayAnalytics();
-    });
-} else {
+function startFacePayAnalytics() {
     facePayAnalytics = new FacePayAnalytics();
-}
 
-// Export for global access
-window.facePayAnalytics = facePayAnalytics;
-
-// Integrate with Google Analytics 4
-window.dataLayer = window.dataLayer || [];
-function gtag(){dataLayer.push(arguments);}
-gtag('js', new Date());
-gtag('config', 'G-FACEPAY2024', {
-    send_page_view: false,  // We'll handle this manually
-    custom_map: {
-        custom_session_id: 'session_id',
-        custom_user_id: 'user_id'
-    }
-});
+    // Export for global access
+    window.facePayAnalytics = facePayAnalytics;
+}
 
-// Load Google Analytics 4
-const gaScript = document.createElement('script');
-gaScript.async = true;
-gaScript.src = 'https://www.googletagmanager.com/gtag/js?id=G-FACEPAY2024';
-document.head.appendChild(gaScript);
+// Auto-initialize on page load, once the visitor allows analytics
+if (!window.FacePayConsent || !window.FacePayEvents) {
+    console.warn('⚠️ FacePay Analytics is off: load consent-manager.js and analytics-event-bus.js before analytics-system.js');
+} else {
+    window.FacePayConsent.whenGranted('analytics', () => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', startFacePayAnalytics);
+        } else {
+            startFacePayAnalytics();
+        }
+    });
+}
 
-console.log('🎯 FacePay Analytics System loaded successfully');
\ No newline at end of file
+console.log('🎯 FacePay Analytics System loaded successfully');
@@ -3,40 +3,58 @@
  * Advanced conversion funnel analysis and behavioral tracking
  * 
  * Features:
- * - Multi-platform tracking (Google Analytics, Mixpanel, custom)
- * - Conversion funnel analysis with step-by-step tracking
+ * - Multi-platform tracking through the shared event bus (analytics-event-bus.js)
+ * - Conversion funnel stages and triggers declared in funnels.json; analyzed offline with
+ *   `npm run analytics:funnels` (analytics-funnels.js)
  * - User journey mapping and behavioral analytics
  * - Real-time dashboard data
  * - Cohort analysis and retention tracking
  * - Attribution modeling
- * - Heat mapping and interaction tracking
+ * - Heat mapping anchored to elements and sections (drawn by analytics-heatmap.js on ?heatmap=1)
  * - Performance metrics and optimization insights
+ *
+ * Events, the visitor identity and delivery to GA4, Mixpanel and /api/analytics belong to
+ * window.FacePayEvents; this class publishes to it and sends only heat map and real-time data itself.
+ * Nothing is tracked or stored until the visitor allows analytics
+ * (consent-manager.js, then analytics-event-bus.js, must load first).
  */
 
+import { loadFunnelDefinitions } from './analytics-funnels.js';
+
+// Heat map points attach to the nearest of these around the pointer, and to the section containing it
+const HEATMAP_ANCHORS = '[data-heatmap], [id], a, button, [role="button"], input, select, textarea, label, img, video';
+const HEATMAP_SECTIONS = '[data-heatmap-section], section, header, footer, nav, main';
+
 export class AnalyticsTrackingSystem {
     constructor(options = {}) {
         this.options = {
-            googleAnalyticsId: options.googleAnalyticsId || 'GA_MEASUREMENT_ID',
+            // Added to the event bus only when it has no GA4 or Mixpanel destination of its own
+            googleAnalyticsId: options.googleAnalyticsId || null,
             mixpanelToken: options.mixpanelToken || null,
+            // Heat map and real-time data go to <customEndpoint>/heatmap and /realtime
             customEndpoint: options.customEndpoint || '/api/analytics',
             enableHeatMapping: options.enableHeatMapping || true,
             enableUserRecording: options.enableUserRecording || false,
             enableRealTimeTracking: options.enableRealTimeTracking || true,
-            batchSize: options.batchSize || 20,
             flushInterval: options.flushInterval || 30000, // 30 seconds
+            // Funnel definitions (see analytics-funnels.js): a URL, or the parsed document in `funnels`;
+            // funnelId picks one, the first by default
+            funnelsUrl: options.funnelsUrl === undefined ? 'funnels.json' : options.funnelsUrl,
+            funnels: options.funnels || null,
+            funnelId: options.funnelId || null,
             debug: options.debug || false,
             ...options
         };
 
+        this.bus = options.bus || window.FacePayEvents;
+
         // Tracking queues
-        this.eventQueue = [];
         this.heatMapData = [];
         this.userJourney = [];
         this.performanceMetrics = [];
         
-        // User session data
+        // Page-view engagement; the visitor and session ids come from the event bus
         this.sessionData = this.initializeSession();
-        this.userIdentity = this.initializeUserIdentity();
         
         // Conversion funnel configuration
         this.conversionFunnel = this.initializeConversionFunnel();
@@ -48,16 +66,24 @@ export class AnalyticsTrackingSystem {
         this.performanceObserver = null;
         this.intersectionObserver = null;
         
-        this.init();
+        if (!window.FacePayConsent || !this.bus) {
+            console.warn('⚠️ Analytics tracking is off: load consent-manager.js and analytics-event-bus.js before analytics-tracking-system.js');
+            return;
+        }
+
+        this.cancelConsentWait = window.FacePayConsent.whenGranted('analytics', () => this.init());
+    }
+
+    get userIdentity() {
+        return this.bus.getIdentity() || { userId: null, sessionId: null, isReturning: false, visitCount: 0 };
     }
 
     init() {
         this.log('📊 Initializing Analytics Tracking System...');
         
         // Initialize tracking platforms
-        this.initializeGoogleAnalytics();
-        this.initializeMixpanel();
-        this.initializeCustomTracking();
+        this.initializeDestinations();
+        this.watchConsentWithdrawal();
         
         // Setup core tracking
         this.setupFunnelTracking();
@@ -80,194 +106,117 @@ export class AnalyticsTrackingSystem {
     /**
      * PLATFORM INITIALIZATION
      */
-    initializeGoogleAnalytics() {
-        if (!this.options.googleAnalyticsId || this.options.googleAnalyticsId === 'GA_MEASUREMENT_ID') {
-            this.log('⚠️ Google Analytics ID not configured');
-            return;
+    initializeDestinations() {
+        if (this.options.googleAnalyticsId && !this.bus.getDestination('ga4')) {
+            this.bus.addDestination(this.bus.createDestination('ga4', { measurementId: this.options.googleAnalyticsId }));
+            this.log('✅ Google Analytics destination added');
         }
 
-        // Load Google Analytics
-        const script = document.createElement('script');
-        script.async = true;
-        script.src = `https://www.googletagmanager.com/gtag/js?id=${this.options.googleAnalyticsId}`;
-        document.head.appendChild(script);
-
-        script.onload = () => {
-            window.dataLayer = window.dataLayer || [];
-            function gtag(){dataLayer.push(arguments);}
-            gtag('js', new Date());
-            gtag('config', this.options.googleAnalyticsId, {
-                send_page_view: false, // We'll send custom page views
-                custom_map: {
-                    'custom_parameter_1': 'conversion_stage',
-                    'custom_parameter_2': 'lead_score',
-                    'custom_parameter_3': 'experiment_variant'
-                }
-            });
-            
-            // Make gtag available globally
-            window.gtag = gtag;
-            
-            this.log('✅ Google Analytics initialized');
-        };
-    }
-
-    initializeMixpanel() {
-        if (!this.options.mixpanelToken) {
-            this.log('⚠️ Mixpanel token not configured');
-            return;
+        if (this.options.mixpanelToken && !this.bus.getDestination('mixpanel')) {
+            this.bus.addDestination(this.bus.createDestination('mixpanel', { token: this.options.mixpanelToken, debug: this.options.debug }));
+            this.log('✅ Mixpanel destination added');
         }
-
-        // Load Mixpanel
-        (function(c,a){if(!a.__SV){var b=window;try{var d,m,j,k=b.location,f=k.hash;d=function(a,b){return(m=a.match(RegExp(b+"=([^&]*)")))?m[1]:null};f&&d(f,"state")&&(j=JSON.parse(decodeURIComponent(d(f,"state"))),"mpeditor"===j.action&&(b.sessionStorage.setItem("_mpcehash",f),history.replaceState(j.desiredHash||"",c.title,k.pathname+k.search)))}catch(n){}var l,h;window.mixpanel=a;a._i=[];a.init=function(b,d,g){function c(b,i){var a=i.split(".");2==a.length&&(b=b[a[0]],i=a[1]);b[i]=function(){b.push([i].concat(Array.prototype.slice.call(arguments,0)))}}var e=a;"undefined"!==typeof g?e=a[g]=[]:g="mixpanel";e.people=e.people||[];e.toString=function(b){var a="mixpanel";"mixpanel"!==g&&(a+="."+g);b||(a+=" (stub)");return a};e.people.toString=function(){return e.toString(1)+".people (stub)"};l="disable time_event track track_pageview track_links track_forms track_with_groups add_group set_group remove_group register register_once alias unregister identify name_tag set_config reset opt_in_tracking opt_out_tracking has_opted_in_tracking has_opted_out_tracking clear_opt_in_out_tracking start_batch_senders people.set people.set_once people.unset people.increment people.append people.union people.track_charge people.clear_charges people.delete_user people.remove".split(" ");for(h=0;h<l.length;h++)c(e,l[h]);var f="set set_once union unset remove delete".split(" ");e.get_group=function(){function a(c){b[c]=function(){call2_args=arguments;call2=[c].concat(Array.prototype.slice.call(call2_args,0));e.push([d,call2])}}for(var b={},d=["get_group"].concat(Array.prototype.slice.call(arguments,0)),c=0;c<f.length;c++)a(f[c]);return b};a._i.push([b,d,g])};a.__SV=1.2;b=c.createElement("script");b.type="text/javascript";b.async=!0;b.src="undefined"!==typeof MIXPANEL_CUSTOM_LIB_URL?MIXPANEL_CUSTOM_LIB_URL:"file:"===c.location.protocol&&"//cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js".match(/^\/\//)?"https://cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js":"//cdn4.mxpnl.com/libs/mixpanel-2-latest.min.js";d=c.getElementsByTagName("script")[0];d.parentNode.insertBefore(b,d)}})(document,window.mixpanel||[]);
-        
-        mixpanel.init(this.options.mixpanelToken, {
-            debug: this.options.debug,
-            track_pageview: false, // We'll track custom page views
-            persistence: 'localStorage'
-        });
-
-        this.log('✅ Mixpanel initialized');
     }
 
-    initializeCustomTracking() {
-        // Custom analytics endpoint setup
-        this.customTracker = {
-            endpoint: this.options.customEndpoint,
-            enabled: !!this.options.customEndpoint,
-            queue: [],
-            send: (data) => this.sendToCustomEndpoint(data)
-        };
+    watchConsentWithdrawal() {
+        window.FacePayConsent.onChange((choices) => {
+            if (choices?.analytics) return;
 
-        if (this.customTracker.enabled) {
-            this.log('✅ Custom tracking initialized');
-        }
+            // The event bus drops its own queues and opts Mixpanel out
+            this.heatMapData = [];
+            this.log('🚫 Analytics consent withdrawn, tracking stopped');
+        });
     }
 
     /**
      * CONVERSION FUNNEL TRACKING
+     * Stages and their triggers come from funnels.json (see analytics-funnels.js); until it loads
+     * there are no stages and currentStage is null
      */
-    initializeConversionFunnel() {
+    initializeConversionFunnel(definition = null) {
         return {
-            stages: [
-                {
-                    id: 'awareness',
-                    name: 'Awareness',
-                    triggers: ['page_load', 'first_interaction'],
-                    completed: false,
-                    timestamp: null,
-                    source: null
-                },
-                {
-                    id: 'interest',
-                    name: 'Interest',
-                    triggers: ['scroll_25', 'video_play', 'feature_hover'],
-                    completed: false,
-                    timestamp: null,
-                    engagementScore: 0
-                },
-                {
-                    id: 'consideration',
-                    name: 'Consideration',
-                    triggers: ['video_50', 'testimonial_read', 'pricing_view'],
-                    completed: false,
-                    timestamp: null,
-                    touchpoints: []
-                },
-                {
-                    id: 'intent',
-                    name: 'Intent',
-                    triggers: ['cta_hover', 'email_focus', 'form_interaction'],
-                    completed: false,
-                    timestamp: null,
-                    intentSignals: []
-                },
-                {
-                    id: 'conversion',
-                    name: 'Conversion',
-                    triggers: ['email_submit', 'signup_complete', 'purchase'],
-                    completed: false,
-                    timestamp: null,
-                    conversionType: null
-                }
-            ],
-            currentStage: 'awareness',
+            id: definition?.id || null,
+            stages: (definition?.steps || []).map(step => ({
+                id: step.id,
+                name: step.name,
+                triggers: step.triggers,
+                completed: false,
+                timestamp: null,
+                trigger: null
+            })),
+            currentStage: null,
             timeToConvert: null,
             dropOffPoint: null
         };
     }
 
-    setupFunnelTracking() {
-        // Setup stage progression tracking
+    async setupFunnelTracking() {
+        const source = this.options.funnels || this.options.funnelsUrl;
+        if (!source) return;
+
+        try {
+            const funnels = await loadFunnelDefinitions(source);
+            const definition = this.options.funnelId ? funnels.find(funnel => funnel.id === this.options.funnelId) : funnels[0];
+            if (!definition) throw new Error(`no funnel with id "${this.options.funnelId}"`);
+            this.conversionFunnel = this.initializeConversionFunnel(definition);
+        } catch (error) {
+            // The rest of the tracking works without a funnel
+            console.warn('⚠️ Funnel definitions not loaded:', error.message);
+            return;
+        }
+
         this.conversionFunnel.stages.forEach(stage => {
-            stage.triggers.forEach(trigger => {
-                this.setupTriggerTracking(trigger, stage);
-            });
+            stage.triggers.forEach(trigger => this.setupTriggerTracking(trigger, stage));
         });
-
-        // Track funnel progression
-        this.trackFunnelStage('awareness', 'page_load');
     }
 
     setupTriggerTracking(trigger, stage) {
-        switch (trigger) {
+        switch (trigger.type) {
             case 'page_load':
-                // Already handled in init
+                this.trackFunnelStage(stage.id, trigger.id);
                 break;
-                
+
             case 'first_interaction':
-                this.setupFirstInteractionTracking(stage);
-                break;
-                
-            case 'scroll_25':
-                this.setupScrollTracking(25, stage);
-                break;
-                
-            case 'video_play':
-                this.setupVideoTracking('play', stage);
-                break;
-                
-            case 'video_50':
-                this.setupVideoTracking('50_percent', stage);
+                this.setupFirstInteractionTracking(trigger, stage);
                 break;
-                
-            case 'feature_hover':
-                this.setupFeatureHoverTracking(stage);
+
+            case 'scroll':
+                this.setupScrollTracking(trigger, stage);
                 break;
-                
-            case 'testimonial_read':
-                this.setupTestimonialTracking(stage);
+
+            case 'video':
+                this.setupVideoTracking(trigger, stage);
                 break;
-                
-            case 'pricing_view':
-                this.setupPricingViewTracking(stage);
+
+            case 'hover':
+                this.setupHoverTriggerTracking(trigger, stage);
                 break;
-                
-            case 'cta_hover':
-                this.setupCTAHoverTracking(stage);
+
+            case 'visible':
+                this.setupVisibilityTriggerTracking(trigger, stage);
                 break;
-                
-            case 'email_focus':
-                this.setupEmailFocusTracking(stage);
+
+            case 'focus':
+                this.setupFocusTriggerTracking(trigger, stage);
                 break;
-                
-            case 'form_interaction':
-                this.setupFormInteractionTracking(stage);
+
+            case 'input':
+                this.setupInputTriggerTracking(trigger, stage);
                 break;
-                
-            case 'email_submit':
-                this.setupEmailSubmitTracking(stage);
+
+            case 'dom_event':
+                this.setupDomEventTriggerTracking(trigger, stage);
                 break;
         }
     }
 
-    setupFirstInteractionTracking(stage) {
+    setupFirstInteractionTracking(trigger, stage) {
         let firstInteraction = false;
         
         const trackFirstInteraction = () => {
             if (!firstInteraction) {
                 firstInteraction = true;
-                this.trackFunnelStage(stage.id, 'first_interaction');
+                this.trackFunnelStage(stage.id, trigger.id);
             }
         };
 
@@ -277,7 +226,7 @@ export class AnalyticsTrackingSystem {
         document.addEventListener('mousemove', trackFirstInteraction, { once: true });
     }
 
-    setupScrollTracking(percentage, stage) {
+    setupScrollTracking(trigger, stage) {
         let scrollTracked = false;
         
         window.addEventListener('scroll', this.throttle(() => {
@@ -287,29 +236,30 @@ export class AnalyticsTrackingSystem {
                 (window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100
             );
             
-            if (scrollPercent >= percentage) {
+            if (scrollPercent >= trigger.percent) {
                 scrollTracked = true;
-                this.trackFunnelStage(stage.id, `scroll_${percentage}`);
+                this.trackFunnelStage(stage.id, trigger.id);
             }
         }, 500));
     }
 
-    setupVideoTracking(eventType, stage) {
+    setupVideoTracking(trigger, stage) {
         const videos = document.querySelectorAll('video');
+        let videoTracked = false;
         
         videos.forEach(video => {
-            if (eventType === 'play') {
+            if (trigger.progress === 0) {
                 video.addEventListener('play', () => {
-                    this.trackFunnelStage(stage.id, 'video_play', {
+                    this.trackFunnelStage(stage.id, trigger.id, {
                         video_src: video.src,
                         video_duration: video.duration
                     });
                 }, { once: true });
-            } else if (eventType === '50_percent') {
+            } else {
                 video.addEventListener('timeupdate', () => {
-                    if (video.currentTime / video.duration >= 0.5 && !video.dataset.tracked50) {
-                        video.dataset.tracked50 = 'true';
-                        this.trackFunnelStage(stage.id, 'video_50_percent', {
+                    if (!videoTracked && video.currentTime / video.duration >= trigger.progress / 100) {
+                        videoTracked = true;
+                        this.trackFunnelStage(stage.id, trigger.id, {
                             video_src: video.src,
                             watch_time: video.currentTime
                         });
@@ -319,109 +269,80 @@ export class AnalyticsTrackingSystem {
         });
     }
 
-    setupFeatureHoverTracking(stage) {
-        const features = document.querySelectorAll('[data-feature], .feature, [data-demo-feature]');
+    setupHoverTriggerTracking(trigger, stage) {
+        const elements = document.querySelectorAll(trigger.selector);
         let hoverTracked = false;
         
-        features.forEach(feature => {
-            feature.addEventListener('mouseenter', () => {
+        elements.forEach(element => {
+            element.addEventListener('mouseenter', () => {
                 if (!hoverTracked) {
                     hoverTracked = true;
-                    this.trackFunnelStage(stage.id, 'feature_hover', {
-                        feature_name: feature.dataset.feature || feature.textContent.trim().substring(0, 50)
+                    this.trackFunnelStage(stage.id, trigger.id, {
+                        element_text: this.bus.elementText(element, 50),
+                        element_position: this.getElementPosition(element)
                     });
                 }
             });
         });
     }
 
-    setupTestimonialTracking(stage) {
-        const testimonials = document.querySelectorAll('[data-testimonial], .testimonial');
-        let testimonialTracked = false;
-        
-        testimonials.forEach(testimonial => {
-            this.observeElementVisibility(testimonial, (isVisible) => {
-                if (isVisible && !testimonialTracked) {
-                    testimonialTracked = true;
-                    this.trackFunnelStage(stage.id, 'testimonial_read', {
-                        testimonial_id: testimonial.dataset.testimonial
-                    });
-                }
-            }, { threshold: 0.5, duration: 2000 }); // Visible for 2 seconds
-        });
-    }
-
-    setupPricingViewTracking(stage) {
-        const pricingElements = document.querySelectorAll('[data-pricing], .pricing, [data-price]');
-        let pricingTracked = false;
+    setupVisibilityTriggerTracking(trigger, stage) {
+        const elements = document.querySelectorAll(trigger.selector);
+        let visibilityTracked = false;
+        const options = {};
+        if (trigger.threshold !== undefined) options.threshold = trigger.threshold;
+        if (trigger.duration !== undefined) options.duration = trigger.duration;
         
-        pricingElements.forEach(element => {
+        elements.forEach(element => {
             this.observeElementVisibility(element, (isVisible) => {
-                if (isVisible && !pricingTracked) {
-                    pricingTracked = true;
-                    this.trackFunnelStage(stage.id, 'pricing_view');
-                }
-            });
-        });
-    }
-
-    setupCTAHoverTracking(stage) {
-        const ctas = document.querySelectorAll('.btn-primary, [data-cta], .cta-button');
-        let ctaTracked = false;
-        
-        ctas.forEach(cta => {
-            cta.addEventListener('mouseenter', () => {
-                if (!ctaTracked) {
-                    ctaTracked = true;
-                    this.trackFunnelStage(stage.id, 'cta_hover', {
-                        cta_text: cta.textContent.trim(),
-                        cta_position: this.getElementPosition(cta)
+                if (isVisible && !visibilityTracked) {
+                    visibilityTracked = true;
+                    this.trackFunnelStage(stage.id, trigger.id, {
+                        element_id: element.id
                     });
                 }
-            });
+            }, options);
         });
     }
 
-    setupEmailFocusTracking(stage) {
-        const emailInputs = document.querySelectorAll('input[type="email"]');
-        let emailTracked = false;
+    setupFocusTriggerTracking(trigger, stage) {
+        const elements = document.querySelectorAll(trigger.selector);
+        let focusTracked = false;
         
-        emailInputs.forEach(input => {
-            input.addEventListener('focus', () => {
-                if (!emailTracked) {
-                    emailTracked = true;
-                    this.trackFunnelStage(stage.id, 'email_focus', {
-                        input_id: input.id,
-                        input_placeholder: input.placeholder
+        elements.forEach(element => {
+            element.addEventListener('focus', () => {
+                if (!focusTracked) {
+                    focusTracked = true;
+                    this.trackFunnelStage(stage.id, trigger.id, {
+                        element_id: element.id
                     });
                 }
             });
         });
     }
 
-    setupFormInteractionTracking(stage) {
-        const forms = document.querySelectorAll('form');
-        let formTracked = false;
+    setupInputTriggerTracking(trigger, stage) {
+        const elements = document.querySelectorAll(trigger.selector);
+        let inputTracked = false;
         
-        forms.forEach(form => {
-            form.addEventListener('input', () => {
-                if (!formTracked) {
-                    formTracked = true;
-                    this.trackFunnelStage(stage.id, 'form_interaction', {
-                        form_id: form.id,
-                        form_fields: form.querySelectorAll('input, select, textarea').length
+        elements.forEach(element => {
+            element.addEventListener('input', () => {
+                if (!inputTracked) {
+                    inputTracked = true;
+                    this.trackFunnelStage(stage.id, trigger.id, {
+                        element_id: element.id,
+                        form_fields: element.querySelectorAll('input, select, textarea').length
                     });
                 }
             });
         });
     }
 
-    setupEmailSubmitTracking(stage) {
-        // This will be triggered by the micro-conversions system
-        document.addEventListener('email_captured', (event) => {
-            this.trackFunnelStage(stage.id, 'email_submit', {
-                email: event.detail.email,
-                source: event.detail.source
+    setupDomEventTriggerTracking(trigger, stage) {
+        // e.g. email_captured from the micro-conversions system
+        document.addEventListener(trigger.event, (event) => {
+            this.trackFunnelStage(stage.id, trigger.id, {
+                source: event.detail?.source
             });
         });
     }
@@ -444,17 +365,16 @@ export class AnalyticsTrackingSystem {
         
         // Track the event
         this.trackEvent('funnel_stage_completed', {
+            funnel_id: this.conversionFunnel.id,
             stage_id: stageId,
             stage_name: stage.name,
             trigger: trigger,
             time_to_stage: timeToStage,
-            session_id: this.sessionData.sessionId,
-            user_id: this.userIdentity.userId,
             ...additionalData
         });
 
-        // Check if this completes the conversion
-        if (stageId === 'conversion') {
+        // The last stage is the conversion
+        if (stage === this.conversionFunnel.stages[this.conversionFunnel.stages.length - 1]) {
             this.conversionFunnel.timeToConvert = timeToStage;
             this.trackConversionComplete(additionalData);
         }
@@ -492,8 +412,8 @@ export class AnalyticsTrackingSystem {
             const clickData = {
                 element_tag: element.tagName.toLowerCase(),
                 element_id: element.id,
-                element_class: element.className,
-                element_text: element.textContent.trim().substring(0, 100),
+                element_class: element.getAttribute('class') || '',
+                element_text: this.bus.elementText(element, 100),
                 element_href: element.href || null,
                 click_position: {
                     x: event.clientX,
@@ -505,11 +425,6 @@ export class AnalyticsTrackingSystem {
             
             this.trackEvent('click', clickData);
             this.addToUserJourney('click', clickData);
-            
-            // Track for heat mapping
-            if (this.options.enableHeatMapping) {
-                this.addHeatMapPoint(event.clientX, event.clientY, 'click');
-            }
         });
     }
 
@@ -598,7 +513,7 @@ export class AnalyticsTrackingSystem {
                             element_tag: element.tagName.toLowerCase(),
                             element_id: element.id,
                             element_class: element.className,
-                            element_text: element.textContent.trim().substring(0, 50),
+                            element_text: this.bus.elementText(element, 50),
                             hover_duration: hoverDuration,
                             element_position: this.getElementPosition(element)
                         });
@@ -679,12 +594,11 @@ export class AnalyticsTrackingSystem {
                 session_duration: Date.now() - this.sessionData.startTime,
                 max_scroll_depth: this.getScrollDepth(),
                 funnel_stage: this.conversionFunnel.currentStage,
-                conversion_completed: this.conversionFunnel.stages
-                    .find(s => s.id === 'conversion')?.completed || false
+                conversion_completed: this.conversionFunnel.stages[this.conversionFunnel.stages.length - 1]?.completed || false
             });
             
             // Flush remaining events
-            this.flushEventQueue(true);
+            this.flushData({ beacon: true });
         });
     }
 
@@ -781,7 +695,7 @@ export class AnalyticsTrackingSystem {
     }
 
     trackPerformanceMetric(name, metric) {
-        this.trackEvent('web_vital', {
+        this.trackEvent('web_vitals', {
             metric_name: name,
             metric_value: metric.value,
             metric_rating: metric.rating,
@@ -791,6 +705,8 @@ export class AnalyticsTrackingSystem {
 
     /**
      * HEAT MAPPING
+     * Points are anchored to the element and section under the pointer (see analytics-heatmap.js),
+     * so the overlay can redraw them on any screen size
      */
     setupHeatMapping() {
         if (!this.options.enableHeatMapping) return;
@@ -799,35 +715,61 @@ export class AnalyticsTrackingSystem {
         
         // Track clicks for heat map
         document.addEventListener('click', (event) => {
-            this.addHeatMapPoint(event.clientX, event.clientY, 'click');
+            this.addHeatMapPoint('click', event.target, event.clientX, event.clientY);
         });
         
         // Track mouse movement for attention mapping
         let mouseMoveThrottled = this.throttle((event) => {
-            this.addHeatMapPoint(event.clientX, event.clientY, 'hover');
+            this.addHeatMapPoint('hover', event.target, event.clientX, event.clientY);
         }, 1000);
         
         document.addEventListener('mousemove', mouseMoveThrottled);
         
-        // Track scroll positions
+        // Track how far down the page visitors get
         window.addEventListener('scroll', this.throttle(() => {
-            const scrollPercent = this.getScrollDepth();
-            this.addHeatMapPoint(window.innerWidth / 2, scrollPercent * window.innerHeight / 100, 'scroll');
+            this.addScrollHeatMapPoint();
         }, 500));
     }
 
-    addHeatMapPoint(x, y, type) {
-        this.heatMapData.push({
+    addHeatMapPoint(type, target, x, y) {
+        const element = target?.closest?.(HEATMAP_ANCHORS) || target;
+        if (!element?.getBoundingClientRect) return;
+        
+        const rect = element.getBoundingClientRect();
+        this.pushHeatMapPoint({
+            type: type,
             x: x,
             y: y,
-            type: type,
-            timestamp: Date.now(),
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight
-            },
-            url: window.location.href
+            selector: this.getHeatmapSelector(element),
+            section: this.getHeatmapSection(element),
+            rx: this.heatmapFraction(x - rect.left, rect.width),
+            ry: this.heatmapFraction(y - rect.top, rect.height),
+            timestamp: Date.now()
         });
+    }
+
+    addScrollHeatMapPoint() {
+        // The section at the bottom edge of the viewport is the furthest one seen
+        const x = window.innerWidth / 2;
+        const y = window.innerHeight - 1;
+        const element = document.elementFromPoint?.(x, y);
+        if (!element) return;
+        
+        const sectionElement = element.closest(HEATMAP_SECTIONS) || document.body;
+        const rect = sectionElement.getBoundingClientRect();
+        this.pushHeatMapPoint({
+            type: 'scroll',
+            x: x,
+            y: y,
+            section: this.getHeatmapSection(element),
+            ry: this.heatmapFraction(y - rect.top, rect.height),
+            depth: this.getScrollDepth(),
+            timestamp: Date.now()
+        });
+    }
+
+    pushHeatMapPoint(point) {
+        this.heatMapData.push(point);
         
         // Keep only recent heat map data (last 1000 points)
         if (this.heatMapData.length > 1000) {
@@ -835,74 +777,63 @@ export class AnalyticsTrackingSystem {
         }
     }
 
+    heatmapFraction(offset, size) {
+        if (!(size > 0)) return 0.5;
+        return Math.round(Math.min(1, Math.max(0, offset / size)) * 1000) / 1000;
+    }
+
+    getHeatmapSelector(element) {
+        // Stable anchors first: an id or a data-heatmap name ends the path
+        const parts = [];
+        let current = element;
+        while (current && current.nodeType === 1 && parts.length < 6) {
+            const tag = current.tagName.toLowerCase();
+            if (tag === 'body' || tag === 'html') {
+                parts.unshift(tag);
+                break;
+            }
+            if (current.id) {
+                parts.unshift(`#${window.CSS?.escape ? CSS.escape(current.id) : current.id}`);
+                break;
+            }
+            if (current.dataset?.heatmap) {
+                parts.unshift(`[data-heatmap="${current.dataset.heatmap.replace(/"/g, '\\"')}"]`);
+                break;
+            }
+            
+            let index = 1;
+            for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                if (sibling.tagName === current.tagName) index++;
+            }
+            parts.unshift(`${tag}:nth-of-type(${index})`);
+            current = current.parentElement;
+        }
+        return parts.join(' > ');
+    }
+
+    getHeatmapSection(element) {
+        const section = element?.closest?.(HEATMAP_SECTIONS);
+        return section ? this.getHeatmapSelector(section) : 'body';
+    }
+
     /**
      * EVENT TRACKING AND BATCHING
      */
     trackEvent(eventName, eventData = {}) {
-        const event = {
-            event: eventName,
-            timestamp: Date.now(),
-            session_id: this.sessionData.sessionId,
-            user_id: this.userIdentity.userId,
-            url: window.location.href,
-            referrer: document.referrer,
-            user_agent: navigator.userAgent,
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight
-            },
+        // The bus checks consent and adds the session, user and page to every event
+        const event = this.bus.publish(eventName, {
+            funnel_stage: this.conversionFunnel.currentStage,
             ...eventData
-        };
-        
-        // Add to event queue
-        this.eventQueue.push(event);
-        
-        // Send to all configured platforms
-        this.sendToAllPlatforms(eventName, event);
+        }, { tracker: 'tracking-system' });
+        if (!event) return null;
         
         // Add to user journey
         this.addToUserJourney(eventName, eventData);
         
-        // Check if queue needs flushing
-        if (this.eventQueue.length >= this.options.batchSize) {
-            this.flushEventQueue();
-        }
-        
         if (this.options.debug) {
             this.log(`📊 Event tracked: ${eventName}`, eventData);
         }
-    }
-
-    sendToAllPlatforms(eventName, eventData) {
-        // Google Analytics
-        if (window.gtag) {
-            gtag('event', eventName, {
-                event_category: 'user_behavior',
-                event_label: eventData.label || eventName,
-                value: eventData.value || 1,
-                custom_parameter_1: eventData.conversion_stage || this.conversionFunnel.currentStage,
-                custom_parameter_2: eventData.lead_score || 0,
-                custom_parameter_3: eventData.experiment_variant || 'control'
-            });
-        }
-        
-        // Mixpanel
-        if (window.mixpanel && window.mixpanel.track) {
-            mixpanel.track(eventName, {
-                ...eventData,
-                session_id: this.sessionData.sessionId,
-                user_id: this.userIdentity.userId,
-                funnel_stage: this.conversionFunnel.currentStage
-            });
-        }
-        
-        // Custom endpoint
-        if (this.customTracker.enabled) {
-            this.customTracker.queue.push({
-                event: eventName,
-                data: eventData
-            });
-        }
+        return event;
     }
 
     addToUserJourney(eventName, eventData) {
@@ -924,65 +855,28 @@ export class AnalyticsTrackingSystem {
     setupDataFlush() {
         // Periodic flush
         setInterval(() => {
-            this.flushEventQueue();
+            this.flushData();
         }, this.options.flushInterval);
         
         // Flush on page visibility change
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'hidden') {
-                this.flushEventQueue(true);
+                this.flushData({ beacon: true });
             }
         });
     }
 
-    flushEventQueue(force = false) {
-        if (this.eventQueue.length === 0) return;
-        
-        if (!force && this.eventQueue.length < this.options.batchSize) return;
-        
-        // Send custom events
-        if (this.customTracker.enabled && this.customTracker.queue.length > 0) {
-            this.sendToCustomEndpoint(this.customTracker.queue);
-            this.customTracker.queue = [];
-        }
-        
+    flushData(options = {}) {
         // Send heat map data
         if (this.options.enableHeatMapping && this.heatMapData.length > 0) {
             this.sendHeatMapData();
         }
         
-        // Clear the queue
-        const flushedEvents = this.eventQueue.splice(0, this.eventQueue.length);
-        
-        if (this.options.debug) {
-            this.log(`📤 Flushed ${flushedEvents.length} events`);
-        }
-    }
-
-    sendToCustomEndpoint(data) {
-        if (!this.customTracker.enabled) return;
-        
-        fetch(this.customTracker.endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                events: data,
-                session: this.sessionData,
-                user: this.userIdentity,
-                funnel: this.conversionFunnel,
-                timestamp: Date.now()
-            })
-        }).catch(error => {
-            if (this.options.debug) {
-                console.error('Failed to send analytics data:', error);
-            }
-        });
+        return this.bus.flush(options);
     }
 
     sendHeatMapData() {
-        if (!this.options.enableHeatMapping) return;
+        if (!this.options.enableHeatMapping || !window.FacePayConsent?.has('analytics')) return;
         
         const heatMapPayload = {
             url: window.location.href,
@@ -994,7 +888,7 @@ export class AnalyticsTrackingSystem {
             timestamp: Date.now()
         };
         
-        fetch(`${this.customTracker.endpoint}/heatmap`, {
+        fetch(`${this.options.customEndpoint}/heatmap`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1022,8 +916,10 @@ export class AnalyticsTrackingSystem {
     }
 
     sendRealTimeUpdate() {
+        if (!window.FacePayConsent?.has('analytics')) return;
+
         const update = {
-            session_id: this.sessionData.sessionId,
+            session_id: this.userIdentity.sessionId,
             user_id: this.userIdentity.userId,
             current_url: window.location.href,
             funnel_stage: this.conversionFunnel.currentStage,
@@ -1034,8 +930,8 @@ export class AnalyticsTrackingSystem {
             timestamp: Date.now()
         };
         
-        if (this.customTracker.enabled) {
-            fetch(`${this.customTracker.endpoint}/realtime`, {
+        if (this.options.customEndpoint) {
+            fetch(`${this.options.customEndpoint}/realtime`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1067,9 +963,6 @@ export class AnalyticsTrackingSystem {
         };
         
         this.trackEvent('page_load', loadData);
-        
-        // Track funnel stage
-        this.trackFunnelStage('awareness', 'page_load');
     }
 
     /**
@@ -1077,7 +970,6 @@ export class AnalyticsTrackingSystem {
      */
     initializeSession() {
         return {
-            sessionId: 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             startTime: Date.now(),
             lastActivity: Date.now(),
             scrollMilestones: {
@@ -1091,21 +983,6 @@ export class AnalyticsTrackingSystem {
         };
     }
 
-    initializeUserIdentity() {
-        let userId = localStorage.getItem('analytics_user_id');
-        if (!userId) {
-            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('analytics_user_id', userId);
-        }
-        
-        return {
-            userId: userId,
-            isReturning: !!localStorage.getItem('analytics_returning_user'),
-            firstVisit: localStorage.getItem('analytics_first_visit') || Date.now(),
-            visitCount: parseInt(localStorage.getItem('analytics_visit_count') || '1', 10)
-        };
-    }
-
     initializeAttribution() {
         const urlParams = new URLSearchParams(window.location.search);
         
@@ -1217,22 +1094,8 @@ export class AnalyticsTrackingSystem {
 
     // PUBLIC API
     identifyUser(userId, traits = {}) {
-        this.userIdentity.userId = userId;
-        this.userIdentity.traits = traits;
-        
-        // Update all platforms
-        if (window.gtag) {
-            gtag('config', this.options.googleAnalyticsId, {
-                user_id: userId
-            });
-        }
-        
-        if (window.mixpanel) {
-            mixpanel.identify(userId);
-            mixpanel.people.set(traits);
-        }
-        
-        this.trackEvent('user_identified', { user_id: userId, traits });
+        // Updates every destination and publishes user_identify
+        return this.bus.identify(userId, traits);
     }
 
     trackCustomEvent(eventName, eventData = {}) {
@@ -1252,7 +1115,7 @@ export class AnalyticsTrackingSystem {
     }
 
     forceFlush() {
-        this.flushEventQueue(true);
+        return this.flushData();
     }
 }
 
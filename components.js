@@ -18,6 +18,7 @@
 class ComponentLibrary {
   constructor() {
     this.toasts = new Map();
+    this.banners = new Map();
     this.modals = new Map();
     this.tooltips = new Map();
     this.dropdowns = new Map();
@@ -259,6 +260,86 @@ class ComponentLibrary {
     return toast;
   }
 
+  // ==========================================================================
+  // BANNER SYSTEM
+  // ==========================================================================
+
+  createBanner(options = {}) {
+    const {
+      id = 'banner-' + Date.now(),
+      title = '',
+      message = '',
+      label = title || 'Notice',
+      position = 'bottom',
+      actions = [],
+      animation = true,
+      onAction = null,
+      onShow = null,
+      onHide = null
+    } = options;
+
+    // actions: [{ id, label, variant }] rendered as buttons; clicks call onAction(actionId, banner)
+    const actionsHTML = actions.map(action => `
+          <button class="btn btn-sm btn-${action.variant || 'secondary'}" type="button" data-banner-action="${action.id}">${action.label}</button>
+        `).join('');
+
+    const bannerHTML = `
+      <div class="banner banner-${position} ${animation ? 'animate' : ''}" id="${id}" role="region" aria-label="${label}" aria-live="polite" hidden>
+        <div class="banner-content">
+          ${title ? `<h2 class="banner-title">${title}</h2>` : ''}
+          <div class="banner-description">${message}</div>
+        </div>
+        ${actions.length ? `<div class="banner-actions">${actionsHTML}</div>` : ''}
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', bannerHTML);
+    const bannerElement = document.getElementById(id);
+
+    const banner = {
+      id,
+      element: bannerElement,
+      options,
+      isVisible: false,
+
+      show() {
+        this.isVisible = true;
+        this.element.hidden = false;
+        requestAnimationFrame(() => this.element.classList.add('show'));
+
+        if (onShow) onShow(this);
+        this.element.dispatchEvent(new CustomEvent('banner:show', { detail: this }));
+      },
+
+      hide() {
+        if (!this.isVisible) return;
+        this.isVisible = false;
+        this.element.classList.remove('show');
+
+        setTimeout(() => {
+          if (this.element.parentNode) {
+            this.element.remove();
+          }
+        }, animation ? 300 : 0);
+
+        if (onHide) onHide(this);
+        this.element.dispatchEvent(new CustomEvent('banner:hide', { detail: this }));
+      }
+    };
+
+    bannerElement.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-banner-action]');
+      if (!button) return;
+
+      const action = button.getAttribute('data-banner-action');
+      if (onAction) onAction(action, banner);
+      bannerElement.dispatchEvent(new CustomEvent('banner:action', { detail: { action, banner } }));
+    });
+
+    this.banners.set(id, banner);
+    return banner;
+  }
+
   // ==========================================================================
   // TOOLTIP SYSTEM
   // ==========================================================================
@@ -880,6 +961,7 @@ class ComponentLibrary {
     const collections = {
       modal: this.modals,
       toast: this.toasts,
+      banner: this.banners,
       tooltip: this.tooltips,
       dropdown: this.dropdowns,
       tab: this.tabs,
@@ -900,6 +982,7 @@ class ComponentLibrary {
         component.close();
         break;
       case 'toast':
+      case 'banner':
         component.hide();
         break;
       case 'dropdown':
@@ -910,6 +993,7 @@ class ComponentLibrary {
     const collections = {
       modal: this.modals,
       toast: this.toasts,
+      banner: this.banners,
       tooltip: this.tooltips,
       dropdown: this.dropdowns,
       tab: this.tabs,
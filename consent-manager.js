@@ -0,0 +1,472 @@
+/**
+ * FACEPAY CONSENT MANAGER
+ * Nothing that tracks visitors or stores identifiers runs until the visitor allows it
+ *
+ * Categories:
+ * - necessary: always on (this decision, security, the site working at all)
+ * - analytics: the analytics event bus and its trackers (FacePayAnalytics, AnalyticsTrackingSystem, web-vitals.js),
+ *              sending to GA4, Mixpanel and /api/analytics, and the A/B testing visitor id and saved assignments
+ * - marketing: ad storage and personalisation (Google Consent Mode ad_* signals)
+ *
+ * Load it synchronously in <head>, before gtag or any tracker: it sets the Google Consent Mode v2
+ * defaults (everything but necessary denied) that every later gtag() call is subject to.
+ * The banner and preferences dialog are built with ComponentLibrary (components.js, components.css).
+ *
+ * API for other modules — window.FacePayConsent:
+ *   has(category)                 true once the visitor allowed the category; false before they decide
+ *   whenGranted(category, start)  calls start() now, or once the category is granted; returns a cancel function
+ *   onChange(listener)            listener(choices, previous) after every decision; returns an unsubscribe function
+ *   getChoices()                  { version, necessary, analytics, marketing, decidedAt } or null when undecided
+ *   acceptAll(), rejectAll(), update({ analytics, marketing })
+ *   openPreferences()             the preferences dialog; any [data-consent-preferences] element opens it too
+ *   reset()                       forgets the decision and asks again
+ * A 'facepay:consent' event (detail: choices) is dispatched on window after every decision, and the
+ * facepay_consent cookie carries it to servers (CONSENT_COOKIE), so they set tracking cookies only with consent.
+ * Withdrawing a category deletes the identifiers its trackers stored (TRACKING_STORAGE).
+ * The analytics offline queue (IndexedDB) is emptied by the event bus when it stops.
+ */
+
+// Bump when categories or what they cover change; older decisions are asked again
+const CONSENT_VERSION = 1;
+const CONSENT_STORAGE_KEY = 'facepay_consent';
+// The same decision mirrored in a cookie for servers (ab-testing-server.js), in URL query form: v=1&analytics=1&marketing=0
+const CONSENT_COOKIE = 'facepay_consent';
+// Decisions are asked again after a year
+const CONSENT_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+// Identifiers written by the trackers in each category, removed when that consent is withdrawn
+const TRACKING_STORAGE = {
+    analytics: {
+        localStorage: ['facepay_user_id', 'facepay_visits', 'analytics_user_id', 'analytics_returning_user', 'analytics_first_visit', 'analytics_visit_count', 'ab_visitor_id', 'ab_testing_data'],
+        localStoragePrefixes: ['mp_'],
+        cookies: ['_ga', '_gid', 'ab_visitor_id', 'ab_assignments'],
+        cookiePrefixes: ['_ga_', 'mp_']
+    },
+    marketing: {
+        localStorage: [],
+        localStoragePrefixes: [],
+        cookies: ['_gcl_au', '_gcl_aw', '_fbp'],
+        cookiePrefixes: []
+    }
+};
+
+const CONSENT_COPY = {
+    label: 'Preferencias de privacidad',
+    title: 'Tu privacidad, tus reglas',
+    message: 'Usamos cookies necesarias para que FacePay funcione. Con tu permiso también medimos el uso del sitio para mejorarlo y medir nuestras campañas. Puedes cambiar tu decisión cuando quieras. <a href="privacy.html">Aviso de privacidad</a>',
+    acceptAll: 'Aceptar todo',
+    rejectAll: 'Rechazar todo',
+    customize: 'Personalizar',
+    save: 'Guardar preferencias',
+    preferencesTitle: 'Preferencias de privacidad',
+    categories: {
+        necessary: {
+            title: 'Necesarias',
+            description: 'Recuerdan esta decisión y mantienen el sitio seguro. Siempre activas.'
+        },
+        analytics: {
+            title: 'Analítica',
+            description: 'Google Analytics, Mixpanel y nuestras propias métricas de uso y rendimiento, con un identificador anónimo.'
+        },
+        marketing: {
+            title: 'Marketing',
+            description: 'Miden y personalizan nuestros anuncios en otras plataformas.'
+        }
+    }
+};
+
+/**
+ * Google Consent Mode v2 signals for a decision (null = undecided, everything optional denied)
+ */
+function consentModeSignals(choices) {
+    const analytics = choices?.analytics ? 'granted' : 'denied';
+    const marketing = choices?.marketing ? 'granted' : 'denied';
+
+    return {
+        analytics_storage: analytics,
+        ad_storage: marketing,
+        ad_user_data: marketing,
+        ad_personalization: marketing,
+        functionality_storage: 'granted',
+        security_storage: 'granted'
+    };
+}
+
+class ConsentManager {
+    constructor(options = {}) {
+        this.options = {
+            storage: options.storage || (typeof localStorage !== 'undefined' ? localStorage : null),
+            maxAge: options.maxAge || CONSENT_MAX_AGE,
+            autoShow: options.autoShow !== false,
+            copy: { ...CONSENT_COPY, ...options.copy },
+            now: options.now || (() => Date.now())
+        };
+
+        this.listeners = new Set();
+        this.waiting = [];
+        this.banner = null;
+        this.preferences = null;
+        this.choices = this.loadChoices();
+
+        this.init();
+    }
+
+    init() {
+        this.setConsentModeDefaults();
+        // Also brings the cookie in line with decisions stored before it existed, or since expired
+        this.writeConsentCookie();
+
+        if (typeof document === 'undefined' || typeof document.addEventListener !== 'function') return;
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target?.closest?.('[data-consent-preferences]');
+            if (!trigger) return;
+            e.preventDefault();
+            this.openPreferences();
+        });
+
+        if (this.options.autoShow && !this.choices) {
+            // components.js creates ComponentLibrary on DOMContentLoaded too; wait until every listener has run
+            const show = () => setTimeout(() => {
+                if (!this.choices) this.showBanner();
+            }, 0);
+
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', show);
+            } else {
+                show();
+            }
+        }
+    }
+
+    // ==========================================================================
+    // DECISIONS
+    // ==========================================================================
+
+    has(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.choices && this.choices[category]);
+    }
+
+    getChoices() {
+        return this.choices ? { ...this.choices } : null;
+    }
+
+    whenGranted(category, start) {
+        if (this.has(category)) {
+            start();
+            return () => {};
+        }
+
+        const entry = { category, start };
+        this.waiting.push(entry);
+        return () => {
+            this.waiting = this.waiting.filter(waiting => waiting !== entry);
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    acceptAll() {
+        return this.update({ analytics: true, marketing: true });
+    }
+
+    rejectAll() {
+        return this.update({ analytics: false, marketing: false });
+    }
+
+    update(choices = {}) {
+        const previous = this.choices;
+        this.choices = {
+            version: CONSENT_VERSION,
+            necessary: true,
+            analytics: Boolean(choices.analytics),
+            marketing: Boolean(choices.marketing),
+            decidedAt: this.options.now()
+        };
+
+        this.saveChoices();
+        this.updateConsentMode();
+
+        CONSENT_CATEGORIES
+            .filter(category => previous?.[category] && !this.choices[category])
+            .forEach(category => this.clearTrackingStorage(category));
+
+        this.hideBanner();
+        this.notify(previous);
+        this.startWaiting();
+        return this.getChoices();
+    }
+
+    reset() {
+        const previous = this.choices;
+        this.choices = null;
+        try {
+            this.options.storage?.removeItem(CONSENT_STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Could not clear the stored consent decision:', error);
+        }
+
+        this.writeConsentCookie();
+        this.updateConsentMode();
+        CONSENT_CATEGORIES
+            .filter(category => previous?.[category] && category !== 'necessary')
+            .forEach(category => this.clearTrackingStorage(category));
+
+        this.notify(previous);
+        this.showBanner();
+    }
+
+    notify(previous) {
+        const choices = this.getChoices();
+        this.listeners.forEach(listener => {
+            try {
+                listener(choices, previous);
+            } catch (error) {
+                console.error('❌ Consent change listener failed:', error);
+            }
+        });
+
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('facepay:consent', { detail: choices }));
+        }
+    }
+
+    startWaiting() {
+        const ready = this.waiting.filter(entry => this.has(entry.category));
+        this.waiting = this.waiting.filter(entry => !ready.includes(entry));
+
+        ready.forEach(entry => {
+            try {
+                entry.start();
+            } catch (error) {
+                console.error(`❌ Failed to start a module after ${entry.category} consent:`, error);
+            }
+        });
+    }
+
+    // ==========================================================================
+    // PERSISTENCE
+    // ==========================================================================
+
+    loadChoices() {
+        let stored;
+        try {
+            stored = JSON.parse(this.options.storage?.getItem(CONSENT_STORAGE_KEY) || 'null');
+        } catch {
+            return null;
+        }
+
+        if (!stored || stored.version !== CONSENT_VERSION) return null;
+        if (!Number.isFinite(stored.decidedAt) || this.options.now() - stored.decidedAt > this.options.maxAge) return null;
+
+        return {
+            version: CONSENT_VERSION,
+            necessary: true,
+            analytics: stored.analytics === true,
+            marketing: stored.marketing === true,
+            decidedAt: stored.decidedAt
+        };
+    }
+
+    saveChoices() {
+        try {
+            this.options.storage?.setItem(CONSENT_STORAGE_KEY, JSON.stringify(this.choices));
+        } catch (error) {
+            // Private browsing can refuse storage; the decision still holds for this page view
+            console.warn('⚠️ Could not store the consent decision:', error);
+        }
+        this.writeConsentCookie();
+    }
+
+    writeConsentCookie() {
+        if (typeof document === 'undefined' || typeof document.cookie !== 'string') return;
+
+        if (!this.choices) {
+            if (document.cookie.split(';').some(cookie => cookie.trim().startsWith(`${CONSENT_COOKIE}=`))) {
+                document.cookie = `${CONSENT_COOKIE}=; Max-Age=0; path=/`;
+            }
+            return;
+        }
+
+        const value = `v=${CONSENT_VERSION}&analytics=${this.choices.analytics ? 1 : 0}&marketing=${this.choices.marketing ? 1 : 0}`;
+        // Expires with the decision, when the banner asks again
+        const maxAge = Math.max(0, Math.round((this.choices.decidedAt + this.options.maxAge - this.options.now()) / 1000));
+        document.cookie = `${CONSENT_COOKIE}=${encodeURIComponent(value)}; Max-Age=${maxAge}; path=/; SameSite=Lax`;
+    }
+
+    clearTrackingStorage(category) {
+        const targets = TRACKING_STORAGE[category];
+        if (!targets) return;
+
+        const storage = this.options.storage;
+        if (storage) {
+            try {
+                const keys = [];
+                for (let i = 0; i < storage.length; i++) keys.push(storage.key(i));
+                keys
+                    .filter(key => targets.localStorage.includes(key) || targets.localStoragePrefixes.some(prefix => key?.startsWith(prefix)))
+                    .forEach(key => storage.removeItem(key));
+            } catch (error) {
+                console.warn(`⚠️ Could not clear ${category} storage:`, error);
+            }
+        }
+
+        if (typeof document === 'undefined' || typeof document.cookie !== 'string') return;
+
+        const names = document.cookie.split(';')
+            .map(cookie => cookie.split('=')[0].trim())
+            .filter(name => targets.cookies.includes(name) || targets.cookiePrefixes.some(prefix => name.startsWith(prefix)));
+
+        // GA and ad cookies live on the registrable domain, so expire them on every parent domain as well
+        const hostname = typeof location !== 'undefined' ? location.hostname : '';
+        const parts = hostname.split('.');
+        const domains = [''];
+        for (let i = 0; i < parts.length - 1; i++) domains.push(`; domain=.${parts.slice(i).join('.')}`);
+
+        names.forEach(name => domains.forEach(domain => {
+            document.cookie = `${name}=; Max-Age=0; path=/${domain}`;
+        }));
+    }
+
+    // ==========================================================================
+    // GOOGLE CONSENT MODE V2
+    // ==========================================================================
+
+    gtag(...args) {
+        if (typeof window === 'undefined') return;
+        window.dataLayer = window.dataLayer || [];
+        if (typeof window.gtag !== 'function') {
+            window.gtag = function gtag() { window.dataLayer.push(arguments); };
+        }
+        window.gtag(...args);
+    }
+
+    setConsentModeDefaults() {
+        this.gtag('consent', 'default', { ...consentModeSignals(null), wait_for_update: 500 });
+        this.gtag('set', 'ads_data_redaction', true);
+        if (this.choices) this.updateConsentMode();
+    }
+
+    updateConsentMode() {
+        this.gtag('consent', 'update', consentModeSignals(this.choices));
+        this.gtag('set', 'ads_data_redaction', !this.has('marketing'));
+    }
+
+    // ==========================================================================
+    // BANNER AND PREFERENCES (ComponentLibrary)
+    // ==========================================================================
+
+    componentLibrary() {
+        const library = typeof window !== 'undefined' ? window.ComponentLibrary : null;
+        if (!library || typeof library.createBanner !== 'function') {
+            console.warn('⚠️ The consent banner needs components.js (ComponentLibrary); trackers stay off until FacePayConsent records a decision');
+            return null;
+        }
+        return library;
+    }
+
+    showBanner() {
+        if (this.banner?.isVisible) return this.banner;
+
+        const library = this.componentLibrary();
+        if (!library) return null;
+
+        const copy = this.options.copy;
+        this.banner = library.createBanner({
+            id: 'consent-banner',
+            label: copy.label,
+            title: copy.title,
+            message: copy.message,
+            actions: [
+                { id: 'customize', label: copy.customize, variant: 'ghost' },
+                { id: 'reject', label: copy.rejectAll, variant: 'secondary' },
+                { id: 'accept', label: copy.acceptAll, variant: 'primary' }
+            ],
+            onAction: (action) => {
+                if (action === 'accept') this.acceptAll();
+                if (action === 'reject') this.rejectAll();
+                if (action === 'customize') this.openPreferences();
+            }
+        });
+        this.banner.show();
+        return this.banner;
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+        this.banner.hide();
+        this.banner = null;
+    }
+
+    openPreferences() {
+        const library = this.componentLibrary();
+        if (!library) return null;
+
+        const copy = this.options.copy;
+        const rows = CONSENT_CATEGORIES.map(category => {
+            const text = copy.categories[category];
+            const checked = category === 'necessary' || this.has(category);
+            return `
+                <div class="form-group">
+                    <label class="form-label" for="consent-${category}">${text.title}</label>
+                    <p class="form-help-text">${text.description}</p>
+                    <label class="form-toggle">
+                        <input type="checkbox" id="consent-${category}" data-consent-category="${category}" ${checked ? 'checked' : ''} ${category === 'necessary' ? 'disabled' : ''}>
+                        <span class="form-toggle-slider"></span>
+                    </label>
+                </div>
+            `;
+        }).join('');
+
+        this.preferences = library.createModal({
+            id: 'consent-preferences',
+            title: copy.preferencesTitle,
+            content: rows,
+            size: 'md',
+            buttons: `
+                <button class="btn btn-md btn-secondary" type="button" data-consent-action="reject">${copy.rejectAll}</button>
+                <button class="btn btn-md btn-secondary" type="button" data-consent-action="save">${copy.save}</button>
+                <button class="btn btn-md btn-primary" type="button" data-consent-action="accept">${copy.acceptAll}</button>
+            `
+        });
+
+        this.preferences.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (!button) return;
+
+            const action = button.getAttribute('data-consent-action');
+            if (action === 'accept') this.acceptAll();
+            if (action === 'reject') this.rejectAll();
+            if (action === 'save') {
+                const selected = {};
+                this.preferences.element.querySelectorAll('[data-consent-category]').forEach(input => {
+                    selected[input.getAttribute('data-consent-category')] = input.checked;
+                });
+                this.update(selected);
+            }
+            this.preferences.close();
+        });
+
+        this.preferences.open();
+        return this.preferences;
+    }
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+if (typeof window !== 'undefined' && !window.FacePayConsent) {
+    window.FacePayConsent = new ConsentManager();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsentManager, consentModeSignals, CONSENT_CATEGORIES, CONSENT_COOKIE, CONSENT_STORAGE_KEY, CONSENT_VERSION, TRACKING_STORAGE };
+}
@@ -351,12 +351,8 @@ class ConversionPsychologyMaster {
         }
         
         if (this.abTesting) {
-            this.abTesting.trackExperimentEvent(
-                'email_conversion', 
-                data.variant || 'unknown', 
-                'conversion', 
-                data
-            );
+            // Secondary metric for every experiment this visitor is in
+            this.abTesting.trackMetric('email_capture', 1, data.userId || null);
         }
         
         // Trigger next phase optimization
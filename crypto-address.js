@@ -0,0 +1,203 @@
+/**
+ * FacePay Address Utilities
+ * Keccak-256, EIP-55 checksums and StarkNet felt validation shared by the
+ * username registry, payment links and risk checks.
+ */
+
+// ==================== KECCAK-256 ====================
+
+const KECCAK_ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed by x + 5y
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+const LANE_MASK = (1n << 64n) - 1n;
+const KECCAK_RATE = 136;
+
+function rotateLane(lane, offset) {
+    if (offset === 0) return lane;
+    return ((lane << BigInt(offset)) | (lane >> BigInt(64 - offset))) & LANE_MASK;
+}
+
+function keccakPermute(state) {
+    const columns = new Array(5);
+    const rotated = new Array(25);
+
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+        // θ
+        for (let x = 0; x < 5; x++) {
+            columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const delta = columns[(x + 4) % 5] ^ rotateLane(columns[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= delta;
+            }
+        }
+
+        // ρ and π
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                rotated[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLane(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // χ
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = rotated[x + y] ^ ((~rotated[(x + 1) % 5 + y] & LANE_MASK) & rotated[(x + 2) % 5 + y]);
+            }
+        }
+
+        // ι
+        state[0] ^= roundConstant;
+    }
+}
+
+// Original Keccak padding (0x01), as used by Ethereum - not the finalized SHA3-256 (0x06)
+function keccak256(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const blockCount = Math.floor(bytes.length / KECCAK_RATE) + 1;
+    const padded = new Uint8Array(blockCount * KECCAK_RATE);
+    padded.set(bytes);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += KECCAK_RATE) {
+        for (let lane = 0; lane < KECCAK_RATE / 8; lane++) {
+            let value = 0n;
+            for (let b = 7; b >= 0; b--) {
+                value = (value << 8n) | BigInt(padded[offset + lane * 8 + b]);
+            }
+            state[lane] ^= value;
+        }
+        keccakPermute(state);
+    }
+
+    const digest = new Uint8Array(32);
+    for (let i = 0; i < 32; i++) {
+        digest[i] = Number((state[i >> 3] >> BigInt(8 * (i & 7))) & 0xffn);
+    }
+    return digest;
+}
+
+function bytesToHex(bytes) {
+    return '0x' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const clean = hex.replace(/^0x/, '');
+    return Uint8Array.from(clean.match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+// ==================== EVM ADDRESSES ====================
+
+function isEvmAddress(value) {
+    return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+function toChecksumAddress(address) {
+    if (!isEvmAddress(address)) {
+        throw createAddressError(`Not an EVM address: ${address}`);
+    }
+
+    const lower = address.slice(2).toLowerCase();
+    const hash = bytesToHex(keccak256(lower)).slice(2);
+
+    return '0x' + Array.from(lower)
+        .map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)
+        .join('');
+}
+
+// All-lowercase and all-uppercase addresses carry no checksum (EIP-55) and are accepted as-is
+function isValidChecksum(address) {
+    if (!isEvmAddress(address)) return false;
+
+    const body = address.slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+
+    return toChecksumAddress(address) === address;
+}
+
+// ==================== STARKNET ADDRESSES ====================
+
+// Contract addresses are felts below 2^251
+const STARKNET_ADDRESS_BOUND = 1n << 251n;
+
+function isStarknetAddress(value) {
+    return typeof value === 'string' &&
+        /^0x[0-9a-fA-F]{1,64}$/.test(value) &&
+        BigInt(value) > 0n &&
+        BigInt(value) < STARKNET_ADDRESS_BOUND;
+}
+
+function normalizeStarknetAddress(address) {
+    if (!isStarknetAddress(address)) {
+        throw createAddressError(`Not a StarkNet address: ${address}`);
+    }
+
+    return '0x' + BigInt(address).toString(16).padStart(64, '0');
+}
+
+// ==================== SHARED ====================
+
+function createAddressError(message) {
+    const error = new Error(message);
+    error.type = 'invalid_address';
+    return error;
+}
+
+function normalizeAddress(address, chain = 'evm') {
+    if (chain === 'starknet') {
+        return normalizeStarknetAddress(address);
+    }
+
+    if (!isValidChecksum(address)) {
+        throw createAddressError(`Address ${address} fails its EIP-55 checksum`);
+    }
+
+    return toChecksumAddress(address);
+}
+
+function isSameAddress(a, b, chain = 'evm') {
+    try {
+        return normalizeAddress(a, chain).toLowerCase() === normalizeAddress(b, chain).toLowerCase();
+    } catch (error) {
+        return false;
+    }
+}
+
+const FacePayAddress = {
+    keccak256,
+    bytesToHex,
+    hexToBytes,
+    isEvmAddress,
+    toChecksumAddress,
+    isValidChecksum,
+    isStarknetAddress,
+    normalizeStarknetAddress,
+    normalizeAddress,
+    isSameAddress,
+    createAddressError
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayAddress;
+} else if (typeof window !== 'undefined') {
+    window.FacePayAddress = FacePayAddress;
+}
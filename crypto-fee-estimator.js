@@ -0,0 +1,203 @@
+/**
+ * FacePay Fee Estimator
+ * EIP-1559 / StarkNet network fee estimation from on-chain fee history,
+ * with confidence intervals and fiat-denominated totals per transaction speed.
+ * Per-gas prices are BigInt wei; costs are converted to native units for display.
+ */
+
+const FEE_SPEEDS = {
+    // percentile: priority-fee percentile paid by recent blocks; blocks: expected wait
+    slow: { percentile: 10, blocks: 10 },
+    standard: { percentile: 50, blocks: 3 },
+    fast: { percentile: 90, blocks: 1 }
+};
+
+class FeeEstimator {
+    constructor(options = {}) {
+        this.options = {
+            provider: null,
+            priceFeed: null,
+            currency: 'USD',
+            historyBlocks: 20,
+            // Share of recent blocks whose effective fee falls inside the reported range
+            confidence: 0.8,
+            // maxFeePerGas = baseFee * headroom + priority fee (covers ~6 full blocks of base fee growth)
+            baseFeeHeadroom: 2,
+            ...options
+        };
+
+        if (!this.options.provider) {
+            throw new Error('FeeEstimator requires a chain provider');
+        }
+    }
+
+    get provider() {
+        return this.options.provider;
+    }
+
+    async estimate({ to, amount, token, value, data }) {
+        const nativeToken = this.provider.config.nativeToken;
+        token = token || nativeToken;
+
+        let gasLimit;
+        try {
+            gasLimit = await this.provider.estimateGas({ to, value, data, token });
+        } catch (error) {
+            error.type = error.type || 'gas_estimation_failed';
+            throw error;
+        }
+
+        const [history, prices] = await Promise.all([
+            this.getFeeHistory(),
+            this.getPrices(nativeToken, token)
+        ]);
+
+        const amountFiat = prices.token !== null ? Number(amount) * prices.token : null;
+        const speeds = {};
+
+        Object.entries(FEE_SPEEDS).forEach(([speed, settings], index) => {
+            speeds[speed] = this.estimateSpeed(history, index, settings, gasLimit, prices.native, amountFiat);
+        });
+
+        return {
+            feeModel: this.provider.feeModel,
+            source: history.source,
+            gasLimit,
+            baseFee: history.nextBaseFee,
+            gasPrice: speeds.standard.price,
+            estimatedCost: speeds.standard.cost,
+            nativeToken,
+            currency: this.options.currency,
+            confidence: this.options.confidence,
+            sampleSize: history.blocks.length,
+            amount: { value: Number(amount), token, fiat: amountFiat },
+            prices,
+            speeds,
+            updatedAt: Date.now()
+        };
+    }
+
+    async getFeeHistory() {
+        const percentiles = Object.values(FEE_SPEEDS).map(speed => speed.percentile);
+
+        try {
+            if (this.provider.feeModel === 'legacy') {
+                throw new Error('Legacy fee model has no fee history');
+            }
+
+            const history = await this.provider.getFeeHistory(this.options.historyBlocks, percentiles);
+            const blocks = history.reward.map((rewards, i) => ({
+                baseFee: BigInt(history.baseFeePerGas[i]),
+                rewards: rewards.map(BigInt),
+                // Empty blocks report zero rewards and would drag the tip percentiles down
+                empty: history.gasUsedRatio?.[i] === 0
+            }));
+
+            return {
+                source: 'fee-history',
+                nextBaseFee: BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]),
+                blocks: blocks.filter(block => !block.empty)
+            };
+        } catch (error) {
+            // Legacy chains: a single gas price with no tip market or history
+            const gasPrice = BigInt(await this.provider.getGasPrice());
+            return {
+                source: 'gas-price',
+                nextBaseFee: gasPrice,
+                blocks: [{ baseFee: gasPrice, rewards: percentiles.map(() => 0n) }]
+            };
+        }
+    }
+
+    estimateSpeed(history, index, settings, gasLimit, nativePrice, amountFiat) {
+        const { nextBaseFee, blocks } = history;
+        const tips = blocks.map(block => block.rewards[index] || 0n);
+        const priorityFee = BigInt(quantile(tips, 0.5));
+        const price = nextBaseFee + priorityFee;
+
+        // Effective per-gas fee each recent block would have charged at this percentile
+        const samples = blocks.map((block, i) => block.baseFee + tips[i]);
+        const tail = (1 - this.options.confidence) / 2;
+        const low = minWei(price, BigInt(quantile(samples, tail)));
+        const high = maxWei(price, BigInt(quantile(samples, 1 - tail)));
+        // Per-mille headroom, rounded up, keeps the wei math in integers
+        const headroom = BigInt(Math.round(this.options.baseFeeHeadroom * 1000));
+        const maxFeePerGas = (nextBaseFee * headroom + 999n) / 1000n + priorityFee;
+
+        const toNative = perGas => Number(BigInt(gasLimit) * perGas) / 1e18;
+        const toFiat = nativeAmount => nativePrice !== null ? nativeAmount * nativePrice : null;
+
+        const cost = toNative(price);
+        const costRange = { low: toNative(low), high: toNative(high) };
+        const feeFiat = toFiat(cost);
+        const hasTipMarket = history.source === 'fee-history' && tips.some(tip => tip > 0);
+        const blocksToWait = hasTipMarket ? settings.blocks : FEE_SPEEDS.standard.blocks;
+
+        return {
+            price,
+            maxFeePerGas,
+            maxPriorityFeePerGas: priorityFee,
+            cost,
+            costRange,
+            maxCost: toNative(maxFeePerGas),
+            fiat: {
+                cost: feeFiat,
+                low: toFiat(costRange.low),
+                high: toFiat(costRange.high),
+                total: feeFiat !== null && amountFiat !== null ? feeFiat + amountFiat : null
+            },
+            blocks: blocksToWait,
+            time: formatWait(blocksToWait * this.provider.config.blockTime)
+        };
+    }
+
+    async getPrices(nativeToken, token) {
+        const feed = this.options.priceFeed;
+        const lookup = async symbol => {
+            if (!feed) return null;
+            try {
+                return await feed.getPrice(symbol, this.options.currency);
+            } catch (error) {
+                // Fiat values are informative only; fee estimation must not fail on them
+                return null;
+            }
+        };
+
+        const native = await lookup(nativeToken);
+        return { native, token: token === nativeToken ? native : await lookup(token) };
+    }
+}
+
+// ==================== HELPERS ====================
+
+// Works on Numbers and on BigInt wei; BigInt results are interpolated in parts per million and round down
+function quantile(values, q) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    if (typeof sorted[lower] === 'bigint') {
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * BigInt(Math.round((position - lower) * 1e6)) / 1000000n;
+    }
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const minWei = (a, b) => (a < b ? a : b);
+const maxWei = (a, b) => (a > b ? a : b);
+
+function formatWait(seconds) {
+    if (seconds < 60) return `~${Math.round(seconds)} sec`;
+    return `~${Math.round(seconds / 60)} min`;
+}
+
+const FacePayFeeEstimation = { FeeEstimator, FEE_SPEEDS, quantile };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayFeeEstimation;
+} else if (typeof window !== 'undefined') {
+    window.FacePayFeeEstimation = FacePayFeeEstimation;
+}
@@ -0,0 +1,277 @@
+/**
+ * FacePay Transaction History
+ * Searchable, paginated view over the persisted transaction store, CSV/JSON export
+ * for accounting and status re-sync through a pluggable chain-status lookup.
+ */
+
+const HistoryTransactions = (typeof window !== 'undefined' && window.FacePayTransactions) ||
+    (typeof require === 'function' ? require('./crypto-transactions.js') : null);
+
+const { TX_STATES: HISTORY_TX_STATES, TX_TRANSITIONS: HISTORY_TX_TRANSITIONS } = HistoryTransactions;
+
+// Badge shown for each lifecycle state; tones map to CSS modifiers
+const STATUS_BADGES = {
+    'draft': { label: 'Draft', tone: 'neutral' },
+    'awaiting-auth': { label: 'Awaiting Face ID', tone: 'neutral' },
+    'signed': { label: 'Sending', tone: 'pending' },
+    'broadcast': { label: 'Pending', tone: 'pending' },
+    'pending': { label: 'Pending', tone: 'pending' },
+    'confirmed': { label: 'Confirmed', tone: 'success' },
+    'failed': { label: 'Failed', tone: 'error' },
+    'replaced': { label: 'Replaced', tone: 'neutral' }
+};
+
+const CSV_COLUMNS = ['id', 'date', 'status', 'kind', 'recipient', 'to', 'from', 'amount', 'token', 'memo', 'hash', 'blockNumber'];
+
+function getStatusBadge(record) {
+    if (record.kind === 'cancel' && record.state === HISTORY_TX_STATES.CONFIRMED) {
+        return { label: 'Cancelled', tone: 'neutral' };
+    }
+    return STATUS_BADGES[record.state] || { label: record.state, tone: 'neutral' };
+}
+
+// Date-only strings ("2026-10-19", as from <input type="date">) are local days, and
+// cover the whole day when used as an upper bound
+function toTimestamp(value, endOfDay = false) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (day) {
+        const [year, month, date] = day.slice(1).map(Number);
+        return endOfDay
+            ? new Date(year, month - 1, date + 1).getTime() - 1
+            : new Date(year, month - 1, date).getTime();
+    }
+
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+// ==================== EXPORT ====================
+
+function toExportRow(record) {
+    return {
+        id: record.id,
+        date: new Date(record.createdAt).toISOString(),
+        status: getStatusBadge(record).label,
+        kind: record.kind,
+        recipient: record.recipient || '',
+        to: record.to || '',
+        from: record.from || '',
+        amount: record.amount,
+        token: record.token,
+        memo: record.memo || '',
+        hash: record.hash || '',
+        blockNumber: record.receipt?.blockNumber ?? ''
+    };
+}
+
+function escapeCsvCell(value) {
+    let text = String(value ?? '');
+    // Spreadsheets run cells starting with = + - @ as formulas, and @usernames start with @
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(records) {
+    const rows = records.map(record => {
+        const row = toExportRow(record);
+        return CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toJSON(records) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        count: records.length,
+        transactions: records.map(record => ({ ...toExportRow(record), history: record.history || [] }))
+    }, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+}
+
+// ==================== STATUS LOOKUPS ====================
+
+class StatusLookup {
+    // Resolves to { state, receipt } once the chain has settled the transaction, null while unknown
+    async getStatus(record) {
+        throw new Error(`${this.constructor.name} does not implement getStatus()`);
+    }
+}
+
+class ChainStatusLookup extends StatusLookup {
+    constructor(options = {}) {
+        super();
+        this.provider = options.provider;
+    }
+
+    async getStatus(record) {
+        const receipt = await this.provider.getTransactionReceipt(record.hash);
+        if (!receipt) return null;
+
+        return { state: receipt.status === 'failed' ? HISTORY_TX_STATES.FAILED : HISTORY_TX_STATES.CONFIRMED, receipt };
+    }
+}
+
+// Fixture statuses by hash: { '0xabc…': 'confirmed' } or { '0xabc…': { state, receipt } }
+class MockStatusLookup extends StatusLookup {
+    constructor(options = {}) {
+        super();
+        this.statuses = new Map(Object.entries(options.statuses || {}));
+        this.lookups = [];
+    }
+
+    setStatus(hash, status) {
+        this.statuses.set(hash, status);
+    }
+
+    async getStatus(record) {
+        this.lookups.push(record.hash);
+        const status = this.statuses.get(record.hash);
+        if (!status) return null;
+
+        return typeof status === 'string'
+            ? { state: status, receipt: { hash: record.hash, blockNumber: null, status } }
+            : status;
+    }
+}
+
+// ==================== HISTORY ====================
+
+class TransactionHistory {
+    constructor(options = {}) {
+        this.options = {
+            storage: null,
+            lookup: null,
+            // When given, updates go through the manager so open UIs see them
+            manager: null,
+            pageSize: 20,
+            ...options
+        };
+
+        this.lookup = this.options.lookup;
+    }
+
+    get storage() {
+        return this.options.storage;
+    }
+
+    // Newest first; payments superseded by a speed-up or cancel are represented by their replacement
+    async list() {
+        const records = await this.storage.getAll();
+        return records
+            .filter(record => !(record.state === HISTORY_TX_STATES.REPLACED && record.replacedBy))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async query(filters = {}) {
+        const pageSize = filters.pageSize || this.options.pageSize;
+        const matches = (await this.list()).filter(record => this.matches(record, filters));
+        const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+        const page = Math.min(Math.max(1, filters.page || 1), pageCount);
+
+        return {
+            items: matches.slice((page - 1) * pageSize, page * pageSize),
+            total: matches.length,
+            page,
+            pageSize,
+            pageCount
+        };
+    }
+
+    // search: @username, address or hash fragment, or token symbol; plus exact token/status and a date range
+    matches(record, { search = '', token = null, status = null, from = null, until = null } = {}) {
+        if (token && record.token !== token) return false;
+        if (status && getStatusBadge(record).tone !== status && record.state !== status) return false;
+
+        const after = toTimestamp(from);
+        const before = toTimestamp(until, true);
+        if (after !== null && record.createdAt < after) return false;
+        if (before !== null && record.createdAt > before) return false;
+
+        const term = search.trim().toLowerCase();
+        if (!term) return true;
+
+        if (term.startsWith('@')) {
+            return (record.recipient || '').toLowerCase().includes(term);
+        }
+
+        return [record.recipient, record.to, record.from, record.hash, record.token, record.memo]
+            .some(value => value && String(value).toLowerCase().includes(term));
+    }
+
+    async export(format = 'csv', filters = {}) {
+        const records = (await this.list()).filter(record => this.matches(record, filters));
+        return format === 'json' ? toJSON(records) : toCSV(records);
+    }
+
+    // Asks the lookup about every in-flight transaction and records what the chain says
+    async resync() {
+        const records = await this.storage.getAll();
+        const inFlight = records.filter(record => record.hash &&
+            [HISTORY_TX_STATES.BROADCAST, HISTORY_TX_STATES.PENDING].includes(record.state));
+        const updated = [];
+
+        for (const stored of inFlight) {
+            // The manager's in-memory copy may already be ahead of the stored one
+            const record = this.options.manager?.get(stored.id) || stored;
+            if (!HISTORY_TX_TRANSITIONS[record.state].length) continue;
+
+            let status;
+            try {
+                status = await this.lookup.getStatus(record);
+            } catch (error) {
+                // One unreachable lookup must not stop the rest of the sync
+                console.warn(`Status lookup failed for ${record.hash}:`, error.message);
+                continue;
+            }
+            if (!status || status.state === record.state || !HISTORY_TX_TRANSITIONS[record.state].includes(status.state)) continue;
+
+            const patch = { receipt: status.receipt || record.receipt };
+            if (status.state === HISTORY_TX_STATES.FAILED) {
+                patch.error = { type: 'transaction_rejected', message: `Transaction ${record.hash} reverted` };
+            }
+
+            updated.push(await this.applyStatus(record, status.state, patch));
+        }
+
+        return { checked: inFlight.length, updated };
+    }
+
+    async applyStatus(record, state, patch) {
+        const manager = this.options.manager;
+        if (manager?.get(record.id)) {
+            return manager.transition(record.id, state, patch);
+        }
+
+        const now = Date.now();
+        Object.assign(record, patch, {
+            state,
+            updatedAt: now,
+            history: [...(record.history || []), { state, at: now }]
+        });
+        await this.storage.put(record);
+        return record;
+    }
+}
+
+const FacePayHistory = {
+    STATUS_BADGES,
+    CSV_COLUMNS,
+    getStatusBadge,
+    TransactionHistory,
+    StatusLookup,
+    ChainStatusLookup,
+    MockStatusLookup,
+    toCSV,
+    toJSON
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayHistory;
+} else if (typeof window !== 'undefined') {
+    window.FacePayHistory = FacePayHistory;
+}
@@ -0,0 +1,361 @@
+/**
+ * FacePay Keystore
+ * Encrypted local storage for the wallet's backup phrase. The phrase is sealed with a
+ * random data key (AES-GCM); each unlock method - password (PBKDF2) or passkey (WebAuthn
+ * PRF + HKDF) - wraps that data key. Also provides Shamir guardian shares for social
+ * recovery and an HTTP store for encrypted cloud backups.
+ */
+
+const KeystoreStorage = (typeof window !== 'undefined' && window.FacePayWalletStorage) ||
+    (typeof require === 'function' ? require('./crypto-storage.js') : null);
+const KeystorePasskeys = (typeof window !== 'undefined' && window.FacePayPasskeys) ||
+    (typeof require === 'function' ? require('./crypto-passkeys.js') : null);
+
+const keystoreCrypto = typeof crypto !== 'undefined' && crypto.subtle ? crypto : require('crypto').webcrypto;
+const { base64UrlEncode, base64UrlDecode } = KeystorePasskeys;
+
+const KEYSTORE_VERSION = 1;
+const HKDF_INFO = 'facepay-keystore-v1';
+
+function createKeystoreError(type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+}
+
+function randomBytes(length) {
+    return keystoreCrypto.getRandomValues(new Uint8Array(length));
+}
+
+async function seal(key, plaintext) {
+    const iv = randomBytes(12);
+    const ciphertext = await keystoreCrypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: base64UrlEncode(iv), ciphertext: base64UrlEncode(ciphertext) };
+}
+
+async function open(key, { iv, ciphertext }) {
+    try {
+        return new Uint8Array(await keystoreCrypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64UrlDecode(iv) },
+            key,
+            base64UrlDecode(ciphertext)
+        ));
+    } catch (error) {
+        // AES-GCM authentication failure: wrong password, wrong passkey or tampered keystore
+        throw createKeystoreError('keystore_locked', 'Unable to unlock the wallet with these credentials');
+    }
+}
+
+function importAesKey(bytes) {
+    return keystoreCrypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function derivePasswordKey(password, salt, iterations) {
+    const material = await keystoreCrypto.subtle.importKey('raw', new TextEncoder().encode(password.normalize('NFKC')), 'PBKDF2', false, ['deriveKey']);
+    return keystoreCrypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// The PRF output is already uniformly random; HKDF binds it to this keystore's purpose
+async function derivePasskeyKey(secret, salt) {
+    const material = await keystoreCrypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return keystoreCrypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(HKDF_INFO) },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// ==================== KEYSTORE ====================
+
+class WalletKeystore {
+    constructor(options = {}) {
+        this.options = {
+            storage: null,
+            id: 'primary',
+            // OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+            passwordIterations: 310000,
+            minPasswordLength: 8,
+            ...options
+        };
+
+        this.storage = this.options.storage || new KeystoreStorage.MemoryStore('keystores');
+    }
+
+    async get() {
+        return this.storage.get(this.options.id);
+    }
+
+    async exists() {
+        return !!(await this.get());
+    }
+
+    // secret: { mnemonic, path }; unlock: { password } and/or { passkey: { credentialId, prfSalt, secret } }.
+    // An existing wallet is only overwritten with replace: true
+    async create(secret, { address, password = null, passkey = null, replace = false } = {}) {
+        if (!password && !passkey) {
+            throw createKeystoreError('keystore_locked', 'A password or passkey is required to protect the wallet');
+        }
+        await this.assertReplaceable(replace);
+
+        const dataKeyBytes = randomBytes(32);
+        const dataKey = await importAesKey(dataKeyBytes);
+        const record = {
+            id: this.options.id,
+            version: KEYSTORE_VERSION,
+            address,
+            path: secret.path,
+            backedUp: false,
+            createdAt: Date.now(),
+            cipher: await seal(dataKey, new TextEncoder().encode(JSON.stringify(secret))),
+            unlock: []
+        };
+
+        if (password) {
+            record.unlock.push(await this.wrapWithPassword(dataKeyBytes, password));
+        }
+        if (passkey) {
+            record.unlock.push(await this.wrapWithPasskey(dataKeyBytes, passkey));
+        }
+
+        await this.storage.put(record);
+        return record;
+    }
+
+    async assertReplaceable(replace) {
+        if (!replace && await this.exists()) {
+            throw createKeystoreError('wallet_exists', 'A wallet already exists on this device');
+        }
+    }
+
+    async wrapWithPassword(dataKeyBytes, password) {
+        if (password.length < this.options.minPasswordLength) {
+            throw createKeystoreError('weak_password', `Passwords need at least ${this.options.minPasswordLength} characters`);
+        }
+
+        const salt = randomBytes(16);
+        const iterations = this.options.passwordIterations;
+        const key = await derivePasswordKey(password, salt, iterations);
+
+        return { type: 'password', kdf: 'PBKDF2-SHA256', salt: base64UrlEncode(salt), iterations, ...await seal(key, dataKeyBytes) };
+    }
+
+    async wrapWithPasskey(dataKeyBytes, { credentialId, prfSalt, secret }) {
+        const key = await derivePasskeyKey(secret, prfSalt);
+
+        return { type: 'passkey', kdf: 'PRF-HKDF-SHA256', credentialId, prfSalt: base64UrlEncode(prfSalt), ...await seal(key, dataKeyBytes) };
+    }
+
+    getUnlockMethods(record) {
+        return record.unlock.map(({ type, credentialId, prfSalt }) => ({ type, credentialId, prfSalt }));
+    }
+
+    // credentials: { password } or { passkey: { credentialId, secret } }
+    async unlockDataKey(record, { password, passkey } = {}) {
+        if (password) {
+            const method = record.unlock.find(entry => entry.type === 'password');
+            if (!method) throw createKeystoreError('keystore_locked', 'This wallet has no password set');
+
+            const key = await derivePasswordKey(password, base64UrlDecode(method.salt), method.iterations);
+            return open(key, method);
+        }
+
+        if (passkey) {
+            const method = record.unlock.find(entry => entry.type === 'passkey' && entry.credentialId === passkey.credentialId);
+            if (!method) throw createKeystoreError('keystore_locked', 'This passkey is not enrolled for the wallet');
+
+            const key = await derivePasskeyKey(passkey.secret, base64UrlDecode(method.prfSalt));
+            return open(key, method);
+        }
+
+        throw createKeystoreError('keystore_locked', 'No unlock credentials provided');
+    }
+
+    async unlock(credentials) {
+        const record = await this.get();
+        if (!record) throw createKeystoreError('keystore_missing', 'No wallet has been created on this device');
+
+        const dataKey = await importAesKey(await this.unlockDataKey(record, credentials));
+        return JSON.parse(new TextDecoder().decode(await open(dataKey, record.cipher)));
+    }
+
+    // Adds another unlock method using one that already works
+    async addUnlockMethod(credentials, method) {
+        const record = await this.get();
+        const dataKeyBytes = await this.unlockDataKey(record, credentials);
+
+        record.unlock.push(method.password
+            ? await this.wrapWithPassword(dataKeyBytes, method.password)
+            : await this.wrapWithPasskey(dataKeyBytes, method.passkey));
+
+        await this.storage.put(record);
+        return record;
+    }
+
+    async markBackedUp(method = 'phrase') {
+        const record = await this.get();
+        record.backedUp = true;
+        record.backupMethods = Array.from(new Set([...(record.backupMethods || []), method]));
+
+        await this.storage.put(record);
+        return record;
+    }
+
+    // The exported keystore never contains plaintext; it is what cloud backups upload
+    async export() {
+        const record = await this.get();
+        if (!record) throw createKeystoreError('keystore_missing', 'No wallet has been created on this device');
+
+        return JSON.stringify(record);
+    }
+
+    async import(serialized, { replace = false } = {}) {
+        const record = typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
+        if (record.version !== KEYSTORE_VERSION || !record.cipher || !Array.isArray(record.unlock)) {
+            throw createKeystoreError('keystore_invalid', 'Unrecognized keystore backup');
+        }
+        await this.assertReplaceable(replace);
+
+        await this.storage.put({ ...record, id: this.options.id });
+        return record;
+    }
+}
+
+// ==================== SOCIAL RECOVERY (SHAMIR OVER GF(256)) ====================
+
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+
+(function buildGaloisTables() {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        // Multiply by the generator 3 in the AES field (x^8 + x^4 + x^3 + x + 1)
+        value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    }
+    for (let i = 255; i < 510; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMultiply(a, b) {
+    return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
+
+function gfDivide(a, b) {
+    return a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0;
+}
+
+const SHARE_PREFIX = 'fps1-';
+
+// Any `threshold` of the `shares` guardian strings reconstruct the secret; fewer reveal nothing
+function splitSecret(secret, { shares = 3, threshold = 2 } = {}) {
+    if (threshold < 2 || threshold > shares || shares > 255) {
+        throw createKeystoreError('invalid_recovery', 'Recovery needs 2 ≤ threshold ≤ guardians ≤ 255');
+    }
+
+    const coefficients = Array.from(secret, byte => [byte, ...randomBytes(threshold - 1)]);
+
+    return Array.from({ length: shares }, (_, i) => {
+        const x = i + 1;
+        const y = coefficients.map(polynomial =>
+            polynomial.reduceRight((accumulator, coefficient) => gfMultiply(accumulator, x) ^ coefficient, 0)
+        );
+
+        return SHARE_PREFIX + base64UrlEncode(Uint8Array.from([threshold, x, ...y]));
+    });
+}
+
+function combineShares(shares) {
+    const decoded = Array.from(new Set(shares.map(share => share.trim()))).map(share => {
+        if (!share.startsWith(SHARE_PREFIX)) {
+            throw createKeystoreError('invalid_recovery', 'Not a FacePay recovery share');
+        }
+        const bytes = base64UrlDecode(share.slice(SHARE_PREFIX.length));
+        return { threshold: bytes[0], x: bytes[1], y: bytes.slice(2) };
+    });
+
+    const threshold = decoded[0]?.threshold;
+    if (!threshold || decoded.length < threshold) {
+        throw createKeystoreError('invalid_recovery', `At least ${threshold || 2} guardian shares are required`);
+    }
+
+    const points = decoded.slice(0, threshold);
+    return Uint8Array.from(points[0].y, (_, byteIndex) =>
+        points.reduce((secret, { x, y }, i) => {
+            // Lagrange basis polynomial evaluated at 0
+            const basis = points.reduce((product, other, j) =>
+                i === j ? product : gfMultiply(product, gfDivide(other.x, other.x ^ x)), 1);
+            return secret ^ gfMultiply(y[byteIndex], basis);
+        }, 0)
+    );
+}
+
+// ==================== ENCRYPTED CLOUD BACKUP ====================
+
+// PUT/GET {endpoint}/:address with the already-encrypted keystore JSON
+class HttpBackupStore {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '/api/backups',
+            timeout: 10000,
+            ...options
+        };
+    }
+
+    async request(path, init = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+        try {
+            const response = await fetch(`${this.options.endpoint}/${encodeURIComponent(path)}`, { ...init, signal: controller?.signal });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw createKeystoreError('network_error', `Backup request failed with HTTP ${response.status}`);
+            }
+            return response;
+        } catch (error) {
+            if (error.type) throw error;
+            throw createKeystoreError('network_error', error.message);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    async upload(address, serializedKeystore) {
+        await this.request(address, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: serializedKeystore
+        });
+        return { address, uploadedAt: Date.now() };
+    }
+
+    async download(address) {
+        const response = await this.request(address, { headers: { Accept: 'application/json' } });
+        return response ? response.text() : null;
+    }
+}
+
+const FacePayKeystore = {
+    WalletKeystore,
+    HttpBackupStore,
+    splitSecret,
+    combineShares,
+    KEYSTORE_VERSION
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayKeystore;
+} else if (typeof window !== 'undefined') {
+    window.FacePayKeystore = FacePayKeystore;
+}
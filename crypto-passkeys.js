@@ -0,0 +1,562 @@
+/**
+ * FacePay Passkeys
+ * WebAuthn platform-authenticator ceremonies (Face ID / Touch ID / Windows Hello)
+ * behind authenticateWithFaceId(), with pluggable relying-party verifiers:
+ * an HTTP verifier for a backend and a local WebCrypto verifier for tests and
+ * development (in the page it gives no server-side assurance).
+ */
+
+const PasskeyStorage = (typeof window !== 'undefined' && window.FacePayWalletStorage) ||
+    (typeof require === 'function' ? require('./crypto-storage.js') : null);
+
+const webCrypto = (typeof crypto !== 'undefined' && crypto.subtle) ? crypto :
+    (typeof require === 'function' ? require('crypto').webcrypto : null);
+const subtleCrypto = webCrypto.subtle;
+
+// COSE algorithm identifiers we accept: ES256 and RS256
+const COSE_ALGORITHMS = { ES256: -7, RS256: -257 };
+
+function createPasskeyError(reason, message) {
+    const error = new Error(message);
+    error.type = 'face_id_failed';
+    error.reason = reason;
+    return error;
+}
+
+// ==================== ENCODING HELPERS ====================
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function base64UrlEncode(data) {
+    const bytes = toBytes(data);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+    return webCrypto.getRandomValues(new Uint8Array(length));
+}
+
+function bytesEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+async function sha256(data) {
+    return new Uint8Array(await subtleCrypto.digest('SHA-256', data));
+}
+
+// Minimal CBOR decoder covering what attestation objects and COSE keys use
+function decodeCbor(bytes, offset = 0) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let length = info;
+    if (info === 24) { length = bytes[offset]; offset += 1; }
+    else if (info === 25) { length = view.getUint16(offset); offset += 2; }
+    else if (info === 26) { length = view.getUint32(offset); offset += 4; }
+    else if (info === 27) { length = Number(view.getBigUint64(offset)); offset += 8; }
+    else if (info > 27) throw new Error('Unsupported CBOR length encoding');
+
+    switch (major) {
+        case 0: return { value: length, offset };
+        case 1: return { value: -1 - length, offset };
+        case 2: return { value: bytes.slice(offset, offset + length), offset: offset + length };
+        case 3: return { value: new TextDecoder().decode(bytes.slice(offset, offset + length)), offset: offset + length };
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeCbor(bytes, offset);
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i++) {
+                const key = decodeCbor(bytes, offset);
+                const entry = decodeCbor(bytes, key.offset);
+                map.set(key.value, entry.value);
+                offset = entry.offset;
+            }
+            return { value: map, offset };
+        }
+        case 7: {
+            const simple = { 20: false, 21: true, 22: null };
+            if (info in simple) return { value: simple[info], offset };
+            throw new Error('Unsupported CBOR simple value');
+        }
+        default:
+            throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+}
+
+// authenticatorData: rpIdHash(32) | flags(1) | signCount(4) | [aaguid(16) | idLength(2) | credentialId | COSE key]
+function parseAuthenticatorData(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = bytes[32];
+    const authData = {
+        rpIdHash: bytes.slice(0, 32),
+        userPresent: !!(flags & 0x01),
+        userVerified: !!(flags & 0x04),
+        signCount: view.getUint32(33),
+        credentialId: null,
+        publicKey: null
+    };
+
+    if (flags & 0x40) {
+        const idLength = view.getUint16(53);
+        authData.credentialId = bytes.slice(55, 55 + idLength);
+        authData.publicKey = decodeCbor(bytes, 55 + idLength).value;
+    }
+
+    return authData;
+}
+
+function coseKeyToJwk(coseKey) {
+    const algorithm = coseKey.get(3);
+
+    if (algorithm === COSE_ALGORITHMS.ES256) {
+        return {
+            algorithm,
+            jwk: { kty: 'EC', crv: 'P-256', x: base64UrlEncode(coseKey.get(-2)), y: base64UrlEncode(coseKey.get(-3)), ext: true }
+        };
+    }
+
+    if (algorithm === COSE_ALGORITHMS.RS256) {
+        return {
+            algorithm,
+            jwk: { kty: 'RSA', alg: 'RS256', n: base64UrlEncode(coseKey.get(-1)), e: base64UrlEncode(coseKey.get(-2)), ext: true }
+        };
+    }
+
+    throw createPasskeyError('unsupported_algorithm', `Unsupported COSE algorithm ${algorithm}`);
+}
+
+// WebAuthn ECDSA signatures are DER sequences; WebCrypto expects raw r || s
+function derToRawSignature(der) {
+    let offset = 2;
+    const readInteger = () => {
+        const length = der[offset + 1];
+        let value = der.slice(offset + 2, offset + 2 + length);
+        offset += 2 + length;
+        while (value.length > 32 && value[0] === 0) value = value.slice(1);
+        const padded = new Uint8Array(32);
+        padded.set(value, 32 - value.length);
+        return padded;
+    };
+
+    return concatBytes(readInteger(), readInteger());
+}
+
+async function verifySignature(credential, signature, data) {
+    if (credential.algorithm === COSE_ALGORITHMS.ES256) {
+        const key = await subtleCrypto.importKey('jwk', credential.publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        return subtleCrypto.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+    }
+
+    const key = await subtleCrypto.importKey('jwk', credential.publicKey, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    return subtleCrypto.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+}
+
+// ==================== RELYING-PARTY VERIFIERS ====================
+
+/**
+ * Verifier interface:
+ *   createRegistrationChallenge(user)      -> PublicKeyCredentialCreationOptions (base64url JSON)
+ *   verifyRegistration(credentialJSON)     -> { verified, credentialId }
+ *   createAuthenticationChallenge(context) -> PublicKeyCredentialRequestOptions (base64url JSON)
+ *   verifyAuthentication(credentialJSON)   -> { verified, credentialId, userId, signCount }
+ */
+class HttpPasskeyVerifier {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '/api/webauthn',
+            ...options
+        };
+    }
+
+    async post(path, body) {
+        const response = await fetch(`${this.options.endpoint}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createPasskeyError(payload.reason || 'verifier_error', payload.message || `Passkey verifier returned HTTP ${response.status}`);
+        }
+
+        return payload;
+    }
+
+    createRegistrationChallenge(user) {
+        return this.post('/register/options', { user });
+    }
+
+    verifyRegistration(credential) {
+        return this.post('/register/verify', credential);
+    }
+
+    createAuthenticationChallenge(context) {
+        return this.post('/authenticate/options', { context });
+    }
+
+    verifyAuthentication(credential) {
+        return this.post('/authenticate/verify', credential);
+    }
+}
+
+// Verifies ceremonies with WebCrypto; runs in Node (tests, local servers) and, for development only,
+// in the page - where the page would be checking its own assertions, so nothing is proven to a server
+class LocalPasskeyVerifier {
+    constructor(options = {}) {
+        this.options = {
+            rpId: typeof location !== 'undefined' ? location.hostname : 'localhost',
+            rpName: 'FacePay',
+            origins: typeof location !== 'undefined' ? [location.origin] : [],
+            challengeTTL: 2 * 60 * 1000,
+            timeout: 60000,
+            storage: null,
+            ...options
+        };
+
+        this.storage = this.options.storage || new PasskeyStorage.MemoryStore('passkey-credentials');
+        this.challenges = new Map();
+    }
+
+    issueChallenge(ceremony, data = {}) {
+        const challenge = base64UrlEncode(randomBytes(32));
+        this.challenges.set(challenge, { ceremony, expiresAt: Date.now() + this.options.challengeTTL, ...data });
+        return challenge;
+    }
+
+    // Challenges are single use: consumed whether verification succeeds or not
+    consumeChallenge(challenge, ceremony) {
+        const pending = this.challenges.get(challenge);
+        this.challenges.delete(challenge);
+
+        if (!pending || pending.ceremony !== ceremony || pending.expiresAt < Date.now()) {
+            throw createPasskeyError('challenge_mismatch', 'Unknown or expired passkey challenge');
+        }
+
+        return pending;
+    }
+
+    async createRegistrationChallenge(user) {
+        const existing = (await this.storage.getAll()).filter(credential => credential.userId === user.id);
+
+        return {
+            challenge: this.issueChallenge('create', { user }),
+            rp: { id: this.options.rpId, name: this.options.rpName },
+            user: { id: user.id, name: user.name, displayName: user.displayName || user.name },
+            pubKeyCredParams: [
+                { type: 'public-key', alg: COSE_ALGORITHMS.ES256 },
+                { type: 'public-key', alg: COSE_ALGORITHMS.RS256 }
+            ],
+            authenticatorSelection: {
+                authenticatorAttachment: 'platform',
+                userVerification: 'required',
+                residentKey: 'preferred'
+            },
+            excludeCredentials: existing.map(credential => ({ type: 'public-key', id: credential.id })),
+            attestation: 'none',
+            timeout: this.options.timeout
+        };
+    }
+
+    async verifyClientData(encoded, ceremony) {
+        const bytes = base64UrlDecode(encoded);
+        const clientData = JSON.parse(new TextDecoder().decode(bytes));
+
+        if (clientData.type !== `webauthn.${ceremony}`) {
+            throw createPasskeyError('wrong_ceremony', `Expected webauthn.${ceremony} client data`);
+        }
+
+        if (!this.options.origins.includes(clientData.origin)) {
+            throw createPasskeyError('origin_mismatch', `Unexpected origin ${clientData.origin}`);
+        }
+
+        return { clientData, bytes, pending: this.consumeChallenge(clientData.challenge, ceremony) };
+    }
+
+    async verifyAuthenticatorFlags(authData) {
+        const expectedHash = await sha256(new TextEncoder().encode(this.options.rpId));
+
+        if (!bytesEqual(authData.rpIdHash, expectedHash)) {
+            throw createPasskeyError('rp_mismatch', 'Authenticator data is for a different relying party');
+        }
+
+        if (!authData.userPresent || !authData.userVerified) {
+            throw createPasskeyError('user_not_verified', 'Biometric user verification is required');
+        }
+    }
+
+    async verifyRegistration(credential) {
+        const { pending } = await this.verifyClientData(credential.response.clientDataJSON, 'create');
+        const attestation = decodeCbor(base64UrlDecode(credential.response.attestationObject)).value;
+        const authData = parseAuthenticatorData(attestation.get('authData'));
+
+        await this.verifyAuthenticatorFlags(authData);
+
+        if (!authData.credentialId || base64UrlEncode(authData.credentialId) !== credential.id) {
+            throw createPasskeyError('credential_mismatch', 'Attested credential does not match the response');
+        }
+
+        const { algorithm, jwk } = coseKeyToJwk(authData.publicKey);
+        await this.storage.put({
+            id: credential.id,
+            userId: pending.user.id,
+            algorithm,
+            publicKey: jwk,
+            signCount: authData.signCount,
+            transports: credential.response.transports || [],
+            createdAt: Date.now()
+        });
+
+        return { verified: true, credentialId: credential.id };
+    }
+
+    async createAuthenticationChallenge(context = {}) {
+        const credentials = (await this.storage.getAll())
+            .filter(credential => !context.userId || credential.userId === context.userId);
+        const allowCredentials = credentials.map(credential => credential.id);
+
+        return {
+            challenge: this.issueChallenge('get', { context, allowCredentials }),
+            rpId: this.options.rpId,
+            allowCredentials: credentials.map(credential => ({
+                type: 'public-key',
+                id: credential.id,
+                transports: credential.transports
+            })),
+            userVerification: 'required',
+            timeout: this.options.timeout
+        };
+    }
+
+    async verifyAuthentication(credential) {
+        const stored = await this.storage.get(credential.id);
+        if (!stored) {
+            throw createPasskeyError('unknown_credential', 'Passkey is not registered with FacePay');
+        }
+
+        const { bytes: clientDataBytes, pending } = await this.verifyClientData(credential.response.clientDataJSON, 'get');
+
+        // The assertion must come from a passkey this challenge was issued for, not any registered one
+        if ((pending.context.userId && stored.userId !== pending.context.userId) ||
+            !pending.allowCredentials.includes(stored.id)) {
+            throw createPasskeyError('credential_not_allowed', 'Passkey was not requested for this challenge');
+        }
+
+        const authDataBytes = base64UrlDecode(credential.response.authenticatorData);
+        const authData = parseAuthenticatorData(authDataBytes);
+
+        await this.verifyAuthenticatorFlags(authData);
+
+        const signedData = concatBytes(authDataBytes, await sha256(clientDataBytes));
+        const valid = await verifySignature(stored, base64UrlDecode(credential.response.signature), signedData);
+        if (!valid) {
+            throw createPasskeyError('bad_signature', 'Passkey signature is invalid');
+        }
+
+        // A non-increasing counter on a counting authenticator indicates a cloned key
+        if (authData.signCount !== 0 && authData.signCount <= stored.signCount) {
+            throw createPasskeyError('counter_regression', 'Passkey signature counter went backwards');
+        }
+
+        stored.signCount = authData.signCount;
+        stored.lastUsedAt = Date.now();
+        await this.storage.put(stored);
+
+        return { verified: true, credentialId: stored.id, userId: stored.userId, signCount: stored.signCount };
+    }
+}
+
+// ==================== BROWSER CEREMONIES ====================
+
+class PasskeyAuthenticator {
+    constructor(options = {}) {
+        this.options = {
+            verifier: null,
+            // Credential descriptors registered on this device
+            storage: null,
+            ...options
+        };
+
+        if (!this.options.verifier) {
+            throw new Error('PasskeyAuthenticator requires a relying-party verifier');
+        }
+
+        this.verifier = this.options.verifier;
+        this.storage = this.options.storage || new PasskeyStorage.MemoryStore('passkeys');
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!navigator.credentials;
+    }
+
+    async isAvailable() {
+        if (!PasskeyAuthenticator.isSupported()) return false;
+
+        try {
+            return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async getCredentials() {
+        return this.storage.getAll();
+    }
+
+    async hasCredential() {
+        return (await this.getCredentials()).length > 0;
+    }
+
+    async register(user, { signal } = {}) {
+        const options = await this.verifier.createRegistrationChallenge(user);
+
+        const credential = await this.runCeremony(() => navigator.credentials.create({
+            signal,
+            publicKey: {
+                ...options,
+                // Ask the authenticator to enable the PRF extension so the keystore can derive keys from it
+                extensions: { ...options.extensions, prf: {} },
+                challenge: base64UrlDecode(options.challenge),
+                user: { ...options.user, id: base64UrlDecode(options.user.id) },
+                excludeCredentials: (options.excludeCredentials || []).map(descriptor => ({
+                    ...descriptor,
+                    id: base64UrlDecode(descriptor.id)
+                }))
+            }
+        }));
+
+        const result = await this.verifier.verifyRegistration({
+            id: credential.id,
+            rawId: base64UrlEncode(credential.rawId),
+            type: credential.type,
+            response: {
+                clientDataJSON: base64UrlEncode(credential.response.clientDataJSON),
+                attestationObject: base64UrlEncode(credential.response.attestationObject),
+                transports: credential.response.getTransports?.() || []
+            }
+        });
+
+        await this.storage.put({
+            id: credential.id,
+            userId: user.id,
+            transports: credential.response.getTransports?.() || [],
+            createdAt: Date.now()
+        });
+
+        return result;
+    }
+
+    // prfSalt: optional 32-byte salt; the result then carries the credential's PRF output as `prfSecret`
+    async authenticate(context = {}, { signal, prfSalt = null } = {}) {
+        const options = await this.verifier.createAuthenticationChallenge(context);
+
+        const credential = await this.runCeremony(() => navigator.credentials.get({
+            signal,
+            publicKey: {
+                ...options,
+                ...(prfSalt ? { extensions: { ...options.extensions, prf: { eval: { first: prfSalt } } } } : {}),
+                challenge: base64UrlDecode(options.challenge),
+                allowCredentials: (options.allowCredentials || []).map(descriptor => ({
+                    ...descriptor,
+                    id: base64UrlDecode(descriptor.id)
+                }))
+            }
+        }));
+
+        const result = await this.verifier.verifyAuthentication({
+            id: credential.id,
+            rawId: base64UrlEncode(credential.rawId),
+            type: credential.type,
+            response: {
+                clientDataJSON: base64UrlEncode(credential.response.clientDataJSON),
+                authenticatorData: base64UrlEncode(credential.response.authenticatorData),
+                signature: base64UrlEncode(credential.response.signature),
+                userHandle: credential.response.userHandle ? base64UrlEncode(credential.response.userHandle) : null
+            }
+        });
+
+        if (!prfSalt) return result;
+
+        const prfOutput = credential.getClientExtensionResults?.().prf?.results?.first;
+        if (!prfOutput) {
+            throw createPasskeyError('prf_unsupported', 'This passkey cannot derive encryption keys');
+        }
+
+        return { ...result, prfSecret: new Uint8Array(prfOutput) };
+    }
+
+    // Normalizes DOMExceptions from the browser prompt into typed FacePay errors
+    async runCeremony(ceremony) {
+        if (!PasskeyAuthenticator.isSupported()) {
+            throw createPasskeyError('unsupported', 'Passkeys are not supported in this browser');
+        }
+
+        try {
+            const credential = await ceremony();
+            if (!credential) {
+                throw createPasskeyError('cancelled', 'No passkey was returned');
+            }
+            return credential;
+        } catch (error) {
+            if (error.type) throw error;
+
+            const reasons = {
+                NotAllowedError: 'cancelled',
+                AbortError: 'cancelled',
+                InvalidStateError: 'already_registered',
+                SecurityError: 'rp_mismatch'
+            };
+            throw createPasskeyError(reasons[error.name] || 'ceremony_failed', error.message);
+        }
+    }
+}
+
+const FacePayPasskeys = {
+    PasskeyAuthenticator,
+    HttpPasskeyVerifier,
+    LocalPasskeyVerifier,
+    COSE_ALGORITHMS,
+    base64UrlEncode,
+    base64UrlDecode,
+    decodeCbor,
+    parseAuthenticatorData
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayPasskeys;
+} else if (typeof window !== 'undefined') {
+    window.FacePayPasskeys = FacePayPasskeys;
+}
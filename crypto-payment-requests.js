@@ -0,0 +1,256 @@
+/**
+ * FacePay Payment Requests
+ * Encodes "pay @username X TOKEN" requests as EIP-681 (ethereum:) or StarkNet-style
+ * (starknet:) URIs and as shareable FacePay links, and parses both back.
+ */
+
+const RequestProviders = (typeof window !== 'undefined' && window.FacePayChainProviders) ||
+    (typeof require === 'function' ? require('./crypto-providers.js') : null);
+const RequestTokens = (typeof window !== 'undefined' && window.FacePayTokens) ||
+    (typeof require === 'function' ? require('./crypto-tokens.js') : null);
+const RequestAddress = (typeof window !== 'undefined' && window.FacePayAddress) ||
+    (typeof require === 'function' ? require('./crypto-address.js') : null);
+
+const URI_SCHEMES = { evm: 'ethereum', starknet: 'starknet' };
+
+function createPaymentRequestError(message) {
+    const error = new Error(message);
+    error.type = 'invalid_payment_request';
+    return error;
+}
+
+// EIP-681 numbers may use scientific notation ("2.014e18") but must be whole units
+function parseIntegerAmount(value) {
+    const match = /^(\d+)(?:\.(\d+))?(?:e(\d+))?$/i.exec(String(value));
+    if (!match) {
+        throw createPaymentRequestError(`Invalid amount ${value}`);
+    }
+
+    const [, whole, fraction = '', exponent = '0'] = match;
+    const shift = Number(exponent) - fraction.length;
+    if (shift < 0 && !/^0*$/.test(fraction.slice(fraction.length + shift))) {
+        throw createPaymentRequestError(`Amount ${value} is not a whole number of base units`);
+    }
+
+    const digits = whole + fraction;
+    return shift >= 0 ? BigInt(digits) * 10n ** BigInt(shift) : BigInt(digits.slice(0, digits.length + shift) || '0');
+}
+
+class PaymentRequestCodec {
+    constructor(options = {}) {
+        this.options = {
+            registry: null,
+            chain: 'evm',
+            chainId: 1,
+            // Page that opens FacePay links, e.g. https://facepay.app/pay
+            baseUrl: 'https://facepay.app/',
+            ...options
+        };
+    }
+
+    get registry() {
+        return this.options.registry;
+    }
+
+    // Validates and normalises the fields, then attaches the URI and link forms
+    create({ username = null, address = null, amount = null, token = null, memo = null }) {
+        const request = {
+            username: username ? username.replace(/^@/, '').toLowerCase() : null,
+            address: address ? this.normalizeAddress(address) : null,
+            amount: amount === null || amount === '' ? null : String(amount).trim(),
+            token: this.registry.require(token || this.getDefaultToken().symbol).symbol,
+            memo: memo ? String(memo).trim().slice(0, 140) || null : null,
+            chain: this.options.chain,
+            chainId: this.options.chainId
+        };
+
+        if (!request.username && !request.address) {
+            throw createPaymentRequestError('Payment requests need a username or an address');
+        }
+        if (request.amount !== null) {
+            const units = this.toUnits(request.amount, request.token);
+            if (units <= 0n) {
+                throw createPaymentRequestError('Requested amount must be greater than zero');
+            }
+        }
+
+        return {
+            ...request,
+            recipient: request.username ? `@${request.username}` : request.address,
+            uri: request.address ? this.toUri(request) : null,
+            link: this.toLink(request)
+        };
+    }
+
+    // ethereum:<to>@<chain>?value=<wei> for native coins,
+    // <scheme>:<token>@<chain>/transfer?address=<to>&uint256=<units> for tokens.
+    // memo and username are FacePay extensions that other wallets ignore.
+    toUri(request) {
+        const token = this.registry.require(request.token);
+        const scheme = URI_SCHEMES[request.chain];
+        const chainSuffix = /^\d+$/.test(String(request.chainId)) || request.chain === 'starknet' ? `@${request.chainId}` : '';
+        const params = new URLSearchParams();
+        let target;
+
+        if (token.address) {
+            target = `${token.address}${chainSuffix}/transfer`;
+            params.set('address', request.address);
+            if (request.amount !== null) params.set('uint256', this.toUnits(request.amount, token.symbol).toString());
+        } else {
+            target = `${request.address}${chainSuffix}`;
+            if (request.amount !== null) params.set('value', this.toUnits(request.amount, token.symbol).toString());
+        }
+
+        if (request.username) params.set('username', request.username);
+        if (request.memo) params.set('memo', request.memo);
+
+        const query = params.toString();
+        return `${scheme}:${target}${query ? `?${query}` : ''}`;
+    }
+
+    toLink(request) {
+        const url = new URL(this.options.baseUrl);
+        url.searchParams.set('pay', request.username ? `@${request.username}` : request.address);
+        if (request.username && request.address) url.searchParams.set('address', request.address);
+        if (request.amount !== null) url.searchParams.set('amount', request.amount);
+        url.searchParams.set('token', request.token);
+        url.searchParams.set('chain', String(request.chainId));
+        if (request.memo) url.searchParams.set('memo', request.memo);
+
+        return url.toString();
+    }
+
+    // Returns null when the input is not a payment request at all
+    parse(input) {
+        const text = String(input || '').trim();
+        const scheme = text.split(':')[0].toLowerCase();
+
+        if (Object.values(URI_SCHEMES).includes(scheme)) {
+            return this.parseUri(text);
+        }
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            return null;
+        }
+        return url.searchParams.has('pay') ? this.parseLink(url) : null;
+    }
+
+    parseUri(uri) {
+        const match = /^(\w+):(?:pay-)?([^@/?]+)(?:@([^/?]+))?(?:\/([^?]+))?(?:\?(.*))?$/.exec(uri);
+        if (!match) {
+            throw createPaymentRequestError('Malformed payment URI');
+        }
+
+        const [, scheme, target, chainId, method, query = ''] = match;
+        const chain = scheme.toLowerCase() === URI_SCHEMES.starknet ? 'starknet' : 'evm';
+        const params = new URLSearchParams(query);
+        let token;
+        let address;
+        let units;
+
+        if (method === 'transfer') {
+            token = this.registry.getByAddress(target);
+            if (!token) {
+                throw createPaymentRequestError(`Unknown token contract ${target}`);
+            }
+            address = params.get('address');
+            units = params.get('uint256');
+        } else if (!method) {
+            token = this.getNativeToken();
+            address = target;
+            units = params.get('value');
+        } else {
+            throw createPaymentRequestError(`Unsupported payment method ${method}`);
+        }
+
+        const request = this.fromFields({
+            username: params.get('username'),
+            address,
+            amount: units === null ? null : RequestTokens.formatUnits(parseIntegerAmount(units), token.decimals),
+            token: token.symbol,
+            memo: params.get('memo'),
+            chain,
+            chainId: chainId || null
+        });
+
+        if (!request.address) {
+            throw createPaymentRequestError('Payment URI has no recipient address');
+        }
+        return request;
+    }
+
+    parseLink(url) {
+        const params = url.searchParams;
+        const pay = params.get('pay');
+        const isUsername = pay.startsWith('@') || !/^0x/i.test(pay);
+
+        return this.fromFields({
+            username: isUsername ? pay : null,
+            address: isUsername ? params.get('address') : pay,
+            amount: params.get('amount'),
+            token: params.get('token'),
+            memo: params.get('memo'),
+            chain: this.options.chain,
+            chainId: params.get('chain')
+        });
+    }
+
+    fromFields(fields) {
+        const codec = new PaymentRequestCodec({
+            ...this.options,
+            chain: fields.chain,
+            chainId: fields.chainId ?? this.options.chainId
+        });
+        return codec.create(fields);
+    }
+
+    // Chain ids arrive as strings from URIs and links
+    isForChain(request) {
+        return String(request.chainId) === String(this.options.chainId);
+    }
+
+    toUnits(amount, symbol) {
+        const token = this.registry.require(symbol);
+        if (!/^\d+(\.\d+)?$/.test(amount) || (amount.split('.')[1] || '').length > token.decimals) {
+            throw createPaymentRequestError(`Invalid ${symbol} amount ${amount}`);
+        }
+        return RequestProviders.parseUnits(amount, token.decimals);
+    }
+
+    normalizeAddress(address) {
+        try {
+            return RequestAddress.normalizeAddress(address, this.options.chain);
+        } catch (error) {
+            throw createPaymentRequestError(`Invalid recipient address ${address}`);
+        }
+    }
+
+    // The native coin where there is one; StarkNet's tokens are all contracts
+    getDefaultToken() {
+        return this.registry.list().find(token => !token.address) || this.registry.list()[0];
+    }
+
+    getNativeToken() {
+        const native = this.registry.list().find(token => !token.address);
+        if (!native) {
+            throw createPaymentRequestError('This chain has no native coin; request a token instead');
+        }
+        return native;
+    }
+}
+
+const FacePayPaymentRequests = {
+    PaymentRequestCodec,
+    parseIntegerAmount,
+    createPaymentRequestError
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayPaymentRequests;
+} else if (typeof window !== 'undefined') {
+    window.FacePayPaymentRequests = FacePayPaymentRequests;
+}
@@ -0,0 +1,290 @@
+/**
+ * FacePay Risk Policy
+ * Rules evaluated against every payment before Face ID: per-transaction and daily
+ * limits, first-time recipients, address-poisoning lookalikes and large-amount cooldowns.
+ * Each rule returns allow / extra-auth / block with a reason the UI can show.
+ */
+
+const PolicyAddress = (typeof window !== 'undefined' && window.FacePayAddress) ||
+    (typeof require === 'function' ? require('./crypto-address.js') : null);
+
+const POLICY_DECISIONS = {
+    ALLOW: 'allow',
+    EXTRA_AUTH: 'extra-auth',
+    BLOCK: 'block'
+};
+
+const DECISION_SEVERITY = { 'allow': 0, 'extra-auth': 1, 'block': 2 };
+
+// Payments that count towards limits and make a recipient "known"
+const SPENT_STATES = ['signed', 'broadcast', 'pending', 'confirmed'];
+
+function createPolicyError(message, evaluation = null) {
+    const error = new Error(message);
+    error.type = 'policy_blocked';
+    error.evaluation = evaluation;
+    return error;
+}
+
+function formatMoney(value, currency) {
+    return `${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} ${currency}`;
+}
+
+function isOutgoingPayment(record, excludeId) {
+    return record.id !== excludeId && record.kind !== 'cancel' && SPENT_STATES.includes(record.state);
+}
+
+function isSameRecipient(a, b, chain) {
+    if (!a || !b) return false;
+    return PolicyAddress.isSameAddress(a, b, chain) || String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// ==================== RULES ====================
+
+class PolicyRule {
+    constructor(config = {}) {
+        this.config = { name: this.constructor.name, ...config };
+    }
+
+    get name() {
+        return this.config.name;
+    }
+
+    // tx: { id, to, recipient, amount, token, fiat, chain, createdAt }
+    // context: { history, currency, now }
+    // Returns { decision, reason, ...details } or null when the rule has nothing to say
+    evaluate(tx, context) {
+        throw new Error(`${this.constructor.name} does not implement evaluate()`);
+    }
+}
+
+class TransactionLimitRule extends PolicyRule {
+    constructor(config = {}) {
+        super({
+            name: 'per-transaction-limit',
+            // Fiat amounts in the wallet currency
+            extraAuthAbove: 500,
+            limit: 5000,
+            ...config
+        });
+    }
+
+    evaluate(tx, { currency }) {
+        if (tx.fiat === null || tx.fiat === undefined) {
+            return {
+                decision: POLICY_DECISIONS.EXTRA_AUTH,
+                reason: `${tx.token} has no price right now, so this payment can't be checked against your limits`
+            };
+        }
+
+        if (tx.fiat > this.config.limit) {
+            return {
+                decision: POLICY_DECISIONS.BLOCK,
+                reason: `Payments are limited to ${formatMoney(this.config.limit, currency)} each`
+            };
+        }
+        if (tx.fiat > this.config.extraAuthAbove) {
+            return {
+                decision: POLICY_DECISIONS.EXTRA_AUTH,
+                reason: `Payments over ${formatMoney(this.config.extraAuthAbove, currency)} need a second confirmation`
+            };
+        }
+        return null;
+    }
+}
+
+class DailyLimitRule extends PolicyRule {
+    constructor(config = {}) {
+        super({
+            name: 'daily-limit',
+            limit: 10000,
+            window: 24 * 60 * 60 * 1000,
+            ...config
+        });
+    }
+
+    evaluate(tx, { history, currency, now }) {
+        // Unpriced payments are already flagged by the per-transaction rule
+        if (tx.fiat === null || tx.fiat === undefined) return null;
+
+        const spent = history
+            .filter(record => isOutgoingPayment(record, tx.id) && now - record.createdAt < this.config.window)
+            .reduce((total, record) => total + (record.fiat || 0), 0);
+
+        if (spent + tx.fiat > this.config.limit) {
+            const remaining = Math.max(0, this.config.limit - spent);
+            return {
+                decision: POLICY_DECISIONS.BLOCK,
+                reason: `This would exceed your ${formatMoney(this.config.limit, currency)} daily limit (${formatMoney(remaining, currency)} left today)`,
+                spent
+            };
+        }
+        return null;
+    }
+}
+
+class FirstTimeRecipientRule extends PolicyRule {
+    constructor(config = {}) {
+        super({
+            name: 'first-time-recipient',
+            // A warning by default; set to extra-auth for stricter wallets
+            decision: POLICY_DECISIONS.ALLOW,
+            ...config
+        });
+    }
+
+    evaluate(tx, { history }) {
+        const known = history.some(record => isOutgoingPayment(record, tx.id) && isSameRecipient(record.to, tx.to, tx.chain));
+        if (known) return null;
+
+        return {
+            decision: this.config.decision,
+            reason: `First payment to ${tx.recipient || tx.to}. Double-check the recipient before sending`
+        };
+    }
+}
+
+// Address poisoning: scam transfers plant an address that shares the first and last
+// characters of one you've paid, hoping you copy it from your history
+class LookalikeAddressRule extends PolicyRule {
+    constructor(config = {}) {
+        super({
+            name: 'lookalike-address',
+            prefixLength: 4,
+            suffixLength: 4,
+            decision: POLICY_DECISIONS.BLOCK,
+            ...config
+        });
+    }
+
+    static fingerprint(address) {
+        return String(address).toLowerCase().replace(/^0x0*/, '');
+    }
+
+    isLookalike(a, b) {
+        const { prefixLength, suffixLength } = this.config;
+        const first = LookalikeAddressRule.fingerprint(a);
+        const second = LookalikeAddressRule.fingerprint(b);
+
+        return first !== second &&
+            first.slice(0, prefixLength) === second.slice(0, prefixLength) &&
+            first.slice(-suffixLength) === second.slice(-suffixLength);
+    }
+
+    evaluate(tx, { history }) {
+        const match = history.find(record => isOutgoingPayment(record, tx.id) && record.to && this.isLookalike(record.to, tx.to));
+        if (!match) return null;
+
+        return {
+            decision: this.config.decision,
+            reason: `${tx.to} looks like ${match.to}${match.recipient?.startsWith('@') ? ` (${match.recipient})` : ''}, which you've paid before, but it is a different address`,
+            lookalikeOf: match.to
+        };
+    }
+}
+
+// Large payments only unlock once their draft is old enough, giving time to spot a scam
+class LargeAmountCooldownRule extends PolicyRule {
+    constructor(config = {}) {
+        super({
+            name: 'large-amount-cooldown',
+            threshold: 2000,
+            cooldown: 10 * 60 * 1000,
+            ...config
+        });
+    }
+
+    evaluate(tx, { currency, now }) {
+        if (!(tx.fiat >= this.config.threshold)) return null;
+
+        const retryAt = tx.createdAt + this.config.cooldown;
+        if (now >= retryAt) return null;
+
+        const minutes = Math.ceil((retryAt - now) / 60000);
+        return {
+            decision: POLICY_DECISIONS.BLOCK,
+            reason: `Payments of ${formatMoney(this.config.threshold, currency)} or more unlock after a ${Math.round(this.config.cooldown / 60000)}-minute cooldown (${minutes} min left)`,
+            retryAt
+        };
+    }
+}
+
+// ==================== ENGINE ====================
+
+class PolicyEngine {
+    constructor(options = {}) {
+        this.options = {
+            rules: null,
+            currency: 'USD',
+            ...options
+        };
+
+        this.rules = this.options.rules || PolicyEngine.createDefaultRules();
+    }
+
+    static createDefaultRules(config = {}) {
+        return [
+            new TransactionLimitRule(config.perTransaction),
+            new DailyLimitRule(config.daily),
+            new FirstTimeRecipientRule(config.firstTimeRecipient),
+            new LookalikeAddressRule(config.lookalike),
+            new LargeAmountCooldownRule(config.largeAmount)
+        ];
+    }
+
+    // Overall decision is the most severe rule decision; every reason is kept for display
+    evaluate(tx, context = {}) {
+        const fullContext = {
+            history: [],
+            currency: this.options.currency,
+            now: Date.now(),
+            ...context
+        };
+
+        const results = [];
+        this.rules.forEach(rule => {
+            let result;
+            try {
+                result = rule.evaluate(tx, fullContext);
+            } catch (error) {
+                // A broken rule must fail closed
+                result = { decision: POLICY_DECISIONS.BLOCK, reason: `Could not check ${rule.name}: ${error.message}` };
+            }
+            if (result) results.push({ rule: rule.name, ...result });
+        });
+
+        const decision = results.reduce((worst, result) =>
+            DECISION_SEVERITY[result.decision] > DECISION_SEVERITY[worst] ? result.decision : worst, POLICY_DECISIONS.ALLOW);
+        const retryTimes = results.filter(result => result.retryAt).map(result => result.retryAt);
+
+        return {
+            decision,
+            results,
+            reasons: results.map(result => result.reason),
+            // Set when every block is time-based, i.e. waiting is enough to proceed
+            retryAt: decision === POLICY_DECISIONS.BLOCK &&
+                results.every(result => result.decision !== POLICY_DECISIONS.BLOCK || result.retryAt)
+                ? Math.max(...retryTimes)
+                : null
+        };
+    }
+}
+
+const FacePayPolicy = {
+    POLICY_DECISIONS,
+    PolicyEngine,
+    PolicyRule,
+    TransactionLimitRule,
+    DailyLimitRule,
+    FirstTimeRecipientRule,
+    LookalikeAddressRule,
+    LargeAmountCooldownRule,
+    createPolicyError
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayPolicy;
+} else if (typeof window !== 'undefined') {
+    window.FacePayPolicy = FacePayPolicy;
+}
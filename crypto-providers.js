@@ -0,0 +1,687 @@
+/**
+ * FacePay Chain Providers
+ * Pluggable JSON-RPC backends for FacePayCryptoUX: EVM, StarkNet and an in-memory mock
+ * so the transaction flow can run against mainnet, a local devnet or a test fixture.
+ */
+
+// ==================== UNIT HELPERS ====================
+
+function parseUnits(amount, decimals = 18) {
+    const [whole, fraction = ''] = String(amount).trim().split('.');
+    if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction)) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const paddedFraction = fraction.slice(0, decimals).padEnd(decimals, '0');
+    return BigInt(whole || '0') * (10n ** BigInt(decimals)) + BigInt(paddedFraction || '0');
+}
+
+function toHex(value) {
+    return '0x' + BigInt(value).toString(16);
+}
+
+// Counters only: chain ids, block numbers, nonces and gas units all fit in a Number
+function fromHex(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'number' ? value : Number(BigInt(value));
+}
+
+// Wei amounts (gas prices, fees) regularly exceed 2^53, so they stay BigInt until they are formatted
+function weiFromHex(value) {
+    if (value === null || value === undefined) return null;
+    return BigInt(value);
+}
+
+function createChainError(type, message, details = null) {
+    const error = new Error(message);
+    error.type = type;
+    error.details = details;
+    return error;
+}
+
+// ==================== BASE PROVIDER ====================
+
+class ChainProvider {
+    constructor(config = {}) {
+        this.config = {
+            name: 'chain',
+            rpcUrl: null,
+            chainId: null,
+            feeModel: 'legacy',
+            nativeToken: 'ETH',
+            blockTime: 12,
+            transferGas: { default: 65000 },
+            // Whether a pending transaction can be replaced by re-using its nonce (speed up / cancel)
+            replaceable: false,
+            // Whether the node signs with its own accounts (local devnets); otherwise only signed payloads are accepted
+            unlockedAccounts: false,
+            timeout: 5000,
+            pollInterval: 2000,
+            confirmationTimeout: 120000,
+            ...config
+        };
+
+        this.requestId = 0;
+    }
+
+    get chainId() {
+        return this.config.chainId;
+    }
+
+    get feeModel() {
+        return this.config.feeModel;
+    }
+
+    async request(method, params = []) {
+        if (!this.config.rpcUrl) {
+            throw createChainError('network_error', `${this.config.name}: no RPC URL configured`);
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.config.timeout) : null;
+
+        try {
+            const response = await fetch(this.config.rpcUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+                signal: controller?.signal
+            });
+
+            if (!response.ok) {
+                throw createChainError('network_error', `${method} failed with HTTP ${response.status}`);
+            }
+
+            const payload = await response.json();
+            if (payload.error) {
+                throw createChainError('rpc_error', payload.error.message || `${method} failed`, payload.error);
+            }
+
+            return payload.result;
+        } catch (error) {
+            if (error.type) throw error;
+            throw createChainError('network_error', error.message, { method });
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    async getStatus() {
+        const startTime = Date.now();
+
+        try {
+            const blockNumber = await this.getBlockNumber();
+            return { connected: true, blockNumber, latency: Date.now() - startTime };
+        } catch (error) {
+            return { connected: false, blockNumber: null, latency: null, error: error.message };
+        }
+    }
+
+    getTransferGas(token) {
+        const { transferGas } = this.config;
+        return transferGas[token] ?? transferGas.default;
+    }
+
+    async waitForTransaction(hash, options = {}) {
+        const interval = options.interval ?? this.config.pollInterval;
+        const timeout = options.timeout ?? this.config.confirmationTimeout;
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            const receipt = await this.getTransactionReceipt(hash);
+            if (receipt) {
+                if (receipt.status === 'failed') {
+                    throw createChainError('transaction_rejected', `Transaction ${hash} reverted`, receipt);
+                }
+                return receipt;
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+
+        throw createChainError('network_error', `Timed out waiting for transaction ${hash}`);
+    }
+
+    // Chain-specific methods every provider implements
+    async getBlockNumber() {
+        throw new Error(`${this.constructor.name} does not implement getBlockNumber()`);
+    }
+
+    async getGasPrice() {
+        throw new Error(`${this.constructor.name} does not implement getGasPrice()`);
+    }
+
+    async estimateGas(tx) {
+        throw new Error(`${this.constructor.name} does not implement estimateGas()`);
+    }
+
+    // { oldestBlock, baseFeePerGas: [...blockCount + 1], reward: [[...percentiles], ...], gasUsedRatio }
+    async getFeeHistory(blockCount, percentiles) {
+        throw new Error(`${this.constructor.name} does not implement getFeeHistory()`);
+    }
+
+    async sendTransaction(tx) {
+        throw new Error(`${this.constructor.name} does not implement sendTransaction()`);
+    }
+
+    async getTransactionReceipt(hash) {
+        throw new Error(`${this.constructor.name} does not implement getTransactionReceipt()`);
+    }
+
+    // { hash, from, nonce, blockNumber } once the node knows the transaction, otherwise null
+    async getTransaction(hash) {
+        throw new Error(`${this.constructor.name} does not implement getTransaction()`);
+    }
+
+    // Number of transactions from `address` included on chain (the next usable nonce);
+    // blockTag 'pending' also counts the ones still in the mempool where the chain supports it
+    async getTransactionCount(address, blockTag = 'latest') {
+        throw new Error(`${this.constructor.name} does not implement getTransactionCount()`);
+    }
+}
+
+// ==================== EVM (ETHEREUM & L2s) ====================
+
+class EVMProvider extends ChainProvider {
+    constructor(config = {}) {
+        super({
+            name: 'evm',
+            chainId: 1,
+            feeModel: 'eip1559',
+            transferGas: { ETH: 21000, default: 65000 },
+            replaceable: true,
+            ...config
+        });
+    }
+
+    async getChainId() {
+        return fromHex(await this.request('eth_chainId'));
+    }
+
+    async getBlockNumber() {
+        return fromHex(await this.request('eth_blockNumber'));
+    }
+
+    async getGasPrice() {
+        return weiFromHex(await this.request('eth_gasPrice'));
+    }
+
+    async estimateGas(tx) {
+        const isNative = !tx.token || tx.token === this.config.nativeToken;
+
+        // Token transfers need contract calldata to be simulated
+        if (!isNative && !tx.data) {
+            return this.getTransferGas(tx.token);
+        }
+
+        try {
+            return fromHex(await this.request('eth_estimateGas', [this.formatTransaction(tx)]));
+        } catch (error) {
+            throw createChainError('gas_estimation_failed', error.message, error.details);
+        }
+    }
+
+    async getFeeHistory(blockCount, percentiles) {
+        const history = await this.request('eth_feeHistory', [toHex(blockCount), 'latest', percentiles]);
+
+        return {
+            oldestBlock: fromHex(history.oldestBlock),
+            baseFeePerGas: history.baseFeePerGas.map(weiFromHex),
+            reward: (history.reward || []).map(block => block.map(weiFromHex)),
+            gasUsedRatio: history.gasUsedRatio
+        };
+    }
+
+    async sendTransaction(tx) {
+        // Public RPCs refuse eth_sendTransaction; only nodes with unlocked accounts (local devnets) sign for us
+        if (!tx.raw && !this.config.unlockedAccounts) {
+            throw createChainError('signer_unavailable', 'This network only accepts signed transactions');
+        }
+
+        try {
+            if (tx.raw) {
+                return await this.request('eth_sendRawTransaction', [tx.raw]);
+            }
+
+            return await this.request('eth_sendTransaction', [this.formatTransaction(tx)]);
+        } catch (error) {
+            throw createChainError('transaction_rejected', error.message, error.details);
+        }
+    }
+
+    async getTransactionReceipt(hash) {
+        const receipt = await this.request('eth_getTransactionReceipt', [hash]);
+        if (!receipt) return null;
+
+        return {
+            hash: receipt.transactionHash,
+            blockNumber: fromHex(receipt.blockNumber),
+            gasUsed: fromHex(receipt.gasUsed),
+            status: receipt.status === '0x1' ? 'confirmed' : 'failed'
+        };
+    }
+
+    async getTransaction(hash) {
+        const tx = await this.request('eth_getTransactionByHash', [hash]);
+        if (!tx) return null;
+
+        return {
+            hash: tx.hash,
+            from: tx.from,
+            nonce: fromHex(tx.nonce),
+            blockNumber: fromHex(tx.blockNumber)
+        };
+    }
+
+    async getTransactionCount(address, blockTag = 'latest') {
+        return fromHex(await this.request('eth_getTransactionCount', [address, blockTag]));
+    }
+
+    formatTransaction(tx) {
+        const formatted = { to: tx.to };
+        if (tx.from) formatted.from = tx.from;
+        if (tx.nonce !== undefined && tx.nonce !== null) formatted.nonce = toHex(tx.nonce);
+        if (tx.value !== undefined) formatted.value = toHex(tx.value);
+        if (tx.data) formatted.data = tx.data;
+        if (tx.gasLimit) formatted.gas = toHex(tx.gasLimit);
+        if (tx.maxFeePerGas) formatted.maxFeePerGas = toHex(tx.maxFeePerGas);
+        if (tx.maxPriorityFeePerGas) formatted.maxPriorityFeePerGas = toHex(tx.maxPriorityFeePerGas);
+        return formatted;
+    }
+}
+
+// ==================== STARKNET ====================
+
+class StarkNetProvider extends ChainProvider {
+    constructor(config = {}) {
+        super({
+            name: 'starknet',
+            chainId: 'SN_MAIN',
+            feeModel: 'starknet',
+            blockTime: 30,
+            // Baseline L1 gas for an ERC-20 transfer when no signed invoke is available to simulate
+            transferGas: { default: 1500 },
+            ...config
+        });
+    }
+
+    async getBlockNumber() {
+        return fromHex(await this.request('starknet_blockNumber'));
+    }
+
+    async getGasPrice() {
+        return this.getBlockGasPrice('latest');
+    }
+
+    async getBlockGasPrice(blockId) {
+        const block = await this.request('starknet_getBlockWithTxHashes', [{ block_id: blockId }]);
+        return weiFromHex(block?.l1_gas_price?.price_in_wei ?? block?.gas_price);
+    }
+
+    // StarkNet has no priority-fee market: history is the L1 gas price of recent blocks, rewards are zero
+    async getFeeHistory(blockCount, percentiles) {
+        const latest = await this.getBlockNumber();
+        const oldestBlock = Math.max(0, latest - blockCount + 1);
+        const blockNumbers = [];
+        for (let number = oldestBlock; number <= latest; number++) {
+            blockNumbers.push(number);
+        }
+
+        const prices = await Promise.all(blockNumbers.map(number => this.getBlockGasPrice({ block_number: number })));
+
+        return {
+            oldestBlock,
+            baseFeePerGas: [...prices, prices[prices.length - 1]],
+            reward: prices.map(() => percentiles.map(() => 0n)),
+            gasUsedRatio: prices.map(() => null)
+        };
+    }
+
+    async estimateGas(tx) {
+        // Fee estimation on StarkNet simulates a full (signed) invoke transaction
+        if (!tx.invoke) {
+            return this.getTransferGas(tx.token);
+        }
+
+        try {
+            const [estimate] = await this.request('starknet_estimateFee', {
+                request: [tx.invoke],
+                simulation_flags: [],
+                block_id: 'latest'
+            });
+            return fromHex(estimate.gas_consumed);
+        } catch (error) {
+            throw createChainError('gas_estimation_failed', error.message, error.details);
+        }
+    }
+
+    async sendTransaction(tx) {
+        if (!tx.invoke) {
+            throw createChainError('transaction_rejected', 'StarkNet transactions require a signed invoke payload');
+        }
+
+        try {
+            const result = await this.request('starknet_addInvokeTransaction', { invoke_transaction: tx.invoke });
+            return result.transaction_hash;
+        } catch (error) {
+            throw createChainError('transaction_rejected', error.message, error.details);
+        }
+    }
+
+    async getTransactionReceipt(hash) {
+        let receipt;
+        try {
+            receipt = await this.request('starknet_getTransactionReceipt', { transaction_hash: hash });
+        } catch (error) {
+            // Unknown hashes are reported as RPC errors until the sequencer picks them up
+            if (error.type === 'rpc_error') return null;
+            throw error;
+        }
+
+        if (!receipt || receipt.block_number === undefined) return null;
+
+        return {
+            hash: receipt.transaction_hash,
+            blockNumber: receipt.block_number,
+            // StarkNet reports the fee actually charged rather than gas units
+            gasUsed: weiFromHex(receipt.actual_fee?.amount ?? receipt.actual_fee),
+            status: receipt.execution_status === 'REVERTED' ? 'failed' : 'confirmed'
+        };
+    }
+
+    async getTransaction(hash) {
+        let tx;
+        try {
+            tx = await this.request('starknet_getTransactionByHash', { transaction_hash: hash });
+        } catch (error) {
+            if (error.type === 'rpc_error') return null;
+            throw error;
+        }
+
+        return {
+            hash: tx.transaction_hash,
+            from: tx.sender_address,
+            nonce: fromHex(tx.nonce),
+            blockNumber: null
+        };
+    }
+
+    async getTransactionCount(address, blockTag = 'latest') {
+        return fromHex(await this.request('starknet_getNonce', { block_id: blockTag === 'pending' ? 'pending' : 'latest', contract_address: address }));
+    }
+}
+
+// ==================== IN-MEMORY MOCK ====================
+
+class MockChainProvider extends ChainProvider {
+    constructor(config = {}) {
+        super({
+            name: 'mock',
+            chainId: 'mock',
+            feeModel: 'eip1559',
+            gasPrice: 20000000000n,
+            // Priority fees paid at each fee-history percentile, repeated for every block
+            priorityFees: { 10: 1000000000n, 50: 1500000000n, 90: 3000000000n },
+            blockNumber: 1,
+            blockTime: 1,
+            transferGas: { ETH: 21000, default: 65000 },
+            replaceable: true,
+            // Signs for its own test account, like a devnet node
+            unlockedAccounts: true,
+            account: '0x000000000000000000000000000000000000fa11',
+            autoMine: true,
+            pollInterval: 10,
+            ...config
+        });
+
+        this.online = true;
+        this.blockNumber = this.config.blockNumber;
+        this.gasPrice = BigInt(this.config.gasPrice);
+        this.transactions = new Map();
+        this.receipts = new Map();
+        this.hashCounter = 0;
+        this.nextNonces = new Map();
+        this.minedNonces = new Map();
+    }
+
+    setOnline(online) {
+        this.online = online;
+    }
+
+    setGasPrice(gasPrice) {
+        this.gasPrice = BigInt(gasPrice);
+    }
+
+    assertOnline() {
+        if (!this.online) {
+            throw createChainError('network_error', 'Mock chain is offline');
+        }
+    }
+
+    async getBlockNumber() {
+        this.assertOnline();
+        return this.blockNumber;
+    }
+
+    async getGasPrice() {
+        this.assertOnline();
+        return this.gasPrice;
+    }
+
+    async estimateGas(tx) {
+        this.assertOnline();
+        return this.getTransferGas(tx.token || this.config.nativeToken);
+    }
+
+    async getFeeHistory(blockCount, percentiles) {
+        this.assertOnline();
+
+        if (this.config.feeHistory) {
+            return this.config.feeHistory;
+        }
+
+        const blocks = Math.min(blockCount, this.blockNumber);
+        return {
+            oldestBlock: this.blockNumber - blocks + 1,
+            baseFeePerGas: Array(blocks + 1).fill(this.gasPrice),
+            reward: Array.from({ length: blocks }, () => percentiles.map(p => BigInt(this.config.priorityFees[p] ?? 0))),
+            gasUsedRatio: Array(blocks).fill(0.5)
+        };
+    }
+
+    async sendTransaction(tx) {
+        this.assertOnline();
+
+        const from = tx.from || this.config.account;
+        const nonce = tx.nonce ?? (this.nextNonces.get(from) || 0);
+
+        if (nonce < (this.minedNonces.get(from) || 0)) {
+            throw createChainError('transaction_rejected', `Nonce ${nonce} already used`);
+        }
+
+        // Re-using a pending nonce replaces that transaction, as a real mempool does
+        this.transactions.forEach((pending, pendingHash) => {
+            if (pending.from === from && pending.nonce === nonce && !this.receipts.has(pendingHash)) {
+                this.transactions.delete(pendingHash);
+            }
+        });
+
+        const hash = '0x' + (++this.hashCounter).toString(16).padStart(64, '0');
+        this.transactions.set(hash, { ...tx, from, nonce, hash });
+        this.nextNonces.set(from, Math.max(this.nextNonces.get(from) || 0, nonce + 1));
+
+        if (this.config.autoMine) {
+            this.mine();
+        }
+
+        return hash;
+    }
+
+    mine() {
+        this.blockNumber++;
+
+        this.transactions.forEach((tx, hash) => {
+            if (this.receipts.has(hash)) return;
+            this.minedNonces.set(tx.from, Math.max(this.minedNonces.get(tx.from) || 0, tx.nonce + 1));
+            this.receipts.set(hash, {
+                hash,
+                blockNumber: this.blockNumber,
+                gasUsed: tx.gasLimit || this.getTransferGas(tx.token || this.config.nativeToken),
+                status: tx.shouldFail ? 'failed' : 'confirmed'
+            });
+        });
+
+        return this.blockNumber;
+    }
+
+    async getTransactionReceipt(hash) {
+        this.assertOnline();
+        return this.receipts.get(hash) || null;
+    }
+
+    async getTransaction(hash) {
+        this.assertOnline();
+
+        const tx = this.transactions.get(hash);
+        if (!tx) return null;
+
+        return {
+            hash,
+            from: tx.from,
+            nonce: tx.nonce,
+            blockNumber: this.receipts.get(hash)?.blockNumber ?? null
+        };
+    }
+
+    async getTransactionCount(address, blockTag = 'latest') {
+        this.assertOnline();
+        return (blockTag === 'pending' ? this.nextNonces : this.minedNonces).get(address) || 0;
+    }
+}
+
+// ==================== PRICE FEEDS ====================
+
+class PriceFeed {
+    constructor(config = {}) {
+        this.config = {
+            currency: 'USD',
+            cacheTTL: 60000,
+            ...config
+        };
+
+        this.cache = new Map();
+    }
+
+    async getPrice(symbol, currency = this.config.currency) {
+        const key = `${symbol}:${currency}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.timestamp < this.config.cacheTTL) {
+            return cached.price;
+        }
+
+        const price = await this.fetchPrice(symbol, currency);
+        this.cache.set(key, { price, timestamp: Date.now() });
+        return price;
+    }
+
+    async fetchPrice(symbol, currency) {
+        throw new Error(`${this.constructor.name} does not implement fetchPrice()`);
+    }
+}
+
+class HttpPriceFeed extends PriceFeed {
+    constructor(config = {}) {
+        super({
+            url: 'https://api.coingecko.com/api/v3/simple/price',
+            // Symbol -> CoinGecko asset id
+            assetIds: { ETH: 'ethereum', STRK: 'starknet', USDC: 'usd-coin', USDT: 'tether', BTC: 'bitcoin' },
+            ...config
+        });
+    }
+
+    async fetchPrice(symbol, currency) {
+        const assetId = this.config.assetIds[symbol];
+        if (!assetId) {
+            throw new Error(`No price feed id for ${symbol}`);
+        }
+
+        const vsCurrency = currency.toLowerCase();
+        const response = await fetch(`${this.config.url}?ids=${assetId}&vs_currencies=${vsCurrency}`);
+        if (!response.ok) {
+            throw new Error(`Price feed failed with HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const price = data[assetId]?.[vsCurrency];
+        if (typeof price !== 'number') {
+            throw new Error(`Price feed returned no ${currency} price for ${symbol}`);
+        }
+
+        return price;
+    }
+}
+
+class StaticPriceFeed extends PriceFeed {
+    constructor(config = {}) {
+        super({
+            prices: { ETH: 2500, STRK: 0.5, USDC: 1, USDT: 1 },
+            ...config
+        });
+    }
+
+    setPrice(symbol, price) {
+        this.config.prices[symbol] = price;
+        this.cache.clear();
+    }
+
+    async fetchPrice(symbol, currency) {
+        const price = this.config.prices[symbol];
+        if (typeof price !== 'number') {
+            throw new Error(`No fixture price for ${symbol}`);
+        }
+        return price;
+    }
+}
+
+// ==================== FACTORY ====================
+
+function createChainProvider(config = {}) {
+    if (config instanceof ChainProvider) {
+        return config;
+    }
+
+    const type = config.type || (config.feeModel === 'starknet' ? 'starknet' : 'evm');
+
+    switch (type) {
+        case 'starknet':
+            return new StarkNetProvider(config);
+        case 'mock':
+            return new MockChainProvider(config);
+        case 'evm':
+            return new EVMProvider(config);
+        default:
+            throw new Error(`Unknown chain provider type: ${type}`);
+    }
+}
+
+const FacePayChainProviders = {
+    ChainProvider,
+    EVMProvider,
+    StarkNetProvider,
+    MockChainProvider,
+    PriceFeed,
+    HttpPriceFeed,
+    StaticPriceFeed,
+    createChainProvider,
+    createChainError,
+    parseUnits,
+    toHex,
+    fromHex,
+    weiFromHex
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayChainProviders;
+} else if (typeof window !== 'undefined') {
+    window.FacePayChainProviders = FacePayChainProviders;
+}
@@ -0,0 +1,411 @@
+/**
+ * FacePay QR Codes
+ * Minimal ISO/IEC 18004 encoder (byte mode, versions 1-40, automatic mask) used to
+ * render payment requests, plus an SVG renderer that needs no canvas.
+ */
+
+// Error-correction codewords per block and block count, indexed [level][version]
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Two-bit level indicator written into the format information
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function createQRError(message) {
+    const error = new Error(message);
+    error.type = 'qr_capacity_exceeded';
+    return error;
+}
+
+// ==================== REED-SOLOMON ====================
+
+// GF(2^8) multiply modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// ==================== CODEWORDS ====================
+
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getDataCodewords(version, level) {
+    return Math.floor(getRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+function encodeData(bytes, version, level) {
+    const capacity = getDataCodewords(version, level) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    // Byte mode indicator, character count, payload
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    return codewords;
+}
+
+// Split into blocks, append ECC to each, then interleave column by column
+function addErrorCorrection(data, version, level) {
+    const blockCount = ECC_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding slot of short blocks
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// ==================== MATRIX ====================
+
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+class QRMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their light separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // Alignment patterns never overlap the finder corners
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas now; real bits are written once the mask is known
+        this.drawFormatBits('M', 0);
+        this.drawVersionBits();
+    }
+
+    drawFormatBits(level, mask) {
+        const data = (ECC_FORMAT_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const { size } = this;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    // Zig-zag through two-module columns from the bottom-right corner
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const { size, modules } = this;
+        let penalty = 0;
+        const lines = [];
+
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more same-colour modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+            const padded = [false, false, false, false, ...line, false, false, false, false];
+            const pattern = [true, false, true, true, true, false, true];
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const core = pattern.every((dark, k) => padded[i + 4 + k] === dark);
+                if (!core) continue;
+                const lightBefore = !padded[i] && !padded[i + 1] && !padded[i + 2] && !padded[i + 3];
+                const lightAfter = padded.slice(i + 11, i + 15).length === 4 &&
+                    padded.slice(i + 11, i + 15).every(dark => !dark);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Dark/light balance, 10 points per 5% away from half
+        const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+}
+
+// ==================== PUBLIC API ====================
+
+function encode(text, options = {}) {
+    const { level = 'M', minVersion = 1, maxVersion = 40, mask = null } = options;
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = minVersion;
+    for (; version <= maxVersion; version++) {
+        const needed = 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+        if (needed <= getDataCodewords(version, level) * 8) break;
+    }
+    if (version > maxVersion) {
+        throw createQRError(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+    const matrix = new QRMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+
+    let chosen = mask;
+    if (chosen === null) {
+        let best = Infinity;
+        for (let candidate = 0; candidate < MASKS.length; candidate++) {
+            matrix.applyMask(candidate);
+            matrix.drawFormatBits(level, candidate);
+            const score = matrix.getPenaltyScore();
+            if (score < best) {
+                best = score;
+                chosen = candidate;
+            }
+            matrix.applyMask(candidate);
+        }
+    }
+
+    matrix.applyMask(chosen);
+    matrix.drawFormatBits(level, chosen);
+
+    return { version, level, mask: chosen, size: matrix.size, modules: matrix.modules };
+}
+
+function toSvg(qr, options = {}) {
+    const { margin = 4, scale = 4, dark = '#000', light = '#fff' } = options;
+    const dimension = qr.size + margin * 2;
+    const path = [];
+
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+        `width="${dimension * scale}" height="${dimension * scale}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="${light}"/>` +
+        `<path d="${path.join('')}" fill="${dark}"/></svg>`;
+}
+
+const FacePayQRCode = {
+    encode,
+    toSvg
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayQRCode;
+} else if (typeof window !== 'undefined') {
+    window.FacePayQRCode = FacePayQRCode;
+}
@@ -0,0 +1,153 @@
+/**
+ * FacePay Wallet Storage
+ * Promise-based IndexedDB object stores for wallet data, with an in-memory
+ * equivalent for environments without IndexedDB (Node tests, private browsing)
+ */
+
+const WALLET_DB_SCHEMA = {
+    name: 'facepay-wallet',
+    version: 3,
+    stores: {
+        transactions: { keyPath: 'id', indexes: ['state', 'createdAt'] },
+        // Passkeys registered on this device, and the local relying party's verified public keys
+        passkeys: { keyPath: 'id', indexes: ['userId'] },
+        'passkey-credentials': { keyPath: 'id', indexes: ['userId'] },
+        // Encrypted backup phrase (see crypto-keystore.js); never holds plaintext keys
+        keystores: { keyPath: 'id' }
+    }
+};
+
+const openDatabases = new Map();
+
+function openWalletDatabase(schema = WALLET_DB_SCHEMA) {
+    if (openDatabases.has(schema.name)) {
+        return openDatabases.get(schema.name);
+    }
+
+    const dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(schema.name, schema.version);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const upgrade = request.transaction;
+
+            Object.entries(schema.stores).forEach(([storeName, definition]) => {
+                const store = db.objectStoreNames.contains(storeName)
+                    ? upgrade.objectStore(storeName)
+                    : db.createObjectStore(storeName, { keyPath: definition.keyPath });
+
+                (definition.indexes || []).forEach(index => {
+                    if (!store.indexNames.contains(index)) {
+                        store.createIndex(index, index);
+                    }
+                });
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`${schema.name} upgrade blocked by another open tab`));
+    });
+
+    // Allow a retry after a failed open instead of caching the rejection
+    dbPromise.catch(() => openDatabases.delete(schema.name));
+    openDatabases.set(schema.name, dbPromise);
+    return dbPromise;
+}
+
+class IndexedDBStore {
+    constructor(storeName, options = {}) {
+        this.storeName = storeName;
+        this.schema = options.schema || WALLET_DB_SCHEMA;
+
+        if (!this.schema.stores[storeName]) {
+            throw new Error(`Unknown wallet store: ${storeName}`);
+        }
+    }
+
+    async run(mode, operation) {
+        const db = await openWalletDatabase(this.schema);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+class MemoryStore {
+    constructor(storeName, options = {}) {
+        this.storeName = storeName;
+        this.keyPath = options.keyPath || 'id';
+        this.records = new Map();
+    }
+
+    // Copies mimic IndexedDB's structured clone so callers never share references with the store
+    async get(key) {
+        const record = this.records.get(key);
+        return record ? structuredClone(record) : undefined;
+    }
+
+    async getAll() {
+        return Array.from(this.records.values()).map(record => structuredClone(record));
+    }
+
+    async put(record) {
+        const key = record[this.keyPath];
+        this.records.set(key, structuredClone(record));
+        return key;
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+function createWalletStore(storeName, options = {}) {
+    return typeof indexedDB !== 'undefined'
+        ? new IndexedDBStore(storeName, options)
+        : new MemoryStore(storeName, options);
+}
+
+const FacePayWalletStorage = {
+    WALLET_DB_SCHEMA,
+    IndexedDBStore,
+    MemoryStore,
+    createWalletStore,
+    openWalletDatabase
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayWalletStorage;
+} else if (typeof window !== 'undefined') {
+    window.FacePayWalletStorage = FacePayWalletStorage;
+}
@@ -0,0 +1,265 @@
+/**
+ * FacePay Tokens & Portfolio
+ * Per-chain token registry, pluggable balance adapters (EVM JSON-RPC, StarkNet
+ * JSON-RPC, fixture) and a portfolio model that values holdings through a PriceFeed.
+ */
+
+const TokenProviders = (typeof window !== 'undefined' && window.FacePayChainProviders) ||
+    (typeof require === 'function' ? require('./crypto-providers.js') : null);
+
+// Token fields: symbol, name, decimals, address (null = native coin), icon (emoji or image URL)
+const DEFAULT_TOKENS = {
+    1: [
+        { symbol: 'ETH', name: 'Ether', decimals: 18, address: null, icon: '⟠' },
+        { symbol: 'USDC', name: 'USD Coin', decimals: 6, address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', icon: '💵' },
+        { symbol: 'USDT', name: 'Tether USD', decimals: 6, address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', icon: '💰' },
+        { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18, address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', icon: '◈' }
+    ],
+    // On StarkNet every asset, including ETH and STRK, is an ERC-20 contract
+    SN_MAIN: [
+        { symbol: 'ETH', name: 'Ether', decimals: 18, address: '0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7', icon: '⟠' },
+        { symbol: 'STRK', name: 'Starknet Token', decimals: 18, address: '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d', icon: '🔺' },
+        { symbol: 'USDC', name: 'USD Coin', decimals: 6, address: '0x053c91253bc9682c04929ca02ed00b3e423f6710d2ee7e0d5ebb06f3ecf368a8', icon: '💵' }
+    ]
+};
+
+// balanceOf(address) / transfer(address,uint256) selectors, and StarkNet's sn_keccak('balanceOf')
+const ERC20_BALANCE_OF = '0x70a08231';
+const ERC20_TRANSFER = '0xa9059cbb';
+const STARKNET_BALANCE_OF = '0x2e4263afad30923c891518314c3c95dbe830a16874e8abc5777a9a20b54c76e';
+
+function formatUnits(value, decimals = 18) {
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+function encodeWord(value) {
+    return BigInt(value).toString(16).padStart(64, '0');
+}
+
+function encodeErc20Transfer(to, amount) {
+    return ERC20_TRANSFER + encodeWord(to) + encodeWord(amount);
+}
+
+// ==================== REGISTRY ====================
+
+class TokenRegistry {
+    constructor(options = {}) {
+        this.options = {
+            chainId: 1,
+            // Used when the chain has no default list (devnets, the mock chain)
+            nativeToken: 'ETH',
+            tokens: null,
+            ...options
+        };
+
+        this.tokens = new Map();
+        const tokens = this.options.tokens || DEFAULT_TOKENS[this.options.chainId] ||
+            [{ symbol: this.options.nativeToken, name: this.options.nativeToken, decimals: 18, address: null, icon: '⟠' }];
+        tokens.forEach(token => this.register(token));
+    }
+
+    register(token) {
+        if (!token.symbol || !Number.isInteger(token.decimals)) {
+            throw new Error('Tokens need a symbol and integer decimals');
+        }
+
+        const entry = { name: token.symbol, address: null, icon: '🪙', ...token };
+        this.tokens.set(token.symbol, entry);
+        return entry;
+    }
+
+    get(symbol) {
+        return this.tokens.get(symbol) || null;
+    }
+
+    require(symbol) {
+        const token = this.get(symbol);
+        if (!token) {
+            throw Object.assign(new Error(`Unknown token ${symbol}`), { type: 'transaction_rejected' });
+        }
+        return token;
+    }
+
+    getByAddress(address) {
+        return this.list().find(token => token.address && token.address.toLowerCase() === address.toLowerCase()) || null;
+    }
+
+    list() {
+        return Array.from(this.tokens.values());
+    }
+
+    // Call payload for sending `amount` (decimal string) of a token to `to`
+    buildTransfer(symbol, to, amount) {
+        const token = this.require(symbol);
+        const value = TokenProviders.parseUnits(amount, token.decimals);
+
+        if (!token.address) {
+            return { to, value, data: undefined };
+        }
+
+        return { to: token.address, value: 0n, data: encodeErc20Transfer(to, value) };
+    }
+}
+
+// ==================== BALANCE ADAPTERS ====================
+
+class BalanceAdapter {
+    // Resolves to Map<symbol, bigint> in each token's smallest unit
+    async getBalances(account, tokens) {
+        const balances = await Promise.all(tokens.map(token => this.getBalance(account, token)));
+        return new Map(tokens.map((token, i) => [token.symbol, balances[i]]));
+    }
+
+    async getBalance(account, token) {
+        throw new Error(`${this.constructor.name} does not implement getBalance()`);
+    }
+}
+
+class EVMBalanceAdapter extends BalanceAdapter {
+    constructor(options = {}) {
+        super();
+        this.provider = options.provider;
+    }
+
+    async getBalance(account, token) {
+        if (!token.address) {
+            return BigInt(await this.provider.request('eth_getBalance', [account, 'latest']));
+        }
+
+        const result = await this.provider.request('eth_call', [{
+            to: token.address,
+            data: ERC20_BALANCE_OF + encodeWord(account)
+        }, 'latest']);
+
+        return result && result !== '0x' ? BigInt(result) : 0n;
+    }
+}
+
+class StarkNetBalanceAdapter extends BalanceAdapter {
+    constructor(options = {}) {
+        super();
+        this.provider = options.provider;
+    }
+
+    async getBalance(account, token) {
+        const [low = '0x0', high = '0x0'] = await this.provider.request('starknet_call', {
+            request: {
+                contract_address: token.address,
+                entry_point_selector: STARKNET_BALANCE_OF,
+                calldata: [account]
+            },
+            block_id: 'latest'
+        });
+
+        // Cairo u256 is returned as (low, high) 128-bit felts
+        return BigInt(low) + (BigInt(high) << 128n);
+    }
+}
+
+// Balances as decimal strings per account: { '0xabc…': { ETH: '1.5', USDC: '250' } }
+class FixtureBalanceAdapter extends BalanceAdapter {
+    constructor(options = {}) {
+        super();
+        this.balances = new Map(Object.entries(options.balances || {})
+            .map(([account, holdings]) => [account.toLowerCase(), holdings]));
+    }
+
+    setBalance(account, symbol, amount) {
+        const key = account.toLowerCase();
+        this.balances.set(key, { ...this.balances.get(key), [symbol]: amount });
+    }
+
+    async getBalance(account, token) {
+        const amount = this.balances.get(account.toLowerCase())?.[token.symbol];
+        return amount ? TokenProviders.parseUnits(amount, token.decimals) : 0n;
+    }
+}
+
+function createBalanceAdapter(provider) {
+    if (provider instanceof TokenProviders.StarkNetProvider) {
+        return new StarkNetBalanceAdapter({ provider });
+    }
+    if (provider instanceof TokenProviders.MockChainProvider) {
+        return new FixtureBalanceAdapter();
+    }
+    return new EVMBalanceAdapter({ provider });
+}
+
+// ==================== PORTFOLIO ====================
+
+class Portfolio {
+    constructor(options = {}) {
+        this.options = {
+            registry: null,
+            adapter: null,
+            priceFeed: null,
+            currency: 'USD',
+            ...options
+        };
+    }
+
+    async load(account) {
+        const { registry, adapter, priceFeed, currency } = this.options;
+        const tokens = registry.list();
+
+        const [balances, prices] = await Promise.all([
+            adapter.getBalances(account, tokens),
+            // A missing price only hides that token's fiat value
+            Promise.allSettled(tokens.map(token => priceFeed.getPrice(token.symbol, currency)))
+        ]);
+
+        const holdings = tokens.map((token, i) => {
+            const balance = balances.get(token.symbol) ?? 0n;
+            const amount = formatUnits(balance, token.decimals);
+            const price = prices[i].status === 'fulfilled' ? prices[i].value : null;
+
+            return {
+                token,
+                balance,
+                amount,
+                price,
+                fiat: price === null ? null : Number(amount) * price
+            };
+        });
+
+        // Valued holdings first, largest first; then unpriced holdings; empty balances last
+        holdings.sort((a, b) =>
+            (b.balance > 0n) - (a.balance > 0n) ||
+            (b.fiat ?? -1) - (a.fiat ?? -1) ||
+            a.token.symbol.localeCompare(b.token.symbol)
+        );
+
+        return {
+            account,
+            currency,
+            holdings,
+            total: holdings.reduce((sum, holding) => sum + (holding.fiat || 0), 0),
+            updatedAt: Date.now()
+        };
+    }
+}
+
+const FacePayTokens = {
+    DEFAULT_TOKENS,
+    TokenRegistry,
+    BalanceAdapter,
+    EVMBalanceAdapter,
+    StarkNetBalanceAdapter,
+    FixtureBalanceAdapter,
+    createBalanceAdapter,
+    Portfolio,
+    formatUnits,
+    encodeErc20Transfer
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayTokens;
+} else if (typeof window !== 'undefined') {
+    window.FacePayTokens = FacePayTokens;
+}
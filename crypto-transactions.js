@@ -0,0 +1,458 @@
+/**
+ * FacePay Transaction Lifecycle
+ * Explicit state machine for outgoing transactions, persisted through a wallet store
+ * so pending transactions survive reloads and can be sped up or cancelled.
+ *
+ * draft → awaiting-auth → signed → broadcast → pending → confirmed / failed / replaced
+ */
+
+const TransactionProviders = (typeof window !== 'undefined' && window.FacePayChainProviders) ||
+    (typeof require === 'function' ? require('./crypto-providers.js') : null);
+
+const TX_STATES = {
+    DRAFT: 'draft',
+    AWAITING_AUTH: 'awaiting-auth',
+    SIGNED: 'signed',
+    BROADCAST: 'broadcast',
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    REPLACED: 'replaced'
+};
+
+const TX_TRANSITIONS = {
+    'draft': ['awaiting-auth', 'failed'],
+    // Back to draft when the user dismisses authentication
+    'awaiting-auth': ['signed', 'draft', 'failed'],
+    'signed': ['broadcast', 'failed'],
+    'broadcast': ['pending', 'confirmed', 'failed', 'replaced'],
+    'pending': ['confirmed', 'failed', 'replaced'],
+    'confirmed': [],
+    'failed': [],
+    'replaced': []
+};
+
+const TERMINAL_TX_STATES = ['confirmed', 'failed', 'replaced'];
+
+// Fee estimates are BigInt wei; Numbers (records saved before, hand-set fees) are rounded up to whole wei
+function toWei(value) {
+    if (value === undefined || value === null) return value;
+    return typeof value === 'bigint' ? value : BigInt(Math.ceil(value));
+}
+
+class TransactionManager {
+    constructor(options = {}) {
+        this.options = {
+            provider: null,
+            storage: null,
+            pollInterval: null,
+            // Replacement transactions must outbid the original by at least 10% (EIP-1559 mempool rule)
+            replacementBump: 1.1,
+            generateId: null,
+            // record -> { to, value, data } call payload; defaults to a native transfer of record.amount
+            buildTransfer: null,
+            // async (tx, record) -> raw signed transaction; required unless the provider signs itself (devnets, mock)
+            signTransaction: null,
+            ...options
+        };
+
+        this.provider = this.options.provider;
+        this.storage = this.options.storage;
+        this.transactions = new Map();
+        this.listeners = new Set();
+        this.monitors = new Map();
+        // Raw signed transactions waiting for broadcast; never persisted
+        this.signedPayloads = new Map();
+        this.stopped = false;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    on(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(record, previousState) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(record, previousState);
+            } catch (error) {
+                console.error('Transaction listener failed:', error);
+            }
+        });
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    async load() {
+        const records = await this.storage.getAll();
+        records.forEach(record => this.transactions.set(record.id, record));
+        return records;
+    }
+
+    async save(record) {
+        record.updatedAt = Date.now();
+        this.transactions.set(record.id, record);
+        await this.storage.put(record);
+    }
+
+    // ==================== STATE MACHINE ====================
+
+    async create(fields) {
+        const now = Date.now();
+        const record = {
+            id: fields.id || this.generateId(),
+            kind: 'payment',
+            state: TX_STATES.DRAFT,
+            speed: 'standard',
+            hash: null,
+            from: null,
+            nonce: null,
+            fees: null,
+            receipt: null,
+            replaces: null,
+            replacedBy: null,
+            error: null,
+            ...fields,
+            createdAt: now,
+            history: [{ state: TX_STATES.DRAFT, at: now }]
+        };
+
+        await this.save(record);
+        this.emit(record, null);
+        return record;
+    }
+
+    get(id) {
+        return this.transactions.get(id);
+    }
+
+    canTransition(record, state) {
+        return TX_TRANSITIONS[record.state].includes(state);
+    }
+
+    async transition(id, state, patch = {}) {
+        const record = this.transactions.get(id);
+        if (!record) {
+            throw new Error(`Unknown transaction ${id}`);
+        }
+
+        if (!this.canTransition(record, state)) {
+            throw new Error(`Invalid transaction transition ${record.state} → ${state}`);
+        }
+
+        const previousState = record.state;
+        Object.assign(record, patch, { state });
+        record.history.push({ state, at: Date.now() });
+
+        await this.save(record);
+        this.emit(record, previousState);
+        return record;
+    }
+
+    async fail(id, error) {
+        return this.transition(id, TX_STATES.FAILED, {
+            error: { type: error.type || 'transaction_rejected', message: error.message }
+        });
+    }
+
+    isTerminal(record) {
+        return TERMINAL_TX_STATES.includes(record.state);
+    }
+
+    isReplaceable(record) {
+        return !!this.provider.config.replaceable &&
+            [TX_STATES.BROADCAST, TX_STATES.PENDING].includes(record.state) &&
+            record.nonce !== null && record.from !== null;
+    }
+
+    getActive() {
+        return Array.from(this.transactions.values())
+            .filter(record => [TX_STATES.BROADCAST, TX_STATES.PENDING].includes(record.state));
+    }
+
+    // ==================== CHAIN INTERACTION ====================
+
+    requiresSignature() {
+        return !this.provider.config.unlockedAccounts;
+    }
+
+    // After authentication: signs the payment with the wallet key and only then records it as signed
+    async sign(id, patch = {}) {
+        const record = this.transactions.get(id);
+
+        if (!this.options.signTransaction) {
+            if (this.requiresSignature()) {
+                const error = Object.assign(new Error('No wallet key is available to sign this payment'), { type: 'signer_unavailable' });
+                await this.fail(id, error);
+                throw error;
+            }
+            return this.transition(id, TX_STATES.SIGNED, patch);
+        }
+
+        const fees = patch.fees || record.fees || {};
+        try {
+            const nonce = record.nonce ?? await this.provider.getTransactionCount(record.from, 'pending');
+            const raw = await this.options.signTransaction({
+                ...this.buildTransfer(record),
+                chainId: this.provider.config.chainId,
+                from: record.from,
+                nonce,
+                gasLimit: fees.gasLimit,
+                maxFeePerGas: toWei(fees.maxFeePerGas),
+                maxPriorityFeePerGas: toWei(fees.maxPriorityFeePerGas)
+            }, record);
+
+            this.signedPayloads.set(id, raw);
+            return await this.transition(id, TX_STATES.SIGNED, { ...patch, nonce });
+        } catch (error) {
+            this.signedPayloads.delete(id);
+            await this.fail(id, error);
+            throw error;
+        }
+    }
+
+    async broadcast(id) {
+        const record = this.transactions.get(id);
+        const raw = this.signedPayloads.get(id);
+        this.signedPayloads.delete(id);
+
+        let hash;
+        try {
+            if (!raw && this.requiresSignature()) {
+                throw Object.assign(new Error('This payment was never signed'), { type: 'signer_unavailable' });
+            }
+
+            hash = await this.provider.sendTransaction({
+                ...this.buildTransfer(record),
+                from: record.from || undefined,
+                nonce: record.nonce ?? undefined,
+                token: record.token,
+                gasLimit: record.fees?.gasLimit,
+                maxFeePerGas: toWei(record.fees?.maxFeePerGas),
+                maxPriorityFeePerGas: toWei(record.fees?.maxPriorityFeePerGas),
+                raw
+            });
+        } catch (error) {
+            await this.fail(id, error);
+            throw error;
+        }
+
+        await this.transition(id, TX_STATES.BROADCAST, { hash });
+        await this.checkMempool(record);
+        return record;
+    }
+
+    buildTransfer(record) {
+        if (this.options.buildTransfer) {
+            return this.options.buildTransfer(record);
+        }
+
+        const isNative = record.token === this.provider.config.nativeToken;
+        return { to: record.to, value: isNative ? TransactionProviders.parseUnits(record.amount) : 0n };
+    }
+
+    async checkMempool(record) {
+        if (record.state !== TX_STATES.BROADCAST) return;
+
+        const tx = await this.provider.getTransaction(record.hash);
+        if (tx && record.state === TX_STATES.BROADCAST) {
+            await this.transition(record.id, TX_STATES.PENDING, { from: tx.from, nonce: tx.nonce });
+        }
+    }
+
+    monitor(id) {
+        if (!this.monitors.has(id)) {
+            const monitoring = this.pollUntilSettled(id).finally(() => this.monitors.delete(id));
+            this.monitors.set(id, monitoring);
+        }
+
+        return this.monitors.get(id);
+    }
+
+    async pollUntilSettled(id) {
+        const record = this.transactions.get(id);
+        const interval = this.options.pollInterval ?? this.provider.config.pollInterval;
+
+        while (!this.stopped && !this.isTerminal(record)) {
+            try {
+                await this.pollOnce(record);
+            } catch (error) {
+                // Network blips must not fail the transaction; keep polling
+                record.lastError = error.message;
+            }
+
+            if (!this.isTerminal(record)) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+        }
+
+        return record;
+    }
+
+    async pollOnce(record) {
+        const receipt = await this.provider.getTransactionReceipt(record.hash);
+
+        // A speed-up or cancel may have settled this record while the receipt was in flight
+        if (this.isTerminal(record)) return;
+
+        if (receipt) {
+            await this.applyReceipt(record, receipt);
+            return;
+        }
+
+        await this.checkMempool(record);
+
+        // Nonce consumed without our receipt: another transaction (e.g. from another device) replaced it
+        if (record.state === TX_STATES.PENDING && this.provider.config.replaceable) {
+            const confirmedNonce = await this.provider.getTransactionCount(record.from);
+            if (confirmedNonce <= record.nonce) return;
+
+            // Ours may have been mined since the receipt check above; only a missing receipt means replaced
+            const lateReceipt = await this.provider.getTransactionReceipt(record.hash);
+            if (this.isTerminal(record)) return;
+
+            if (lateReceipt) {
+                await this.applyReceipt(record, lateReceipt);
+            } else {
+                await this.transition(record.id, TX_STATES.REPLACED);
+            }
+        }
+    }
+
+    async applyReceipt(record, receipt) {
+        if (receipt.status === 'failed') {
+            await this.transition(record.id, TX_STATES.FAILED, {
+                receipt,
+                error: { type: 'transaction_rejected', message: `Transaction ${record.hash} reverted` }
+            });
+        } else {
+            await this.transition(record.id, TX_STATES.CONFIRMED, { receipt });
+        }
+    }
+
+    // Follows speed-up / cancel replacements until the payment reaches a final state
+    async settle(id) {
+        let record = await this.monitor(id);
+
+        while (record.state === TX_STATES.REPLACED && record.replacedBy) {
+            record = await this.monitor(record.replacedBy);
+        }
+
+        return record;
+    }
+
+    async resume() {
+        for (const record of this.transactions.values()) {
+            if (record.state === TX_STATES.AWAITING_AUTH) {
+                await this.transition(record.id, TX_STATES.DRAFT);
+            } else if (record.state === TX_STATES.SIGNED) {
+                // Signed payloads are never persisted, so an interrupted broadcast cannot be retried
+                await this.fail(record.id, { type: 'network_error', message: 'Interrupted before broadcast' });
+            } else if ([TX_STATES.BROADCAST, TX_STATES.PENDING].includes(record.state)) {
+                this.monitor(record.id);
+            }
+        }
+
+        return this.getActive();
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    // ==================== SPEED UP & CANCEL ====================
+
+    async speedUp(id, fees) {
+        const record = this.transactions.get(id);
+        return this.replace(record, {
+            kind: record.kind === 'cancel' ? 'cancel' : 'speed-up',
+            to: record.to,
+            amount: record.amount,
+            token: record.token,
+            // Still the same payment, so it keeps counting towards the risk policy's daily limit
+            fiat: record.fiat,
+            memo: record.memo
+        }, fees);
+    }
+
+    async cancel(id, fees) {
+        const record = this.transactions.get(id);
+        return this.replace(record, {
+            kind: 'cancel',
+            to: record.from,
+            amount: '0',
+            token: this.provider.config.nativeToken
+        }, { ...fees, gasLimit: this.provider.getTransferGas(this.provider.config.nativeToken) });
+    }
+
+    async replace(record, fields, fees) {
+        if (!record || !this.isReplaceable(record)) {
+            throw Object.assign(new Error('This transaction can no longer be replaced'), { type: 'transaction_rejected' });
+        }
+
+        const replacement = await this.create({
+            ...fields,
+            recipient: record.recipient,
+            chain: record.chain,
+            speed: fees.speed || 'fast',
+            from: record.from,
+            nonce: record.nonce,
+            replaces: record.id,
+            fees: this.bumpFees(record.fees, fees)
+        });
+
+        await this.transition(replacement.id, TX_STATES.AWAITING_AUTH);
+        await this.sign(replacement.id);
+        await this.broadcast(replacement.id);
+
+        if (!this.isTerminal(record)) {
+            await this.transition(record.id, TX_STATES.REPLACED, { replacedBy: replacement.id });
+        }
+
+        this.monitor(replacement.id);
+        return replacement;
+    }
+
+    bumpFees(previous = {}, next) {
+        // Per-mille integer math so a 10% bump on round gwei values stays exact
+        const perMille = BigInt(Math.round(this.options.replacementBump * 1000));
+        const bump = value => value ? (toWei(value) * perMille + 999n) / 1000n : 0n;
+        const higher = (offered, bumped) => {
+            const wei = toWei(offered) || 0n;
+            return wei > bumped ? wei : bumped;
+        };
+
+        return {
+            gasLimit: next.gasLimit || previous?.gasLimit,
+            maxFeePerGas: higher(next.maxFeePerGas, bump(previous?.maxFeePerGas)),
+            maxPriorityFeePerGas: higher(next.maxPriorityFeePerGas, bump(previous?.maxPriorityFeePerGas))
+        };
+    }
+
+    generateId() {
+        if (this.options.generateId) {
+            return this.options.generateId();
+        }
+
+        return '0x' + Array.from(crypto.getRandomValues(new Uint8Array(32)))
+            .map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+const FacePayTransactions = {
+    TransactionManager,
+    TX_STATES,
+    TX_TRANSITIONS,
+    TERMINAL_TX_STATES
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayTransactions;
+} else if (typeof window !== 'undefined') {
+    window.FacePayTransactions = FacePayTransactions;
+}
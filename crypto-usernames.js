@@ -0,0 +1,499 @@
+/**
+ * FacePay Username Registry
+ * Resolves @usernames to addresses through an ordered chain of resolvers
+ * (FacePay directory, ENS, Starknet ID, local fixture) with TTL caching,
+ * reverse-resolution checks and checksum validation of every returned address.
+ */
+
+const UsernameAddress = (typeof window !== 'undefined' && window.FacePayAddress) ||
+    (typeof require === 'function' ? require('./crypto-address.js') : null);
+
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+// Function selectors: resolver(bytes32), addr(bytes32), name(bytes32)
+const ENS_SELECTORS = {
+    resolver: '0x0178b8bf',
+    addr: '0x3b3b57de',
+    name: '0x691f3431'
+};
+
+function normalizeUsername(username) {
+    return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+function createUsernameError(type, message, details = null) {
+    const error = new Error(message);
+    error.type = type;
+    error.details = details;
+    return error;
+}
+
+async function fetchJson(url, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: controller?.signal });
+
+        // Directories answer unknown names with 404 (or 400 for Starknet ID)
+        if (response.status === 404 || response.status === 400) return null;
+        if (!response.ok) {
+            throw createUsernameError('network_error', `${url} failed with HTTP ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (error.type) throw error;
+        throw createUsernameError('network_error', error.message, { url });
+    } finally {
+        if (timer) clearTimeout(timer);
+    }
+}
+
+// ==================== FUZZY MATCHING ====================
+
+// Optimal string alignment distance: typos, missing letters and swapped neighbours cost 1
+function editDistance(a, b) {
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function isSubsequence(query, candidate) {
+    let index = 0;
+    for (const char of candidate) {
+        if (char === query[index]) index++;
+    }
+    return index === query.length;
+}
+
+// 0 = no match, 1 = exact; prefix > substring > typo > scattered letters
+function fuzzyScore(query, candidate) {
+    const q = normalizeUsername(query);
+    const c = normalizeUsername(candidate);
+    if (!q || !c) return 0;
+
+    if (c === q) return 1;
+    if (c.startsWith(q)) return 0.9 - Math.min(0.1, (c.length - q.length) / 100);
+    if (c.includes(q)) return 0.7;
+
+    const distance = editDistance(q, c.slice(0, q.length + 1));
+    if (distance <= Math.max(1, Math.floor(q.length / 3))) return 0.6 - distance * 0.1;
+
+    return isSubsequence(q, c) ? 0.3 : 0;
+}
+
+// ==================== RESOLVERS ====================
+
+class UsernameResolver {
+    constructor(config = {}) {
+        this.config = {
+            name: 'resolver',
+            // Address formats this resolver can return: 'evm' and/or 'starknet'
+            chains: ['evm'],
+            timeout: 5000,
+            ...config
+        };
+    }
+
+    get name() {
+        return this.config.name;
+    }
+
+    supports(username, chain) {
+        return this.config.chains.includes(chain);
+    }
+
+    // Resolves to { name, address, avatar?, displayName? } or null when the name is unknown
+    async resolve(username, context) {
+        throw new Error(`${this.config.name}: resolve() not implemented`);
+    }
+
+    // Optional: reverse(address, context) -> primary name or null
+    // Optional: search(query, context) -> [{ name, avatar?, displayName? }]
+}
+
+class ENSResolver extends UsernameResolver {
+    constructor(config = {}) {
+        super({
+            name: 'ens',
+            chains: ['evm'],
+            provider: null,
+            registry: ENS_REGISTRY,
+            suffix: 'eth',
+            ...config
+        });
+    }
+
+    supports(username, chain) {
+        return super.supports(username, chain) && !username.endsWith('.stark') && !!this.config.provider;
+    }
+
+    qualify(username) {
+        return username.includes('.') ? username : `${username}.${this.config.suffix}`;
+    }
+
+    // EIP-137 namehash; names are lowercased but not fully ENSIP-15 normalized
+    namehash(name) {
+        let node = new Uint8Array(32);
+
+        name.split('.').reverse().forEach(label => {
+            const labelHash = UsernameAddress.keccak256(label);
+            node = UsernameAddress.keccak256(Uint8Array.from([...node, ...labelHash]));
+        });
+
+        return UsernameAddress.bytesToHex(node);
+    }
+
+    async call(to, selector, node) {
+        const result = await this.config.provider.request('eth_call', [{ to, data: selector + node.slice(2) }, 'latest']);
+        return result && result !== '0x' ? result : null;
+    }
+
+    async getResolver(node) {
+        const result = await this.call(this.config.registry, ENS_SELECTORS.resolver, node);
+        if (!result || result === ZERO_WORD) return null;
+
+        return '0x' + result.slice(26, 66);
+    }
+
+    async resolve(username) {
+        const name = this.qualify(username);
+        const node = this.namehash(name);
+        const resolver = await this.getResolver(node);
+        if (!resolver) return null;
+
+        const result = await this.call(resolver, ENS_SELECTORS.addr, node);
+        if (!result || result === ZERO_WORD) return null;
+
+        return { name, address: '0x' + result.slice(26, 66) };
+    }
+
+    async reverse(address) {
+        const node = this.namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+        const resolver = await this.getResolver(node);
+        if (!resolver) return null;
+
+        const result = await this.call(resolver, ENS_SELECTORS.name, node);
+        if (!result) return null;
+
+        // ABI-encoded string: offset word, length word, then UTF-8 bytes
+        const offset = parseInt(result.slice(2, 66), 16) * 2 + 2;
+        const length = parseInt(result.slice(offset, offset + 64), 16);
+        const bytes = UsernameAddress.hexToBytes(result.slice(offset + 64, offset + 64 + length * 2));
+
+        return new TextDecoder().decode(bytes) || null;
+    }
+}
+
+class StarknetIdResolver extends UsernameResolver {
+    constructor(config = {}) {
+        super({
+            name: 'starknet-id',
+            chains: ['starknet'],
+            apiUrl: 'https://api.starknet.id',
+            suffix: 'stark',
+            ...config
+        });
+    }
+
+    supports(username, chain) {
+        return super.supports(username, chain) && (!username.includes('.') || username.endsWith('.stark'));
+    }
+
+    qualify(username) {
+        return username.endsWith('.stark') ? username : `${username}.${this.config.suffix}`;
+    }
+
+    async resolve(username) {
+        const name = this.qualify(username);
+        const result = await fetchJson(`${this.config.apiUrl}/domain_to_addr?domain=${encodeURIComponent(name)}`, this.config.timeout);
+
+        return result?.addr ? { name, address: result.addr } : null;
+    }
+
+    async reverse(address) {
+        const result = await fetchJson(`${this.config.apiUrl}/addr_to_domain?addr=${encodeURIComponent(address)}`, this.config.timeout);
+        return result?.domain || null;
+    }
+}
+
+// FacePay's own directory: GET {endpoint}/users/:name, /addresses/:address and /search?q=
+class HttpDirectoryResolver extends UsernameResolver {
+    constructor(config = {}) {
+        super({
+            name: 'facepay',
+            chains: ['evm', 'starknet'],
+            endpoint: '/api/directory',
+            ...config
+        });
+    }
+
+    async resolve(username, { chain }) {
+        const user = await fetchJson(`${this.config.endpoint}/users/${encodeURIComponent(username)}`, this.config.timeout);
+        const address = user?.addresses?.[chain];
+        if (!address) return null;
+
+        return { name: user.username || username, address, avatar: user.avatar, displayName: user.displayName };
+    }
+
+    async reverse(address, { chain }) {
+        const result = await fetchJson(
+            `${this.config.endpoint}/addresses/${encodeURIComponent(address)}?chain=${chain}`,
+            this.config.timeout
+        );
+        return result?.username || null;
+    }
+
+    async search(query, { chain, limit }) {
+        const result = await fetchJson(
+            `${this.config.endpoint}/search?q=${encodeURIComponent(query)}&chain=${chain}&limit=${limit}`,
+            this.config.timeout
+        );
+
+        return (result?.users || []).map(user => ({ name: user.username, avatar: user.avatar, displayName: user.displayName }));
+    }
+}
+
+// Local JSON fixture ({ users: { alice: { addresses: { evm, starknet }, avatar } } }) for demos and tests
+class FixtureResolver extends UsernameResolver {
+    constructor(config = {}) {
+        super({
+            name: 'fixture',
+            chains: ['evm', 'starknet'],
+            url: null,
+            users: null,
+            ...config
+        });
+
+        this.loading = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = this.config.users
+                ? Promise.resolve(this.config.users)
+                : fetchJson(this.config.url, this.config.timeout).then(fixture => fixture?.users || {});
+
+            // Allow a retry after a failed fetch
+            this.loading.catch(() => { this.loading = null; });
+        }
+
+        return this.loading;
+    }
+
+    async resolve(username, { chain }) {
+        const users = await this.load();
+        const user = users[username];
+        const address = user?.addresses?.[chain];
+
+        return address ? { name: username, address, avatar: user.avatar, displayName: user.displayName } : null;
+    }
+
+    async reverse(address, { chain }) {
+        const users = await this.load();
+        const match = Object.entries(users)
+            .find(([, user]) => user.addresses?.[chain] && UsernameAddress.isSameAddress(user.addresses[chain], address, chain));
+
+        return match ? match[0] : null;
+    }
+
+    async search(query, { chain }) {
+        const users = await this.load();
+
+        return Object.entries(users)
+            .filter(([, user]) => user.addresses?.[chain])
+            .map(([name, user]) => ({ name, avatar: user.avatar, displayName: user.displayName }));
+    }
+}
+
+// ==================== REGISTRY ====================
+
+class UsernameRegistry {
+    constructor(options = {}) {
+        this.options = {
+            // Tried in order; the first resolver that knows the name wins
+            resolvers: [],
+            ttl: 5 * 60 * 1000,
+            // Unknown names are cached briefly so typing does not hammer the directories
+            negativeTtl: 30 * 1000,
+            verifyReverse: true,
+            suggestionLimit: 5,
+            ...options
+        };
+
+        this.resolvers = this.options.resolvers;
+        this.cache = new Map();
+    }
+
+    cacheKey(name, chain) {
+        return `${chain}:${name}`;
+    }
+
+    readCache(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.cache.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    invalidate(username) {
+        const name = normalizeUsername(username);
+        Array.from(this.cache.keys())
+            .filter(key => key.endsWith(`:${name}`))
+            .forEach(key => this.cache.delete(key));
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+
+    async resolve(username, { chain = 'evm' } = {}) {
+        const name = normalizeUsername(username);
+        if (!/^[a-z0-9][a-z0-9._-]*$/.test(name)) {
+            throw createUsernameError('username_not_found', `@${name} is not a valid username`);
+        }
+
+        const key = this.cacheKey(name, chain);
+        const cached = this.readCache(key);
+        if (cached) {
+            if (cached.error) throw cached.error;
+            return { ...cached.value, cached: true };
+        }
+
+        try {
+            const value = await this.lookup(name, chain);
+            this.cache.set(key, { value, expiresAt: Date.now() + this.options.ttl });
+            return value;
+        } catch (error) {
+            if (error.type === 'username_not_found') {
+                this.cache.set(key, { error, expiresAt: Date.now() + this.options.negativeTtl });
+            }
+            throw error;
+        }
+    }
+
+    async lookup(name, chain) {
+        const errors = [];
+
+        for (const resolver of this.resolvers.filter(candidate => candidate.supports(name, chain))) {
+            try {
+                const record = await resolver.resolve(name, { chain });
+                if (!record) continue;
+
+                // Throws invalid_address on a bad EIP-55 checksum or out-of-range felt
+                const address = UsernameAddress.normalizeAddress(record.address, chain);
+                const reverse = await this.checkReverse(resolver, record.name || name, address, chain);
+
+                return {
+                    username: name,
+                    name: record.name || name,
+                    address,
+                    chain,
+                    source: resolver.name,
+                    avatar: record.avatar || null,
+                    displayName: record.displayName || null,
+                    ...reverse
+                };
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        // A resolver answering with a corrupt address is worse than not knowing the name
+        const invalid = errors.find(error => error.type === 'invalid_address');
+        if (invalid) throw invalid;
+
+        if (errors.length > 0 && errors.every(error => error.type === 'network_error')) {
+            throw createUsernameError('network_error', `Unable to reach username directories for @${name}`, { errors });
+        }
+
+        throw createUsernameError('username_not_found', `Username @${name} not found`);
+    }
+
+    // verified: the address claims this name back; reverseMismatch: it claims a different one
+    async checkReverse(resolver, name, address, chain) {
+        if (!this.options.verifyReverse || typeof resolver.reverse !== 'function') {
+            return { verified: false, reverseName: null, reverseMismatch: false };
+        }
+
+        let reverseName = null;
+        try {
+            reverseName = await resolver.reverse(address, { chain });
+        } catch (error) {
+            // Reverse records are optional; an outage only costs the verified badge
+        }
+
+        const verified = !!reverseName && normalizeUsername(reverseName) === normalizeUsername(name);
+        return { verified, reverseName, reverseMismatch: !!reverseName && !verified };
+    }
+
+    async search(query, { chain = 'evm', limit = this.options.suggestionLimit } = {}) {
+        const name = normalizeUsername(query);
+        if (!name) return [];
+
+        const searchable = this.resolvers.filter(resolver => typeof resolver.search === 'function' && resolver.config.chains.includes(chain));
+        const results = await Promise.allSettled(searchable.map(resolver =>
+            resolver.search(name, { chain, limit }).then(entries => entries.map(entry => ({ ...entry, source: resolver.name })))
+        ));
+
+        const candidates = new Map();
+        results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value)
+            .forEach(entry => {
+                const username = normalizeUsername(entry.name);
+                if (!candidates.has(username)) {
+                    candidates.set(username, { username, avatar: entry.avatar || null, displayName: entry.displayName || null, source: entry.source });
+                }
+            });
+
+        return Array.from(candidates.values())
+            .map(candidate => ({ ...candidate, score: fuzzyScore(name, candidate.username) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score || a.username.localeCompare(b.username))
+            .slice(0, limit);
+    }
+}
+
+const FacePayUsernames = {
+    UsernameRegistry,
+    UsernameResolver,
+    ENSResolver,
+    StarknetIdResolver,
+    HttpDirectoryResolver,
+    FixtureResolver,
+    normalizeUsername,
+    fuzzyScore
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayUsernames;
+} else if (typeof window !== 'undefined') {
+    window.FacePayUsernames = FacePayUsernames;
+}
@@ -3,15 +3,129 @@
  * Advanced crypto wallet UX with progressive disclosure, security, and mobile optimization
  */
 
+const ChainProviders = (typeof window !== 'undefined' && window.FacePayChainProviders) ||
+    (typeof require === 'function' ? require('./crypto-providers.js') : null);
+const FeeEstimation = (typeof window !== 'undefined' && window.FacePayFeeEstimation) ||
+    (typeof require === 'function' ? require('./crypto-fee-estimator.js') : null);
+const WalletStorage = (typeof window !== 'undefined' && window.FacePayWalletStorage) ||
+    (typeof require === 'function' ? require('./crypto-storage.js') : null);
+const Transactions = (typeof window !== 'undefined' && window.FacePayTransactions) ||
+    (typeof require === 'function' ? require('./crypto-transactions.js') : null);
+const Passkeys = (typeof window !== 'undefined' && window.FacePayPasskeys) ||
+    (typeof require === 'function' ? require('./crypto-passkeys.js') : null);
+const Usernames = (typeof window !== 'undefined' && window.FacePayUsernames) ||
+    (typeof require === 'function' ? require('./crypto-usernames.js') : null);
+const WalletKeys = (typeof window !== 'undefined' && window.FacePayWallet) ||
+    (typeof require === 'function' ? require('./crypto-wallet.js') : null);
+const Keystore = (typeof window !== 'undefined' && window.FacePayKeystore) ||
+    (typeof require === 'function' ? require('./crypto-keystore.js') : null);
+const Tokens = (typeof window !== 'undefined' && window.FacePayTokens) ||
+    (typeof require === 'function' ? require('./crypto-tokens.js') : null);
+const PaymentRequests = (typeof window !== 'undefined' && window.FacePayPaymentRequests) ||
+    (typeof require === 'function' ? require('./crypto-payment-requests.js') : null);
+const QRCode = (typeof window !== 'undefined' && window.FacePayQRCode) ||
+    (typeof require === 'function' ? require('./crypto-qrcode.js') : null);
+const Addresses = (typeof window !== 'undefined' && window.FacePayAddress) ||
+    (typeof require === 'function' ? require('./crypto-address.js') : null);
+const TxHistory = (typeof window !== 'undefined' && window.FacePayHistory) ||
+    (typeof require === 'function' ? require('./crypto-history.js') : null);
+const RiskPolicy = (typeof window !== 'undefined' && window.FacePayPolicy) ||
+    (typeof require === 'function' ? require('./crypto-policy.js') : null);
+
 class FacePayCryptoUX {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            // Any ChainProvider instance, or a config for createChainProvider()
+            provider: null,
+            chain: {
+                type: 'evm',
+                rpcUrl: 'https://cloudflare-eth.com',
+                chainId: 1,
+                feeModel: 'eip1559'
+            },
+            // Any PriceFeed instance; defaults to the public HTTP price feed
+            priceFeed: null,
+            currency: 'USD',
+            // Token list for the active chain (see crypto-tokens.js); defaults to the chain's built-in list
+            tokens: null,
+            // Any BalanceAdapter; defaults to JSON-RPC balance reads through the provider
+            balanceAdapter: null,
+            // Store for the transaction lifecycle; defaults to IndexedDB when available
+            transactionStorage: null,
+            // Chain-status lookup used to re-sync history; defaults to receipts from the provider
+            statusLookup: null,
+            historyPageSize: 20,
+            // Per-rule overrides for the default risk policy, e.g. { daily: { limit: 2000 } };
+            // policyRules replaces the default rules entirely
+            policy: {},
+            policyRules: null,
+            // Relying-party verifier for passkey ceremonies; defaults to the FacePay server at passkeyEndpoint
+            passkeyVerifier: null,
+            passkeyEndpoint: '/api/webauthn',
+            // Dev only: verify passkeys in the page itself. The page then checks its own assertions and
+            // challenges, which gives no server-side assurance; never enable it where real funds are sent
+            devPasskeyVerifier: false,
+            // Ordered @username resolvers; defaults to FacePay directory → ENS / Starknet ID (→ usernameFixture when set)
+            usernameResolvers: null,
+            usernameDirectory: '/api/directory',
+            // Demo addresses such as '/usernames.json'; only for demos and tests, never where real funds are sent
+            usernameFixture: null,
+            // Encrypted backup phrase store; defaults to IndexedDB when available
+            keystoreStorage: null,
+            backupEndpoint: '/api/backups',
+            // Page that opens shared payment links; defaults to the current page
+            paymentLinkBase: null,
+            recoveryGuardians: { shares: 3, threshold: 2 },
+            networkCheckInterval: 5000,
+            gasPriceInterval: 15000,
+            ...options
+        };
+        
+        this.provider = this.createProvider(this.options.provider || this.options.chain);
+        this.priceFeed = this.options.priceFeed || new ChainProviders.HttpPriceFeed({ currency: this.options.currency });
+        this.feeEstimator = this.createFeeEstimator();
+        this.createPortfolio();
+        this.paymentRequests = this.createPaymentRequestCodec();
+        const transactionStore = this.options.transactionStorage || WalletStorage.createWalletStore('transactions');
+        this.transactionManager = new Transactions.TransactionManager({
+            provider: this.provider,
+            storage: transactionStore,
+            generateId: () => this.generateTransactionId(),
+            buildTransfer: record => this.tokens.buildTransfer(record.token, record.to, record.amount),
+            signTransaction: tx => this.signWithWallet(tx)
+        });
+        this.history = new TxHistory.TransactionHistory({
+            storage: transactionStore,
+            manager: this.transactionManager,
+            lookup: this.options.statusLookup || new TxHistory.ChainStatusLookup({ provider: this.provider }),
+            pageSize: this.options.historyPageSize
+        });
+        this.policy = new RiskPolicy.PolicyEngine({
+            rules: this.options.policyRules || RiskPolicy.PolicyEngine.createDefaultRules(this.options.policy),
+            currency: this.options.currency
+        });
+        this.passkeys = new Passkeys.PasskeyAuthenticator({
+            verifier: this.createPasskeyVerifier(),
+            storage: WalletStorage.createWalletStore('passkeys')
+        });
+        this.usernames = this.createUsernameRegistry();
+        this.keystore = new Keystore.WalletKeystore({
+            storage: this.options.keystoreStorage || WalletStorage.createWalletStore('keystores')
+        });
+        this.backupStore = new Keystore.HttpBackupStore({ endpoint: this.options.backupEndpoint });
+        
+        // Plaintext phrase of a freshly created wallet, held only until the backup is verified
+        this.onboardingSecrets = null;
+        
         this.state = {
             user: null,
             wallet: null,
             onboarding: { step: 0, completed: false },
             security: { score: 0, faceIdEnabled: false },
-            transactions: new Map(),
+            transactions: this.transactionManager.transactions,
             gasEstimates: new Map(),
+            gasPrice: null,
+            portfolio: null,
             networkStatus: 'connected'
         };
         
@@ -24,10 +138,13 @@ class FacePayCryptoUX {
 
     async init() {
         this.setupMobileOptimizations();
-        this.initializeSecuritySystems();
+        await this.initializeSecuritySystems();
+        await this.loadWallet();
         this.setupErrorHandling();
         this.initializeAnimations();
         this.startNetworkMonitoring();
+        await this.restoreTransactions();
+        await this.openIncomingPaymentRequest();
         
         console.log('🚀 FacePay Crypto UX System initialized');
     }
@@ -106,6 +223,233 @@ class FacePayCryptoUX {
         await this.animateContentIn(content);
     }
 
+    addStepInteractions(step, content) {
+        const continueBtn = document.querySelector('.facepay-onboarding #continue-btn');
+        
+        if (step.id === 'security') {
+            const enableBtn = content.querySelector('.face-id-enable-btn');
+            
+            // Face ID must be registered before the wallet is created on top of it
+            continueBtn.disabled = !this.state.security.faceIdEnabled;
+            
+            this.passkeys.isAvailable().then(available => {
+                if (!available) {
+                    enableBtn.disabled = true;
+                    enableBtn.textContent = 'Face ID not available on this device';
+                    continueBtn.disabled = false;
+                }
+            });
+            
+            enableBtn.addEventListener('click', async () => {
+                enableBtn.disabled = true;
+                try {
+                    await this.registerFaceId();
+                    enableBtn.textContent = 'Face ID Enabled ✓';
+                    continueBtn.disabled = false;
+                    this.haptic.success();
+                } catch (error) {
+                    enableBtn.disabled = false;
+                    enableBtn.textContent = 'Try Again';
+                    this.haptic.error();
+                }
+            });
+        } else if (step.id === 'wallet') {
+            this.addWalletCreationInteractions(content, continueBtn);
+        } else if (step.id === 'backup') {
+            this.addBackupInteractions(content, continueBtn);
+        } else if (step.id === 'verification') {
+            this.addBackupVerificationInteractions(content, continueBtn);
+        }
+    }
+
+    async addWalletCreationInteractions(content, continueBtn) {
+        const steps = content.querySelectorAll('.creation-progress .step');
+        const setProgress = (index) => steps.forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            el.classList.toggle('done', i < index);
+        });
+        
+        continueBtn.disabled = true;
+        
+        try {
+            if (!this.state.wallet) {
+                setProgress(0);
+                await this.generateWallet();
+                
+                setProgress(1);
+                await this.protectWallet({
+                    requestPassword: () => this.promptForPassword(content.querySelector('.wallet-password-form'), { confirm: true })
+                });
+            }
+            
+            setProgress(steps.length);
+            const address = content.querySelector('.wallet-address');
+            address.textContent = this.state.wallet.address;
+            address.classList.remove('hidden');
+            continueBtn.disabled = false;
+            this.haptic.success();
+        } catch (error) {
+            console.error('Wallet creation failed:', error);
+            content.querySelector('.wallet-creation-error').textContent = error.message;
+            this.haptic.error();
+        }
+    }
+
+    addBackupInteractions(content, continueBtn) {
+        const revealBtn = content.querySelector('.reveal-phrase-btn');
+        const phrase = content.querySelector('.backup-phrase');
+        const result = content.querySelector('.backup-option-result');
+        
+        continueBtn.disabled = true;
+        
+        revealBtn.addEventListener('click', async () => {
+            try {
+                const mnemonic = await this.getBackupPhrase(content.querySelector('.wallet-password-form'));
+                phrase.innerHTML = mnemonic.split(' ').map((word, i) => `
+                    <span class="backup-word"><em>${i + 1}</em>${word}</span>
+                `).join('');
+                revealBtn.classList.add('hidden');
+                continueBtn.disabled = false;
+            } catch (error) {
+                result.textContent = error.message;
+                this.haptic.error();
+            }
+        });
+        
+        content.querySelector('.social-recovery-btn').addEventListener('click', async () => {
+            try {
+                const shares = await this.createRecoveryShares(this.options.recoveryGuardians, content.querySelector('.wallet-password-form'));
+                result.innerHTML = `
+                    <p>Give one share to each guardian. Any ${this.options.recoveryGuardians.threshold} of them can restore your wallet; a single share reveals nothing.</p>
+                    ${shares.map((share, i) => `
+                        <div class="guardian-share">
+                            <span>Guardian ${i + 1}</span>
+                            <code>${share}</code>
+                        </div>
+                    `).join('')}
+                    <button class="btn-secondary confirm-shares-btn">My guardians have their shares</button>
+                `;
+                
+                result.querySelector('.confirm-shares-btn').addEventListener('click', async () => {
+                    await this.confirmRecoveryShares();
+                    result.textContent = 'Social recovery set up ✓';
+                    this.haptic.success();
+                }, { once: true });
+            } catch (error) {
+                result.textContent = error.message;
+                this.haptic.error();
+            }
+        });
+        
+        content.querySelector('.cloud-backup-btn').addEventListener('click', async () => {
+            try {
+                await this.uploadCloudBackup();
+                result.textContent = 'Encrypted backup saved. Only your password or passkey can open it.';
+                this.haptic.success();
+            } catch (error) {
+                result.textContent = `Cloud backup failed: ${error.message}`;
+                this.haptic.error();
+            }
+        });
+    }
+
+    async addBackupVerificationInteractions(content, continueBtn) {
+        const prompt = content.querySelector('.verification-prompt');
+        const options = content.querySelector('.word-options');
+        
+        const alreadyVerified = !this.onboardingSecrets && this.state.wallet?.backupMethods.includes('phrase');
+        continueBtn.disabled = !alreadyVerified;
+        if (alreadyVerified) {
+            prompt.textContent = 'Backup already verified ✓';
+            return;
+        }
+        
+        let quiz;
+        try {
+            quiz = new WalletKeys.BackupQuiz(await this.getBackupPhrase(content.querySelector('.wallet-password-form')));
+        } catch (error) {
+            prompt.textContent = error.message;
+            this.haptic.error();
+            return;
+        }
+        
+        const render = () => {
+            prompt.textContent = `Tap word #${quiz.position + 1} of ${quiz.words.length}`;
+            options.innerHTML = quiz.options.map(option => `
+                <button type="button" class="word-option" data-slot="${option.slot}">${option.word}</button>
+            `).join('');
+        };
+        
+        options.addEventListener('click', async (e) => {
+            const button = e.target.closest('.word-option');
+            if (!button || button.disabled) return;
+            
+            const result = quiz.select(Number(button.dataset.slot));
+            
+            if (!result.correct) {
+                // One wrong tap restarts the quiz with a fresh shuffle
+                button.classList.add('wrong');
+                this.haptic.error();
+                setTimeout(() => { quiz.reset(); render(); }, 600);
+                return;
+            }
+            
+            button.disabled = true;
+            button.classList.add('selected');
+            this.haptic.light();
+            
+            if (result.complete) {
+                await this.completeBackupVerification();
+                prompt.textContent = 'Backup verified ✓';
+                continueBtn.disabled = false;
+                this.haptic.success();
+            } else {
+                prompt.textContent = `Tap word #${result.position + 1} of ${quiz.words.length}`;
+            }
+        });
+        
+        render();
+    }
+
+    // Resolves with the password typed into a .wallet-password-form
+    promptForPassword(form, { confirm = false } = {}) {
+        const minLength = this.keystore.options.minPasswordLength;
+        const confirmInput = form.querySelector('.wallet-password-confirm');
+        const error = form.querySelector('.wallet-password-error');
+        
+        confirmInput.classList.toggle('hidden', !confirm);
+        form.classList.remove('hidden');
+        form.querySelector('.wallet-password').focus();
+        
+        return new Promise(resolve => {
+            const onSubmit = (e) => {
+                e.preventDefault();
+                const password = form.querySelector('.wallet-password').value;
+                
+                if (confirm && password.length < minLength) {
+                    error.textContent = `Use at least ${minLength} characters`;
+                } else if (confirm && password !== confirmInput.value) {
+                    error.textContent = 'Passwords do not match';
+                } else {
+                    form.removeEventListener('submit', onSubmit);
+                    form.reset();
+                    form.classList.add('hidden');
+                    resolve(password);
+                }
+            };
+            
+            form.addEventListener('submit', onSubmit);
+        });
+    }
+
+    waitForStepCompletion(step) {
+        const continueBtn = document.querySelector('.facepay-onboarding #continue-btn');
+        
+        return new Promise(resolve => {
+            continueBtn.addEventListener('click', () => resolve(step), { once: true });
+        });
+    }
+
     async getStepContent(step) {
         const templates = {
             welcome: `
@@ -153,21 +497,24 @@ class FacePayCryptoUX {
                 <div class="wallet-creation">
                     <div class="wallet-icon-animated"></div>
                     <h2>Create Your Wallet</h2>
-                    <p>Your wallet is being generated with military-grade encryption.</p>
+                    <p>Your keys are generated on this device and never leave it unencrypted.</p>
                     <div class="creation-progress">
                         <div class="step active">
                             <span class="icon">🔐</span>
                             <span>Generating keys</span>
                         </div>
                         <div class="step">
-                            <span class="icon">🌐</span>
-                            <span>Connecting to network</span>
+                            <span class="icon">🛡️</span>
+                            <span>Encrypting on this device</span>
                         </div>
                         <div class="step">
                             <span class="icon">✅</span>
                             <span>Wallet ready</span>
                         </div>
                     </div>
+                    ${this.getPasswordFormMarkup('Face ID can\'t encrypt your wallet on this device. Choose a password instead.')}
+                    <div class="wallet-address hidden"></div>
+                    <div class="wallet-creation-error"></div>
                 </div>
             `,
             backup: `
@@ -179,6 +526,12 @@ class FacePayCryptoUX {
                         <div class="backup-phrase"></div>
                         <button class="reveal-phrase-btn">Tap to Reveal</button>
                     </div>
+                    ${this.getPasswordFormMarkup('Enter your wallet password to show the backup phrase.')}
+                    <div class="backup-options">
+                        <button class="btn-secondary social-recovery-btn">Split among guardians</button>
+                        <button class="btn-secondary cloud-backup-btn">Encrypted cloud backup</button>
+                        <div class="backup-option-result"></div>
+                    </div>
                     <div class="security-tips">
                         <div class="tip">
                             <span class="icon">✍️</span>
@@ -204,6 +557,7 @@ class FacePayCryptoUX {
                         <div class="verification-prompt"></div>
                         <div class="word-options"></div>
                     </div>
+                    ${this.getPasswordFormMarkup('Enter your wallet password to start the check.')}
                 </div>
             `,
             complete: `
@@ -233,13 +587,37 @@ class FacePayCryptoUX {
         return templates[step.id] || '<div>Step content not found</div>';
     }
 
+    getPasswordFormMarkup(message) {
+        return `
+            <form class="wallet-password-form hidden">
+                <p>${message}</p>
+                <input type="password" class="wallet-password" placeholder="Password" autocomplete="new-password">
+                <input type="password" class="wallet-password-confirm hidden" placeholder="Confirm password" autocomplete="new-password">
+                <div class="wallet-password-error"></div>
+                <button type="submit" class="btn-primary">Continue</button>
+            </form>
+        `;
+    }
+
     // ==================== TRANSACTION UX EXCELLENCE ====================
     
-    async initiateTransaction(recipient, amount, token = 'ETH') {
-        const txId = this.generateTransactionId();
+    async initiateTransaction(recipient, amount, token = 'ETH', { memo = null } = {}) {
+        // Before any lookup, RPC call or password prompt: there is nothing to pay from yet
+        const from = this.requireWallet().address;
+        const to = await this.resolveRecipient(recipient);
         
-        // Real-time gas estimation
-        const gasEstimate = await this.estimateGas(recipient, amount, token);
+        // Real-time gas estimation; its fiat value also prices the payment for the risk policy
+        const gasEstimate = await this.estimateGas(to, amount, token);
+        const { id: txId } = await this.transactionManager.create({
+            recipient,
+            to,
+            from,
+            amount: String(amount),
+            token,
+            memo,
+            fiat: gasEstimate.amount.fiat ?? null,
+            chain: this.getAddressChain()
+        });
         this.state.gasEstimates.set(txId, gasEstimate);
         
         // Create transaction UI
@@ -249,24 +627,28 @@ class FacePayCryptoUX {
         return this.executeTransactionFlow(txId, transactionUI);
     }
 
+    requireWallet() {
+        if (!this.state.wallet?.address) {
+            throw Object.assign(new Error('Create or import a wallet before sending payments'), { type: 'wallet_required' });
+        }
+        return this.state.wallet;
+    }
+
     async estimateGas(recipient, amount, token) {
-        // Simulate real-time gas estimation
-        const baseGas = 21000;
-        const gasPrice = await this.getCurrentGasPrice();
+        // Fee history, per-token transfer cost and fiat prices come from the provider & price feed
+        const estimate = await this.feeEstimator.estimate({
+            to: recipient,
+            amount,
+            token,
+            value: this.isNativeToken(token) ? ChainProviders.parseUnits(amount) : 0n
+        });
         
-        return {
-            gasLimit: baseGas + (token !== 'ETH' ? 45000 : 0),
-            gasPrice: gasPrice,
-            estimatedCost: (baseGas * gasPrice) / 1e18,
-            speeds: {
-                slow: { price: gasPrice * 0.8, time: '5-10 min' },
-                standard: { price: gasPrice, time: '2-5 min' },
-                fast: { price: gasPrice * 1.2, time: '< 2 min' }
-            }
-        };
+        this.state.gasPrice = estimate.baseFee;
+        return estimate;
     }
 
     createTransactionInterface(txId, recipient, amount, token, gasEstimate) {
+        const { memo } = this.transactionManager.get(txId);
         const container = document.createElement('div');
         container.className = 'transaction-interface';
         container.innerHTML = `
@@ -286,6 +668,7 @@ class FacePayCryptoUX {
                     <span class="to-label">To:</span>
                     <span class="recipient">${this.formatRecipient(recipient)}</span>
                 </div>
+                ${memo ? `<div class="memo-display">“${this.escapeHtml(memo)}”</div>` : ''}
                 
                 <div class="gas-optimizer">
                     <h4>Transaction Speed</h4>
@@ -297,17 +680,12 @@ class FacePayCryptoUX {
                 <div class="tx-summary">
                     <div class="summary-row">
                         <span>Amount:</span>
-                        <span>${amount} ${token}</span>
-                    </div>
-                    <div class="summary-row">
-                        <span>Network Fee:</span>
-                        <span id="selected-fee">${gasEstimate.estimatedCost.toFixed(6)} ETH</span>
-                    </div>
-                    <div class="summary-row total">
-                        <span>Total:</span>
-                        <span>${amount} ${token} + fees</span>
+                        <span>${amount} ${token} <span class="fiat">${this.formatFiat(gasEstimate.amount.fiat)}</span></span>
                     </div>
+                    ${this.createSummaryFeeRows(gasEstimate, 'standard')}
                 </div>
+                
+                <div class="policy-notice hidden"></div>
             </div>
             
             <div class="tx-actions">
@@ -328,6 +706,7 @@ class FacePayCryptoUX {
         
         document.body.appendChild(container);
         this.addTransactionInteractions(container, txId);
+        this.renderPolicyNotice(container, txId, this.evaluatePolicy(txId));
         
         return container;
     }
@@ -342,32 +721,140 @@ class FacePayCryptoUX {
                         <span class="speed-name">${speed.charAt(0).toUpperCase() + speed.slice(1)}</span>
                         <span class="speed-time">${option.time}</span>
                     </div>
-                    <div class="speed-cost">${(option.price / 1e9).toFixed(1)} gwei</div>
+                    <div class="speed-cost">
+                        <span class="speed-price">${(Number(option.price) / 1e9).toFixed(2)} gwei</span>
+                        <span class="speed-fiat">${this.formatFiat(option.fiat.cost)}</span>
+                        <span class="speed-range">${this.formatFiatRange(option.fiat.low, option.fiat.high)}</span>
+                    </div>
                 </div>
             `;
         }).join('');
     }
 
+    createSummaryFeeRows(gasEstimate, speed) {
+        const option = gasEstimate.speeds[speed];
+        const { nativeToken, amount } = gasEstimate;
+        const total = amount.token === nativeToken
+            ? `${(amount.value + option.cost).toFixed(6)} ${nativeToken}`
+            : `${amount.value} ${amount.token} + ${option.cost.toFixed(6)} ${nativeToken}`;
+        
+        return `
+            <div class="summary-row">
+                <span>Network Fee:</span>
+                <span id="selected-fee">
+                    ${option.cost.toFixed(6)} ${nativeToken}
+                    <span class="fiat">${this.formatFiat(option.fiat.cost)}</span>
+                </span>
+            </div>
+            <div class="summary-row fee-range">
+                <span>Likely range (${Math.round(gasEstimate.confidence * 100)}%):</span>
+                <span>${option.costRange.low.toFixed(6)} – ${option.costRange.high.toFixed(6)} ${nativeToken}</span>
+            </div>
+            <div class="summary-row max-fee">
+                <span>Max Fee:</span>
+                <span>${option.maxCost.toFixed(6)} ${nativeToken}</span>
+            </div>
+            <div class="summary-row total">
+                <span>Total:</span>
+                <span id="selected-total">
+                    ${total}
+                    <span class="fiat">${this.formatFiat(option.fiat.total)}</span>
+                </span>
+            </div>
+        `;
+    }
+
+    addTransactionInteractions(container, txId) {
+        const gasOptions = container.querySelectorAll('.gas-option');
+        
+        gasOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                gasOptions.forEach(other => other.classList.remove('selected'));
+                option.classList.add('selected');
+                this.selectTransactionSpeed(container, txId, option.dataset.speed);
+                this.haptic.light();
+            });
+        });
+    }
+
+    selectTransactionSpeed(container, txId, speed) {
+        const tx = this.state.transactions.get(txId);
+        const gasEstimate = this.state.gasEstimates.get(txId);
+        if (!tx || !gasEstimate?.speeds[speed]) return;
+        
+        tx.speed = speed;
+        
+        const summary = container.querySelector('.tx-summary');
+        summary.querySelectorAll('.summary-row:not(:first-child)').forEach(row => row.remove());
+        summary.insertAdjacentHTML('beforeend', this.createSummaryFeeRows(gasEstimate, speed));
+    }
+
     async executeTransactionFlow(txId, ui) {
+        const manager = this.transactionManager;
+        
         return new Promise((resolve, reject) => {
             const confirmBtn = ui.querySelector('.confirm-btn');
             
+            // Follow the payment and any speed-up / cancel replacements in the processing screen
+            const trackedIds = new Set([txId]);
+            const unsubscribe = manager.on(record => {
+                if (trackedIds.has(record.id) || trackedIds.has(record.replaces)) {
+                    trackedIds.add(record.id);
+                    this.updateProcessingSteps(ui, record);
+                }
+            });
+            
             confirmBtn.addEventListener('click', async () => {
                 try {
+                    // Limits and history may have changed since the interface opened
+                    const evaluation = this.evaluatePolicy(txId);
+                    this.renderPolicyNotice(ui, txId, evaluation);
+                    if (evaluation.decision === RiskPolicy.POLICY_DECISIONS.BLOCK) {
+                        this.haptic.error();
+                        return;
+                    }
+                    
+                    await manager.transition(txId, Transactions.TX_STATES.AWAITING_AUTH);
+                    
                     // Start Face ID authentication
-                    await this.authenticateWithFaceId();
+                    try {
+                        await this.authenticateWithFaceId({ txId });
+                        if (evaluation.decision === RiskPolicy.POLICY_DECISIONS.EXTRA_AUTH) {
+                            await this.confirmExtraAuthentication(ui, txId, evaluation);
+                        }
+                    } catch (error) {
+                        await manager.transition(txId, Transactions.TX_STATES.DRAFT);
+                        throw Object.assign(error, { type: error.type || 'face_id_failed' });
+                    }
+                    
+                    const tx = manager.get(txId);
+                    const gasEstimate = this.state.gasEstimates.get(txId);
+                    const fees = gasEstimate.speeds[tx.speed];
+                    await manager.sign(txId, {
+                        fees: {
+                            gasLimit: gasEstimate.gasLimit,
+                            maxFeePerGas: fees.maxFeePerGas,
+                            maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+                        },
+                        policy: { decision: evaluation.decision, reasons: evaluation.reasons }
+                    });
                     
                     // Show transaction processing
                     this.showTransactionProcessing(ui, txId);
                     
                     // Execute transaction
                     const result = await this.executeTransaction(txId);
+                    unsubscribe();
                     
                     // Show success animation
                     await this.showTransactionSuccess(ui, result);
                     
                     resolve(result);
                 } catch (error) {
+                    // Auth failures return the draft for a retry; keep listening in that case
+                    if (manager.get(txId).state !== Transactions.TX_STATES.DRAFT) {
+                        unsubscribe();
+                    }
                     this.handleTransactionError(ui, error);
                     reject(error);
                 }
@@ -375,6 +862,219 @@ class FacePayCryptoUX {
         });
     }
 
+    async executeTransaction(txId) {
+        const manager = this.transactionManager;
+        
+        await manager.broadcast(txId);
+        const record = await manager.settle(txId);
+        
+        if (record.state === Transactions.TX_STATES.FAILED) {
+            throw Object.assign(new Error(record.error.message), { type: record.error.type });
+        }
+        
+        if (record.kind === 'cancel') {
+            throw Object.assign(new Error('Transaction cancelled'), { type: 'transaction_cancelled' });
+        }
+        
+        return record.receipt;
+    }
+
+    async speedUpTransaction(txId) {
+        const record = this.transactionManager.get(txId);
+        const estimate = await this.estimateGas(record.to, record.amount, record.token);
+        
+        await this.authenticateWithFaceId({ txId });
+        return this.transactionManager.speedUp(txId, {
+            ...estimate.speeds.fast,
+            gasLimit: estimate.gasLimit,
+            speed: 'fast'
+        });
+    }
+
+    async cancelTransaction(txId) {
+        const record = this.transactionManager.get(txId);
+        const nativeToken = this.provider.config.nativeToken;
+        const estimate = await this.estimateGas(record.from, '0', nativeToken);
+        
+        await this.authenticateWithFaceId({ txId });
+        return this.transactionManager.cancel(txId, { ...estimate.speeds.fast, speed: 'fast' });
+    }
+
+    // ==================== RISK POLICY ====================
+    
+    evaluatePolicy(txId) {
+        const record = this.transactionManager.get(txId);
+        return this.policy.evaluate(record, {
+            history: Array.from(this.transactionManager.transactions.values()),
+            currency: this.options.currency
+        });
+    }
+
+    renderPolicyNotice(ui, txId, evaluation) {
+        const notice = ui.querySelector('.policy-notice');
+        const confirmBtn = ui.querySelector('.confirm-btn');
+        if (!notice) return;
+        
+        const { BLOCK, EXTRA_AUTH } = RiskPolicy.POLICY_DECISIONS;
+        const titles = {
+            [BLOCK]: 'This payment is blocked',
+            [EXTRA_AUTH]: 'Extra confirmation required',
+            [RiskPolicy.POLICY_DECISIONS.ALLOW]: 'Before you send'
+        };
+        
+        notice.className = `policy-notice decision-${evaluation.decision}${evaluation.reasons.length ? '' : ' hidden'}`;
+        notice.innerHTML = `
+            <h4>${titles[evaluation.decision]}</h4>
+            <ul>${evaluation.reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}</ul>
+        `;
+        
+        confirmBtn.disabled = evaluation.decision === BLOCK;
+        confirmBtn.querySelector('.btn-text').textContent = evaluation.decision === EXTRA_AUTH
+            ? 'Confirm with Face ID + 1 more step'
+            : 'Confirm with Face ID';
+        
+        // Time-based blocks lift on their own; check again once the cooldown is over
+        clearTimeout(ui.policyTimer);
+        if (evaluation.retryAt) {
+            ui.policyTimer = setTimeout(() => {
+                if (ui.isConnected && this.transactionManager.get(txId)?.state === Transactions.TX_STATES.DRAFT) {
+                    this.renderPolicyNotice(ui, txId, this.evaluatePolicy(txId));
+                }
+            }, Math.max(0, evaluation.retryAt - Date.now()) + 1000);
+        }
+    }
+
+    // Second factor for extra-auth payments: the wallet password when one is set up,
+    // otherwise a separate Face ID check that spells out why it is needed
+    async confirmExtraAuthentication(ui, txId, evaluation) {
+        const record = await this.keystore.get();
+        
+        if (record?.unlock.some(method => method.type === 'password')) {
+            ui.querySelector('.policy-notice').insertAdjacentHTML('beforeend',
+                this.getPasswordFormMarkup('Enter your wallet password to approve this payment.'));
+            const form = ui.querySelector('.policy-notice .wallet-password-form');
+            try {
+                await this.keystore.unlock({ password: await this.promptForPassword(form) });
+            } finally {
+                form.remove();
+            }
+            return;
+        }
+        
+        await this.runFaceIdCeremony(
+            signal => this.passkeys.authenticate({ userId: this.state.user?.id, txId, purpose: 'policy' }, { signal }),
+            { title: 'Confirm Once More', message: evaluation.reasons.map(reason => this.escapeHtml(reason)).join('<br>') }
+        );
+    }
+
+    updateProcessingSteps(ui, record) {
+        const order = ['signed', 'broadcast', 'pending', 'confirmed'];
+        const current = order.indexOf(record.state);
+        const steps = ui.querySelectorAll('.processing-steps .step');
+        
+        if (current !== -1) {
+            steps.forEach((step, index) => {
+                step.classList.toggle('completed', index < current);
+                step.classList.toggle('active', index === current);
+            });
+        }
+        
+        const hash = ui.querySelector('.tx-hash .hash');
+        if (hash && record.hash) {
+            hash.textContent = `${record.hash.slice(0, 10)}...`;
+        }
+        
+        const title = ui.querySelector('.processing-screen h3');
+        if (title && record.kind !== 'payment') {
+            title.textContent = record.kind === 'cancel' ? 'Cancelling Transaction' : 'Speeding Up Transaction';
+        }
+    }
+
+    // ==================== PENDING TRANSACTIONS ====================
+    
+    async restoreTransactions() {
+        try {
+            await this.transactionManager.load();
+            this.transactionManager.on(record => this.updatePendingTransaction(record));
+            
+            const active = await this.transactionManager.resume();
+            active.forEach(record => this.updatePendingTransaction(record));
+        } catch (error) {
+            console.warn('Could not restore pending transactions:', error);
+        }
+    }
+
+    updatePendingTransaction(record) {
+        const statusLabels = {
+            'broadcast': 'Broadcasting',
+            'pending': 'Pending',
+            'confirmed': 'Confirmed',
+            'failed': 'Failed',
+            'replaced': record.kind === 'payment' ? 'Replaced' : 'Superseded'
+        };
+        
+        let panel = document.querySelector('.pending-transactions');
+        let item = panel?.querySelector(`[data-tx-id="${record.id}"]`);
+        
+        if (!statusLabels[record.state]) return;
+        
+        if (this.transactionManager.isTerminal(record)) {
+            if (!item) return;
+            
+            item.querySelector('.tx-status-badge').className = `tx-status-badge state-${record.state}`;
+            item.querySelector('.tx-status-badge').textContent = statusLabels[record.state];
+            item.querySelector('.pending-tx-actions')?.remove();
+            setTimeout(() => item.remove(), 3000);
+            return;
+        }
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'pending-transactions';
+            document.body.appendChild(panel);
+        }
+        
+        if (!item) {
+            item = document.createElement('div');
+            item.className = 'pending-tx';
+            item.dataset.txId = record.id;
+            item.innerHTML = `
+                <span class="tx-status-badge"></span>
+                <span class="pending-tx-summary">
+                    ${record.kind === 'cancel' ? 'Cancel' : `${record.amount} ${record.token} → ${this.formatRecipient(record.recipient)}`}
+                </span>
+                <div class="pending-tx-actions">
+                    <button class="btn-secondary speed-up-btn">Speed Up</button>
+                    <button class="btn-secondary cancel-tx-btn">Cancel</button>
+                </div>
+            `;
+            
+            item.querySelector('.speed-up-btn').addEventListener('click', () => {
+                this.speedUpTransaction(record.id).catch(error => this.showPendingTransactionError(item, error));
+            });
+            item.querySelector('.cancel-tx-btn').addEventListener('click', () => {
+                this.cancelTransaction(record.id).catch(error => this.showPendingTransactionError(item, error));
+            });
+            
+            panel.appendChild(item);
+        }
+        
+        const badge = item.querySelector('.tx-status-badge');
+        badge.className = `tx-status-badge state-${record.state}`;
+        badge.textContent = statusLabels[record.state];
+        
+        // Replacement needs a known nonce, and a cancel can only be sped up
+        const replaceable = this.transactionManager.isReplaceable(record);
+        item.querySelector('.speed-up-btn').hidden = !replaceable;
+        item.querySelector('.cancel-tx-btn').hidden = !replaceable || record.kind === 'cancel';
+    }
+
+    showPendingTransactionError(item, error) {
+        item.dataset.error = error.message;
+        item.classList.add('has-error');
+        this.haptic.error();
+    }
+
     async showTransactionProcessing(ui, txId) {
         const content = ui.querySelector('.tx-details');
         content.innerHTML = `
@@ -391,7 +1091,7 @@ class FacePayCryptoUX {
                 <div class="processing-steps">
                     <div class="step active">
                         <span class="icon">🔐</span>
-                        <span>Authenticating</span>
+                        <span>Authenticated</span>
                     </div>
                     <div class="step">
                         <span class="icon">📡</span>
@@ -399,7 +1099,7 @@ class FacePayCryptoUX {
                     </div>
                     <div class="step">
                         <span class="icon">⛏️</span>
-                        <span>Mining</span>
+                        <span>Pending</span>
                     </div>
                     <div class="step">
                         <span class="icon">✅</span>
@@ -413,8 +1113,8 @@ class FacePayCryptoUX {
             </div>
         `;
         
-        // Animate processing steps
-        this.animateProcessingSteps(ui);
+        // Processing steps follow the transaction lifecycle
+        this.updateProcessingSteps(ui, this.transactionManager.get(txId));
     }
 
     async showTransactionSuccess(ui, result) {
@@ -460,36 +1160,72 @@ class FacePayCryptoUX {
 
     // ==================== SECURITY UX SYSTEM ====================
     
-    async authenticateWithFaceId() {
+    async initializeSecuritySystems() {
+        try {
+            const credentials = await this.passkeys.getCredentials();
+            this.state.security.faceIdEnabled = credentials.length > 0;
+            
+            if (credentials.length > 0 && !this.state.user) {
+                this.state.user = { id: credentials[0].userId };
+            }
+        } catch (error) {
+            console.warn('Could not restore Face ID state:', error);
+        }
+    }
+
+    async registerFaceId() {
+        const user = this.state.user?.id ? this.state.user : {
+            id: Passkeys.base64UrlEncode(crypto.getRandomValues(new Uint8Array(16))),
+            name: 'facepay-wallet',
+            displayName: 'FacePay Wallet'
+        };
+        
+        await this.runFaceIdCeremony(
+            signal => this.passkeys.register(user, { signal }),
+            { title: 'Set Up Face ID', message: 'Look at the camera to link Face ID to your wallet' }
+        );
+        
+        this.state.user = { ...this.state.user, ...user };
+        this.state.security.faceIdEnabled = true;
+        this.calculateSecurityScore();
+        
+        return user;
+    }
+
+    async authenticateWithFaceId(context = {}) {
         if (!this.state.security.faceIdEnabled) {
-            throw new Error('Face ID not enabled');
+            throw Object.assign(new Error('Face ID not enabled'), { type: 'face_id_failed' });
         }
         
-        return new Promise((resolve, reject) => {
-            const faceIdModal = this.createFaceIdModal();
-            
-            // Simulate Face ID process
-            setTimeout(() => {
-                const success = Math.random() > 0.1; // 90% success rate
-                
-                if (success) {
-                    this.animateFaceIdSuccess(faceIdModal);
-                    setTimeout(() => {
-                        document.body.removeChild(faceIdModal);
-                        resolve(true);
-                    }, 1000);
-                } else {
-                    this.animateFaceIdError(faceIdModal);
-                    setTimeout(() => {
-                        document.body.removeChild(faceIdModal);
-                        reject(new Error('Face ID authentication failed'));
-                    }, 2000);
-                }
-            }, 2000);
-        });
+        return this.runFaceIdCeremony(
+            signal => this.passkeys.authenticate({ userId: this.state.user?.id, ...context }, { signal })
+        );
+    }
+
+    // Wraps a WebAuthn ceremony in the Face ID modal: scanning while the OS prompt is open,
+    // success / error animations once the relying party has verified the result
+    async runFaceIdCeremony(ceremony, modalOptions = {}) {
+        const faceIdModal = this.createFaceIdModal(modalOptions);
+        const controller = new AbortController();
+        faceIdModal.querySelector('.cancel-auth-btn').addEventListener('click', () => controller.abort(), { once: true });
+        
+        this.setFaceIdStep(faceIdModal, 'scanning');
+        
+        try {
+            const result = await ceremony(controller.signal);
+            this.animateFaceIdSuccess(faceIdModal);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            return result;
+        } catch (error) {
+            this.animateFaceIdError(faceIdModal);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            throw Object.assign(error, { type: error.type || 'face_id_failed' });
+        } finally {
+            faceIdModal.remove();
+        }
     }
 
-    createFaceIdModal() {
+    createFaceIdModal({ title = 'Authenticate with Face ID', message = 'Look at the camera to authorize this transaction' } = {}) {
         const modal = document.createElement('div');
         modal.className = 'face-id-modal';
         modal.innerHTML = `
@@ -501,8 +1237,8 @@ class FacePayCryptoUX {
                     </div>
                     <div class="face-outline"></div>
                 </div>
-                <h3>Authenticate with Face ID</h3>
-                <p>Look at the camera to authorize this transaction</p>
+                <h3>${title}</h3>
+                <p>${message}</p>
                 <div class="auth-indicators">
                     <div class="indicator" data-step="position">Position your face</div>
                     <div class="indicator" data-step="scanning">Scanning...</div>
@@ -518,20 +1254,242 @@ class FacePayCryptoUX {
         return modal;
     }
 
-    calculateSecurityScore() {
-        let score = 0;
-        const factors = {
-            faceId: this.state.security.faceIdEnabled ? 30 : 0,
-            backupPhrase: this.state.user?.backupVerified ? 25 : 0,
-            networkSecurity: this.state.networkStatus === 'connected' ? 20 : 0,
-            transactionHistory: this.state.transactions.size > 0 ? 15 : 0,
-            appVersion: 10 // Always current
+    startFaceIdAnimation(modal) {
+        this.setFaceIdStep(modal, 'position');
+        this.haptic.light();
+    }
+
+    setFaceIdStep(modal, stepName) {
+        modal.querySelectorAll('.auth-indicators .indicator').forEach(indicator => {
+            indicator.classList.toggle('active', indicator.dataset.step === stepName);
+        });
+    }
+
+    animateFaceIdSuccess(modal) {
+        this.setFaceIdStep(modal, 'complete');
+        modal.querySelector('.face-id-scanner').classList.add('success');
+        this.haptic.success();
+    }
+
+    animateFaceIdError(modal) {
+        const scanner = modal.querySelector('.face-id-scanner');
+        scanner.classList.add('error');
+        modal.querySelector('.auth-indicators').innerHTML = '<div class="indicator active">Face ID not recognized</div>';
+        this.haptic.error();
+    }
+
+    // ==================== WALLET & BACKUP ====================
+    
+    async loadWallet() {
+        try {
+            const record = await this.keystore.get();
+            if (record) {
+                this.state.wallet = this.describeWallet(record);
+            }
+        } catch (error) {
+            console.warn('Could not restore wallet:', error);
+        }
+    }
+
+    describeWallet(record) {
+        return {
+            address: record.address,
+            backedUp: record.backedUp,
+            backupMethods: record.backupMethods || [],
+            unlock: record.unlock.map(method => method.type)
         };
+    }
+
+    async generateWallet() {
+        const mnemonic = await WalletKeys.generateMnemonic();
+        const account = await WalletKeys.mnemonicToAccount(mnemonic);
         
-        score = Object.values(factors).reduce((a, b) => a + b, 0);
-        this.state.security.score = Math.min(100, score);
-        
-        return this.state.security.score;
+        this.onboardingSecrets = { mnemonic, address: account.address, path: account.path };
+        return account.address;
+    }
+
+    // Seals the generated phrase with the Face ID passkey (WebAuthn PRF) when possible,
+    // otherwise with a password obtained from requestPassword()
+    async protectWallet({ password = null, requestPassword = null } = {}) {
+        const { mnemonic, address, path } = this.onboardingSecrets;
+        let protection = password ? { password } : null;
+        
+        if (!protection && this.state.security.faceIdEnabled) {
+            try {
+                protection = { passkey: await this.derivePasskeySecret() };
+            } catch (error) {
+                if (!requestPassword) throw error;
+            }
+        }
+        
+        if (!protection) {
+            if (!requestPassword) {
+                throw Object.assign(new Error('A password is required to encrypt the wallet'), { type: 'keystore_locked' });
+            }
+            protection = { password: await requestPassword() };
+        }
+        
+        const record = await this.keystore.create({ mnemonic, path }, { address, ...protection });
+        this.state.wallet = this.describeWallet(record);
+        this.calculateSecurityScore();
+        
+        return this.state.wallet;
+    }
+
+    async derivePasskeySecret(prfSalt = WalletKeys.randomBytes(32)) {
+        const result = await this.runFaceIdCeremony(
+            signal => this.passkeys.authenticate({ userId: this.state.user?.id, purpose: 'keystore' }, { signal, prfSalt }),
+            { title: 'Unlock With Face ID', message: 'Look at the camera to access your wallet keys' }
+        );
+        
+        return { credentialId: result.credentialId, prfSalt, secret: result.prfSecret };
+    }
+
+    async unlockWallet({ password = null, requestPassword = null } = {}) {
+        const record = await this.keystore.get();
+        const passkeyMethod = record?.unlock.find(method => method.type === 'passkey');
+        
+        if (!password && passkeyMethod && this.state.security.faceIdEnabled) {
+            const passkey = await this.derivePasskeySecret(Passkeys.base64UrlDecode(passkeyMethod.prfSalt));
+            return this.keystore.unlock({ passkey });
+        }
+        
+        if (!password && requestPassword) {
+            password = await requestPassword();
+        }
+        
+        return this.keystore.unlock({ password });
+    }
+
+    // Signs an EVM payment with the wallet key; the key is unlocked for this one signature and not kept
+    async signWithWallet(tx) {
+        if (this.getAddressChain() !== 'evm') {
+            throw Object.assign(new Error('Signing StarkNet payments is not supported yet'), { type: 'signer_unavailable' });
+        }
+        if (!(await this.keystore.exists())) {
+            throw Object.assign(new Error('Create or import a wallet before sending payments'), { type: 'wallet_required' });
+        }
+        
+        const secret = await this.unlockWallet({
+            requestPassword: () => this.requestWalletPassword('Enter your wallet password to sign this payment.')
+        });
+        const account = await WalletKeys.mnemonicToAccount(secret.mnemonic, { path: secret.path });
+        if (tx.from && !Addresses.isSameAddress(account.address, tx.from)) {
+            throw Object.assign(new Error('This payment is from a different wallet'), { type: 'signer_unavailable' });
+        }
+        
+        return WalletKeys.signTransaction(tx, account.privateKey);
+    }
+
+    // Password prompt for flows without a sheet of their own to put the form in
+    async requestWalletPassword(message) {
+        const modal = document.createElement('div');
+        modal.className = 'face-id-modal wallet-password-modal';
+        modal.innerHTML = `
+            <div class="face-id-content">
+                ${this.getPasswordFormMarkup(this.escapeHtml(message))}
+                <button class="cancel-auth-btn">Cancel</button>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        const cancelled = new Promise((resolve, reject) => {
+            modal.querySelector('.cancel-auth-btn').addEventListener('click', () => {
+                reject(Object.assign(new Error('Password entry cancelled'), { type: 'face_id_failed' }));
+            }, { once: true });
+        });
+        
+        try {
+            return await Promise.race([this.promptForPassword(modal.querySelector('.wallet-password-form')), cancelled]);
+        } finally {
+            modal.remove();
+        }
+    }
+
+    async getBackupPhrase(passwordForm = null) {
+        if (this.onboardingSecrets) {
+            return this.onboardingSecrets.mnemonic;
+        }
+        
+        const secret = await this.unlockWallet({
+            requestPassword: passwordForm
+                ? () => this.promptForPassword(passwordForm)
+                : () => this.requestWalletPassword('Enter your wallet password to continue.')
+        });
+        return secret.mnemonic;
+    }
+
+    async completeBackupVerification() {
+        const record = await this.keystore.markBackedUp('phrase');
+        
+        this.onboardingSecrets = null;
+        this.state.wallet = this.describeWallet(record);
+        this.calculateSecurityScore();
+    }
+
+    // Social recovery: Shamir shares of the phrase entropy, one per guardian
+    async createRecoveryShares(guardians = this.options.recoveryGuardians, passwordForm = null) {
+        const entropy = await WalletKeys.mnemonicToEntropy(await this.getBackupPhrase(passwordForm));
+        return Keystore.splitSecret(entropy, guardians);
+    }
+
+    // Shares on screen are not a backup yet; only count them once the user says they were handed out
+    async confirmRecoveryShares() {
+        this.state.wallet = this.describeWallet(await this.keystore.markBackedUp('social'));
+        this.calculateSecurityScore();
+        
+        return this.state.wallet;
+    }
+
+    async recoverWalletFromShares(shares, protection, options = {}) {
+        const mnemonic = await WalletKeys.entropyToMnemonic(Keystore.combineShares(shares));
+        return this.importWallet(mnemonic, protection, options);
+    }
+
+    // Refuses to overwrite the wallet already on this device unless the user confirmed with replace: true
+    async importWallet(mnemonic, protection, { replace = false } = {}) {
+        if (!replace && await this.keystore.exists()) {
+            throw Object.assign(new Error('A wallet already exists on this device'), { type: 'wallet_exists' });
+        }
+        if (!(await WalletKeys.validateMnemonic(mnemonic))) {
+            throw Object.assign(new Error('Invalid backup phrase'), { type: 'invalid_mnemonic' });
+        }
+        
+        const normalized = WalletKeys.normalizeMnemonic(mnemonic);
+        const account = await WalletKeys.mnemonicToAccount(normalized);
+        await this.keystore.create({ mnemonic: normalized, path: account.path }, { address: account.address, ...protection, replace });
+        
+        // The user just proved they hold the phrase (or enough guardian shares)
+        this.state.wallet = this.describeWallet(await this.keystore.markBackedUp('phrase'));
+        this.calculateSecurityScore();
+        
+        return this.state.wallet;
+    }
+
+    // Uploads the keystore exactly as stored: ciphertext plus wrapped keys, never the phrase
+    async uploadCloudBackup() {
+        await this.backupStore.upload(this.state.wallet.address, await this.keystore.export());
+        
+        this.state.wallet = this.describeWallet(await this.keystore.markBackedUp('cloud'));
+        this.calculateSecurityScore();
+        
+        return this.state.wallet;
+    }
+
+    calculateSecurityScore() {
+        let score = 0;
+        const factors = {
+            faceId: this.state.security.faceIdEnabled ? 30 : 0,
+            backupPhrase: this.state.wallet?.backedUp ? 25 : 0,
+            networkSecurity: this.state.networkStatus === 'connected' ? 20 : 0,
+            transactionHistory: this.state.transactions.size > 0 ? 15 : 0,
+            appVersion: 10 // Always current
+        };
+        
+        score = Object.values(factors).reduce((a, b) => a + b, 0);
+        this.state.security.score = Math.min(100, score);
+        
+        return this.state.security.score;
     }
 
     createSecurityIndicator() {
@@ -600,6 +1558,54 @@ class FacePayCryptoUX {
                 message: 'The transaction was rejected by the network.',
                 recovery: 'Check transaction details and try again',
                 icon: '❌'
+            },
+            'transaction_cancelled': {
+                title: 'Transaction Cancelled',
+                message: 'The payment was replaced by a cancellation and no funds were sent.',
+                recovery: 'Start a new payment if you still want to send it',
+                icon: '↩️'
+            },
+            'username_not_found': {
+                title: 'Username Not Found',
+                message: 'No FacePay, ENS or Starknet ID account matches this username.',
+                recovery: 'Check the spelling or paste the wallet address instead',
+                icon: '🔎'
+            },
+            'invalid_address': {
+                title: 'Invalid Address',
+                message: 'The username resolved to an address that failed validation.',
+                recovery: 'Ask the recipient to confirm their address',
+                icon: '🛑'
+            },
+            'invalid_payment_request': {
+                title: 'Invalid Payment Request',
+                message: 'This payment link is malformed or for a different network.',
+                recovery: 'Ask the sender for a new payment link',
+                icon: '🔗'
+            },
+            'policy_blocked': {
+                title: 'Payment Blocked',
+                message: 'This payment breaks one of your wallet\'s safety rules.',
+                recovery: 'Review the reasons shown, or adjust your limits in settings',
+                icon: '🚦'
+            },
+            'signer_unavailable': {
+                title: 'Payment Not Signed',
+                message: 'This payment could not be signed with your wallet key, so it was not sent.',
+                recovery: 'Unlock your wallet and try again',
+                icon: '✍️'
+            },
+            'wallet_required': {
+                title: 'No Wallet Yet',
+                message: 'There is no wallet on this device to send this payment from.',
+                recovery: 'Create or import a wallet first',
+                icon: '👛'
+            },
+            'keystore_locked': {
+                title: 'Wrong Password',
+                message: 'The wallet password did not match.',
+                recovery: 'Try again with your wallet password',
+                icon: '🔑'
             }
         };
         
@@ -679,6 +1685,14 @@ class FacePayCryptoUX {
         this.optimizeForMobileViewport();
     }
 
+    optimizeForMobileViewport() {
+        // Let fixed transaction sheets extend under the notch / home indicator
+        const viewport = document.querySelector('meta[name="viewport"]');
+        if (viewport && !viewport.content.includes('viewport-fit')) {
+            viewport.content += ', viewport-fit=cover';
+        }
+    }
+
     setupHapticFeedback() {
         this.haptic = {
             light: () => {
@@ -728,29 +1742,432 @@ class FacePayCryptoUX {
         };
     }
 
-    // ==================== USERNAME-BASED SENDING (@username) ====================
+    // ==================== PORTFOLIO ====================
     
-    async resolveUsername(username) {
-        // Remove @ symbol if present
-        const cleanUsername = username.replace('@', '');
-        
-        // Simulate username resolution
-        const mockUsers = {
-            'alice': '0x742d35Cc6634C0532925a3b8D484Bb1a4e134c52',
-            'bob': '0x742d35Cc6634C0532925a3b8D484Bb1a4e134c53',
-            'charlie': '0x742d35Cc6634C0532925a3b8D484Bb1a4e134c54'
-        };
+    async loadPortfolio(account = this.state.wallet?.address) {
+        if (!account) {
+            this.state.portfolio = null;
+            return null;
+        }
         
-        if (mockUsers[cleanUsername.toLowerCase()]) {
-            return {
-                username: cleanUsername,
-                address: mockUsers[cleanUsername.toLowerCase()],
-                verified: true,
-                avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${cleanUsername}`
-            };
+        this.state.portfolio = await this.portfolio.load(account);
+        return this.state.portfolio;
+    }
+
+    createPortfolioPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'portfolio-panel';
+        panel.innerHTML = `
+            <div class="portfolio-header">
+                <span class="portfolio-label">Portfolio</span>
+                <span class="portfolio-total">—</span>
+                <button class="portfolio-refresh-btn" aria-label="Refresh balances">↻</button>
+            </div>
+            <div class="portfolio-holdings"></div>
+        `;
+        
+        panel.querySelector('.portfolio-refresh-btn').addEventListener('click', () => this.refreshPortfolio(panel));
+        panel.querySelector('.portfolio-holdings').addEventListener('click', (e) => {
+            const sendBtn = e.target.closest('.token-send-btn');
+            if (sendBtn) {
+                this.haptic.light();
+                this.openSendForm(sendBtn.dataset.token);
+            }
+        });
+        
+        // Balances change once our own payments confirm
+        const unsubscribe = this.transactionManager.on(record => {
+            if (!panel.isConnected) {
+                unsubscribe();
+            } else if (record.state === Transactions.TX_STATES.CONFIRMED) {
+                this.refreshPortfolio(panel);
+            }
+        });
+        
+        this.refreshPortfolio(panel);
+        return panel;
+    }
+
+    async refreshPortfolio(panel) {
+        const holdings = panel.querySelector('.portfolio-holdings');
+        panel.classList.add('loading');
+        
+        try {
+            const portfolio = await this.loadPortfolio();
+            this.renderPortfolio(panel, portfolio);
+        } catch (error) {
+            console.error('Portfolio refresh failed:', error);
+            holdings.innerHTML = `<div class="portfolio-empty">Balances unavailable. Check your connection.</div>`;
+        } finally {
+            panel.classList.remove('loading');
+        }
+    }
+
+    renderPortfolio(panel, portfolio) {
+        const holdings = panel.querySelector('.portfolio-holdings');
+        
+        if (!portfolio) {
+            panel.querySelector('.portfolio-total').textContent = '—';
+            holdings.innerHTML = `<div class="portfolio-empty">Create your wallet to see balances.</div>`;
+            return;
+        }
+        
+        panel.querySelector('.portfolio-total').textContent = this.formatFiat(portfolio.total);
+        holdings.innerHTML = portfolio.holdings.map(({ token, balance, amount, fiat }) => `
+            <div class="portfolio-holding" data-token="${this.escapeHtml(token.symbol)}">
+                <div class="token-icon">${this.getTokenIcon(token.symbol)}</div>
+                <div class="token-info">
+                    <span class="token-symbol">${this.escapeHtml(token.symbol)}</span>
+                    <span class="token-name">${this.escapeHtml(token.name)}</span>
+                </div>
+                <div class="token-balance">
+                    <span class="token-amount">${this.formatTokenAmount(amount)}</span>
+                    <span class="token-fiat">${fiat === null ? '—' : this.formatFiat(fiat)}</span>
+                </div>
+                <button class="token-send-btn" data-token="${this.escapeHtml(token.symbol)}" ${balance > 0n ? '' : 'disabled'}>Send</button>
+            </div>
+        `).join('');
+    }
+
+    formatTokenAmount(amount, maxDecimals = 6) {
+        const [whole, fraction = ''] = amount.split('.');
+        const trimmed = fraction.slice(0, maxDecimals).replace(/0+$/, '');
+        
+        return `${Number(whole).toLocaleString()}${trimmed ? '.' + trimmed : ''}`;
+    }
+
+    // Send sheet prefilled with the token (and optionally a payment request's fields);
+    // submitting hands over to initiateTransaction()
+    openSendForm(symbol, { recipient = '', amount = '', memo = null, message = '' } = {}) {
+        const token = this.tokens.require(symbol);
+        const holding = this.state.portfolio?.holdings.find(entry => entry.token.symbol === symbol);
+        
+        const form = document.createElement('form');
+        form.className = 'send-form transaction-interface';
+        form.innerHTML = `
+            <div class="tx-header">
+                <div class="tx-icon">${this.getTokenIcon(symbol)}</div>
+                <h3>Send ${this.escapeHtml(symbol)}</h3>
+                <button type="button" class="close-btn">×</button>
+            </div>
+            <div class="send-form-recipient"></div>
+            <div class="send-form-amount">
+                <input type="text" inputmode="decimal" class="send-amount-input" placeholder="0.0" autocomplete="off">
+                <span class="token">${this.escapeHtml(symbol)}</span>
+                ${token.address ? '<button type="button" class="send-max-btn">Max</button>' : ''}
+            </div>
+            <div class="send-form-available">${holding ? `Available: ${this.formatTokenAmount(holding.amount)} ${this.escapeHtml(symbol)}` : ''}</div>
+            ${memo ? `<div class="memo-display">“${this.escapeHtml(memo)}”</div>` : ''}
+            <div class="send-form-error">${this.escapeHtml(message)}</div>
+            <button type="submit" class="btn-primary">Review</button>
+        `;
+        
+        form.querySelector('.send-form-recipient').appendChild(this.createUsernameInput());
+        const amountInput = form.querySelector('.send-amount-input');
+        const error = form.querySelector('.send-form-error');
+        amountInput.value = amount || '';
+        
+        if (recipient) {
+            const usernameInput = form.querySelector('.username-input');
+            usernameInput.value = recipient.replace(/^@/, '');
+            usernameInput.dispatchEvent(new Event('input'));
+        }
+        
+        form.querySelector('.close-btn').addEventListener('click', () => form.remove());
+        // Native coin balances also pay the network fee, so only token balances get a Max shortcut
+        form.querySelector('.send-max-btn')?.addEventListener('click', () => {
+            amountInput.value = holding?.amount || '0';
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const recipient = form.querySelector('.username-input').value.trim();
+            const amount = amountInput.value.trim();
+            
+            try {
+                this.requireWallet();
+                const value = ChainProviders.parseUnits(amount, token.decimals);
+                if (!recipient) throw new Error('Enter a username or address');
+                if (value <= 0n) throw new Error('Enter an amount to send');
+                if (holding && value > holding.balance) throw new Error(`Not enough ${symbol}`);
+            } catch (validationError) {
+                error.textContent = validationError.message;
+                this.haptic.error();
+                return;
+            }
+            
+            form.remove();
+            this.initiateTransaction(/^0x/i.test(recipient) ? recipient : `@${recipient.replace(/^@/, '')}`, amount, symbol, { memo })
+                .catch(txError => console.error('Transaction failed:', txError));
+        });
+        
+        document.body.appendChild(form);
+        return form;
+    }
+
+    // ==================== TRANSACTION HISTORY ====================
+    
+    createHistoryPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'history-panel';
+        panel.innerHTML = `
+            <div class="history-header">
+                <h3>History</h3>
+                <button class="btn-secondary history-resync-btn">Refresh statuses</button>
+            </div>
+            <div class="history-filters">
+                <input type="search" class="history-search" placeholder="Search @username, address or token">
+                <select class="history-token">
+                    <option value="">All tokens</option>
+                    ${this.tokens.list().map(token => `<option value="${this.escapeHtml(token.symbol)}">${this.escapeHtml(token.symbol)}</option>`).join('')}
+                </select>
+                <select class="history-status">
+                    <option value="">Any status</option>
+                    <option value="pending">Pending</option>
+                    <option value="confirmed">Confirmed</option>
+                    <option value="failed">Failed</option>
+                </select>
+                <input type="date" class="history-from" aria-label="From date">
+                <input type="date" class="history-until" aria-label="Until date">
+            </div>
+            <div class="history-list"></div>
+            <div class="history-pagination">
+                <button class="btn-secondary history-prev-btn">‹ Newer</button>
+                <span class="history-page"></span>
+                <button class="btn-secondary history-next-btn">Older ›</button>
+            </div>
+            <div class="history-export">
+                <button class="btn-secondary export-csv-btn">Export CSV</button>
+                <button class="btn-secondary export-json-btn">Export JSON</button>
+            </div>
+        `;
+        
+        const filters = { page: 1 };
+        const readFilters = () => Object.assign(filters, {
+            search: panel.querySelector('.history-search').value,
+            token: panel.querySelector('.history-token').value || null,
+            status: panel.querySelector('.history-status').value || null,
+            from: panel.querySelector('.history-from').value || null,
+            until: panel.querySelector('.history-until').value || null
+        });
+        const refresh = () => this.renderHistory(panel, filters);
+        
+        panel.querySelector('.history-filters').addEventListener('input', () => {
+            readFilters();
+            filters.page = 1;
+            refresh();
+        });
+        panel.querySelector('.history-prev-btn').addEventListener('click', () => {
+            filters.page--;
+            refresh();
+        });
+        panel.querySelector('.history-next-btn').addEventListener('click', () => {
+            filters.page++;
+            refresh();
+        });
+        panel.querySelector('.export-csv-btn').addEventListener('click', () => this.exportHistory('csv', readFilters()));
+        panel.querySelector('.export-json-btn').addEventListener('click', () => this.exportHistory('json', readFilters()));
+        
+        const resyncButton = panel.querySelector('.history-resync-btn');
+        resyncButton.addEventListener('click', async () => {
+            resyncButton.disabled = true;
+            try {
+                await this.history.resync();
+            } finally {
+                resyncButton.disabled = false;
+                refresh();
+            }
+        });
+        
+        const unsubscribe = this.transactionManager.on(() => {
+            if (!panel.isConnected) {
+                unsubscribe();
+            } else {
+                refresh();
+            }
+        });
+        
+        refresh();
+        return panel;
+    }
+
+    async renderHistory(panel, filters) {
+        const result = await this.history.query(filters);
+        filters.page = result.page;
+        
+        const list = panel.querySelector('.history-list');
+        list.innerHTML = result.items.length === 0
+            ? `<div class="portfolio-empty">No transactions match these filters.</div>`
+            : result.items.map(record => {
+                const badge = TxHistory.getStatusBadge(record);
+                return `
+                    <div class="history-item" data-tx-id="${this.escapeHtml(record.id)}">
+                        <span class="tx-status-badge state-${record.state} tone-${badge.tone}">${badge.label}</span>
+                        <div class="history-item-info">
+                            <span class="history-item-recipient">${this.escapeHtml(this.formatRecipient(record.recipient || record.to || ''))}</span>
+                            <span class="history-item-date">${new Date(record.createdAt).toLocaleString()}</span>
+                            ${record.memo ? `<span class="memo-display">“${this.escapeHtml(record.memo)}”</span>` : ''}
+                        </div>
+                        <span class="history-item-amount">${record.kind === 'cancel' ? '—' : `${this.escapeHtml(record.amount)} ${this.escapeHtml(record.token)}`}</span>
+                    </div>
+                `;
+            }).join('');
+        
+        panel.querySelector('.history-page').textContent = `${result.page} / ${result.pageCount}`;
+        panel.querySelector('.history-prev-btn').disabled = result.page <= 1;
+        panel.querySelector('.history-next-btn').disabled = result.page >= result.pageCount;
+        
+        return result;
+    }
+
+    async exportHistory(format, filters = {}) {
+        const content = await this.history.export(format, filters);
+        const date = new Date().toISOString().slice(0, 10);
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `facepay-transactions-${date}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        return content;
+    }
+
+    // ==================== PAYMENT REQUESTS ====================
+    
+    createPaymentRequest({ amount = null, token = null, memo = null, username = this.state.user?.username } = {}) {
+        if (!this.state.wallet?.address) {
+            throw PaymentRequests.createPaymentRequestError('Create your wallet before requesting payments');
+        }
+        
+        return this.paymentRequests.create({ username, address: this.state.wallet.address, amount, token, memo });
+    }
+
+    createPaymentRequestForm() {
+        const form = document.createElement('form');
+        form.className = 'payment-request-form';
+        form.innerHTML = `
+            <h3>Request a payment</h3>
+            <div class="send-form-amount">
+                <input type="text" inputmode="decimal" class="request-amount-input" placeholder="Any amount" autocomplete="off">
+                <select class="request-token-select">
+                    ${this.tokens.list().map(token => `<option value="${this.escapeHtml(token.symbol)}">${this.escapeHtml(token.symbol)}</option>`).join('')}
+                </select>
+            </div>
+            <input type="text" class="request-memo-input" placeholder="What's it for? (optional)" maxlength="140">
+            <div class="send-form-error"></div>
+            <button type="submit" class="btn-primary">Create request</button>
+        `;
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const error = form.querySelector('.send-form-error');
+            
+            try {
+                const request = this.createPaymentRequest({
+                    amount: form.querySelector('.request-amount-input').value.trim() || null,
+                    token: form.querySelector('.request-token-select').value,
+                    memo: form.querySelector('.request-memo-input').value
+                });
+                form.replaceWith(this.renderPaymentRequest(request));
+                this.haptic.success();
+            } catch (requestError) {
+                error.textContent = requestError.message;
+                this.haptic.error();
+            }
+        });
+        
+        return form;
+    }
+
+    renderPaymentRequest(request) {
+        const card = document.createElement('div');
+        card.className = 'payment-request-card';
+        card.innerHTML = `
+            <div class="payment-request-qr">${QRCode.toSvg(QRCode.encode(request.link), { scale: 5 })}</div>
+            <div class="payment-request-summary">
+                <span class="payment-request-amount">${request.amount ? `${this.escapeHtml(request.amount)} ${this.escapeHtml(request.token)}` : `Any amount of ${this.escapeHtml(request.token)}`}</span>
+                <span class="payment-request-recipient">to ${this.escapeHtml(this.formatRecipient(request.recipient))}</span>
+                ${request.memo ? `<span class="memo-display">“${this.escapeHtml(request.memo)}”</span>` : ''}
+            </div>
+            <input type="text" class="payment-request-link" value="${this.escapeHtml(request.link)}" readonly>
+            <div class="payment-request-actions">
+                <button type="button" class="btn-secondary copy-request-btn">Copy link</button>
+                <button type="button" class="btn-primary share-request-btn">Share</button>
+            </div>
+        `;
+        
+        const copyButton = card.querySelector('.copy-request-btn');
+        copyButton.addEventListener('click', async () => {
+            await navigator.clipboard.writeText(request.link);
+            copyButton.textContent = 'Copied ✓';
+            this.haptic.light();
+        });
+        
+        const shareButton = card.querySelector('.share-request-btn');
+        if (typeof navigator !== 'undefined' && navigator.share) {
+            shareButton.addEventListener('click', () => navigator.share({
+                title: 'FacePay payment request',
+                text: request.memo || `Pay ${request.recipient}`,
+                url: request.link
+            }).catch(() => {}));
+        } else {
+            shareButton.remove();
+        }
+        
+        return card;
+    }
+
+    // Opens the prefilled payment when the page was reached through a request link or URI
+    async openIncomingPaymentRequest(href = typeof window !== 'undefined' ? window.location.href : '') {
+        let request;
+        try {
+            request = this.paymentRequests.parse(href);
+        } catch (error) {
+            console.warn('Ignoring malformed payment request:', error.message);
+            return null;
+        }
+        if (!request) return null;
+        
+        // Handled once; reloading the page should not reopen the payment
+        if (typeof window !== 'undefined' && window.history?.replaceState && href === window.location.href) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+        
+        const prefill = { recipient: request.recipient, amount: request.amount || '', memo: request.memo };
+        try {
+            if (!this.paymentRequests.isForChain(request)) {
+                throw PaymentRequests.createPaymentRequestError(`This request is for chain ${request.chainId}, but FacePay is on ${this.provider.chainId}`);
+            }
+            
+            // A link carries both the username and the address it resolved to when created
+            if (request.username && request.address) {
+                const user = await this.resolveUsername(request.recipient);
+                if (!Addresses.isSameAddress(user.address, request.address, request.chain)) {
+                    throw PaymentRequests.createPaymentRequestError(`@${request.username} no longer matches the address in this request`);
+                }
+            }
+            
+            if (!request.amount) {
+                return this.openSendForm(request.token, prefill);
+            }
+            
+            return await this.initiateTransaction(request.recipient, request.amount, request.token, { memo: request.memo });
+        } catch (error) {
+            return this.openSendForm(request.token, { ...prefill, message: error.message });
         }
+    }
+
+    // ==================== USERNAME-BASED SENDING (@username) ====================
+    
+    async resolveUsername(username) {
+        const user = await this.usernames.resolve(username, { chain: this.getAddressChain() });
         
-        throw new Error(`Username @${cleanUsername} not found`);
+        return {
+            ...user,
+            avatar: user.avatar || `https://api.dicebear.com/7.x/avataaars/svg?seed=${user.username}`
+        };
     }
 
     createUsernameInput() {
@@ -786,10 +2203,12 @@ class FacePayCryptoUX {
         const resolvedUser = container.querySelector('.resolved-user');
         
         let debounceTimeout;
+        let lookupId = 0;
         
         input.addEventListener('input', (e) => {
             clearTimeout(debounceTimeout);
             const value = e.target.value.trim();
+            const currentLookup = ++lookupId;
             
             if (value.length < 2) {
                 suggestions.classList.add('hidden');
@@ -800,14 +2219,68 @@ class FacePayCryptoUX {
             debounceTimeout = setTimeout(async () => {
                 try {
                     const user = await this.resolveUsername(value);
+                    if (currentLookup !== lookupId) return;
+                    
                     this.showResolvedUser(resolvedUser, user);
                     suggestions.classList.add('hidden');
                 } catch (error) {
-                    this.showUsernameSuggestions(suggestions, value);
+                    if (currentLookup !== lookupId) return;
+                    
                     resolvedUser.classList.add('hidden');
+                    await this.showUsernameSuggestions(suggestions, value);
                 }
             }, 300);
         });
+        
+        suggestions.addEventListener('click', (e) => {
+            const option = e.target.closest('.username-suggestion');
+            if (!option) return;
+            
+            input.value = option.dataset.username;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            suggestions.classList.add('hidden');
+        });
+    }
+
+    showResolvedUser(resolvedUser, user) {
+        resolvedUser.querySelector('.user-avatar').innerHTML = `<img src="${this.escapeHtml(user.avatar)}" alt="" width="40" height="40">`;
+        resolvedUser.querySelector('.username').textContent = `@${user.name}`;
+        resolvedUser.querySelector('.address').textContent = this.formatRecipient(user.address);
+        resolvedUser.querySelector('.address').title = `${user.address} · via ${user.source}`;
+        
+        const badge = resolvedUser.querySelector('.verified-badge');
+        badge.classList.toggle('hidden', !user.verified && !user.reverseMismatch);
+        badge.classList.toggle('mismatch', user.reverseMismatch);
+        badge.textContent = user.reverseMismatch ? '!' : '✓';
+        badge.title = user.reverseMismatch
+            ? `This address identifies itself as ${user.reverseName}`
+            : 'Address resolves back to this username';
+        
+        resolvedUser.classList.remove('hidden');
+    }
+
+    async showUsernameSuggestions(suggestions, value) {
+        let matches = [];
+        try {
+            matches = await this.usernames.search(value, { chain: this.getAddressChain() });
+        } catch (error) {
+            // Suggestions are best-effort
+        }
+        
+        if (matches.length === 0) {
+            suggestions.innerHTML = `<div class="username-suggestion-empty">No user found for @${this.escapeHtml(value.replace(/^@/, ''))}</div>`;
+        } else {
+            suggestions.innerHTML = matches.map(match => `
+                <button type="button" class="username-suggestion" data-username="${this.escapeHtml(match.username)}">
+                    <img src="${this.escapeHtml(match.avatar || `https://api.dicebear.com/7.x/avataaars/svg?seed=${encodeURIComponent(match.username)}`)}" alt="" width="24" height="24">
+                    <span class="suggestion-name">@${this.escapeHtml(match.username)}</span>
+                    ${match.displayName ? `<span class="suggestion-display-name">${this.escapeHtml(match.displayName)}</span>` : ''}
+                </button>
+            `).join('');
+        }
+        
+        suggestions.classList.remove('hidden');
+        return matches;
     }
 
     // ==================== REAL-TIME STATUS & ANIMATIONS ====================
@@ -839,29 +2312,27 @@ class FacePayCryptoUX {
     startNetworkMonitoring() {
         setInterval(() => {
             this.checkNetworkStatus();
-        }, 5000);
+        }, this.options.networkCheckInterval);
         
         // Real-time gas price monitoring
         setInterval(() => {
             this.updateGasPrices();
-        }, 15000);
+        }, this.options.gasPriceInterval);
     }
 
     async checkNetworkStatus() {
+        const status = await this.provider.getStatus();
+        this.state.networkStatus = status.connected ? 'connected' : 'disconnected';
+        this.updateNetworkIndicator(this.state.networkStatus);
+        
+        return status;
+    }
+
+    async updateGasPrices() {
         try {
-            const response = await fetch('https://api.etherscan.io/api?module=proxy&action=eth_blockNumber', {
-                timeout: 5000
-            });
-            
-            if (response.ok) {
-                this.state.networkStatus = 'connected';
-                this.updateNetworkIndicator('connected');
-            } else {
-                throw new Error('Network error');
-            }
+            this.state.gasPrice = await this.getCurrentGasPrice();
         } catch (error) {
-            this.state.networkStatus = 'disconnected';
-            this.updateNetworkIndicator('disconnected');
+            // Keep the last known price; checkNetworkStatus() reports the outage
         }
     }
 
@@ -875,10 +2346,117 @@ class FacePayCryptoUX {
 
     // ==================== UTILITY METHODS ====================
     
-    generateTransactionId() {
-        return '0x' + Array.from(crypto.getRandomValues(new Uint8Array(32)))
-            .map(b => b.toString(16).padStart(2, '0')).join('');
-    }
+    createProvider(config) {
+        if (!ChainProviders) {
+            throw new Error('FacePayChainProviders not loaded - include crypto-providers.js first');
+        }
+        
+        return ChainProviders.createChainProvider(config);
+    }
+
+    createFeeEstimator() {
+        return new FeeEstimation.FeeEstimator({
+            provider: this.provider,
+            priceFeed: this.priceFeed,
+            currency: this.options.currency
+        });
+    }
+
+    setProvider(provider) {
+        this.provider = this.createProvider(provider);
+        this.feeEstimator = this.createFeeEstimator();
+        this.createPortfolio();
+        this.paymentRequests = this.createPaymentRequestCodec();
+        this.transactionManager.setProvider(this.provider);
+        if (!this.options.statusLookup) {
+            this.history.lookup = new TxHistory.ChainStatusLookup({ provider: this.provider });
+        }
+        this.usernames = this.createUsernameRegistry();
+        this.state.gasEstimates.clear();
+        this.state.gasPrice = null;
+        this.state.portfolio = null;
+        
+        return this.provider;
+    }
+
+    createPortfolio() {
+        this.tokens = new Tokens.TokenRegistry({
+            chainId: this.provider.chainId,
+            nativeToken: this.provider.config.nativeToken,
+            tokens: this.options.tokens
+        });
+        this.balanceAdapter = this.options.balanceAdapter || Tokens.createBalanceAdapter(this.provider);
+        this.portfolio = new Tokens.Portfolio({
+            registry: this.tokens,
+            adapter: this.balanceAdapter,
+            priceFeed: this.priceFeed,
+            currency: this.options.currency
+        });
+    }
+
+    createPaymentRequestCodec() {
+        return new PaymentRequests.PaymentRequestCodec({
+            registry: this.tokens,
+            chain: this.getAddressChain(),
+            chainId: this.provider.chainId,
+            baseUrl: this.options.paymentLinkBase ||
+                (typeof window !== 'undefined' ? window.location.origin + window.location.pathname : undefined)
+        });
+    }
+
+    createPasskeyVerifier() {
+        if (this.options.passkeyVerifier) {
+            return this.options.passkeyVerifier;
+        }
+        if (this.options.devPasskeyVerifier) {
+            console.warn('⚠️ Passkeys are verified in the page (devPasskeyVerifier): development only, no server-side assurance');
+            return new Passkeys.LocalPasskeyVerifier({ storage: WalletStorage.createWalletStore('passkey-credentials') });
+        }
+        return new Passkeys.HttpPasskeyVerifier({ endpoint: this.options.passkeyEndpoint });
+    }
+
+    createUsernameRegistry() {
+        return new Usernames.UsernameRegistry({
+            resolvers: this.options.usernameResolvers || [
+                new Usernames.HttpDirectoryResolver({ endpoint: this.options.usernameDirectory }),
+                this.provider instanceof ChainProviders.EVMProvider
+                    ? new Usernames.ENSResolver({ provider: this.provider })
+                    : null,
+                new Usernames.StarknetIdResolver(),
+                this.options.usernameFixture
+                    ? new Usernames.FixtureResolver({ url: this.options.usernameFixture })
+                    : null
+            ].filter(Boolean)
+        });
+    }
+
+    getAddressChain() {
+        return this.provider instanceof ChainProviders.StarkNetProvider ? 'starknet' : 'evm';
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[char]));
+    }
+
+    isNativeToken(token) {
+        return token === this.provider.config.nativeToken;
+    }
+
+    async resolveRecipient(recipient) {
+        if (recipient.startsWith('@')) {
+            const user = await this.resolveUsername(recipient);
+            return user.address;
+        }
+        
+        return recipient;
+    }
+
+    generateTransactionId() {
+        return '0x' + Array.from(crypto.getRandomValues(new Uint8Array(32)))
+            .map(b => b.toString(16).padStart(2, '0')).join('');
+    }
 
     formatRecipient(recipient) {
         if (recipient.startsWith('@')) {
@@ -892,21 +2470,34 @@ class FacePayCryptoUX {
         return recipient;
     }
 
+    formatFiat(value) {
+        if (value === null || value === undefined) return '';
+        
+        return '≈ ' + new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: this.options.currency,
+            maximumFractionDigits: value < 1 ? 4 : 2
+        }).format(value);
+    }
+
+    formatFiatRange(low, high) {
+        if (low === null || high === null) return '';
+        return `${this.formatFiat(low)} – ${this.formatFiat(high).replace('≈ ', '')}`;
+    }
+
     getTokenIcon(token) {
-        const icons = {
-            'ETH': '⟠',
-            'BTC': '₿',
-            'USDC': '💵',
-            'USDT': '💰'
-        };
-        return icons[token] || '🪙';
+        const icon = this.tokens.get(token)?.icon || '🪙';
+        
+        return /^(https?:|\/|data:)/.test(icon)
+            ? `<img src="${this.escapeHtml(icon)}" alt="${this.escapeHtml(token)}" width="24" height="24">`
+            : icon;
     }
 
     async getCurrentGasPrice() {
-        // Simulate real-time gas price (in wei)
-        const basePrice = 20e9; // 20 gwei
-        const variation = (Math.random() - 0.5) * 0.3; // ±30% variation
-        return Math.floor(basePrice * (1 + variation));
+        // Gas price in wei from the configured chain provider
+        const gasPrice = await this.provider.getGasPrice();
+        this.state.gasPrice = gasPrice;
+        return gasPrice;
     }
 
     async animate(element, properties, duration = 300, easing = 'ease') {
@@ -1014,6 +2605,12 @@ class FacePayCryptoUX {
                 animation: pulse 2s infinite;
             }
             
+            .face-id-scanner.success { border-color: #28a745; animation: none; }
+            .face-id-scanner.error { border-color: #dc3545; animation: none; }
+            
+            .auth-indicators .indicator { opacity: 0.4; transition: opacity 0.2s ease; }
+            .auth-indicators .indicator.active { opacity: 1; }
+            
             @keyframes pulse {
                 0% { box-shadow: 0 0 0 0 rgba(0, 122, 255, 0.7); }
                 70% { box-shadow: 0 0 0 20px rgba(0, 122, 255, 0); }
@@ -1119,6 +2716,463 @@ class FacePayCryptoUX {
             @keyframes checkmark-draw {
                 to { transform: translate(-50%, -60%) rotate(-45deg) scale(1); }
             }
+            
+            .pending-transactions {
+                position: fixed;
+                right: 16px;
+                bottom: 16px;
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                z-index: 9000;
+            }
+            
+            .pending-tx {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                background: white;
+                border-radius: 12px;
+                padding: 12px 16px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+                font-size: 14px;
+            }
+            
+            .pending-tx-actions .btn-secondary {
+                padding: 8px 12px;
+                font-size: 13px;
+            }
+            
+            .tx-status-badge {
+                border-radius: 8px;
+                padding: 2px 8px;
+                font-size: 12px;
+                font-weight: 600;
+                background: #fff3cd;
+                color: #856404;
+            }
+            
+            .tx-status-badge.state-confirmed { background: #d4edda; color: #155724; }
+            .tx-status-badge.state-failed { background: #f8d7da; color: #721c24; }
+            .tx-status-badge.state-replaced,
+            .tx-status-badge.tone-neutral { background: #e2e3e5; color: #383d41; }
+            
+            .history-panel {
+                background: white;
+                border-radius: 20px;
+                padding: 16px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.08);
+                max-width: 600px;
+                margin: 0 auto;
+            }
+            
+            .history-header,
+            .history-pagination,
+            .history-export {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+            }
+            
+            .history-filters {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin: 12px 0;
+            }
+            
+            .history-search {
+                flex: 1 1 100%;
+            }
+            
+            .history-item {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 10px 0;
+                border-top: 1px solid #f0f0f0;
+            }
+            
+            .history-item-info {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+            }
+            
+            .history-item-date {
+                color: #888;
+                font-size: 12px;
+            }
+            
+            .history-item-amount {
+                font-weight: 600;
+            }
+            
+            .history-export {
+                justify-content: flex-end;
+                margin-top: 12px;
+            }
+            
+            .username-input-container .input-group {
+                position: relative;
+            }
+            
+            .username-suggestions {
+                position: absolute;
+                top: 100%;
+                left: 0;
+                right: 0;
+                background: white;
+                border-radius: 12px;
+                box-shadow: 0 8px 24px rgba(0,0,0,0.15);
+                overflow: hidden;
+                z-index: 10;
+            }
+            
+            .username-suggestion {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                width: 100%;
+                padding: 10px 14px;
+                border: none;
+                background: none;
+                text-align: left;
+                font-size: 14px;
+                cursor: pointer;
+            }
+            
+            .username-suggestion:hover,
+            .username-suggestion:focus {
+                background: #f2f6ff;
+            }
+            
+            .username-suggestion img {
+                border-radius: 50%;
+            }
+            
+            .suggestion-display-name,
+            .username-suggestion-empty {
+                color: #888;
+                font-size: 13px;
+            }
+            
+            .username-suggestion-empty {
+                padding: 10px 14px;
+            }
+            
+            .username-suggestions.hidden,
+            .resolved-user.hidden,
+            .verified-badge.hidden {
+                display: none;
+            }
+            
+            .creation-progress .step.done {
+                opacity: 0.6;
+            }
+            
+            .wallet-address {
+                margin-top: 16px;
+                font-family: monospace;
+                font-size: 13px;
+                word-break: break-all;
+            }
+            
+            .wallet-password-form {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                margin-top: 16px;
+            }
+            
+            .wallet-password-form input {
+                padding: 12px;
+                border-radius: 10px;
+                border: none;
+                font-size: 16px;
+            }
+            
+            .wallet-password-error,
+            .wallet-creation-error {
+                color: #ffd1d1;
+                font-size: 13px;
+            }
+            
+            .backup-phrase {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 8px;
+            }
+            
+            .backup-word,
+            .word-option {
+                background: rgba(255,255,255,0.15);
+                border-radius: 8px;
+                padding: 8px;
+                font-size: 14px;
+                color: white;
+            }
+            
+            .backup-word em {
+                opacity: 0.6;
+                font-style: normal;
+                margin-right: 6px;
+            }
+            
+            .word-options {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                justify-content: center;
+            }
+            
+            .word-option {
+                border: none;
+                cursor: pointer;
+            }
+            
+            .word-option.selected {
+                background: rgba(52, 199, 89, 0.6);
+            }
+            
+            .word-option.wrong {
+                background: rgba(255, 59, 48, 0.7);
+            }
+            
+            .backup-options {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-top: 16px;
+            }
+            
+            .guardian-share code {
+                display: block;
+                word-break: break-all;
+                font-size: 12px;
+            }
+            
+            .wallet-password-form.hidden,
+            .wallet-password-confirm.hidden,
+            .wallet-address.hidden,
+            .reveal-phrase-btn.hidden {
+                display: none;
+            }
+            
+            .portfolio-panel {
+                background: white;
+                border-radius: 20px;
+                padding: 16px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.08);
+                max-width: 400px;
+                margin: 0 auto;
+            }
+            
+            .portfolio-panel.loading .portfolio-holdings {
+                opacity: 0.5;
+            }
+            
+            .portfolio-header {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+            
+            .portfolio-total {
+                flex: 1;
+                font-size: 24px;
+                font-weight: 700;
+                text-align: right;
+            }
+            
+            .portfolio-refresh-btn {
+                border: none;
+                background: none;
+                font-size: 18px;
+                cursor: pointer;
+            }
+            
+            .portfolio-holding {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 10px 0;
+                border-top: 1px solid #f0f0f0;
+            }
+            
+            .portfolio-holding .token-icon {
+                font-size: 24px;
+                width: 32px;
+                text-align: center;
+            }
+            
+            .portfolio-holding .token-info,
+            .portfolio-holding .token-balance {
+                display: flex;
+                flex-direction: column;
+            }
+            
+            .portfolio-holding .token-info {
+                flex: 1;
+            }
+            
+            .portfolio-holding .token-balance {
+                text-align: right;
+            }
+            
+            .token-name,
+            .token-fiat,
+            .portfolio-empty,
+            .send-form-available {
+                color: #888;
+                font-size: 13px;
+            }
+            
+            .token-send-btn {
+                border: none;
+                border-radius: 10px;
+                padding: 8px 14px;
+                background: #007AFF;
+                color: white;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            
+            .token-send-btn:disabled {
+                background: #d0d0d0;
+                cursor: default;
+            }
+            
+            .send-form {
+                position: fixed;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                padding: 20px;
+                z-index: 10000;
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+            }
+            
+            .send-form-amount {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+            
+            .send-amount-input {
+                flex: 1;
+                font-size: 24px;
+                border: none;
+                outline: none;
+            }
+            
+            .memo-display {
+                color: #555;
+                font-style: italic;
+                text-align: center;
+            }
+            
+            .policy-notice {
+                margin-top: 16px;
+                padding: 12px 16px;
+                border-radius: 12px;
+                background: #f1f3f5;
+                color: #383d41;
+            }
+            
+            .policy-notice h4 {
+                margin: 0 0 6px;
+            }
+            
+            .policy-notice ul {
+                margin: 0;
+                padding-left: 18px;
+                font-size: 14px;
+            }
+            
+            .policy-notice.decision-extra-auth {
+                background: #fff3cd;
+                color: #856404;
+            }
+            
+            .policy-notice.decision-block {
+                background: #f8d7da;
+                color: #721c24;
+            }
+            
+            .policy-notice.hidden {
+                display: none;
+            }
+            
+            .confirm-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
+            .payment-request-form,
+            .payment-request-card {
+                background: white;
+                border-radius: 20px;
+                padding: 20px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.08);
+                max-width: 400px;
+                margin: 0 auto;
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+            }
+            
+            .payment-request-qr svg {
+                display: block;
+                width: 100%;
+                max-width: 260px;
+                height: auto;
+                margin: 0 auto;
+            }
+            
+            .payment-request-summary {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 4px;
+            }
+            
+            .payment-request-amount {
+                font-size: 22px;
+                font-weight: 700;
+            }
+            
+            .payment-request-link {
+                width: 100%;
+                font-size: 12px;
+                color: #666;
+                border: 1px solid #e0e0e0;
+                border-radius: 10px;
+                padding: 8px;
+            }
+            
+            .payment-request-actions {
+                display: flex;
+                gap: 8px;
+            }
+            
+            .payment-request-actions button {
+                flex: 1;
+            }
+            
+            .send-form-error {
+                color: #d93025;
+                font-size: 13px;
+            }
+            
+            .verified-badge.mismatch {
+                background: #fff3cd;
+                color: #856404;
+            }
         `);
     }
 
@@ -0,0 +1,404 @@
+/**
+ * FacePay Wallet Keys
+ * BIP-39 mnemonics, BIP-32/44 account derivation and EIP-1559 transaction signing on top
+ * of WebCrypto, plus the shuffled-word quiz used to verify that a backup phrase was written down.
+ */
+
+const WalletWordlist = (typeof window !== 'undefined' && window.FacePayBip39Wordlist) ||
+    (typeof require === 'function' ? require('./crypto-bip39-wordlist.js') : null);
+const WalletAddress = (typeof window !== 'undefined' && window.FacePayAddress) ||
+    (typeof require === 'function' ? require('./crypto-address.js') : null);
+
+const walletCrypto = typeof crypto !== 'undefined' && crypto.subtle ? crypto : require('crypto').webcrypto;
+
+// MetaMask / Ledger Live compatible first account
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+function createWalletError(type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+}
+
+function randomBytes(length) {
+    return walletCrypto.getRandomValues(new Uint8Array(length));
+}
+
+function bytesToBigInt(bytes) {
+    return BigInt(WalletAddress.bytesToHex(bytes));
+}
+
+function bigIntToBytes(value, length = 32) {
+    return WalletAddress.hexToBytes(value.toString(16).padStart(length * 2, '0'));
+}
+
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// ==================== BIP-39 MNEMONICS ====================
+
+async function entropyToMnemonic(entropy) {
+    if (![16, 20, 24, 28, 32].includes(entropy.length)) {
+        throw createWalletError('invalid_mnemonic', 'Entropy must be 128-256 bits in 32-bit steps');
+    }
+
+    // Checksum: the first ENT/32 bits of SHA-256(entropy)
+    const hash = new Uint8Array(await walletCrypto.subtle.digest('SHA-256', entropy));
+    const bits = Array.from(entropy, byte => byte.toString(2).padStart(8, '0')).join('') +
+        hash[0].toString(2).padStart(8, '0').slice(0, entropy.length / 4);
+
+    return bits.match(/.{11}/g).map(chunk => WalletWordlist[parseInt(chunk, 2)]).join(' ');
+}
+
+async function mnemonicToEntropy(mnemonic) {
+    const words = normalizeMnemonic(mnemonic).split(' ');
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+        throw createWalletError('invalid_mnemonic', 'Backup phrases have 12, 15, 18, 21 or 24 words');
+    }
+
+    const bits = words.map(word => {
+        const index = WalletWordlist.indexOf(word);
+        if (index === -1) {
+            throw createWalletError('invalid_mnemonic', `"${word}" is not a backup phrase word`);
+        }
+        return index.toString(2).padStart(11, '0');
+    }).join('');
+
+    const checksumLength = words.length / 3;
+    const entropyBits = bits.slice(0, bits.length - checksumLength);
+    const entropy = Uint8Array.from(entropyBits.match(/.{8}/g), byte => parseInt(byte, 2));
+
+    if (await entropyToMnemonic(entropy) !== words.join(' ')) {
+        throw createWalletError('invalid_mnemonic', 'Backup phrase checksum does not match');
+    }
+
+    return entropy;
+}
+
+async function generateMnemonic(strength = 128) {
+    return entropyToMnemonic(randomBytes(strength / 8));
+}
+
+async function validateMnemonic(mnemonic) {
+    try {
+        await mnemonicToEntropy(mnemonic);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function normalizeMnemonic(mnemonic) {
+    return String(mnemonic).normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+async function mnemonicToSeed(mnemonic, passphrase = '') {
+    const encoder = new TextEncoder();
+    const key = await walletCrypto.subtle.importKey('raw', encoder.encode(normalizeMnemonic(mnemonic)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await walletCrypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        hash: 'SHA-512',
+        salt: encoder.encode('mnemonic' + passphrase.normalize('NFKD')),
+        iterations: 2048
+    }, key, 512);
+
+    return new Uint8Array(bits);
+}
+
+// ==================== SECP256K1 ====================
+
+const SECP256K1 = {
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+    n: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+    G: {
+        x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+        y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+    }
+};
+
+function mod(value, modulus = SECP256K1.p) {
+    const result = value % modulus;
+    return result >= 0n ? result : result + modulus;
+}
+
+function invert(value, modulus = SECP256K1.p) {
+    let [a, b, x, y] = [mod(value, modulus), modulus, 1n, 0n];
+    while (b !== 0n) {
+        const q = a / b;
+        [a, b, x, y] = [b, a - q * b, y, x - q * y];
+    }
+    return mod(x, modulus);
+}
+
+function addPoints(P, Q) {
+    if (!P) return Q;
+    if (!Q) return P;
+
+    if (P.x === Q.x) {
+        if (mod(P.y + Q.y) === 0n) return null;
+        const slope = mod(3n * P.x * P.x * invert(2n * P.y));
+        const x = mod(slope * slope - 2n * P.x);
+        return { x, y: mod(slope * (P.x - x) - P.y) };
+    }
+
+    const slope = mod((Q.y - P.y) * invert(Q.x - P.x));
+    const x = mod(slope * slope - P.x - Q.x);
+    return { x, y: mod(slope * (P.x - x) - P.y) };
+}
+
+function multiplyPoint(scalar, point = SECP256K1.G) {
+    let result = null;
+    let addend = point;
+
+    while (scalar > 0n) {
+        if (scalar & 1n) result = addPoints(result, addend);
+        addend = addPoints(addend, addend);
+        scalar >>= 1n;
+    }
+
+    return result;
+}
+
+function getPublicKey(privateKey, compressed = true) {
+    const point = multiplyPoint(bytesToBigInt(privateKey));
+
+    return compressed
+        ? concatBytes(Uint8Array.of(point.y & 1n ? 3 : 2), bigIntToBytes(point.x))
+        : concatBytes(Uint8Array.of(4), bigIntToBytes(point.x), bigIntToBytes(point.y));
+}
+
+function publicKeyToAddress(publicKey) {
+    const hash = WalletAddress.keccak256(publicKey.slice(1));
+    return WalletAddress.toChecksumAddress(WalletAddress.bytesToHex(hash.slice(12)));
+}
+
+// ==================== BIP-32 ====================
+
+async function hmacSha512(key, data) {
+    const cryptoKey = await walletCrypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']);
+    return new Uint8Array(await walletCrypto.subtle.sign('HMAC', cryptoKey, data));
+}
+
+async function deriveChild({ privateKey, chainCode }, index) {
+    const hardened = index >= 0x80000000;
+    const indexBytes = Uint8Array.of(index >>> 24, (index >>> 16) & 0xff, (index >>> 8) & 0xff, index & 0xff);
+    const data = hardened
+        ? concatBytes(Uint8Array.of(0), privateKey, indexBytes)
+        : concatBytes(getPublicKey(privateKey), indexBytes);
+
+    const digest = await hmacSha512(chainCode, data);
+    const tweak = bytesToBigInt(digest.slice(0, 32));
+    const child = mod(tweak + bytesToBigInt(privateKey), SECP256K1.n);
+
+    // Invalid for ~1 in 2^127 indexes; BIP-32 says to skip to the next one
+    if (tweak >= SECP256K1.n || child === 0n) {
+        return deriveChild({ privateKey, chainCode }, index + 1);
+    }
+
+    return { privateKey: bigIntToBytes(child), chainCode: digest.slice(32) };
+}
+
+function parseDerivationPath(path) {
+    const segments = path.split('/');
+    if (segments.shift() !== 'm') {
+        throw createWalletError('invalid_path', `Invalid derivation path: ${path}`);
+    }
+
+    return segments.map(segment => {
+        const hardened = segment.endsWith("'");
+        const index = Number(hardened ? segment.slice(0, -1) : segment);
+        if (!Number.isInteger(index) || index < 0 || index >= 0x80000000) {
+            throw createWalletError('invalid_path', `Invalid derivation path segment: ${segment}`);
+        }
+        return hardened ? index + 0x80000000 : index;
+    });
+}
+
+async function deriveAccount(seed, path = DEFAULT_DERIVATION_PATH) {
+    const master = await hmacSha512(new TextEncoder().encode('Bitcoin seed'), seed);
+    let node = { privateKey: master.slice(0, 32), chainCode: master.slice(32) };
+
+    for (const index of parseDerivationPath(path)) {
+        node = await deriveChild(node, index);
+    }
+
+    return {
+        path,
+        address: publicKeyToAddress(getPublicKey(node.privateKey, false)),
+        privateKey: node.privateKey
+    };
+}
+
+async function mnemonicToAccount(mnemonic, { path = DEFAULT_DERIVATION_PATH, passphrase = '' } = {}) {
+    return deriveAccount(await mnemonicToSeed(mnemonic, passphrase), path);
+}
+
+// ==================== TRANSACTION SIGNING ====================
+
+async function hmacSha256(key, ...data) {
+    const cryptoKey = await walletCrypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await walletCrypto.subtle.sign('HMAC', cryptoKey, concatBytes(...data)));
+}
+
+// RFC 6979 nonce, so a signature never depends on the quality of the page's randomness
+async function deterministicNonce(privateKey, digest) {
+    const message = bigIntToBytes(mod(bytesToBigInt(digest), SECP256K1.n));
+    let k = new Uint8Array(32);
+    let v = new Uint8Array(32).fill(1);
+
+    k = await hmacSha256(k, v, Uint8Array.of(0), privateKey, message);
+    v = await hmacSha256(k, v);
+    k = await hmacSha256(k, v, Uint8Array.of(1), privateKey, message);
+    v = await hmacSha256(k, v);
+
+    for (;;) {
+        v = await hmacSha256(k, v);
+        const candidate = bytesToBigInt(v);
+        if (candidate > 0n && candidate < SECP256K1.n) return candidate;
+
+        k = await hmacSha256(k, v, Uint8Array.of(0));
+        v = await hmacSha256(k, v);
+    }
+}
+
+// { r, s, recovery } over a 32-byte digest, in the low-s form Ethereum requires (EIP-2)
+async function signDigest(privateKey, digest) {
+    const { n } = SECP256K1;
+    const k = await deterministicNonce(privateKey, digest);
+    const point = multiplyPoint(k);
+    const r = mod(point.x, n);
+    let s = mod(invert(k, n) * (bytesToBigInt(digest) + r * bytesToBigInt(privateKey)), n);
+    let recovery = Number(point.y & 1n);
+
+    if (s > n / 2n) {
+        s = n - s;
+        recovery ^= 1;
+    }
+
+    return { r, s, recovery };
+}
+
+// Minimal big-endian bytes, as RLP encodes integers (zero is the empty string)
+function quantityToBytes(value) {
+    const hex = BigInt(value).toString(16);
+    if (hex === '0') return new Uint8Array(0);
+    return WalletAddress.hexToBytes(hex.length % 2 ? '0' + hex : hex);
+}
+
+function rlpLength(length, offset) {
+    if (length < 56) return Uint8Array.of(offset + length);
+    const bytes = quantityToBytes(length);
+    return concatBytes(Uint8Array.of(offset + 55 + bytes.length), bytes);
+}
+
+function rlpEncode(item) {
+    if (Array.isArray(item)) {
+        const payload = concatBytes(...item.map(rlpEncode));
+        return concatBytes(rlpLength(payload.length, 0xc0), payload);
+    }
+    if (item.length === 1 && item[0] < 0x80) return item;
+    return concatBytes(rlpLength(item.length, 0x80), item);
+}
+
+// tx: { chainId, nonce, to, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas } with integer amounts.
+// Returns the EIP-1559 (type 2) raw transaction for eth_sendRawTransaction.
+async function signTransaction(tx, privateKey) {
+    const fields = [
+        quantityToBytes(tx.chainId),
+        quantityToBytes(tx.nonce),
+        quantityToBytes(tx.maxPriorityFeePerGas),
+        quantityToBytes(tx.maxFeePerGas),
+        quantityToBytes(tx.gasLimit),
+        WalletAddress.hexToBytes(tx.to),
+        quantityToBytes(tx.value ?? 0),
+        tx.data ? WalletAddress.hexToBytes(tx.data) : new Uint8Array(0),
+        []
+    ];
+
+    const digest = WalletAddress.keccak256(concatBytes(Uint8Array.of(2), rlpEncode(fields)));
+    const { r, s, recovery } = await signDigest(privateKey, digest);
+    const signed = rlpEncode([...fields, quantityToBytes(recovery), quantityToBytes(r), quantityToBytes(s)]);
+
+    return WalletAddress.bytesToHex(concatBytes(Uint8Array.of(2), signed));
+}
+
+// ==================== BACKUP QUIZ ====================
+
+// Fisher-Yates with crypto randomness so the shuffled order leaks nothing about the phrase
+function shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = walletCrypto.getRandomValues(new Uint32Array(1))[0] % (i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+class BackupQuiz {
+    constructor(mnemonic) {
+        this.words = normalizeMnemonic(mnemonic).split(' ');
+        this.options = shuffle(this.words.map((word, slot) => ({ slot, word })));
+        this.position = 0;
+        this.mistakes = 0;
+        this.used = new Set();
+    }
+
+    get complete() {
+        return this.position === this.words.length;
+    }
+
+    // Phrases may repeat a word, so any unused tile with the right word is accepted
+    select(slot) {
+        const option = this.options.find(candidate => candidate.slot === slot);
+        if (!option || this.used.has(slot) || this.complete) {
+            return { correct: false, complete: this.complete, position: this.position };
+        }
+
+        if (option.word !== this.words[this.position]) {
+            this.mistakes++;
+            return { correct: false, complete: false, position: this.position };
+        }
+
+        this.used.add(slot);
+        this.position++;
+        return { correct: true, complete: this.complete, position: this.position };
+    }
+
+    reset() {
+        this.position = 0;
+        this.used.clear();
+        this.options = shuffle(this.options);
+    }
+}
+
+const FacePayWallet = {
+    DEFAULT_DERIVATION_PATH,
+    generateMnemonic,
+    validateMnemonic,
+    normalizeMnemonic,
+    entropyToMnemonic,
+    mnemonicToEntropy,
+    mnemonicToSeed,
+    mnemonicToAccount,
+    deriveAccount,
+    getPublicKey,
+    publicKeyToAddress,
+    signDigest,
+    signTransaction,
+    randomBytes,
+    BackupQuiz
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FacePayWallet;
+} else if (typeof window !== 'undefined') {
+    window.FacePayWallet = FacePayWallet;
+}
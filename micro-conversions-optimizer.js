@@ -1465,15 +1465,12 @@ export class MicroConversionsOptimizer {
     }
 
     trackEvent(event, data) {
-        // Integration with analytics
-        if (typeof gtag !== 'undefined') {
-            gtag('event', event, {
-                event_category: 'micro_conversions',
-                lead_score: this.leadScore,
-                engagement_level: this.engagementLevel,
-                ...data
-            });
-        }
+        // Through the event bus (analytics-event-bus.js), which redacts the email and form answers
+        window.FacePayEvents?.publish(event, {
+            lead_score: this.leadScore,
+            engagement_level: this.engagementLevel,
+            ...data
+        }, { tracker: 'micro-conversions' });
         
         if (this.options.debug) {
             console.log(`🎯 Micro-conversion event: ${event}`, data);
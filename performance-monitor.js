@@ -8,6 +8,8 @@ class PerformanceMonitor {
         this.metrics = new Map();
         this.observers = [];
         this.alerts = [];
+        this.listeners = new Set();
+        this.errorCount = 0;
         this.sessionStartTime = performance.now();
         this.isMonitoring = false;
         this.thresholds = {
@@ -312,9 +314,22 @@ class PerformanceMonitor {
         // Monitor network conditions
         this.monitorNetworkConditions();
         
+        // Count uncaught errors (error-rate guardrail for A/B tests)
+        this.trackErrors();
+        
         console.log('👤 UX monitoring active');
     }
 
+    trackErrors() {
+        this.errorHandler = () => {
+            this.errorCount++;
+            this.recordMetric('errors', this.errorCount);
+        };
+        
+        window.addEventListener('error', this.errorHandler);
+        window.addEventListener('unhandledrejection', this.errorHandler);
+    }
+
     trackUserInteractions() {
         let clickCount = 0;
         let scrollDepth = 0;
@@ -433,6 +448,15 @@ class PerformanceMonitor {
         // Update dashboard
         this.updateDashboard(name, metric);
         
+        // Notify subscribers, e.g. A/B test guardrails
+        this.listeners.forEach(listener => {
+            try {
+                listener(name, metric);
+            } catch (error) {
+                console.warn('Performance metric listener failed:', error);
+            }
+        });
+        
         // Send to analytics if configured
         if (typeof gtag !== 'undefined') {
             gtag('event', 'performance_metric', {
@@ -672,6 +696,12 @@ class PerformanceMonitor {
         return this.alerts;
     }
 
+    // Calls listener(name, { value, timestamp, rating }) for every recorded metric; returns an unsubscribe function
+    onMetric(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
     getScore() {
         const lcpScore = this.getMetricScore('LCP');
         const fidScore = this.getMetricScore('FID');
@@ -695,8 +725,14 @@ class PerformanceMonitor {
     destroy() {
         this.observers.forEach(observer => observer.disconnect());
         this.observers = [];
+        this.listeners.clear();
         this.isMonitoring = false;
         
+        if (this.errorHandler) {
+            window.removeEventListener('error', this.errorHandler);
+            window.removeEventListener('unhandledrejection', this.errorHandler);
+        }
+        
         const dashboard = document.getElementById('perf-dashboard');
         if (dashboard) {
             dashboard.remove();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * ANALYTICS COLLECTOR SERVER
+ * Serves the site and the /api/analytics routes from one origin, so the relative
+ * endpoints in analytics-event-bus.js and analytics-tracking-system.js work locally
+ *
+ * Environment:
+ *   ANALYTICS_PORT         default 8080
+ *   ANALYTICS_HOST         default 127.0.0.1 (use 0.0.0.0 behind a reverse proxy)
+ *   ANALYTICS_STORE        ndjson (default) or sqlite (Node 22.5+)
+ *   ANALYTICS_DATA_DIR     default ./analytics-data
+ *   ANALYTICS_QUERY_TOKEN  required as a Bearer token on /api/analytics/query when set
+ *   ANALYTICS_STATIC_DIR   site to serve, default the built site in ./dist (npm run build); "none" serves only the API.
+ *                          Dotfiles and the data directory are never served from it
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+    port: Number(process.env.ANALYTICS_PORT) || 8080,
+    host: process.env.ANALYTICS_HOST || '127.0.0.1',
+    store: process.env.ANALYTICS_STORE || 'ndjson',
+    dataDir: path.resolve(process.env.ANALYTICS_DATA_DIR || path.join(ROOT, 'analytics-data')),
+    queryToken: process.env.ANALYTICS_QUERY_TOKEN || null,
+    staticDir: process.env.ANALYTICS_STATIC_DIR === 'none' ? null : path.resolve(process.env.ANALYTICS_STATIC_DIR || path.join(ROOT, 'dist'))
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.vtt': 'text/vtt',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml'
+};
+
+function isInside(file, dir) {
+    return file === dir || file.startsWith(dir + path.sep);
+}
+
+async function serveStatic(request) {
+    const notFound = () => new Response('Not found', { status: 404, headers: { 'content-type': 'text/plain' } });
+    if (!CONFIG.staticDir || !['GET', 'HEAD'].includes(request.method)) return notFound();
+
+    try {
+        let file = path.join(CONFIG.staticDir, decodeURIComponent(new URL(request.url).pathname));
+        // path.join normalises "..", so anything outside the static directory was a traversal attempt
+        if (!isInside(file, CONFIG.staticDir)) return notFound();
+        // Stored events are only readable through the query route, and .git, .env and the like not at all
+        if (isInside(file, CONFIG.dataDir)) return notFound();
+        if (path.relative(CONFIG.staticDir, file).split(path.sep).some(segment => segment.startsWith('.'))) return notFound();
+
+        if ((await fs.stat(file)).isDirectory()) file = path.join(file, 'index.html');
+        const body = await fs.readFile(file);
+        return new Response(request.method === 'HEAD' ? null : body, {
+            headers: { 'content-type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }
+        });
+    } catch {
+        return notFound();
+    }
+}
+
+async function main() {
+    const { AnalyticsCollector, NdjsonStore, SqliteStore, createNodeHandler } = await import('../analytics-collector.js');
+
+    const store = CONFIG.store === 'sqlite'
+        ? new SqliteStore(path.join(CONFIG.dataDir, 'analytics.sqlite'))
+        : new NdjsonStore(CONFIG.dataDir);
+    if (store.open) await store.open();
+
+    const collector = new AnalyticsCollector({ store, queryToken: CONFIG.queryToken });
+    const server = http.createServer(createNodeHandler(collector, serveStatic));
+
+    server.listen(CONFIG.port, CONFIG.host, () => {
+        console.log(`📊 Analytics collector listening on http://${CONFIG.host}:${CONFIG.port}`);
+        console.log(`   Storage: ${CONFIG.store} in ${CONFIG.dataDir}`);
+        console.log(`   Site: ${CONFIG.staticDir || 'not served'}`);
+        if (!CONFIG.queryToken) console.log('   ⚠️  ANALYTICS_QUERY_TOKEN is not set; /api/analytics/query is open to anyone who can reach this server');
+    });
+
+    const shutdown = () => server.close(() => collector.close().then(() => process.exit(0)));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('💥 Analytics collector failed to start:', error.message);
+    process.exit(1);
+});
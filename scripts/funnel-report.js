@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * FUNNEL REPORT
+ * Step conversion, median time between steps and drop-off by device, browser and experiment variant
+ * for every funnel in funnels.json, from the collector's stored events, as one HTML report
+ *
+ * Usage:
+ *   npm run analytics:funnels -- [--input events.ndjson] [--funnels funnels.json] [--funnel landing]
+ *                                [--from 2026-10-01] [--to 2026-10-31] [--out funnel-report.html]
+ *   --input reads an NDJSON (or query response) file instead of the collector's store
+ *   --from / --to take epoch ms or ISO dates
+ *
+ * Environment (same as scripts/analytics-collector.js):
+ *   ANALYTICS_STORE        ndjson (default) or sqlite (Node 22.5+)
+ *   ANALYTICS_DATA_DIR     default ./analytics-data
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+    store: process.env.ANALYTICS_STORE || 'ndjson',
+    dataDir: path.resolve(process.env.ANALYTICS_DATA_DIR || path.join(ROOT, 'analytics-data')),
+    // Events read per report
+    maxEvents: 500000
+};
+
+const OPTIONS = ['--input', '--funnels', '--funnel', '--from', '--to', '--out'];
+
+function parseArgs(argv) {
+    const args = { input: null, funnels: path.join(ROOT, 'funnels.json'), funnel: null, from: undefined, to: undefined, out: 'funnel-report.html' };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (!OPTIONS.includes(flag)) {
+            throw new Error(`Unknown option ${flag}`);
+        }
+        if (value === undefined) throw new Error(`${flag} needs a value`);
+        i++;
+
+        if (flag === '--from' || flag === '--to') {
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (Number.isNaN(time)) throw new Error(`${flag}: expected epoch milliseconds or an ISO date`);
+            args[flag.slice(2)] = time;
+        } else {
+            args[flag.slice(2)] = value;
+        }
+    }
+    return args;
+}
+
+async function readEvents(args, parseEventRecords) {
+    if (args.input) {
+        const records = parseEventRecords(await fs.readFile(path.resolve(args.input), 'utf8'));
+        return records.filter(record => (args.from === undefined || record.timestamp >= args.from) && (args.to === undefined || record.timestamp <= args.to));
+    }
+
+    const { NdjsonStore, SqliteStore } = await import('../analytics-collector.js');
+    const store = CONFIG.store === 'sqlite'
+        ? new SqliteStore(path.join(CONFIG.dataDir, 'analytics.sqlite'))
+        : new NdjsonStore(CONFIG.dataDir);
+    try {
+        const records = await store.query('events', { from: args.from, to: args.to }, CONFIG.maxEvents);
+        if (records.length > CONFIG.maxEvents) {
+            console.log(`⚠️  More than ${CONFIG.maxEvents} events in range; using the first ${CONFIG.maxEvents} (narrow it with --from / --to)`);
+            records.length = CONFIG.maxEvents;
+        }
+        return records;
+    } finally {
+        await store.close();
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { loadFunnelDefinitions, parseEventRecords, analyzeFunnels, renderFunnelReport, formatPercent } = await import('../analytics-funnels.js');
+
+    let funnels;
+    try {
+        funnels = await loadFunnelDefinitions(JSON.parse(await fs.readFile(path.resolve(args.funnels), 'utf8')));
+    } catch (error) {
+        throw new Error(`${args.funnels}: ${error.message}`);
+    }
+    if (args.funnel) {
+        funnels = funnels.filter(funnel => funnel.id === args.funnel);
+        if (funnels.length === 0) throw new Error(`No funnel "${args.funnel}" in ${args.funnels}`);
+    }
+
+    const records = await readEvents(args, parseEventRecords);
+    if (records.length === 0) {
+        throw new Error(`No events in ${args.input || CONFIG.dataDir}`);
+    }
+
+    const analyses = analyzeFunnels(records, funnels);
+    const out = path.resolve(args.out);
+    await fs.writeFile(out, renderFunnelReport(analyses, { source: args.input ? path.basename(args.input) : `the ${CONFIG.store} store` }));
+
+    console.log(`🎯 ${records.length} events, ${analyses[0].sessions} sessions`);
+    analyses.forEach(analysis => {
+        console.log(`   ${analysis.funnel.name}: ${analysis.entered} entered, ${analysis.converted} converted (${formatPercent(analysis.conversionRate)})`);
+        const top = analysis.insights.find(insight => insight.priority === 'high');
+        if (top) console.log(`   ${top.message}`);
+    });
+    console.log(`   Saved to ${out}`);
+}
+
+main().catch(error => {
+    console.error('💥 Funnel report failed:', error.message);
+    process.exit(1);
+});
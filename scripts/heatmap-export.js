@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * HEAT MAP EXPORT
+ * Aggregates the collector's stored heat map points into one page's export for the overlay
+ * (open the page with ?heatmap=1 and pick the file, see analytics-heatmap.js)
+ *
+ * Usage:
+ *   npm run analytics:heatmap -- [--page /] [--from 2026-10-01] [--to 2026-10-31] [--out heatmap.json]
+ *   --page defaults to the page with the most captures; --from / --to take epoch ms or ISO dates
+ *
+ * Environment (same as scripts/analytics-collector.js):
+ *   ANALYTICS_STORE        ndjson (default) or sqlite (Node 22.5+)
+ *   ANALYTICS_DATA_DIR     default ./analytics-data
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+    store: process.env.ANALYTICS_STORE || 'ndjson',
+    dataDir: path.resolve(process.env.ANALYTICS_DATA_DIR || path.join(ROOT, 'analytics-data')),
+    // Captures read per export; each is one heat map flush of up to 1000 points
+    maxCaptures: 50000
+};
+
+function parseArgs(argv) {
+    const args = { page: null, from: undefined, to: undefined, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (!['--page', '--from', '--to', '--out'].includes(flag)) {
+            throw new Error(`Unknown option ${flag}`);
+        }
+        if (value === undefined) throw new Error(`${flag} needs a value`);
+        i++;
+
+        if (flag === '--page' || flag === '--out') {
+            args[flag.slice(2)] = value;
+        } else {
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (Number.isNaN(time)) throw new Error(`${flag}: expected epoch milliseconds or an ISO date`);
+            args[flag.slice(2)] = time;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { NdjsonStore, SqliteStore } = await import('../analytics-collector.js');
+    const { aggregateHeatmap, toJSON } = await import('../analytics-heatmap.js');
+
+    const store = CONFIG.store === 'sqlite'
+        ? new SqliteStore(path.join(CONFIG.dataDir, 'analytics.sqlite'))
+        : new NdjsonStore(CONFIG.dataDir);
+
+    try {
+        const records = await store.query('heatmap', { from: args.from, to: args.to }, CONFIG.maxCaptures);
+        if (records.length > CONFIG.maxCaptures) {
+            console.log(`⚠️  More than ${CONFIG.maxCaptures} captures in range; using the first ${CONFIG.maxCaptures} (narrow it with --from / --to)`);
+            records.length = CONFIG.maxCaptures;
+        }
+        if (records.length === 0) {
+            throw new Error(`No heat map data in ${CONFIG.dataDir}`);
+        }
+
+        const heatmap = aggregateHeatmap(records, { page: args.page });
+        const out = path.resolve(args.out || `heatmap${(heatmap.page || '/').replace(/[^\w]+/g, '-').replace(/-$/, '')}.json`);
+        await fs.writeFile(out, toJSON(heatmap));
+
+        console.log(`🔥 Heat map for ${heatmap.page}: ${heatmap.captures} captures, ${heatmap.elements.length} elements, ${heatmap.sections.length} sections`);
+        if (heatmap.totals.unanchored > 0) {
+            console.log(`   ${heatmap.totals.unanchored} points without an element (sent by older clients) were skipped`);
+        }
+        console.log(`   Saved to ${out}; open the page with ?heatmap=1 and choose this file`);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('💥 Heat map export failed:', error.message);
+    process.exit(1);
+});
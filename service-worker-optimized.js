@@ -67,6 +67,10 @@ const SYNC_TASKS = {
   PERFORMANCE_METRICS: 'performance-sync'
 };
 
+// Analytics batches the page couldn't send (AnalyticsOfflineQueue, shared with the page)
+importScripts('/analytics-offline-queue.js');
+const analyticsQueue = new AnalyticsOfflineQueue({ syncTag: SYNC_TASKS.ANALYTICS });
+
 /**
  * Install Event - Progressive caching strategy
  */
@@ -747,10 +751,27 @@ function isAnalyticsRequest(url) {
          url.hostname.includes('gtag');
 }
 
+/**
+ * Replays the analytics offline queue; rejecting makes the browser retry the sync later
+ */
+async function syncAnalytics() {
+  const { sent, failed, dropped } = await analyticsQueue.replay();
+  console.log(`[SW] Analytics replayed: ${sent} sent, ${failed} failed, ${dropped} expired`);
+  
+  if (failed > 0) {
+    throw new Error(`${failed} analytics events still pending`);
+  }
+}
+
 // Initialize functions
 async function initOfflineQueue() {
-  // Implementation would use IndexedDB for persistent offline queue
-  console.log('[SW] Offline queue initialized');
+  // Creates the IndexedDB store up front so the first sync doesn't have to
+  try {
+    await analyticsQueue.open();
+    console.log('[SW] Offline queue initialized');
+  } catch (error) {
+    console.log('[SW] Offline queue unavailable:', error);
+  }
 }
 
 async function initPerformanceMonitoring() {
@@ -0,0 +1,396 @@
+/**
+ * FACEPAY SESSION REPLAY PLAYER
+ * Rebuilds a page view recorded by session-replay-recorder.js and plays it back in session-replay-player.html
+ *
+ * - parseReplayRecords(text)     the collector's replay.ndjson, a /api/analytics/query?collection=replay response, or an array
+ * - assembleReplays(records)     chunks grouped per page view, decoded and in order, with any missing chunks listed
+ * - ReplayRenderer               applies recorded events to a document (the player's sandboxed iframe)
+ * - ReplayPlayer                 play / pause / seek / speed over a renderer, with the visitor's viewport, scroll and clicks
+ *
+ * What the recorder masked stays masked: there is nothing else in the recording to show.
+ */
+
+export const REPLAY_ENCODINGS = ['gzip-base64', 'json'];
+export const PLAYER_SPEEDS = [1, 2, 4, 8];
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * LOADING
+ */
+export function parseReplayRecords(input) {
+    if (Array.isArray(input)) return input;
+    if (input && typeof input === 'object') {
+        if (Array.isArray(input.records)) return input.records;
+        // A replay.ndjson file with a single chunk
+        if (input.replay_id) return [input];
+        throw new Error('Expected replay records: a replay.ndjson file or a collector query response');
+    }
+
+    const text = String(input).trim();
+    if (text === '') return [];
+    if (text.startsWith('[') || (text.startsWith('{') && !text.includes('\n'))) {
+        return parseReplayRecords(JSON.parse(text));
+    }
+    // NDJSON straight from the collector's data directory; a torn last line is skipped like the collector does
+    return text.split('\n').filter(line => line.trim()).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+export async function decodeChunk(record) {
+    if (record.encoding === 'json') return JSON.parse(record.data);
+    if (record.encoding !== 'gzip-base64') {
+        throw new Error(`Replay chunk ${record.sequence} has an unknown encoding "${record.encoding}"`);
+    }
+
+    const binary = atob(record.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
+
+// Anyone can post chunks to the collector, so timings and sizes must be numbers before they reach the page
+function isWellFormedEvent(event) {
+    if (!event || typeof event !== 'object' || !Number.isFinite(event.t)) return false;
+    if (event.type === 'meta' || event.type === 'viewport') {
+        return Number.isFinite(event.width) && Number.isFinite(event.height);
+    }
+    return true;
+}
+
+/**
+ * One replay per recorded page view, oldest first. A chunk sent twice (a beacon racing a retry) is used once.
+ */
+export async function assembleReplays(records) {
+    const groups = new Map();
+    records.filter(record => record?.replay_id && Number.isInteger(record.sequence)).forEach(record => {
+        if (!groups.has(record.replay_id)) groups.set(record.replay_id, new Map());
+        const chunks = groups.get(record.replay_id);
+        if (!chunks.has(record.sequence)) chunks.set(record.sequence, record);
+    });
+
+    const replays = [];
+    for (const [replayId, chunks] of groups) {
+        const ordered = [...chunks.values()].sort((a, b) => a.sequence - b.sequence);
+        const missing = [];
+        for (let sequence = 0; sequence < ordered[ordered.length - 1].sequence; sequence++) {
+            if (!chunks.has(sequence)) missing.push(sequence);
+        }
+
+        const decoded = await Promise.all(ordered.map(decodeChunk));
+        // Stable, so events with the same t keep their recorded order
+        const events = decoded.flat().filter(isWellFormedEvent).sort((a, b) => a.t - b.t);
+        const meta = events.find(event => event.type === 'meta');
+        const first = ordered[0];
+
+        replays.push({
+            replayId,
+            sessionId: first.session_id,
+            userId: first.user_id ?? null,
+            url: meta?.url ?? first.url ?? null,
+            startedAt: first.started_at,
+            duration: events.length > 0 ? events[events.length - 1].t : 0,
+            viewport: meta ? { width: meta.width, height: meta.height } : null,
+            chunks: ordered.length,
+            missing,
+            playable: events.some(event => event.type === 'snapshot'),
+            markers: events.filter(event => event.type === 'event'),
+            events
+        });
+    }
+    return replays.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * RENDERING
+ */
+export class ReplayRenderer {
+    constructor(document) {
+        this.document = document;
+        this.nodes = new Map();
+        this.baseUrl = null;
+        this.viewport = null;
+        this.scroll = { x: 0, y: 0 };
+        this.lastClick = null;
+    }
+
+    build(node) {
+        const doc = this.document;
+        if (node.type === 'text') {
+            const text = doc.createTextNode(node.text);
+            this.nodes.set(node.id, text);
+            return text;
+        }
+
+        const element = node.ns === 'svg' ? doc.createElementNS(SVG_NAMESPACE, node.tag) : doc.createElement(node.tag);
+        Object.entries(node.attributes || {}).forEach(([name, value]) => this.setAttribute(element, name, value));
+        if (node.blocked) element.setAttribute('data-replay-blocked', '');
+        (node.children || []).forEach(child => element.appendChild(this.build(child)));
+
+        // After the children, so a select has its options
+        if (node.value !== undefined) element.value = node.value;
+        if (node.checked !== undefined) element.checked = node.checked;
+        this.nodes.set(node.id, element);
+        return element;
+    }
+
+    setAttribute(element, name, value) {
+        try {
+            element.setAttribute(name, value);
+        } catch {
+            // A name the recording page accepted but setAttribute doesn't (e.g. from a framework template)
+        }
+    }
+
+    snapshot(event) {
+        const doc = this.document;
+        this.nodes = new Map();
+        const root = this.build(event.node);
+        if (doc.documentElement) doc.removeChild(doc.documentElement);
+        doc.appendChild(root);
+
+        // Stylesheets and images in the recording are relative to the recorded page
+        const head = event.node.children?.find(child => child.tag === 'head');
+        if (head && this.baseUrl) {
+            const base = doc.createElement('base');
+            base.setAttribute('href', this.baseUrl);
+            const headElement = this.nodes.get(head.id);
+            headElement.insertBefore(base, headElement.firstChild || null);
+        }
+        this.scroll = { ...event.scroll };
+    }
+
+    apply(event) {
+        switch (event.type) {
+            case 'meta':
+                this.baseUrl = event.url;
+                this.viewport = { width: event.width, height: event.height };
+                break;
+
+            case 'snapshot':
+                this.snapshot(event);
+                break;
+
+            case 'mutation':
+                event.removes.forEach(id => {
+                    const node = this.nodes.get(id);
+                    node?.parentNode?.removeChild(node);
+                });
+                event.adds.forEach(({ parent, next, node }) => {
+                    const parentNode = this.nodes.get(parent);
+                    if (!parentNode) return;
+                    const nextNode = next === null ? null : this.nodes.get(next);
+                    parentNode.insertBefore(this.build(node), nextNode?.parentNode === parentNode ? nextNode : null);
+                });
+                event.texts.forEach(({ id, text }) => {
+                    const node = this.nodes.get(id);
+                    if (node) node.textContent = text;
+                });
+                event.attributes.forEach(({ id, name, value }) => {
+                    const element = this.nodes.get(id);
+                    if (!element) return;
+                    if (value === null) element.removeAttribute(name);
+                    else this.setAttribute(element, name, value);
+                });
+                break;
+
+            case 'input': {
+                const element = this.nodes.get(event.id);
+                if (!element) break;
+                if (event.checked !== undefined) element.checked = event.checked;
+                else element.value = event.value;
+                break;
+            }
+
+            case 'scroll':
+                if (event.id === 0) {
+                    this.scroll = { x: event.x, y: event.y };
+                } else {
+                    const element = this.nodes.get(event.id);
+                    if (element) {
+                        element.scrollLeft = event.x;
+                        element.scrollTop = event.y;
+                    }
+                }
+                break;
+
+            case 'viewport':
+                this.viewport = { width: event.width, height: event.height };
+                break;
+
+            case 'click':
+                this.lastClick = event;
+                break;
+
+            default:
+                // 'event' markers are for the timeline only
+                break;
+        }
+    }
+}
+
+/**
+ * PLAYBACK
+ * frame is a sandboxed, same-origin iframe (no allow-scripts); stage is the box it is scaled to fit
+ */
+export class ReplayPlayer {
+    constructor({ frame, stage, pointer = null, onTick = () => {} }) {
+        this.frame = frame;
+        this.stage = stage;
+        this.pointer = pointer;
+        this.onTick = onTick;
+        this.replay = null;
+        this.renderer = null;
+        this.time = 0;
+        this.index = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frameRequest = null;
+        this.snapshotAt = 0;
+        this.tick = now => this.advance(now);
+    }
+
+    load(replay) {
+        if (!replay.playable) {
+            throw new Error('This recording has no page snapshot (its first chunk is missing), so it can\'t be rebuilt');
+        }
+        this.pause();
+        this.replay = replay;
+        this.snapshotAt = replay.events.find(event => event.type === 'snapshot').t;
+        this.seek(0);
+    }
+
+    // Rebuilt from the start; recordings are small enough that this is instant
+    seek(time) {
+        if (!this.replay) return;
+        this.time = Math.min(Math.max(0, time), this.replay.duration);
+
+        // A fresh standards-mode document each time; the snapshot replaces its <html>
+        const doc = this.frame.contentDocument;
+        doc.open();
+        doc.write('<!DOCTYPE html><html></html>');
+        doc.close();
+        this.renderer = new ReplayRenderer(doc);
+        this.index = 0;
+        // Serializing a large page takes a few ms, so the snapshot may come just after 0
+        this.applyUntil(Math.max(this.time, this.snapshotAt));
+        this.renderer.lastClick = null;
+        this.sync();
+    }
+
+    applyUntil(time) {
+        const { events } = this.replay;
+        while (this.index < events.length && events[this.index].t <= time) {
+            this.renderer.apply(events[this.index]);
+            this.index++;
+        }
+    }
+
+    play() {
+        if (!this.replay || this.playing) return;
+        if (this.time >= this.replay.duration) this.seek(0);
+        this.playing = true;
+        this.lastFrame = null;
+        this.frameRequest = requestAnimationFrame(this.tick);
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.frameRequest) cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.onTick(this.time);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    advance(now) {
+        if (!this.playing) return;
+        if (this.lastFrame !== null) {
+            this.time = Math.min(this.replay.duration, this.time + (now - this.lastFrame) * this.speed);
+        }
+        this.lastFrame = now;
+
+        const click = this.renderer.lastClick;
+        this.applyUntil(this.time);
+        this.sync(this.renderer.lastClick !== click);
+
+        if (this.time >= this.replay.duration) this.pause();
+        else this.frameRequest = requestAnimationFrame(this.tick);
+    }
+
+    sync(clicked = false) {
+        const { viewport, scroll, lastClick } = this.renderer;
+        const size = viewport || this.replay.viewport || { width: 1280, height: 800 };
+
+        // The visitor's viewport, scaled down to fit the stage
+        const scale = Math.min(1, this.stage.clientWidth / size.width);
+        this.frame.style.width = `${size.width}px`;
+        this.frame.style.height = `${size.height}px`;
+        this.frame.style.transform = `scale(${scale})`;
+        this.stage.style.height = `${Math.ceil(size.height * scale)}px`;
+        this.frame.contentWindow?.scrollTo(scroll.x, scroll.y);
+
+        if (this.pointer && clicked && lastClick) {
+            this.pointer.style.left = `${lastClick.x * scale}px`;
+            this.pointer.style.top = `${lastClick.y * scale}px`;
+            // Restarts the ripple animation
+            this.pointer.classList.remove('clicked');
+            void this.pointer.offsetWidth;
+            this.pointer.classList.add('clicked');
+        }
+        this.onTick(this.time);
+    }
+}
+
+/**
+ * PAGE HELPERS
+ */
+export function renderReplayOption(replay, index) {
+    const started = new Date(replay.startedAt).toLocaleString();
+    return `<option value="${index}">${escapeHtml(started)} · ${escapeHtml(replay.url || 'unknown page')} · ${formatDuration(replay.duration)}</option>`;
+}
+
+export function renderReplayInfo(replay) {
+    const warnings = [];
+    if (!replay.playable) warnings.push('The first chunk (the page snapshot) is missing; this recording can\'t be played.');
+    if (replay.missing.length > 0) warnings.push(`Chunks ${replay.missing.join(', ')} are missing; the page may jump where they were.`);
+
+    return `
+        <dl class="replay-info">
+            <dt>Session</dt><dd>${escapeHtml(replay.sessionId)}</dd>
+            <dt>Visitor</dt><dd>${escapeHtml(replay.userId || 'anonymous')}</dd>
+            <dt>Viewport</dt><dd>${replay.viewport ? escapeHtml(`${replay.viewport.width}×${replay.viewport.height}`) : 'unknown'}</dd>
+            <dt>Length</dt><dd>${formatDuration(replay.duration)} · ${replay.chunks} chunks · ${replay.events.length} events</dd>
+        </dl>
+        ${warnings.map(warning => `<p class="replay-warning">${escapeHtml(warning)}</p>`).join('')}`;
+}
+
+// Bus events on the timeline; funnel stages stand out
+export function renderMarkers(replay) {
+    if (replay.duration === 0) return '';
+    return replay.markers.map(marker => {
+        const left = ((marker.t / replay.duration) * 100).toFixed(2);
+        const label = marker.stage ? `${marker.name} (${marker.stage})` : marker.name;
+        const kind = marker.name === 'funnel_stage_completed' || marker.name === 'conversion_completed' ? 'funnel' : 'event';
+        return `<button type="button" class="marker ${kind}" style="left:${left}%" data-time="${escapeHtml(marker.t)}" title="${escapeHtml(`${formatDuration(marker.t)} ${label}`)}"></button>`;
+    }).join('');
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,533 @@
+/**
+ * FACEPAY SESSION REPLAY RECORDER
+ * Records what a visitor saw on the page (the DOM, its changes, inputs, scrolling, clicks) so a funnel
+ * drop-off can be watched in session-replay-player.html instead of guessed from events
+ *
+ * A destination on the event bus (analytics-event-bus.js), so it starts only once the visitor allows
+ * analytics, stops and discards everything when that is withdrawn, and shares the bus's session id.
+ * Every bus event (funnel_stage_completed, cta_click, ...) is marked on the replay timeline.
+ *
+ * Privacy, by default:
+ * - every text node and text attribute (title, alt, placeholder, aria-label) is masked as "****"
+ * - every input, textarea and select value is masked; passwords and contenteditable always are
+ * - scripts, meta tags and inline event handlers are not recorded; URLs pass through the bus's PII redaction
+ * - iframes, video, audio, canvas and [data-replay-block] are recorded as empty boxes of the same size
+ * Authored copy can be shown with data-replay-unmask on a container (data-replay-mask re-masks inside it);
+ * inputs inside it are shown too, except passwords.
+ *
+ * Chunks of events are gzip-compressed (CompressionStream) and posted to /api/analytics/replay every
+ * chunkInterval, or as a plain JSON beacon when the page is hidden. Load after analytics-event-bus.js;
+ * options go in window.FacePayAnalyticsConfig.replay (false turns recording off):
+ *   { sampleRate, chunkInterval, maxChunkEvents, maxDuration, endpoint, maskAllText, maskAllInputs }
+ *
+ * Recorded events, t in ms since the recording started; node ids refer to snapshot and mutation nodes:
+ *   meta      { url, width, height }                    snapshot { node, scroll: { x, y } }
+ *   mutation  { removes: [id], adds: [{ parent, next, node }], texts: [{ id, text }], attributes: [{ id, name, value }] }
+ *   input     { id, value } or { id, checked }          scroll   { id (0 is the page), x, y }
+ *   viewport  { width, height }                         click    { id, x, y }
+ *   event     { name, category, stage }                 a bus event, for the timeline
+ * Nodes: { id, type: 'element', tag, ns?, attributes, children, value?, checked?, blocked? } or { id, type: 'text', text }
+ */
+
+const REPLAY_DEFAULTS = {
+    endpoint: '/api/analytics/replay',
+    // Share of sessions recorded, decided once per session id so every page of a visit is in or out
+    sampleRate: 1,
+    chunkInterval: 10000,
+    maxChunkEvents: 500,
+    // Recording stops after this long on one page
+    maxDuration: 30 * 60 * 1000,
+    // Chunks kept while the endpoint can't be reached; recording stops beyond this
+    maxPendingChunks: 20,
+    scrollInterval: 200,
+    maskAllText: true,
+    maskAllInputs: true,
+    debug: false
+};
+
+const REPLAY_ENCODING = 'gzip-base64';
+
+// Not recorded at all
+const REPLAY_SKIPPED_TAGS = ['script', 'noscript', 'template', 'meta', 'base'];
+// Recorded as an empty box the size of the element
+const REPLAY_BLOCK_SELECTOR = '[data-replay-block], iframe, video, audio, canvas, object, embed';
+// Authored text in attributes, masked with the text around it
+const REPLAY_TEXT_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label', 'aria-description', 'aria-placeholder'];
+const REPLAY_URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster'];
+const REPLAY_FORM_FIELDS = ['input', 'textarea', 'select'];
+const REPLAY_SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// FNV-1a, only to turn a session id into a stable sampling fraction
+function replayHashFraction(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+}
+
+function createReplayId() {
+    return `rpl_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Gzip and base64 in the browser (and Node 18+); plain JSON where CompressionStream is missing
+ */
+async function encodeReplayEvents(events) {
+    const json = JSON.stringify(events);
+    if (typeof CompressionStream === 'undefined') return { encoding: 'json', data: json };
+
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { encoding: REPLAY_ENCODING, data: btoa(binary) };
+}
+
+class SessionReplayRecorder {
+    constructor(options = {}) {
+        this.name = 'session-replay';
+        this.options = { ...REPLAY_DEFAULTS, ...options };
+        this.bus = null;
+        this.recording = false;
+        this.replayId = null;
+        this.identity = null;
+        this.startedAt = 0;
+        this.sequence = 0;
+        this.buffer = [];
+        this.pending = [];
+        this.sending = null;
+        this.lastError = null;
+        this.stats = { chunks: 0, events: 0 };
+
+        this.ids = new WeakMap();
+        this.nextId = 1;
+        this.pendingScrolls = new Map();
+        this.scrollTimer = null;
+        this.chunkTimer = null;
+        this.observer = null;
+
+        this.onInput = event => this.recordInput(event.target);
+        this.onScroll = event => this.queueScroll(event.target);
+        this.onResize = () => this.queueScroll(null);
+        this.onClick = event => this.record({ type: 'click', id: this.ids.get(event.target) ?? null, x: event.clientX, y: event.clientY });
+        this.onReady = () => this.begin();
+    }
+
+    // ==========================================================================
+    // DESTINATION
+    // ==========================================================================
+
+    start(bus) {
+        this.bus = bus;
+        const identity = bus.getIdentity();
+        if (!identity || this.recording) return;
+        if (replayHashFraction(identity.sessionId) >= this.options.sampleRate) {
+            this.log('Session not sampled for replay');
+            return;
+        }
+
+        this.identity = identity;
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', this.onReady, { once: true });
+        } else {
+            this.begin();
+        }
+    }
+
+    handle(event) {
+        if (!this.recording) return;
+        this.record({
+            type: 'event',
+            name: event.name,
+            category: event.category,
+            stage: event.properties?.stage_id ?? event.properties?.funnel_stage ?? null
+        });
+    }
+
+    flush(options = {}) {
+        this.takeScrolls();
+        if (this.buffer.length > 0) {
+            if (this.pending.length < this.options.maxPendingChunks) {
+                this.pending.push(this.createChunk(this.buffer.splice(0)));
+            } else {
+                // The endpoint has been unreachable for a while; a replay with holes isn't worth the memory
+                this.buffer = [];
+                this.stop();
+                this.log('Replay endpoint unreachable, recording stopped');
+            }
+        }
+        if (this.pending.length === 0) return Promise.resolve(true);
+
+        if (options.beacon) return Promise.resolve(this.sendBeacon());
+        if (!this.sending) {
+            this.sending = this.sendPending().finally(() => {
+                this.sending = null;
+            });
+        }
+        return this.sending;
+    }
+
+    // Consent withdrawn: stop, and nothing recorded so far is sent
+    reset() {
+        this.stop();
+        document.removeEventListener('DOMContentLoaded', this.onReady);
+        this.buffer = [];
+        this.pending = [];
+        this.identity = null;
+    }
+
+    // ==========================================================================
+    // RECORDING
+    // ==========================================================================
+
+    begin() {
+        if (this.recording || !this.identity) return;
+
+        this.recording = true;
+        this.replayId = createReplayId();
+        this.startedAt = Date.now();
+        this.sequence = 0;
+
+        this.record({ type: 'meta', url: this.redactUrl(location.href), width: window.innerWidth, height: window.innerHeight });
+        this.record({ type: 'snapshot', node: this.serialize(document.documentElement), scroll: { x: window.scrollX, y: window.scrollY } });
+
+        this.observer = new MutationObserver(records => this.recordMutations(records));
+        this.observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+        document.addEventListener('input', this.onInput, true);
+        document.addEventListener('change', this.onInput, true);
+        document.addEventListener('scroll', this.onScroll, { capture: true, passive: true });
+        document.addEventListener('click', this.onClick, true);
+        window.addEventListener('resize', this.onResize);
+        this.chunkTimer = setInterval(() => this.flush(), this.options.chunkInterval);
+
+        this.bus?.publish('session_replay_started', { replay_id: this.replayId, sample_rate: this.options.sampleRate }, { tracker: 'session-replay' });
+        this.log('🎥 Recording', this.replayId);
+
+        // The snapshot goes out straight away, while the page is surely still open
+        this.flush();
+    }
+
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.observer?.disconnect();
+        this.observer = null;
+        document.removeEventListener('input', this.onInput, true);
+        document.removeEventListener('change', this.onInput, true);
+        document.removeEventListener('scroll', this.onScroll, { capture: true, passive: true });
+        document.removeEventListener('click', this.onClick, true);
+        window.removeEventListener('resize', this.onResize);
+        clearInterval(this.chunkTimer);
+        clearTimeout(this.scrollTimer);
+        this.chunkTimer = null;
+        this.scrollTimer = null;
+        this.pendingScrolls.clear();
+    }
+
+    record(event) {
+        if (!this.recording) return;
+
+        const t = Date.now() - this.startedAt;
+        if (t > this.options.maxDuration) {
+            this.log('Replay reached maxDuration, recording stopped');
+            this.stop();
+            this.flush();
+            return;
+        }
+
+        this.buffer.push({ t, ...event });
+        this.stats.events++;
+        if (this.buffer.length >= this.options.maxChunkEvents) this.flush();
+    }
+
+    recordMutations(records) {
+        const removes = [];
+        const texts = [];
+        const attributes = [];
+        const added = new Set();
+
+        records.forEach(record => {
+            if (record.type === 'childList') {
+                record.removedNodes.forEach(node => {
+                    const id = this.ids.get(node);
+                    if (id !== undefined) removes.push(id);
+                });
+                record.addedNodes.forEach(node => added.add(node));
+            } else if (record.type === 'characterData') {
+                const id = this.ids.get(record.target);
+                if (id !== undefined) texts.push({ id, text: this.textFor(record.target) });
+            } else if (record.type === 'attributes') {
+                const id = this.ids.get(record.target);
+                if (id === undefined || this.isBlocked(record.target) || !this.keepsAttribute(record.target, record.attributeName)) return;
+                const value = record.target.getAttribute(record.attributeName);
+                attributes.push({ id, name: record.attributeName, value: value === null ? null : this.attributeValue(record.target, record.attributeName, value) });
+            }
+        });
+
+        const adds = this.collectAdds(added);
+        if (removes.length + adds.length + texts.length + attributes.length === 0) return;
+        this.record({ type: 'mutation', removes, adds, texts, attributes });
+    }
+
+    /**
+     * Only the outermost added nodes still in the page, in document order per parent; next is the
+     * first following sibling the player already has, so it can insert them in one pass
+     */
+    collectAdds(added) {
+        const isInside = node => {
+            for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+                if (added.has(parent)) return true;
+            }
+            return false;
+        };
+        const outermost = new Set([...added].filter(node => node.isConnected && !isInside(node)));
+
+        const parents = new Set([...outermost].map(node => node.parentNode));
+        const adds = [];
+        parents.forEach(parent => {
+            const parentId = this.ids.get(parent);
+            if (parentId === undefined || this.isBlocked(parent)) return;
+
+            const children = Array.from(parent.childNodes);
+            children.forEach((child, index) => {
+                if (!outermost.has(child)) return;
+                const node = this.serialize(child);
+                if (!node) return;
+                const next = children.slice(index + 1).find(sibling => !outermost.has(sibling) && this.ids.has(sibling));
+                adds.push({ parent: parentId, next: next ? this.ids.get(next) : null, node });
+            });
+        });
+        return adds;
+    }
+
+    recordInput(target) {
+        const id = this.ids.get(target);
+        if (id === undefined || !REPLAY_FORM_FIELDS.includes(target.tagName?.toLowerCase())) return;
+
+        if (target.type === 'checkbox' || target.type === 'radio') {
+            this.record({ type: 'input', id, checked: !!target.checked });
+        } else {
+            this.record({ type: 'input', id, value: this.inputValue(target) });
+        }
+    }
+
+    // Scrolls and resizes are coalesced to one position per target every scrollInterval
+    queueScroll(target) {
+        if (!this.recording) return;
+        this.pendingScrolls.set(target, true);
+        if (!this.scrollTimer) {
+            this.scrollTimer = setTimeout(() => {
+                this.scrollTimer = null;
+                this.takeScrolls();
+            }, this.options.scrollInterval);
+        }
+    }
+
+    takeScrolls() {
+        const targets = [...this.pendingScrolls.keys()];
+        this.pendingScrolls.clear();
+
+        targets.forEach(target => {
+            if (target === null) {
+                this.record({ type: 'viewport', width: window.innerWidth, height: window.innerHeight });
+            } else if (target === document || target === document.documentElement) {
+                this.record({ type: 'scroll', id: 0, x: window.scrollX, y: window.scrollY });
+            } else if (this.ids.has(target)) {
+                this.record({ type: 'scroll', id: this.ids.get(target), x: target.scrollLeft, y: target.scrollTop });
+            }
+        });
+    }
+
+    // ==========================================================================
+    // SERIALIZATION AND MASKING
+    // ==========================================================================
+
+    idFor(node) {
+        if (!this.ids.has(node)) this.ids.set(node, this.nextId++);
+        return this.ids.get(node);
+    }
+
+    serialize(node) {
+        if (node.nodeType === 3) {
+            return { id: this.idFor(node), type: 'text', text: this.textFor(node) };
+        }
+        if (node.nodeType !== 1) return null;
+
+        const tag = node.tagName.toLowerCase();
+        if (REPLAY_SKIPPED_TAGS.includes(tag)) return null;
+        if (tag === 'link' && !/\bstylesheet\b/i.test(node.getAttribute('rel') || '')) return null;
+
+        const serialized = { id: this.idFor(node), type: 'element', tag, attributes: {}, children: [] };
+        if (node.namespaceURI === REPLAY_SVG_NAMESPACE) serialized.ns = 'svg';
+
+        if (node.matches(REPLAY_BLOCK_SELECTOR)) {
+            const rect = node.getBoundingClientRect();
+            serialized.blocked = true;
+            serialized.attributes = { style: `display:inline-block;width:${Math.round(rect.width)}px;height:${Math.round(rect.height)}px;background:#1f2937` };
+            if (node.getAttribute('class')) serialized.attributes.class = node.getAttribute('class');
+            return serialized;
+        }
+
+        Array.from(node.attributes).forEach(({ name, value }) => {
+            if (this.keepsAttribute(node, name)) serialized.attributes[name] = this.attributeValue(node, name, value);
+        });
+
+        if (REPLAY_FORM_FIELDS.includes(tag)) {
+            if (node.type === 'checkbox' || node.type === 'radio') serialized.checked = !!node.checked;
+            else serialized.value = this.inputValue(node);
+        }
+
+        Array.from(node.childNodes).forEach(child => {
+            const childNode = this.serialize(child);
+            if (childNode) serialized.children.push(childNode);
+        });
+        return serialized;
+    }
+
+    keepsAttribute(element, name) {
+        // Inline handlers never run in the player, and value is recorded as the masked field value
+        if (/^on/i.test(name)) return false;
+        return !(name === 'value' && REPLAY_FORM_FIELDS.includes(element.tagName.toLowerCase()));
+    }
+
+    attributeValue(element, name, value) {
+        if (REPLAY_URL_ATTRIBUTES.includes(name)) {
+            return /^\s*javascript:/i.test(value) ? '#' : this.redactUrl(value);
+        }
+        if (REPLAY_TEXT_ATTRIBUTES.includes(name) || (name === 'value' && element.tagName.toLowerCase() === 'option')) {
+            return this.isTextMasked(element) ? this.mask(value) : this.redactText(value);
+        }
+        return value;
+    }
+
+    textFor(textNode) {
+        const parent = textNode.parentNode;
+        const text = textNode.textContent || '';
+        // Style sheets are the site's, not the visitor's
+        if (parent?.tagName?.toLowerCase() === 'style') return text;
+        return parent && this.isTextMasked(parent) ? this.mask(text) : this.redactText(text);
+    }
+
+    inputValue(field) {
+        const value = String(field.value ?? '');
+        const unmasked = !this.options.maskAllInputs || field.closest('[data-replay-unmask]');
+        if (field.type === 'password' || !unmasked || field.closest('[data-replay-mask]')) return this.mask(value);
+        return this.redactText(value);
+    }
+
+    // The nearest data-replay-mask / data-replay-unmask decides; what a visitor can edit is always masked
+    isTextMasked(element) {
+        if (element.isContentEditable || element.closest('[contenteditable]')) return true;
+        const marked = element.closest('[data-replay-mask], [data-replay-unmask]');
+        if (!marked) return this.options.maskAllText;
+        return marked.hasAttribute('data-replay-mask');
+    }
+
+    isBlocked(element) {
+        return element.nodeType === 1 && !!element.closest(REPLAY_BLOCK_SELECTOR);
+    }
+
+    // Same length and spacing, so the layout in the player matches
+    mask(text) {
+        return String(text).replace(/\S/g, '*');
+    }
+
+    redactText(text) {
+        return this.bus?.redactor ? this.bus.redactor.redactText(text) : text;
+    }
+
+    redactUrl(url) {
+        return this.redactText(url);
+    }
+
+    // ==========================================================================
+    // CHUNKS
+    // ==========================================================================
+
+    createChunk(events) {
+        return {
+            replay_id: this.replayId,
+            session_id: this.identity.sessionId,
+            user_id: this.identity.userId,
+            url: this.redactUrl(location.href),
+            sequence: this.sequence++,
+            started_at: this.startedAt,
+            timestamp: Date.now(),
+            events
+        };
+    }
+
+    async encode(chunk) {
+        if (!chunk.payload) {
+            const { events, ...fields } = chunk;
+            chunk.payload = { ...fields, ...await encodeReplayEvents(events) };
+        }
+        return chunk.payload;
+    }
+
+    async sendPending() {
+        while (this.pending.length > 0) {
+            const chunk = this.pending[0];
+            try {
+                const response = await fetch(this.options.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(await this.encode(chunk))
+                });
+                if (!response.ok) throw new Error(`Replay endpoint error: ${response.status}`);
+            } catch (error) {
+                // Kept and retried on the next flush
+                this.lastError = error;
+                return false;
+            }
+            if (this.pending[0] === chunk) this.pending.shift();
+            this.stats.chunks++;
+        }
+        return true;
+    }
+
+    // Compression is asynchronous and a page being hidden may not wait for it, so these leave as JSON
+    sendBeacon() {
+        if (typeof navigator === 'undefined' || !navigator.sendBeacon) return false;
+
+        this.pending = this.pending.filter(chunk => {
+            const { events, payload, ...fields } = chunk;
+            const body = JSON.stringify(payload || { ...fields, encoding: 'json', data: JSON.stringify(events) });
+            const sent = navigator.sendBeacon(this.options.endpoint, body);
+            if (sent) this.stats.chunks++;
+            return !sent;
+        });
+        return this.pending.length === 0;
+    }
+
+    log(...args) {
+        if (this.options.debug) {
+            console.log('[FacePay Replay]', ...args);
+        }
+    }
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+if (typeof window !== 'undefined' && window.FacePayEvents && !window.FacePayReplay) {
+    const config = window.FacePayAnalyticsConfig?.replay;
+    if (config !== false) {
+        window.FacePayReplay = window.FacePayEvents.addDestination(new SessionReplayRecorder(config || {}));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SessionReplayRecorder,
+        encodeReplayEvents,
+        REPLAY_DEFAULTS,
+        REPLAY_ENCODING
+    };
+}
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+/**
+ * A/B TESTING BUCKETING TEST SUITE
+ * MurmurHash buckets, sticky visitor ids, mutually exclusive namespaces and holdouts
+ */
+
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    // Visitor ids and assignments are only stored once the visitor allows analytics (consent-manager.js)
+    global.FacePayConsent = { has: () => true, whenGranted: (category, start) => { start(); return () => {}; } };
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    return store;
+}
+
+function experiment(id, fields = {}) {
+    return {
+        id,
+        variants: [{ id: 'control', normalizedWeight: 0.5 }, { id: 'variant', normalizedWeight: 0.5 }],
+        ...fields
+    };
+}
+
+const VISITORS = Array.from({ length: 4000 }, (_, i) => `visitor-${i}`);
+
+class BucketingTestSuite {
+    constructor() {
+        this.results = [];
+        // Frameworks start a monitoring interval; destroyed once the suite finishes
+        this.frameworks = [];
+    }
+
+    async runAllTests() {
+        console.log('🪣 STARTING A/B TESTING BUCKETING TEST SUITE');
+
+        this.bucketing = await import('../../ab-testing-bucketing.js');
+        this.storage = installBrowserGlobals();
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+
+        await this.test('MurmurHash3 matches the reference vectors', () => this.testMurmurVectors());
+        await this.test('buckets follow variant weights', () => this.testWeightedSplit());
+        await this.test('experiment salts give independent assignments', () => this.testIndependentSalts());
+        await this.test('experiments in one namespace never share a visitor', () => this.testNamespaceExclusivity());
+        await this.test('overlapping namespace ranges are rejected', () => this.testOverlapRejected());
+        await this.test('holdout visitors are excluded from every experiment', () => this.testHoldout());
+        await this.test('anonymous visitors keep their variant across reloads and contexts', () => this.testStickyAcrossReloads());
+        await this.test('persisted assignments survive weight changes', () => this.testStickyAfterReallocation());
+        await this.test('stopping a variant moves nobody out of the others', () => this.testStickyAfterStop());
+
+        this.frameworks.forEach(framework => framework.destroy());
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createFramework(options = {}) {
+        // Only the experiments each test creates; experiments.json is covered by experiment-config-test.js
+        const framework = new this.ABTestingFramework({ experimentsUrl: null, ...options });
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    async testMurmurVectors() {
+        const { murmurHash3 } = this.bucketing;
+
+        assert.strictEqual(murmurHash3(''), 0);
+        assert.strictEqual(murmurHash3('', 1), 0x514e28b7);
+        assert.strictEqual(murmurHash3('hello'), 0x248bfa47);
+        assert.strictEqual(murmurHash3('hello, world'), 0x149bbb7f);
+        assert.strictEqual(murmurHash3('The quick brown fox jumps over the lazy dog'), 0x2e4ff723);
+    }
+
+    async testWeightedSplit() {
+        const bucketer = new this.bucketing.ExperimentBucketer();
+        const weighted = experiment('hero_copy', {
+            variants: [{ id: 'control', normalizedWeight: 0.2 }, { id: 'a', normalizedWeight: 0.3 }, { id: 'b', normalizedWeight: 0.5 }]
+        });
+
+        const counts = { control: 0, a: 0, b: 0 };
+        VISITORS.forEach(visitor => counts[bucketer.selectVariant(weighted, visitor).id]++);
+
+        // Chi-square against the weights, 2 degrees of freedom: 13.8 is p = 0.001
+        const expected = { control: 0.2, a: 0.3, b: 0.5 };
+        const chiSquare = Object.keys(counts).reduce((sum, id) => {
+            const e = expected[id] * VISITORS.length;
+            return sum + (counts[id] - e) ** 2 / e;
+        }, 0);
+        assert.ok(chiSquare < 13.8, `chi-square ${chiSquare.toFixed(2)} for ${JSON.stringify(counts)}`);
+    }
+
+    async testIndependentSalts() {
+        const bucketer = new this.bucketing.ExperimentBucketer();
+        const first = experiment('headline');
+        const second = experiment('cta');
+
+        // Both in "variant" should be about a quarter of visitors if the hashes are independent
+        const both = VISITORS.filter(visitor =>
+            bucketer.selectVariant(first, visitor).id === 'variant' && bucketer.selectVariant(second, visitor).id === 'variant').length;
+        assert.ok(Math.abs(both / VISITORS.length - 0.25) < 0.03, `overlap ${both / VISITORS.length}`);
+
+        // A new salt re-randomises the same experiment
+        const resalted = { ...first, salt: 'headline-relaunch' };
+        const changed = VISITORS.filter(visitor => bucketer.selectVariant(first, visitor).id !== bucketer.selectVariant(resalted, visitor).id).length;
+        assert.ok(Math.abs(changed / VISITORS.length - 0.5) < 0.05);
+    }
+
+    async testNamespaceExclusivity() {
+        const bucketer = new this.bucketing.ExperimentBucketer();
+        const left = experiment('hero_headline', { namespace: { id: 'hero', range: [0, 0.5] } });
+        const right = experiment('hero_video', { namespace: { id: 'hero', range: [0.5, 1] } });
+        const other = experiment('pricing', { namespace: 'pricing' });
+
+        let leftCount = 0;
+        let rightCount = 0;
+        VISITORS.forEach(visitor => {
+            const inLeft = bucketer.assign(left, visitor).variant !== null;
+            const inRight = bucketer.assign(right, visitor).variant !== null;
+            assert.ok(!(inLeft && inRight), `${visitor} is in both hero experiments`);
+            assert.ok(inLeft || inRight, `${visitor} fell outside the hero namespace`);
+            if (inLeft) leftCount++;
+            if (inRight) rightCount++;
+            // A whole-layer namespace admits everyone
+            assert.strictEqual(bucketer.assign(other, visitor).reason, 'assigned');
+        });
+        assert.strictEqual(leftCount + rightCount, VISITORS.length);
+        assert.ok(Math.abs(leftCount / VISITORS.length - 0.5) < 0.03);
+
+        assert.strictEqual(bucketer.assign(left, VISITORS.find(visitor => !bucketer.isInNamespace(left, visitor))).reason, 'namespace');
+    }
+
+    async testOverlapRejected() {
+        const { ExperimentBucketer } = this.bucketing;
+
+        assert.throws(() => ExperimentBucketer.assertExclusive([
+            experiment('a', { namespace: { id: 'hero', range: [0, 0.6] } }),
+            experiment('b', { namespace: { id: 'hero', range: [0.5, 1] } })
+        ]), /b overlaps a in namespace hero/);
+        assert.throws(() => this.bucketing.normalizeNamespace({ id: 'hero', range: [0.5, 0.2] }), /Invalid namespace/);
+
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'hero_a', name: 'A', namespace: { id: 'hero', range: [0, 0.5] }, variants: [{ id: 'control' }] });
+        // Re-creating the same experiment (e.g. on reload) is not an overlap
+        framework.createExperiment({ id: 'hero_a', name: 'A', namespace: { id: 'hero', range: [0, 0.5] }, variants: [{ id: 'control' }] });
+        assert.throws(() => framework.createExperiment({
+            id: 'hero_b', name: 'B', namespace: { id: 'hero', range: [0.4, 1] }, variants: [{ id: 'control' }]
+        }), /overlaps hero_a/);
+    }
+
+    async testHoldout() {
+        const bucketer = new this.bucketing.ExperimentBucketer({ holdout: { percentage: 0.1 } });
+        const held = VISITORS.filter(visitor => bucketer.isInHoldout(visitor));
+
+        assert.ok(Math.abs(held.length / VISITORS.length - 0.1) < 0.02, `holdout share ${held.length / VISITORS.length}`);
+        held.forEach(visitor => {
+            assert.deepStrictEqual(bucketer.assign(experiment('headline'), visitor), { variant: null, reason: 'holdout' });
+            assert.deepStrictEqual(bucketer.assign(experiment('cta'), visitor), { variant: null, reason: 'holdout' });
+        });
+
+        const framework = this.createFramework({ holdout: { percentage: 0.1 } });
+        framework.createExperiment({ id: 'holdout_check', name: 'Holdout', variants: [{ id: 'control' }, { id: 'b' }] });
+        assert.strictEqual(framework.assignUserToExperiment('holdout_check', held[0]), null);
+        assert.strictEqual(framework.isInHoldout(held[0]), true);
+    }
+
+    async testStickyAcrossReloads() {
+        this.storage.clear();
+        const config = { id: 'sticky', name: 'Sticky', variants: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }] };
+
+        const first = this.createFramework();
+        first.createExperiment(config);
+        const visitorId = first.getVisitorId();
+        const assigned = first.assignUserToExperiment('sticky', null, { device: 'mobile' }).variantId;
+
+        // Reload with the saved assignments wiped: only the visitor id survives
+        this.storage.delete('ab_testing_data');
+        const reloaded = this.createFramework();
+        reloaded.createExperiment(config);
+        assert.strictEqual(reloaded.getVisitorId(), visitorId);
+        assert.strictEqual(reloaded.assignUserToExperiment('sticky', null, { device: 'desktop', referrer: 'ads' }).variantId, assigned);
+
+        // A new anonymous visitor gets a new id
+        this.storage.clear();
+        assert.notStrictEqual(this.createFramework().getVisitorId(), visitorId);
+    }
+
+    async testStickyAfterReallocation() {
+        const framework = this.createFramework();
+        const created = framework.createExperiment({ id: 'realloc', name: 'Realloc', variants: [{ id: 'a' }, { id: 'b' }] });
+        const assignments = VISITORS.slice(0, 200).map(visitor => framework.assignUserToExperiment('realloc', visitor).variantId);
+
+        // A bandit shifting weights must not move people who were already bucketed
+        created.variants[0].normalizedWeight = 0.05;
+        created.variants[1].normalizedWeight = 0.95;
+        VISITORS.slice(0, 200).forEach((visitor, i) => {
+            assert.strictEqual(framework.assignUserToExperiment('realloc', visitor).variantId, assignments[i]);
+        });
+    }
+
+    async testStickyAfterStop() {
+        const variants = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+        const visitors = VISITORS.slice(0, 1500);
+        const before = this.createFramework();
+        before.createExperiment({ id: 'guarded', name: 'Guarded', variants });
+        const assignments = visitors.map(visitor => before.assignUserToExperiment('guarded', visitor).variantId);
+
+        // Visitors without consent have no saved assignment, so they are bucketed again on every page view
+        this.storage.clear();
+        const after = this.createFramework();
+        after.createExperiment({ id: 'guarded', name: 'Guarded', variants });
+        after.stopVariant('guarded', 'c', 'Guardrail breach');
+
+        visitors.forEach((visitor, i) => {
+            const expected = assignments[i] === 'c' ? 'a' : assignments[i];
+            assert.strictEqual(after.assignUserToExperiment('guarded', visitor).variantId, expected, visitor);
+        });
+        assert.ok(assignments.filter(variantId => variantId === 'b').length > 400);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing bucketing tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new BucketingTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING BUCKETING TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = BucketingTestSuite;
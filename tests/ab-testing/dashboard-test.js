@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+/**
+ * A/B TESTING DASHBOARD TEST SUITE
+ * Confidence intervals, sample ratio mismatch, persisted results and their history,
+ * recommendations, rendering and JSON/CSV export of ab-testing-dashboard.js
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    // Visitor ids and assignments are only stored once the visitor allows analytics (consent-manager.js)
+    global.FacePayConsent = { has: () => true, whenGranted: (category, start) => { start(); return () => {}; } };
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    return store;
+}
+
+// Deterministic PRNG so simulated traffic is the same on every run
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// Normalised dashboard input with hand-picked counts
+function experiment(variants, fields = {}) {
+    return {
+        id: 'cta',
+        name: 'CTA copy',
+        status: 'active',
+        method: 'sequential',
+        methodLabel: 'Sequential mSPRT (always valid)',
+        primaryMetric: 'conversion',
+        winner: null,
+        analysis: null,
+        history: [],
+        variants: variants.map(([id, sessions, conversions, allocation = 1 / variants.length]) =>
+            ({ id, name: id, status: 'active', stopReason: null, allocation, sessions, conversions })),
+        ...fields
+    };
+}
+
+class ABTestingDashboardTestSuite {
+    constructor() {
+        this.results = [];
+        this.frameworks = [];
+        this.now = Date.now;
+    }
+
+    async runAllTests() {
+        console.log('📋 STARTING A/B TESTING DASHBOARD TEST SUITE');
+
+        this.storage = installBrowserGlobals();
+        const { StatisticsEngine } = await import('../../ab-testing-statistics.js');
+        this.engine = new StatisticsEngine({ confidenceLevel: 0.95 });
+        this.dashboard = await import('../../ab-testing-dashboard.js');
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+
+        try {
+            await this.test('Wilson intervals and chi-square tails match reference values', () => this.testDistributions());
+            await this.test('sample ratio mismatch is measured against the allocation', () => this.testSampleRatio());
+            await this.test('persisted results survive a reload with their history', () => this.testPersistedResults());
+            await this.test('saved data and exported reports give the same dashboard', () => this.testSources());
+            await this.test('cumulative lift follows the hourly history', () => this.testCumulativeLift());
+            await this.test('recommendations: ship, keep control, investigate, keep running', () => this.testRecommendations());
+            await this.test('CSV and JSON exports round-trip and neutralise formulas', () => this.testExports());
+            await this.test('the dashboard renders interval bars, SRM warnings and escapes names', () => this.testRendering());
+        } finally {
+            Date.now = this.now;
+            this.frameworks.forEach(framework => framework.destroy());
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createFramework(options = {}, { keepStorage = false } = {}) {
+        if (!keepStorage) this.storage.clear();
+        const framework = new this.ABTestingFramework({ experimentsUrl: null, guardrails: [], ...options });
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    // Visitors assigned and exposed, converting at each variant's rate; one hour per batch
+    simulate(framework, experimentId, rates, { visitors = 400, batches = 1, seed = 16, clock = null } = {}) {
+        const random = mulberry32(seed);
+        for (let batch = 0; batch < batches; batch++) {
+            if (clock) Date.now = () => clock + batch * HOUR;
+            for (let i = 0; i < visitors; i++) {
+                const userId = `visitor-${seed}-${batch}-${i}`;
+                const assignment = framework.assignUserToExperiment(experimentId, userId);
+                if (!assignment) break;
+                framework.trackExperimentEvent(experimentId, assignment.variantId, 'exposure', { userId });
+                if (random() < rates[assignment.variantId]) {
+                    framework.trackExperimentEvent(experimentId, assignment.variantId, 'conversion', { userId });
+                }
+            }
+        }
+        Date.now = this.now;
+    }
+
+    async testDistributions() {
+        const close = (actual, expected, tolerance = 1e-4) =>
+            assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≉ ${expected}`);
+
+        const interval = this.engine.proportionInterval(10, 100, 0.95);
+        close(interval.min, 0.05523);
+        close(interval.max, 0.17437);
+        assert.deepStrictEqual(this.engine.proportionInterval(0, 0), { rate: 0, min: 0, max: 0 });
+        assert.strictEqual(this.engine.proportionInterval(0, 20).min, 0);
+        assert.strictEqual(this.engine.proportionInterval(20, 20).max, 1);
+
+        close(this.engine.chiSquareSurvival(3.841459, 1), 0.05);
+        close(this.engine.chiSquareSurvival(7.814728, 3), 0.05);
+        close(this.engine.chiSquareSurvival(0.5, 4), 0.973501);
+        close(this.engine.chiSquareSurvival(30, 2), Math.exp(-15), 1e-10);
+        assert.strictEqual(this.engine.chiSquareSurvival(0, 2), 1);
+    }
+
+    async testSampleRatio() {
+        const even = this.engine.sampleRatioTest([5000, 5050], [0.5, 0.5]);
+        assert.ok(even.pValue > 0.5);
+
+        const skewed = this.engine.sampleRatioTest([5000, 5400], [0.5, 0.5]);
+        assert.ok(skewed.pValue < this.dashboard.SRM_THRESHOLD);
+        assert.deepStrictEqual(skewed.expected, [5200, 5200]);
+
+        // Unequal allocations are what the split is compared against
+        assert.ok(this.engine.sampleRatioTest([7000, 3000], [70, 30]).pValue > 0.5);
+        assert.ok(this.engine.sampleRatioTest([5000, 5000], [70, 30]).pValue < 1e-10);
+        assert.strictEqual(this.engine.sampleRatioTest([0, 0], [0.5, 0.5]).pValue, 1);
+
+        const analysed = this.dashboard.analyzeExperiment(experiment([['control', 5000, 500], ['b', 5400, 560]]));
+        assert.strictEqual(analysed.srm.mismatch, true);
+
+        // Stopping a variant changes the split mid-way, so SRM isn't judged
+        const stopped = experiment([['control', 5000, 500], ['b', 5400, 560]]);
+        stopped.variants[1].status = 'stopped';
+        assert.strictEqual(this.dashboard.analyzeExperiment(stopped).srm.mismatch, false);
+    }
+
+    async testPersistedResults() {
+        const config = { id: 'persisted', name: 'Persisted', variants: [{ id: 'control' }, { id: 'b' }] };
+        const clock = Date.UTC(2026, 9, 1, 9, 30);
+
+        const first = this.createFramework();
+        first.createExperiment(config);
+        this.simulate(first, 'persisted', { control: 0.1, b: 0.15 }, { batches: 3, clock });
+        const before = first.generateReport('persisted');
+
+        assert.strictEqual(before.results.history.length, 3);
+        assert.deepStrictEqual(before.results.history.map(point => point.timestamp), [0, 1, 2].map(hours => Date.UTC(2026, 9, 1, 9 + hours)));
+        const last = before.results.history[2].variants;
+        assert.strictEqual(last.control.sessions + last.b.sessions, 1200);
+
+        // The page reloads: definitions are re-created, results and history carry over
+        const reloaded = this.createFramework({}, { keepStorage: true });
+        reloaded.createExperiment(config);
+        const after = reloaded.generateReport('persisted');
+        assert.ok(reloaded.experiments.get('persisted').results.variantResults instanceof Map);
+        assert.deepStrictEqual(after.variants.map(variant => [variant.sessions, variant.conversions]), before.variants.map(variant => [variant.sessions, variant.conversions]));
+        assert.deepStrictEqual(after.results.history, before.results.history);
+        assert.strictEqual(after.experiment.startDate, before.experiment.startDate);
+
+        // Changed variants start over
+        const changed = this.createFramework({}, { keepStorage: true });
+        changed.createExperiment({ ...config, variants: [{ id: 'control' }, { id: 'c' }] });
+        assert.strictEqual(changed.generateReport('persisted').results.totalSessions, 0);
+
+        // Data saved before variantResults were stored as entries loads as empty results
+        this.storage.set('ab_testing_data', JSON.stringify({ experiments: [['old', { id: 'old', variants: [], results: { variantResults: {} } }]] }));
+        const legacy = this.createFramework({}, { keepStorage: true });
+        assert.ok(legacy.experiments.get('old').results.variantResults instanceof Map);
+    }
+
+    async testSources() {
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'sources', name: 'Sources', variants: [{ id: 'control', weight: 60 }, { id: 'b', weight: 40 }] });
+        this.simulate(framework, 'sources', { control: 0.08, b: 0.12 }, { visitors: 600 });
+
+        const fromStorage = this.dashboard.loadDashboardData(this.storage.get('ab_testing_data'));
+        const fromExport = this.dashboard.loadDashboardData(JSON.stringify(framework.exportResults()));
+        const fromReport = this.dashboard.loadDashboardData(framework.generateReport('sources'));
+
+        const summary = experiments => experiments.map(entry => ({
+            id: entry.id,
+            variants: entry.variants.map(variant => [variant.id, variant.allocation, variant.sessions, variant.conversions])
+        }));
+        assert.deepStrictEqual(summary(fromStorage), summary(fromExport));
+        assert.deepStrictEqual(summary(fromStorage), summary(fromReport));
+
+        const report = framework.generateReport('sources');
+        const [analysed] = fromExport.map(entry => this.dashboard.analyzeExperiment(entry));
+        assert.strictEqual(analysed.variants[1].lift, report.variants[1].significance.lift);
+        assert.strictEqual(analysed.variants[0].interval.rate, report.variants[0].conversions / report.variants[0].sessions);
+        assert.deepStrictEqual(analysed.variants.map(variant => variant.allocation), [0.6, 0.4]);
+
+        assert.throws(() => this.dashboard.loadDashboardData('{"hello":"world"}'), /Unrecognised results file/);
+    }
+
+    async testCumulativeLift() {
+        const history = [
+            { timestamp: 0, variants: { control: { sessions: 100, conversions: 10 }, b: { sessions: 100, conversions: 15 } } },
+            { timestamp: HOUR, variants: { control: { sessions: 200, conversions: 20 }, b: { sessions: 200, conversions: 22 } } },
+            // No control conversions yet: no defined lift for this point
+            { timestamp: 2 * HOUR, variants: { control: { sessions: 0, conversions: 0 }, b: { sessions: 10, conversions: 1 } } }
+        ];
+        const analysed = this.dashboard.analyzeExperiment(experiment([['control', 200, 20], ['b', 200, 22]], { history }));
+
+        assert.strictEqual(analysed.lift.length, 1);
+        assert.strictEqual(analysed.lift[0].variantId, 'b');
+        assert.deepStrictEqual(analysed.lift[0].points.map(point => point.timestamp), [0, HOUR]);
+        assert.ok(Math.abs(analysed.lift[0].points[0].lift - 0.5) < 1e-12);
+        assert.ok(Math.abs(analysed.lift[0].points[1].lift - 0.1) < 1e-12);
+
+        // From a framework's hourly snapshots
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'lift', name: 'Lift', variants: [{ id: 'control' }, { id: 'b' }] });
+        this.simulate(framework, 'lift', { control: 0.1, b: 0.2 }, { batches: 4, clock: Date.UTC(2026, 9, 2) });
+        const [fromFramework] = this.dashboard.loadDashboardData(framework.exportResults()).map(entry => this.dashboard.analyzeExperiment(entry));
+        assert.strictEqual(fromFramework.lift[0].points.length, 4);
+        assert.ok(fromFramework.lift[0].points[3].lift > 0.3);
+    }
+
+    async testRecommendations() {
+        const { analyzeExperiment } = this.dashboard;
+
+        const ship = analyzeExperiment(experiment([['control', 4000, 400], ['b', 4000, 520]], { winner: 'b' }));
+        assert.strictEqual(ship.recommendation.action, 'ship');
+        assert.strictEqual(ship.recommendation.variantId, 'b');
+        assert.ok(/^Ship b: 30\.0% lift over control \(/.test(ship.recommendation.message), ship.recommendation.message);
+
+        const keep = analyzeExperiment(experiment([['control', 4000, 400], ['b', 4000, 300]], { winner: 'control' }));
+        assert.strictEqual(keep.recommendation.action, 'keep-control');
+
+        const allStopped = experiment([['control', 4000, 400], ['b', 1000, 100]]);
+        allStopped.variants[1].status = 'stopped';
+        assert.strictEqual(analyzeExperiment(allStopped).recommendation.action, 'keep-control');
+
+        // SRM outranks even a declared winner
+        const broken = analyzeExperiment(experiment([['control', 5000, 500], ['b', 5600, 700]], { winner: 'b' }));
+        assert.strictEqual(broken.recommendation.action, 'investigate');
+
+        // 10% base rate, 10% relative effect, 80% power: about 14,750 visitors per variant
+        const early = analyzeExperiment(experiment([['control', 1000, 100], ['b', 1000, 110]]));
+        assert.strictEqual(early.recommendation.action, 'continue');
+        assert.strictEqual(early.recommendation.variantId, 'b');
+        const remaining = Number(/About ([\d,]+) more visitors/.exec(early.recommendation.message)[1].replace(/,/g, ''));
+        assert.ok(remaining > 13000 && remaining < 14500, `${remaining}`);
+
+        const behind = analyzeExperiment(experiment([['control', 1000, 100], ['b', 1000, 90]]));
+        assert.ok(behind.recommendation.message.startsWith('Keep running: no variant is ahead of control yet.'));
+    }
+
+    async testExports() {
+        const { analyzeExperiment, toCSV, toJSON, loadDashboardData, CSV_COLUMNS } = this.dashboard;
+        const analysed = [analyzeExperiment(experiment([['control', 1000, 100], ['=HYPERLINK("x")', 1000, 120]], { name: 'Pricing, "anchored"' }))];
+
+        const csv = toCSV(analysed);
+        const lines = csv.trimEnd().split('\r\n');
+        assert.strictEqual(lines[0], CSV_COLUMNS.join(','));
+        assert.strictEqual(lines.length, 3);
+        assert.ok(lines[1].startsWith('cta,"Pricing, ""anchored""",active,sequential,control,control,active,0.5,1000,100,0.1,'));
+        // Formula-looking names are prefixed so spreadsheets show them as text
+        assert.ok(lines[2].includes(`"'=HYPERLINK(""x"")"`));
+
+        const json = JSON.parse(toJSON(analysed));
+        assert.strictEqual(json.format, 'facepay-ab-dashboard');
+        const reloaded = loadDashboardData(toJSON(analysed)).map(entry => analyzeExperiment(entry));
+        assert.deepStrictEqual(reloaded[0].variants.map(variant => variant.interval), analysed[0].variants.map(variant => variant.interval));
+        assert.deepStrictEqual(reloaded[0].recommendation, analysed[0].recommendation);
+    }
+
+    async testRendering() {
+        const { ExperimentDashboard, renderDashboard, analyzeExperiment } = this.dashboard;
+        const html = renderDashboard([analyzeExperiment(experiment([['control', 5000, 500], ['<b>bold</b>', 5400, 600]]))]);
+
+        assert.ok(html.includes('class="ci-chart"'));
+        assert.ok(html.includes('class="srm-warning"'));
+        assert.ok(html.includes('&lt;b&gt;bold&lt;/b&gt;'));
+        assert.ok(!html.includes('<b>bold</b>'));
+        assert.ok(html.includes('Not enough history for a lift chart yet'));
+        assert.ok(renderDashboard([]).includes('No experiment results yet'));
+
+        // Straight from the framework's saved data into a container
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'render', name: 'Render', variants: [{ id: 'control' }, { id: 'b' }] });
+        this.simulate(framework, 'render', { control: 0.1, b: 0.2 }, { batches: 2, clock: Date.UTC(2026, 9, 3) });
+
+        const container = { innerHTML: '' };
+        const dashboard = new ExperimentDashboard(container);
+        const loaded = dashboard.loadFromStorage(global.localStorage);
+        assert.strictEqual(loaded.length, 1);
+        assert.ok(container.innerHTML.includes('data-experiment="render"'));
+        assert.ok(container.innerHTML.includes('class="lift-chart"'));
+        assert.ok(dashboard.export('csv').startsWith('experiment_id,'));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing dashboard tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ABTestingDashboardTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING DASHBOARD TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ABTestingDashboardTestSuite;
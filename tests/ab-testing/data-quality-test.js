@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+/**
+ * A/B TESTING DATA QUALITY TEST SUITE
+ * Sample ratio mismatch against the allocation, bot and duplicate-event filtering,
+ * visitors seen in several variants, and declareWinner() refusing flagged experiments
+ */
+
+const MINUTE = 60 * 1000;
+const DESKTOP_CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    // Visitor ids and assignments are only stored once the visitor allows analytics (consent-manager.js)
+    global.FacePayConsent = { has: () => true, whenGranted: (category, start) => { start(); return () => {}; } };
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    return store;
+}
+
+function setNavigator(value) {
+    Object.defineProperty(global, 'navigator', { value, configurable: true, writable: true });
+}
+
+// Deterministic PRNG so simulated traffic is the same on every run
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+class ABTestingDataQualityTestSuite {
+    constructor() {
+        this.results = [];
+        this.frameworks = [];
+        this.now = Date.now;
+    }
+
+    async runAllTests() {
+        console.log('🧹 STARTING A/B TESTING DATA QUALITY TEST SUITE');
+
+        this.storage = installBrowserGlobals();
+        setNavigator({ userAgent: DESKTOP_CHROME, webdriver: false });
+        this.quality = await import('../../ab-testing-quality.js');
+        this.dashboard = await import('../../ab-testing-dashboard.js');
+        this.serverModule = await import('../../ab-testing-server.js');
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+
+        try {
+            await this.test('bots are recognised by user agent and webdriver', () => this.testBotDetection());
+            await this.test('bots are never assigned and their events are dropped', () => this.testBotFiltering());
+            await this.test('repeat exposures and conversions inside the window count once', () => this.testDuplicates());
+            await this.test('SRM is checked against the configured allocation', () => this.testSampleRatioMismatch());
+            await this.test('SRM keeps checking the serving split after a variant is stopped', () => this.testSampleRatioAfterStop());
+            await this.test('visitors in several variants flag the experiment', () => this.testCrossovers());
+            await this.test('declareWinner refuses flagged experiments', () => this.testWinnerRefused());
+            await this.test('quality survives reloads and reaches reports and the dashboard', () => this.testReporting());
+        } finally {
+            Date.now = this.now;
+            delete global.navigator;
+            this.frameworks.forEach(framework => framework.destroy());
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createFramework(options = {}, { keepStorage = false } = {}) {
+        if (!keepStorage) this.storage.clear();
+        const framework = new this.ABTestingFramework({ experimentsUrl: null, guardrails: [], ...options });
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    // Exposes `counts[variantId]` distinct visitors, variants interleaved as live traffic would be,
+    // converting every visitor whose index is below `conversions[variantId]`
+    feed(framework, experimentId, counts, conversions = {}, prefix = 'visitor') {
+        const longest = Math.max(...Object.values(counts));
+        for (let i = 0; i < longest; i++) {
+            Object.entries(counts)
+                .filter(([, count]) => i < count)
+                .forEach(([variantId]) => {
+                    const userId = `${prefix}-${variantId}-${i}`;
+                    framework.trackExperimentEvent(experimentId, variantId, 'exposure', { userId });
+                    if (i < (conversions[variantId] || 0)) {
+                        framework.trackExperimentEvent(experimentId, variantId, 'conversion', { userId });
+                    }
+                });
+        }
+    }
+
+    async testBotDetection() {
+        const { isLikelyBot } = this.quality;
+        const bots = [
+            'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+            'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/126.0.0.0 Safari/537.36',
+            'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)',
+            'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+            'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Mobile Safari/537.36 Chrome-Lighthouse',
+            'curl/8.4.0',
+            'python-requests/2.31.0'
+        ];
+        const people = [
+            DESKTOP_CHROME,
+            'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+            'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0'
+        ];
+
+        bots.forEach(userAgent => assert.strictEqual(isLikelyBot({ userAgent }), true, userAgent));
+        people.forEach(userAgent => assert.strictEqual(isLikelyBot({ userAgent }), false, userAgent));
+        assert.strictEqual(isLikelyBot({ userAgent: DESKTOP_CHROME, webdriver: true }), true);
+        assert.strictEqual(isLikelyBot(null), false);
+        assert.strictEqual(isLikelyBot({}), false);
+    }
+
+    async testBotFiltering() {
+        setNavigator({ userAgent: DESKTOP_CHROME, webdriver: true });
+        try {
+            const automated = this.createFramework();
+            automated.createExperiment({ id: 'bots', name: 'Bots', variants: [{ id: 'control' }, { id: 'b' }] });
+            assert.strictEqual(automated.assignUserToExperiment('bots'), null);
+            assert.deepStrictEqual(automated.runExperiment('bots'), { variant: null, experiment: null });
+
+            automated.trackExperimentEvent('bots', 'control', 'exposure');
+            const experiment = automated.experiments.get('bots');
+            assert.strictEqual(experiment.results.totalSessions, 0);
+            assert.strictEqual(experiment.results.quality.filtered.bots, 1);
+
+            // Filtering can be turned off, e.g. for QA sessions driven by automation
+            const qa = this.createFramework({ filterBots: false });
+            qa.createExperiment({ id: 'bots', name: 'Bots', variants: [{ id: 'control' }, { id: 'b' }] });
+            assert.ok(qa.assignUserToExperiment('bots'));
+        } finally {
+            setNavigator({ userAgent: DESKTOP_CHROME, webdriver: false });
+        }
+
+        // Events reported with a bot user agent (e.g. forwarded from a server) are dropped too
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'forwarded', name: 'Forwarded', variants: [{ id: 'control' }, { id: 'b' }] });
+        framework.trackExperimentEvent('forwarded', 'b', 'exposure', { userId: 'crawler', userAgent: 'Googlebot/2.1' });
+        framework.trackExperimentEvent('forwarded', 'b', 'exposure', { userId: 'person', userAgent: DESKTOP_CHROME });
+        const results = framework.experiments.get('forwarded').results;
+        assert.strictEqual(results.variantResults.get('b').sessions, 1);
+        assert.strictEqual(results.quality.filtered.bots, 1);
+
+        // Server-side assignment leaves crawlers on the control page
+        const server = new this.serverModule.ServerAssignment({
+            definitions: { version: 1, defaultLocale: 'es', experiments: [{ id: 'hero', name: 'Hero', variants: [{ id: 'control', weight: 0.01 }, { id: 'b', weight: 99.99, changes: { h1: 'B' } }] }] }
+        });
+        const page = () => new Response('<html><body><h1>A</h1></body></html>', { headers: { 'content-type': 'text/html' } });
+        const crawled = await server.handle(new Request('https://facepay.test/', { headers: { 'user-agent': 'Googlebot/2.1' } }), page);
+        assert.strictEqual(await crawled.text(), '<html><body><h1>A</h1></body></html>');
+        assert.deepStrictEqual(crawled.headers.getSetCookie(), []);
+        const visited = await server.handle(new Request('https://facepay.test/', { headers: { 'user-agent': DESKTOP_CHROME } }), page);
+        assert.ok((await visited.text()).includes('<h1>B</h1>'));
+    }
+
+    async testDuplicates() {
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'dupes', name: 'Dupes', variants: [{ id: 'control' }, { id: 'b' }] });
+        const results = () => framework.experiments.get('dupes').results;
+        let clock = Date.UTC(2026, 9, 5, 12);
+        Date.now = () => clock;
+
+        try {
+            // A reload and a double-submitted form
+            framework.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'ana' });
+            framework.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'ana' });
+            framework.trackExperimentEvent('dupes', 'b', 'conversion', { userId: 'ana' });
+            framework.trackExperimentEvent('dupes', 'b', 'conversion', { userId: 'ana' });
+            assert.strictEqual(results().variantResults.get('b').sessions, 1);
+            assert.strictEqual(results().variantResults.get('b').conversions, 1);
+            assert.strictEqual(results().quality.filtered.duplicates, 2);
+
+            // Another visitor isn't a duplicate
+            framework.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'luis' });
+            assert.strictEqual(results().variantResults.get('b').sessions, 2);
+
+            // A new session after the window counts again
+            clock += 31 * MINUTE;
+            framework.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'ana' });
+            assert.strictEqual(results().variantResults.get('b').sessions, 3);
+
+            // Events without a session meaning (engagement, bounces) are never deduplicated
+            framework.trackExperimentEvent('dupes', 'b', 'engagement', { userId: 'ana', duration: 10 });
+            framework.trackExperimentEvent('dupes', 'b', 'engagement', { userId: 'ana', duration: 20 });
+            assert.strictEqual(results().quality.filtered.duplicates, 2);
+        } finally {
+            Date.now = this.now;
+        }
+
+        // The window is configurable
+        const strict = this.createFramework({ quality: { dedupeWindow: 0 } });
+        strict.createExperiment({ id: 'dupes', name: 'Dupes', variants: [{ id: 'control' }, { id: 'b' }] });
+        strict.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'ana' });
+        strict.trackExperimentEvent('dupes', 'b', 'exposure', { userId: 'ana' });
+        assert.strictEqual(strict.experiments.get('dupes').results.variantResults.get('b').sessions, 2);
+        assert.strictEqual(strict.options.quality.srmThreshold, 0.001);
+    }
+
+    async testSampleRatioMismatch() {
+        const framework = this.createFramework();
+
+        const even = framework.createExperiment({ id: 'even', name: 'Even', variants: [{ id: 'control' }, { id: 'b' }] });
+        assert.deepStrictEqual(even.trafficAllocation, { control: 0.5, b: 0.5 });
+        this.feed(framework, 'even', { control: 600, b: 400 });
+        assert.strictEqual(even.results.quality.srm.mismatch, true);
+        assert.strictEqual(even.results.quality.flagged, true);
+        assert.ok(even.results.quality.issues[0].startsWith('Sample ratio mismatch: 600 / 400 visitors where 500 / 500 were expected'));
+        assert.ok(framework.assessExperimentHealth(even).issues.includes('Traffic split does not match the allocation (sample ratio mismatch)'));
+
+        // A 70/30 split is what was asked for, so 700/300 is healthy
+        const weighted = framework.createExperiment({ id: 'weighted', name: 'Weighted', variants: [{ id: 'control', weight: 70 }, { id: 'b', weight: 30 }] });
+        assert.deepStrictEqual(weighted.trafficAllocation, { control: 0.7, b: 0.3 });
+        this.feed(framework, 'weighted', { control: 700, b: 300 });
+        assert.strictEqual(weighted.results.quality.srm.mismatch, false);
+        assert.strictEqual(weighted.results.quality.flagged, false);
+        assert.deepStrictEqual(framework.assessExperimentHealth(weighted).issues, []);
+
+        // Real bucketing produces a split that passes
+        const bucketed = framework.createExperiment({ id: 'bucketed', name: 'Bucketed', variants: [{ id: 'control', weight: 2 }, { id: 'b', weight: 1 }, { id: 'c', weight: 1 }] });
+        const random = mulberry32(17);
+        for (let i = 0; i < 3000; i++) {
+            const userId = `bucketed-${Math.floor(random() * 2 ** 32).toString(16)}-${i}`;
+            framework.runExperiment('bucketed', userId);
+        }
+        assert.strictEqual(bucketed.results.quality.srm.mismatch, false);
+        assert.ok(bucketed.results.quality.srm.pValue > 0.001);
+
+        // Too few visitors to judge
+        const small = framework.createExperiment({ id: 'small', name: 'Small', variants: [{ id: 'control' }, { id: 'b' }] });
+        this.feed(framework, 'small', { control: 40, b: 5 });
+        assert.strictEqual(small.results.quality.srm.mismatch, false);
+        assert.ok(small.results.quality.srm.skipped.startsWith('Fewer than 100'));
+    }
+
+    async testSampleRatioAfterStop() {
+        const framework = this.createFramework();
+        const experiment = framework.createExperiment({ id: 'guarded', name: 'Guarded', variants: [{ id: 'control' }, { id: 'b' }, { id: 'c' }] });
+        const random = mulberry32(29);
+        const visit = count => {
+            for (let i = 0; i < count; i++) {
+                framework.runExperiment('guarded', `guarded-${Math.floor(random() * 2 ** 32).toString(16)}`);
+            }
+        };
+
+        visit(1500);
+        framework.stopVariant('guarded', 'c', 'Guardrail breach');
+        visit(1500);
+
+        // c's share of new visitors goes to control, so after the stop 2:1 is the expected split
+        const { srm } = experiment.results.quality;
+        assert.strictEqual(srm.skipped, null);
+        assert.strictEqual(srm.mismatch, false);
+        assert.deepStrictEqual(srm.periods.map(period => period.variants), [['control', 'b', 'c'], ['control', 'b']]);
+        assert.deepStrictEqual(srm.periods[1].expected.map(Math.round), [1000, 500]);
+        assert.strictEqual(experiment.results.quality.flagged, false);
+
+        // An allocation bug after the stop: b gets far more new visitors than its share
+        this.feed(framework, 'guarded', { b: 300 }, {}, 'leak');
+        assert.strictEqual(experiment.results.quality.srm.mismatch, true);
+        assert.strictEqual(experiment.results.quality.srm.periods[0].mismatch, false);
+        assert.ok(experiment.results.quality.issues[0].startsWith('Sample ratio mismatch after c stopped: '), experiment.results.quality.issues[0]);
+        assert.strictEqual(experiment.results.quality.flagged, true);
+    }
+
+    async testCrossovers() {
+        const framework = this.createFramework();
+        const experiment = framework.createExperiment({ id: 'cross', name: 'Cross', variants: [{ id: 'control' }, { id: 'b' }] });
+        this.feed(framework, 'cross', { control: 300, b: 300 });
+
+        // 1 of 600 visitors is tolerated (0.2%)
+        framework.trackExperimentEvent('cross', 'b', 'exposure', { userId: 'visitor-control-0' });
+        assert.strictEqual(experiment.results.quality.crossovers, 1);
+        assert.strictEqual(experiment.results.quality.flagged, false);
+
+        // 10 of 600 is not (1.7%); each visitor counts once however many variants they hit
+        for (let i = 1; i < 9; i++) {
+            framework.trackExperimentEvent('cross', 'b', 'conversion', { userId: `visitor-control-${i}` });
+        }
+        framework.trackExperimentEvent('cross', 'control', 'exposure', { userId: 'visitor-b-1' });
+        framework.trackExperimentEvent('cross', 'control', 'conversion', { userId: 'visitor-b-1' });
+        assert.strictEqual(experiment.results.quality.crossovers, 10);
+        assert.strictEqual(experiment.results.quality.flagged, true);
+        assert.ok(experiment.results.quality.issues.some(issue => issue.startsWith('10 of 600 visitors were seen in more than one variant')));
+    }
+
+    async testWinnerRefused() {
+        const config = id => ({ id, name: id, analysis: { method: 'sequential', tau: 0.05 }, variants: [{ id: 'control' }, { id: 'b' }] });
+        const run = (framework, id, prefix) => {
+            const experiment = framework.createExperiment(config(id));
+            // Old enough to pass the one-week minimum runtime
+            experiment.startDate -= 8 * 24 * 60 * 60 * 1000;
+            this.feed(framework, id, { control: 1500, b: 1500 }, { control: 150, b: 240 }, prefix);
+            return experiment;
+        };
+
+        // Same data, clean: the sequential test declares b
+        const framework = this.createFramework();
+        const clean = run(framework, 'clean', 'clean');
+        assert.strictEqual(clean.results.winner, 'b');
+        assert.strictEqual(clean.status, 'completed');
+
+        // Same data, but 5% of control visitors also reported events from b
+        const mixed = framework.createExperiment(config('mixed'));
+        mixed.startDate -= 8 * 24 * 60 * 60 * 1000;
+        for (let i = 0; i < 75; i++) {
+            framework.trackExperimentEvent('mixed', 'control', 'exposure', { userId: `mixed-control-${i}` });
+            framework.trackExperimentEvent('mixed', 'b', 'exposure', { userId: `mixed-control-${i}` });
+        }
+        this.feed(framework, 'mixed', { control: 1500, b: 1500 }, { control: 150, b: 240 }, 'mixed-later');
+
+        assert.strictEqual(mixed.results.quality.flagged, true);
+        assert.strictEqual(mixed.results.analysis.winner, 'b');
+        assert.strictEqual(mixed.results.winner, null);
+        assert.strictEqual(mixed.status, 'active');
+        assert.strictEqual(framework.declareWinner(mixed), null);
+
+        // Stopping by hand with declareWinner ends it without a winner
+        framework.stopExperiment('mixed', true);
+        assert.strictEqual(mixed.status, 'completed');
+        assert.strictEqual(mixed.results.winner, null);
+    }
+
+    async testReporting() {
+        const framework = this.createFramework();
+        framework.createExperiment({ id: 'report', name: 'Report', variants: [{ id: 'control' }, { id: 'b' }] });
+        this.feed(framework, 'report', { control: 650, b: 350 });
+        framework.trackExperimentEvent('report', 'b', 'exposure', { userId: 'visitor-b-0' });
+
+        const report = framework.generateReport('report');
+        assert.strictEqual(report.results.quality.flagged, true);
+        assert.strictEqual(report.results.quality.units, 1000);
+        assert.strictEqual(report.results.quality.filtered.duplicates, 1);
+        assert.ok(report.insights.some(insight => insight.startsWith('Data quality: Sample ratio mismatch')));
+        assert.strictEqual(report.recommendations[0], 'Fix the data quality issues before acting on these results; no winner will be declared');
+
+        // Reload: duplicates are still recognised from the persisted bookkeeping
+        const reloaded = this.createFramework({}, { keepStorage: true });
+        const experiment = reloaded.createExperiment({ id: 'report', name: 'Report', variants: [{ id: 'control' }, { id: 'b' }] });
+        reloaded.trackExperimentEvent('report', 'control', 'exposure', { userId: 'visitor-control-3' });
+        assert.strictEqual(experiment.results.variantResults.get('control').sessions, 650);
+        assert.strictEqual(experiment.results.quality.filtered.duplicates, 2);
+        assert.strictEqual(experiment.results.quality.flagged, true);
+
+        // The dashboard investigates instead of recommending anything
+        const [analysed] = this.dashboard.loadDashboardData(reloaded.exportResults()).map(entry => this.dashboard.analyzeExperiment(entry));
+        assert.strictEqual(analysed.recommendation.action, 'investigate');
+
+        const crossed = this.dashboard.analyzeExperiment({
+            id: 'x', name: 'x', status: 'active', primaryMetric: 'conversion', history: [], analysis: null, winner: 'b',
+            qualityIssues: ['12 of 400 visitors were seen in more than one variant (3.0%)'],
+            variants: [
+                { id: 'control', name: 'control', status: 'active', allocation: 0.5, sessions: 200, conversions: 20 },
+                { id: 'b', name: 'b', status: 'active', allocation: 0.5, sessions: 200, conversions: 40 }
+            ]
+        });
+        assert.strictEqual(crossed.recommendation.action, 'investigate');
+        assert.ok(crossed.recommendation.message.includes('seen in more than one variant'));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing data quality tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ABTestingDataQualityTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING DATA QUALITY TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ABTestingDataQualityTestSuite;
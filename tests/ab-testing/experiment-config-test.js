@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * A/B TESTING EXPERIMENT CONFIG TEST SUITE
+ * experiments.json schema validation, localised copy from headlines-ab-testing.json,
+ * loading over HTTP from a local fixture server and applying variants to the DOM
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const HEADLINES = require('../../headlines-ab-testing.json').ab_testing_headlines;
+
+class FakeElement {
+    constructor() {
+        this.textContent = '';
+        this.innerHTML = '';
+        this.style = {};
+        this.attributes = {};
+        this.classes = new Set(['hero-title']);
+        this.classList = {
+            add: (...names) => names.forEach(name => this.classes.add(name)),
+            remove: (...names) => names.forEach(name => this.classes.delete(name))
+        };
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+}
+
+function installBrowserGlobals() {
+    const store = new Map();
+    const elements = new Map();
+    global.window = global;
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    global.document = {
+        documentElement: { lang: 'es' },
+        querySelectorAll: selector => elements.get(selector) || []
+    };
+    return { elements, storage: store };
+}
+
+function definitions(experiments, fields = {}) {
+    return { version: 1, defaultLocale: 'es', experiments, ...fields };
+}
+
+const TWO_VARIANTS = [{ id: 'control' }, { id: 'b', changes: { '.hero h1': 'B' } }];
+
+class ExperimentConfigTestSuite {
+    constructor() {
+        this.results = [];
+        this.server = null;
+        this.baseUrl = null;
+        this.requests = [];
+        // Served under /fixtures/<name> next to the real experiments.json and headlines-ab-testing.json
+        this.fixtures = new Map();
+        this.frameworks = [];
+    }
+
+    startFixtureServer() {
+        this.server = http.createServer((req, res) => {
+            const url = new URL(req.url, this.baseUrl);
+            this.requests.push(url.pathname);
+
+            let body = null;
+            if (url.pathname.startsWith('/fixtures/')) {
+                const fixture = this.fixtures.get(url.pathname.slice('/fixtures/'.length));
+                body = typeof fixture === 'string' ? fixture : fixture && JSON.stringify(fixture);
+            } else if (['/experiments.json', '/headlines-ab-testing.json'].includes(url.pathname)) {
+                body = fs.readFileSync(path.join(ROOT, url.pathname), 'utf8');
+            }
+
+            if (body === null || body === undefined) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end('{"error":"not found"}');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+        });
+
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    async runAllTests() {
+        console.log('🗂️  STARTING A/B TESTING EXPERIMENT CONFIG TEST SUITE');
+
+        ({ elements: this.elements, storage: this.storage } = installBrowserGlobals());
+        this.config = await import('../../ab-testing-config.js');
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+        await this.startFixtureServer();
+
+        try {
+            await this.test('experiments.json validates and keeps the default experiments', () => this.testDefaultDefinitions());
+            await this.test('headline variants use copy from headlines-ab-testing.json', () => this.testHeadlineCopy());
+            await this.test('copy follows the visitor locale and falls back to the default', () => this.testLocaleFallback());
+            await this.test('validation reports every problem with its path', () => this.testValidationIssues());
+            await this.test('unsafe or unknown DOM changes are rejected', () => this.testUnsafeChanges());
+            await this.test('missing copy entries and fields fail the load', () => this.testMissingCopy());
+            await this.test('copy documents are fetched once per load', () => this.testCopyCache());
+            await this.test('the framework loads definitions from a URL and applies variants', () => this.testFrameworkLoad());
+            await this.test('broken definitions leave the framework without experiments', () => this.testFrameworkFailure());
+            await this.test('applyElementChanges handles text, html, style, attributes and classes', () => this.testApplyElementChanges());
+        } finally {
+            this.frameworks.forEach(framework => framework.destroy());
+            this.server.close();
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createLoader(options = {}) {
+        return new this.config.ExperimentConfigLoader({ baseUrl: `${this.baseUrl}/`, ...options });
+    }
+
+    createFramework(options = {}) {
+        const framework = new this.ABTestingFramework(options);
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    async testDefaultDefinitions() {
+        const document = JSON.parse(fs.readFileSync(path.join(ROOT, 'experiments.json'), 'utf8'));
+        assert.deepStrictEqual(this.config.validateExperimentDefinitions(document), []);
+
+        const configs = await this.createLoader({ locale: 'es' }).load(`${this.baseUrl}/experiments.json`);
+        assert.deepStrictEqual(configs.map(config => config.id), [
+            'headline_optimization_2024', 'cta_optimization_2024', 'video_placement_2024', 'pricing_psychology_2024'
+        ]);
+
+        const cta = configs.find(config => config.id === 'cta_optimization_2024');
+        assert.strictEqual(cta.variants.length, 6);
+        assert.strictEqual(cta.variants.find(variant => variant.id === 'urgency').changes['.btn-primary'].style.animation, 'pulse 1s infinite');
+    }
+
+    async testHeadlineCopy() {
+        const [headline] = await this.createLoader({ locale: 'es' }).load(`${this.baseUrl}/experiments.json`);
+        const variant = id => headline.variants.find(entry => entry.id === id);
+
+        assert.deepStrictEqual(variant('pain_point').changes, {
+            '.hero h1': HEADLINES.version_a.es.main_headline,
+            '.hero p': HEADLINES.version_a.es.sub_headline
+        });
+        assert.deepStrictEqual(variant('exclusive').copy, {
+            source: 'headlines-ab-testing.json', path: 'ab_testing_headlines.version_c', locale: 'es'
+        });
+        // Inline variants are untouched
+        assert.strictEqual(variant('control').changes['.hero h1'], 'Face ID Beats Gas Fees');
+        assert.strictEqual(variant('control').copy, undefined);
+    }
+
+    async testLocaleFallback() {
+        const { resolveLocale } = this.config;
+        assert.strictEqual(resolveLocale('en-US', ['es', 'en'], 'es'), 'en');
+        assert.strictEqual(resolveLocale('fr', ['es', 'en'], 'es'), 'es');
+        assert.strictEqual(resolveLocale(null, ['en'], 'es'), 'en');
+
+        const [english] = await this.createLoader({ locale: 'en-GB' }).load(`${this.baseUrl}/experiments.json`);
+        assert.strictEqual(english.variants.find(variant => variant.id === 'curiosity').changes['.hero h1'], HEADLINES.version_b.en.main_headline);
+
+        // Without an explicit locale the page language (<html lang="es">) is used
+        const [page] = await this.createLoader().load(`${this.baseUrl}/experiments.json`);
+        assert.strictEqual(page.variants.find(variant => variant.id === 'curiosity').changes['.hero h1'], HEADLINES.version_b.es.main_headline);
+    }
+
+    async testValidationIssues() {
+        const issues = this.config.validateExperimentDefinitions({
+            version: 2,
+            experiments: [
+                { id: 'hero', name: 'Hero', variants: TWO_VARIANTS, colour: 'red' },
+                { id: 'hero', name: '', variants: [{ id: 'only' }] },
+                {
+                    id: 'has space',
+                    name: 'Bad',
+                    analysis: 'frequentist',
+                    namespace: { id: 'hero', range: [0.5, 0.2] },
+                    variants: [{ id: 'a', weight: -1 }, { id: 'a', copy: 'ab_testing_headlines.version_a' }]
+                }
+            ]
+        });
+
+        assert.deepStrictEqual(issues.map(issue => issue.split(':')[0]), [
+            'version',
+            'experiments[0].colour',
+            'experiments[1].id',
+            'experiments[1].name',
+            'experiments[1].variants',
+            'experiments[2].id',
+            'experiments[2].analysis',
+            'experiments[2].namespace',
+            'experiments[2].variants[0].weight',
+            'experiments[2].variants[1].id',
+            'experiments[2].variants[1].copy'
+        ]);
+
+        await assert.rejects(
+            this.createLoader().load(definitions([{ id: 'x', name: 'X', variants: [] }])),
+            error => error.issues.length === 1 && /experiments\[0\]\.variants: expected at least two variants/.test(error.message)
+        );
+        this.fixtures.set('broken.json', '{ "version": 1, ');
+        await assert.rejects(this.createLoader().load(`${this.baseUrl}/fixtures/broken.json`), /Could not parse/);
+        await assert.rejects(this.createLoader().load(`${this.baseUrl}/fixtures/missing.json`), /HTTP 404/);
+    }
+
+    async testUnsafeChanges() {
+        const issues = this.config.validateExperimentDefinitions(definitions([{
+            id: 'unsafe',
+            name: 'Unsafe',
+            variants: [
+                { id: 'control' },
+                {
+                    id: 'b',
+                    changes: {
+                        '.btn-primary': {
+                            attributes: { onclick: 'steal()', href: ' javascript:steal()', 'data-ok': 'yes' },
+                            innerHTML: '<img src=x>',
+                            style: { color: 7 }
+                        },
+                        '.hero p': 42
+                    }
+                }
+            ]
+        }]));
+
+        assert.strictEqual(issues.length, 5);
+        assert.ok(issues.some(issue => issue.includes('attributes.onclick: event handler attributes are not allowed')));
+        assert.ok(issues.some(issue => issue.includes('attributes.href: javascript: URLs are not allowed')));
+        assert.ok(issues.some(issue => issue.includes('[".btn-primary"].innerHTML: unknown change')));
+        assert.ok(issues.some(issue => issue.includes('.style: expected a map of style property to string')));
+        assert.ok(issues.some(issue => issue.includes('[".hero p"]: expected text or an object')));
+    }
+
+    async testMissingCopy() {
+        const copy = { source: 'headlines-ab-testing.json', elements: { main_headline: '.hero h1', cta: '.btn-primary' } };
+
+        await assert.rejects(this.createLoader({ locale: 'en' }).load(definitions([{
+            id: 'copy',
+            name: 'Copy',
+            copy,
+            variants: [{ id: 'a', copy: 'ab_testing_headlines.version_a' }, { id: 'z', copy: 'ab_testing_headlines.version_z' }]
+        }])), error => {
+            assert.deepStrictEqual(error.issues, [
+                'experiments[0].variants[0].copy: "ab_testing_headlines.version_a" has no "cta" for locale en',
+                'experiments[0].variants[1].copy: "ab_testing_headlines.version_z" not found in headlines-ab-testing.json'
+            ]);
+            return true;
+        });
+    }
+
+    async testCopyCache() {
+        this.fixtures.set('two-headline-tests.json', definitions(['first', 'second'].map(id => ({
+            id,
+            name: id,
+            copy: { source: '../headlines-ab-testing.json', elements: { main_headline: '.hero h1' } },
+            variants: [{ id: 'control' }, { id: 'b', copy: 'ab_testing_headlines.version_b' }]
+        }))));
+        this.requests = [];
+
+        const configs = await this.createLoader({ locale: 'en' }).load(`${this.baseUrl}/fixtures/two-headline-tests.json`);
+        assert.deepStrictEqual(this.requests, ['/fixtures/two-headline-tests.json', '/headlines-ab-testing.json']);
+        // Copy without a variant name lends its own
+        assert.strictEqual(configs[1].variants[1].name, HEADLINES.version_b.name);
+    }
+
+    async testFrameworkLoad() {
+        const title = new FakeElement();
+        const subtitle = new FakeElement();
+        this.elements.set('.hero h1', [title]);
+        this.elements.set('.hero p', [subtitle]);
+
+        const framework = this.createFramework({ experimentsUrl: `${this.baseUrl}/experiments.json`, locale: 'en' });
+        const experiments = await framework.ready;
+
+        assert.strictEqual(experiments.length, 4);
+        assert.strictEqual(framework.getActiveExperiments().length, 4);
+
+        const { variant } = framework.runExperiment('headline_optimization_2024', 'visitor-42');
+        const expected = variant.changes;
+        assert.strictEqual(title.textContent, expected['.hero h1']);
+        assert.strictEqual(subtitle.textContent, expected['.hero p']);
+
+        // Inline definitions skip the network entirely
+        this.requests = [];
+        const inline = this.createFramework({
+            experiments: definitions([{ id: 'inline', name: 'Inline', variants: TWO_VARIANTS }]),
+            experimentsUrl: `${this.baseUrl}/experiments.json`
+        });
+        assert.deepStrictEqual((await inline.ready).map(experiment => experiment.id), ['inline']);
+        assert.deepStrictEqual(this.requests, []);
+    }
+
+    async testFrameworkFailure() {
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args.join(' '));
+
+        try {
+            // Nothing persisted by earlier frameworks
+            this.storage.clear();
+            this.fixtures.set('invalid.json', definitions([{ id: 'bad', name: 'Bad', variants: [{ id: 'only' }] }]));
+            const framework = this.createFramework({ experimentsUrl: `${this.baseUrl}/fixtures/invalid.json` });
+
+            assert.deepStrictEqual(await framework.ready, []);
+            assert.strictEqual(framework.getActiveExperiments().length, 0);
+            assert.strictEqual(warnings.length, 1);
+            assert.ok(warnings[0].includes('experiments[0].variants: expected at least two variants'));
+
+            // loadExperiments itself rejects so callers can handle it
+            await assert.rejects(framework.loadExperiments(`${this.baseUrl}/fixtures/invalid.json`), /Invalid experiment definitions/);
+        } finally {
+            console.warn = warn;
+        }
+    }
+
+    async testApplyElementChanges() {
+        const framework = this.createFramework({ experimentsUrl: null });
+        const element = new FakeElement();
+
+        framework.applyElementChanges(element, {
+            text: 'ÚNETE',
+            style: { background: '#10b981' },
+            attributes: { 'data-video-modal': 'true' },
+            classes: { add: ['pulse'], remove: ['hero-title'] }
+        });
+        assert.strictEqual(element.textContent, 'ÚNETE');
+        assert.strictEqual(element.style.background, '#10b981');
+        assert.deepStrictEqual(element.attributes, { 'data-video-modal': 'true' });
+        assert.deepStrictEqual([...element.classes], ['pulse']);
+
+        framework.applyElementChanges(element, { html: '<strong>FREE</strong>' });
+        assert.strictEqual(element.innerHTML, '<strong>FREE</strong>');
+        framework.applyElementChanges(element, 'Plain text');
+        assert.strictEqual(element.textContent, 'Plain text');
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing experiment config tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ExperimentConfigTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING EXPERIMENT CONFIG TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ExperimentConfigTestSuite;
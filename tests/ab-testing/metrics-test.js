@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+/**
+ * A/B TESTING METRICS TEST SUITE
+ * Primary / secondary / guardrail metric config, per-visitor metric values, the one-sided
+ * guardrail test and variants being stopped when LCP, CLS or the error rate degrade
+ */
+
+// Seeded PRNG so the simulations are reproducible
+function mulberry32(seed) {
+    return function () {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+function gaussian(random, mean, sd) {
+    const u1 = random() || Number.MIN_VALUE;
+    const u2 = random();
+    return mean + sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    return store;
+}
+
+// Stand-in for performance-monitor.js: same onMetric contract, metrics pushed by the test
+class FakePerformanceMonitor {
+    constructor() {
+        this.listeners = new Set();
+    }
+
+    onMetric(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    recordMetric(name, value) {
+        this.listeners.forEach(listener => listener(name, { value, timestamp: Date.now(), rating: 'unknown' }));
+    }
+}
+
+class ABTestingMetricsTestSuite {
+    constructor() {
+        this.results = [];
+        // Frameworks start a monitoring interval; destroyed once the suite finishes
+        this.frameworks = [];
+    }
+
+    async runAllTests() {
+        console.log('📏 STARTING A/B TESTING METRICS TEST SUITE');
+
+        this.metrics = await import('../../ab-testing-metrics.js');
+        const { StatisticsEngine } = await import('../../ab-testing-statistics.js');
+        this.engine = new StatisticsEngine({ confidenceLevel: 0.95, minimumSampleSize: 100 });
+        this.storage = installBrowserGlobals();
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+
+        await this.test('metric config fills defaults, accepts old metric lists and rejects bad ones', () => this.testNormalizeMetrics());
+        await this.test('each visitor counts once per metric; continuous metrics keep max or latest', () => this.testRecordMetricValue());
+        await this.test('trackMetric reaches only experiments that track the metric', () => this.testTrackMetric());
+        await this.test('guardrails wait for samples and ignore improvements', () => this.testGuardrailOneSided());
+        await this.test('A/A guardrails rarely stop a variant however often they are checked', () => this.testGuardrailFalseStops());
+        await this.test('an LCP regression stops a variant that wins on conversion', () => this.testGuardrailStopsWinner());
+        await this.test('PerformanceMonitor errors feed the error-rate guardrail', () => this.testErrorRateFromMonitor());
+        await this.test('a non-conversion primary metric drives the decision', () => this.testPrimaryMetric());
+
+        this.frameworks.forEach(framework => framework.destroy());
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createFramework(options = {}) {
+        this.storage.clear();
+        const framework = new this.ABTestingFramework({ experimentsUrl: null, ...options });
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    // Exposes a visitor through the framework's own assignment, like runExperiment without the DOM
+    expose(framework, experimentId, userId) {
+        const assignment = framework.assignUserToExperiment(experimentId, userId);
+        if (assignment) {
+            framework.trackExperimentEvent(experimentId, assignment.variantId, 'exposure', { userId });
+        }
+        return assignment;
+    }
+
+    async testNormalizeMetrics() {
+        const { normalizeMetrics } = this.metrics;
+
+        const legacy = normalizeMetrics(['conversion', 'engagement', 'video_completion']);
+        assert.strictEqual(legacy.primary, 'conversion');
+        assert.deepStrictEqual(legacy.secondary, ['video_completion']);
+        assert.deepStrictEqual(legacy.guardrails.map(guardrail => guardrail.metric), ['lcp', 'cls', 'error_rate']);
+        // Alpha is split across the guardrails
+        assert.ok(Math.abs(legacy.guardrails[0].alpha - 0.05 / 3) < 1e-12);
+
+        const custom = normalizeMetrics({
+            primary: 'email_capture',
+            secondary: ['scroll_depth'],
+            guardrails: [{ metric: 'lcp', margin: 0.05, alpha: 0.01 }]
+        });
+        assert.deepStrictEqual(custom.guardrails, [{ metric: 'lcp', tau: 0.1, alpha: 0.01, minimumSamples: 100, margin: 0.05 }]);
+        assert.deepStrictEqual(normalizeMetrics({ guardrails: [] }).guardrails, []);
+
+        assert.throws(() => normalizeMetrics({ secondary: ['bounce'] }), /Unknown metric "bounce"/);
+        assert.throws(() => normalizeMetrics({ primary: 'scroll_depth' }), /must be a rate/);
+        assert.throws(() => normalizeMetrics({ guardrails: [{ metric: 'cls', tau: 0 }] }), /Invalid guardrail/);
+
+        const framework = this.createFramework();
+        assert.throws(() => framework.createExperiment({
+            id: 'bad_metrics', name: 'Bad', metrics: { primary: 'lcp' }, variants: [{ id: 'control' }, { id: 'b' }]
+        }), /must be a rate/);
+    }
+
+    async testRecordMetricValue() {
+        const { createMetricStats, recordMetricValue, summarizeMetric } = this.metrics;
+
+        const emails = createMetricStats();
+        assert.strictEqual(recordMetricValue('email_capture', emails, 'ana'), true);
+        assert.strictEqual(recordMetricValue('email_capture', emails, 'ana'), false);
+        recordMetricValue('email_capture', emails, 'ben');
+        assert.deepStrictEqual(summarizeMetric('email_capture', emails, 8), { n: 8, mean: 0.25, variance: 0.1875 });
+
+        const scroll = createMetricStats();
+        [25, 75, 50].forEach(depth => recordMetricValue('scroll_depth', scroll, 'ana', depth));
+        recordMetricValue('scroll_depth', scroll, 'ben', 25);
+        assert.strictEqual(recordMetricValue('scroll_depth', scroll, 'ben', 'far'), false);
+        const summary = summarizeMetric('scroll_depth', scroll, 10);
+        assert.strictEqual(summary.n, 2);
+        assert.strictEqual(summary.mean, 50);
+        assert.strictEqual(summary.variance, 1250);
+
+        // LCP keeps the latest candidate, which is the final LCP
+        const lcp = createMetricStats();
+        [1800, 2400].forEach(value => recordMetricValue('lcp', lcp, 'ana', value));
+        assert.strictEqual(summarizeMetric('lcp', lcp, 1).mean, 2400);
+    }
+
+    async testTrackMetric() {
+        const framework = this.createFramework();
+        const tracked = framework.createExperiment({
+            id: 'hero_scroll',
+            name: 'Hero scroll',
+            metrics: { primary: 'conversion', secondary: ['scroll_depth'] },
+            variants: [{ id: 'control' }, { id: 'b' }]
+        });
+        const untracked = framework.createExperiment({ id: 'cta_plain', name: 'CTA', variants: [{ id: 'control' }, { id: 'b' }] });
+
+        const first = this.expose(framework, 'hero_scroll', null);
+        this.expose(framework, 'cta_plain', null);
+        framework.trackMetric('scroll_depth', 50);
+        framework.trackMetric('scroll_depth', 75);
+        // Someone else's scroll doesn't land on this visitor's assignments
+        framework.trackMetric('scroll_depth', 100, 'someone-else');
+
+        const stats = tracked.results.variantResults.get(first.variantId).metrics.scroll_depth;
+        assert.deepStrictEqual({ n: stats.n, sum: stats.sum }, { n: 1, sum: 75 });
+        assert.strictEqual(untracked.results.variantResults.get('control').metrics.scroll_depth, undefined);
+
+        const report = framework.generateReport('hero_scroll');
+        assert.strictEqual(report.results.primaryMetric, 'conversion');
+        assert.strictEqual(report.variants.find(variant => variant.id === first.variantId).metrics.scroll_depth.mean, 75);
+
+        assert.throws(() => framework.trackMetric('dwell_time'), /Unknown metric/);
+    }
+
+    async testGuardrailOneSided() {
+        const { guardrailTest } = this.metrics;
+        const guardrail = { metric: 'lcp', tau: 0.1, alpha: 0.05, minimumSamples: 100, margin: 0 };
+        const control = { n: 400, mean: 2000, variance: 300 * 300 };
+
+        // A large regression, but too few samples yet
+        const early = guardrailTest(this.engine, control, { n: 50, mean: 3000, variance: 300 * 300 }, guardrail);
+        assert.deepStrictEqual([early.degraded, early.pValue], [false, 1]);
+
+        // Faster LCP is never a breach
+        const faster = guardrailTest(this.engine, control, { n: 400, mean: 1500, variance: 300 * 300 }, guardrail);
+        assert.deepStrictEqual([faster.degraded, faster.pValue], [false, 1]);
+
+        const slower = guardrailTest(this.engine, control, { n: 400, mean: 2300, variance: 300 * 300 }, guardrail);
+        assert.strictEqual(slower.degraded, true);
+        assert.ok(Math.abs(slower.relativeChange - 0.15) < 1e-12);
+
+        // Significant but within the tolerated margin
+        const tolerated = guardrailTest(this.engine, control, { n: 400, mean: 2300, variance: 300 * 300 }, { ...guardrail, margin: 0.2 });
+        assert.strictEqual(tolerated.degraded, false);
+
+        // Once breached it stays breached
+        const later = guardrailTest(this.engine, control, { n: 800, mean: 2000, variance: 300 * 300 }, guardrail, slower);
+        assert.strictEqual(later.degraded, true);
+    }
+
+    async testGuardrailFalseStops() {
+        const { guardrailTest, createMetricStats, recordMetricValue, summarizeMetric } = this.metrics;
+        const random = mulberry32(7);
+        const guardrail = { metric: 'lcp', tau: 0.1, alpha: 0.05, minimumSamples: 30, margin: 0 };
+        const runs = 150;
+        let stopped = 0;
+
+        for (let run = 0; run < runs; run++) {
+            const control = createMetricStats();
+            const variant = createMetricStats();
+            let last = null;
+
+            // Checked after every pair of visitors, the way the framework checks after every event
+            for (let i = 0; i < 300 && !last?.degraded; i++) {
+                recordMetricValue('lcp', control, `c${i}`, gaussian(random, 2000, 400));
+                recordMetricValue('lcp', variant, `v${i}`, gaussian(random, 2000, 400));
+                last = guardrailTest(this.engine, summarizeMetric('lcp', control, i + 1), summarizeMetric('lcp', variant, i + 1), guardrail, last);
+            }
+            if (last.degraded) stopped++;
+        }
+
+        assert.ok(stopped / runs <= 0.05, `false stop rate ${stopped / runs}`);
+    }
+
+    async testGuardrailStopsWinner() {
+        const framework = this.createFramework();
+        const random = mulberry32(42);
+        const experiment = framework.createExperiment({
+            id: 'hero_video',
+            name: 'Hero video',
+            metrics: { primary: 'conversion', guardrails: ['lcp'] },
+            variants: [{ id: 'control' }, { id: 'autoplay' }, { id: 'poster' }]
+        });
+        const lcp = { control: 2000, autoplay: 2700, poster: 2000 };
+        const conversion = { control: 0.1, autoplay: 0.2, poster: 0.1 };
+
+        let servedAutoplay = null;
+        for (let i = 0; i < 900; i++) {
+            const userId = `visitor-${i}`;
+            const { variantId } = this.expose(framework, 'hero_video', userId);
+            if (variantId === 'autoplay') servedAutoplay = userId;
+
+            framework.trackMetric('lcp', gaussian(random, lcp[variantId], 300), userId);
+            if (random() < conversion[variantId]) {
+                framework.trackExperimentEvent('hero_video', variantId, 'conversion', { userId });
+            }
+        }
+
+        const autoplay = experiment.variants.find(variant => variant.id === 'autoplay');
+        assert.strictEqual(autoplay.status, 'stopped');
+        assert.ok(autoplay.stopReason.startsWith('Largest Contentful Paint degraded'), autoplay.stopReason);
+        assert.strictEqual(experiment.results.guardrails.poster.lcp.degraded, false);
+
+        // It was winning on conversion, yet it can't be the winner
+        const results = experiment.results.variantResults;
+        assert.ok(results.get('autoplay').conversionRate > results.get('control').conversionRate);
+        assert.strictEqual(experiment.results.analysis.variants.autoplay, undefined);
+        framework.stopExperiment('hero_video', true);
+        assert.notStrictEqual(experiment.results.winner, 'autoplay');
+
+        // New visitors never land in it; the report explains why
+        experiment.status = 'active';
+        for (let i = 0; i < 200; i++) {
+            assert.notStrictEqual(framework.assignUserToExperiment('hero_video', `late-${i}`).variantId, 'autoplay');
+        }
+        assert.strictEqual(framework.assignUserToExperiment('hero_video', servedAutoplay).variantId, 'autoplay');
+
+        const report = framework.generateReport('hero_video');
+        assert.strictEqual(report.variants[1].status, 'stopped');
+        assert.strictEqual(report.variants[1].guardrails.lcp.degraded, true);
+        assert.ok(report.insights.some(insight => insight.startsWith('autoplay was stopped: Largest Contentful Paint')));
+    }
+
+    async testErrorRateFromMonitor() {
+        const monitor = new FakePerformanceMonitor();
+        const framework = this.createFramework();
+        assert.strictEqual(framework.connectPerformanceMonitor(monitor), true);
+
+        const experiment = framework.createExperiment({
+            id: 'checkout_widget',
+            name: 'Checkout widget',
+            metrics: { primary: 'conversion', guardrails: [{ metric: 'error_rate', minimumSamples: 50 }] },
+            variants: [{ id: 'control' }, { id: 'widget' }]
+        });
+
+        // Every visitor shares one browser here, so switch the visitor id the monitor reports for
+        const random = mulberry32(3);
+        for (let i = 0; i < 400; i++) {
+            framework.visitorId = `visitor-${i}`;
+            const assignment = this.expose(framework, 'checkout_widget', null);
+            // The experiment ends as soon as its only challenger is stopped
+            if (!assignment) break;
+            if (random() < (assignment.variantId === 'widget' ? 0.3 : 0.02)) {
+                monitor.recordMetric('errors', 1);
+                monitor.recordMetric('errors', 2);
+            }
+            monitor.recordMetric('FID', 12);
+        }
+
+        const errors = experiment.results.variantResults.get('control').metrics.error_rate;
+        assert.ok(errors.n > 0 && errors.n < 20, `control visitors with errors: ${errors.n}`);
+        // Only challenger stopped: control stays and the experiment ends
+        assert.strictEqual(experiment.variants[1].status, 'stopped');
+        assert.strictEqual(experiment.status, 'completed');
+        assert.strictEqual(experiment.results.winner, 'control');
+
+        framework.destroy();
+        assert.strictEqual(monitor.listeners.size, 0);
+    }
+
+    async testPrimaryMetric() {
+        const framework = this.createFramework();
+        const experiment = framework.createExperiment({
+            id: 'lead_magnet',
+            name: 'Lead magnet',
+            analysis: { method: 'sequential', tau: 0.05 },
+            metrics: { primary: 'email_capture', guardrails: [] },
+            variants: [{ id: 'control' }, { id: 'ebook' }]
+        });
+
+        for (let i = 0; i < 1200; i++) {
+            const userId = `visitor-${i}`;
+            const { variantId } = this.expose(framework, 'lead_magnet', userId);
+            // Repeat submissions count once per visitor
+            if (i % 10 < (variantId === 'ebook' ? 3 : 1)) {
+                framework.trackMetric('email_capture', 1, userId);
+                framework.trackMetric('email_capture', 1, userId);
+            }
+        }
+
+        const analysis = experiment.results.analysis;
+        assert.strictEqual(analysis.winner, 'ebook');
+        assert.ok(analysis.variants.ebook.lift > 1.5);
+        // No conversion events at all: only the email captures could have decided it
+        assert.strictEqual(experiment.results.variantResults.get('ebook').conversions, 0);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing metrics tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ABTestingMetricsTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING METRICS TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ABTestingMetricsTestSuite;
@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * A/B TESTING SERVER ASSIGNMENT TEST SUITE
+ * Cookie handoff between ab-testing-server.js and the framework, HTML pre-rendering,
+ * the Node handler against the real experiments.json, and the anti-flicker snippet
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <title>FacePay <h1>not a heading</h1></title>
+    <script>var template = "<section class='hero'><h1>inside a script</h1></section>";</script>
+</head>
+<body>
+    <section class="hero">
+        <div class="hero-content">
+            <h1 class="hero-title">Face ID Beats Gas Fees</h1>
+            <p>Send crypto like @juan → @maria.</p>
+        </div>
+        <a class="btn btn-primary" href="#join" style="color: white">Join</a>
+        <img src="logo.png" alt="FacePay">
+    </section>
+    <div data-pricing><div>FREE</div></div>
+</body>
+</html>`;
+
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    // Visitor ids and assignments are only stored once the visitor allows analytics (consent-manager.js)
+    global.FacePayConsent = { has: () => true, whenGranted: (category, start) => { start(); return () => {}; } };
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    global.document = { cookie: '', documentElement: { getAttribute: () => null }, querySelectorAll: () => [] };
+    return store;
+}
+
+// Deterministic PRNG so visitor ids are the same on every run
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// The cookie consent-manager.js writes once the visitor allows analytics
+const ANALYTICS_CONSENT = `facepay_consent=${encodeURIComponent('v=1&analytics=1&marketing=0')}`;
+
+function definitions(experiments) {
+    return { version: 1, defaultLocale: 'es', experiments };
+}
+
+function htmlResponse(body = PAGE) {
+    return new Response(body, { headers: { 'content-type': 'text/html; charset=utf-8', 'content-length': String(Buffer.byteLength(body)) } });
+}
+
+function cookieHeader(setCookies) {
+    return setCookies.map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+class ServerAssignmentTestSuite {
+    constructor() {
+        this.results = [];
+        this.server = null;
+        this.baseUrl = null;
+        this.frameworks = [];
+    }
+
+    startServer() {
+        // Origin for the Node handler: the real definitions and copy, plus a landing page
+        const origin = request => {
+            const { pathname } = new URL(request.url);
+            if (pathname === '/') return htmlResponse();
+            if (['/experiments.json', '/headlines-ab-testing.json'].includes(pathname)) {
+                return new Response(fs.readFileSync(path.join(ROOT, pathname)), { headers: { 'content-type': 'application/json' } });
+            }
+            return new Response('not found', { status: 404, headers: { 'content-type': 'text/plain' } });
+        };
+
+        this.server = http.createServer((req, res) => this.handler(req, res));
+
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                this.assignment = new this.serverModule.ServerAssignment({ definitions: `${this.baseUrl}/experiments.json` });
+                this.handler = this.serverModule.createNodeHandler(this.assignment, origin);
+                resolve();
+            });
+        });
+    }
+
+    async runAllTests() {
+        console.log('🖥️  STARTING A/B TESTING SERVER ASSIGNMENT TEST SUITE');
+
+        this.storage = installBrowserGlobals();
+        this.bucketing = await import('../../ab-testing-bucketing.js');
+        this.serverModule = await import('../../ab-testing-server.js');
+        ({ ABTestingFramework: this.ABTestingFramework } = await import('../../ab-testing-framework.js'));
+        await this.startServer();
+
+        try {
+            await this.test('assignment cookies round-trip', () => this.testCookies());
+            await this.test('HTML rewriting applies text, html, style, attributes and classes', () => this.testHtmlRewrite());
+            await this.test('unmatched and unsupported selectors are reported', () => this.testUnmatchedSelectors());
+            await this.test('server and client bucket visitors identically', () => this.testBucketingParity());
+            await this.test('handle sets cookies, pre-renders and stays stable on repeat requests', () => this.testHandle());
+            await this.test('cookie assignments survive reallocation', () => this.testCookieStickiness());
+            await this.test('the client framework uses the server cookies instead of re-assigning', () => this.testClientReadsCookies());
+            await this.test('visitor ids and assignments stay in memory until analytics consent', () => this.testConsentGate());
+            await this.test('the server sets no cookies without analytics consent', () => this.testServerConsentGate());
+            await this.test('the Node handler renders localised copy from experiments.json', () => this.testNodeHandler());
+            await this.test('unreachable definitions serve the page unchanged', () => this.testFailOpen());
+            await this.test('the anti-flicker snippet hides until reveal or timeout', () => this.testAntiFlicker());
+        } finally {
+            this.frameworks.forEach(framework => framework.destroy());
+            this.server.close();
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    createFramework(options = {}) {
+        this.storage.clear();
+        const framework = new this.ABTestingFramework({ experimentsUrl: null, ...options });
+        this.frameworks.push(framework);
+        return framework;
+    }
+
+    request(url, headers = {}, method = 'GET') {
+        return new Request(url, { method, headers });
+    }
+
+    async testCookies() {
+        const { parseCookies, encodeAssignments, decodeAssignments, ASSIGNMENTS_COOKIE } = this.bucketing;
+        const assignments = { headline_optimization_2024: 'pain_point', 'odd id': 'a&b=c' };
+
+        const header = `theme=dark; ${ASSIGNMENTS_COOKIE}=${encodeURIComponent(encodeAssignments(assignments))}; broken=%E0%A4%A`;
+        const cookies = parseCookies(header);
+
+        assert.deepStrictEqual(decodeAssignments(cookies[ASSIGNMENTS_COOKIE]), assignments);
+        assert.strictEqual(cookies.theme, 'dark');
+        assert.strictEqual(cookies.broken, '%E0%A4%A');
+        assert.deepStrictEqual(decodeAssignments(undefined), {});
+        assert.deepStrictEqual(parseCookies(null), {});
+    }
+
+    async testHtmlRewrite() {
+        const { applyChangesToHtml } = this.serverModule;
+        const { html, unmatched } = applyChangesToHtml(PAGE, {
+            '.hero h1': 'Ahorra <50%> & más',
+            '.hero-content > p': { html: '<strong>Zero</strong> gas' },
+            'a.btn-primary': {
+                style: { backgroundColor: '#10b981', color: 'black' },
+                attributes: { 'data-video-modal': 'true' },
+                classes: { add: ['pulse'], remove: ['btn'] }
+            },
+            '[data-pricing]': { html: '<span>$0</span>' },
+            'img[alt="FacePay"]': { attributes: { loading: 'eager' } }
+        });
+
+        assert.deepStrictEqual(unmatched, []);
+        assert.ok(html.includes('<h1 class="hero-title">Ahorra &lt;50%&gt; &amp; más</h1>'));
+        assert.ok(html.includes('<p><strong>Zero</strong> gas</p>'));
+        assert.ok(html.includes('<a class="btn-primary pulse" href="#join" style="color: black; background-color: #10b981" data-video-modal="true">Join</a>'));
+        assert.ok(html.includes('<div data-pricing><span>$0</span></div>'));
+        assert.ok(html.includes('<img src="logo.png" alt="FacePay" loading="eager">'));
+        // Title and script bodies are text, not markup
+        assert.ok(html.includes('<title>FacePay <h1>not a heading</h1></title>'));
+        assert.ok(html.includes("<h1>inside a script</h1></section>\";</script>"));
+
+        // An outer html replacement wins over edits inside it
+        const nested = applyChangesToHtml(PAGE, { '.hero-content': { html: '<h2>Video</h2>' }, '.hero h1': 'Lost' });
+        assert.ok(nested.html.includes('<div class="hero-content"><h2>Video</h2></div>'));
+        assert.ok(!nested.html.includes('Lost'));
+    }
+
+    async testUnmatchedSelectors() {
+        const { applyChangesToHtml, parseSelector } = this.serverModule;
+        const { html, unmatched } = applyChangesToHtml(PAGE, {
+            '.pricing-card': 'Nope',
+            'a:hover': { style: { color: 'red' } },
+            'h1 + p': 'Nope',
+            'section > h1': 'Not a direct child'
+        });
+
+        assert.strictEqual(html, PAGE);
+        assert.deepStrictEqual(unmatched, ['.pricing-card', 'a:hover', 'h1 + p', 'section > h1']);
+        assert.strictEqual(parseSelector('> h1'), null);
+        assert.deepStrictEqual(parseSelector('section.hero > [data-pricing]').map(step => step.combinator), [' ', '>']);
+    }
+
+    async testBucketingParity() {
+        const document = definitions([
+            { id: 'split', name: 'Split', variants: [{ id: 'control', weight: 50 }, { id: 'b', weight: 30 }, { id: 'c', weight: 20 }] },
+            { id: 'layered', name: 'Layered', namespace: { id: 'hero', range: [0, 0.5] }, variants: [{ id: 'control' }, { id: 'b' }] }
+        ]);
+        const holdout = { percentage: 0.1 };
+        const server = new this.serverModule.ServerAssignment({ definitions: document, holdout });
+        const framework = this.createFramework({ holdout });
+        (await framework.configLoader.load(document)).forEach(config => framework.createExperiment(config));
+
+        const random = mulberry32(15);
+        for (let i = 0; i < 300; i++) {
+            const visitorId = Math.floor(random() * 2 ** 32).toString(16);
+            const { variants } = await server.assign(this.request('https://facepay.test/', { cookie: `ab_visitor_id=${visitorId}` }));
+
+            ['split', 'layered'].forEach(experimentId => {
+                const client = framework.assignUserToExperiment(experimentId, visitorId);
+                assert.strictEqual(variants[experimentId]?.id ?? null, client ? client.variantId : null, `${experimentId} for ${visitorId}`);
+            });
+        }
+    }
+
+    async testHandle() {
+        const server = new this.serverModule.ServerAssignment({
+            definitions: definitions([{
+                id: 'headline',
+                name: 'Headline',
+                variants: [{ id: 'control', weight: 0.001 }, { id: 'b', weight: 99.999, changes: { '.hero h1': 'Variant B', '.hero-content > p': { html: '<em>B</em>' } } }]
+            }])
+        });
+
+        const first = await server.handle(this.request('https://facepay.test/', { cookie: ANALYTICS_CONSENT }), () => htmlResponse());
+        const body = await first.text();
+        const setCookies = first.headers.getSetCookie();
+
+        assert.strictEqual(setCookies.length, 2);
+        assert.ok(setCookies.every(cookie => cookie.includes('Path=/') && cookie.includes('SameSite=Lax') && cookie.includes('Secure') && !cookie.includes('HttpOnly')));
+        assert.ok(setCookies[1].startsWith('ab_assignments=headline%3Db;'));
+        assert.ok(body.includes('<html lang="es" data-ab-rendered="headline">'));
+        assert.ok(body.includes('>Variant B</h1>') && body.includes('<p><em>B</em></p>'));
+        assert.strictEqual(first.headers.get('vary'), 'Cookie');
+        assert.strictEqual(first.headers.get('cache-control'), 'private, no-cache');
+        assert.strictEqual(first.headers.get('content-length'), null);
+
+        // Returning visitor: same page, no cookie rewrites
+        const repeat = await server.handle(this.request('https://facepay.test/', { cookie: `${ANALYTICS_CONSENT}; ${cookieHeader(setCookies)}` }), () => htmlResponse());
+        assert.strictEqual(await repeat.text(), body);
+        assert.deepStrictEqual(repeat.headers.getSetCookie(), []);
+
+        // Assets and non-GET requests pass through untouched
+        const json = new Response('{}', { headers: { 'content-type': 'application/json' } });
+        assert.strictEqual(await server.handle(this.request('https://facepay.test/experiments.json'), () => json), json);
+        const post = htmlResponse();
+        assert.strictEqual(await server.handle(this.request('https://facepay.test/', {}, 'POST'), () => post), post);
+    }
+
+    async testCookieStickiness() {
+        const experiment = weights => ({ id: 'sticky', name: 'Sticky', variants: weights.map(([id, weight]) => ({ id, weight })) });
+        const before = new this.serverModule.ServerAssignment({ definitions: definitions([experiment([['control', 1], ['b', 99]])]) });
+        const assigned = await before.assign(this.request('https://facepay.test/', { cookie: `${ANALYTICS_CONSENT}; ab_visitor_id=returning` }));
+        assert.strictEqual(assigned.variants.sticky.id, 'b');
+
+        // Traffic moved almost entirely to control: the returning visitor keeps b
+        const cookie = `${ANALYTICS_CONSENT}; ab_visitor_id=returning; ${cookieHeader(assigned.cookies)}`;
+        const after = new this.serverModule.ServerAssignment({ definitions: definitions([experiment([['control', 99.99], ['b', 0.01]])]) });
+        const kept = await after.assign(this.request('https://facepay.test/', { cookie }));
+        assert.strictEqual(kept.variants.sticky.id, 'b');
+        assert.deepStrictEqual(kept.cookies, []);
+
+        // A variant that no longer exists is re-assigned and the cookie rewritten
+        const removed = new this.serverModule.ServerAssignment({ definitions: definitions([experiment([['control', 1], ['c', 1]])]) });
+        const reassigned = await removed.assign(this.request('https://facepay.test/', { cookie }));
+        assert.ok(['control', 'c'].includes(reassigned.variants.sticky.id));
+        assert.strictEqual(reassigned.cookies.length, 1);
+        assert.ok(reassigned.cookies[0].startsWith(`ab_assignments=sticky%3D${reassigned.variants.sticky.id};`));
+    }
+
+    async testClientReadsCookies() {
+        const applied = [];
+        global.document = {
+            cookie: 'ab_visitor_id=server-visitor; ab_assignments=headline%3Db%26pricing%3Dc',
+            documentElement: { getAttribute: name => (name === 'data-ab-rendered' ? 'headline' : null) },
+            querySelectorAll: selector => {
+                applied.push(selector);
+                return [];
+            }
+        };
+
+        try {
+            const framework = this.createFramework();
+            assert.strictEqual(framework.getVisitorId(), 'server-visitor');
+            assert.strictEqual(this.storage.get('ab_visitor_id'), 'server-visitor');
+
+            // Weights that would never pick b client-side
+            framework.createExperiment({ id: 'headline', name: 'Headline', variants: [{ id: 'control', weight: 99.99 }, { id: 'b', weight: 0.01, changes: { h1: 'B' } }] });
+            framework.createExperiment({ id: 'pricing', name: 'Pricing', variants: [{ id: 'control' }, { id: 'c', changes: { '[data-pricing]': 'C' } }] });
+
+            const headline = framework.runExperiment('headline');
+            assert.strictEqual(headline.assignment.variantId, 'b');
+            assert.strictEqual(headline.assignment.source, 'server');
+            // Pre-rendered by the server, so not applied again
+            assert.deepStrictEqual(applied, []);
+
+            // Assigned by the server but not rendered (e.g. a selector it couldn't match): applied here
+            framework.runExperiment('pricing');
+            assert.deepStrictEqual(applied, ['[data-pricing]']);
+
+            // Another unit than this visitor is bucketed client-side
+            assert.strictEqual(framework.assignUserToExperiment('headline', 'user-42').source, 'client');
+
+            // Without cookies the client writes its visitor id for the server to pick up
+            global.document = { cookie: '', documentElement: { getAttribute: () => null }, querySelectorAll: () => [] };
+            const fresh = this.createFramework();
+            assert.ok(global.document.cookie.startsWith(`ab_visitor_id=${fresh.getVisitorId()}; Path=/;`));
+        } finally {
+            global.document = { cookie: '', documentElement: { getAttribute: () => null }, querySelectorAll: () => [] };
+        }
+    }
+
+    async testConsentGate() {
+        const waiting = [];
+        let granted = false;
+        const consent = {
+            has: () => granted,
+            whenGranted: (category, start) => {
+                waiting.push([category, start]);
+                return () => {};
+            }
+        };
+
+        try {
+            const framework = this.createFramework({ consent });
+            framework.createExperiment({ id: 'headline', name: 'Headline', variants: [{ id: 'control' }, { id: 'b' }] });
+            const { variantId } = framework.assignUserToExperiment('headline');
+
+            assert.deepStrictEqual([...this.storage.keys()], []);
+            assert.strictEqual(global.document.cookie, '');
+
+            granted = true;
+            assert.deepStrictEqual(waiting.map(([category]) => category), ['analytics']);
+            waiting[0][1]();
+
+            assert.strictEqual(this.storage.get('ab_visitor_id'), framework.getVisitorId());
+            assert.ok(global.document.cookie.startsWith(`ab_visitor_id=${framework.getVisitorId()}; Path=/;`));
+            const saved = JSON.parse(this.storage.get('ab_testing_data'));
+            assert.strictEqual(new Map(saved.userAssignments).get(`headline_${framework.getVisitorId()}`)?.variantId, variantId);
+        } finally {
+            global.document = { cookie: '', documentElement: { getAttribute: () => null }, querySelectorAll: () => [] };
+        }
+    }
+
+    async testServerConsentGate() {
+        const server = new this.serverModule.ServerAssignment({
+            definitions: definitions([{
+                id: 'headline',
+                name: 'Headline',
+                variants: [{ id: 'control', weight: 0.001 }, { id: 'b', weight: 99.999, changes: { '.hero h1': 'Variant B' } }]
+            }])
+        });
+        const declined = `facepay_consent=${encodeURIComponent('v=1&analytics=0&marketing=0')}`;
+
+        // Undecided, declined, and after a withdrawal that left an old visitor id behind
+        for (const cookie of ['', declined, `${declined}; ab_visitor_id=returning`]) {
+            const response = await server.handle(this.request('https://facepay.test/', { cookie }), () => htmlResponse());
+            const body = await response.text();
+
+            assert.deepStrictEqual(response.headers.getSetCookie(), [], `cookies set for "${cookie}"`);
+            assert.ok(body.includes('<html lang="es" data-ab-rendered="headline" data-ab-assignments="headline=b">'));
+            assert.ok(body.includes('>Variant B</h1>'));
+        }
+
+        // The client takes the variant from the page instead of re-assigning
+        global.document = {
+            cookie: '',
+            documentElement: { getAttribute: name => ({ 'data-ab-rendered': 'headline', 'data-ab-assignments': 'headline=b' })[name] ?? null },
+            querySelectorAll: () => []
+        };
+        try {
+            const framework = this.createFramework({ consent: { has: () => false, whenGranted: () => () => {} } });
+            framework.createExperiment({ id: 'headline', name: 'Headline', variants: [{ id: 'control', weight: 99.99 }, { id: 'b', weight: 0.01 }] });
+            const { variantId, source } = framework.assignUserToExperiment('headline');
+            assert.deepStrictEqual({ variantId, source }, { variantId: 'b', source: 'server' });
+            assert.strictEqual(global.document.cookie, '');
+        } finally {
+            global.document = { cookie: '', documentElement: { getAttribute: () => null }, querySelectorAll: () => [] };
+        }
+    }
+
+    async testNodeHandler() {
+        const response = await fetch(`${this.baseUrl}/`, { headers: { 'accept-language': 'en-US,en;q=0.9', cookie: ANALYTICS_CONSENT } });
+        const body = await response.text();
+        const cookies = this.bucketing.parseCookies(cookieHeader(response.headers.getSetCookie()));
+        const assignments = this.bucketing.decodeAssignments(cookies.ab_assignments);
+
+        assert.strictEqual(response.status, 200);
+        assert.ok(cookies.ab_visitor_id);
+        assert.deepStrictEqual(Object.keys(assignments).sort(), ['cta_optimization_2024', 'headline_optimization_2024', 'pricing_psychology_2024', 'video_placement_2024']);
+
+        // Expected copy comes from the same definitions resolved for English
+        const { ExperimentConfigLoader } = await import('../../ab-testing-config.js');
+        const configs = await new ExperimentConfigLoader({ locale: 'en' }).load(`${this.baseUrl}/experiments.json`);
+        const headline = configs.find(config => config.id === 'headline_optimization_2024');
+        const variant = headline.variants.find(candidate => candidate.id === assignments.headline_optimization_2024);
+        const change = variant.changes['.hero h1'];
+        const text = typeof change === 'string' ? change : change.text;
+
+        const video = assignments.video_placement_2024;
+        if (video !== 'hero_placement') {
+            assert.ok(body.includes(`>${this.serverModule.escapeHtml(text)}</h1>`), `headline "${text}" rendered`);
+        }
+        assert.ok(/<html lang="es" data-ab-rendered="[^"]*headline_optimization_2024/.test(body));
+
+        // Assets are served as they are
+        const definitionsResponse = await fetch(`${this.baseUrl}/experiments.json`);
+        assert.deepStrictEqual(definitionsResponse.headers.getSetCookie(), []);
+        assert.strictEqual((await definitionsResponse.json()).version, 1);
+    }
+
+    async testFailOpen() {
+        const server = new this.serverModule.ServerAssignment({ definitions: `${this.baseUrl}/missing-experiments.json` });
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args.join(' '));
+
+        try {
+            const original = htmlResponse();
+            const response = await server.handle(this.request('https://facepay.test/'), () => original);
+            assert.strictEqual(response, original);
+            assert.strictEqual(await response.text(), PAGE);
+            assert.strictEqual(warnings.length, 1);
+            assert.ok(warnings[0].includes('serving the page unchanged'));
+        } finally {
+            console.warn = warn;
+        }
+
+        // The failed load isn't cached
+        assert.strictEqual(server.experimentsByLocale.size, 0);
+    }
+
+    async testAntiFlicker() {
+        const source = fs.readFileSync(path.join(ROOT, 'ab-testing-anti-flicker.js'), 'utf8');
+
+        const run = ({ rendered = false, timeout = null } = {}) => {
+            const classes = new Set();
+            const timers = [];
+            const head = { children: [], appendChild: node => { head.children.push(node); node.parentNode = head; } };
+            head.removeChild = node => head.children.splice(head.children.indexOf(node), 1);
+            const context = {
+                window: {},
+                setTimeout: (fn, delay) => timers.push({ fn, delay }),
+                clearTimeout: () => timers.splice(0),
+                document: {
+                    head,
+                    currentScript: { getAttribute: name => (name === 'data-timeout' ? timeout : null) },
+                    createElement: tag => ({ tag }),
+                    documentElement: {
+                        classList: { add: name => classes.add(name), remove: name => classes.delete(name) },
+                        hasAttribute: name => rendered && name === 'data-ab-rendered'
+                    }
+                }
+            };
+            vm.runInNewContext(source, context);
+            return { classes, timers, head, api: context.window.abAntiFlicker };
+        };
+
+        const page = run();
+        assert.ok(page.classes.has('ab-pending'));
+        assert.strictEqual(page.head.children[0].id, 'ab-anti-flicker');
+        assert.ok(page.head.children[0].textContent.includes('opacity: 0'));
+        assert.strictEqual(page.timers[0].delay, 800);
+        page.api.reveal();
+        assert.ok(!page.classes.has('ab-pending'));
+        assert.deepStrictEqual(page.head.children, []);
+        assert.deepStrictEqual(page.timers, []);
+
+        // Nobody reveals: the timeout does
+        const slow = run({ timeout: '1500' });
+        assert.strictEqual(slow.timers[0].delay, 1500);
+        slow.timers[0].fn();
+        assert.ok(!slow.classes.has('ab-pending'));
+
+        // Server-rendered pages are never hidden
+        const rendered = run({ rendered: true });
+        assert.strictEqual(rendered.classes.size, 0);
+        assert.deepStrictEqual(rendered.timers, []);
+
+        // The framework reveals once its definitions are handled
+        let reveals = 0;
+        global.abAntiFlicker = { reveal: () => reveals++ };
+        try {
+            await this.createFramework().ready;
+            assert.strictEqual(reveals, 1);
+        } finally {
+            delete global.abAntiFlicker;
+        }
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing server assignment tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ServerAssignmentTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING SERVER ASSIGNMENT TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ServerAssignmentTestSuite;
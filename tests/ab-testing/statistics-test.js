@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+/**
+ * A/B TESTING STATISTICS TEST SUITE
+ * Fixed-horizon, sequential (mSPRT) and Bayesian decision methods, including a
+ * peeking simulation that shows why the sequential method exists
+ */
+
+// Seeded PRNG so the simulations are reproducible
+function mulberry32(seed) {
+    return function () {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+function arm(sessions, conversions) {
+    return { sessions, conversions, conversionRate: sessions ? conversions / sessions : 0 };
+}
+
+// The framework module registers itself on window and persists to localStorage
+function installBrowserGlobals() {
+    const store = new Map();
+    global.window = global;
+    global.localStorage = {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value))
+    };
+}
+
+class ABTestingStatisticsTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    async runAllTests() {
+        console.log('📐 STARTING A/B TESTING STATISTICS TEST SUITE');
+
+        const statistics = await import('../../ab-testing-statistics.js');
+        this.stats = statistics;
+        this.engine = new statistics.StatisticsEngine({ confidenceLevel: 0.95, minimumSampleSize: 100 });
+
+        await this.test('analysis config fills method defaults and rejects bad settings', () => this.testNormalizeAnalysis());
+        await this.test('fixed-horizon tests wait for the sample size and then freeze', () => this.testFixedHorizon());
+        await this.test('peeking at a z-test inflates false positives; mSPRT does not', () => this.testPeekingSimulation());
+        await this.test('mSPRT p-values only go down and decisions stick', () => this.testSequentialMonotone());
+        await this.test('mSPRT detects a real lift with a confidence sequence around it', () => this.testSequentialPower());
+        await this.test('Beta posteriors give exact probability to beat control', () => this.testProbabilityGreater());
+        await this.test('expected loss matches the closed form', () => this.testExpectedLoss());
+        await this.test('Bayesian mode decides only with enough probability and little loss', () => this.testBayesianDecision());
+        await this.test('several challengers split alpha (Bonferroni)', () => this.testBonferroni());
+        await this.test('the experiment config picks the method and reports name it', () => this.testFrameworkIntegration());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    experiment(analysis, arms) {
+        return {
+            analysis: this.stats.normalizeAnalysis(analysis),
+            variants: Object.keys(arms).map(id => ({ id })),
+            results: { variantResults: new Map(Object.entries(arms)) }
+        };
+    }
+
+    async testNormalizeAnalysis() {
+        const { normalizeAnalysis } = this.stats;
+
+        assert.deepStrictEqual(normalizeAnalysis('sequential'), { method: 'sequential', label: 'Sequential mSPRT (always valid)', tau: 0.02 });
+        const bayesian = normalizeAnalysis({ method: 'bayesian', prior: { alpha: 2 }, lossThreshold: 0.0005 });
+        assert.deepStrictEqual(bayesian.prior, { alpha: 2, beta: 1 });
+        assert.strictEqual(bayesian.lossThreshold, 0.0005);
+        assert.strictEqual(bayesian.probabilityThreshold, 0.95);
+
+        assert.throws(() => normalizeAnalysis('t-test'), /Unknown analysis method "t-test"/);
+        assert.throws(() => normalizeAnalysis({ method: 'bayesian', prior: { alpha: 0.5 } }), /whole numbers/);
+        assert.throws(() => normalizeAnalysis({ method: 'sequential', tau: 0 }), /positive tau/);
+    }
+
+    async testFixedHorizon() {
+        const config = { method: 'fixed-horizon', sampleSize: 1000 };
+
+        const early = this.engine.analyze(this.experiment(config, { control: arm(500, 50), variant: arm(500, 90) }));
+        assert.strictEqual(early.decided, false);
+        assert.strictEqual(early.variants.variant.final, false);
+
+        const atHorizon = this.engine.analyze(this.experiment(config, { control: arm(1000, 100), variant: arm(1000, 140) }), early);
+        assert.strictEqual(atHorizon.winner, 'variant');
+        assert.ok(atHorizon.variants.variant.pValue < 0.05);
+
+        // Later data cannot change a fixed-horizon result
+        const later = this.engine.analyze(this.experiment(config, { control: arm(2000, 200), variant: arm(2000, 200) }), atHorizon);
+        assert.deepStrictEqual(later.variants.variant, atHorizon.variants.variant);
+    }
+
+    async testPeekingSimulation() {
+        const random = mulberry32(42);
+        const sequential = this.stats.normalizeAnalysis('sequential');
+        const runs = 200;
+        let zTestFalsePositives = 0;
+        let sequentialFalsePositives = 0;
+
+        // A/A test: both arms convert at 10%, checked after every 100 visitors per arm
+        for (let run = 0; run < runs; run++) {
+            const control = arm(0, 0);
+            const variant = arm(0, 0);
+            let zTestFired = false;
+            let last = null;
+
+            for (let look = 0; look < 20; look++) {
+                for (let i = 0; i < 100; i++) {
+                    control.sessions++;
+                    variant.sessions++;
+                    if (random() < 0.1) control.conversions++;
+                    if (random() < 0.1) variant.conversions++;
+                }
+                zTestFired = zTestFired || this.engine.calculateSignificance(control, variant, 0.05).significant;
+                last = this.engine.sequentialTest(control, variant, sequential, 0.05, last);
+            }
+
+            if (zTestFired) zTestFalsePositives++;
+            if (last.significant) sequentialFalsePositives++;
+        }
+
+        assert.ok(zTestFalsePositives / runs > 0.15, `peeking z-test false positive rate ${zTestFalsePositives / runs}`);
+        assert.ok(sequentialFalsePositives / runs <= 0.05, `mSPRT false positive rate ${sequentialFalsePositives / runs}`);
+    }
+
+    async testSequentialMonotone() {
+        const sequential = this.stats.normalizeAnalysis('sequential');
+        let last = null;
+        const pValues = [];
+
+        // A strong early lift that later regresses to the mean
+        [[1000, 100, 1000, 150], [2000, 200, 2000, 260], [4000, 400, 4000, 410]].forEach(([n1, x1, n2, x2]) => {
+            last = this.engine.sequentialTest(arm(n1, x1), arm(n2, x2), sequential, 0.05, last);
+            pValues.push(last.pValue);
+        });
+
+        assert.ok(pValues[0] < 0.05);
+        assert.ok(pValues[1] <= pValues[0] && pValues[2] <= pValues[1]);
+        assert.strictEqual(last.decision, 'better');
+    }
+
+    async testSequentialPower() {
+        const result = this.engine.analyze(this.experiment('sequential', {
+            control: arm(3000, 300),
+            variant: arm(3000, 420)
+        }));
+
+        assert.strictEqual(result.method, 'sequential');
+        assert.strictEqual(result.winner, 'variant');
+        const comparison = result.variants.variant;
+        assert.ok(Math.abs(comparison.lift - 0.4) < 1e-9);
+        assert.ok(comparison.liftRange.min > 0 && comparison.liftRange.max > comparison.lift);
+
+        // Too little data: the confidence sequence still spans zero
+        const small = this.engine.analyze(this.experiment('sequential', { control: arm(100, 10), variant: arm(100, 14) }));
+        assert.strictEqual(small.decided, false);
+        assert.ok(small.variants.variant.liftRange.min < 0);
+    }
+
+    async testProbabilityGreater() {
+        const p = (x, y) => this.engine.probabilityGreater(x, y);
+
+        assert.ok(Math.abs(p({ alpha: 1, beta: 1 }, { alpha: 1, beta: 1 }) - 0.5) < 1e-12);
+        // X ~ Beta(2, 1) has density 2x, so P(X > U) = ∫ 2x · x dx = 2/3
+        assert.ok(Math.abs(p({ alpha: 2, beta: 1 }, { alpha: 1, beta: 1 }) - 2 / 3) < 1e-12);
+        assert.ok(Math.abs(p({ alpha: 1, beta: 1 }, { alpha: 2, beta: 1 }) - 1 / 3) < 1e-12);
+
+        // Agrees with a Monte Carlo estimate on realistic counts
+        const random = mulberry32(7);
+        // Gamma(k) for whole k is a sum of k exponentials
+        const beta = (a, b) => {
+            const g = shape => {
+                let sum = 0;
+                for (let i = 0; i < shape; i++) sum -= Math.log(random());
+                return sum;
+            };
+            const x = g(a);
+            return x / (x + g(b));
+        };
+        const variant = { alpha: 31, beta: 171 };
+        const control = { alpha: 21, beta: 181 };
+        let wins = 0;
+        for (let i = 0; i < 20000; i++) {
+            if (beta(variant.alpha, variant.beta) > beta(control.alpha, control.beta)) wins++;
+        }
+        assert.ok(Math.abs(p(variant, control) - wins / 20000) < 0.01);
+    }
+
+    async testExpectedLoss() {
+        // Two uniform rates: E[max(Y - X, 0)] = 1/6
+        assert.ok(Math.abs(this.engine.expectedLoss({ alpha: 1, beta: 1 }, { alpha: 1, beta: 1 }) - 1 / 6) < 1e-12);
+
+        const loss = this.engine.expectedLoss({ alpha: 151, beta: 851 }, { alpha: 101, beta: 901 });
+        assert.ok(loss >= 0 && loss < 1e-5, `loss ${loss}`);
+    }
+
+    async testBayesianDecision() {
+        const strong = this.engine.analyze(this.experiment('bayesian', { control: arm(5000, 500), variant: arm(5000, 600) }));
+        const comparison = strong.variants.variant;
+        assert.strictEqual(strong.method, 'bayesian');
+        assert.strictEqual(strong.alpha, null);
+        assert.strictEqual(strong.winner, 'variant');
+        assert.ok(comparison.probabilityToBeatControl > 0.99);
+        assert.ok(comparison.expectedLoss < 0.001);
+
+        // Likely better, but not by enough to stop the test
+        const weak = this.engine.analyze(this.experiment('bayesian', { control: arm(200, 20), variant: arm(200, 26) }));
+        assert.strictEqual(weak.decided, false);
+        assert.ok(weak.variants.variant.probabilityToBeatControl > 0.5);
+
+        const worse = this.engine.analyze(this.experiment('bayesian', { control: arm(5000, 600), variant: arm(5000, 480) }));
+        assert.strictEqual(worse.winner, 'control');
+    }
+
+    async testBonferroni() {
+        const result = this.engine.analyze(this.experiment('sequential', {
+            control: arm(100, 10), a: arm(100, 10), b: arm(100, 10), c: arm(100, 10)
+        }));
+
+        assert.ok(Math.abs(result.alpha - 0.05 / 3) < 1e-12);
+        assert.deepStrictEqual(Object.keys(result.variants), ['a', 'b', 'c']);
+    }
+
+    async testFrameworkIntegration() {
+        installBrowserGlobals();
+        const { ABTestingFramework } = await import('../../ab-testing-framework.js');
+        const framework = new ABTestingFramework({ analysis: 'bayesian', experimentsUrl: null });
+
+        try {
+            const defaulted = framework.createExperiment({
+                id: 'cta_copy',
+                name: 'CTA copy',
+                variants: [{ id: 'control' }, { id: 'urgent' }]
+            });
+            assert.strictEqual(defaulted.analysis.method, 'bayesian');
+
+            const experiment = framework.createExperiment({
+                id: 'pricing_anchor',
+                name: 'Pricing anchor',
+                analysis: { method: 'sequential', tau: 0.05 },
+                variants: [{ id: 'control' }, { id: 'anchor' }]
+            });
+            // Old enough to pass the one-week minimum runtime
+            experiment.startDate -= 8 * 24 * 60 * 60 * 1000;
+
+            // One visitor per session: repeats from the same visitor would be filtered as duplicates
+            const track = (variantId, sessions, conversions) => {
+                for (let i = 0; i < sessions; i++) {
+                    const userId = `${variantId}-${i}`;
+                    framework.trackExperimentEvent('pricing_anchor', variantId, 'exposure', { userId });
+                    if (i < conversions) framework.trackExperimentEvent('pricing_anchor', variantId, 'conversion', { userId });
+                }
+            };
+            track('control', 1500, 150);
+            track('anchor', 1500, 240);
+
+            assert.strictEqual(experiment.results.analysis.method, 'sequential');
+            assert.strictEqual(experiment.results.winner, 'anchor');
+            assert.strictEqual(experiment.status, 'completed');
+
+            const report = framework.getExperimentResults('pricing_anchor');
+            assert.strictEqual(report.results.method, 'sequential');
+            assert.strictEqual(report.results.methodLabel, 'Sequential mSPRT (always valid)');
+            assert.strictEqual(report.variants[0].significance, null);
+            assert.ok(report.variants[1].significance.pValue < 0.05);
+            assert.ok(report.insights[0].startsWith('Sequential mSPRT (always valid) decided in favour of anchor'));
+
+            assert.throws(() => framework.createExperiment({ id: 'x', variants: [{ id: 'a' }], analysis: 'magic' }), /Unknown analysis method/);
+        } finally {
+            framework.destroy();
+        }
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} A/B testing statistics tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ABTestingStatisticsTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 A/B TESTING STATISTICS TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ABTestingStatisticsTestSuite;
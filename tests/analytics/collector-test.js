@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * ANALYTICS COLLECTOR TEST SUITE
+ * Schema validation and storage for every /api/analytics route, the query endpoint,
+ * and the site's real senders (the event bus endpoint destination, AnalyticsTrackingSystem) posting to the Node handler
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+function facePayEvent(name, overrides = {}) {
+    return {
+        event_name: name,
+        timestamp: NOW,
+        session_id: 'session-1',
+        user_id: 'user-1',
+        page_url: 'https://facepay.com.mx/',
+        page_title: 'FacePay',
+        language: 'es-MX',
+        ...overrides
+    };
+}
+
+function webVital(overrides = {}) {
+    // Same fields web-vitals.js sendToAnalytics() beacons
+    return {
+        name: 'LCP',
+        value: 1830.4,
+        rating: 'good',
+        delta: 1830.4,
+        entries: [{ name: '', startTime: 1830.4, duration: 0 }],
+        url: 'https://facepay.com.mx/',
+        userAgent: 'Mozilla/5.0',
+        timestamp: NOW,
+        connectionType: '4g',
+        deviceMemory: 8,
+        ...overrides
+    };
+}
+
+class AnalyticsCollectorTestSuite {
+    constructor() {
+        this.results = [];
+        this.directories = [];
+        this.collectors = [];
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    createCollector(options = {}) {
+        const dataDir = options.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'facepay-analytics-'));
+        if (!options.dataDir) this.directories.push(dataDir);
+
+        const collector = new this.module.AnalyticsCollector({ dataDir, now: () => NOW + 5000, ...options });
+        this.collectors.push(collector);
+        return collector;
+    }
+
+    post(collector, route, body, headers = {}) {
+        return collector.handle(new Request(`http://localhost/api/analytics${route}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        }));
+    }
+
+    async query(collector, search = '', headers = {}) {
+        const response = await collector.handle(new Request(`http://localhost/api/analytics/query${search}`, { headers }));
+        return { status: response.status, body: await response.json() };
+    }
+
+    startServer() {
+        this.serverCollector = this.createCollector();
+        const origin = () => new Response('site', { headers: { 'content-type': 'text/plain' } });
+        this.server = http.createServer(this.module.createNodeHandler(this.serverCollector, origin));
+
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    async runAllTests() {
+        console.log('📈 STARTING ANALYTICS COLLECTOR TEST SUITE');
+
+        this.module = await import('../../analytics-collector.js');
+        await this.startServer();
+
+        try {
+            await this.test('FacePayAnalytics batches are validated, stored and queryable', () => this.testFacePayBatch());
+            await this.test('events replayed with a known event_id are stored once', () => this.testDuplicateEvents());
+            await this.test('AnalyticsTrackingSystem batches take session and user from the envelope', () => this.testTrackingBatch());
+            await this.test('web vitals beacons are accepted as text/plain', () => this.testWebVitals());
+            await this.test('heat map and real-time payloads are stored per collection', () => this.testHeatmapAndRealtime());
+            await this.test('invalid, oversized and wrong-method requests are rejected', () => this.testRejections());
+            await this.test('queries filter by name, session and time, and report truncation', () => this.testQueryFilters());
+            await this.test('the query token guards reads but not ingestion', () => this.testQueryToken());
+            await this.test('NDJSON storage survives restarts and torn lines', () => this.testNdjsonDurability());
+            await this.test('SQLite storage round-trips or explains what it needs', () => this.testSqliteStore());
+            await this.test('the site senders post to the Node handler end to end', () => this.testSendersEndToEnd());
+        } finally {
+            this.server.close();
+            await Promise.all(this.collectors.map(collector => collector.close()));
+            this.directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testFacePayBatch() {
+        const collector = this.createCollector();
+        const response = await this.post(collector, '', {
+            session_id: 'session-1',
+            user_id: 'user-1',
+            events: [facePayEvent('page_view'), facePayEvent('cta_click', { timestamp: NOW + 1000, button_text: 'Join' })],
+            metadata: { sdk_version: '2.1.0', timestamp: NOW, core_web_vitals: {}, user_behavior: { clicks: 1 } }
+        });
+
+        assert.strictEqual(response.status, 202);
+        assert.deepStrictEqual(await response.json(), { accepted: 2, duplicates: 0 });
+
+        const { status, body } = await this.query(collector);
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.collection, 'events');
+        assert.strictEqual(body.count, 2);
+        assert.strictEqual(body.truncated, false);
+
+        const [view, click] = body.records;
+        assert.strictEqual(view.name, 'page_view');
+        assert.strictEqual(view.session_id, 'session-1');
+        assert.strictEqual(view.url, 'https://facepay.com.mx/');
+        assert.strictEqual(view.timestamp, NOW);
+        assert.strictEqual(view.received_at, NOW + 5000);
+        assert.deepStrictEqual(view.properties, { page_title: 'FacePay', language: 'es-MX' });
+        assert.strictEqual(click.properties.button_text, 'Join');
+
+        const stored = fs.readFileSync(path.join(collector.store.directory, 'events.ndjson'), 'utf8').trim().split('\n');
+        assert.strictEqual(stored.length, 2);
+    }
+
+    async testDuplicateEvents() {
+        const collector = this.createCollector({ dedupeWindow: 2 });
+        const batch = (...ids) => ({ events: ids.map(id => facePayEvent('page_view', { event_id: id })) });
+
+        let response = await this.post(collector, '', batch('evt_1', 'evt_2', 'evt_2'));
+        assert.deepStrictEqual(await response.json(), { accepted: 2, duplicates: 1 });
+
+        // An offline queue replay of a batch that did arrive the first time
+        response = await this.post(collector, '', batch('evt_1', 'evt_2', 'evt_3'));
+        assert.strictEqual(response.status, 202);
+        assert.deepStrictEqual(await response.json(), { accepted: 1, duplicates: 2 });
+
+        // The window keeps only the newest ids: evt_1 has been forgotten
+        response = await this.post(collector, '', batch('evt_1'));
+        assert.deepStrictEqual(await response.json(), { accepted: 1, duplicates: 0 });
+
+        const { body } = await this.query(collector);
+        assert.deepStrictEqual(body.records.map(record => record.properties.event_id), ['evt_1', 'evt_2', 'evt_3', 'evt_1']);
+
+        response = await this.post(collector, '', { events: [facePayEvent('page_view', { event_id: 42 })] });
+        assert.strictEqual(response.status, 400);
+    }
+
+    async testTrackingBatch() {
+        const collector = this.createCollector();
+        const response = await this.post(collector, '', {
+            events: [
+                { event: 'funnel_step', data: { event: 'funnel_step', url: 'https://facepay.com.mx/#pricing', timestamp: NOW, stage: 'interest' } },
+                { event: 'scroll_depth', data: { depth: 50 } }
+            ],
+            session: { sessionId: 'session_abc', startTime: NOW },
+            user: { userId: 'user_xyz' },
+            funnel: { currentStage: 'interest' },
+            timestamp: NOW + 2000
+        });
+        assert.strictEqual(response.status, 202);
+
+        const { body } = await this.query(collector);
+        assert.deepStrictEqual(body.records.map(record => [record.name, record.session_id, record.user_id, record.timestamp]), [
+            ['funnel_step', 'session_abc', 'user_xyz', NOW],
+            ['scroll_depth', 'session_abc', 'user_xyz', NOW + 2000]
+        ]);
+        assert.deepStrictEqual(body.records[0].properties, { stage: 'interest' });
+        assert.strictEqual(body.records[0].url, 'https://facepay.com.mx/#pricing');
+    }
+
+    async testWebVitals() {
+        const collector = this.createCollector();
+
+        // navigator.sendBeacon(url, string) sends text/plain
+        const beacon = await this.post(collector, '/web-vitals', JSON.stringify(webVital()), { 'content-type': 'text/plain;charset=UTF-8' });
+        assert.strictEqual(beacon.status, 202);
+        // The page-hide report has no url or timestamp; the receive time stands in
+        assert.strictEqual((await this.post(collector, '/web-vitals', { name: 'session_duration', value: 42000, rating: 'good' })).status, 202);
+
+        const invalid = await this.post(collector, '/web-vitals', webVital({ value: -1, name: '<script>' }));
+        assert.strictEqual(invalid.status, 400);
+        const { issues } = await invalid.json();
+        assert.ok(issues.some(issue => issue.startsWith('name:')));
+        assert.ok(issues.some(issue => issue.startsWith('value:')));
+
+        const { body } = await this.query(collector, '?collection=web-vitals');
+        assert.deepStrictEqual(body.records.map(record => record.name), ['LCP', 'session_duration']);
+        assert.strictEqual(body.records[0].value, 1830.4);
+        assert.strictEqual(body.records[0].connectionType, '4g');
+        assert.strictEqual(body.records[1].timestamp, NOW + 5000);
+
+        // Extra client fields are kept, but never over the ones the collector sets
+        const forged = await this.post(collector, '/web-vitals', webVital({ collection: 'events', received_at: 1, session_id: 'session_other', user_id: 'user_other' }));
+        assert.strictEqual(forged.status, 202);
+        const stored = (await this.query(collector, '?collection=web-vitals')).body.records[2];
+        assert.strictEqual(stored.collection, 'web-vitals');
+        assert.strictEqual(stored.received_at, NOW + 5000);
+        assert.strictEqual(stored.session_id, null);
+        assert.strictEqual(stored.user_id, null);
+    }
+
+    async testHeatmapAndRealtime() {
+        const collector = this.createCollector();
+        const viewport = { width: 390, height: 844 };
+
+        const heatmap = await this.post(collector, '/heatmap', {
+            url: 'https://facepay.com.mx/',
+            viewport,
+            data: [
+                { x: 120, y: 400, type: 'click', timestamp: NOW, viewport, url: 'https://facepay.com.mx/' },
+                { x: 130, y: 410, type: 'move', timestamp: NOW + 10 }
+            ],
+            timestamp: NOW + 20
+        });
+        assert.strictEqual(heatmap.status, 202);
+
+        const realtime = await this.post(collector, '/realtime', {
+            session_id: 'session_abc',
+            user_id: 'user_xyz',
+            current_url: 'https://facepay.com.mx/',
+            funnel_stage: 'awareness',
+            time_on_page: 10000,
+            scroll_depth: 35,
+            engagement_score: 12,
+            is_active: true,
+            timestamp: NOW
+        });
+        assert.strictEqual(realtime.status, 202);
+
+        const badPoints = await this.post(collector, '/heatmap', { url: 'https://facepay.com.mx/', viewport, data: [{ x: 'left', type: 'click' }] });
+        assert.strictEqual(badPoints.status, 400);
+        assert.deepStrictEqual((await badPoints.json()).issues, ['data[0].x: expected a number', 'data[0].y: required']);
+
+        const badAnchor = await this.post(collector, '/heatmap', { url: 'https://facepay.com.mx/', viewport, data: [{ x: 1, y: 2, type: 'click', selector: 42, rx: 1.5 }] });
+        assert.deepStrictEqual((await badAnchor.json()).issues, ['data[0].selector: expected a string of at most 2048 characters', 'data[0].rx: expected a number >= 0 and <= 1']);
+
+        const { body: points } = await this.query(collector, '?collection=heatmap');
+        assert.strictEqual(points.count, 1);
+        assert.strictEqual(points.records[0].points.length, 2);
+        assert.deepStrictEqual(points.records[0].viewport, viewport);
+
+        const { body: pings } = await this.query(collector, '?collection=realtime&session=session_abc');
+        assert.strictEqual(pings.records[0].url, 'https://facepay.com.mx/');
+        assert.strictEqual(pings.records[0].scroll_depth, 35);
+        assert.strictEqual(pings.records[0].is_active, true);
+
+        await this.post(collector, '/realtime', { session_id: 'session_abc', current_url: 'https://facepay.com.mx/', collection: 'events', received_at: 1, timestamp: NOW });
+        const forged = (await this.query(collector, '?collection=realtime&session=session_abc')).body.records[1];
+        assert.strictEqual(forged.collection, 'realtime');
+        assert.strictEqual(forged.received_at, NOW + 5000);
+        assert.strictEqual(forged.user_id, null);
+
+        // Nothing leaked into the events collection
+        assert.strictEqual((await this.query(collector)).body.count, 0);
+    }
+
+    async testRejections() {
+        const collector = this.createCollector({ maxBodyBytes: 1024, maxEventsPerBatch: 2 });
+
+        const notJson = await this.post(collector, '', '{"events": [');
+        assert.strictEqual(notJson.status, 400);
+        assert.deepStrictEqual((await notJson.json()).issues, ['body: expected JSON']);
+
+        const empty = await this.post(collector, '', { events: [] });
+        assert.deepStrictEqual((await empty.json()).issues, ['events: expected a non-empty array']);
+
+        const tooMany = await this.post(collector, '', { events: [facePayEvent('a'), facePayEvent('b'), facePayEvent('c')] });
+        assert.deepStrictEqual((await tooMany.json()).issues, ['events: at most 2 events per batch, got 3']);
+
+        const shapeless = await this.post(collector, '', { events: [{ name: 'x' }, facePayEvent('ok', { timestamp: 'now' })] });
+        assert.deepStrictEqual((await shapeless.json()).issues, ['events[0]: expected event_name or event', 'events[1].timestamp: expected a number >= 0']);
+
+        const oversized = await this.post(collector, '', { events: [facePayEvent('big', { blob: 'x'.repeat(2000) })] });
+        assert.strictEqual(oversized.status, 413);
+
+        const wrongMethod = await collector.handle(new Request('http://localhost/api/analytics/web-vitals'));
+        assert.strictEqual(wrongMethod.status, 405);
+        assert.strictEqual(wrongMethod.headers.get('allow'), 'POST');
+
+        // Other paths are not the collector's business
+        assert.strictEqual(await collector.handle(new Request('http://localhost/index.html')), null);
+
+        // Nothing invalid was written
+        assert.ok(!fs.existsSync(path.join(collector.store.directory, 'events.ndjson')));
+    }
+
+    async testQueryFilters() {
+        const collector = this.createCollector();
+        const events = [];
+        for (let i = 0; i < 6; i++) {
+            events.push(facePayEvent(i % 2 === 0 ? 'page_view' : 'cta_click', { timestamp: NOW + i * 60000, session_id: `session-${i % 3}` }));
+        }
+        await this.post(collector, '', { events });
+
+        assert.deepStrictEqual((await this.query(collector, '?name=cta_click')).body.records.map(record => record.timestamp), [NOW + 60000, NOW + 180000, NOW + 300000]);
+        assert.strictEqual((await this.query(collector, '?session=session-0')).body.count, 2);
+
+        const from = new Date(NOW + 120000).toISOString();
+        const window = await this.query(collector, `?from=${encodeURIComponent(from)}&to=${NOW + 240000}`);
+        assert.deepStrictEqual(window.body.records.map(record => record.timestamp), [NOW + 120000, NOW + 180000, NOW + 240000]);
+
+        const limited = await this.query(collector, '?limit=4');
+        assert.strictEqual(limited.body.count, 4);
+        assert.strictEqual(limited.body.truncated, true);
+        assert.strictEqual((await this.query(collector, '?limit=6')).body.truncated, false);
+
+        const invalid = await this.query(collector, '?collection=sessions&from=yesterday&limit=0');
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.body.issues.map(issue => issue.split(':')[0]), ['collection', 'from', 'limit']);
+
+        // Nothing stored yet for a collection is an empty result, not an error
+        assert.deepStrictEqual((await this.query(collector, '?collection=realtime')).body.records, []);
+    }
+
+    async testQueryToken() {
+        const collector = this.createCollector({ queryToken: 's3cret' });
+        assert.strictEqual((await this.post(collector, '', { events: [facePayEvent('page_view')] })).status, 202);
+
+        const anonymous = await this.query(collector);
+        assert.strictEqual(anonymous.status, 401);
+        assert.strictEqual((await this.query(collector, '', { authorization: 'Bearer wrong' })).status, 401);
+
+        const authorised = await this.query(collector, '', { authorization: 'Bearer s3cret' });
+        assert.strictEqual(authorised.status, 200);
+        assert.strictEqual(authorised.body.count, 1);
+    }
+
+    async testNdjsonDurability() {
+        const first = this.createCollector();
+        const dataDir = first.store.directory;
+
+        // Concurrent posts land as whole lines
+        await Promise.all([1, 2, 3, 4, 5].map(i => this.post(first, '', { events: [facePayEvent(`event_${i}`)] })));
+        fs.appendFileSync(path.join(dataDir, 'events.ndjson'), '{"collection":"events","name":"torn');
+        await first.close();
+
+        const restarted = this.createCollector({ dataDir });
+        await this.post(restarted, '', { events: [facePayEvent('after_restart')] });
+        const { body } = await this.query(restarted, '?limit=1000');
+        assert.strictEqual(body.count, 6);
+        assert.deepStrictEqual(body.records.map(record => record.name).sort(), ['after_restart', 'event_1', 'event_2', 'event_3', 'event_4', 'event_5']);
+        // The torn line stays on its own line and is skipped
+        const lines = fs.readFileSync(path.join(dataDir, 'events.ndjson'), 'utf8').trim().split('\n');
+        assert.strictEqual(lines.length, 7);
+    }
+
+    async testSqliteStore() {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facepay-analytics-'));
+        this.directories.push(dataDir);
+        const store = new this.module.SqliteStore(path.join(dataDir, 'analytics.sqlite'));
+
+        let available = true;
+        try {
+            await import('node:sqlite');
+        } catch {
+            available = false;
+        }
+
+        if (!available) {
+            await assert.rejects(store.open(), /Node 22\.5 or later/);
+            return;
+        }
+
+        const collector = this.createCollector({ store });
+        await this.post(collector, '', { events: [facePayEvent('page_view'), facePayEvent('cta_click', { timestamp: NOW + 1000 })] });
+        await this.post(collector, '/web-vitals', webVital());
+
+        const { body } = await this.query(collector, `?name=cta_click&from=${NOW + 500}`);
+        assert.deepStrictEqual(body.records.map(record => record.name), ['cta_click']);
+        assert.strictEqual((await this.query(collector, '?collection=web-vitals')).body.records[0].value, 1830.4);
+        assert.strictEqual((await this.query(collector, '?limit=1')).body.truncated, true);
+    }
+
+    async testSendersEndToEnd() {
+        let sessionId = null;
+        const pending = [];
+        const realFetch = global.fetch;
+        global.fetch = (...args) => {
+            const request = realFetch(...args);
+            pending.push(request);
+            return request;
+        };
+
+        // Loaded before window exists, so it doesn't create its own page-wide instance
+        const { AnalyticsEventBus, EndpointDestination } = require('../../analytics-event-bus.js');
+
+        try {
+            global.window = global;
+            global.document = { readyState: 'loading', title: 'FacePay', referrer: '', addEventListener: () => {} };
+            global.location = { href: 'https://facepay.com.mx/' };
+            global.innerWidth = 1280;
+            global.innerHeight = 800;
+
+            // Every tracker's events leave through the event bus endpoint destination
+            const bus = new AnalyticsEventBus({
+                consent: { has: () => true, onChange: () => {} },
+                storage: null,
+                sessionStorage: null,
+                destinations: [new EndpointDestination({ url: `${this.baseUrl}/api/analytics`, flushInterval: 0 })]
+            });
+            const pageView = bus.publish('page_view', { plan: 'pro' }, { tracker: 'facepay-analytics' });
+            bus.publish('cta_click', { element_id: 'hero-cta' }, { tracker: 'tracking-system' });
+            await bus.flush();
+            sessionId = pageView.session_id;
+
+            // AnalyticsTrackingSystem still posts heat map and real-time data itself; it's an ES module
+            // that auto-initialises once the DOM is ready
+            global.FacePayConsent = { has: category => category === 'analytics' };
+            const { AnalyticsTrackingSystem } = await import('../../analytics-tracking-system.js');
+
+            const tracker = {
+                options: { enableHeatMapping: true, customEndpoint: `${this.baseUrl}/api/analytics`, debug: false },
+                sessionData: { startTime: NOW, lastActivity: Date.now(), engagementScore: 3 },
+                userIdentity: { userId: pageView.user_id, sessionId },
+                conversionFunnel: { currentStage: 'interest' },
+                heatMapData: [{ type: 'click', x: 10, y: 20, selector: '#hero-cta', section: '#hero', rx: 0.5, ry: 0.25, timestamp: NOW }],
+                getScrollDepth: () => 25,
+                isUserActive: () => true
+            };
+            AnalyticsTrackingSystem.prototype.sendHeatMapData.call(tracker);
+            AnalyticsTrackingSystem.prototype.sendRealTimeUpdate.call(tracker);
+
+            const responses = await Promise.all(pending);
+            assert.deepStrictEqual(responses.map(response => response.status), [202, 202, 202]);
+        } finally {
+            global.fetch = realFetch;
+            delete global.document;
+            delete global.FacePayConsent;
+        }
+
+        const read = async search => (await fetch(`${this.baseUrl}/api/analytics/query${search}`)).json();
+        const events = (await read(`?session=${sessionId}`)).records;
+        assert.deepStrictEqual(events.map(record => [record.name, record.properties.tracker]), [['page_view', 'facepay-analytics'], ['cta_click', 'tracking-system']]);
+        assert.ok(events[0].properties.event_id.startsWith('evt_'));
+        assert.strictEqual(events[0].properties.plan, 'pro');
+        assert.strictEqual((await read('?collection=heatmap')).count, 1);
+        assert.strictEqual((await read('?collection=realtime')).records[0].session_id, sessionId);
+
+        // Non-collector paths fall through to the site
+        const page = await fetch(`${this.baseUrl}/index.html`);
+        assert.strictEqual(await page.text(), 'site');
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} analytics collector tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new AnalyticsCollectorTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 ANALYTICS COLLECTOR TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = AnalyticsCollectorTestSuite;
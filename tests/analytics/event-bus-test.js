@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * ANALYTICS EVENT BUS TEST SUITE
+ * The typed event schema, the one visitor identity and the destinations in analytics-event-bus.js,
+ * and FacePayAnalytics, AnalyticsTrackingSystem and web-vitals.js publishing through a single bus
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+// Scripts that collect analytics events or visitor ids; a page loading any of them needs consent and the bus first
+const TRACKER_SCRIPTS = [
+    'analytics-system.js',
+    'analytics-tracking-system.js',
+    'web-vitals.js',
+    'ab-testing-framework.js',
+    'micro-conversions-optimizer.js',
+    'advanced-conversion-psychology.js',
+    'session-replay-recorder.js'
+];
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+const MINUTE = 60 * 1000;
+
+function createStorage(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        store,
+        get length() { return store.size; },
+        key: index => [...store.keys()][index] ?? null,
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+}
+
+// Just enough of window.FacePayConsent for the bus
+function createConsent(analytics = true) {
+    const listeners = [];
+    return {
+        analytics,
+        has(category) { return category === 'analytics' && this.analytics; },
+        onChange: listener => listeners.push(listener),
+        set(value) {
+            this.analytics = value;
+            listeners.forEach(listener => listener({ analytics: value }));
+        }
+    };
+}
+
+function createRecorder(name = 'recorder') {
+    const recorder = {
+        name,
+        events: [],
+        calls: [],
+        handle: event => recorder.events.push(event),
+        start: () => recorder.calls.push('start'),
+        identify: identity => recorder.calls.push(`identify:${identity.userId}`),
+        reset: () => recorder.calls.push('reset')
+    };
+    return recorder;
+}
+
+class EventBusTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createBus(options = {}) {
+        let now = options.startAt || NOW;
+        const bus = new this.module.AnalyticsEventBus({
+            consent: createConsent(),
+            storage: createStorage(),
+            sessionStorage: createStorage(),
+            now: () => now,
+            ...options
+        });
+        bus.advance = ms => { now += ms; };
+        return bus;
+    }
+
+    async runAllTests() {
+        console.log('🚌 STARTING ANALYTICS EVENT BUS TEST SUITE');
+
+        // Loaded before window exists, so it doesn't create its own page-wide instance
+        this.module = require('../../analytics-event-bus.js');
+        this.collector = await import('../../analytics-collector.js');
+
+        try {
+            await this.test('events are checked against the typed schema before anything is sent', () => this.testSchema());
+            await this.test('properties are made JSON-safe and cannot overwrite the envelope', () => this.testCleanProperties());
+            await this.test('one identity replaces both trackers\' ids and counts visits', () => this.testIdentity());
+            await this.test('identify() reaches every destination and publishes user_identify', () => this.testIdentify());
+            await this.test('destinations follow consent and one failing never stops the others', () => this.testDestinations());
+            await this.test('GA4 loads gtag once and receives flat parameters', () => this.testGA4Destination());
+            await this.test('the endpoint batches in the collector\'s shape and retries failures', () => this.testEndpointDestination());
+            await this.test('Mixpanel tracks with the bus identity and opts out on withdrawal', () => this.testMixpanelDestination());
+            await this.test('all three trackers publish through one bus with one identity', () => this.testAdapters());
+            await this.test('pages with trackers load the consent manager and the bus first', () => this.testPageWiring());
+        } finally {
+            delete global.window;
+            delete global.mixpanel;
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    testSchema() {
+        const { validateEvent, EVENT_SCHEMA } = this.module;
+
+        assert.deepStrictEqual(validateEvent('web_vitals', { metric_name: 'LCP', metric_value: 1800 }), []);
+        assert.deepStrictEqual(validateEvent('web_vitals', { metric_name: 'LCP', metric_value: '1800', metric_rating: 3 }), [
+            'properties.metric_value: expected number, got string',
+            'properties.metric_rating: expected string, got number'
+        ]);
+        assert.deepStrictEqual(validateEvent('video_progress', { video_id: 'hero' }), ['properties.progress: required']);
+        assert.deepStrictEqual(validateEvent('cta_click', { anything: { goes: true } }), []);
+        assert.strictEqual(validateEvent('1st click', {}).length, 1);
+        assert.deepStrictEqual(validateEvent('click', null), ['properties: expected an object']);
+        // Every category the old getEventCategory() reported is still there
+        ['Performance', 'Engagement', 'Video', 'Error'].forEach(category => {
+            assert.ok(Object.values(EVENT_SCHEMA).some(schema => schema.category === category), category);
+        });
+
+        const bus = this.createBus();
+        const recorder = bus.addDestination(createRecorder());
+        const warnings = [];
+        const originalWarn = console.warn;
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            assert.strictEqual(bus.publish('scroll_depth', { depth: 'half' }), null);
+            assert.strictEqual(bus.publish('scroll_depth', { depth: 'half' }), null);
+        } finally {
+            console.warn = originalWarn;
+        }
+        // Reported once per problem, so a broken scroll handler doesn't flood the console
+        assert.strictEqual(warnings.length, 1);
+        assert.ok(warnings[0].includes('properties.depth: expected number'));
+
+        const event = bus.publish('scroll_depth', { depth: 50 });
+        assert.strictEqual(event.category, 'Engagement');
+        assert.strictEqual(bus.publish('cta_click').category, 'Other');
+        assert.deepStrictEqual(recorder.events.map(recorded => recorded.name), ['scroll_depth', 'cta_click']);
+        assert.deepStrictEqual(bus.stats, { published: 2, rejected: 2, redacted: 0 });
+    }
+
+    testCleanProperties() {
+        const bus = this.createBus();
+        const cyclic = {};
+        cyclic.self = cyclic;
+
+        const event = bus.publish('video_pause', {
+            video_id: 'hero',
+            duration: NaN,
+            progress: Infinity,
+            user_id: 'someone-else',
+            session_id: 'forged',
+            onEnd: () => {},
+            element: cyclic,
+            missing: undefined,
+            position: { x: 1, y: 2 }
+        }, { tracker: 'test' });
+
+        assert.deepStrictEqual(event.properties, { video_id: 'hero', duration: null, progress: null, position: { x: 1, y: 2 } });
+        assert.strictEqual(event.user_id, bus.getIdentity().userId);
+        assert.strictEqual(event.session_id, bus.getIdentity().sessionId);
+        assert.strictEqual(event.tracker, 'test');
+        assert.strictEqual(event.timestamp, NOW);
+        assert.ok(event.id.startsWith('evt_'));
+        assert.notStrictEqual(bus.publish('video_pause', { video_id: 'hero' }).id, event.id);
+    }
+
+    testIdentity() {
+        const { IDENTITY_KEYS } = this.module;
+        // Both old trackers ran on this browser: their ids are merged into one
+        const storage = createStorage({
+            analytics_user_id: 'user_tracking',
+            analytics_returning_user: 'true',
+            analytics_first_visit: String(NOW - 10 * MINUTE),
+            analytics_visit_count: '3',
+            theme: 'dark'
+        });
+        const sessionStorage = createStorage();
+        const bus = this.createBus({ storage, sessionStorage });
+
+        const identity = bus.getIdentity();
+        assert.strictEqual(identity.userId, 'user_tracking');
+        assert.strictEqual(identity.firstVisit, NOW - 10 * MINUTE);
+        assert.strictEqual(identity.visitCount, 4);
+        assert.strictEqual(identity.isReturning, true);
+        assert.deepStrictEqual([...storage.store.keys()].sort(), ['facepay_user_id', 'facepay_visits', 'theme']);
+        assert.strictEqual(storage.getItem(IDENTITY_KEYS.userId), 'user_tracking');
+
+        // facepay_user_id wins when both ids exist
+        const both = this.createBus({ storage: createStorage({ facepay_user_id: 'user_facepay', analytics_user_id: 'user_tracking' }) });
+        assert.strictEqual(both.getIdentity().userId, 'user_facepay');
+
+        // The next page view within 30 minutes continues the session
+        bus.advance(10 * MINUTE);
+        bus.publish('cta_click');
+        const nextPage = this.createBus({ storage, sessionStorage, startAt: NOW + 20 * MINUTE });
+        assert.strictEqual(nextPage.getIdentity().sessionId, identity.sessionId);
+        assert.strictEqual(nextPage.getIdentity().visitCount, 4);
+
+        // 30 idle minutes start a new visit
+        nextPage.advance(31 * MINUTE);
+        const event = nextPage.publish('cta_click');
+        assert.notStrictEqual(event.session_id, identity.sessionId);
+        assert.strictEqual(nextPage.getIdentity().visitCount, 5);
+        assert.strictEqual(JSON.parse(storage.getItem(IDENTITY_KEYS.visits)).count, 5);
+
+        // A first-time visitor gets a fresh id and isn't returning
+        const fresh = this.createBus();
+        assert.ok(fresh.getIdentity().userId.startsWith('user_'));
+        assert.deepStrictEqual([fresh.getIdentity().visitCount, fresh.getIdentity().isReturning], [1, false]);
+
+        // Nothing is read or stored before consent, and withdrawal forgets the session
+        const undecidedStorage = createStorage({ analytics_user_id: 'user_tracking' });
+        const undecidedSession = createStorage();
+        const consent = createConsent(false);
+        const undecided = this.createBus({ consent, storage: undecidedStorage, sessionStorage: undecidedSession });
+        assert.strictEqual(undecided.getIdentity(), null);
+        assert.strictEqual(undecided.publish('cta_click'), null);
+        assert.deepStrictEqual([...undecidedStorage.store.keys()], ['analytics_user_id']);
+
+        consent.set(true);
+        assert.strictEqual(undecided.getIdentity().userId, 'user_tracking');
+        consent.set(false);
+        assert.strictEqual(undecided.getIdentity(), null);
+        assert.strictEqual(undecidedSession.getItem(IDENTITY_KEYS.session), null);
+    }
+
+    testIdentify() {
+        const storage = createStorage();
+        const bus = this.createBus({ storage });
+        const recorder = bus.addDestination(createRecorder());
+        const anonymous = bus.getIdentity().userId;
+
+        assert.strictEqual(bus.identify(''), null);
+        const event = bus.identify('customer_42', { plan: 'pro', callback: () => {} });
+        assert.strictEqual(event.name, 'user_identify');
+        assert.strictEqual(event.category, 'Identity');
+        assert.strictEqual(event.user_id, 'customer_42');
+        assert.deepStrictEqual(event.properties, { traits: { plan: 'pro' } });
+        assert.strictEqual(storage.getItem('facepay_user_id'), 'customer_42');
+        assert.deepStrictEqual(recorder.calls, ['start', 'identify:customer_42']);
+        assert.notStrictEqual(anonymous, 'customer_42');
+
+        // Destinations added later learn the known identity when they start
+        const late = bus.addDestination(createRecorder('late'));
+        assert.deepStrictEqual(late.calls, ['start', 'identify:customer_42']);
+        assert.strictEqual(bus.publish('cta_click').user_id, 'customer_42');
+    }
+
+    testDestinations() {
+        const consent = createConsent(false);
+        const first = createRecorder('first');
+        const broken = { name: 'broken', handle: () => { throw new Error('vendor script blocked'); } };
+        const last = createRecorder('last');
+        const bus = this.createBus({ consent, destinations: [first, broken, last] });
+
+        assert.deepStrictEqual(first.calls, []);
+        consent.set(true);
+        assert.deepStrictEqual(first.calls, ['start']);
+
+        bus.publish('cta_click');
+        assert.deepStrictEqual([first.events.length, last.events.length], [1, 1]);
+        // Each destination gets the same event object exactly once
+        assert.strictEqual(first.events[0], last.events[0]);
+
+        // Same name replaces the destination; removing resets it
+        const replacement = bus.addDestination(createRecorder('first'));
+        assert.deepStrictEqual(first.calls, ['start', 'reset']);
+        assert.deepStrictEqual(replacement.calls, ['start']);
+        assert.strictEqual(bus.removeDestination('first'), true);
+        assert.strictEqual(bus.getDestination('first'), null);
+        assert.throws(() => bus.addDestination({ name: 'nameless-handler' }), TypeError);
+        assert.throws(() => bus.createDestination('segment'), /Unknown destination type "segment"/);
+        assert.ok(bus.createDestination('console') instanceof this.module.ConsoleDestination);
+
+        consent.set(false);
+        assert.deepStrictEqual(last.calls, ['start', 'reset']);
+        assert.strictEqual(bus.publish('cta_click'), null);
+        assert.strictEqual(last.events.length, 1);
+
+        // Default destinations follow the page config
+        const { createDefaultDestinations } = this.module;
+        assert.deepStrictEqual(createDefaultDestinations().map(destination => destination.name), ['ga4', 'endpoint']);
+        assert.deepStrictEqual(createDefaultDestinations({ measurementId: null, mixpanelToken: 'token', debug: true }).map(destination => destination.name), ['mixpanel', 'endpoint', 'console']);
+    }
+
+    testGA4Destination() {
+        const appended = [];
+        global.window = global;
+        global.document = { createElement: tag => ({ tag }), head: { appendChild: element => appended.push(element) } };
+        delete global.dataLayer;
+        delete global.gtag;
+
+        try {
+            const consent = createConsent();
+            const ga4 = new this.module.GA4Destination({ measurementId: 'G-TEST' });
+            const bus = this.createBus({ consent, destinations: [ga4] });
+
+            const properties = { label: 'x'.repeat(150), value: 3, interactive: true, nested: { a: 1 }, list: [1] };
+            for (let i = 0; i < 30; i++) properties[`extra_${i}`] = i;
+            const event = bus.publish('cta_click', properties);
+
+            consent.set(false);
+            consent.set(true);
+            assert.deepStrictEqual(appended.map(element => element.src), ['https://www.googletagmanager.com/gtag/js?id=G-TEST']);
+
+            const commands = global.dataLayer.map(entry => Array.from(entry));
+            assert.deepStrictEqual(commands.filter(([command]) => command === 'config'), [['config', 'G-TEST', { send_page_view: false }]]);
+            const [, name, parameters] = commands.find(([command]) => command === 'event');
+            assert.strictEqual(name, 'cta_click');
+            assert.strictEqual(parameters.event_category, 'Other');
+            assert.strictEqual(parameters.event_id, event.id);
+            assert.strictEqual(parameters.label.length, 100);
+            assert.strictEqual(parameters.nested, undefined);
+            assert.strictEqual(Object.keys(parameters).length, 25);
+
+            bus.identify('customer_42');
+            assert.deepStrictEqual(global.dataLayer.map(entry => Array.from(entry)).find(([command]) => command === 'set'), ['set', { user_id: 'customer_42' }]);
+        } finally {
+            delete global.document;
+            delete global.dataLayer;
+            delete global.gtag;
+        }
+    }
+
+    async testEndpointDestination() {
+        const requests = [];
+        let failing = true;
+        const realFetch = global.fetch;
+        global.fetch = async (url, init) => {
+            requests.push({ url, body: JSON.parse(init.body) });
+            return { ok: !failing, status: failing ? 503 : 202 };
+        };
+
+        try {
+            const endpoint = new this.module.EndpointDestination({ url: '/api/analytics', batchSize: 3, flushInterval: 0, maxQueue: 4 });
+            const bus = this.createBus({ destinations: [endpoint] });
+
+            bus.publish('cta_click', { element_id: 'hero-cta' });
+            bus.publish('form_start', { form_id: 'waitlist' });
+            assert.strictEqual(requests.length, 0);
+
+            // Errors and web vitals don't wait for a full batch
+            bus.publish('javascript_error', { message: 'boom' });
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(requests.length, 1);
+            assert.deepStrictEqual(this.collector.validateEventBatch(requests[0].body), []);
+
+            const [sent] = requests[0].body.events;
+            assert.strictEqual(sent.event_name, 'cta_click');
+            assert.strictEqual(sent.element_id, 'hero-cta');
+            assert.strictEqual(sent.category, 'Other');
+            assert.ok(sent.event_id.startsWith('evt_'));
+            assert.strictEqual(requests[0].body.metadata.sdk_version, '2.1.0');
+
+            // The failed batch is back in the queue, capped at maxQueue by dropping the oldest
+            assert.strictEqual(endpoint.queue.length, 3);
+            assert.strictEqual(endpoint.lastError.message, 'Analytics endpoint error: 503');
+            bus.publish('form_submit', { form_id: 'waitlist' });
+            bus.publish('cta_click', { element_id: 'footer-cta' });
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(endpoint.queue.length, 4);
+            assert.deepStrictEqual(endpoint.queue.map(event => event.name), ['form_start', 'javascript_error', 'form_submit', 'cta_click']);
+
+            failing = false;
+            assert.strictEqual(await bus.flush().then(() => endpoint.queue.length), 0);
+            assert.strictEqual(requests.at(-1).body.events.length, 4);
+
+            // On unload the batch leaves as a beacon
+            const beacons = [];
+            global.navigator = { sendBeacon: (url, body) => beacons.push([url, JSON.parse(body)]) && true };
+            bus.publish('page_exit', { session_duration: 5000 });
+            await bus.flush({ beacon: true });
+            assert.deepStrictEqual(beacons.map(([url, body]) => [url, body.events[0].event_name]), [['/api/analytics', 'page_exit']]);
+
+            // Withdrawing consent drops whatever was batched
+            bus.publish('cta_click');
+            bus.options.consent.set(false);
+            assert.deepStrictEqual(endpoint.queue, []);
+        } finally {
+            global.fetch = realFetch;
+            delete global.navigator;
+        }
+    }
+
+    testMixpanelDestination() {
+        const tracked = [];
+        const calls = [];
+        global.window = global;
+        global.document = {};
+        global.mixpanel = {
+            __SV: 1.2,
+            init: (token, config) => calls.push(['init', token, config.track_pageview]),
+            track: (name, properties) => tracked.push([name, properties]),
+            identify: id => calls.push(['identify', id]),
+            people: { set: traits => calls.push(['people.set', traits]) },
+            opt_out_tracking: () => calls.push(['opt_out']),
+            opt_in_tracking: () => calls.push(['opt_in'])
+        };
+
+        try {
+            const consent = createConsent();
+            const bus = this.createBus({ consent, destinations: [new this.module.MixpanelDestination({ token: 'mp-token' })] });
+            const event = bus.publish('scroll_depth', { depth: 75 }, { tracker: 'facepay-analytics' });
+
+            assert.deepStrictEqual(tracked, [['scroll_depth', {
+                depth: 75,
+                distinct_id: event.user_id,
+                $insert_id: event.id,
+                category: 'Engagement',
+                session_id: event.session_id,
+                tracker: 'facepay-analytics'
+            }]]);
+
+            bus.identify('customer_42', { plan: 'pro' });
+            consent.set(false);
+            consent.set(true);
+            assert.deepStrictEqual(calls, [
+                ['init', 'mp-token', false],
+                ['identify', 'customer_42'],
+                ['people.set', { plan: 'pro' }],
+                ['opt_out'],
+                ['opt_in']
+            ]);
+        } finally {
+            delete global.document;
+            delete global.mixpanel;
+        }
+    }
+
+    // consent-manager.js, analytics-event-bus.js and the three trackers in one browser-like context
+    testAdapters() {
+        const noop = () => {};
+        const appended = [];
+        const callbacks = {};
+        const webVitals = {};
+        ['getLCP', 'getFID', 'getCLS', 'getFCP', 'getTTFB'].forEach(name => {
+            webVitals[name] = callback => { callbacks[name] = callback; };
+        });
+        const context = {
+            console: { log: noop, warn: noop, error: noop },
+            localStorage: createStorage({ facepay_user_id: 'user_facepay', analytics_user_id: 'user_tracking' }),
+            sessionStorage: createStorage(),
+            location: { hostname: 'facepay.com.mx', href: 'https://facepay.com.mx/', search: '' },
+            navigator: { userAgent: 'Mozilla/5.0' },
+            document: {
+                // Trackers that auto-start on DOMContentLoaded stay put; they're created by hand below
+                readyState: 'loading',
+                cookie: '',
+                title: 'FacePay',
+                referrer: '',
+                addEventListener: noop,
+                createElement: tag => ({ tag }),
+                head: { appendChild: element => appended.push(element) }
+            },
+            FacePayAnalyticsConfig: { endpoint: null },
+            webVitals,
+            addEventListener: noop,
+            setTimeout: noop,
+            setInterval: noop,
+            URLSearchParams,
+            Date,
+            JSON
+        };
+        context.window = context;
+        vm.createContext(context);
+
+        const load = (file, transform = source => source) => {
+            vm.runInContext(transform(fs.readFileSync(path.join(ROOT, file), 'utf8')), context);
+        };
+        load('consent-manager.js');
+        load('analytics-event-bus.js');
+        load('analytics-system.js', source => `${source}\nthis.FacePayAnalytics = FacePayAnalytics;`);
+        // An ES module in the page; as a classic script it sets window.AnalyticsTrackingSystem all the same
+        load('analytics-tracking-system.js', source => source.replace(/^import .*$/m, '').replace('export class', 'class').replace('export default AnalyticsTrackingSystem;', ''));
+
+        // Only the publishing paths are under test, not the browser-only collectors
+        context.FacePayAnalytics.prototype.init = noop;
+        context.AnalyticsTrackingSystem.prototype.init = noop;
+        const published = [];
+        context.FacePayEvents.addDestination({ name: 'recorder', handle: event => published.push(event) });
+
+        context.FacePayConsent.acceptAll();
+        context.document.readyState = 'complete';
+        load('web-vitals.js');
+        const analytics = new context.FacePayAnalytics();
+        const tracker = new context.AnalyticsTrackingSystem({ debug: false });
+
+        analytics.trackEvent('scroll_depth', { depth: 25 });
+        tracker.trackEvent('scroll_milestone', { milestone: 25 });
+        callbacks.getLCP({ name: 'LCP', value: 1800, delta: 1800, id: 'v3-1' });
+
+        assert.deepStrictEqual(published.map(event => [event.name, event.tracker]), [
+            ['scroll_depth', 'facepay-analytics'],
+            ['scroll_milestone', 'tracking-system'],
+            ['web_vitals', 'web-vitals']
+        ]);
+        // One visitor, one session, whichever tracker saw the event
+        assert.deepStrictEqual([...new Set(published.map(event => event.user_id))], ['user_facepay']);
+        assert.strictEqual(new Set(published.map(event => event.session_id)).size, 1);
+        assert.strictEqual(analytics.userId, tracker.userIdentity.userId);
+        assert.strictEqual(context.localStorage.getItem('analytics_user_id'), null);
+
+        // gtag is loaded once and gets each event once
+        assert.strictEqual(appended.filter(element => element.src?.includes('googletagmanager')).length, 1);
+        const gaEvents = Array.from(context.dataLayer, entry => Array.from(entry)).filter(([command]) => command === 'event');
+        assert.deepStrictEqual(gaEvents.map(([, name]) => name), ['scroll_depth', 'scroll_milestone', 'web_vitals']);
+
+        // Identifying through either tracker updates the shared identity
+        tracker.identifyUser('customer_42', { plan: 'pro' });
+        assert.strictEqual(analytics.userId, 'customer_42');
+        assert.strictEqual(analytics.getSummary().userId, 'customer_42');
+    }
+
+    testPageWiring() {
+        const pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html'));
+        let wired = 0;
+
+        pages.forEach(page => {
+            const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+            const headEnd = html.indexOf('</head>');
+            const scripts = Array.from(html.matchAll(/<script\b([^>]*)>/g), match => ({
+                src: path.basename(/\bsrc="([^"]+)"/.exec(match[1])?.[1] || ''),
+                deferred: /\b(async|defer|type="module")/.test(match[1]),
+                inHead: match.index < headEnd
+            }));
+            const trackers = scripts.filter(script => TRACKER_SCRIPTS.includes(script.src));
+            if (trackers.length === 0) return;
+            wired++;
+
+            const consentAt = scripts.findIndex(script => script.src === 'consent-manager.js');
+            const consent = scripts[consentAt];
+            const bus = scripts[consentAt + 1];
+            assert.ok(consent?.inHead && !consent.deferred, `${page}: consent-manager.js must load synchronously in <head>`);
+            assert.ok(bus?.src === 'analytics-event-bus.js' && !bus.deferred, `${page}: analytics-event-bus.js must load right after consent-manager.js`);
+            assert.ok(scripts.indexOf(trackers[0]) > consentAt + 1, `${page}: ${trackers[0].src} loads before the event bus`);
+
+            // GA only loads through the bus's GA4 destination, once analytics is allowed
+            assert.ok(!html.includes('googletagmanager.com/gtag/js'), `${page}: loads gtag.js without consent`);
+            assert.ok(!/gtag\(\s*'config'/.test(html), `${page}: configures gtag without consent`);
+        });
+
+        assert.ok(wired >= 2, 'expected the landing pages with trackers to be checked');
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} analytics event bus tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new EventBusTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 ANALYTICS EVENT BUS TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = EventBusTestSuite;
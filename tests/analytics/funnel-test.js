@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * FUNNEL TEST SUITE
+ * funnels.json definitions and their validation, AnalyticsTrackingSystem setting its stage triggers
+ * up from them, and analytics-funnels.js turning collected events into the HTML funnel report
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+const MINUTE = 60 * 1000;
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36';
+const MAC_CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const WINDOWS_EDGE = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0';
+const IPAD_FIREFOX = 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) FxiOS/127.0 Mobile/15E148 Safari/605.1.15';
+
+// A stored event record as the collector writes it
+function event(session, name, minutes, properties = {}, userAgent = null) {
+    return { collection: 'events', name, session_id: session, user_id: `user_${session}`, url: 'https://facepay.com.mx/', timestamp: NOW + minutes * MINUTE, received_at: NOW, user_agent: userAgent, properties };
+}
+
+function stage(session, stageId, minutes, extra = {}) {
+    return event(session, 'funnel_stage_completed', minutes, { funnel_id: 'landing', stage_id: stageId, ...extra });
+}
+
+// Sessions through the five landing stages: how far each got, on what, in which variant
+function landingEvents() {
+    const stages = ['awareness', 'interest', 'consideration', 'intent', 'conversion'];
+    const visits = [
+        { session: 's1', agent: IPHONE, variant: 'control', depth: 5 },
+        { session: 's2', agent: IPHONE, variant: 'control', depth: 2 },
+        { session: 's3', agent: ANDROID, variant: 'social_proof', depth: 1 },
+        { session: 's4', agent: MAC_CHROME, variant: 'social_proof', depth: 5 },
+        { session: 's5', agent: MAC_CHROME, variant: null, depth: 4 },
+        { session: 's6', agent: WINDOWS_EDGE, variant: 'control', depth: 3 },
+        { session: 's7', agent: IPAD_FIREFOX, variant: null, depth: 2 }
+    ];
+
+    const records = [];
+    visits.forEach(({ session, agent, variant, depth }, index) => {
+        records.push(event(session, 'page_load', 0, {}, agent));
+        if (variant) records.push(event(session, 'experiment_exposure', 0, { experiment_id: 'headline', variant_id: variant }));
+        // One minute to each next stage, plus a little more the later the visit
+        stages.slice(0, depth).forEach((stageId, step) => records.push(stage(session, stageId, step * (1 + index / 10))));
+    });
+    return records;
+}
+
+class FunnelTestSuite {
+    constructor() {
+        this.results = [];
+        this.directories = [];
+    }
+
+    async runAllTests() {
+        console.log('🎯 STARTING FUNNEL TEST SUITE');
+
+        this.module = await import('../../analytics-funnels.js');
+        this.collector = await import('../../analytics-collector.js');
+        this.definitions = JSON.parse(fs.readFileSync(path.join(ROOT, 'funnels.json'), 'utf8'));
+
+        try {
+            await this.test('funnels.json is valid and broken definitions list every problem', () => this.testDefinitions());
+            await this.test('the tracking system sets its stage triggers up from the definition', () => this.testTrackerTriggers());
+            await this.test('step conversion, median time and drop-off per device, browser and variant', () => this.testAnalysis());
+            await this.test('collected NDJSON events keep the user agent the report splits by', () => this.testCollectedEvents());
+            await this.test('the HTML report shows every funnel, segment and insight, escaped', () => this.testReport());
+        } finally {
+            this.directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testDefinitions() {
+        const { validateFunnelDefinitions, loadFunnelDefinitions } = this.module;
+        assert.deepStrictEqual(validateFunnelDefinitions(this.definitions), []);
+        assert.deepStrictEqual(this.definitions.funnels[0].steps.map(step => step.id), ['awareness', 'interest', 'consideration', 'intent', 'conversion']);
+
+        const broken = {
+            version: 2,
+            funnels: [
+                {
+                    id: 'landing page',
+                    name: 'Landing',
+                    owner: 'growth',
+                    steps: [
+                        { id: 'seen', name: 'Seen', triggers: [{ id: 'load', type: 'page_load', selector: 'body' }] },
+                        { id: 'seen', name: '', triggers: [] },
+                        {
+                            id: 'engaged',
+                            name: 'Engaged',
+                            triggers: [
+                                { id: 'load', type: 'scroll', percent: 120 },
+                                { id: 'watched', type: 'video' },
+                                { id: 'cta', type: 'hover', selector: ' ' },
+                                { id: 'seen_pricing', type: 'visible', selector: '.pricing', threshold: 2, duration: -1 },
+                                { id: 'captured', type: 'dom_event' },
+                                { id: 'swipe', type: 'gesture' }
+                            ]
+                        }
+                    ]
+                },
+                { id: 'checkout', name: 'Checkout', steps: [{ id: 'cart', name: 'Cart', triggers: [{ id: 'load', type: 'page_load' }] }] }
+            ]
+        };
+        const issues = [
+            'version: expected 1, got 2',
+            'funnels[0].id: expected letters, digits, "_" or "-"',
+            'funnels[0].owner: unknown field',
+            'funnels[0].steps[0].triggers[0].selector: not used by page_load triggers',
+            'funnels[0].steps[1].id: duplicate step id "seen"',
+            'funnels[0].steps[1].name: expected a non-empty string',
+            'funnels[0].steps[1].triggers: expected a non-empty array',
+            'funnels[0].steps[2].triggers[0].id: duplicate trigger id "load"',
+            'funnels[0].steps[2].triggers[0].percent: expected a number from 0 to 100',
+            'funnels[0].steps[2].triggers[1].progress: expected a number from 0 to 100',
+            'funnels[0].steps[2].triggers[2].selector: expected a CSS selector',
+            'funnels[0].steps[2].triggers[3].threshold: expected a number from 0 to 1',
+            'funnels[0].steps[2].triggers[3].duration: expected milliseconds >= 0',
+            'funnels[0].steps[2].triggers[4].event: expected an event name',
+            'funnels[0].steps[2].triggers[5].type: expected one of page_load, first_interaction, scroll, video, hover, visible, focus, input, dom_event',
+            'funnels[1].steps: expected at least two steps'
+        ];
+        assert.deepStrictEqual(validateFunnelDefinitions(broken), issues);
+        assert.deepStrictEqual(validateFunnelDefinitions([]), ['$: expected an object with "version" and "funnels"']);
+
+        await assert.rejects(loadFunnelDefinitions(broken), error => {
+            assert.deepStrictEqual(error.issues, issues);
+            return /^Invalid funnel definitions:\n {2}- version: expected 1, got 2/.test(error.message);
+        });
+        const served = body => async url => ({ ok: url === '/funnels.json', status: 404, json: async () => body });
+        assert.deepStrictEqual((await loadFunnelDefinitions('/funnels.json', served(this.definitions))).map(funnel => funnel.id), ['landing']);
+        await assert.rejects(loadFunnelDefinitions('/missing.json', served(this.definitions)), /Could not load \/missing.json: HTTP 404/);
+        await assert.rejects(loadFunnelDefinitions('/funnels.json', served(broken)), /Invalid funnel definitions in \/funnels.json/);
+    }
+
+    /**
+     * The class run in a context with a page whose elements record their listeners; fire(element, type) runs them
+     */
+    loadTracker(options) {
+        const listeners = [];
+        const target = name => ({
+            name,
+            id: name,
+            src: `/${name}.mp4`,
+            currentTime: 0,
+            duration: 100,
+            getBoundingClientRect: () => ({ top: 10, left: 20, width: 200, height: 50 }),
+            querySelectorAll: () => [1, 2, 3],
+            addEventListener: (type, handler) => listeners.push({ name, type, handler })
+        });
+        const elements = { video: target('demo'), cta: target('cta'), email: target('email'), form: target('signup') };
+        const warnings = [];
+        const context = {
+            console: { log: () => {}, warn: (...args) => warnings.push(args.join(' ')), error: () => {} },
+            scrollX: 0,
+            scrollY: 0,
+            innerHeight: 800,
+            document: {
+                ...target('document'),
+                // Stays put instead of auto-starting; the funnel methods are run by hand
+                readyState: 'loading',
+                body: { scrollHeight: 3000 },
+                querySelectorAll: selector => ({
+                    video: [elements.video],
+                    '.btn-primary, [data-cta], .cta-button': [elements.cta],
+                    'input[type="email"]': [elements.email],
+                    form: [elements.form]
+                })[selector] || []
+            },
+            IntersectionObserver: class { observe() {} },
+            addEventListener: () => {},
+            Date
+        };
+        context.window = context;
+        vm.createContext(context);
+        vm.runInContext(
+            fs.readFileSync(path.join(ROOT, 'analytics-tracking-system.js'), 'utf8')
+                .replace(/^import .*$/m, '')
+                .replace('export class', 'class')
+                .replace('export default AnalyticsTrackingSystem;', ''),
+            context
+        );
+        context.loadFunnelDefinitions = this.module.loadFunnelDefinitions;
+
+        const tracker = Object.create(context.AnalyticsTrackingSystem.prototype);
+        tracker.options = { funnelsUrl: null, funnels: null, funnelId: null, ...options };
+        tracker.sessionData = { startTime: NOW - 5000 };
+        tracker.userJourney = [];
+        tracker.events = [];
+        tracker.trackEvent = (name, data) => tracker.events.push({ name, ...data });
+        tracker.log = () => {};
+        tracker.bus = { elementText: element => `text of ${element.name}` };
+        tracker.conversionFunnel = tracker.initializeConversionFunnel();
+
+        const fire = (name, type, event = {}) => listeners.filter(listener => listener.name === name && listener.type === type).forEach(listener => listener.handler(event));
+        return { tracker, elements, fire, warnings };
+    }
+
+    async testTrackerTriggers() {
+        const { tracker, elements, fire } = this.loadTracker({ funnels: this.definitions });
+        assert.deepStrictEqual([tracker.conversionFunnel.stages.length, tracker.conversionFunnel.currentStage], [0, null]);
+
+        const realNow = Date.now;
+        Date.now = () => NOW;
+        try {
+            await tracker.setupFunnelTracking();
+            assert.deepStrictEqual(tracker.conversionFunnel.stages.map(stage => stage.id), ['awareness', 'interest', 'consideration', 'intent', 'conversion']);
+
+            // page_load completes awareness as soon as the triggers are set up; the first interaction is then a no-op
+            fire('document', 'click');
+            fire('cta', 'mouseenter');
+            fire('cta', 'mouseenter');
+            elements.video.currentTime = 30;
+            fire('demo', 'timeupdate');
+            elements.video.currentTime = 60;
+            fire('demo', 'timeupdate');
+            fire('document', 'email_captured', { detail: { email: 'ana@correo.mx', source: 'hero' } });
+        } finally {
+            Date.now = realNow;
+        }
+
+        const completed = tracker.events.filter(tracked => tracked.name === 'funnel_stage_completed');
+        assert.deepStrictEqual(completed.map(({ funnel_id, stage_id, trigger }) => [funnel_id, stage_id, trigger]), [
+            ['landing', 'awareness', 'page_load'],
+            ['landing', 'intent', 'cta_hover'],
+            ['landing', 'consideration', 'video_50'],
+            ['landing', 'conversion', 'email_submit']
+        ]);
+        assert.deepStrictEqual({ ...completed[1].element_position }, { top: 10, left: 20, width: 200, height: 50 });
+        assert.strictEqual(completed[1].element_text, 'text of cta');
+        assert.strictEqual(completed[2].watch_time, 60);
+        // The email stays out of the funnel event
+        assert.deepStrictEqual([completed[3].source, completed[3].email], ['hero', undefined]);
+
+        // The last stage is the conversion, whatever it is called
+        const conversion = tracker.events.find(tracked => tracked.name === 'conversion_completed');
+        assert.deepStrictEqual(Array.from(conversion.conversion_path), ['awareness', 'consideration', 'intent', 'conversion']);
+        assert.strictEqual(conversion.time_to_convert, 5000);
+        assert.strictEqual(tracker.conversionFunnel.currentStage, 'conversion');
+
+        // Another funnel by id; a broken document leaves tracking without stages
+        const checkout = {
+            version: 1,
+            funnels: [...this.definitions.funnels, { id: 'checkout', name: 'Checkout', steps: [
+                { id: 'form', name: 'Form', triggers: [{ id: 'email_focus', type: 'focus', selector: 'input[type="email"]' }] },
+                { id: 'sent', name: 'Sent', triggers: [{ id: 'typed', type: 'input', selector: 'form' }] }
+            ] }]
+        };
+        const picked = this.loadTracker({ funnels: checkout, funnelId: 'checkout' });
+        await picked.tracker.setupFunnelTracking();
+        picked.fire('email', 'focus');
+        picked.fire('signup', 'input');
+        assert.deepStrictEqual(picked.tracker.events.map(({ name, funnel_id, stage_id, form_fields }) => [name, funnel_id ?? null, stage_id ?? null, form_fields ?? null]), [
+            ['funnel_stage_completed', 'checkout', 'form', null],
+            ['funnel_stage_completed', 'checkout', 'sent', 3],
+            // With the data of the stage that completed it
+            ['conversion_completed', null, null, 3]
+        ]);
+
+        const broken = this.loadTracker({ funnels: { version: 1, funnels: [] } });
+        await broken.tracker.setupFunnelTracking();
+        assert.deepStrictEqual([broken.tracker.conversionFunnel.stages.length, broken.tracker.events.length], [0, 0]);
+        assert.match(broken.warnings[0], /Funnel definitions not loaded: Invalid funnel definitions:\n {2}- funnels: expected a non-empty array/);
+    }
+
+    testAnalysis() {
+        const { analyzeFunnel, analyzeFunnels, deviceType, browserName } = this.module;
+        const funnel = this.definitions.funnels[0];
+        assert.deepStrictEqual([IPHONE, ANDROID, MAC_CHROME, WINDOWS_EDGE, IPAD_FIREFOX, ''].map(deviceType), ['mobile', 'mobile', 'desktop', 'desktop', 'tablet', 'unknown']);
+        assert.deepStrictEqual([IPHONE, ANDROID, MAC_CHROME, WINDOWS_EDGE, IPAD_FIREFOX, 'curl/8.0'].map(browserName), ['Safari', 'Chrome', 'Chrome', 'Edge', 'Firefox', 'Other']);
+
+        const records = [
+            ...landingEvents(),
+            // Intent before interest and consideration still counts, timed from when consideration came
+            stage('s8', 'awareness', 0), stage('s8', 'intent', 1), stage('s8', 'interest', 3), stage('s8', 'consideration', 4),
+            // A stage repeated later (a second tab) keeps the first time; other funnels and collections are ignored
+            stage('s1', 'awareness', 30), stage('s1', 'interest', 0, { funnel_id: 'checkout' }),
+            { ...stage('s9', 'awareness', 0), collection: 'realtime' },
+            // Skipping a stage stops the session there
+            stage('s10', 'awareness', 0), stage('s10', 'consideration', 1),
+            // Before funnels had ids
+            event('s11', 'funnel_stage_completed', 0, { stage_id: 'awareness' })
+        ];
+        const analysis = analyzeFunnel(records, funnel, { minSessions: 2 });
+
+        assert.deepStrictEqual(analysis.funnel, { id: 'landing', name: 'Landing Page Conversion', description: 'From arriving on the landing page to leaving an email' });
+        assert.deepStrictEqual([analysis.sessions, analysis.entered, analysis.converted, analysis.conversionRate], [10, 9, 2, 2 / 9]);
+        assert.deepStrictEqual(analysis.range, { from: NOW, to: NOW + 30 * MINUTE });
+        assert.deepStrictEqual(analysis.steps.map(({ id, reached, dropOff }) => [id, reached, dropOff]), [
+            ['awareness', 9, 0],
+            ['interest', 7, 2],
+            ['consideration', 5, 2],
+            ['intent', 4, 1],
+            ['conversion', 2, 2]
+        ]);
+        assert.deepStrictEqual(analysis.steps.map(step => Number(step.conversion.toFixed(3))), [1, 0.778, 0.714, 0.8, 0.5]);
+        assert.deepStrictEqual(analysis.steps.map(step => Number(step.overall.toFixed(3))), [1, 0.778, 0.556, 0.444, 0.222]);
+        // To interest: s1 1.0, s2 1.1, s4 1.3, s5 1.4, s6 1.5, s7 1.6 and s8 3 minutes; s8's intent comes 0 after consideration
+        assert.deepStrictEqual(analysis.steps.map(step => step.medianTime && Math.round(step.medianTime)), [null, 1.4 * MINUTE, 1.3 * MINUTE, 1.15 * MINUTE, 1.15 * MINUTE]);
+
+        const rows = dimension => analysis.segments[dimension].map(({ value, entered, converted, lowSample }) => [value, entered, converted, lowSample]);
+        assert.deepStrictEqual(rows('device'), [['desktop', 3, 1, false], ['mobile', 3, 1, false], ['unknown', 2, 0, false], ['tablet', 1, 0, true]]);
+        assert.deepStrictEqual(rows('browser'), [['Chrome', 3, 1, false], ['Safari', 2, 1, false], ['unknown', 2, 0, false], ['Edge', 1, 0, true], ['Firefox', 1, 0, true]]);
+        assert.deepStrictEqual(rows('variant'), [['not in an experiment', 4, 0, false], ['headline: control', 3, 1, false], ['headline: social_proof', 2, 1, false]]);
+        const control = analysis.segments.variant[1];
+        assert.deepStrictEqual(control.steps.map(step => step.reached), [3, 3, 2, 1, 1]);
+
+        assert.deepStrictEqual(analysis.insights.map(insight => [insight.type, insight.priority]), [
+            ['drop-off', 'high'],
+            ['device', 'medium'],
+            ['browser', 'medium'],
+            ['experiment variant', 'medium'],
+            ['timing', 'low'],
+            ['sample size', 'low']
+        ]);
+        assert.strictEqual(analysis.insights[0].message, '50.0% of sessions that reached Intent never reached Conversion (2 sessions).');
+        assert.strictEqual(analysis.insights[3].message, 'not in an experiment converts at 0.0% against 22.2% overall; most are lost before Conversion.');
+        assert.strictEqual(analysis.insights[4].message, 'The slowest step is Awareness → Interest: a median of 1m 24s.');
+
+        // Unlabelled stages count for the first funnel of a document only
+        const second = { ...funnel, id: 'landing_v2', name: 'Landing v2' };
+        const [first, other] = analyzeFunnels(records, [funnel, second]);
+        assert.strictEqual(first.entered, 10);
+        assert.strictEqual(other.entered, 0);
+        assert.deepStrictEqual(other.insights.map(insight => insight.type), ['no data']);
+    }
+
+    async testCollectedEvents() {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facepay-funnels-'));
+        this.directories.push(dataDir);
+        const collector = new this.collector.AnalyticsCollector({ dataDir, now: () => NOW });
+
+        // As EndpointDestination posts them, and a beacon from a client that sent no metadata
+        const post = (body, headers = {}) => collector.handle(new Request('http://localhost/api/analytics', { method: 'POST', headers, body: JSON.stringify(body) }));
+        const flattened = (session, name, properties, minutes) => ({ ...properties, event_id: `${session}_${name}_${minutes}`, event_name: name, category: 'Conversion', tracker: 'tracking-system', timestamp: NOW + minutes * MINUTE, session_id: session, user_id: null, page_url: 'https://facepay.com.mx/' });
+        try {
+            let response = await post({
+                session_id: 'a',
+                events: [
+                    flattened('a', 'experiment_exposure', { experiment_id: 'headline', variant_id: 'control' }, 0),
+                    flattened('a', 'funnel_stage_completed', { funnel_id: 'landing', stage_id: 'awareness' }, 0),
+                    flattened('a', 'funnel_stage_completed', { funnel_id: 'landing', stage_id: 'interest' }, 2)
+                ],
+                metadata: { user_agent: IPHONE, timestamp: NOW }
+            });
+            assert.strictEqual(response.status, 202);
+            response = await post({ session_id: 'b', events: [flattened('b', 'funnel_stage_completed', { funnel_id: 'landing', stage_id: 'awareness' }, 1)] }, { 'user-agent': WINDOWS_EDGE });
+            assert.strictEqual(response.status, 202);
+        } finally {
+            await collector.close();
+        }
+
+        // The NDJSON file as the report script reads it, with a line torn by a crash
+        const ndjson = fs.readFileSync(path.join(dataDir, 'events.ndjson'), 'utf8') + '{"collection":"events","name":"funnel_st';
+        const records = this.module.parseEventRecords(ndjson);
+        assert.deepStrictEqual(records.map(record => [record.session_id, record.name, record.user_agent]), [
+            ['a', 'experiment_exposure', IPHONE],
+            ['a', 'funnel_stage_completed', IPHONE],
+            ['a', 'funnel_stage_completed', IPHONE],
+            ['b', 'funnel_stage_completed', WINDOWS_EDGE]
+        ]);
+        assert.deepStrictEqual(this.module.parseEventRecords({ count: 1, records: records.slice(3) }), records.slice(3));
+        assert.deepStrictEqual(this.module.parseEventRecords(JSON.stringify(records)), records);
+
+        const analysis = this.module.analyzeFunnel(records, this.definitions.funnels[0], { minSessions: 1 });
+        assert.deepStrictEqual(analysis.steps.slice(0, 2).map(step => step.reached), [2, 1]);
+        assert.deepStrictEqual(analysis.segments.device.map(segment => [segment.value, segment.steps[1].reached]), [['desktop', 0], ['mobile', 1]]);
+        assert.deepStrictEqual(analysis.segments.variant.map(segment => segment.value), ['headline: control', 'not in an experiment']);
+    }
+
+    testReport() {
+        const { analyzeFunnels, renderFunnelReport } = this.module;
+        const hostile = { ...this.definitions.funnels[0], id: 'hostile', name: 'Landing <script>alert(1)</script>' };
+        const records = [
+            ...landingEvents(),
+            event('s1', 'experiment_exposure', 0, { experiment_id: '<img src=x onerror=alert(1)>', variant_id: 'b' })
+        ];
+        const analyses = analyzeFunnels(records, [this.definitions.funnels[0], hostile], { minSessions: 3 });
+        const html = renderFunnelReport(analyses, { generatedAt: NOW, source: 'events.ndjson' });
+
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.match(html, /<title>FacePay Conversion Funnel Report<\/title>/);
+        assert.match(html, /Generated: 2024-06-01 12:00 UTC from events\.ndjson/);
+        assert.match(html, /Events from 2024-06-01 12:00 to 2024-06-01 12:05 UTC/);
+        assert.strictEqual((html.match(/class="funnel-section"/g) || []).length, 2);
+        assert.match(html, /<div class="stat-number">7<\/div><div>Entered Funnel<\/div>/);
+        assert.match(html, /<div class="stat-number">28\.6%<\/div><div>Conversion Rate<\/div>/);
+        assert.match(html, /<div class="bar-fill" style="width:42\.9%"><\/div>/);
+        assert.match(html, /75\.0% from Consideration · −1 · median 1m 18s/);
+        ['Drop-off by device', 'Drop-off by browser', 'Drop-off by experiment variant', '→ Conversion'].forEach(text => assert.ok(html.includes(text), text));
+        assert.match(html, /<td>tablet <span class="note">small sample<\/span><\/td>/);
+        assert.match(html, /<div class="insight insight-high">/);
+
+        // Names and values from definitions and events are escaped
+        assert.ok(!html.includes('<script>alert'));
+        assert.ok(!html.includes('<img src=x'));
+        assert.ok(html.includes('Landing &lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;: b'));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} funnel tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new FunnelTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 FUNNEL TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = FunnelTestSuite;
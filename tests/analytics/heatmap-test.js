@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * HEAT MAP TEST SUITE
+ * Element-anchored points from AnalyticsTrackingSystem, the export format and layout in
+ * analytics-heatmap.js, and the ?heatmap= overlay drawing over a page
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+const CTA = '[data-heatmap="hero-cta"]';
+const PRICING = 'body > section:nth-of-type(2)';
+
+// A DOM node as far as the heat map anchoring looks at it; rect is the box on the current layout
+function createNode(tag, { id = '', dataset = {}, rect = { left: 0, top: 0, width: 0, height: 0 } } = {}, children = []) {
+    const node = {
+        nodeType: 1,
+        tagName: tag.toUpperCase(),
+        id,
+        dataset,
+        rect,
+        parentElement: null,
+        previousElementSibling: null,
+        getBoundingClientRect: () => node.rect,
+        matches(selector) {
+            return selector.split(',').map(part => part.trim()).some(part => part === tag
+                || (part === '[id]' && !!node.id)
+                || (part === '[data-heatmap]' && dataset.heatmap !== undefined)
+                || (part === '[data-heatmap-section]' && dataset.heatmapSection !== undefined));
+        },
+        closest(selector) {
+            return node.matches(selector) ? node : node.parentElement?.closest(selector) ?? null;
+        }
+    };
+    children.forEach((child, index) => {
+        child.parentElement = node;
+        child.previousElementSibling = children[index - 1] || null;
+    });
+    return node;
+}
+
+// body > section#hero > h1 + div > a[data-heatmap="hero-cta"] > span
+//      > section[data-heatmap-section] > div > button + button
+function createPage() {
+    const label = createNode('span');
+    const cta = createNode('a', { dataset: { heatmap: 'hero-cta' }, rect: { left: 100, top: 400, width: 200, height: 50 } }, [label]);
+    const hero = createNode('section', { id: 'hero' }, [createNode('h1'), createNode('div', {}, [cta])]);
+    const monthly = createNode('button');
+    const yearly = createNode('button', { rect: { left: 600, top: 900, width: 160, height: 40 } });
+    const pricing = createNode('section', { dataset: { heatmapSection: 'pricing' }, rect: { left: 0, top: 700, width: 1280, height: 400 } }, [createNode('div', {}, [monthly, yearly])]);
+    const body = createNode('body', {}, [hero, pricing]);
+    return { body, hero, cta, label, pricing, yearly };
+}
+
+class HeatmapTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    async runAllTests() {
+        console.log('🔥 STARTING HEAT MAP TEST SUITE');
+
+        this.module = await import('../../analytics-heatmap.js');
+        this.collector = await import('../../analytics-collector.js');
+
+        await this.test('tracked points are anchored to elements and sections', () => this.testAnchoring());
+        await this.test('captures aggregate per element, cell and section for one page', () => this.testAggregation());
+        await this.test('an export lays out on whatever layout the page has', () => this.testLayout());
+        await this.test('exports are checked before they are drawn', () => this.testLoadHeatmap());
+        await this.test('?heatmap=<url> draws the overlay and switches modes', () => this.testOverlay());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    loadTracker(page) {
+        const noop = () => {};
+        const context = {
+            console: { log: noop, warn: noop, error: noop },
+            innerWidth: 1280,
+            innerHeight: 800,
+            location: { href: 'https://facepay.com.mx/', pathname: '/' },
+            document: {
+                // Stays put instead of auto-starting; only the heat map methods are under test
+                readyState: 'loading',
+                body: page.body,
+                addEventListener: noop,
+                elementFromPoint: () => page.yearly
+            },
+            Date
+        };
+        context.window = context;
+        vm.createContext(context);
+        vm.runInContext(
+            fs.readFileSync(path.join(ROOT, 'analytics-tracking-system.js'), 'utf8')
+                .replace(/^import .*$/m, '')
+                .replace('export class', 'class')
+                .replace('export default AnalyticsTrackingSystem;', ''),
+            context
+        );
+
+        const tracker = Object.create(context.AnalyticsTrackingSystem.prototype);
+        tracker.heatMapData = [];
+        tracker.getScrollDepth = () => 80;
+        return tracker;
+    }
+
+    testAnchoring() {
+        const page = createPage();
+        const tracker = this.loadTracker(page);
+
+        assert.strictEqual(tracker.getHeatmapSelector(page.hero), '#hero');
+        assert.strictEqual(tracker.getHeatmapSelector(page.cta), CTA);
+        // Without an id or name the path is built from element positions
+        assert.strictEqual(tracker.getHeatmapSelector(page.yearly), `${PRICING} > div:nth-of-type(1) > button:nth-of-type(2)`);
+        assert.strictEqual(tracker.getHeatmapSection(page.label), '#hero');
+        assert.strictEqual(tracker.getHeatmapSection(page.body), 'body');
+
+        // A click on the label inside the CTA counts for the CTA, a quarter of the way across it
+        const realNow = Date.now;
+        Date.now = () => NOW;
+        try {
+            tracker.addHeatMapPoint('click', page.label, 150, 410);
+            tracker.addHeatMapPoint('hover', page.cta, 400, 450);
+            tracker.addScrollHeatMapPoint();
+        } finally {
+            Date.now = realNow;
+        }
+        assert.deepStrictEqual(Array.from(tracker.heatMapData, point => ({ ...point })), [
+            { type: 'click', x: 150, y: 410, selector: CTA, section: '#hero', rx: 0.25, ry: 0.2, timestamp: NOW },
+            // Outside the box (the pointer moved on before the throttle fired) is clamped to its edge
+            { type: 'hover', x: 400, y: 450, selector: CTA, section: '#hero', rx: 1, ry: 1, timestamp: NOW },
+            // The bottom of the viewport is 99/400 of the way into the pricing section
+            { type: 'scroll', x: 640, y: 799, section: PRICING, ry: 0.248, depth: 80, timestamp: NOW }
+        ]);
+
+        // What sendHeatMapData posts is accepted by the collector
+        const payload = { url: 'https://facepay.com.mx/', viewport: { width: 1280, height: 800 }, data: tracker.heatMapData, timestamp: NOW };
+        assert.deepStrictEqual(this.collector.validateHeatmap(JSON.parse(JSON.stringify(payload))), []);
+    }
+
+    captures() {
+        const point = (type, rx, ry, extra = {}) => ({ type, x: 0, y: 0, selector: CTA, section: '#hero', rx, ry, timestamp: NOW, ...extra });
+        return [
+            // Collector records keep the points under points
+            {
+                collection: 'heatmap',
+                url: 'https://facepay.com.mx/?utm_source=ads',
+                viewport: { width: 390, height: 844 },
+                points: [
+                    point('click', 0.1, 0.1),
+                    point('click', 0.12, 0.05),
+                    point('hover', 0.9, 0.9),
+                    // Sent before anchoring existed
+                    { type: 'click', x: 10, y: 20, timestamp: NOW },
+                    { type: 'scroll', x: 195, y: 843, section: '#hero', ry: 1, depth: 40, timestamp: NOW },
+                    { type: 'scroll', x: 195, y: 843, section: PRICING, ry: 0.3, depth: 75, timestamp: NOW }
+                ]
+            },
+            // Payloads as posted keep them under data
+            {
+                url: 'https://facepay.com.mx/',
+                viewport: { width: 1440, height: 900 },
+                data: [point('click', 0.5, 0.5), { type: 'scroll', x: 720, y: 899, section: '#hero', ry: 0.9, depth: 50, timestamp: NOW }, { type: 'move', x: 1, y: 1 }]
+            },
+            {
+                url: 'https://facepay.com.mx/precios',
+                viewport: { width: 800, height: 1000 },
+                points: [point('click', 0.5, 0.5, { selector: '#plan-pro', section: '#plans' })]
+            }
+        ];
+    }
+
+    testAggregation() {
+        const { aggregateHeatmap, HEATMAP_FORMAT, HEATMAP_VERSION } = this.module;
+
+        // The page with the most captures unless one is named
+        const heatmap = aggregateHeatmap(this.captures(), { now: NOW });
+        assert.deepStrictEqual(heatmap, {
+            format: HEATMAP_FORMAT,
+            version: HEATMAP_VERSION,
+            generatedAt: '2024-06-01T12:00:00.000Z',
+            page: '/',
+            grid: 8,
+            captures: 2,
+            viewports: { mobile: 1, tablet: 0, desktop: 1 },
+            totals: { click: 3, hover: 1, scroll: 3, unanchored: 1 },
+            elements: [{
+                selector: CTA,
+                section: '#hero',
+                click: 3,
+                hover: 1,
+                // [column, row, count], busiest first
+                cells: { click: [[0, 0, 2], [4, 4, 1]], hover: [[7, 7, 1]] }
+            }],
+            sections: [
+                { selector: '#hero', click: 3, hover: 1, scroll: 2, reach: 1 },
+                { selector: PRICING, click: 0, hover: 0, scroll: 1, reach: 0.5 }
+            ]
+        });
+
+        const pricing = aggregateHeatmap(this.captures(), { page: '/precios', grid: 4 });
+        assert.strictEqual(pricing.captures, 1);
+        assert.deepStrictEqual(pricing.viewports, { mobile: 0, tablet: 1, desktop: 0 });
+        assert.deepStrictEqual(pricing.elements.map(element => [element.selector, element.cells.click]), [['#plan-pro', [[2, 2, 1]]]]);
+
+        const empty = aggregateHeatmap([], { now: NOW });
+        assert.strictEqual(empty.page, null);
+        assert.deepStrictEqual([empty.captures, empty.elements, empty.sections], [0, [], []]);
+    }
+
+    testLayout() {
+        const { aggregateHeatmap, layoutHeatmap } = this.module;
+        const heatmap = aggregateHeatmap(this.captures(), { now: NOW });
+
+        const desktop = { [CTA]: { left: 100, top: 400, width: 200, height: 50 }, '#hero': { left: 0, top: 0, width: 1280, height: 600 } };
+        const mobile = { [CTA]: { left: 20, top: 300, width: 320, height: 48 }, '#hero': { left: 0, top: 0, width: 390, height: 700 } };
+
+        const clicks = layoutHeatmap(heatmap, 'click', selector => desktop[selector] || null);
+        assert.deepStrictEqual(clicks.spots, [
+            { x: 112.5, y: 403.125, radius: 25, count: 2, selector: CTA, intensity: 1 },
+            { x: 212.5, y: 428.125, radius: 25, count: 1, selector: CTA, intensity: 0.5 }
+        ]);
+        assert.deepStrictEqual(clicks.missing, []);
+
+        // The same cells land inside the element wherever the mobile layout puts it
+        const mobileClicks = layoutHeatmap(heatmap, 'click', selector => mobile[selector] || null);
+        assert.deepStrictEqual(mobileClicks.spots.map(spot => [spot.x, spot.y]), [[40, 303], [200, 327]]);
+
+        const attention = layoutHeatmap(heatmap, 'attention', selector => desktop[selector] || null);
+        assert.deepStrictEqual(attention.spots.map(spot => [spot.x, spot.y, spot.count]), [[287.5, 446.875, 1]]);
+
+        // Sections not on this page (or hidden at this width) are reported rather than drawn
+        const scroll = layoutHeatmap(heatmap, 'scroll', selector => desktop[selector] || null);
+        assert.deepStrictEqual(scroll.bands, [{ left: 0, top: 0, width: 1280, height: 600, selector: '#hero', reach: 1, scroll: 2, intensity: 1 }]);
+        assert.deepStrictEqual(scroll.missing, [PRICING]);
+
+        const hidden = layoutHeatmap(heatmap, 'click', () => ({ left: 0, top: 0, width: 0, height: 0 }));
+        assert.deepStrictEqual([hidden.spots, hidden.missing], [[], [CTA]]);
+
+        assert.throws(() => layoutHeatmap(heatmap, 'pixels', () => null), /Unknown heat map mode "pixels"/);
+    }
+
+    testLoadHeatmap() {
+        const { aggregateHeatmap, loadHeatmap, toJSON, HEATMAP_VERSION } = this.module;
+        const heatmap = aggregateHeatmap(this.captures(), { now: NOW });
+
+        assert.deepStrictEqual(loadHeatmap(toJSON(heatmap)), heatmap);
+        assert.throws(() => loadHeatmap({ data: [] }), /Unrecognised heat map file/);
+        assert.throws(() => loadHeatmap({ ...heatmap, version: HEATMAP_VERSION + 1 }), /newer than this viewer/);
+        assert.throws(() => loadHeatmap('not json'), SyntaxError);
+    }
+
+    createOverlayPage() {
+        const drawn = [];
+        const listeners = {};
+        const elements = [];
+        const boxes = { [CTA]: { left: 100, top: 400, width: 200, height: 50 }, '#hero': { left: 0, top: 0, width: 1280, height: 600 } };
+
+        const canvasContext = {
+            clearRect: () => drawn.splice(0),
+            fillRect: (x, y, width, height) => drawn.push({ x, y, width, height }),
+            fillText: () => {},
+            createRadialGradient: () => ({ addColorStop: () => {} })
+        };
+        const document = {
+            documentElement: { scrollWidth: 1280, scrollHeight: 2400, clientWidth: 1280, clientHeight: 800 },
+            body: { appendChild: element => elements.push(element) },
+            addEventListener: (type, handler) => { listeners[`document:${type}`] = handler; },
+            createElement: tag => {
+                const element = {
+                    tag,
+                    style: {},
+                    attributes: {},
+                    innerHTML: '',
+                    setAttribute: (name, value) => { element.attributes[name] = value; },
+                    addEventListener: (type, handler) => { listeners[`${tag}:${type}`] = handler; },
+                    getContext: () => canvasContext,
+                    remove: () => elements.splice(elements.indexOf(element), 1)
+                };
+                return element;
+            },
+            querySelector: selector => {
+                if (selector === '#broken[') throw new SyntaxError('bad selector');
+                const box = boxes[selector];
+                return box ? { getBoundingClientRect: () => ({ ...box, top: box.top - 100 }) } : null;
+            }
+        };
+        const win = {
+            document,
+            scrollX: 0,
+            scrollY: 100,
+            location: { pathname: '/', search: '?heatmap=/exports/heatmap.json' },
+            addEventListener: (type, handler) => { listeners[`window:${type}`] = handler; },
+            removeEventListener: type => { delete listeners[`window:${type}`]; }
+        };
+        return { win, document, drawn, listeners, elements };
+    }
+
+    async testOverlay() {
+        const { aggregateHeatmap, initHeatmapOverlay, HeatmapOverlay } = this.module;
+        const heatmap = aggregateHeatmap(this.captures(), { now: NOW });
+        const page = this.createOverlayPage();
+
+        const realFetch = global.fetch;
+        const requested = [];
+        global.fetch = async url => {
+            requested.push(url);
+            return new Response(JSON.stringify(heatmap), { headers: { 'content-type': 'application/json' } });
+        };
+        let overlay;
+        try {
+            overlay = await initHeatmapOverlay(page.win);
+        } finally {
+            global.fetch = realFetch;
+        }
+        assert.deepStrictEqual(requested, ['/exports/heatmap.json']);
+        assert.ok(overlay instanceof HeatmapOverlay);
+
+        // Canvas over the whole document, then the panel; both ignore the page's own clicks
+        const [canvas, panel] = page.elements;
+        assert.strictEqual(canvas.tag, 'canvas');
+        assert.match(canvas.style.cssText, /pointer-events:none/);
+        assert.deepStrictEqual([canvas.width, canvas.height], [1280, 2400]);
+        // Element boxes are converted to page coordinates (scrolled 100px)
+        assert.deepStrictEqual(page.drawn.map(rect => [rect.x + 25, rect.y + 25]), [[112.5, 403.125], [212.5, 428.125]]);
+        assert.match(panel.innerHTML, /2 capturas · 3 clics/);
+        assert.doesNotMatch(panel.innerHTML, /no están en esta página/);
+
+        page.listeners['div:click']({ target: { closest: () => ({ dataset: { heatmapMode: 'scroll' } }) } });
+        assert.strictEqual(overlay.mode, 'scroll');
+        assert.match(panel.innerHTML, /1 elementos no están en esta página/);
+        assert.match(panel.innerHTML, /aria-pressed="true"[^>]*>Scroll</);
+
+        // Alt+H hides and shows it again
+        page.listeners['document:keydown']({ altKey: true, key: 'H' });
+        assert.strictEqual(canvas.style.display, 'none');
+        page.listeners['document:keydown']({ altKey: true, key: 'h' });
+        assert.strictEqual(canvas.style.display, '');
+
+        page.listeners['div:click']({ target: { closest: () => ({ dataset: { heatmapClose: '' } }) } });
+        assert.deepStrictEqual(page.elements, []);
+        assert.strictEqual(page.listeners['window:resize'], undefined);
+
+        // A selector from another version of the page is reported missing, and a map of another page says so
+        const other = this.createOverlayPage();
+        const stale = new HeatmapOverlay({ ...heatmap, page: '/precios', elements: [{ ...heatmap.elements[0], selector: '#broken[' }] }, { window: other.win });
+        stale.show();
+        assert.deepStrictEqual(stale.layout.missing, ['#broken[']);
+        assert.match(other.elements[1].innerHTML, /Este mapa es de \/precios/);
+
+        assert.strictEqual(await initHeatmapOverlay({ location: { search: '?utm_source=ads' } }), null);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} heat map tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new HeatmapTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 HEAT MAP TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = HeatmapTestSuite;
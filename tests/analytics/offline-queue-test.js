@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * ANALYTICS OFFLINE QUEUE TEST SUITE
+ * IndexedDB persistence, dedupe, backoff and expiry in analytics-offline-queue.js, the event bus
+ * endpoint destination storing failed batches there, and the service worker's Background Sync replay
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+const SECOND = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Just enough IndexedDB for the queue: one object store per database, requests that succeed
+ * asynchronously, and transactions that commit once no request is pending (or roll back on abort)
+ */
+function createIndexedDB() {
+    const databases = new Map();
+
+    function request(run) {
+        const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+        setImmediate(() => {
+            try {
+                req.result = run();
+                req.onsuccess?.();
+            } catch (error) {
+                req.error = error;
+                req.onerror?.();
+            }
+        });
+        return req;
+    }
+
+    function createTransaction(database, name) {
+        const committed = database.stores.get(name);
+        const records = new Map([...committed].map(([key, value]) => [key, structuredClone(value)]));
+        let pending = 0;
+        let finished = false;
+
+        const transaction = { error: null, oncomplete: null, onerror: null, onabort: null };
+        const settle = () => setImmediate(() => {
+            if (finished || pending > 0) return;
+            finished = true;
+            database.stores.set(name, records);
+            transaction.oncomplete?.();
+        });
+        const track = run => {
+            if (finished) throw new Error('TransactionInactiveError');
+            pending++;
+            const req = request(run);
+            const done = () => {
+                pending--;
+                settle();
+            };
+            const wrap = key => {
+                let handler = null;
+                Object.defineProperty(req, key, {
+                    get: () => handler,
+                    set: value => {
+                        handler = () => {
+                            value?.();
+                            done();
+                        };
+                    }
+                });
+                req[key] = null;
+            };
+            wrap('onsuccess');
+            wrap('onerror');
+            return req;
+        };
+
+        transaction.abort = () => {
+            finished = true;
+            transaction.onabort?.();
+        };
+        transaction.objectStore = () => ({
+            put: value => track(() => records.set(value.id, structuredClone(value))),
+            get: key => track(() => structuredClone(records.get(key))),
+            delete: key => track(() => records.delete(key)),
+            clear: () => track(() => records.clear()),
+            count: () => track(() => records.size),
+            getAll: () => track(() => [...records.values()].map(value => structuredClone(value)))
+        });
+        settle();
+        return transaction;
+    }
+
+    return {
+        databases,
+        open(name) {
+            const req = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+            setImmediate(() => {
+                let database = databases.get(name);
+                if (!database) {
+                    database = {
+                        stores: new Map(),
+                        createObjectStore: storeName => database.stores.set(storeName, new Map()),
+                        transaction: storeName => createTransaction(database, storeName)
+                    };
+                    databases.set(name, database);
+                    req.result = database;
+                    req.onupgradeneeded?.();
+                }
+                req.result = database;
+                req.onsuccess?.();
+            });
+            return req;
+        },
+        // What a queue's store holds right now, for assertions
+        records(name = 'facepay-analytics', storeName = 'queue') {
+            return [...(databases.get(name)?.stores.get(storeName)?.values() || [])];
+        }
+    };
+}
+
+function createStorage() {
+    const store = new Map();
+    return {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+}
+
+function endpointEvent(id, overrides = {}) {
+    // The shape EndpointDestination.toPayload() sends, which is what the queue stores
+    return {
+        event_id: id,
+        event_name: 'cta_click',
+        category: 'Conversion',
+        tracker: 'facepay-analytics',
+        timestamp: NOW,
+        session_id: 'session-1',
+        user_id: 'user-1',
+        page_url: 'https://facepay.com.mx/',
+        ...overrides
+    };
+}
+
+function createFetch(respond = () => ({ ok: true, status: 202 })) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        requests.push({ url, body });
+        const response = await respond(url, body);
+        if (response instanceof Error) throw response;
+        return response;
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+class OfflineQueueTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createQueue(options = {}) {
+        let now = options.startAt || NOW;
+        const queue = new this.module.AnalyticsOfflineQueue({
+            indexedDB: options.indexedDB || createIndexedDB(),
+            fetch: createFetch(),
+            now: () => now,
+            ...options
+        });
+        queue.advance = ms => { now += ms; };
+        return queue;
+    }
+
+    async runAllTests() {
+        console.log('📦 STARTING ANALYTICS OFFLINE QUEUE TEST SUITE');
+
+        // Loaded before window exists, so the bus doesn't create its own page-wide instance
+        this.module = require('../../analytics-offline-queue.js');
+        this.bus = require('../../analytics-event-bus.js');
+        this.collector = await import('../../analytics-collector.js');
+
+        try {
+            await this.test('events are stored once per event_id and capped at maxEvents', () => this.testEnqueue());
+            await this.test('replay batches per endpoint and backs off exponentially on failure', () => this.testReplayBackoff());
+            await this.test('events past maxAge are dropped and leases stop double sends', () => this.testExpiryAndLeases());
+            await this.test('the endpoint destination persists failed batches and replays them once', () => this.testEndpointDestination());
+            await this.test('the service worker replays the queue on the analytics-sync tag', () => this.testServiceWorkerSync());
+        } finally {
+            delete global.window;
+            delete global.navigator;
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testEnqueue() {
+        const indexedDB = createIndexedDB();
+        const queue = this.createQueue({ indexedDB, maxEvents: 3 });
+
+        assert.strictEqual(await queue.enqueue([endpointEvent('evt_1'), endpointEvent('evt_2')], '/api/analytics'), 2);
+        // A retried flush of the same events doesn't queue them twice
+        assert.strictEqual(await queue.enqueue([endpointEvent('evt_2'), endpointEvent('evt_3')], '/api/analytics'), 1);
+        assert.strictEqual(await queue.size(), 3);
+
+        const [record] = indexedDB.records();
+        assert.deepStrictEqual(record, {
+            id: 'evt_1',
+            url: '/api/analytics',
+            event: endpointEvent('evt_1'),
+            queuedAt: NOW,
+            attempts: 0,
+            nextAttemptAt: NOW
+        });
+
+        // Beyond maxEvents the oldest go
+        queue.advance(SECOND);
+        await queue.enqueue([endpointEvent('evt_4')], '/api/analytics');
+        assert.deepStrictEqual(indexedDB.records().map(stored => stored.id).sort(), ['evt_2', 'evt_3', 'evt_4']);
+
+        // Events without an id can't be deduped and are not stored
+        assert.strictEqual(await queue.enqueue([{ event_name: 'cta_click' }], '/api/analytics'), 0);
+
+        await queue.clear();
+        assert.strictEqual(await queue.size(), 0);
+
+        const unavailable = new this.module.AnalyticsOfflineQueue({ indexedDB: null });
+        assert.strictEqual(unavailable.available, false);
+        await assert.rejects(() => unavailable.enqueue([endpointEvent('evt_5')], '/api/analytics'), /IndexedDB is not available/);
+    }
+
+    async testReplayBackoff() {
+        let failing = true;
+        const fetch = createFetch(() => (failing ? { ok: false, status: 503 } : { ok: true, status: 202 }));
+        const indexedDB = createIndexedDB();
+        const queue = this.createQueue({ indexedDB, fetch, baseDelay: 30 * SECOND, maxDelay: 100 * SECOND });
+        const recordOf = id => indexedDB.records().find(stored => stored.id === id);
+
+        await queue.enqueue([endpointEvent('evt_1'), endpointEvent('evt_2', { session_id: 'session-2' })], '/api/analytics');
+        await queue.enqueue([endpointEvent('evt_3')], '/api/analytics/v2');
+
+        assert.deepStrictEqual(await queue.replay(), { sent: 0, failed: 3, dropped: 0 });
+        // One request per endpoint, in the collector's shape and marked as a replay
+        assert.deepStrictEqual(fetch.requests.map(request => [request.url, request.body.events.length]), [['/api/analytics', 2], ['/api/analytics/v2', 1]]);
+        assert.deepStrictEqual(this.collector.validateEventBatch(fetch.requests[0].body), []);
+        assert.strictEqual(fetch.requests[0].body.session_id, 'session-2');
+        assert.strictEqual(fetch.requests[0].body.metadata.replayed, true);
+
+        // 30s, 60s, then capped at maxDelay
+        assert.strictEqual(recordOf('evt_1').attempts, 1);
+        assert.strictEqual(recordOf('evt_1').nextAttemptAt, NOW + 30 * SECOND);
+        assert.deepStrictEqual([1, 2, 3, 4].map(attempts => queue.backoffDelay(attempts)), [30 * SECOND, 60 * SECOND, 100 * SECOND, 100 * SECOND]);
+
+        // Nothing is due before the backoff ends
+        assert.deepStrictEqual(await queue.replay(), { sent: 0, failed: 0, dropped: 0 });
+        assert.strictEqual(fetch.requests.length, 2);
+
+        queue.advance(30 * SECOND);
+        await queue.replay();
+        assert.strictEqual(recordOf('evt_1').attempts, 2);
+        assert.strictEqual(recordOf('evt_1').nextAttemptAt, NOW + 90 * SECOND);
+
+        // A network error counts as a failure too
+        queue.options.fetch = createFetch(() => new TypeError('Failed to fetch'));
+        queue.advance(60 * SECOND);
+        assert.deepStrictEqual(await queue.replay(), { sent: 0, failed: 3, dropped: 0 });
+
+        failing = false;
+        queue.options.fetch = fetch;
+        queue.advance(100 * SECOND);
+        assert.deepStrictEqual(await queue.replay(), { sent: 3, failed: 0, dropped: 0 });
+        assert.strictEqual(await queue.size(), 0);
+
+        // A long backlog is drained batchSize at a time
+        queue.options.batchSize = 2;
+        await queue.enqueue(['a', 'b', 'c', 'd', 'e'].map(id => endpointEvent(`evt_${id}`)), '/api/analytics');
+        const before = fetch.requests.length;
+        assert.deepStrictEqual(await queue.replay(), { sent: 5, failed: 0, dropped: 0 });
+        assert.deepStrictEqual(fetch.requests.slice(before).map(request => request.body.events.length), [2, 2, 1]);
+    }
+
+    async testExpiryAndLeases() {
+        const indexedDB = createIndexedDB();
+        const page = this.createQueue({ indexedDB, maxAge: 7 * DAY, leaseTime: 60 * SECOND });
+
+        await page.enqueue([endpointEvent('evt_old')], '/api/analytics');
+        page.advance(6 * DAY);
+        await page.enqueue([endpointEvent('evt_new')], '/api/analytics');
+        page.advance(DAY + SECOND);
+
+        // The service worker opens the same database
+        let worker = null;
+        const fetch = createFetch(async () => {
+            // While the worker's request is in flight the page finds nothing to send
+            assert.deepStrictEqual(await page.claim(), { records: [], dropped: 0 });
+            return { ok: true, status: 202 };
+        });
+        worker = this.createQueue({ indexedDB, fetch, startAt: NOW + 7 * DAY + SECOND, leaseTime: 60 * SECOND });
+
+        assert.deepStrictEqual(await worker.replay(), { sent: 1, failed: 0, dropped: 1 });
+        assert.deepStrictEqual(fetch.requests[0].body.events.map(event => event.event_id), ['evt_new']);
+        assert.strictEqual(await page.size(), 0);
+
+        // A lease left behind by a worker that was killed mid-send runs out
+        await page.enqueue([endpointEvent('evt_orphan')], '/api/analytics');
+        assert.strictEqual((await worker.claim()).records.length, 1);
+        assert.strictEqual((await page.claim()).records.length, 0);
+        page.advance(60 * SECOND);
+        assert.strictEqual((await page.claim()).records.length, 1);
+    }
+
+    async testEndpointDestination() {
+        const stored = [];
+        const collector = new this.collector.AnalyticsCollector({ store: { append: async (collection, records) => stored.push(...records) } });
+        let online = false;
+        let loseResponse = false;
+        const realFetch = global.fetch;
+        const syncs = [];
+        const listeners = {};
+
+        global.window = {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type, listener) => {
+                if (listeners[type] === listener) delete listeners[type];
+            }
+        };
+        global.navigator = { serviceWorker: { ready: Promise.resolve({ sync: { register: async tag => syncs.push(tag) } }) } };
+        global.fetch = async (url, init) => {
+            if (!online) throw new TypeError('Failed to fetch');
+            const response = await collector.handle(new Request(`http://localhost${url}`, { method: 'POST', body: init.body }));
+            // The collector stored the batch but the page never heard back
+            if (loseResponse) throw new TypeError('Network connection lost');
+            return response;
+        };
+
+        try {
+            const indexedDB = createIndexedDB();
+            const offlineQueue = this.createQueue({ indexedDB, fetch: (...args) => global.fetch(...args) });
+            const endpoint = new this.bus.EndpointDestination({ url: '/api/analytics', batchSize: 2, flushInterval: 0, offlineQueue });
+            const consent = { analytics: true, has: () => consent.analytics, onChange: listener => { consent.listener = listener; } };
+            const bus = new this.bus.AnalyticsEventBus({
+                consent,
+                storage: createStorage(),
+                sessionStorage: createStorage(),
+                destinations: [endpoint]
+            });
+
+            bus.publish('cta_click', { element_id: 'hero-cta' });
+            // A full batch flushes by itself
+            bus.publish('form_start', { form_id: 'waitlist' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            // Offline: the batch is in IndexedDB rather than memory, and the worker is asked to sync
+            assert.deepStrictEqual(endpoint.queue, []);
+            assert.deepStrictEqual(indexedDB.records().map(record => record.event.event_name), ['cta_click', 'form_start']);
+            assert.deepStrictEqual(syncs, ['analytics-sync']);
+            assert.strictEqual(endpoint.lastError.message, 'Failed to fetch');
+
+            // The first replay reaches the collector but its response is lost, so it is sent again
+            online = true;
+            loseResponse = true;
+            assert.deepStrictEqual(await endpoint.replayOffline(), { sent: 0, failed: 2, dropped: 0 });
+            loseResponse = false;
+            offlineQueue.advance(30 * SECOND);
+            // Back online: the 'online' listener replays
+            await listeners.online();
+            assert.strictEqual(await offlineQueue.size(), 0);
+            assert.deepStrictEqual(stored.map(record => record.name), ['cta_click', 'form_start']);
+
+            // Storage failing (e.g. private browsing) falls back to the in-memory retry
+            online = false;
+            offlineQueue.options.indexedDB = null;
+            offlineQueue.database = null;
+            bus.publish('cta_click', { element_id: 'footer-cta' });
+            assert.strictEqual(await endpoint.flush(), false);
+            assert.deepStrictEqual(endpoint.queue.map(event => event.name), ['cta_click']);
+            assert.strictEqual(endpoint.lastError.message, 'IndexedDB is not available');
+
+            // Withdrawing consent empties the stored queue and stops listening for 'online'
+            offlineQueue.options.indexedDB = indexedDB;
+            await offlineQueue.enqueue([endpointEvent('evt_pending')], '/api/analytics');
+            consent.analytics = false;
+            consent.listener({ analytics: false });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.strictEqual(await offlineQueue.size(), 0);
+            assert.strictEqual(listeners.online, undefined);
+        } finally {
+            global.fetch = realFetch;
+            delete global.window;
+            delete global.navigator;
+        }
+    }
+
+    async testServiceWorkerSync() {
+        const indexedDB = createIndexedDB();
+        const listeners = {};
+        let failing = true;
+        const fetch = createFetch(() => (failing ? { ok: false, status: 503 } : { ok: true, status: 202 }));
+        const logs = [];
+
+        const context = vm.createContext({
+            indexedDB,
+            fetch,
+            URL,
+            console: { log: (...args) => logs.push(args.join(' ')), error: (...args) => logs.push(args.join(' ')) },
+            self: { addEventListener: (type, listener) => { listeners[type] = listener; } },
+            importScripts: file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context)
+        });
+        vm.runInContext(fs.readFileSync(path.join(ROOT, 'service-worker-optimized.js'), 'utf8'), context);
+
+        const sync = tag => {
+            let work = null;
+            listeners.sync({ tag, waitUntil: promise => { work = promise; } });
+            return work;
+        };
+
+        // What a page left behind while offline
+        const page = new this.module.AnalyticsOfflineQueue({ indexedDB });
+        await page.enqueue([endpointEvent('evt_1'), endpointEvent('evt_2')], '/api/analytics');
+
+        // Failing sends reject the sync so the browser schedules another
+        await assert.rejects(() => sync('analytics-sync'), /2 analytics events still pending/);
+        assert.strictEqual(await page.size(), 2);
+
+        failing = false;
+        indexedDB.databases.get('facepay-analytics').stores.get('queue').forEach(record => {
+            record.nextAttemptAt = 0;
+        });
+        await sync('analytics-sync');
+        assert.strictEqual(await page.size(), 0);
+        assert.deepStrictEqual(fetch.requests.at(-1).body.events.map(event => event.event_id), ['evt_1', 'evt_2']);
+        assert.ok(logs.includes('[SW] Analytics replayed: 2 sent, 0 failed, 0 expired'));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} analytics offline queue tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new OfflineQueueTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 ANALYTICS OFFLINE QUEUE TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = OfflineQueueTestSuite;
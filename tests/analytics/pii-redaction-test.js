@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * PII REDACTION TEST SUITE
+ * The event bus redaction stage (PII_POLICY in analytics-event-bus.js): field policy, free-text
+ * masking, identity, and what actually leaves the page for GA4, Mixpanel and /api/analytics
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+const EMAIL = 'Ana.Perez@Correo.mx';
+const WALLET = '0x52908400098527886E0F7030069857D2E4169EE7';
+const STARKNET_WALLET = '0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7';
+const USERNAME = '@juan.perez';
+
+function expectedHash(value, salt = 'facepay') {
+    return `sha256:${crypto.createHash('sha256').update(`${salt}:${value.trim().toLowerCase()}`).digest('hex')}`;
+}
+
+function createStorage(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+}
+
+// Just enough of window.FacePayConsent for the bus
+function createConsent() {
+    return { has: category => category === 'analytics', onChange: () => {} };
+}
+
+// A DOM element as far as click tracking and bus.elementText() look at it
+function createElement({ tag = 'button', text = '', dataTrack = false, editable = false, contains = [], parent = null } = {}) {
+    const element = {
+        tagName: tag.toUpperCase(),
+        id: '',
+        href: '',
+        textContent: text,
+        isContentEditable: editable || !!parent?.isContentEditable,
+        getAttribute: () => null,
+        getBoundingClientRect: () => ({ left: 10, top: 20, width: 100, height: 40 }),
+        closest(selector) {
+            const matches = selector.split(',').map(part => part.trim()).some(part => part === tag
+                || (part === '[data-track]' && dataTrack)
+                || (part === '[contenteditable]' && editable));
+            return matches ? element : parent?.closest(selector) ?? null;
+        },
+        querySelector: selector => contains.find(child => selector.split(',').map(part => part.trim()).includes(child)) || null
+    };
+    return element;
+}
+
+class PiiRedactionTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createBus(options = {}) {
+        return new this.module.AnalyticsEventBus({
+            consent: createConsent(),
+            storage: createStorage(),
+            sessionStorage: createStorage(),
+            now: () => NOW,
+            ...options
+        });
+    }
+
+    async runAllTests() {
+        console.log('🔒 STARTING PII REDACTION TEST SUITE');
+
+        // Loaded before window exists, so it doesn't create its own page-wide instance
+        this.module = require('../../analytics-event-bus.js');
+
+        try {
+            await this.test('the field policy hashes, drops and keeps properties at any depth', () => this.testFieldPolicy());
+            await this.test('emails, wallets and @usernames are masked inside free text', () => this.testTextPatterns());
+            await this.test('identify() hashes an email user id and personal traits', () => this.testIdentity());
+            await this.test('editable elements contribute no text to click events', () => this.testElementText());
+            await this.test('no raw PII reaches GA4, Mixpanel or the endpoint', () => this.testDestinations());
+        } finally {
+            delete global.window;
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    testFieldPolicy() {
+        const { PiiRedactor, sha256 } = this.module;
+        const redactor = new PiiRedactor();
+
+        ['', 'abc', 'a'.repeat(55), 'a'.repeat(64), 'ñandú@correo.mx'].forEach(text => {
+            assert.strictEqual(sha256(text), crypto.createHash('sha256').update(text).digest('hex'), `sha256(${JSON.stringify(text)})`);
+        });
+
+        const { properties, redacted } = redactor.redact({
+            type: 'email_capture',
+            email: ` ${EMAIL} `,
+            lead_score: 25,
+            profile_data: { interestLevel: 'alta' },
+            data: { profileData: { cryptoExperience: 'ninguna' }, walletAddress: WALLET },
+            recipients: [{ username: USERNAME }, { phone: '+52 55 1234 5678' }]
+        });
+        assert.strictEqual(redacted, true);
+        assert.deepStrictEqual(properties, {
+            type: 'email_capture',
+            // Normalised first, so the same address always gives the same hash
+            email: expectedHash(EMAIL),
+            lead_score: 25,
+            data: { walletAddress: expectedHash(WALLET) },
+            recipients: [{ username: expectedHash(USERNAME) }, {}]
+        });
+
+        // Redacting twice changes nothing, so re-published traits keep their hash
+        assert.deepStrictEqual(redactor.redact(properties), { properties, redacted: false });
+        assert.deepStrictEqual(redactor.redact({ depth: 50, cta_text: 'Únete' }), { properties: { depth: 50, cta_text: 'Únete' }, redacted: false });
+
+        // Pages can add fields, keep a field as it is, and salt their own hashes
+        const custom = new PiiRedactor({ fields: { plan: 'drop', support_email: 'keep' }, hashSalt: 'staging' });
+        assert.deepStrictEqual(custom.redact({ plan: 'pro', support_email: 'soporte@facepay.com.mx', email: EMAIL }).properties, {
+            support_email: 'soporte@facepay.com.mx',
+            email: expectedHash(EMAIL, 'staging')
+        });
+    }
+
+    testTextPatterns() {
+        const redactor = new this.module.PiiRedactor();
+
+        assert.strictEqual(redactor.redactText(`Te avisamos a ${EMAIL} pronto`), 'Te avisamos a [email] pronto');
+        assert.strictEqual(redactor.redactText('https://facepay.com.mx/?email=ana%40correo.mx&utm_source=x'), 'https://facepay.com.mx/?email=[email]&utm_source=x');
+        assert.strictEqual(redactor.redactText(`Transfer to ${WALLET.toLowerCase()} failed`), 'Transfer to [wallet] failed');
+        assert.strictEqual(redactor.redactText(`Pago desde ${STARKNET_WALLET}`), 'Pago desde [wallet]');
+        // StarkNet addresses without their leading zero
+        assert.strictEqual(redactor.redactText(`to ${STARKNET_WALLET.replace('0x0', '0x')}.`), 'to [wallet].');
+        assert.strictEqual(redactor.redactText(`Paga a ${USERNAME} o a @ana_01.`), 'Paga a [username] o a [username].');
+        assert.strictEqual(redactor.redactText(`(${USERNAME})`), '([username])');
+        // Not addresses or handles
+        ['Únete a la lista', 'Error 0x1f at line 3', 'v2.1.0', 'sha256:abc', ''].forEach(text => {
+            assert.strictEqual(redactor.redactText(text), text);
+        });
+
+        const bus = this.createBus();
+        const recorded = [];
+        bus.addDestination({ name: 'recorder', handle: event => recorded.push(event) });
+        bus.publish('javascript_error', { message: `Cannot pay ${USERNAME} from ${WALLET}`, line: 12 });
+        assert.deepStrictEqual(recorded[0].properties, { message: 'Cannot pay [username] from [wallet]', line: 12 });
+        assert.strictEqual(bus.stats.redacted, 1);
+    }
+
+    testIdentity() {
+        const bus = this.createBus();
+        const identified = [];
+        const recorded = [];
+        bus.addDestination({ name: 'recorder', handle: event => recorded.push(event), identify: identity => identified.push(identity) });
+
+        bus.identify(EMAIL, { email: EMAIL, plan: 'pro' });
+
+        const identity = bus.getIdentity();
+        assert.strictEqual(identity.userId, expectedHash(EMAIL));
+        assert.deepStrictEqual(identity.traits, { email: expectedHash(EMAIL), plan: 'pro' });
+        assert.strictEqual(identified[0].userId, expectedHash(EMAIL));
+        assert.deepStrictEqual(recorded[0].properties.traits, identity.traits);
+        assert.strictEqual(recorded[0].user_id, expectedHash(EMAIL));
+
+        // Ids that aren't personal data are left alone
+        bus.identify('customer_42');
+        assert.strictEqual(bus.getIdentity().userId, 'customer_42');
+    }
+
+    testElementText() {
+        const bus = this.createBus();
+
+        assert.strictEqual(bus.elementText(createElement({ text: '  Únete a la lista de espera  ' }), 10), 'Únete a la');
+        assert.strictEqual(bus.elementText(createElement({ tag: 'textarea', text: 'Mi dirección es...' })), '');
+        assert.strictEqual(bus.elementText(createElement({ tag: 'div', text: 'Escribí esto', editable: true })), '');
+        // A tracked card wrapping a form field, and a span inside an editable region
+        assert.strictEqual(bus.elementText(createElement({ tag: 'div', dataTrack: true, text: 'Nota: pagar renta', contains: ['textarea'] })), '');
+        const editor = createElement({ tag: 'div', editable: true });
+        assert.strictEqual(bus.elementText(createElement({ tag: 'span', text: 'texto', parent: editor })), '');
+        assert.strictEqual(bus.elementText(null), '');
+    }
+
+    testDestinations() {
+        const noop = () => {};
+        const mixpanelCalls = [];
+        const requests = [];
+        const listeners = {};
+        const elements = {
+            'micro-email-input': { value: ` ${EMAIL} ` },
+            'interest-level': { value: 'Muy alta, quiero pagar renta' },
+            'crypto-experience': { value: 'ninguna' }
+        };
+
+        const context = {
+            console: { log: noop, warn: noop, error: noop },
+            localStorage: createStorage(),
+            sessionStorage: createStorage(),
+            location: { hostname: 'facepay.com.mx', href: 'https://facepay.com.mx/?email=ana.perez%40correo.mx', search: '' },
+            navigator: { userAgent: 'Mozilla/5.0' },
+            screen: { width: 1280, height: 800 },
+            innerWidth: 1280,
+            innerHeight: 800,
+            scrollX: 0,
+            scrollY: 0,
+            document: {
+                readyState: 'loading',
+                cookie: '',
+                title: 'FacePay',
+                referrer: `https://t.co/?via=${USERNAME}`,
+                addEventListener: (type, listener) => { listeners[type] = listener; },
+                createElement: tag => ({ tag }),
+                head: { appendChild: noop },
+                getElementById: id => elements[id] || null,
+                querySelectorAll: () => []
+            },
+            mixpanel: {
+                __SV: 1.2,
+                init: noop,
+                track: (name, properties) => mixpanelCalls.push(['track', name, properties]),
+                identify: id => mixpanelCalls.push(['identify', id]),
+                people: { set: traits => mixpanelCalls.push(['people.set', traits]) }
+            },
+            fetch: async (url, init) => {
+                requests.push(init.body);
+                return { ok: true, status: 202 };
+            },
+            FacePayAnalyticsConfig: { mixpanelToken: 'mp-token', endpoint: '/api/analytics', batchSize: 100, flushInterval: 0 },
+            addEventListener: noop,
+            setTimeout: noop,
+            setInterval: noop,
+            URLSearchParams,
+            TextEncoder,
+            Date,
+            JSON
+        };
+        context.window = context;
+        vm.createContext(context);
+
+        const load = (file, transform = source => source) => {
+            vm.runInContext(transform(fs.readFileSync(path.join(ROOT, file), 'utf8')), context);
+        };
+        load('consent-manager.js');
+        load('analytics-event-bus.js');
+        load('analytics-system.js', source => `${source}\nthis.FacePayAnalytics = FacePayAnalytics;`);
+        // ES modules in the page; as classic scripts they set their window globals all the same
+        load('micro-conversions-optimizer.js', source => source.replace('export class', 'class').replace('export default MicroConversionsOptimizer;', ''));
+        context.FacePayConsent.acceptAll();
+
+        // FacePayAnalytics click tracking, with nothing else it would start in a browser
+        context.FacePayAnalytics.prototype.init = noop;
+        const analytics = new context.FacePayAnalytics();
+        analytics.config = { ...analytics.config, trackScrollDepth: false, trackVideoEngagement: false, trackFormInteractions: false };
+        analytics.initUserBehaviorTracking();
+        listeners.click({ target: createElement({ dataTrack: true, text: `Enviar a ${USERNAME} (${EMAIL})` }) });
+        analytics.trackEvent('javascript_error', { message: `Insufficient funds in ${WALLET} or ${STARKNET_WALLET}` });
+        analytics.setUser(EMAIL, { email: EMAIL, plan: 'pro' });
+
+        // MicroConversionsOptimizer.handleEmailCapture() on the second capture prompt
+        const optimizer = Object.create(context.MicroConversionsOptimizer.prototype);
+        Object.assign(optimizer, {
+            options: { leadScoringEnabled: true },
+            leadScoringRules: { email_captured: 25 },
+            leadScore: 10,
+            engagementLevel: 'cold',
+            userProfile: { profileData: {} },
+            microConversions: new Map([['email_capture', { attempts: 2 }]]),
+            showEmailCaptureSuccess: noop,
+            scheduleNextProfilingStep: noop,
+            persistUserProfile: noop
+        });
+        optimizer.handleEmailCapture();
+
+        context.FacePayEvents.flush();
+
+        const ga4 = Array.from(context.dataLayer, entry => Array.from(entry));
+        const outgoing = {
+            ga4: JSON.stringify(ga4),
+            mixpanel: JSON.stringify(mixpanelCalls),
+            endpoint: requests.join('\n')
+        };
+
+        // Every event made it to every destination...
+        const gaEvents = ga4.filter(([command]) => command === 'event').map(([, name]) => name);
+        ['click', 'javascript_error', 'user_identify', 'lead_score_updated', 'micro_conversion_completed'].forEach(name => {
+            assert.ok(gaEvents.includes(name), `GA4 ${name}`);
+            assert.ok(mixpanelCalls.some(([method, event]) => method === 'track' && event === name), `Mixpanel ${name}`);
+            assert.ok(outgoing.endpoint.includes(`"event_name":"${name}"`), `endpoint ${name}`);
+        });
+
+        // ...with nothing personal left in it, in any spelling
+        const raw = [EMAIL, 'ana.perez%40correo', WALLET, STARKNET_WALLET, USERNAME, 'quiero pagar renta', 'ninguna'];
+        Object.entries(outgoing).forEach(([destination, payload]) => {
+            raw.forEach(value => {
+                assert.ok(!payload.toLowerCase().includes(value.toLowerCase()), `${destination} received ${value}`);
+            });
+        });
+
+        // The email is still there as a hash, so conversions can be counted and joined
+        const completed = requests.flatMap(body => JSON.parse(body).events).find(event => event.event_name === 'micro_conversion_completed');
+        assert.strictEqual(completed.email, expectedHash(EMAIL));
+        assert.strictEqual(completed.type, 'email_capture');
+        assert.strictEqual(completed.profile_data, undefined);
+        assert.strictEqual(completed.page_url, 'https://facepay.com.mx/?email=[email]');
+        assert.ok(mixpanelCalls.some(([method, id]) => method === 'identify' && id === expectedHash(EMAIL)));
+        assert.ok(ga4.some(([command, config]) => command === 'set' && config.user_id === expectedHash(EMAIL)));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} PII redaction tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new PiiRedactionTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 PII REDACTION TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = PiiRedactionTestSuite;
@@ -0,0 +1,780 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * SESSION REPLAY TEST SUITE
+ * session-replay-recorder.js recording a page through the event bus (masking, mutations, inputs, scroll,
+ * chunks), the collector's /replay route, and session-replay-player.js rebuilding what was recorded
+ */
+
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+const PAGE_URL = 'https://facepay.com.mx/?ref=ana@correo.mx';
+const SECRETS = ['ana@correo.mx', 'hunter2', 'Paga con tu cara', 'mi mensaje', 'notas privadas', 'secret()', 'track()', 'Únete'];
+const VOID_TAGS = ['input', 'link', 'meta', 'base', 'img', 'br'];
+
+function createStorage(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+}
+
+/**
+ * A DOM as far as the recorder and the renderer use it: tree edits, attributes, a MutationObserver
+ * whose records are delivered by deliverMutations(), and document listeners fired by dispatch()
+ */
+class FakeNode {
+    constructor(nodeType, ownerDocument) {
+        this.nodeType = nodeType;
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return node.nodeType === 9;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, reference) {
+        child.parentNode?.removeChild(child);
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, child);
+        child.parentNode = this;
+        this.notify({ type: 'childList', target: this, addedNodes: [child], removedNodes: [] });
+        return child;
+    }
+
+    removeChild(child) {
+        this.notify({ type: 'childList', target: this, addedNodes: [], removedNodes: [child] });
+        this.childNodes.splice(this.childNodes.indexOf(child), 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    notify(record) {
+        if (this.isConnected) this.ownerDocument?.queueRecord(record);
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(text, ownerDocument) {
+        super(3, ownerDocument);
+        this.data = text;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = text;
+        this.notify({ type: 'characterData', target: this });
+    }
+
+    toHTML() {
+        return this.data;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tag, ownerDocument, namespaceURI = 'http://www.w3.org/1999/xhtml') {
+        super(1, ownerDocument);
+        this.tagName = namespaceURI === 'http://www.w3.org/1999/xhtml' ? tag.toUpperCase() : tag;
+        this.namespaceURI = namespaceURI;
+        this.attributeMap = new Map();
+        this.rect = { left: 0, top: 0, width: 0, height: 0 };
+        this.scrollLeft = 0;
+        this.scrollTop = 0;
+        this.fieldValue = undefined;
+        this.fieldChecked = undefined;
+    }
+
+    get attributes() {
+        return [...this.attributeMap].map(([name, value]) => ({ name, value }));
+    }
+
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    setAttribute(name, value) {
+        this.attributeMap.set(name, String(value));
+        this.notify({ type: 'attributes', target: this, attributeName: name });
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name);
+        this.notify({ type: 'attributes', target: this, attributeName: name });
+    }
+
+    get type() {
+        return (this.getAttribute('type') || 'text').toLowerCase();
+    }
+
+    // Field state, as the visitor left it; starts from the markup like a browser's
+    get value() {
+        if (this.fieldValue !== undefined) return this.fieldValue;
+        return this.tagName === 'TEXTAREA' ? this.childNodes.map(child => child.textContent).join('') : this.getAttribute('value') ?? '';
+    }
+
+    set value(value) {
+        this.fieldValue = value;
+    }
+
+    get checked() {
+        return this.fieldChecked ?? this.hasAttribute('checked');
+    }
+
+    set checked(checked) {
+        this.fieldChecked = checked;
+    }
+
+    get isContentEditable() {
+        return this.hasAttribute('contenteditable') || !!this.parentNode?.isContentEditable;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(text) {
+        [...this.childNodes].forEach(child => this.removeChild(child));
+        this.appendChild(new FakeText(text, this.ownerDocument));
+    }
+
+    getBoundingClientRect() {
+        return this.rect;
+    }
+
+    // Tag names and [attribute], comma separated: all the recorder asks for
+    matches(selector) {
+        return selector.split(',').map(part => part.trim()).some(part => {
+            const attribute = /^\[([\w-]+)\]$/.exec(part);
+            return attribute ? this.hasAttribute(attribute[1]) : part === this.tagName.toLowerCase();
+        });
+    }
+
+    closest(selector) {
+        for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    toHTML() {
+        const tag = this.tagName.toLowerCase();
+        const attributes = this.attributes.map(({ name, value }) => (value === '' ? ` ${name}` : ` ${name}="${value}"`)).join('');
+        if (VOID_TAGS.includes(tag)) return `<${tag}${attributes}>`;
+        return `<${tag}${attributes}>${this.childNodes.map(child => child.toHTML()).join('')}</${tag}>`;
+    }
+}
+
+class FakeDocument extends FakeNode {
+    constructor() {
+        super(9, null);
+        this.ownerDocument = this;
+        this.readyState = 'complete';
+        this.title = 'FacePay';
+        this.referrer = '';
+        this.observers = [];
+        this.listeners = [];
+    }
+
+    get documentElement() {
+        return this.childNodes.find(child => child.nodeType === 1) || null;
+    }
+
+    createElement(tag) {
+        return new FakeElement(tag, this);
+    }
+
+    createElementNS(namespaceURI, tag) {
+        return new FakeElement(tag, this, namespaceURI);
+    }
+
+    createTextNode(text) {
+        return new FakeText(text, this);
+    }
+
+    // What the player does to reset its iframe
+    open() {
+        [...this.childNodes].forEach(child => this.removeChild(child));
+    }
+
+    write(markup) {
+        if (markup.includes('<html>')) this.appendChild(this.createElement('html'));
+    }
+
+    close() {}
+
+    queueRecord(record) {
+        this.observers.forEach(observer => observer.records.push(record));
+    }
+
+    deliverMutations() {
+        this.observers.forEach(observer => {
+            const records = observer.records.splice(0);
+            if (records.length > 0) observer.callback(records);
+        });
+    }
+
+    addEventListener(type, handler, options) {
+        this.listeners.push({ type, handler, capture: options === true || !!options?.capture });
+    }
+
+    removeEventListener(type, handler, options) {
+        const capture = options === true || !!options?.capture;
+        this.listeners = this.listeners.filter(listener => !(listener.type === type && listener.handler === handler && listener.capture === capture));
+    }
+
+    dispatch(type, event) {
+        this.listeners.filter(listener => listener.type === type).forEach(listener => listener.handler(event));
+    }
+}
+
+class FakeMutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.records = [];
+        this.target = null;
+    }
+
+    observe(target) {
+        this.target = target;
+        target.observers.push(this);
+    }
+
+    disconnect() {
+        if (this.target) this.target.observers = this.target.observers.filter(observer => observer !== this);
+        this.target = null;
+    }
+}
+
+// h('tag', { attributes }, ...children); strings are text nodes
+function createBuilder(document) {
+    return function h(tag, attributes = {}, ...children) {
+        const element = tag === 'svg' || tag === 'circle' ? document.createElementNS('http://www.w3.org/2000/svg', tag) : document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => element.attributeMap.set(name, value));
+        children.forEach(child => element.childNodes.push(typeof child === 'string' ? new FakeText(child, document) : child));
+        element.childNodes.forEach(child => {
+            child.parentNode = element;
+        });
+        return element;
+    };
+}
+
+function createPage() {
+    const document = new FakeDocument();
+    const h = createBuilder(document);
+
+    const video = h('video', { src: '/demo.mp4', class: 'demo' }, h('source', { src: '/demo.webm' }));
+    video.rect = { left: 0, top: 0, width: 640.4, height: 360 };
+    const parts = {
+        title: h('h1', {}, 'Paga con tu cara'),
+        cta: h('a', { href: '/signup?email=ana@correo.mx', onclick: 'track()', title: 'Únete' }, 'Únete ahora'),
+        email: h('input', { type: 'email', value: 'ana@correo.mx', placeholder: 'Tu correo' }),
+        password: h('input', { type: 'password', value: 'hunter2' }),
+        shown: h('input', { type: 'text', value: 'Plan Pro' }),
+        terms: h('input', { type: 'checkbox' }),
+        message: h('textarea', {}, 'mi mensaje'),
+        notes: h('div', { contenteditable: '' }, 'notas privadas'),
+        video,
+        icon: h('svg', { viewBox: '0 0 8 8' }, h('circle', { r: '4' }))
+    };
+    parts.hero = h('section', { id: 'hero' }, parts.title, ' ', parts.cta);
+    parts.pricing = h('section', { 'data-replay-unmask': '' },
+        h('p', {}, 'Cero comisiones'),
+        h('p', { 'data-replay-mask': '' }, 'Hola Ana'),
+        parts.shown,
+        parts.password,
+        parts.notes
+    );
+    parts.form = h('form', {}, parts.email, parts.terms, parts.message);
+    parts.body = h('body', {}, parts.hero, parts.pricing, parts.form, parts.video, parts.icon);
+
+    document.appendChild(h('html', { lang: 'es' },
+        h('head', {},
+            h('title', {}, 'FacePay'),
+            h('meta', { name: 'description', content: 'Pagos' }),
+            h('link', { rel: 'stylesheet', href: '/styles.css' }),
+            h('link', { rel: 'preload', href: '/app.js' }),
+            h('style', {}, 'h1 { color: red; }'),
+            h('script', {}, 'secret()')
+        ),
+        parts.body
+    ));
+    return { document, h, ...parts };
+}
+
+class SessionReplayTestSuite {
+    constructor() {
+        this.results = [];
+        this.directories = [];
+    }
+
+    async runAllTests() {
+        console.log('🎥 STARTING SESSION REPLAY TEST SUITE');
+
+        // Loaded before window exists, so neither creates its own page-wide instance
+        this.recorderModule = require('../../session-replay-recorder.js');
+        this.busModule = require('../../analytics-event-bus.js');
+        this.collector = await import('../../analytics-collector.js');
+        this.player = await import('../../session-replay-player.js');
+
+        try {
+            await this.test('the snapshot masks text and fields and leaves out scripts and handlers', () => this.testSnapshotMasking());
+            await this.test('mutations, inputs, scrolls, clicks and bus events are recorded in order', () => this.testIncrementalEvents());
+            await this.test('chunks are compressed, stored by the collector and rebuilt by the player', () => this.testRoundTrip());
+            await this.test('page-hide beacons, withdrawn consent and sampling', () => this.testBeaconConsentAndSampling());
+            await this.test('the player seeks, plays, scales and reports missing chunks', () => this.testPlayer());
+            await this.test('posted chunks with hostile timings and sizes never reach the player as markup', () => this.testHostileChunks());
+        } finally {
+            ['window', 'document', 'location', 'navigator', 'MutationObserver'].forEach(name => delete global[name]);
+            this.directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    /**
+     * A page with the bus and the recorder as its only destination; chunks go to a real collector
+     */
+    async record(options = {}) {
+        const page = createPage();
+        const windowListeners = [];
+        global.document = page.document;
+        global.location = { href: PAGE_URL };
+        global.navigator = { userAgent: 'Mozilla/5.0', sendBeacon: options.sendBeacon };
+        global.MutationObserver = FakeMutationObserver;
+        global.window = {
+            innerWidth: 1280,
+            innerHeight: 800,
+            scrollX: 0,
+            scrollY: 0,
+            addEventListener: (type, handler) => windowListeners.push({ type, handler }),
+            removeEventListener: (type, handler) => windowListeners.splice(windowListeners.findIndex(listener => listener.handler === handler), 1)
+        };
+
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facepay-replay-'));
+        this.directories.push(dataDir);
+        const collector = new this.collector.AnalyticsCollector({ dataDir, now: () => NOW });
+        const posted = [];
+        const realFetch = global.fetch;
+        global.fetch = async (url, init) => {
+            posted.push(JSON.parse(init.body));
+            if (options.offline) throw new TypeError('Failed to fetch');
+            return collector.handle(new Request(`http://localhost${url}`, init));
+        };
+
+        let onConsent = null;
+        const recorder = new this.recorderModule.SessionReplayRecorder({ chunkInterval: 60 * 60 * 1000, ...options.replay });
+        const bus = new this.busModule.AnalyticsEventBus({
+            consent: { has: category => category === 'analytics', onChange: callback => { onConsent = callback; } },
+            storage: createStorage(),
+            sessionStorage: createStorage(),
+            destinations: [recorder]
+        });
+
+        return {
+            page,
+            bus,
+            recorder,
+            collector,
+            posted,
+            windowListeners,
+            withdrawConsent: () => onConsent({ analytics: false }),
+            stored: async () => (await (await collector.handle(new Request(`http://localhost/api/analytics/query?collection=replay&session=${bus.getIdentity()?.sessionId ?? ''}&limit=1000`))).json()),
+            done: async () => {
+                recorder.stop();
+                await recorder.sending;
+                global.fetch = realFetch;
+                await collector.close();
+            }
+        };
+    }
+
+    async events(posted) {
+        const decoded = await Promise.all(posted.map(chunk => this.player.decodeChunk(chunk)));
+        return decoded.flat();
+    }
+
+    async testSnapshotMasking() {
+        const session = await this.record();
+        try {
+            await session.recorder.sending;
+            assert.strictEqual(session.posted.length, 1);
+            const [chunk] = session.posted;
+            assert.strictEqual(chunk.encoding, 'gzip-base64');
+            assert.strictEqual(chunk.sequence, 0);
+            assert.strictEqual(chunk.session_id, session.bus.getIdentity().sessionId);
+            assert.strictEqual(chunk.url, 'https://facepay.com.mx/?ref=[email]');
+
+            const events = await this.events(session.posted);
+            assert.deepStrictEqual(events.map(event => event.type), ['meta', 'snapshot', 'event']);
+            assert.deepStrictEqual(events[0], { t: events[0].t, type: 'meta', url: 'https://facepay.com.mx/?ref=[email]', width: 1280, height: 800 });
+            assert.strictEqual(events[2].name, 'session_replay_started');
+
+            // Rebuilt, the page is the original with every word masked
+            const document = new FakeDocument();
+            const renderer = new this.player.ReplayRenderer(document);
+            events.forEach(event => renderer.apply(event));
+            assert.strictEqual(document.documentElement.toHTML(), [
+                '<html lang="es"><head><base href="https://facepay.com.mx/?ref=[email]"><title>*******</title>',
+                '<link rel="stylesheet" href="/styles.css"><style>h1 { color: red; }</style></head>',
+                '<body><section id="hero"><h1>**** *** ** ****</h1> <a href="/signup?email=[email]" title="*****">***** *****</a></section>',
+                '<section data-replay-unmask><p>Cero comisiones</p><p data-replay-mask>**** ***</p>',
+                '<input type="text"><input type="password"><div contenteditable>***** ********</div></section>',
+                '<form><input type="email" placeholder="** ******"><input type="checkbox"><textarea>** *******</textarea></form>',
+                '<video style="display:inline-block;width:640px;height:360px;background:#1f2937" class="demo" data-replay-blocked></video>',
+                '<svg viewBox="0 0 8 8"><circle r="4"></circle></svg></body></html>'
+            ].join(''));
+
+            // Field values: masked unless inside data-replay-unmask, and passwords always
+            const field = element => renderer.nodes.get(session.recorder.ids.get(element));
+            assert.strictEqual(field(session.page.email).value, '*************');
+            assert.strictEqual(field(session.page.shown).value, 'Plan Pro');
+            assert.strictEqual(field(session.page.password).value, '*******');
+            assert.strictEqual(field(session.page.message).value, '** *******');
+            assert.strictEqual(field(session.page.terms).checked, false);
+            assert.strictEqual(field(session.page.icon).namespaceURI, 'http://www.w3.org/2000/svg');
+
+            const sent = JSON.stringify(events);
+            SECRETS.forEach(secret => assert.ok(!sent.includes(secret), `the recording contains ${secret}`));
+        } finally {
+            await session.done();
+        }
+    }
+
+    async testIncrementalEvents() {
+        const session = await this.record();
+        const { page, recorder, bus } = session;
+        try {
+            await recorder.sending;
+
+            // Text, attributes, a node inserted before an existing one, a removal, and a change inside a blocked element
+            page.title.childNodes[0].textContent = 'Paga con tu cara, sin tarjeta';
+            page.hero.setAttribute('class', 'open');
+            page.cta.setAttribute('title', 'Únete ya');
+            page.cta.setAttribute('onmouseover', 'track()');
+            const banner = page.h('div', { role: 'status' }, 'Código enviado a ana@correo.mx');
+            page.body.insertBefore(banner, page.form);
+            const note = page.h('p', {}, 'Nueva');
+            page.pricing.appendChild(note);
+            page.pricing.removeChild(note);
+            page.body.removeChild(page.icon);
+            page.video.appendChild(page.h('track', { src: '/subs.vtt' }));
+            page.document.deliverMutations();
+
+            page.email.value = 'ana@correo.mx';
+            page.document.dispatch('input', { target: page.email });
+            page.shown.value = 'Plan Business';
+            page.document.dispatch('input', { target: page.shown });
+            page.terms.checked = true;
+            page.document.dispatch('change', { target: page.terms });
+
+            window.scrollY = 300;
+            page.document.dispatch('scroll', { target: page.document });
+            page.pricing.scrollTop = 40;
+            page.document.dispatch('scroll', { target: page.pricing });
+            page.document.dispatch('click', { target: page.cta, clientX: 200, clientY: 420 });
+            bus.publish('funnel_stage_completed', { stage_id: 'interest', trigger: 'scroll_25' }, { tracker: 'tracking-system' });
+
+            await recorder.flush();
+            assert.strictEqual(session.posted.length, 2);
+            assert.strictEqual(session.posted[1].sequence, 1);
+
+            const events = (await this.events(session.posted.slice(1))).map(({ t, ...event }) => event);
+            const id = node => recorder.ids.get(node);
+            assert.deepStrictEqual(events[0], {
+                type: 'mutation',
+                // The paragraph came and went between two deliveries, so only the icon is removed
+                removes: [id(page.icon)],
+                adds: [{
+                    parent: id(page.body),
+                    next: id(page.form),
+                    node: { id: id(banner), type: 'element', tag: 'div', attributes: { role: 'status' }, children: [{ id: id(banner.childNodes[0]), type: 'text', text: '****** ******* * *************' }] }
+                }],
+                texts: [{ id: id(page.title.childNodes[0]), text: '**** *** ** ***** *** *******' }],
+                attributes: [
+                    { id: id(page.hero), name: 'class', value: 'open' },
+                    { id: id(page.cta), name: 'title', value: '***** **' }
+                ]
+            });
+            assert.deepStrictEqual(events.slice(1), [
+                { type: 'input', id: id(page.email), value: '*************' },
+                { type: 'input', id: id(page.shown), value: 'Plan Business' },
+                { type: 'input', id: id(page.terms), checked: true },
+                { type: 'click', id: id(page.cta), x: 200, y: 420 },
+                { type: 'event', name: 'funnel_stage_completed', category: 'Conversion', stage: 'interest' },
+                // Coalesced scrolls are taken when the chunk is made
+                { type: 'scroll', id: 0, x: 0, y: 300 },
+                { type: 'scroll', id: id(page.pricing), x: 0, y: 40 }
+            ]);
+            assert.deepStrictEqual(recorder.stats, { chunks: 2, events: 11 });
+        } finally {
+            await session.done();
+        }
+    }
+
+    async testRoundTrip() {
+        const session = await this.record();
+        const { page, recorder } = session;
+        try {
+            await recorder.sending;
+            page.body.insertBefore(page.h('div', { role: 'status' }, 'Hola'), page.hero);
+            page.title.childNodes[0].textContent = 'Otra cosa';
+            page.cta.removeAttribute('title');
+            page.document.deliverMutations();
+            page.shown.value = 'Plan Business';
+            page.document.dispatch('input', { target: page.shown });
+            await recorder.flush();
+
+            const stored = await session.stored();
+            assert.strictEqual(stored.count, 2);
+            assert.deepStrictEqual(stored.records.map(record => [record.name, record.replay_id, record.sequence, record.encoding]), [
+                ['replay_chunk', recorder.replayId, 0, 'gzip-base64'],
+                ['replay_chunk', recorder.replayId, 1, 'gzip-base64']
+            ]);
+
+            // A chunk posted twice is used once
+            const records = this.player.parseReplayRecords(JSON.stringify({ ...stored, records: [...stored.records, stored.records[1]] }));
+            const [replay] = await this.player.assembleReplays(records);
+            assert.strictEqual(replay.replayId, recorder.replayId);
+            assert.strictEqual(replay.sessionId, session.bus.getIdentity().sessionId);
+            assert.deepStrictEqual([replay.chunks, replay.missing, replay.playable, replay.viewport], [2, [], true, { width: 1280, height: 800 }]);
+
+            // Played to the end, the replay is the page as it is now, masked the same way
+            const replayed = new FakeDocument();
+            const renderer = new this.player.ReplayRenderer(replayed);
+            replay.events.forEach(event => renderer.apply(event));
+            const fresh = new FakeDocument();
+            const expected = new this.player.ReplayRenderer(fresh);
+            expected.apply({ type: 'meta', url: 'https://facepay.com.mx/?ref=[email]', width: 1280, height: 800 });
+            const serializer = new this.recorderModule.SessionReplayRecorder();
+            serializer.bus = session.bus;
+            expected.apply({ type: 'snapshot', node: serializer.serialize(page.document.documentElement), scroll: { x: 0, y: 0 } });
+            assert.strictEqual(replayed.documentElement.toHTML(), fresh.documentElement.toHTML());
+            assert.strictEqual(renderer.nodes.get(recorder.ids.get(page.shown)).value, 'Plan Business');
+
+            // The collector checks chunks like any other payload
+            const invalid = await session.collector.handle(new Request('http://localhost/api/analytics/replay', {
+                method: 'POST',
+                body: JSON.stringify({ replay_id: 'rpl_1', session_id: 'session_1', sequence: 1.5, started_at: NOW, encoding: 'brotli', data: '' })
+            }));
+            assert.strictEqual(invalid.status, 400);
+            assert.deepStrictEqual((await invalid.json()).issues, [
+                'sequence: expected a whole number',
+                'encoding: expected one of gzip-base64, json',
+                'data: expected the encoded events as a non-empty string'
+            ]);
+        } finally {
+            await session.done();
+        }
+    }
+
+    async testBeaconConsentAndSampling() {
+        const beacons = [];
+        const session = await this.record({ offline: true, sendBeacon: (url, body) => beacons.push({ url, body: JSON.parse(body) }) });
+        const { page, recorder } = session;
+        try {
+            // The snapshot couldn't be posted, so it waits with the next chunk for the page-hide beacon
+            await recorder.sending;
+            assert.strictEqual(recorder.pending.length, 1);
+            page.title.childNodes[0].textContent = 'Adiós';
+            page.document.deliverMutations();
+            await session.bus.flush({ beacon: true });
+
+            assert.deepStrictEqual(beacons.map(beacon => [beacon.url, beacon.body.sequence, beacon.body.encoding]), [
+                ['/api/analytics/replay', 0, 'gzip-base64'],
+                ['/api/analytics/replay', 1, 'json']
+            ]);
+            assert.deepStrictEqual(beacons.map(beacon => this.collector.validateReplay(beacon.body)), [[], []]);
+            assert.strictEqual(JSON.parse(beacons[1].body.data)[0].texts[0].text, '*****');
+            assert.strictEqual(recorder.pending.length, 0);
+
+            // Withdrawing consent stops recording and drops whatever wasn't sent
+            page.title.childNodes[0].textContent = 'Otra vez';
+            page.document.deliverMutations();
+            session.withdrawConsent();
+            assert.strictEqual(recorder.recording, false);
+            assert.deepStrictEqual([recorder.buffer, recorder.pending, page.document.observers, page.document.listeners, session.windowListeners], [[], [], [], [], []]);
+            page.title.childNodes[0].textContent = 'Nada';
+            page.document.deliverMutations();
+            await session.bus.flush({ beacon: true });
+            assert.strictEqual(beacons.length, 2);
+        } finally {
+            await session.done();
+        }
+
+        const unsampled = await this.record({ replay: { sampleRate: 0 } });
+        try {
+            assert.strictEqual(unsampled.recorder.recording, false);
+            assert.deepStrictEqual(unsampled.posted, []);
+        } finally {
+            await unsampled.done();
+        }
+    }
+
+    async testPlayer() {
+        const session = await this.record();
+        const { page, recorder } = session;
+        let replay;
+        try {
+            await recorder.sending;
+            const startedAt = recorder.startedAt;
+            const realNow = Date.now;
+            try {
+                Date.now = () => startedAt + 4000;
+                page.title.childNodes[0].textContent = 'Después';
+                page.document.deliverMutations();
+                session.bus.publish('funnel_stage_completed', { stage_id: 'interest' });
+                await recorder.flush();
+                Date.now = () => startedAt + 8000;
+                window.innerWidth = 390;
+                window.innerHeight = 844;
+                session.windowListeners.find(listener => listener.type === 'resize').handler();
+                window.scrollY = 500;
+                page.document.dispatch('scroll', { target: page.document });
+                await recorder.flush();
+            } finally {
+                Date.now = realNow;
+            }
+            [replay] = await this.player.assembleReplays((await session.stored()).records);
+        } finally {
+            await session.done();
+        }
+
+        const frameDocument = new FakeDocument();
+        const scrolls = [];
+        const frame = { contentDocument: frameDocument, contentWindow: { scrollTo: (x, y) => scrolls.push([x, y]) }, style: {} };
+        const stage = { clientWidth: 640, style: {} };
+        const ticks = [];
+        const player = new this.player.ReplayPlayer({ frame, stage, onTick: time => ticks.push(time) });
+
+        const frames = [];
+        global.requestAnimationFrame = callback => frames.push(callback);
+        global.cancelAnimationFrame = () => {};
+        try {
+            player.load(replay);
+            const title = () => frameDocument.documentElement.childNodes[1].childNodes[0].childNodes[0].textContent;
+            assert.strictEqual(title(), '**** *** ** ****');
+            // 1280 wide scaled into a 640 stage
+            assert.deepStrictEqual([frame.style.width, frame.style.height, frame.style.transform, stage.style.height], ['1280px', '800px', 'scale(0.5)', '400px']);
+
+            player.seek(5000);
+            assert.strictEqual(title(), '*******');
+            player.seek(replay.duration);
+            assert.deepStrictEqual([frame.style.width, frame.style.transform, scrolls[scrolls.length - 1]], ['390px', 'scale(1)', [0, 500]]);
+            player.seek(0);
+            assert.strictEqual(title(), '**** *** ** ****');
+
+            player.setSpeed(2);
+            player.play();
+            frames.shift()(1000);
+            frames.shift()(2250);
+            assert.strictEqual(player.time, 2500);
+            frames.shift()(3000);
+            assert.strictEqual(title(), '*******');
+            frames.shift()(9000);
+            assert.strictEqual(player.playing, false);
+            assert.strictEqual(player.time, replay.duration);
+            assert.strictEqual(ticks[ticks.length - 1], replay.duration);
+        } finally {
+            delete global.requestAnimationFrame;
+            delete global.cancelAnimationFrame;
+        }
+
+        const markers = this.player.renderMarkers(replay);
+        assert.match(markers, /class="marker funnel" style="left:[\d.]+%" data-time="4000" title="0:04 funnel_stage_completed \(interest\)"/);
+
+        // Chunks lost in transit are reported; without the first there is nothing to rebuild
+        const chunk = (sequence, events) => ({ replay_id: replay.replayId, session_id: replay.sessionId, started_at: replay.startedAt, sequence, encoding: 'json', data: JSON.stringify(events) });
+        const records = [chunk(0, replay.events.slice(0, 3)), chunk(2, replay.events.slice(-1))];
+        const [gappy] = await this.player.assembleReplays(records);
+        assert.deepStrictEqual(gappy.missing, [1]);
+        assert.match(this.player.renderReplayInfo(gappy), /Chunks 1 are missing/);
+        const [headless] = await this.player.assembleReplays(records.slice(1));
+        assert.strictEqual(headless.playable, false);
+        assert.throws(() => player.load(headless), /no page snapshot/);
+    }
+
+    async testHostileChunks() {
+        const events = [
+            { type: 'meta', t: 0, url: PAGE_URL, width: '<img src=x onerror=alert(1)>', height: 800 },
+            { type: 'meta', t: 0, url: PAGE_URL, width: 1280, height: 800 },
+            { type: 'snapshot', t: 0, node: { type: 'element', id: 1, tag: 'html', attributes: {}, children: [] } },
+            { type: 'event', t: '1" onmouseover="alert(1)', name: 'cta_click' },
+            { type: 'event', t: 500, name: '<img src=x onerror=alert(1)>', stage: '"><b>' },
+            { type: 'viewport', t: 600, width: { toString: null }, height: 844 },
+            null
+        ];
+        const [replay] = await this.player.assembleReplays([
+            { replay_id: 'r-hostile', session_id: 's-1', started_at: NOW, sequence: 0, encoding: 'json', data: JSON.stringify(events) }
+        ]);
+
+        assert.deepStrictEqual(replay.events.map(event => `${event.type}@${event.t}`), ['meta@0', 'snapshot@0', 'event@500']);
+        assert.deepStrictEqual(replay.viewport, { width: 1280, height: 800 });
+
+        const markup = this.player.renderMarkers(replay) + this.player.renderReplayInfo(replay);
+        assert.ok(!/<img|<b>|onmouseover|onerror="/.test(markup), markup);
+        assert.match(markup, /data-time="500" title="0:00 &lt;img src=x onerror=alert\(1\)&gt; \(&quot;&gt;&lt;b&gt;\)"/);
+
+        // Whatever reaches the renderers directly is escaped too
+        const forged = { ...replay, viewport: { width: '<img src=x onerror=alert(1)>', height: 1 }, markers: [{ t: '1" onmouseover="alert(1)', name: 'x' }] };
+        assert.ok(!/<img|" onmouseover/.test(this.player.renderReplayInfo(forged) + this.player.renderMarkers(forged)));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} session replay tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new SessionReplayTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 SESSION REPLAY TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = SessionReplayTestSuite;
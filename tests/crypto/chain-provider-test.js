@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const {
+    EVMProvider,
+    StarkNetProvider,
+    MockChainProvider,
+    createChainProvider,
+    parseUnits
+} = require('../../crypto-providers.js');
+
+/**
+ * CHAIN PROVIDER TEST SUITE
+ * Exercises the FacePayCryptoUX chain providers against a local JSON-RPC fixture
+ * and the in-memory mock chain - no public network access required
+ */
+
+class ChainProviderTestSuite {
+    constructor() {
+        this.results = [];
+        this.server = null;
+        this.rpcUrl = null;
+        this.rpcCalls = [];
+    }
+
+    // Minimal devnet fixture answering the RPC methods the providers use
+    startFixtureServer() {
+        const handlers = {
+            eth_chainId: () => '0x7a69',
+            eth_blockNumber: () => '0x10',
+            eth_gasPrice: () => '0x4a817c800',
+            eth_estimateGas: () => '0x5208',
+            eth_feeHistory: () => ({
+                oldestBlock: '0xf',
+                baseFeePerGas: ['0x3b9aca00', '0x4190ab00'],
+                // 2^53 + 1 wei: a Number would round it
+                reward: [['0x5f5e100', '0x20000000000001']],
+                gasUsedRatio: [0.6]
+            }),
+            eth_sendTransaction: () => '0x' + 'ab'.repeat(32),
+            eth_sendRawTransaction: () => '0x' + 'cd'.repeat(32),
+            eth_getTransactionReceipt: ([hash]) => ({
+                transactionHash: hash,
+                blockNumber: '0x11',
+                gasUsed: '0x5208',
+                status: '0x1'
+            }),
+            starknet_blockNumber: () => 42,
+            starknet_getBlockWithTxHashes: () => ({ l1_gas_price: { price_in_wei: '0x3b9aca00' } }),
+            starknet_getTransactionReceipt: () => {
+                throw { code: 29, message: 'Transaction hash not found' };
+            }
+        };
+
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const { id, method, params } = JSON.parse(body);
+                this.rpcCalls.push({ method, params });
+
+                let payload;
+                try {
+                    if (!handlers[method]) throw { code: -32601, message: `Method ${method} not found` };
+                    payload = { jsonrpc: '2.0', id, result: handlers[method](params) };
+                } catch (error) {
+                    payload = { jsonrpc: '2.0', id, error };
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.rpcUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    async runAllTests() {
+        console.log('⛓️  STARTING CHAIN PROVIDER TEST SUITE');
+        await this.startFixtureServer();
+
+        try {
+            await this.test('parseUnits converts decimal amounts to base units', () => this.testParseUnits());
+            await this.test('factory selects provider by type and fee model', () => this.testFactory());
+            await this.test('EVM provider reads chain state over JSON-RPC', () => this.testEvmReads());
+            await this.test('EVM provider normalizes eth_feeHistory', () => this.testEvmFeeHistory());
+            await this.test('EVM provider sends and confirms a devnet transaction', () => this.testEvmSend());
+            await this.test('EVM provider only sends unsigned transactions to unlocked devnet accounts', () => this.testEvmSignedOnly());
+            await this.test('EVM provider falls back for token transfers without calldata', () => this.testEvmTokenGas());
+            await this.test('StarkNet provider reads block and L1 gas price', () => this.testStarkNetReads());
+            await this.test('unreachable RPC reports disconnected status', () => this.testOfflineStatus());
+            await this.test('mock provider mines and confirms transactions in memory', () => this.testMockFlow());
+            await this.test('mock provider surfaces reverted transactions', () => this.testMockFailure());
+        } finally {
+            this.server.close();
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    testParseUnits() {
+        assert.strictEqual(parseUnits('1.5'), 1500000000000000000n);
+        assert.strictEqual(parseUnits(0.01), 10000000000000000n);
+        assert.strictEqual(parseUnits('25', 6), 25000000n);
+        assert.throws(() => parseUnits('1e18'));
+    }
+
+    testFactory() {
+        assert.ok(createChainProvider({ type: 'mock' }) instanceof MockChainProvider);
+        assert.ok(createChainProvider({ feeModel: 'starknet' }) instanceof StarkNetProvider);
+        assert.ok(createChainProvider({ rpcUrl: this.rpcUrl }) instanceof EVMProvider);
+
+        const existing = new MockChainProvider();
+        assert.strictEqual(createChainProvider(existing), existing);
+    }
+
+    async testEvmReads() {
+        const provider = new EVMProvider({ rpcUrl: this.rpcUrl, chainId: 31337 });
+
+        assert.strictEqual(await provider.getChainId(), 31337);
+        assert.strictEqual(await provider.getBlockNumber(), 16);
+        assert.strictEqual(await provider.getGasPrice(), 20000000000n);
+        assert.strictEqual(await provider.estimateGas({ to: '0x1', value: parseUnits('1'), token: 'ETH' }), 21000);
+
+        const estimateCall = this.rpcCalls.find(call => call.method === 'eth_estimateGas');
+        assert.strictEqual(estimateCall.params[0].value, '0xde0b6b3a7640000');
+    }
+
+    async testEvmFeeHistory() {
+        const provider = new EVMProvider({ rpcUrl: this.rpcUrl });
+        const history = await provider.getFeeHistory(1, [10, 90]);
+
+        assert.deepStrictEqual(history, {
+            oldestBlock: 15,
+            baseFeePerGas: [1000000000n, 1100000000n],
+            reward: [[100000000n, 9007199254740993n]],
+            gasUsedRatio: [0.6]
+        });
+
+        const call = this.rpcCalls.find(entry => entry.method === 'eth_feeHistory');
+        assert.deepStrictEqual(call.params, ['0x1', 'latest', [10, 90]]);
+    }
+
+    async testEvmSend() {
+        const provider = new EVMProvider({ rpcUrl: this.rpcUrl, pollInterval: 10, unlockedAccounts: true });
+        const hash = await provider.sendTransaction({ to: '0x1', value: 1n });
+        const receipt = await provider.waitForTransaction(hash);
+
+        assert.deepStrictEqual(receipt, { hash, blockNumber: 17, gasUsed: 21000, status: 'confirmed' });
+    }
+
+    async testEvmSignedOnly() {
+        const provider = new EVMProvider({ rpcUrl: this.rpcUrl });
+        const callsBefore = this.rpcCalls.length;
+
+        await assert.rejects(provider.sendTransaction({ to: '0x1', value: 1n }), { type: 'signer_unavailable' });
+        assert.strictEqual(this.rpcCalls.length, callsBefore);
+
+        const hash = await provider.sendTransaction({ to: '0x1', value: 1n, raw: '0x02f8' });
+        assert.strictEqual(hash, '0x' + 'cd'.repeat(32));
+        assert.deepStrictEqual(this.rpcCalls.slice(callsBefore), [{ method: 'eth_sendRawTransaction', params: ['0x02f8'] }]);
+    }
+
+    async testEvmTokenGas() {
+        const provider = new EVMProvider({ rpcUrl: this.rpcUrl });
+        const callsBefore = this.rpcCalls.length;
+
+        assert.strictEqual(await provider.estimateGas({ to: '0x1', value: 0n, token: 'USDC' }), 65000);
+        assert.strictEqual(this.rpcCalls.length, callsBefore);
+    }
+
+    async testStarkNetReads() {
+        const provider = new StarkNetProvider({ rpcUrl: this.rpcUrl });
+
+        assert.strictEqual(await provider.getBlockNumber(), 42);
+        assert.strictEqual(await provider.getGasPrice(), 1000000000n);
+        assert.strictEqual(await provider.getTransactionReceipt('0x1'), null);
+        await assert.rejects(provider.sendTransaction({ to: '0x1' }), { type: 'transaction_rejected' });
+    }
+
+    async testOfflineStatus() {
+        const provider = new EVMProvider({ rpcUrl: 'http://127.0.0.1:1', timeout: 1000 });
+        const status = await provider.getStatus();
+
+        assert.strictEqual(status.connected, false);
+        await assert.rejects(provider.getBlockNumber(), { type: 'network_error' });
+    }
+
+    async testMockFlow() {
+        const provider = new MockChainProvider({ gasPrice: 30e9, blockNumber: 100 });
+
+        assert.strictEqual(await provider.getGasPrice(), 30000000000n);
+        assert.strictEqual(await provider.estimateGas({ to: '0x1', token: 'USDC' }), 65000);
+
+        const hash = await provider.sendTransaction({ to: '0x1', value: 1n, gasLimit: 21000 });
+        const receipt = await provider.waitForTransaction(hash);
+        assert.deepStrictEqual(receipt, { hash, blockNumber: 101, gasUsed: 21000, status: 'confirmed' });
+
+        provider.setOnline(false);
+        assert.strictEqual((await provider.getStatus()).connected, false);
+    }
+
+    async testMockFailure() {
+        const provider = new MockChainProvider();
+        const hash = await provider.sendTransaction({ to: '0x1', shouldFail: true });
+
+        await assert.rejects(provider.waitForTransaction(hash), { type: 'transaction_rejected' });
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} chain provider tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new ChainProviderTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 CHAIN PROVIDER TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ChainProviderTestSuite;
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { MockChainProvider, StaticPriceFeed } = require('../../crypto-providers.js');
+const { FeeEstimator, quantile } = require('../../crypto-fee-estimator.js');
+
+/**
+ * FEE ESTIMATOR TEST SUITE
+ * Validates EIP-1559 / StarkNet / legacy fee estimation against fee-history fixtures
+ */
+
+const GWEI = 1000000000n;
+
+class FeeEstimatorTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    // Four blocks of history: base fee rising 10 -> 13 gwei, next block at 14 gwei
+    createEip1559Provider(overrides = {}) {
+        return new MockChainProvider({
+            feeHistory: {
+                oldestBlock: 1,
+                baseFeePerGas: [10n, 11n, 12n, 13n, 14n].map(fee => fee * GWEI),
+                reward: [
+                    [1n * GWEI, 2n * GWEI, 4n * GWEI],
+                    [1n * GWEI, 2n * GWEI, 5n * GWEI],
+                    [0n, 0n, 0n],
+                    [1n * GWEI, 3n * GWEI, 6n * GWEI]
+                ],
+                gasUsedRatio: [0.5, 0.7, 0, 0.4]
+            },
+            ...overrides
+        });
+    }
+
+    async runAllTests() {
+        console.log('⛽ STARTING FEE ESTIMATOR TEST SUITE');
+
+        await this.test('quantile interpolates between samples', () => this.testQuantile());
+        await this.test('EIP-1559 speeds use next base fee plus tip percentiles', () => this.testEip1559Speeds());
+        await this.test('confidence interval brackets the expected cost', () => this.testConfidenceInterval());
+        await this.test('fiat totals use the price feed for fee and token', () => this.testFiatTotals());
+        await this.test('token transfers use per-token gas from the provider', () => this.testTokenTransferGas());
+        await this.test('missing prices leave fiat values empty', () => this.testMissingPrices());
+        await this.test('legacy fee model falls back to a single gas price', () => this.testLegacyFallback());
+        await this.test('no tip market collapses speeds to the same wait', () => this.testNoTipMarket());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    testQuantile() {
+        assert.strictEqual(quantile([1, 2, 3, 4], 0.5), 2.5);
+        assert.strictEqual(quantile([5], 0.9), 5);
+        assert.strictEqual(quantile([], 0.5), 0);
+        // Wei stays BigInt and rounds down to whole wei
+        assert.strictEqual(quantile([4n, 1n, 3n, 2n], 0.5), 2n);
+        assert.strictEqual(quantile([2n ** 60n, 2n ** 60n + 2n], 0.5), 2n ** 60n + 1n);
+    }
+
+    async testEip1559Speeds() {
+        const estimator = new FeeEstimator({ provider: this.createEip1559Provider() });
+        const estimate = await estimator.estimate({ to: '0x1', amount: '1', token: 'ETH' });
+
+        assert.strictEqual(estimate.source, 'fee-history');
+        assert.strictEqual(estimate.gasLimit, 21000);
+        assert.strictEqual(estimate.baseFee, 14n * GWEI);
+        // Empty block 3 is excluded from the sample
+        assert.strictEqual(estimate.sampleSize, 3);
+
+        const { slow, standard, fast } = estimate.speeds;
+        assert.strictEqual(slow.price, 15n * GWEI);
+        assert.strictEqual(standard.price, 16n * GWEI);
+        assert.strictEqual(fast.price, 19n * GWEI);
+        assert.strictEqual(standard.maxPriorityFeePerGas, 2n * GWEI);
+        assert.strictEqual(standard.maxFeePerGas, 30n * GWEI);
+        assert.strictEqual(estimate.estimatedCost, Number(21000n * 16n * GWEI) / 1e18);
+        assert.ok(fast.blocks < standard.blocks && standard.blocks < slow.blocks);
+    }
+
+    async testConfidenceInterval() {
+        const estimator = new FeeEstimator({ provider: this.createEip1559Provider() });
+        const { speeds } = await estimator.estimate({ to: '0x1', amount: '1' });
+
+        Object.values(speeds).forEach(speed => {
+            assert.ok(speed.costRange.low <= speed.cost, 'low bound above expected cost');
+            assert.ok(speed.costRange.high >= speed.cost, 'high bound below expected cost');
+            assert.ok(speed.maxCost >= speed.costRange.high, 'max fee below likely range');
+        });
+    }
+
+    async testFiatTotals() {
+        const estimator = new FeeEstimator({
+            provider: this.createEip1559Provider(),
+            priceFeed: new StaticPriceFeed({ prices: { ETH: 2000 } })
+        });
+        const estimate = await estimator.estimate({ to: '0x1', amount: '0.5' });
+        const { standard } = estimate.speeds;
+
+        assert.strictEqual(estimate.amount.fiat, 1000);
+        assert.strictEqual(standard.fiat.cost, standard.cost * 2000);
+        assert.strictEqual(standard.fiat.total, 1000 + standard.cost * 2000);
+    }
+
+    async testTokenTransferGas() {
+        const estimator = new FeeEstimator({
+            provider: this.createEip1559Provider({ transferGas: { ETH: 21000, USDC: 55000, default: 65000 } }),
+            priceFeed: new StaticPriceFeed({ prices: { ETH: 2000, USDC: 1 } })
+        });
+        const estimate = await estimator.estimate({ to: '0x1', amount: '25', token: 'USDC' });
+
+        assert.strictEqual(estimate.gasLimit, 55000);
+        assert.strictEqual(estimate.amount.fiat, 25);
+        assert.strictEqual(estimate.speeds.standard.fiat.total, 25 + estimate.speeds.standard.cost * 2000);
+    }
+
+    async testMissingPrices() {
+        const estimator = new FeeEstimator({
+            provider: this.createEip1559Provider(),
+            priceFeed: new StaticPriceFeed({ prices: {} })
+        });
+        const estimate = await estimator.estimate({ to: '0x1', amount: '1' });
+
+        assert.strictEqual(estimate.amount.fiat, null);
+        assert.deepStrictEqual(estimate.speeds.fast.fiat, { cost: null, low: null, high: null, total: null });
+    }
+
+    async testLegacyFallback() {
+        const estimator = new FeeEstimator({
+            provider: new MockChainProvider({ feeModel: 'legacy', gasPrice: 25n * GWEI })
+        });
+        const estimate = await estimator.estimate({ to: '0x1', amount: '1' });
+
+        assert.strictEqual(estimate.source, 'gas-price');
+        Object.values(estimate.speeds).forEach(speed => {
+            assert.strictEqual(speed.price, 25n * GWEI);
+            assert.strictEqual(speed.costRange.low, speed.costRange.high);
+        });
+    }
+
+    async testNoTipMarket() {
+        const estimator = new FeeEstimator({
+            provider: new MockChainProvider({ feeModel: 'starknet', priorityFees: {}, blockTime: 30 })
+        });
+        const { speeds } = await estimator.estimate({ to: '0x1', amount: '1' });
+
+        assert.strictEqual(speeds.slow.price, speeds.fast.price);
+        assert.strictEqual(speeds.slow.time, speeds.fast.time);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} fee estimator tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new FeeEstimatorTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 FEE ESTIMATOR TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = FeeEstimatorTestSuite;
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { webcrypto } = require('crypto');
+const {
+    LocalPasskeyVerifier,
+    HttpPasskeyVerifier,
+    PasskeyAuthenticator,
+    base64UrlEncode,
+    base64UrlDecode
+} = require('../../crypto-passkeys.js');
+
+/**
+ * PASSKEY VERIFIER TEST SUITE
+ * Runs full WebAuthn registration + authentication ceremonies against the local
+ * relying-party verifier, using a software platform authenticator (ES256, "none" attestation)
+ */
+
+const RP_ID = 'facepay.test';
+const ORIGIN = 'https://facepay.test';
+
+// Minimal CBOR encoder for the structures an authenticator emits
+function encodeCbor(value) {
+    const header = (major, length) => {
+        if (length < 24) return [(major << 5) | length];
+        if (length < 256) return [(major << 5) | 24, length];
+        return [(major << 5) | 25, length >> 8, length & 0xff];
+    };
+
+    if (typeof value === 'number') {
+        return Uint8Array.from(value >= 0 ? header(0, value) : header(1, -1 - value));
+    }
+    if (typeof value === 'string') {
+        const bytes = new TextEncoder().encode(value);
+        return Uint8Array.from([...header(3, bytes.length), ...bytes]);
+    }
+    if (value instanceof Uint8Array) {
+        return Uint8Array.from([...header(2, value.length), ...value]);
+    }
+    if (value instanceof Map) {
+        const parts = [Uint8Array.from(header(5, value.size))];
+        value.forEach((entry, key) => parts.push(encodeCbor(key), encodeCbor(entry)));
+        return Uint8Array.from(parts.flatMap(part => [...part]));
+    }
+    throw new Error('Unsupported CBOR value');
+}
+
+// Raw r || s -> DER SEQUENCE of two INTEGERs, as authenticators return ECDSA signatures
+function rawToDerSignature(raw) {
+    const integer = bytes => {
+        let value = Array.from(bytes);
+        while (value.length > 1 && value[0] === 0) value.shift();
+        if (value[0] & 0x80) value.unshift(0);
+        return [0x02, value.length, ...value];
+    };
+    const body = [...integer(raw.slice(0, 32)), ...integer(raw.slice(32))];
+    return Uint8Array.from([0x30, body.length, ...body]);
+}
+
+class SoftwareAuthenticator {
+    constructor({ userVerified = true, rpId = RP_ID, origin = ORIGIN } = {}) {
+        this.userVerified = userVerified;
+        this.rpId = rpId;
+        this.origin = origin;
+        this.signCount = 0;
+        this.credentialId = webcrypto.getRandomValues(new Uint8Array(16));
+    }
+
+    async authenticatorData(attestedCredential = null) {
+        const rpIdHash = new Uint8Array(await webcrypto.subtle.digest('SHA-256', new TextEncoder().encode(this.rpId)));
+        const flags = 0x01 | (this.userVerified ? 0x04 : 0) | (attestedCredential ? 0x40 : 0);
+        const counter = [this.signCount >>> 24, (this.signCount >>> 16) & 0xff, (this.signCount >>> 8) & 0xff, this.signCount & 0xff];
+
+        return Uint8Array.from([...rpIdHash, flags, ...counter, ...(attestedCredential || [])]);
+    }
+
+    clientData(type, challenge) {
+        return new TextEncoder().encode(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+    }
+
+    async create(options) {
+        this.keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        const jwk = await webcrypto.subtle.exportKey('jwk', this.keyPair.publicKey);
+
+        const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, base64UrlDecode(jwk.x)], [-3, base64UrlDecode(jwk.y)]]);
+        const attested = [...new Uint8Array(16), 0, this.credentialId.length, ...this.credentialId, ...encodeCbor(coseKey)];
+        const attestationObject = encodeCbor(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', await this.authenticatorData(attested)]
+        ]));
+
+        return {
+            id: base64UrlEncode(this.credentialId),
+            rawId: base64UrlEncode(this.credentialId),
+            type: 'public-key',
+            response: {
+                clientDataJSON: base64UrlEncode(this.clientData('webauthn.create', options.challenge)),
+                attestationObject: base64UrlEncode(attestationObject),
+                transports: ['internal']
+            }
+        };
+    }
+
+    async get(options) {
+        this.signCount++;
+        const authData = await this.authenticatorData();
+        const clientData = this.clientData('webauthn.get', options.challenge);
+        const clientDataHash = new Uint8Array(await webcrypto.subtle.digest('SHA-256', clientData));
+        const signature = new Uint8Array(await webcrypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            this.keyPair.privateKey,
+            Uint8Array.from([...authData, ...clientDataHash])
+        ));
+
+        return {
+            id: base64UrlEncode(this.credentialId),
+            rawId: base64UrlEncode(this.credentialId),
+            type: 'public-key',
+            response: {
+                clientDataJSON: base64UrlEncode(clientData),
+                authenticatorData: base64UrlEncode(authData),
+                signature: base64UrlEncode(rawToDerSignature(signature)),
+                userHandle: null
+            }
+        };
+    }
+}
+
+class PasskeyVerifierTestSuite {
+    constructor() {
+        this.results = [];
+        this.user = { id: base64UrlEncode(new Uint8Array([1, 2, 3, 4])), name: 'alice' };
+    }
+
+    createVerifier() {
+        return new LocalPasskeyVerifier({ rpId: RP_ID, origins: [ORIGIN] });
+    }
+
+    async registered(authenticator = new SoftwareAuthenticator()) {
+        const verifier = this.createVerifier();
+        const options = await verifier.createRegistrationChallenge(this.user);
+        await verifier.verifyRegistration(await authenticator.create(options));
+        return { verifier, authenticator };
+    }
+
+    async runAllTests() {
+        console.log('🔐 STARTING PASSKEY VERIFIER TEST SUITE');
+
+        await this.test('registration options require a verifying platform authenticator', () => this.testRegistrationOptions());
+        await this.test('registration stores the attested public key', () => this.testRegistration());
+        await this.test('authentication verifies signature and advances the counter', () => this.testAuthentication());
+        await this.test('challenges are single use', () => this.testChallengeReplay());
+        await this.test('foreign origins are rejected', () => this.testOriginMismatch());
+        await this.test('foreign relying parties are rejected', () => this.testRpMismatch());
+        await this.test('user verification is required', () => this.testUserVerificationRequired());
+        await this.test('tampered signatures are rejected', () => this.testTamperedSignature());
+        await this.test('counter regressions are rejected', () => this.testCounterRegression());
+        await this.test('unknown credentials are rejected', () => this.testUnknownCredential());
+        await this.test('credentials outside the challenge are rejected', () => this.testCredentialNotAllowed());
+        await this.test('the browser authenticator never falls back to verifying itself', () => this.testVerifierRequired());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testRegistrationOptions() {
+        const options = await this.createVerifier().createRegistrationChallenge(this.user);
+
+        assert.strictEqual(options.rp.id, RP_ID);
+        assert.strictEqual(options.authenticatorSelection.authenticatorAttachment, 'platform');
+        assert.strictEqual(options.authenticatorSelection.userVerification, 'required');
+        assert.strictEqual(base64UrlDecode(options.challenge).length, 32);
+    }
+
+    async testRegistration() {
+        const { verifier, authenticator } = await this.registered();
+        const stored = await verifier.storage.get(base64UrlEncode(authenticator.credentialId));
+
+        assert.strictEqual(stored.userId, this.user.id);
+        assert.strictEqual(stored.algorithm, -7);
+        assert.strictEqual(stored.publicKey.crv, 'P-256');
+
+        const next = await verifier.createRegistrationChallenge(this.user);
+        assert.deepStrictEqual(next.excludeCredentials.map(descriptor => descriptor.id), [stored.id]);
+    }
+
+    async testAuthentication() {
+        const { verifier, authenticator } = await this.registered();
+
+        const options = await verifier.createAuthenticationChallenge({ userId: this.user.id, txId: '0xabc' });
+        assert.strictEqual(options.userVerification, 'required');
+        assert.strictEqual(options.allowCredentials.length, 1);
+
+        const result = await verifier.verifyAuthentication(await authenticator.get(options));
+        assert.deepStrictEqual(result, {
+            verified: true,
+            credentialId: base64UrlEncode(authenticator.credentialId),
+            userId: this.user.id,
+            signCount: 1
+        });
+    }
+
+    async testChallengeReplay() {
+        const { verifier, authenticator } = await this.registered();
+        const options = await verifier.createAuthenticationChallenge();
+        const assertion = await authenticator.get(options);
+
+        await verifier.verifyAuthentication(assertion);
+        await assert.rejects(verifier.verifyAuthentication(assertion), { reason: 'challenge_mismatch' });
+    }
+
+    async testOriginMismatch() {
+        const verifier = this.createVerifier();
+        const options = await verifier.createRegistrationChallenge(this.user);
+        const credential = await new SoftwareAuthenticator({ origin: 'https://evil.test' }).create(options);
+
+        await assert.rejects(verifier.verifyRegistration(credential), { reason: 'origin_mismatch', type: 'face_id_failed' });
+    }
+
+    async testRpMismatch() {
+        const verifier = this.createVerifier();
+        const options = await verifier.createRegistrationChallenge(this.user);
+        const credential = await new SoftwareAuthenticator({ rpId: 'evil.test' }).create(options);
+
+        await assert.rejects(verifier.verifyRegistration(credential), { reason: 'rp_mismatch' });
+    }
+
+    async testUserVerificationRequired() {
+        const verifier = this.createVerifier();
+        const options = await verifier.createRegistrationChallenge(this.user);
+        const credential = await new SoftwareAuthenticator({ userVerified: false }).create(options);
+
+        await assert.rejects(verifier.verifyRegistration(credential), { reason: 'user_not_verified' });
+    }
+
+    async testTamperedSignature() {
+        const { verifier, authenticator } = await this.registered();
+        const assertion = await authenticator.get(await verifier.createAuthenticationChallenge());
+
+        const signature = base64UrlDecode(assertion.response.signature);
+        signature[signature.length - 1] ^= 0xff;
+        assertion.response.signature = base64UrlEncode(signature);
+
+        await assert.rejects(verifier.verifyAuthentication(assertion), { reason: 'bad_signature' });
+    }
+
+    async testCounterRegression() {
+        const { verifier, authenticator } = await this.registered();
+        await verifier.verifyAuthentication(await authenticator.get(await verifier.createAuthenticationChallenge()));
+
+        // A cloned authenticator replays an old counter value
+        authenticator.signCount = 0;
+        const cloned = await authenticator.get(await verifier.createAuthenticationChallenge());
+
+        await assert.rejects(verifier.verifyAuthentication(cloned), { reason: 'counter_regression' });
+    }
+
+    async testUnknownCredential() {
+        const { verifier } = await this.registered();
+        const stranger = new SoftwareAuthenticator();
+        await stranger.create({ challenge: 'unused' });
+
+        const assertion = await stranger.get(await verifier.createAuthenticationChallenge());
+        await assert.rejects(verifier.verifyAuthentication(assertion), { reason: 'unknown_credential' });
+    }
+
+    async testCredentialNotAllowed() {
+        const { verifier, authenticator } = await this.registered();
+        const mallory = { id: base64UrlEncode(new Uint8Array([5, 6, 7, 8])), name: 'mallory' };
+        const intruder = new SoftwareAuthenticator();
+        await verifier.verifyRegistration(await intruder.create(await verifier.createRegistrationChallenge(mallory)));
+
+        // Mallory's registered passkey answers a challenge issued for Alice
+        const options = await verifier.createAuthenticationChallenge({ userId: this.user.id });
+        await assert.rejects(verifier.verifyAuthentication(await intruder.get(options)), { reason: 'credential_not_allowed' });
+
+        // A passkey registered after the challenge was issued is not on its allow list either
+        const early = await verifier.createAuthenticationChallenge();
+        const latecomer = new SoftwareAuthenticator();
+        await verifier.verifyRegistration(await latecomer.create(await verifier.createRegistrationChallenge(mallory)));
+        await assert.rejects(verifier.verifyAuthentication(await latecomer.get(early)), { reason: 'credential_not_allowed' });
+
+        await verifier.verifyAuthentication(await authenticator.get(await verifier.createAuthenticationChallenge({ userId: this.user.id })));
+    }
+
+    testVerifierRequired() {
+        assert.throws(() => new PasskeyAuthenticator(), /requires a relying-party verifier/);
+
+        const verifier = new HttpPasskeyVerifier();
+        assert.strictEqual(new PasskeyAuthenticator({ verifier }).verifier, verifier);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} passkey verifier tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new PasskeyVerifierTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 PASSKEY VERIFIER TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = PasskeyVerifierTestSuite;
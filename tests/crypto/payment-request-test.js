@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { PaymentRequestCodec, parseIntegerAmount } = require('../../crypto-payment-requests.js');
+const { TokenRegistry } = require('../../crypto-tokens.js');
+const QRCode = require('../../crypto-qrcode.js');
+
+/**
+ * PAYMENT REQUEST TEST SUITE
+ * EIP-681 / StarkNet-style URIs, shareable links, parsing of both and the QR encoder
+ */
+
+const ALICE = '0x742D35cC6634c0532925a3B8d484Bb1a4e134c52';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const BASE_URL = 'https://facepay.test/pay';
+
+class PaymentRequestTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createCodec(options = {}) {
+        return new PaymentRequestCodec({
+            registry: new TokenRegistry({ chainId: options.chainId || 1 }),
+            baseUrl: BASE_URL,
+            ...options
+        });
+    }
+
+    async runAllTests() {
+        console.log('🔗 STARTING PAYMENT REQUEST TEST SUITE');
+
+        await this.test('native requests encode an EIP-681 value in wei', () => this.testNativeUri());
+        await this.test('token requests encode an EIP-681 transfer call', () => this.testTokenUri());
+        await this.test('StarkNet requests use the starknet: scheme', () => this.testStarknetUri());
+        await this.test('links carry the username, amount, token and memo', () => this.testLink());
+        await this.test('links and URIs parse back to the same request', () => this.testRoundTrip());
+        await this.test('third-party EIP-681 URIs with scientific notation parse', () => this.testForeignUri());
+        await this.test('unrelated URLs are not payment requests', () => this.testNonRequests());
+        await this.test('malformed requests are rejected', () => this.testInvalidRequests());
+        await this.test('QR codes pick the smallest version that fits', () => this.testQrVersions());
+        await this.test('QR codes carry finder, timing and format patterns', () => this.testQrStructure());
+        await this.test('QR codes render as SVG', () => this.testQrSvg());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testNativeUri() {
+        const request = this.createCodec().create({ address: ALICE.toLowerCase(), amount: '0.25' });
+
+        assert.strictEqual(request.token, 'ETH');
+        assert.strictEqual(request.recipient, ALICE);
+        assert.strictEqual(request.uri, `ethereum:${ALICE}@1?value=250000000000000000`);
+    }
+
+    async testTokenUri() {
+        const request = this.createCodec().create({
+            username: '@Alice', address: ALICE, amount: '12.5', token: 'USDC', memo: 'Lunch'
+        });
+
+        assert.strictEqual(request.recipient, '@alice');
+        assert.strictEqual(request.uri,
+            `ethereum:${USDC}@1/transfer?address=${ALICE}&uint256=12500000&username=alice&memo=Lunch`);
+    }
+
+    async testStarknetUri() {
+        const codec = this.createCodec({ chain: 'starknet', chainId: 'SN_MAIN' });
+        const request = codec.create({ username: 'bob.stark', address: '0x123', amount: '5', token: 'STRK' });
+
+        assert.ok(request.uri.startsWith('starknet:0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d@SN_MAIN/transfer?'));
+        assert.ok(request.uri.includes(`address=0x${'0'.repeat(61)}123`));
+        assert.ok(request.uri.includes('uint256=5000000000000000000'));
+        // Every StarkNet asset is a contract, so requests default to the first listed token
+        assert.strictEqual(codec.create({ address: '0x123' }).token, 'ETH');
+    }
+
+    async testLink() {
+        const request = this.createCodec().create({ username: 'alice', address: ALICE, amount: '10', token: 'USDC', memo: 'Pizza 🍕' });
+        const url = new URL(request.link);
+
+        assert.strictEqual(url.origin + url.pathname, BASE_URL);
+        assert.strictEqual(url.searchParams.get('pay'), '@alice');
+        assert.strictEqual(url.searchParams.get('address'), ALICE);
+        assert.strictEqual(url.searchParams.get('amount'), '10');
+        assert.strictEqual(url.searchParams.get('token'), 'USDC');
+        assert.strictEqual(url.searchParams.get('chain'), '1');
+        assert.strictEqual(url.searchParams.get('memo'), 'Pizza 🍕');
+
+        // Username-only requests still produce a link, but no URI without an address
+        const usernameOnly = this.createCodec().create({ username: 'alice' });
+        assert.strictEqual(usernameOnly.uri, null);
+        assert.strictEqual(new URL(usernameOnly.link).searchParams.get('pay'), '@alice');
+    }
+
+    async testRoundTrip() {
+        const codec = this.createCodec();
+        const request = codec.create({ username: 'alice', address: ALICE, amount: '12.5', token: 'USDC', memo: 'Lunch' });
+
+        for (const encoded of [request.link, request.uri]) {
+            const parsed = codec.parse(encoded);
+            assert.strictEqual(parsed.recipient, '@alice');
+            assert.strictEqual(parsed.address, ALICE);
+            assert.strictEqual(parsed.amount, '12.5');
+            assert.strictEqual(parsed.token, 'USDC');
+            assert.strictEqual(parsed.memo, 'Lunch');
+            assert.strictEqual(codec.isForChain(parsed), true);
+        }
+
+        const open = codec.parse(`${BASE_URL}?pay=${ALICE}`);
+        assert.strictEqual(open.recipient, ALICE);
+        assert.strictEqual(open.amount, null);
+        assert.strictEqual(open.token, 'ETH');
+    }
+
+    async testForeignUri() {
+        const codec = this.createCodec();
+        const parsed = codec.parse(`ethereum:pay-${ALICE.toLowerCase()}@10?value=2.014e18`);
+
+        assert.strictEqual(parsed.address, ALICE);
+        assert.strictEqual(parsed.amount, '2.014');
+        assert.strictEqual(parsed.chainId, '10');
+        assert.strictEqual(codec.isForChain(parsed), false);
+
+        assert.strictEqual(parseIntegerAmount('1.5e3'), 1500n);
+        assert.strictEqual(parseIntegerAmount('42'), 42n);
+        assert.throws(() => parseIntegerAmount('1.55e1'), { type: 'invalid_payment_request' });
+    }
+
+    async testNonRequests() {
+        const codec = this.createCodec();
+
+        assert.strictEqual(codec.parse('https://facepay.test/?utm_source=ads'), null);
+        assert.strictEqual(codec.parse('not a url'), null);
+        assert.strictEqual(codec.parse(''), null);
+    }
+
+    async testInvalidRequests() {
+        const codec = this.createCodec();
+        const invalid = { type: 'invalid_payment_request' };
+
+        assert.throws(() => codec.create({ amount: '1' }), invalid);
+        assert.throws(() => codec.create({ address: ALICE, amount: '0' }), invalid);
+        assert.throws(() => codec.create({ address: ALICE, amount: '1.1234567', token: 'USDC' }), invalid);
+        assert.throws(() => codec.create({ address: '0x742d35cC6634c0532925a3b8d484bb1a4e134c52' }), invalid);
+        assert.throws(() => codec.parse(`ethereum:0x1111111111111111111111111111111111111111@1/transfer?address=${ALICE}`), invalid);
+        assert.throws(() => codec.parse(`ethereum:${USDC}@1/approve?address=${ALICE}`), invalid);
+        assert.throws(() => codec.parse(`${BASE_URL}?pay=alice&amount=-5`), invalid);
+    }
+
+    async testQrVersions() {
+        assert.strictEqual(QRCode.encode('hello').version, 1);
+        assert.strictEqual(QRCode.encode('x'.repeat(14)).version, 1);
+        assert.strictEqual(QRCode.encode('x'.repeat(15)).version, 2);
+
+        const link = this.createCodec().create({ username: 'alice', address: ALICE, amount: '12.5', token: 'USDC', memo: 'Lunch' }).link;
+        const qr = QRCode.encode(link);
+        assert.strictEqual(qr.size, qr.version * 4 + 17);
+        assert.ok(qr.version >= 7, 'long links need version information blocks');
+
+        assert.throws(() => QRCode.encode('x'.repeat(3000)), { type: 'qr_capacity_exceeded' });
+    }
+
+    async testQrStructure() {
+        const qr = QRCode.encode('ethereum:0x742d35cc6634c0532925a3b8d484bb1a4e134c52@1?value=1', { level: 'M' });
+        const { modules, size } = qr;
+
+        // 7x7 finders in three corners: dark ring, light ring, dark 3x3 core
+        [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([x, y]) => {
+            assert.strictEqual(modules[y][x], true);
+            assert.strictEqual(modules[y + 1][x + 1], false);
+            assert.strictEqual(modules[y + 3][x + 3], true);
+        });
+
+        for (let i = 8; i < size - 8; i++) {
+            assert.strictEqual(modules[6][i], i % 2 === 0);
+            assert.strictEqual(modules[i][6], i % 2 === 0);
+        }
+
+        // Format bits (level M, chosen mask) are BCH-coded and mirrored in both copies
+        const first = [0, 1, 2, 3, 4, 5, 7, 8].map(y => modules[y][8])
+            .concat([7, 5, 4, 3, 2, 1, 0].map(x => modules[8][x]));
+        const second = Array.from({ length: 8 }, (_, i) => modules[8][size - 1 - i])
+            .concat(Array.from({ length: 7 }, (_, i) => modules[size - 7 + i][8]));
+        assert.deepStrictEqual(first, second);
+
+        const format = first.reduce((bits, dark, i) => bits | (dark ? 1 << i : 0), 0) ^ 0x5412;
+        assert.strictEqual(format >> 10, qr.mask);
+        assert.strictEqual(modules[size - 8][8], true);
+    }
+
+    async testQrSvg() {
+        const qr = QRCode.encode('hi');
+        const svg = QRCode.toSvg(qr, { margin: 2, scale: 3 });
+        const dimension = qr.size + 4;
+
+        assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+        assert.ok(svg.includes(`viewBox="0 0 ${dimension} ${dimension}"`));
+        assert.ok(svg.includes(`width="${dimension * 3}"`));
+
+        const darkModules = qr.modules.flat().filter(Boolean).length;
+        assert.strictEqual((svg.match(/h1v1h-1z/g) || []).length, darkModules);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} payment request tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new PaymentRequestTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 PAYMENT REQUEST TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = PaymentRequestTestSuite;
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const {
+    PolicyEngine,
+    PolicyRule,
+    TransactionLimitRule,
+    DailyLimitRule,
+    FirstTimeRecipientRule,
+    LookalikeAddressRule,
+    LargeAmountCooldownRule,
+    POLICY_DECISIONS
+} = require('../../crypto-policy.js');
+const { MockChainProvider } = require('../../crypto-providers.js');
+const { MemoryStore } = require('../../crypto-storage.js');
+const { TransactionManager, TX_STATES } = require('../../crypto-transactions.js');
+
+/**
+ * RISK POLICY TEST SUITE
+ * Per-transaction and daily limits, first-time recipients, address-poisoning lookalikes,
+ * large-amount cooldowns and how the engine merges rule decisions
+ */
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const ALICE = '0x742D35cC6634c0532925a3B8d484Bb1a4e134c52';
+// Same first and last four hex characters as ALICE, different address
+const POISONED = '0x742d000000000000000000000000000000004c52';
+const BOB = '0xb0b0000000000000000000000000000000000b0b';
+
+function payment(fields) {
+    return {
+        id: 'tx-new',
+        kind: 'payment',
+        recipient: '@alice',
+        to: ALICE,
+        amount: '1',
+        token: 'ETH',
+        fiat: 100,
+        chain: 'evm',
+        state: 'draft',
+        createdAt: NOW,
+        ...fields
+    };
+}
+
+const PAID_ALICE = payment({ id: 'tx-1', state: 'confirmed', fiat: 300, createdAt: NOW - 2 * HOUR });
+
+class RiskPolicyTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    async runAllTests() {
+        console.log('🚦 STARTING RISK POLICY TEST SUITE');
+
+        await this.test('per-transaction limits allow, ask for extra auth, then block', () => this.testTransactionLimit());
+        await this.test('payments without a price need extra auth', () => this.testUnpricedPayment());
+        await this.test('the daily limit counts sent payments in the last 24 hours', () => this.testDailyLimit());
+        await this.test('sped-up payments keep counting towards the daily limit', () => this.testDailyLimitAfterSpeedUp());
+        await this.test('first payments to a recipient carry a warning', () => this.testFirstTimeRecipient());
+        await this.test('lookalike addresses from history are blocked', () => this.testLookalike());
+        await this.test('StarkNet lookalikes ignore address padding', () => this.testStarknetLookalike());
+        await this.test('large payments wait out a cooldown with a retry time', () => this.testCooldown());
+        await this.test('the engine reports the most severe decision with every reason', () => this.testSeverityMerge());
+        await this.test('a rule that throws blocks the payment', () => this.testFailClosed());
+        await this.test('custom rules and per-rule overrides plug in', () => this.testCustomRules());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    evaluate(rule, tx, history = []) {
+        return rule.evaluate(tx, { history, currency: 'USD', now: NOW });
+    }
+
+    async testTransactionLimit() {
+        const rule = new TransactionLimitRule({ extraAuthAbove: 500, limit: 5000 });
+
+        assert.strictEqual(this.evaluate(rule, payment({ fiat: 500 })), null);
+        assert.strictEqual(this.evaluate(rule, payment({ fiat: 501 })).decision, POLICY_DECISIONS.EXTRA_AUTH);
+
+        const blocked = this.evaluate(rule, payment({ fiat: 5001 }));
+        assert.strictEqual(blocked.decision, POLICY_DECISIONS.BLOCK);
+        assert.ok(blocked.reason.includes('5,000 USD'));
+    }
+
+    async testUnpricedPayment() {
+        const engine = new PolicyEngine();
+        const result = engine.evaluate(payment({ fiat: null, token: 'PEPE' }), { history: [PAID_ALICE], now: NOW });
+
+        assert.strictEqual(result.decision, POLICY_DECISIONS.EXTRA_AUTH);
+        assert.deepStrictEqual(result.results.map(entry => entry.rule), ['per-transaction-limit']);
+        assert.ok(result.reasons[0].startsWith('PEPE has no price'));
+    }
+
+    async testDailyLimit() {
+        const rule = new DailyLimitRule({ limit: 1000 });
+        const history = [
+            PAID_ALICE,
+            payment({ id: 'tx-2', state: 'pending', fiat: 400, createdAt: NOW - 20 * HOUR }),
+            // Outside the window, failed or never signed: none of these count
+            payment({ id: 'tx-3', state: 'confirmed', fiat: 900, createdAt: NOW - 25 * HOUR }),
+            payment({ id: 'tx-4', state: 'failed', fiat: 900, createdAt: NOW - HOUR }),
+            payment({ id: 'tx-5', state: 'draft', fiat: 900, createdAt: NOW - HOUR })
+        ];
+
+        assert.strictEqual(this.evaluate(rule, payment({ fiat: 300 }), history), null);
+
+        const blocked = this.evaluate(rule, payment({ fiat: 301 }), history);
+        assert.strictEqual(blocked.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(blocked.spent, 700);
+        assert.ok(blocked.reason.includes('300 USD left today'));
+    }
+
+    async testDailyLimitAfterSpeedUp() {
+        const GWEI = 1e9;
+        const manager = new TransactionManager({
+            provider: new MockChainProvider({ autoMine: false }),
+            storage: new MemoryStore('transactions'),
+            pollInterval: 5
+        });
+
+        try {
+            for (let i = 0; i < 2; i++) {
+                const record = await manager.create({ recipient: '@alice', to: ALICE, amount: '1', token: 'ETH', fiat: 4000, chain: 'evm', memo: 'rent' });
+                await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+                await manager.transition(record.id, TX_STATES.SIGNED, { fees: { gasLimit: 21000, maxFeePerGas: 30 * GWEI, maxPriorityFeePerGas: 2 * GWEI } });
+                await manager.broadcast(record.id);
+
+                const replacement = await manager.speedUp(record.id, { maxFeePerGas: 40 * GWEI, maxPriorityFeePerGas: 4 * GWEI });
+                assert.deepStrictEqual([replacement.fiat, replacement.chain, replacement.memo], [4000, 'evm', 'rent']);
+            }
+        } finally {
+            manager.stop();
+        }
+
+        const history = Array.from(manager.transactions.values());
+        assert.strictEqual(history.filter(record => record.state === TX_STATES.REPLACED).length, 2);
+
+        const blocked = new DailyLimitRule().evaluate(payment({ fiat: 4000 }), { history, currency: 'USD', now: Date.now() });
+        assert.strictEqual(blocked.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(blocked.spent, 8000);
+    }
+
+    async testFirstTimeRecipient() {
+        const rule = new FirstTimeRecipientRule();
+
+        const first = this.evaluate(rule, payment({ recipient: '@bob', to: BOB }), [PAID_ALICE]);
+        assert.strictEqual(first.decision, POLICY_DECISIONS.ALLOW);
+        assert.ok(first.reason.includes('@bob'));
+
+        // Known recipients match regardless of checksum casing
+        assert.strictEqual(this.evaluate(rule, payment({ to: ALICE.toLowerCase() }), [PAID_ALICE]), null);
+
+        const strict = new FirstTimeRecipientRule({ decision: POLICY_DECISIONS.EXTRA_AUTH });
+        assert.strictEqual(this.evaluate(strict, payment({ to: BOB }), []).decision, POLICY_DECISIONS.EXTRA_AUTH);
+    }
+
+    async testLookalike() {
+        const rule = new LookalikeAddressRule();
+
+        const blocked = this.evaluate(rule, payment({ recipient: POISONED, to: POISONED }), [PAID_ALICE]);
+        assert.strictEqual(blocked.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(blocked.lookalikeOf, ALICE);
+        assert.ok(blocked.reason.includes('(@alice)'));
+
+        // The real address and unrelated addresses pass
+        assert.strictEqual(this.evaluate(rule, payment({ to: ALICE.toLowerCase() }), [PAID_ALICE]), null);
+        assert.strictEqual(this.evaluate(rule, payment({ to: BOB }), [PAID_ALICE]), null);
+        // A poisoned address only matters once the real one is in the history
+        assert.strictEqual(this.evaluate(rule, payment({ to: POISONED }), []), null);
+    }
+
+    async testStarknetLookalike() {
+        const rule = new LookalikeAddressRule();
+        const real = `0x0${'4a7c'}${'1'.repeat(55)}${'9f3e'}`;
+        const history = [payment({ id: 'tx-1', state: 'confirmed', to: real, chain: 'starknet' })];
+
+        // Padding differences alone are the same account
+        assert.strictEqual(this.evaluate(rule, payment({ to: real.replace('0x0', '0x'), chain: 'starknet' }), history), null);
+
+        const poisoned = `0x4a7c${'2'.repeat(55)}9f3e`;
+        assert.strictEqual(this.evaluate(rule, payment({ to: poisoned, chain: 'starknet' }), history).decision, POLICY_DECISIONS.BLOCK);
+    }
+
+    async testCooldown() {
+        const rule = new LargeAmountCooldownRule({ threshold: 2000, cooldown: 10 * 60 * 1000 });
+
+        assert.strictEqual(this.evaluate(rule, payment({ fiat: 1999 })), null);
+
+        const blocked = this.evaluate(rule, payment({ fiat: 2000, createdAt: NOW - 4 * 60 * 1000 }));
+        assert.strictEqual(blocked.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(blocked.retryAt, NOW + 6 * 60 * 1000);
+        assert.ok(blocked.reason.includes('6 min left'));
+
+        assert.strictEqual(this.evaluate(rule, payment({ fiat: 2000, createdAt: NOW - 10 * 60 * 1000 })), null);
+
+        // Waiting is enough only when the cooldown is the sole block
+        const engine = new PolicyEngine({ rules: [rule, new TransactionLimitRule({ extraAuthAbove: 500, limit: 5000 })] });
+        const cooling = engine.evaluate(payment({ fiat: 2500 }), { now: NOW });
+        assert.strictEqual(cooling.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(cooling.retryAt, NOW + 10 * 60 * 1000);
+
+        const overLimit = engine.evaluate(payment({ fiat: 6000 }), { now: NOW });
+        assert.strictEqual(overLimit.retryAt, null);
+    }
+
+    async testSeverityMerge() {
+        const engine = new PolicyEngine();
+        const result = engine.evaluate(payment({ recipient: '@bob', to: BOB, fiat: 800 }), { history: [PAID_ALICE], now: NOW });
+
+        assert.strictEqual(result.decision, POLICY_DECISIONS.EXTRA_AUTH);
+        assert.deepStrictEqual(result.results.map(entry => [entry.rule, entry.decision]), [
+            ['per-transaction-limit', 'extra-auth'],
+            ['first-time-recipient', 'allow']
+        ]);
+        assert.strictEqual(result.reasons.length, 2);
+        assert.strictEqual(result.retryAt, null);
+
+        const clean = engine.evaluate(payment(), { history: [PAID_ALICE], now: NOW });
+        assert.deepStrictEqual({ decision: clean.decision, reasons: clean.reasons }, { decision: 'allow', reasons: [] });
+    }
+
+    async testFailClosed() {
+        class BrokenRule extends PolicyRule {
+            evaluate() {
+                throw new Error('sanctions list unavailable');
+            }
+        }
+
+        const engine = new PolicyEngine({ rules: [new BrokenRule({ name: 'sanctions' })] });
+        const result = engine.evaluate(payment(), { now: NOW });
+
+        assert.strictEqual(result.decision, POLICY_DECISIONS.BLOCK);
+        assert.strictEqual(result.reasons[0], 'Could not check sanctions: sanctions list unavailable');
+        assert.strictEqual(result.retryAt, null);
+    }
+
+    async testCustomRules() {
+        class MondayRule extends PolicyRule {
+            evaluate(tx, { now }) {
+                return new Date(now).getUTCDay() === 1
+                    ? { decision: POLICY_DECISIONS.EXTRA_AUTH, reason: 'Monday payments need a second look' }
+                    : null;
+            }
+        }
+
+        const engine = new PolicyEngine({ rules: [...PolicyEngine.createDefaultRules({ daily: { limit: 50 } }), new MondayRule()] });
+        const result = engine.evaluate(payment(), { history: [PAID_ALICE], now: NOW });
+
+        assert.strictEqual(result.decision, POLICY_DECISIONS.BLOCK);
+        assert.deepStrictEqual(result.results.map(entry => entry.rule), ['daily-limit', 'MondayRule']);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} risk policy tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new RiskPolicyTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 RISK POLICY TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = RiskPolicyTestSuite;
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const {
+    TokenRegistry,
+    EVMBalanceAdapter,
+    StarkNetBalanceAdapter,
+    FixtureBalanceAdapter,
+    createBalanceAdapter,
+    Portfolio,
+    formatUnits
+} = require('../../crypto-tokens.js');
+const { MockChainProvider, StarkNetProvider, StaticPriceFeed } = require('../../crypto-providers.js');
+const { TransactionManager, TX_STATES } = require('../../crypto-transactions.js');
+const { MemoryStore } = require('../../crypto-storage.js');
+
+/**
+ * TOKEN PORTFOLIO TEST SUITE
+ * Token registry defaults and transfer payloads, EVM / StarkNet / fixture balance
+ * adapters, fiat valuation and ERC-20 sends through the transaction lifecycle
+ */
+
+const ACCOUNT = '0x742D35cC6634c0532925a3B8d484Bb1a4e134c52';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+class TokenPortfolioTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    async runAllTests() {
+        console.log('🪙 STARTING TOKEN PORTFOLIO TEST SUITE');
+
+        await this.test('mainnet defaults list ETH and the major stablecoins', () => this.testRegistryDefaults());
+        await this.test('unknown chains fall back to the native coin', () => this.testRegistryFallback());
+        await this.test('ERC-20 transfers call the token contract', () => this.testBuildTransfer());
+        await this.test('formatUnits trims trailing zeros', () => this.testFormatUnits());
+        await this.test('EVM adapter reads eth_getBalance and balanceOf', () => this.testEvmAdapter());
+        await this.test('StarkNet adapter joins u256 low/high words', () => this.testStarknetAdapter());
+        await this.test('providers pick a matching balance adapter', () => this.testCreateBalanceAdapter());
+        await this.test('portfolio values holdings and sorts by fiat', () => this.testPortfolioValuation());
+        await this.test('a missing price leaves the balance but no fiat value', () => this.testMissingPrice());
+        await this.test('token sends broadcast ERC-20 calldata', () => this.testTokenSend());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testRegistryDefaults() {
+        const registry = new TokenRegistry({ chainId: 1 });
+
+        assert.deepStrictEqual(registry.list().map(token => token.symbol), ['ETH', 'USDC', 'USDT', 'DAI']);
+        assert.strictEqual(registry.get('USDC').decimals, 6);
+        assert.strictEqual(registry.getByAddress(USDC.toLowerCase()).symbol, 'USDC');
+        assert.throws(() => registry.require('DOGE'), { type: 'transaction_rejected' });
+    }
+
+    async testRegistryFallback() {
+        const registry = new TokenRegistry({ chainId: 31337, nativeToken: 'GO' });
+
+        assert.deepStrictEqual(registry.list().map(token => token.symbol), ['GO']);
+        assert.strictEqual(registry.get('GO').address, null);
+
+        registry.register({ symbol: 'TEST', decimals: 8, address: '0x1234' });
+        assert.strictEqual(registry.get('TEST').icon, '🪙');
+        assert.throws(() => registry.register({ symbol: 'BAD' }));
+    }
+
+    async testBuildTransfer() {
+        const registry = new TokenRegistry({ chainId: 1 });
+
+        assert.deepStrictEqual(registry.buildTransfer('ETH', ACCOUNT, '1.5'), {
+            to: ACCOUNT, value: 1500000000000000000n, data: undefined
+        });
+
+        const transfer = registry.buildTransfer('USDC', ACCOUNT, '12.5');
+        assert.strictEqual(transfer.to, USDC);
+        assert.strictEqual(transfer.value, 0n);
+        assert.strictEqual(transfer.data,
+            '0xa9059cbb' +
+            '000000000000000000000000742d35cc6634c0532925a3b8d484bb1a4e134c52' +
+            '0000000000000000000000000000000000000000000000000000000000bebc20');
+    }
+
+    async testFormatUnits() {
+        assert.strictEqual(formatUnits(1500000000000000000n, 18), '1.5');
+        assert.strictEqual(formatUnits(12500000n, 6), '12.5');
+        assert.strictEqual(formatUnits(1n, 6), '0.000001');
+        assert.strictEqual(formatUnits(0n, 18), '0');
+        assert.strictEqual(formatUnits(-2000000n, 6), '-2');
+    }
+
+    async testEvmAdapter() {
+        const calls = [];
+        const provider = {
+            request: async (method, params) => {
+                calls.push({ method, params });
+                return method === 'eth_getBalance' ? '0xde0b6b3a7640000' : '0x' + (2500000n).toString(16).padStart(64, '0');
+            }
+        };
+        const registry = new TokenRegistry({ chainId: 1 });
+        const balances = await new EVMBalanceAdapter({ provider }).getBalances(ACCOUNT, [registry.get('ETH'), registry.get('USDC')]);
+
+        assert.strictEqual(balances.get('ETH'), 1000000000000000000n);
+        assert.strictEqual(balances.get('USDC'), 2500000n);
+        assert.deepStrictEqual(calls[1].params[0], {
+            to: USDC,
+            data: '0x70a08231000000000000000000000000742d35cc6634c0532925a3b8d484bb1a4e134c52'
+        });
+    }
+
+    async testStarknetAdapter() {
+        let request;
+        const provider = {
+            request: async (method, params) => {
+                request = { method, params };
+                return ['0x5', '0x1'];
+            }
+        };
+        const registry = new TokenRegistry({ chainId: 'SN_MAIN' });
+        const balance = await new StarkNetBalanceAdapter({ provider }).getBalance('0x123', registry.get('STRK'));
+
+        assert.strictEqual(balance, (1n << 128n) + 5n);
+        assert.strictEqual(request.method, 'starknet_call');
+        assert.strictEqual(request.params.request.contract_address, registry.get('STRK').address);
+        assert.deepStrictEqual(request.params.request.calldata, ['0x123']);
+    }
+
+    async testCreateBalanceAdapter() {
+        assert.ok(createBalanceAdapter(new MockChainProvider()) instanceof FixtureBalanceAdapter);
+        assert.ok(createBalanceAdapter(new StarkNetProvider({ rpcUrl: 'https://starknet.test' })) instanceof StarkNetBalanceAdapter);
+    }
+
+    createPortfolio(prices) {
+        const adapter = new FixtureBalanceAdapter({
+            balances: { [ACCOUNT]: { ETH: '0.5', USDC: '2500', DAI: '10' } }
+        });
+
+        return new Portfolio({
+            registry: new TokenRegistry({ chainId: 1 }),
+            adapter,
+            priceFeed: new StaticPriceFeed({ prices }),
+            currency: 'USD'
+        });
+    }
+
+    async testPortfolioValuation() {
+        const portfolio = await this.createPortfolio({ ETH: 3000, USDC: 1, USDT: 1, DAI: 1 }).load(ACCOUNT.toLowerCase());
+
+        assert.deepStrictEqual(portfolio.holdings.map(holding => holding.token.symbol), ['USDC', 'ETH', 'DAI', 'USDT']);
+        assert.strictEqual(portfolio.holdings[1].amount, '0.5');
+        assert.strictEqual(portfolio.holdings[1].fiat, 1500);
+        assert.strictEqual(portfolio.holdings[3].balance, 0n);
+        assert.strictEqual(portfolio.total, 4010);
+    }
+
+    async testMissingPrice() {
+        const portfolio = await this.createPortfolio({ ETH: 3000, USDC: 1 }).load(ACCOUNT);
+        const dai = portfolio.holdings.find(holding => holding.token.symbol === 'DAI');
+
+        assert.strictEqual(dai.balance, 10n * 10n ** 18n);
+        assert.strictEqual(dai.price, null);
+        assert.strictEqual(dai.fiat, null);
+        assert.strictEqual(portfolio.total, 4000);
+    }
+
+    async testTokenSend() {
+        const provider = new MockChainProvider({ autoMine: false });
+        const registry = new TokenRegistry({ chainId: 1 });
+        const manager = new TransactionManager({
+            provider,
+            storage: new MemoryStore('transactions'),
+            buildTransfer: record => registry.buildTransfer(record.token, record.to, record.amount)
+        });
+
+        try {
+            const record = await manager.create({ recipient: '@alice', to: ACCOUNT, amount: '12.5', token: 'USDC' });
+            await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+            await manager.transition(record.id, TX_STATES.SIGNED, {
+                fees: { gasLimit: 65000, maxFeePerGas: 30e9, maxPriorityFeePerGas: 2e9 }
+            });
+            await manager.broadcast(record.id);
+
+            const sent = provider.transactions.get(manager.get(record.id).hash);
+            assert.strictEqual(sent.to, USDC);
+            assert.strictEqual(sent.value, 0n);
+            assert.strictEqual(sent.data, registry.buildTransfer('USDC', ACCOUNT, '12.5').data);
+        } finally {
+            manager.stop();
+        }
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} token portfolio tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new TokenPortfolioTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 TOKEN PORTFOLIO TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TokenPortfolioTestSuite;
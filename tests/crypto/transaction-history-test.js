@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { TransactionHistory, ChainStatusLookup, MockStatusLookup, getStatusBadge, toCSV } = require('../../crypto-history.js');
+const { TransactionManager, TX_STATES } = require('../../crypto-transactions.js');
+const { MockChainProvider } = require('../../crypto-providers.js');
+const { MemoryStore } = require('../../crypto-storage.js');
+
+/**
+ * TRANSACTION HISTORY TEST SUITE
+ * Search, filters and pagination over the transaction store, CSV/JSON export
+ * and status re-sync through the mock and chain-backed lookups
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const OCT_1 = Date.parse('2026-10-01T12:00:00Z');
+const BOB = '0xb0b0000000000000000000000000000000000b0b';
+
+function record(fields) {
+    return {
+        kind: 'payment',
+        from: '0x000000000000000000000000000000000000fa11',
+        token: 'ETH',
+        receipt: null,
+        history: [{ state: fields.state, at: fields.createdAt }],
+        ...fields
+    };
+}
+
+class TransactionHistoryTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    async createHistory(options = {}) {
+        const storage = new MemoryStore('transactions');
+        const records = [
+            record({ id: 'tx-1', recipient: '@alice', to: '0xa11ce', amount: '0.5', state: 'confirmed', hash: '0x01', createdAt: OCT_1, memo: 'Rent' }),
+            record({ id: 'tx-2', recipient: BOB, to: BOB, amount: '25', token: 'USDC', state: 'pending', hash: '0x02', createdAt: OCT_1 + DAY }),
+            record({ id: 'tx-3', recipient: '@carol', to: '0xca201', amount: '1', state: 'failed', hash: '0x03', createdAt: OCT_1 + 2 * DAY }),
+            // tx-4 was sped up by tx-5; only the replacement should be listed
+            record({ id: 'tx-4', recipient: '@alice', to: '0xa11ce', amount: '2', state: 'replaced', replacedBy: 'tx-5', hash: '0x04', createdAt: OCT_1 + 3 * DAY }),
+            record({ id: 'tx-5', kind: 'speed-up', recipient: '@alice', to: '0xa11ce', amount: '2', state: 'broadcast', hash: '0x05', createdAt: OCT_1 + 3 * DAY + 1 })
+        ];
+        for (const entry of records) {
+            await storage.put(entry);
+        }
+
+        return new TransactionHistory({ storage, lookup: new MockStatusLookup(), pageSize: 2, ...options });
+    }
+
+    async runAllTests() {
+        console.log('🧾 STARTING TRANSACTION HISTORY TEST SUITE');
+
+        await this.test('history lists newest first and hides superseded payments', () => this.testList());
+        await this.test('search matches @usernames, addresses, hashes and tokens', () => this.testSearch());
+        await this.test('token, status and date filters combine', () => this.testFilters());
+        await this.test('results are paginated and clamp out-of-range pages', () => this.testPagination());
+        await this.test('status badges label every lifecycle state', () => this.testBadges());
+        await this.test('CSV export escapes cells and defuses formulas', () => this.testCsvExport());
+        await this.test('JSON export keeps each transaction timeline', () => this.testJsonExport());
+        await this.test('re-sync applies mock chain statuses to in-flight payments', () => this.testResync());
+        await this.test('a failing lookup does not stop the re-sync', () => this.testResyncErrors());
+        await this.test('re-sync goes through the transaction manager when it owns the record', () => this.testResyncThroughManager());
+        await this.test('the chain lookup reads receipts from the provider', () => this.testChainLookup());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testList() {
+        const history = await this.createHistory();
+        const ids = (await history.list()).map(entry => entry.id);
+
+        assert.deepStrictEqual(ids, ['tx-5', 'tx-3', 'tx-2', 'tx-1']);
+    }
+
+    async testSearch() {
+        const history = await this.createHistory({ pageSize: 10 });
+        const ids = async search => (await history.query({ search })).items.map(entry => entry.id);
+
+        assert.deepStrictEqual(await ids('@ALI'), ['tx-5', 'tx-1']);
+        assert.deepStrictEqual(await ids('0xb0b0'), ['tx-2']);
+        assert.deepStrictEqual(await ids('0x03'), ['tx-3']);
+        assert.deepStrictEqual(await ids('usdc'), ['tx-2']);
+        assert.deepStrictEqual(await ids('rent'), ['tx-1']);
+        assert.deepStrictEqual(await ids('@nobody'), []);
+    }
+
+    async testFilters() {
+        const history = await this.createHistory({ pageSize: 10 });
+        const ids = async filters => (await history.query(filters)).items.map(entry => entry.id);
+
+        assert.deepStrictEqual(await ids({ token: 'ETH' }), ['tx-5', 'tx-3', 'tx-1']);
+        assert.deepStrictEqual(await ids({ status: 'pending' }), ['tx-5', 'tx-2']);
+        assert.deepStrictEqual(await ids({ status: 'failed' }), ['tx-3']);
+        // A date-only upper bound covers the whole day
+        assert.deepStrictEqual(await ids({ from: '2026-10-02', until: '2026-10-03' }), ['tx-3', 'tx-2']);
+        assert.deepStrictEqual(await ids({ token: 'ETH', status: 'pending', search: '@alice' }), ['tx-5']);
+    }
+
+    async testPagination() {
+        const history = await this.createHistory();
+
+        const first = await history.query({ page: 1 });
+        assert.deepStrictEqual(first.items.map(entry => entry.id), ['tx-5', 'tx-3']);
+        assert.strictEqual(first.total, 4);
+        assert.strictEqual(first.pageCount, 2);
+
+        const beyond = await history.query({ page: 9 });
+        assert.strictEqual(beyond.page, 2);
+        assert.deepStrictEqual(beyond.items.map(entry => entry.id), ['tx-2', 'tx-1']);
+
+        const empty = await history.query({ search: '@nobody' });
+        assert.deepStrictEqual({ page: empty.page, pageCount: empty.pageCount, total: empty.total }, { page: 1, pageCount: 1, total: 0 });
+    }
+
+    async testBadges() {
+        Object.values(TX_STATES).forEach(state => {
+            const badge = getStatusBadge({ state, kind: 'payment' });
+            assert.ok(badge.label && badge.tone, `no badge for ${state}`);
+        });
+        assert.deepStrictEqual(getStatusBadge({ state: 'confirmed', kind: 'cancel' }), { label: 'Cancelled', tone: 'neutral' });
+    }
+
+    async testCsvExport() {
+        const history = await this.createHistory();
+        const lines = (await history.export('csv')).trim().split('\r\n');
+
+        assert.strictEqual(lines[0], 'id,date,status,kind,recipient,to,from,amount,token,memo,hash,blockNumber');
+        assert.strictEqual(lines.length, 5);
+        assert.ok(lines[4].startsWith('tx-1,2026-10-01T12:00:00.000Z,Confirmed,payment,\'@alice,0xa11ce,'));
+
+        const csv = toCSV([record({ id: 'x', recipient: '=HYPERLINK("evil")', memo: 'Dinner, "drinks"', amount: '1', state: 'draft', createdAt: OCT_1 })]);
+        assert.ok(csv.includes(`"'=HYPERLINK(""evil"")"`));
+        assert.ok(csv.includes('"Dinner, ""drinks"""'));
+    }
+
+    async testJsonExport() {
+        const history = await this.createHistory();
+        const exported = JSON.parse(await history.export('json', { token: 'USDC' }));
+
+        assert.strictEqual(exported.count, 1);
+        assert.strictEqual(exported.transactions[0].id, 'tx-2');
+        assert.strictEqual(exported.transactions[0].status, 'Pending');
+        assert.deepStrictEqual(exported.transactions[0].history, [{ state: 'pending', at: OCT_1 + DAY }]);
+    }
+
+    async testResync() {
+        const history = await this.createHistory();
+        history.lookup.setStatus('0x02', 'confirmed');
+        history.lookup.setStatus('0x05', { state: 'failed', receipt: { hash: '0x05', blockNumber: 9, status: 'failed' } });
+        // Settled records are never looked up again
+        history.lookup.setStatus('0x01', 'failed');
+
+        const result = await history.resync();
+        assert.strictEqual(result.checked, 2);
+        assert.deepStrictEqual(result.updated.map(entry => [entry.id, entry.state]), [['tx-2', 'confirmed'], ['tx-5', 'failed']]);
+        assert.deepStrictEqual(history.lookup.lookups.sort(), ['0x02', '0x05']);
+
+        const stored = await history.storage.get('tx-5');
+        assert.strictEqual(stored.receipt.blockNumber, 9);
+        assert.strictEqual(stored.error.type, 'transaction_rejected');
+        assert.deepStrictEqual(stored.history.map(entry => entry.state), ['broadcast', 'failed']);
+        assert.strictEqual((await history.storage.get('tx-1')).state, 'confirmed');
+
+        assert.strictEqual((await history.resync()).updated.length, 0);
+    }
+
+    async testResyncErrors() {
+        const history = await this.createHistory();
+        history.lookup.setStatus('0x02', 'confirmed');
+        history.lookup.getStatus = async entry => {
+            if (entry.hash === '0x05') throw new Error('RPC down');
+            return MockStatusLookup.prototype.getStatus.call(history.lookup, entry);
+        };
+
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            const result = await history.resync();
+            assert.deepStrictEqual(result.updated.map(entry => entry.id), ['tx-2']);
+        } finally {
+            console.warn = originalWarn;
+        }
+    }
+
+    async testResyncThroughManager() {
+        const storage = new MemoryStore('transactions');
+        const manager = new TransactionManager({ provider: new MockChainProvider({ autoMine: false }), storage });
+        const lookup = new MockStatusLookup();
+        const history = new TransactionHistory({ storage, manager, lookup });
+
+        const payment = await manager.create({ recipient: '@alice', to: '0xa11ce', amount: '1', token: 'ETH' });
+        await manager.transition(payment.id, TX_STATES.AWAITING_AUTH);
+        await manager.transition(payment.id, TX_STATES.SIGNED, { fees: { gasLimit: 21000 } });
+        await manager.broadcast(payment.id);
+
+        const seen = [];
+        manager.on(entry => seen.push(entry.state));
+        lookup.setStatus(payment.hash, 'confirmed');
+
+        await history.resync();
+        assert.strictEqual(manager.get(payment.id).state, TX_STATES.CONFIRMED);
+        assert.deepStrictEqual(seen, [TX_STATES.CONFIRMED]);
+        assert.strictEqual((await storage.get(payment.id)).state, TX_STATES.CONFIRMED);
+        manager.stop();
+    }
+
+    async testChainLookup() {
+        const provider = new MockChainProvider({ autoMine: false });
+        const lookup = new ChainStatusLookup({ provider });
+        const hash = await provider.sendTransaction({ to: BOB, value: 1n, token: 'ETH' });
+
+        assert.strictEqual(await lookup.getStatus({ hash }), null);
+
+        provider.mine();
+        const status = await lookup.getStatus({ hash });
+        assert.strictEqual(status.state, 'confirmed');
+        assert.strictEqual(status.receipt.blockNumber, 2);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} transaction history tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new TransactionHistoryTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 TRANSACTION HISTORY TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TransactionHistoryTestSuite;
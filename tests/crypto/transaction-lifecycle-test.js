@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { MockChainProvider } = require('../../crypto-providers.js');
+const { MemoryStore } = require('../../crypto-storage.js');
+const { TransactionManager, TX_STATES } = require('../../crypto-transactions.js');
+
+/**
+ * TRANSACTION LIFECYCLE TEST SUITE
+ * Drives the transaction state machine against the in-memory mock chain:
+ * transitions, persistence + resume, speed up and cancel
+ */
+
+const GWEI = 1e9;
+const ACCOUNT = '0x000000000000000000000000000000000000fa11';
+
+class TransactionLifecycleTestSuite {
+    constructor() {
+        this.results = [];
+        this.managers = [];
+    }
+
+    createManager(options = {}) {
+        const manager = new TransactionManager({
+            provider: new MockChainProvider({ autoMine: false }),
+            storage: new MemoryStore('transactions'),
+            pollInterval: 5,
+            ...options
+        });
+        this.managers.push(manager);
+        return manager;
+    }
+
+    async signedPayment(manager, fees = { gasLimit: 21000, maxFeePerGas: 30 * GWEI, maxPriorityFeePerGas: 2 * GWEI }) {
+        const record = await manager.create({ recipient: '@alice', to: '0xa11ce', amount: '0.5', token: 'ETH' });
+        await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+        await manager.transition(record.id, TX_STATES.SIGNED, { fees });
+        return record;
+    }
+
+    async runAllTests() {
+        console.log('🔁 STARTING TRANSACTION LIFECYCLE TEST SUITE');
+
+        try {
+            await this.test('payment walks draft → confirmed with history', () => this.testHappyPath());
+            await this.test('invalid transitions are rejected', () => this.testInvalidTransitions());
+            await this.test('reverted transactions end failed', () => this.testRevert());
+            await this.test('broadcast errors fail the transaction', () => this.testBroadcastError());
+            await this.test('every transition is persisted', () => this.testPersistence());
+            await this.test('resume re-attaches to pending transactions after reload', () => this.testResume());
+            await this.test('speed up replaces the payment with bumped fees', () => this.testSpeedUp());
+            await this.test('cancel replaces the payment with a zero-value self transfer', () => this.testCancel());
+            await this.test('nonce consumed elsewhere marks the transaction replaced', () => this.testExternalReplacement());
+            await this.test('a payment mined between the receipt and nonce checks ends confirmed', () => this.testMinedDuringPoll());
+            await this.test('payments are signed before broadcast and speed-ups are signed again', () => this.testSigning());
+            await this.test('networks that need signatures refuse payments without a signer', () => this.testNoSigner());
+            await this.test('non-replaceable chains refuse speed up', () => this.testNotReplaceable());
+        } finally {
+            this.managers.forEach(manager => manager.stop());
+        }
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testHappyPath() {
+        const manager = this.createManager();
+        const seen = [];
+        manager.on(record => seen.push(record.state));
+
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+        assert.strictEqual(record.state, TX_STATES.PENDING);
+        assert.strictEqual(record.from, ACCOUNT);
+        assert.strictEqual(record.nonce, 0);
+
+        manager.provider.mine();
+        const settled = await manager.settle(record.id);
+
+        assert.strictEqual(settled.state, TX_STATES.CONFIRMED);
+        assert.strictEqual(settled.receipt.status, 'confirmed');
+        assert.deepStrictEqual(seen, ['draft', 'awaiting-auth', 'signed', 'broadcast', 'pending', 'confirmed']);
+        assert.deepStrictEqual(settled.history.map(entry => entry.state), seen);
+    }
+
+    async testInvalidTransitions() {
+        const manager = this.createManager();
+        const record = await manager.create({ to: '0x1', amount: '1', token: 'ETH' });
+
+        await assert.rejects(manager.transition(record.id, TX_STATES.CONFIRMED), /draft → confirmed/);
+        await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+        await manager.transition(record.id, TX_STATES.DRAFT);
+        assert.strictEqual(record.state, TX_STATES.DRAFT);
+    }
+
+    async testRevert() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        manager.provider.transactions.get(record.hash).shouldFail = true;
+        manager.provider.mine();
+        const settled = await manager.settle(record.id);
+
+        assert.strictEqual(settled.state, TX_STATES.FAILED);
+        assert.strictEqual(settled.error.type, 'transaction_rejected');
+    }
+
+    async testBroadcastError() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        manager.provider.setOnline(false);
+
+        await assert.rejects(manager.broadcast(record.id), { type: 'network_error' });
+        assert.strictEqual(record.state, TX_STATES.FAILED);
+    }
+
+    async testPersistence() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        const stored = await manager.storage.get(record.id);
+        assert.strictEqual(stored.state, TX_STATES.PENDING);
+        assert.strictEqual(stored.hash, record.hash);
+        assert.notStrictEqual(stored, record);
+    }
+
+    async testResume() {
+        const storage = new MemoryStore('transactions');
+        const provider = new MockChainProvider({ autoMine: false });
+        const before = this.createManager({ provider, storage });
+
+        const pending = await this.signedPayment(before);
+        await before.broadcast(pending.id);
+        const authorizing = await before.create({ to: '0x2', amount: '1', token: 'ETH' });
+        await before.transition(authorizing.id, TX_STATES.AWAITING_AUTH);
+        const signed = await this.signedPayment(before);
+        before.stop();
+
+        // Simulated reload: a fresh manager over the same storage and chain
+        const after = this.createManager({ provider, storage });
+        await after.load();
+        const active = await after.resume();
+
+        assert.deepStrictEqual(active.map(record => record.id), [pending.id]);
+        assert.strictEqual(after.get(authorizing.id).state, TX_STATES.DRAFT);
+        assert.strictEqual(after.get(signed.id).state, TX_STATES.FAILED);
+
+        provider.mine();
+        const settled = await after.settle(pending.id);
+        assert.strictEqual(settled.state, TX_STATES.CONFIRMED);
+    }
+
+    async testSpeedUp() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+        const settling = manager.settle(record.id);
+
+        // Fresh "fast" option is cheaper than the 10% bump floor for maxFee, higher for the tip
+        const replacement = await manager.speedUp(record.id, {
+            gasLimit: 21000,
+            maxFeePerGas: 31 * GWEI,
+            maxPriorityFeePerGas: 4 * GWEI
+        });
+
+        assert.strictEqual(record.state, TX_STATES.REPLACED);
+        assert.strictEqual(record.replacedBy, replacement.id);
+        assert.strictEqual(replacement.kind, 'speed-up');
+        assert.strictEqual(replacement.nonce, record.nonce);
+        // Fees come back as whole wei, whatever the caller passed in
+        assert.strictEqual(replacement.fees.maxFeePerGas, BigInt(33 * GWEI));
+        assert.strictEqual(replacement.fees.maxPriorityFeePerGas, BigInt(4 * GWEI));
+        assert.strictEqual(manager.provider.transactions.has(record.hash), false);
+
+        manager.provider.mine();
+        const settled = await settling;
+        assert.strictEqual(settled.id, replacement.id);
+        assert.strictEqual(settled.state, TX_STATES.CONFIRMED);
+    }
+
+    async testCancel() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        const cancellation = await manager.cancel(record.id, { maxFeePerGas: 40 * GWEI, maxPriorityFeePerGas: 3 * GWEI });
+        const sent = manager.provider.transactions.get(cancellation.hash);
+
+        assert.strictEqual(cancellation.kind, 'cancel');
+        assert.strictEqual(sent.to, ACCOUNT);
+        assert.strictEqual(sent.value, 0n);
+        assert.strictEqual(sent.nonce, record.nonce);
+
+        manager.provider.mine();
+        const settled = await manager.settle(record.id);
+        assert.strictEqual(settled.kind, 'cancel');
+        assert.strictEqual(settled.state, TX_STATES.CONFIRMED);
+    }
+
+    async testExternalReplacement() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        // Another device reuses the nonce directly on chain
+        await manager.provider.sendTransaction({ to: '0xbeef', nonce: record.nonce });
+        manager.provider.mine();
+
+        const settled = await manager.settle(record.id);
+        assert.strictEqual(settled.state, TX_STATES.REPLACED);
+        assert.strictEqual(settled.replacedBy, null);
+    }
+
+    async testMinedDuringPoll() {
+        const manager = this.createManager();
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        // The block lands after the receipt lookup came back empty but before the nonce lookup
+        const { provider } = manager;
+        const getTransactionCount = provider.getTransactionCount.bind(provider);
+        provider.getTransactionCount = async address => {
+            provider.mine();
+            return getTransactionCount(address);
+        };
+
+        await manager.pollOnce(record);
+        assert.strictEqual(record.state, TX_STATES.CONFIRMED);
+        assert.strictEqual(record.receipt.hash, record.hash);
+    }
+
+    async testSigning() {
+        const signed = [];
+        const manager = this.createManager({
+            provider: new MockChainProvider({ autoMine: false, unlockedAccounts: false }),
+            signTransaction: async (tx, record) => {
+                signed.push({ ...tx, id: record.id });
+                return `0xraw${signed.length}`;
+            }
+        });
+        const sent = [];
+        const sendTransaction = manager.provider.sendTransaction.bind(manager.provider);
+        manager.provider.sendTransaction = tx => {
+            sent.push(tx.raw);
+            return sendTransaction(tx);
+        };
+
+        const record = await manager.create({ recipient: '@alice', to: '0xa11ce', from: ACCOUNT, amount: '0.5', token: 'ETH' });
+        await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+        await manager.sign(record.id, { fees: { gasLimit: 21000, maxFeePerGas: 30.4 * GWEI, maxPriorityFeePerGas: 2 * GWEI } });
+
+        assert.strictEqual(record.state, TX_STATES.SIGNED);
+        assert.strictEqual(record.nonce, 0);
+        assert.deepStrictEqual(signed[0], {
+            id: record.id, to: '0xa11ce', value: 500000000000000000n, chainId: 'mock', from: ACCOUNT,
+            nonce: 0, gasLimit: 21000, maxFeePerGas: 30400000000n, maxPriorityFeePerGas: BigInt(2 * GWEI)
+        });
+        // The raw payload is held in memory only
+        assert.strictEqual(JSON.stringify(await manager.storage.get(record.id)).includes('0xraw'), false);
+
+        await manager.broadcast(record.id);
+        const replacement = await manager.speedUp(record.id, { maxFeePerGas: 40 * GWEI, maxPriorityFeePerGas: 4 * GWEI });
+
+        assert.deepStrictEqual(sent, ['0xraw1', '0xraw2']);
+        assert.deepStrictEqual([signed[1].id, signed[1].nonce, signed[1].maxFeePerGas], [replacement.id, 0, BigInt(40 * GWEI)]);
+    }
+
+    async testNoSigner() {
+        const manager = this.createManager({ provider: new MockChainProvider({ autoMine: false, unlockedAccounts: false }) });
+        const record = await manager.create({ to: '0xa11ce', amount: '0.5', token: 'ETH' });
+        await manager.transition(record.id, TX_STATES.AWAITING_AUTH);
+
+        await assert.rejects(manager.sign(record.id, { fees: {} }), { type: 'signer_unavailable' });
+        assert.strictEqual(record.state, TX_STATES.FAILED);
+        assert.strictEqual(record.history.some(entry => entry.state === TX_STATES.SIGNED), false);
+
+        // A record that reached "signed" some other way still never goes out unsigned
+        const forced = await this.signedPayment(manager);
+        await assert.rejects(manager.broadcast(forced.id), { type: 'signer_unavailable' });
+        assert.strictEqual(manager.provider.transactions.size, 0);
+    }
+
+    async testNotReplaceable() {
+        const manager = this.createManager({ provider: new MockChainProvider({ autoMine: false, replaceable: false }) });
+        const record = await this.signedPayment(manager);
+        await manager.broadcast(record.id);
+
+        assert.strictEqual(manager.isReplaceable(record), false);
+        await assert.rejects(manager.speedUp(record.id, { maxFeePerGas: 50 * GWEI }), /can no longer be replaced/);
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} transaction lifecycle tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new TransactionLifecycleTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 TRANSACTION LIFECYCLE TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TransactionLifecycleTestSuite;
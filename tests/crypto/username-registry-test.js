@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const {
+    UsernameRegistry,
+    UsernameResolver,
+    ENSResolver,
+    StarknetIdResolver,
+    FixtureResolver,
+    fuzzyScore
+} = require('../../crypto-usernames.js');
+const { keccak256, bytesToHex, toChecksumAddress, isValidChecksum } = require('../../crypto-address.js');
+const fixture = require('../../usernames.json');
+
+/**
+ * USERNAME REGISTRY TEST SUITE
+ * Resolver chain ordering, TTL caching, reverse checks, checksum validation,
+ * ENS / Starknet ID adapters and fuzzy suggestions
+ */
+
+const ALICE = '0x742D35cC6634c0532925a3B8d484Bb1a4e134c52';
+const ENS_RESOLVER = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41';
+
+const word = hex => hex.replace(/^0x/, '').padStart(64, '0');
+
+function abiString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    return '0x' + word('20') + word(bytes.length.toString(16)) + bytes.toString('hex').padEnd(Math.ceil(bytes.length / 32) * 64, '0');
+}
+
+// Counts lookups so caching can be asserted
+class StaticResolver extends UsernameResolver {
+    constructor(config = {}) {
+        super({ name: 'static', chains: ['evm'], users: {}, reverseNames: {}, ...config });
+        this.calls = 0;
+    }
+
+    async resolve(username) {
+        this.calls++;
+        if (this.config.error) throw this.config.error;
+
+        const address = this.config.users[username];
+        return address ? { name: username, address } : null;
+    }
+
+    async reverse(address) {
+        return this.config.reverseNames[address.toLowerCase()] || null;
+    }
+}
+
+class UsernameRegistryTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createFixtureRegistry(options = {}) {
+        return new UsernameRegistry({ resolvers: [new FixtureResolver({ users: fixture.users })], ...options });
+    }
+
+    async runAllTests() {
+        console.log('👤 STARTING USERNAME REGISTRY TEST SUITE');
+
+        await this.test('keccak-256 and EIP-55 match published vectors', () => this.testAddressVectors());
+        await this.test('fixture names resolve to checksummed, reverse-verified addresses', () => this.testFixtureResolution());
+        await this.test('StarkNet lookups return padded felts and skip EVM-only users', () => this.testStarknetChain());
+        await this.test('the first resolver that knows a name wins', () => this.testResolverOrder());
+        await this.test('addresses with a broken checksum are rejected', () => this.testChecksumValidation());
+        await this.test('reverse records pointing elsewhere are flagged', () => this.testReverseMismatch());
+        await this.test('results and misses are cached until their TTL expires', () => this.testCaching());
+        await this.test('directory outages surface as network errors', () => this.testNetworkErrors());
+        await this.test('ENS resolves via registry, resolver and reverse records', () => this.testEnsResolver());
+        await this.test('Starknet ID resolves through its HTTP API', () => this.testStarknetIdResolver());
+        await this.test('suggestions rank prefixes and typos', () => this.testSuggestions());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testAddressVectors() {
+        assert.strictEqual(bytesToHex(keccak256('')), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+        assert.strictEqual(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+        assert.strictEqual(isValidChecksum('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'), false);
+        assert.strictEqual(isValidChecksum('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), true);
+
+        // EIP-137 namehash('eth')
+        assert.strictEqual(new ENSResolver().namehash('eth'), '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae');
+    }
+
+    async testFixtureResolution() {
+        const user = await this.createFixtureRegistry().resolve('@Alice');
+
+        assert.strictEqual(user.username, 'alice');
+        assert.strictEqual(user.address, ALICE);
+        assert.strictEqual(user.source, 'fixture');
+        assert.strictEqual(user.verified, true);
+        assert.strictEqual(user.reverseMismatch, false);
+    }
+
+    async testStarknetChain() {
+        const registry = this.createFixtureRegistry();
+        const alice = await registry.resolve('alice', { chain: 'starknet' });
+
+        assert.strictEqual(alice.address.length, 66);
+        assert.strictEqual(alice.chain, 'starknet');
+        await assert.rejects(registry.resolve('charlie', { chain: 'starknet' }), { type: 'username_not_found' });
+    }
+
+    async testResolverOrder() {
+        const directory = new StaticResolver({ name: 'facepay', users: { alice: '0x0000000000000000000000000000000000000a11' } });
+        const registry = new UsernameRegistry({ resolvers: [directory, new FixtureResolver({ users: fixture.users })] });
+
+        assert.strictEqual((await registry.resolve('alice')).source, 'facepay');
+        assert.strictEqual((await registry.resolve('bob')).source, 'fixture');
+    }
+
+    async testChecksumValidation() {
+        const corrupt = ALICE.slice(0, -1) + 'C';
+        const registry = new UsernameRegistry({ resolvers: [new StaticResolver({ users: { mallory: corrupt } })] });
+
+        await assert.rejects(registry.resolve('mallory'), { type: 'invalid_address' });
+    }
+
+    async testReverseMismatch() {
+        const registry = new UsernameRegistry({
+            resolvers: [new StaticResolver({
+                users: { alice: ALICE.toLowerCase() },
+                reverseNames: { [ALICE.toLowerCase()]: 'eve' }
+            })]
+        });
+
+        const user = await registry.resolve('alice');
+        assert.strictEqual(user.address, ALICE);
+        assert.strictEqual(user.verified, false);
+        assert.strictEqual(user.reverseMismatch, true);
+        assert.strictEqual(user.reverseName, 'eve');
+    }
+
+    async testCaching() {
+        const resolver = new StaticResolver({ users: { alice: ALICE } });
+        const registry = new UsernameRegistry({ resolvers: [resolver], ttl: 30, negativeTtl: 30 });
+
+        await registry.resolve('alice');
+        const cached = await registry.resolve('@ALICE');
+        assert.strictEqual(cached.cached, true);
+        assert.strictEqual(resolver.calls, 1);
+
+        await assert.rejects(registry.resolve('nobody'), { type: 'username_not_found' });
+        await assert.rejects(registry.resolve('nobody'), { type: 'username_not_found' });
+        assert.strictEqual(resolver.calls, 2);
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        await registry.resolve('alice');
+        assert.strictEqual(resolver.calls, 3);
+    }
+
+    async testNetworkErrors() {
+        const offline = Object.assign(new Error('offline'), { type: 'network_error' });
+        const resolver = new StaticResolver({ error: offline });
+        const registry = new UsernameRegistry({ resolvers: [resolver] });
+
+        await assert.rejects(registry.resolve('alice'), { type: 'network_error' });
+        // Outages are not cached as misses
+        await assert.rejects(registry.resolve('alice'), { type: 'network_error' });
+        assert.strictEqual(resolver.calls, 2);
+    }
+
+    async testEnsResolver() {
+        const ens = new ENSResolver();
+        const forward = ens.namehash('alice.eth');
+        const reverse = ens.namehash(`${ALICE.slice(2).toLowerCase()}.addr.reverse`);
+        const calls = {
+            [`${ens.config.registry.toLowerCase()}:0x0178b8bf${forward.slice(2)}`]: '0x' + word(ENS_RESOLVER),
+            [`${ENS_RESOLVER}:0x3b3b57de${forward.slice(2)}`]: '0x' + word(ALICE.toLowerCase()),
+            [`${ens.config.registry.toLowerCase()}:0x0178b8bf${reverse.slice(2)}`]: '0x' + word(ENS_RESOLVER),
+            [`${ENS_RESOLVER}:0x691f3431${reverse.slice(2)}`]: abiString('alice.eth')
+        };
+
+        ens.config.provider = {
+            request: async (method, [call]) => {
+                assert.strictEqual(method, 'eth_call');
+                return calls[`${call.to.toLowerCase()}:${call.data}`] || '0x' + word('0');
+            }
+        };
+
+        const registry = new UsernameRegistry({ resolvers: [ens] });
+        const user = await registry.resolve('alice');
+
+        assert.strictEqual(user.name, 'alice.eth');
+        assert.strictEqual(user.address, ALICE);
+        assert.strictEqual(user.verified, true);
+        await assert.rejects(registry.resolve('bob'), { type: 'username_not_found' });
+    }
+
+    async testStarknetIdResolver() {
+        const address = fixture.users.alice.addresses.starknet;
+        const originalFetch = global.fetch;
+
+        global.fetch = async url => {
+            const responses = {
+                'https://api.starknet.id/domain_to_addr?domain=alice.stark': { addr: '0x8a16b867d269f336386b7604f992b23dffe0e905516cdc92f4a8dfff5d5494' },
+                [`https://api.starknet.id/addr_to_domain?addr=${address}`]: { domain: 'alice.stark' }
+            };
+            const body = responses[url];
+            return { ok: !!body, status: body ? 200 : 400, json: async () => body };
+        };
+
+        try {
+            const registry = new UsernameRegistry({ resolvers: [new StarknetIdResolver()] });
+            const user = await registry.resolve('alice', { chain: 'starknet' });
+
+            assert.strictEqual(user.address, address);
+            assert.strictEqual(user.verified, true);
+            await assert.rejects(registry.resolve('bob', { chain: 'starknet' }), { type: 'username_not_found' });
+        } finally {
+            global.fetch = originalFetch;
+        }
+    }
+
+    async testSuggestions() {
+        const registry = this.createFixtureRegistry();
+
+        assert.deepStrictEqual((await registry.search('ch')).map(match => match.username), ['charlie']);
+        assert.strictEqual((await registry.search('alcie'))[0].username, 'alice');
+        assert.deepStrictEqual(await registry.search('zzz'), []);
+
+        assert.ok(fuzzyScore('ali', 'alice') > fuzzyScore('lic', 'alice'));
+        assert.ok(fuzzyScore('lic', 'alice') > fuzzyScore('alx', 'alice'));
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} username registry tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new UsernameRegistryTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 USERNAME REGISTRY TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = UsernameRegistryTestSuite;
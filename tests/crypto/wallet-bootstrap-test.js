@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const {
+    generateMnemonic,
+    validateMnemonic,
+    entropyToMnemonic,
+    mnemonicToEntropy,
+    mnemonicToSeed,
+    mnemonicToAccount,
+    signTransaction,
+    BackupQuiz
+} = require('../../crypto-wallet.js');
+const { WalletKeystore, HttpBackupStore, splitSecret, combineShares } = require('../../crypto-keystore.js');
+const { MemoryStore } = require('../../crypto-storage.js');
+
+/**
+ * WALLET BOOTSTRAP TEST SUITE
+ * BIP-39 / BIP-44 vectors, the backup quiz, the encrypted keystore (password and
+ * passkey PRF unlock), Shamir guardian shares and encrypted cloud backups
+ */
+
+const HARDHAT_MNEMONIC = 'test test test test test test test test test test test junk';
+const ZERO_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const PASSWORD = 'correct horse battery';
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+class WalletBootstrapTestSuite {
+    constructor() {
+        this.results = [];
+    }
+
+    createKeystore() {
+        // Low iteration count keeps the suite fast; production uses the 310k default
+        return new WalletKeystore({ storage: new MemoryStore('keystores'), passwordIterations: 1000 });
+    }
+
+    async runAllTests() {
+        console.log('🌱 STARTING WALLET BOOTSTRAP TEST SUITE');
+
+        await this.test('mnemonics match the BIP-39 reference vectors', () => this.testMnemonicVectors());
+        await this.test('generated phrases are 12 valid words', () => this.testGeneratedMnemonic());
+        await this.test('phrases with a bad checksum or unknown word are rejected', () => this.testInvalidMnemonics());
+        await this.test('accounts derive along m/44\'/60\'/0\'/0/0', () => this.testAccountDerivation());
+        await this.test('EIP-1559 payments sign to the reference raw transaction', () => this.testTransactionSigning());
+        await this.test('the backup quiz accepts words only in phrase order', () => this.testBackupQuiz());
+        await this.test('the backup quiz accepts either copy of a repeated word', () => this.testQuizRepeatedWords());
+        await this.test('password keystores unlock only with the right password', () => this.testPasswordKeystore());
+        await this.test('passkey keystores unlock with the enrolled PRF secret', () => this.testPasskeyKeystore());
+        await this.test('a second unlock method can be enrolled', () => this.testAddUnlockMethod());
+        await this.test('exported keystores carry no plaintext and re-import', () => this.testExportImport());
+        await this.test('an existing wallet is only replaced when asked to', () => this.testReplaceGuard());
+        await this.test('any threshold of guardian shares recovers the phrase', () => this.testSocialRecovery());
+        await this.test('cloud backups upload and download the sealed keystore', () => this.testCloudBackup());
+
+        this.printSummary();
+    }
+
+    async test(name, fn) {
+        try {
+            await fn();
+            this.results.push({ name, passed: true });
+            console.log(`   ✅ ${name}`);
+        } catch (error) {
+            this.results.push({ name, passed: false, error });
+            console.log(`   ❌ ${name}\n      ${error.message}`);
+        }
+    }
+
+    async testMnemonicVectors() {
+        assert.strictEqual(await entropyToMnemonic(new Uint8Array(16)), ZERO_MNEMONIC);
+        assert.strictEqual(
+            await entropyToMnemonic(new Uint8Array(16).fill(0x7f)),
+            'legal winner thank year wave sausage worth useful legal winner thank yellow'
+        );
+        assert.strictEqual(hex(await mnemonicToEntropy(ZERO_MNEMONIC)), '00'.repeat(16));
+
+        const seed = await mnemonicToSeed(ZERO_MNEMONIC, 'TREZOR');
+        assert.strictEqual(hex(seed).slice(0, 32), 'c55257c360c07c72029aebc1b53c05ed');
+    }
+
+    async testGeneratedMnemonic() {
+        const mnemonic = await generateMnemonic();
+
+        assert.strictEqual(mnemonic.split(' ').length, 12);
+        assert.strictEqual(await validateMnemonic(mnemonic), true);
+        assert.notStrictEqual(await generateMnemonic(), mnemonic);
+    }
+
+    async testInvalidMnemonics() {
+        assert.strictEqual(await validateMnemonic(ZERO_MNEMONIC.replace(/about$/, 'abandon')), false);
+        assert.strictEqual(await validateMnemonic(ZERO_MNEMONIC.replace(/about$/, 'facepay')), false);
+        await assert.rejects(mnemonicToEntropy('abandon abandon'), { type: 'invalid_mnemonic' });
+    }
+
+    async testAccountDerivation() {
+        const account = await mnemonicToAccount(HARDHAT_MNEMONIC);
+        assert.strictEqual(account.address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+        assert.strictEqual(hex(account.privateKey), 'ac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+        const second = await mnemonicToAccount(HARDHAT_MNEMONIC, { path: "m/44'/60'/0'/0/1" });
+        assert.strictEqual(second.address, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    }
+
+    async testTransactionSigning() {
+        const account = await mnemonicToAccount(HARDHAT_MNEMONIC);
+        const tx = {
+            chainId: 1,
+            nonce: 0,
+            to: '0x742D35cC6634c0532925a3B8d484Bb1a4e134c52',
+            value: 500000000000000000n,
+            gasLimit: 21000,
+            maxFeePerGas: 33e9,
+            maxPriorityFeePerGas: 4e9
+        };
+
+        // Same bytes as ethers' Wallet.signTransaction for this key and payment (RFC 6979 nonces are deterministic)
+        assert.strictEqual(await signTransaction(tx, account.privateKey),
+            '0x02f873018084ee6b28008507aef40a0082520894742d35cc6634c0532925a3b8d484bb1a4e134c528806f05b59d3b2000080c0' +
+            '01a00ce1435f3ea7332b58f5485658b8c1ae4eec03600156a0f70aa26df7424ac88ea07f5c6093e83dcda1b20e3150569f64576a1aa8e8f9db38aa85d2bd6efa91e06f');
+    }
+
+    async testBackupQuiz() {
+        const quiz = new BackupQuiz(ZERO_MNEMONIC.replace('abandon about', 'zoo about'));
+        const slotOf = word => quiz.options.find(option => option.word === word && !quiz.used.has(option.slot)).slot;
+
+        assert.strictEqual(quiz.options.length, 12);
+        assert.deepStrictEqual(quiz.select(slotOf('about')), { correct: false, complete: false, position: 0 });
+        assert.strictEqual(quiz.mistakes, 1);
+
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual(quiz.select(slotOf('abandon')).correct, true);
+        }
+        assert.strictEqual(quiz.select(slotOf('zoo')).correct, true);
+        assert.deepStrictEqual(quiz.select(slotOf('about')), { correct: true, complete: true, position: 12 });
+    }
+
+    async testQuizRepeatedWords() {
+        const quiz = new BackupQuiz(HARDHAT_MNEMONIC);
+        const testSlots = quiz.options.filter(option => option.word === 'test').map(option => option.slot);
+
+        // Tap the "test" tiles in reverse slot order - still the right words
+        testSlots.reverse().forEach(slot => assert.strictEqual(quiz.select(slot).correct, true));
+        assert.strictEqual(quiz.select(testSlots[0]).correct, false);
+        assert.strictEqual(quiz.select(quiz.options.find(option => option.word === 'junk').slot).complete, true);
+    }
+
+    async testPasswordKeystore() {
+        const keystore = this.createKeystore();
+        await assert.rejects(keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { password: 'short' }), { type: 'weak_password' });
+
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC, path: "m/44'/60'/0'/0/0" }, { address: '0xf39F', password: PASSWORD });
+
+        const secret = await keystore.unlock({ password: PASSWORD });
+        assert.strictEqual(secret.mnemonic, HARDHAT_MNEMONIC);
+        await assert.rejects(keystore.unlock({ password: 'wrong password' }), { type: 'keystore_locked' });
+    }
+
+    async testPasskeyKeystore() {
+        const keystore = this.createKeystore();
+        const passkey = { credentialId: 'cred-1', prfSalt: new Uint8Array(32).fill(1), secret: new Uint8Array(32).fill(9) };
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { address: '0xf39F', passkey });
+
+        const record = await keystore.get();
+        assert.deepStrictEqual(keystore.getUnlockMethods(record).map(method => method.type), ['passkey']);
+
+        const secret = await keystore.unlock({ passkey: { credentialId: 'cred-1', secret: passkey.secret } });
+        assert.strictEqual(secret.mnemonic, HARDHAT_MNEMONIC);
+
+        await assert.rejects(keystore.unlock({ passkey: { credentialId: 'cred-1', secret: new Uint8Array(32) } }), { type: 'keystore_locked' });
+        await assert.rejects(keystore.unlock({ passkey: { credentialId: 'cred-2', secret: passkey.secret } }), { type: 'keystore_locked' });
+        await assert.rejects(keystore.unlock({ password: PASSWORD }), { type: 'keystore_locked' });
+    }
+
+    async testAddUnlockMethod() {
+        const keystore = this.createKeystore();
+        const passkey = { credentialId: 'cred-1', prfSalt: new Uint8Array(32), secret: new Uint8Array(32).fill(3) };
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { address: '0xf39F', passkey });
+
+        await keystore.addUnlockMethod({ passkey }, { password: PASSWORD });
+
+        assert.strictEqual((await keystore.unlock({ password: PASSWORD })).mnemonic, HARDHAT_MNEMONIC);
+        assert.strictEqual((await keystore.unlock({ passkey })).mnemonic, HARDHAT_MNEMONIC);
+    }
+
+    async testExportImport() {
+        const keystore = this.createKeystore();
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { address: '0xf39F', password: PASSWORD });
+
+        const exported = await keystore.export();
+        assert.ok(!exported.includes('junk'));
+        assert.ok(!exported.includes(PASSWORD));
+
+        const restored = this.createKeystore();
+        await restored.import(exported);
+        assert.strictEqual((await restored.unlock({ password: PASSWORD })).mnemonic, HARDHAT_MNEMONIC);
+
+        await assert.rejects(restored.import({ version: 99 }), { type: 'keystore_invalid' });
+    }
+
+    async testReplaceGuard() {
+        const keystore = this.createKeystore();
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { address: '0xf39F', password: PASSWORD });
+        const backup = await keystore.export();
+
+        const exists = { type: 'wallet_exists' };
+        await assert.rejects(keystore.create({ mnemonic: ZERO_MNEMONIC }, { address: '0x9858', password: PASSWORD }), exists);
+        await assert.rejects(keystore.import(backup), exists);
+        assert.strictEqual((await keystore.unlock({ password: PASSWORD })).mnemonic, HARDHAT_MNEMONIC);
+
+        await keystore.create({ mnemonic: ZERO_MNEMONIC }, { address: '0x9858', password: PASSWORD, replace: true });
+        assert.strictEqual((await keystore.unlock({ password: PASSWORD })).mnemonic, ZERO_MNEMONIC);
+
+        await keystore.import(backup, { replace: true });
+        assert.strictEqual((await keystore.get()).address, '0xf39F');
+    }
+
+    async testSocialRecovery() {
+        const entropy = await mnemonicToEntropy(HARDHAT_MNEMONIC);
+        const shares = splitSecret(entropy, { shares: 5, threshold: 3 });
+
+        assert.strictEqual(shares.length, 5);
+        assert.strictEqual(new Set(shares).size, 5);
+
+        for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4]]) {
+            const recovered = combineShares(subset.map(i => shares[i]));
+            assert.strictEqual(await entropyToMnemonic(recovered), HARDHAT_MNEMONIC);
+        }
+
+        assert.throws(() => combineShares([shares[0], shares[1]]), { type: 'invalid_recovery' });
+        assert.throws(() => combineShares([shares[0], shares[0], shares[0]]), { type: 'invalid_recovery' });
+        assert.throws(() => splitSecret(entropy, { shares: 2, threshold: 3 }), { type: 'invalid_recovery' });
+    }
+
+    async testCloudBackup() {
+        const keystore = this.createKeystore();
+        await keystore.create({ mnemonic: HARDHAT_MNEMONIC }, { address: '0xf39F', password: PASSWORD });
+
+        const uploads = new Map();
+        const originalFetch = global.fetch;
+        global.fetch = async (url, init = {}) => {
+            if (init.method === 'PUT') {
+                uploads.set(url, init.body);
+                return { ok: true, status: 204 };
+            }
+            const body = uploads.get(url);
+            return { ok: !!body, status: body ? 200 : 404, text: async () => body };
+        };
+
+        try {
+            const store = new HttpBackupStore({ endpoint: 'https://backup.test/api/backups' });
+            await store.upload('0xf39F', await keystore.export());
+
+            assert.deepStrictEqual(Array.from(uploads.keys()), ['https://backup.test/api/backups/0xf39F']);
+            assert.strictEqual(await store.download('0xdead'), null);
+
+            const restored = this.createKeystore();
+            await restored.import(await store.download('0xf39F'));
+            assert.strictEqual((await restored.unlock({ password: PASSWORD })).mnemonic, HARDHAT_MNEMONIC);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    }
+
+    printSummary() {
+        const failed = this.results.filter(result => !result.passed);
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`📊 ${this.results.length - failed.length}/${this.results.length} wallet bootstrap tests passed`);
+
+        if (failed.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Execute if run directly
+if (require.main === module) {
+    const suite = new WalletBootstrapTestSuite();
+
+    suite.runAllTests().catch(error => {
+        console.error('💥 WALLET BOOTSTRAP TESTS CRASHED:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = WalletBootstrapTestSuite;
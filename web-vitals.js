@@ -1,5 +1,7 @@
 // Web Vitals Monitoring for FacePay Landing Page
 // This script measures and reports Core Web Vitals metrics
+// Reports are published as web_vitals events to window.FacePayEvents (analytics-event-bus.js),
+// held back until the visitor allows analytics (consent-manager.js)
 
 (function() {
     'use strict';
@@ -8,7 +10,6 @@
     const CONFIG = {
         enableLogging: true,
         enableAnalytics: true,
-        analyticsEndpoint: '/api/analytics/web-vitals',
         thresholds: {
             LCP: { good: 2500, needsImprovement: 4000 },
             FID: { good: 100, needsImprovement: 300 },
@@ -22,6 +23,9 @@
     // Metrics storage
     const metrics = {};
 
+    // Latest report per metric measured before the visitor decided on analytics consent
+    const pendingReports = new Map();
+
     // Utility functions
     function log(message, data = {}) {
         if (CONFIG.enableLogging) {
@@ -39,46 +43,28 @@
     }
 
     function sendToAnalytics(metric) {
-        if (!CONFIG.enableAnalytics) return;
+        if (!CONFIG.enableAnalytics || !window.FacePayConsent || !window.FacePayEvents) return;
+
+        if (!window.FacePayConsent.has('analytics')) {
+            pendingReports.set(metric.name, metric);
+            return;
+        }
 
-        const data = {
-            name: metric.name,
-            value: metric.value,
-            rating: metric.rating,
-            delta: metric.delta,
+        // The event bus sends it to GA4 and the analytics endpoint
+        window.FacePayEvents.publish('web_vitals', {
+            metric_name: metric.name,
+            metric_value: metric.value,
+            metric_rating: metric.rating,
+            metric_delta: metric.delta,
+            metric_id: metric.id,
             entries: metric.entries?.map(entry => ({
                 name: entry.name,
                 startTime: entry.startTime,
                 duration: entry.duration
             })),
-            url: window.location.href,
-            userAgent: navigator.userAgent,
-            timestamp: Date.now(),
-            connectionType: navigator.connection?.effectiveType,
-            deviceMemory: navigator.deviceMemory
-        };
-
-        // Send to analytics endpoint
-        if (navigator.sendBeacon) {
-            navigator.sendBeacon(CONFIG.analyticsEndpoint, JSON.stringify(data));
-        } else {
-            fetch(CONFIG.analyticsEndpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
-                keepalive: true
-            }).catch(err => console.warn('Analytics failed:', err));
-        }
-
-        // Send to Google Analytics if available
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'web_vitals', {
-                event_category: 'Performance',
-                event_label: metric.name,
-                value: Math.round(metric.value),
-                custom_map: { metric_rating: metric.rating }
-            });
-        }
+            connection_type: navigator.connection?.effectiveType,
+            device_memory: navigator.deviceMemory
+        }, { tracker: 'web-vitals' });
     }
 
     // Metric handlers
@@ -319,6 +305,16 @@
     // Initialize everything
     function init() {
         log('Initializing Web Vitals monitoring...');
+
+        if (window.FacePayConsent && window.FacePayEvents) {
+            window.FacePayConsent.whenGranted('analytics', () => {
+                const reports = [...pendingReports.values()];
+                pendingReports.clear();
+                reports.forEach(sendToAnalytics);
+            });
+        } else {
+            log('consent-manager.js or analytics-event-bus.js is not loaded; metrics are measured but not reported');
+        }
         
         initWebVitals();
         trackPerformanceErrors();